@@ -0,0 +1,58 @@
+/**
+ * Build or update the democratic records index read by search_democratic_records
+ *
+ * Crawls committee meetings from ModernGov and writes the index to
+ * MODERNGOV_SEARCH_INDEX_PATH, or json/Gloucestershire/democratic-records-index.json
+ * so it is deployed with the app.
+ *
+ * Usage:
+ *   npm run refresh:democratic-index                                   (every council, 90 days back to 60 ahead)
+ *   node json/Gloucestershire/refresh-democratic-records-index.js --council "Stroud District Council" --committee 123
+ *   node json/Gloucestershire/refresh-democratic-records-index.js --from 01/01/2024 --to 31/12/2024 --report-text
+ *   node json/Gloucestershire/refresh-democratic-records-index.js --force --time-budget 600
+ */
+
+const { refreshDemocraticRecordsIndex } = require('../../lib/tools/refresh-democratic-records-index');
+const democraticIndex = require('../../lib/democratic-index');
+
+function parseArgs(argv) {
+    // No time budget on the command line unless one is asked for
+    const args = { time_budget_seconds: 24 * 60 * 60 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--council') args.council_name = argv[++i];
+        else if (argv[i] === '--committee') args.committee_id = Number(argv[++i]);
+        else if (argv[i] === '--from') args.from_date = argv[++i];
+        else if (argv[i] === '--to') args.to_date = argv[++i];
+        else if (argv[i] === '--report-text') args.include_report_text = true;
+        else if (argv[i] === '--force') args.force = true;
+        else if (argv[i] === '--time-budget') args.time_budget_seconds = Number(argv[++i]);
+    }
+    return args;
+}
+
+async function main() {
+    const result = await refreshDemocraticRecordsIndex(parseArgs(process.argv.slice(2)));
+    if (result.error) {
+        console.error([result.error, result.council_name, result.hint].filter(Boolean).join(': '));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log([
+        `${result.councils.join(', ')} (${result.date_range.from} to ${result.date_range.to})`,
+        `  committees scanned: ${result.committees_scanned}`,
+        `  meetings indexed: ${result.meetings_indexed} (${result.items_indexed} items, ${result.report_texts_extracted} report texts); unchanged: ${result.meetings_skipped_unchanged}`,
+        ...result.failures.map(f => `  failed: ${[f.council, f.committee_id, f.meeting_id].filter(Boolean).join(' / ')} ${f.error}`),
+        `  index: ${democraticIndex.getIndexPath()} (${result.index.documents} documents)`
+    ].join('\n'));
+    console.log(`\n${result.note}`);
+
+    if (result.failures.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
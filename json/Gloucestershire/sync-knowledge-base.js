@@ -0,0 +1,63 @@
+/**
+ * Sync the committees/wards knowledge base from live ModernGov
+ *
+ * Node replacement for the GetCommittees and ward parts of extract-committees.ps1
+ * and extract-wards.ps1. Committee purpose, membership and contact details still
+ * come from extract-committees.ps1.
+ *
+ * Usage:
+ *   npm run sync:knowledge-base                                   (all councils, write files)
+ *   node json/Gloucestershire/sync-knowledge-base.js --report      (show differences only)
+ *   node json/Gloucestershire/sync-knowledge-base.js --council "Stroud District Council"
+ */
+
+const { syncKnowledgeBase } = require('../../lib/tools/sync-knowledge-base');
+
+function parseArgs(argv) {
+    const args = { write: true };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--report') args.write = false;
+        else if (argv[i] === '--council') args.council_name = argv[++i];
+    }
+    return args;
+}
+
+function describe(list, label, format) {
+    return list && list.length ? [`    ${label}: ${list.map(format).join('; ')}`] : [];
+}
+
+async function main() {
+    const result = await syncKnowledgeBase(parseArgs(process.argv.slice(2)));
+    if (result.error) {
+        console.error(`${result.error}: ${result.council_name}. Available councils: ${result.available_councils.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    for (const council of result.councils) {
+        const c = council.committees;
+        const w = council.wards;
+        console.log([
+            `${council.council}: ${council.has_changes ? 'changed' : 'no changes'}`,
+            ...describe(c?.added, 'new committees', x => `${x.title} (${x.id})`),
+            ...describe(c?.renamed, 'renamed committees', x => `${x.previous_title} → ${x.title} (${x.id})`),
+            ...describe(c?.expired, 'expired committees', x => `${x.title} (${x.id}, ${x.reason})`),
+            ...describe(w?.added, 'new wards', x => x.name),
+            ...describe(w?.removed, 'removed wards', x => x.name),
+            ...describe(w?.renamed, 'renamed wards', x => `${x.previous_name} → ${x.name}`),
+            ...(w?.boundary_change_likely ? ['    wards added and removed together: likely boundary review'] : []),
+            ...[council.committees_error, council.wards_error, council.write_error].filter(Boolean).map(e => `    error: ${e}`),
+            ...council.files_written.map(f => `    wrote ${f}`)
+        ].join('\n'));
+    }
+    console.log(`\n${result.note}`);
+
+    if (result.councils_with_errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -6,6 +6,156 @@
 const path = require('path');
 const fs = require('fs');
 
+// Words that say what kind of council it is rather than where it is. They are
+// dropped to get the short form ("Cheltenham"), but when a caller uses one it
+// has to fit ("Gloucester City" cannot mean the County Council).
+const COUNCIL_TYPE_WORDS = new Set(['council', 'city', 'county', 'borough', 'district']);
+const WARD_FILLER_WORDS = new Set(['and', 'the', 'of', 'ward']);
+
+// json/wardToID.json is a flat ward name → ID map for this council only
+const WARD_TO_ID_COUNCIL = 'Gloucester City Council';
+const WARD_TO_ID_PATH = path.join(__dirname, '../json/wardToID.json');
+
+// Below this a match is only offered as a suggestion
+const MIN_RESOLVE_CONFIDENCE = 0.6;
+// A runner-up this close to the best match makes the input ambiguous
+const AMBIGUITY_MARGIN = 0.2;
+
+/**
+ * Lower-case, spell out "&" and replace punctuation with spaces
+ * @param {string} value - Name as typed
+ * @returns {string} Normalised name
+ */
+function normaliseName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[’']/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity between 0 (nothing in common) and 1 (identical)
+ */
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function councilScore(council, text) {
+    const name = normaliseName(council.name);
+    if (text === name) return { score: 1, matched_by: 'name' };
+
+    const compact = text.replace(/ /g, '');
+    if ((council.aliases || []).some(alias => normaliseName(alias).replace(/ /g, '') === compact)) {
+        return { score: 0.95, matched_by: 'alias' };
+    }
+
+    const words = text.split(' ');
+    const nameWords = new Set(name.split(' '));
+    if (words.some(w => COUNCIL_TYPE_WORDS.has(w) && w !== 'council' && !nameWords.has(w))) {
+        return { score: 0, matched_by: null };
+    }
+
+    const core = words.filter(w => !COUNCIL_TYPE_WORDS.has(w)).join(' ');
+    const nameCore = name.split(' ').filter(w => !COUNCIL_TYPE_WORDS.has(w)).join(' ');
+    if (!core) return { score: 0, matched_by: null };
+    if (core === nameCore || core === normaliseName(council.area_name)) {
+        return { score: 0.9, matched_by: 'short_name' };
+    }
+    if (core.length >= 4 && nameCore.startsWith(core)) {
+        return { score: 0.75, matched_by: 'partial' };
+    }
+
+    const closest = Math.max(similarity(core, nameCore), similarity(text, name));
+    return closest >= 0.8
+        ? { score: closest * 0.85, matched_by: 'approximate' }
+        : { score: 0, matched_by: null };
+}
+
+function significantWords(text) {
+    return text.split(' ').filter(w => w && !WARD_FILLER_WORDS.has(w));
+}
+
+function wardScore(wardName, text) {
+    const name = normaliseName(wardName);
+    if (text === name) return { score: 1, matched_by: 'name' };
+    if (text.replace(/ /g, '') === name.replace(/ /g, '')) return { score: 0.98, matched_by: 'name' };
+
+    // Every word typed has to appear in the ward name, so "Matson and
+    // Robinswood" finds "Matson, Robinswood and White City"
+    const inputWords = significantWords(text);
+    const wardWords = significantWords(name);
+    if (inputWords.length === 0 || wardWords.length === 0) return { score: 0, matched_by: null };
+
+    let exactWords = true;
+    const matched = new Set();
+    for (const word of inputWords) {
+        let best = null;
+        let bestSimilarity = 0;
+        wardWords.forEach((candidate, index) => {
+            const s = candidate === word || (word.length >= 3 && candidate.startsWith(word)) ? 1 : similarity(word, candidate);
+            if (s > bestSimilarity) {
+                best = index;
+                bestSimilarity = s;
+            }
+        });
+        if (bestSimilarity < 0.8) return { score: 0, matched_by: null };
+        if (bestSimilarity < 1) exactWords = false;
+        matched.add(best);
+    }
+
+    const score = 0.6 + 0.35 * (matched.size / wardWords.length);
+    return exactWords
+        ? { score, matched_by: 'partial' }
+        : { score: score * 0.9, matched_by: 'approximate' };
+}
+
+/**
+ * Pick the best scored candidate, or report ambiguity / no match
+ * @param {string} input - Name as supplied
+ * @param {Array<{name: string, score: number, matched_by: string}>} scored - Candidates
+ * @returns {object} Resolution result
+ */
+function pickBest(input, scored) {
+    const ranked = scored
+        .filter(c => c.score > 0)
+        .sort((a, b) => b.score - a.score);
+    const round = n => Math.round(n * 100) / 100;
+    const [best, runnerUp] = ranked;
+
+    if (!best || best.score < MIN_RESOLVE_CONFIDENCE) {
+        return { status: 'not_found', input, suggestions: ranked.slice(0, 3).map(c => c.name) };
+    }
+    if (best.score < 1 && runnerUp && runnerUp.score >= MIN_RESOLVE_CONFIDENCE && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        return {
+            status: 'ambiguous',
+            input,
+            candidates: ranked
+                .filter(c => c.score >= MIN_RESOLVE_CONFIDENCE)
+                .map(c => ({ name: c.name, confidence: round(c.score) }))
+        };
+    }
+    return { status: 'resolved', input, name: best.name, confidence: round(best.score), matched_by: best.matched_by };
+}
+
 class CouncilConfig {
     constructor() {
         this.councils = new Map();
@@ -23,6 +173,7 @@ class CouncilConfig {
             councilsData.councils.forEach(council => {
                 // Normalize council name for folder lookup
                 const folderName = council.name.replace(/ /g, '_');
+                const dataDir = path.join(__dirname, '../json/Gloucestershire/council_data', folderName);
 
                 // Load committees data
                 let committees = null;
@@ -43,9 +194,17 @@ class CouncilConfig {
                 this.councils.set(council.name, {
                     name: council.name,
                     url: council.url,
+                    tier: council.tier || null,
+                    area_name: council.area_name || null,
+                    aliases: council.aliases || [],
                     endpoint: `${council.url}/mgWebService.asmx`,
                     committees: committees,
-                    wards: wards
+                    wards: wards,
+                    dataDir: dataDir,
+                    dataFiles: {
+                        committees: committees ? path.join(dataDir, 'committees.json') : null,
+                        wards: wards ? path.join(dataDir, 'wards.json') : null
+                    }
                 });
             });
 
@@ -103,6 +262,181 @@ class CouncilConfig {
         return council ? council.wards : null;
     }
 
+    /**
+     * Get the ward names held offline for a council. wards.json only holds ward
+     * names once `npm run sync:knowledge-base` has rewritten it from
+     * GetCouncillorsByWard; the files it replaces list councillors instead, so
+     * until then Gloucester City Council's wards come from json/wardToID.json
+     * and the other councils have none.
+     * @param {string} councilName - Council name
+     * @returns {{id: string|null, name: string}[]|null} Wards, or null if no ward names are held
+     */
+    getWardNames(councilName) {
+        const council = this.getCouncil(councilName);
+        if (!council) return null;
+        if (council.wards?.source === 'GetCouncillorsByWard') {
+            return (council.wards.wards || [])
+                .filter(w => w.name)
+                .map(w => ({ id: w.id != null ? String(w.id) : null, name: w.name }));
+        }
+        if (council.name === WARD_TO_ID_COUNCIL) {
+            try {
+                const { wards } = JSON.parse(fs.readFileSync(WARD_TO_ID_PATH, 'utf8').replace(/^\uFEFF/, ''));
+                return Object.entries(wards || {}).map(([name, id]) => ({ id: String(id), name }));
+            } catch (e) {
+                console.warn(`Could not read ${WARD_TO_ID_PATH}:`, e.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the on-disk knowledge base files for a council
+     * @param {string} councilName - Council name
+     * @returns {{committees: string|null, wards: string|null}|null} Absolute paths, or null if council not found
+     */
+    getDataFiles(councilName) {
+        const council = this.getCouncil(councilName);
+        return council ? council.dataFiles : null;
+    }
+
+    /**
+     * Get the knowledge base directory for a council (whether or not its files exist yet)
+     * @param {string} councilName - Council name
+     * @returns {string|null} Absolute directory path, or null if council not found
+     */
+    getDataDir(councilName) {
+        const council = this.getCouncil(councilName);
+        return council ? council.dataDir : null;
+    }
+
+    /**
+     * Replace a council's in-memory knowledge base after the files were rewritten,
+     * so running tools see the new data without a restart
+     * @param {string} councilName - Council name
+     * @param {object} data - New data
+     * @param {object} [data.committees] - committees.json content
+     * @param {object} [data.wards] - wards.json content
+     */
+    setKnowledgeBase(councilName, { committees, wards } = {}) {
+        const council = this.getCouncil(councilName);
+        if (!council) return;
+        if (committees) {
+            council.committees = committees;
+            council.dataFiles.committees = path.join(council.dataDir, 'committees.json');
+        }
+        if (wards) {
+            council.wards = wards;
+            council.dataFiles.wards = path.join(council.dataDir, 'wards.json');
+        }
+    }
+
+    /**
+     * Get a committee from the knowledge base
+     * @param {string} councilName - Council name
+     * @param {number} committeeId - Committee ID
+     * @returns {object|null} Committee record (including members and roles) or null if not found
+     */
+    getCommittee(councilName, committeeId) {
+        const committees = this.getCommittees(councilName);
+        return (committees?.committees || []).find(c => c.id === committeeId) || null;
+    }
+
+    /**
+     * Get a member's committee memberships from the knowledge base
+     * @param {string} councilName - Council name
+     * @param {number} memberId - ModernGov member (user) ID
+     * @returns {Array} Memberships: { committee_id, committee_name, role, url }
+     */
+    getCommitteeMemberships(councilName, memberId) {
+        const committees = this.getCommittees(councilName);
+        return (committees?.committees || [])
+            .filter(c => !c.flags?.deleted && !c.flags?.expired)
+            .flatMap(c => (c.members || [])
+                .filter(m => m.uid === memberId)
+                .map(m => ({
+                    committee_id: c.id,
+                    committee_name: c.title,
+                    role: m.role || null,
+                    url: c.urls?.details || null
+                })));
+    }
+
+    /**
+     * Get the councils at one tier of local government
+     * @param {string} tier - "county" or "district" (district, borough and city councils)
+     * @returns {Array} Array of council names
+     */
+    getCouncilsByTier(tier) {
+        return Array.from(this.councils.values())
+            .filter(council => council.tier === tier)
+            .map(council => council.name);
+    }
+
+    /**
+     * Find the council covering a local authority area
+     * @param {string} areaName - Area name as used in ONS/postcode data (e.g. "Forest of Dean")
+     * @returns {string|null} Council name or null if no council covers that area
+     */
+    findCouncilByArea(areaName) {
+        if (!areaName) return null;
+        const normalized = areaName.trim().toLowerCase();
+        for (const council of this.councils.values()) {
+            if (council.area_name && council.area_name.toLowerCase() === normalized) {
+                return council.name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a council name as a person might type it: any case or
+     * punctuation, an abbreviation ("GCC", "FoDDC"), the place alone
+     * ("Cheltenham") or a small misspelling.
+     *
+     * Returns { status: 'resolved', name, confidence, matched_by } where
+     * matched_by is exact, name, alias, short_name, partial or approximate;
+     * { status: 'ambiguous', candidates: [{ name, confidence }] } when the input
+     * fits more than one council (e.g. "Gloucester"); or
+     * { status: 'not_found', suggestions }.
+     *
+     * @param {string} input - Council name as supplied
+     * @returns {object} Resolution result, always including input
+     */
+    resolveCouncil(input) {
+        if (typeof input === 'string' && this.councils.has(input)) {
+            return { status: 'resolved', input, name: input, confidence: 1, matched_by: 'exact' };
+        }
+        const text = normaliseName(input);
+        if (!text) return { status: 'not_found', input, suggestions: [] };
+
+        return pickBest(input, Array.from(this.councils.values()).map(council => ({
+            name: council.name,
+            ...councilScore(council, text)
+        })));
+    }
+
+    /**
+     * Resolve a ward name against a council's wards, allowing case and
+     * punctuation differences, missing words ("Matson and Robinswood") and
+     * small misspellings. Same result shape as resolveCouncil.
+     *
+     * @param {string} councilName - Canonical council name
+     * @param {string} input - Ward name as supplied
+     * @param {string[]} [wardNames] - Wards to match against. Default: getWardNames
+     * @returns {object} Resolution result
+     */
+    resolveWard(councilName, input, wardNames) {
+        const names = wardNames || (this.getWardNames(councilName) || []).map(w => w.name);
+        if (names.includes(input)) {
+            return { status: 'resolved', input, name: input, confidence: 1, matched_by: 'exact' };
+        }
+        const text = normaliseName(input);
+        if (!text) return { status: 'not_found', input, suggestions: [] };
+
+        return pickBest(input, names.map(name => ({ name, ...wardScore(name, text) })));
+    }
+
     /**
      * Find council by partial name match
      * @param {string} partialName - Partial council name
@@ -126,6 +460,7 @@ class CouncilConfig {
         return Array.from(this.councils.values()).map(council => ({
             name: council.name,
             url: council.url,
+            tier: council.tier,
             has_committees: !!council.committees,
             has_wards: !!council.wards,
             committee_count: council.committees?.committees?.length || 0,
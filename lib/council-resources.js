@@ -0,0 +1,61 @@
+/**
+ * Council Knowledge Base Resources
+ * Exposes each council's committees.json and wards.json as MCP resources:
+ *   gcc://councils/<council-slug>/committees
+ *   gcc://councils/<council-slug>/wards
+ */
+
+const { jsonFileResource } = require('../src/mcp-core');
+const councilConfig = require('./council-config');
+
+/**
+ * Convert a council name into its URI slug
+ * @param {string} councilName - e.g. "Gloucester City Council"
+ * @returns {string} e.g. "gloucester-city-council"
+ */
+function councilSlug(councilName) {
+    return councilName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+const DATA_KINDS = {
+    committees: {
+        title: 'committees',
+        // committees.json records when the ModernGov export was generated
+        version: (document) => document.generatedUtc
+    },
+    wards: {
+        title: 'wards and councillors',
+        // wards.json records when the council website was scraped
+        version: (document) => document.scraped_at
+    }
+};
+
+/**
+ * Build resource definitions for every council knowledge base file on disk
+ * @returns {Array} Resource definitions for createMcpServer()
+ */
+function getCouncilResources() {
+    const resources = [];
+
+    for (const councilName of councilConfig.getCouncilNames()) {
+        const files = councilConfig.getDataFiles(councilName);
+        if (!files) continue;
+
+        for (const [kind, { title, version }] of Object.entries(DATA_KINDS)) {
+            if (!files[kind]) continue;
+            const slug = councilSlug(councilName);
+            resources.push(jsonFileResource({
+                uri: `gcc://councils/${slug}/${kind}`,
+                name: `${slug}-${kind}`,
+                title: `${councilName} ${title}`,
+                description: `Knowledge base snapshot of ${councilName} ${title} that the ModernGov tools enrich their results with.`,
+                filePath: files[kind],
+                version
+            }));
+        }
+    }
+
+    return resources;
+}
+
+module.exports = { getCouncilResources, councilSlug };
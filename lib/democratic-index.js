@@ -0,0 +1,285 @@
+/**
+ * Democratic Records Index
+ * Local inverted index over meeting, agenda item and report text from every
+ * council in json/Gloucestershire/councils.json, ranked with the same BM25
+ * scoring as the schema search (src/schema/search.js).
+ *
+ * One document is held per agenda item (or one per meeting when the agenda is
+ * empty). Documents are grouped by meeting so a refresh replaces a meeting's
+ * items in one step. Only the documents are persisted; postings are rebuilt
+ * when the index file is loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, bm25IDF, bm25TermScore, keywordBoost, extractSnippet } = require('../src/schema/search');
+
+const INDEX_FORMAT_VERSION = 1;
+const SNIPPET_LENGTH = 240;
+
+// Written by npm run refresh:democratic-index and deployed with the app
+const DEFAULT_INDEX_PATH = path.join(__dirname, '..', 'json', 'Gloucestershire', 'democratic-records-index.json');
+
+/**
+ * Location of the persisted index (MODERNGOV_SEARCH_INDEX_PATH, else the deployed index file)
+ * @returns {string} Absolute file path
+ */
+function getIndexPath() {
+    return process.env.MODERNGOV_SEARCH_INDEX_PATH || DEFAULT_INDEX_PATH;
+}
+
+function meetingKey(councilName, meetingId) {
+    return `${councilName}|${meetingId}`;
+}
+
+/**
+ * Convert a ModernGov meeting date (DD/MM/YYYY or ISO) to YYYY-MM-DD
+ * @param {string} value - Meeting date
+ * @returns {string|null} ISO date or null if unparseable
+ */
+function toIsoDate(value) {
+    if (!value || typeof value !== 'string') return null;
+    const uk = value.trim().match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+    if (uk) return `${uk[3]}-${uk[2]}-${uk[1]}`;
+    const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return iso ? `${iso[1]}-${iso[2]}-${iso[3]}` : null;
+}
+
+class DemocraticIndex {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Empty the in-memory index and forget the loaded file
+     */
+    reset() {
+        this.meetings = new Map();   // meetingKey -> meeting record (with documents)
+        this.documents = new Map();  // docId -> document
+        this.postings = new Map();   // term -> Map(docId -> term frequency)
+        this.docLengths = new Map(); // docId -> token count
+        this.totalLength = 0;
+        this.updatedAt = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load the persisted index once per process; a missing or unreadable
+     * file leaves an empty index
+     */
+    ensureLoaded() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const file = getIndexPath();
+        if (!fs.existsSync(file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (data.version !== INDEX_FORMAT_VERSION) {
+                console.warn(`Democratic records index at ${file} has format ${data.version}, expected ${INDEX_FORMAT_VERSION} — starting empty`);
+                return;
+            }
+            for (const meeting of Object.values(data.meetings || {})) {
+                this._addMeeting(meeting);
+            }
+            this.updatedAt = data.updated_at || null;
+        } catch (e) {
+            console.warn(`Could not read democratic records index at ${file}:`, e.message);
+        }
+    }
+
+    /**
+     * Write the index to disk (via a temporary file so readers never see a partial write)
+     */
+    save() {
+        const file = getIndexPath();
+        const data = {
+            version: INDEX_FORMAT_VERSION,
+            updated_at: this.updatedAt,
+            meetings: Object.fromEntries(this.meetings)
+        };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    /**
+     * Get the indexed record for a meeting
+     * @param {string} councilName - Council name
+     * @param {number} meetingId - Meeting ID
+     * @returns {object|null} Meeting record or null if not indexed
+     */
+    getMeeting(councilName, meetingId) {
+        this.ensureLoaded();
+        return this.meetings.get(meetingKey(councilName, meetingId)) || null;
+    }
+
+    /**
+     * Add or replace a meeting and its agenda item documents
+     * @param {object} meeting - Meeting record
+     * @param {string} meeting.council - Council name
+     * @param {number} meeting.meeting_id - Meeting ID
+     * @param {object[]} meeting.documents - Documents: { item_id, item_number, item_title, text, source_url, documents }
+     */
+    upsertMeeting(meeting) {
+        this.ensureLoaded();
+        this.removeMeeting(meeting.council, meeting.meeting_id);
+        this._addMeeting(meeting);
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Remove a meeting and its documents
+     * @param {string} councilName - Council name
+     * @param {number} meetingId - Meeting ID
+     * @returns {boolean} True if the meeting was indexed
+     */
+    removeMeeting(councilName, meetingId) {
+        this.ensureLoaded();
+        const key = meetingKey(councilName, meetingId);
+        const meeting = this.meetings.get(key);
+        if (!meeting) return false;
+
+        for (const doc of meeting.documents) {
+            const docId = `${key}|${doc.item_id ?? 'meeting'}`;
+            for (const term of new Set(tokenize(doc.text))) {
+                const posting = this.postings.get(term);
+                if (!posting) continue;
+                posting.delete(docId);
+                if (posting.size === 0) this.postings.delete(term);
+            }
+            this.totalLength -= this.docLengths.get(docId) || 0;
+            this.docLengths.delete(docId);
+            this.documents.delete(docId);
+        }
+        this.meetings.delete(key);
+        return true;
+    }
+
+    _addMeeting(meeting) {
+        const key = meetingKey(meeting.council, meeting.meeting_id);
+        this.meetings.set(key, meeting);
+
+        for (const doc of meeting.documents || []) {
+            const docId = `${key}|${doc.item_id ?? 'meeting'}`;
+            const tokens = tokenize(doc.text);
+            const tf = new Map();
+            for (const token of tokens) {
+                tf.set(token, (tf.get(token) || 0) + 1);
+            }
+            for (const [term, count] of tf) {
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                this.postings.get(term).set(docId, count);
+            }
+            this.documents.set(docId, { ...doc, meeting });
+            this.docLengths.set(docId, tokens.length);
+            this.totalLength += tokens.length;
+        }
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Free-text query
+     * @param {object} [filters] - Filters
+     * @param {string} [filters.council] - Exact council name
+     * @param {number} [filters.committee_id] - Committee ID
+     * @param {string} [filters.committee_name] - Case-insensitive committee name fragment
+     * @param {string} [filters.from_date] - Earliest meeting date (YYYY-MM-DD, inclusive)
+     * @param {string} [filters.to_date] - Latest meeting date (YYYY-MM-DD, inclusive)
+     * @param {number} [topK] - Number of results (default 10)
+     * @returns {{ results: object[], total_matches: number }} Ranked results
+     */
+    search(query, filters = {}, topK = 10) {
+        this.ensureLoaded();
+        const queryTokens = Array.from(new Set(tokenize(query)));
+        const n = this.documents.size;
+        if (queryTokens.length === 0 || n === 0) {
+            return { results: [], total_matches: 0 };
+        }
+
+        const avgDL = this.totalLength / n;
+        const scores = new Map();
+        for (const term of queryTokens) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            const idfValue = bm25IDF(n, posting.size);
+            for (const [docId, termFreq] of posting) {
+                const score = bm25TermScore(termFreq, idfValue, this.docLengths.get(docId), avgDL);
+                scores.set(docId, (scores.get(docId) || 0) + score);
+            }
+        }
+
+        const committeeName = filters.committee_name ? filters.committee_name.toLowerCase() : null;
+        const matches = [];
+        for (const [docId, bm25] of scores) {
+            const doc = this.documents.get(docId);
+            const { meeting } = doc;
+            if (filters.council && meeting.council !== filters.council) continue;
+            if (filters.committee_id && meeting.committee_id !== filters.committee_id) continue;
+            if (committeeName && !(meeting.committee_name || '').toLowerCase().includes(committeeName)) continue;
+            if (filters.from_date && (!meeting.meeting_date || meeting.meeting_date < filters.from_date)) continue;
+            if (filters.to_date && (!meeting.meeting_date || meeting.meeting_date > filters.to_date)) continue;
+            matches.push({ doc, score: bm25 * keywordBoost(query, doc.text) });
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+
+        return {
+            total_matches: matches.length,
+            results: matches.slice(0, topK).map(({ doc, score }) => ({
+                score: Math.round(score * 100) / 100,
+                council: doc.meeting.council,
+                committee_id: doc.meeting.committee_id,
+                committee_name: doc.meeting.committee_name,
+                meeting_id: doc.meeting.meeting_id,
+                meeting_date: doc.meeting.meeting_date,
+                item_id: doc.item_id ?? null,
+                item_number: doc.item_number || null,
+                item_title: doc.item_title || null,
+                snippet: extractSnippet(doc.text, query, SNIPPET_LENGTH),
+                matched_report_text: Boolean(doc.has_report_text),
+                source_url: doc.source_url,
+                documents: doc.documents || []
+            }))
+        };
+    }
+
+    /**
+     * Summary of what the index holds
+     * @returns {object} Counts per council and last update time
+     */
+    getStats() {
+        this.ensureLoaded();
+        const councils = {};
+        for (const meeting of this.meetings.values()) {
+            const entry = councils[meeting.council] || (councils[meeting.council] = {
+                meetings: 0,
+                documents: 0,
+                earliest_meeting: null,
+                latest_meeting: null
+            });
+            entry.meetings += 1;
+            entry.documents += meeting.documents.length;
+            if (meeting.meeting_date) {
+                if (!entry.earliest_meeting || meeting.meeting_date < entry.earliest_meeting) entry.earliest_meeting = meeting.meeting_date;
+                if (!entry.latest_meeting || meeting.meeting_date > entry.latest_meeting) entry.latest_meeting = meeting.meeting_date;
+            }
+        }
+        return {
+            meetings: this.meetings.size,
+            documents: this.documents.size,
+            terms: this.postings.size,
+            updated_at: this.updatedAt,
+            councils
+        };
+    }
+}
+
+// Export singleton instance
+const democraticIndex = new DemocraticIndex();
+
+module.exports = democraticIndex;
+module.exports.toIsoDate = toIsoDate;
+module.exports.getIndexPath = getIndexPath;
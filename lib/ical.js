@@ -0,0 +1,181 @@
+/**
+ * iCalendar (RFC 5545) Writer
+ * Builds VCALENDAR feeds of meetings in UK local time. Events carry a
+ * TZID=Europe/London start with a matching VTIMEZONE, which Outlook needs
+ * to place BST meetings correctly.
+ */
+
+const PRODUCT_ID = '-//Gloucestershire Councils MCP//Meetings Calendar//EN';
+const TIMEZONE = 'Europe/London';
+const MAX_LINE_OCTETS = 75;
+
+const VTIMEZONE_EUROPE_LONDON = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0000',
+    'TZOFFSETTO:+0100',
+    'TZNAME:BST',
+    'DTSTART:19700329T010000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0000',
+    'TZNAME:GMT',
+    'DTSTART:19701025T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, never splitting a UTF-8 character
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME (e.g. 20260101T120000Z)
+ * @param {Date} date - Date
+ * @returns {string} UTC timestamp
+ */
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a ModernGov meeting time ("6.00 pm", "10:30am", "2pm", "14:00")
+ * @param {string} value - Time as published
+ * @returns {{hours: number, minutes: number}|null} 24-hour time, or null if not recognised
+ */
+function parseMeetingTime(value) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?:[.:](\d{2}))?\s*(am|pm|noon)?/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const suffix = match[3];
+    if (!suffix && !match[2]) return null;
+    if (suffix === 'pm' && hours < 12) hours += 12;
+    if (suffix === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Render one VEVENT
+ *
+ * @param {object} event - Event
+ * @param {string} event.uid - Globally unique, stable identifier
+ * @param {string} event.date - Meeting date, DD/MM/YYYY
+ * @param {object|null} event.start - Local start { hours, minutes }; null for an all-day event
+ * @param {object|null} [event.end] - Local finish { hours, minutes } on the same day
+ * @param {string} [event.duration] - Duration used when end is unknown. Default: PT2H
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Venue
+ * @param {string} [event.url] - Web page
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {string[]} [event.categories] - Categories
+ * @param {Date} stamp - DTSTAMP
+ * @returns {string[]} Unfolded content lines
+ */
+function buildEvent(event, stamp) {
+    const [dd, mm, yyyy] = event.date.split('/');
+    const day = `${yyyy}${mm}${dd}`;
+    const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtcDateTime(stamp)}`];
+
+    if (event.start) {
+        lines.push(`DTSTART;TZID=${TIMEZONE}:${day}T${pad(event.start.hours)}${pad(event.start.minutes)}00`);
+        const endsLater = event.end && (event.end.hours * 60 + event.end.minutes) > (event.start.hours * 60 + event.start.minutes);
+        if (endsLater) {
+            lines.push(`DTEND;TZID=${TIMEZONE}:${day}T${pad(event.end.hours)}${pad(event.end.minutes)}00`);
+        } else {
+            lines.push(`DURATION:${event.duration || 'PT2H'}`);
+        }
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${day}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.categories && event.categories.length > 0) {
+        lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+    return lines;
+}
+
+/**
+ * Render a complete calendar
+ *
+ * @param {object} calendar - Calendar
+ * @param {string} calendar.name - Display name (X-WR-CALNAME)
+ * @param {string} [calendar.description] - Description (X-WR-CALDESC)
+ * @param {string} [calendar.refreshInterval] - Suggested polling interval. Default: PT6H
+ * @param {object[]} calendar.events - Events (see buildEvent)
+ * @param {Date} [stamp] - DTSTAMP for every event. Default: now
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name, description, refreshInterval = 'PT6H', events }, stamp = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+        `X-WR-TIMEZONE:${TIMEZONE}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+        `X-PUBLISHED-TTL:${refreshInterval}`,
+        ...VTIMEZONE_EUROPE_LONDON,
+        ...events.flatMap(event => buildEvent(event, stamp)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar, escapeText, foldLine, parseMeetingTime };
@@ -6,15 +6,27 @@
 const { listCommittees } = require('./tools/list-committees');
 const { getCouncillors } = require('./tools/get-councillors');
 const { getCouncillorsByWard } = require('./tools/get-councillors-by-ward');
+const { findMyCouncillors } = require('./tools/find-my-councillors');
+const { getMember } = require('./tools/get-member');
+const { listCommitteeMembers } = require('./tools/list-committee-members');
 const { getMeetings } = require('./tools/get-meetings');
+const { exportMeetingsCalendar } = require('./tools/export-meetings-calendar');
+const { getForwardPlan } = require('./tools/get-forward-plan');
 const { getMeetingDetails } = require('./tools/get-meeting-details');
 const { getAttachment } = require('./tools/get-attachment');
 const { analyzeMeetingDocument } = require('./tools/analyze-meeting-document');
 const { getReportRecommendations } = require('./tools/get-report-recommendations');
+const { getMeetingBriefing } = require('./tools/get-meeting-briefing');
+const { traceDecision } = require('./tools/trace-decision');
+const { searchDemocraticRecords } = require('./tools/search-democratic-records');
+const { syncKnowledgeBase } = require('./tools/sync-knowledge-base');
 const { getGloucesterConstitution } = require('./tools/get-gloucester-constitution');
 const councilConfig = require('./council-config');
+const { getCouncilResources } = require('./council-resources');
+const { createMcpServer } = require('../src/mcp-core');
 const COUNCIL_NAMES = councilConfig.getCouncilNames();
 const COUNCIL_NAMES_TEXT = COUNCIL_NAMES.join(', ');
+const COUNCIL_NAME_FORMS = 'Full names, short forms and abbreviations are accepted (e.g. "Cheltenham", "GCC", "FoDDC"); a name that fits more than one council, such as "Gloucester", returns the candidates to choose between.';
 
 /**
  * Sanitize an error message before sending it to AI clients.
@@ -67,12 +79,12 @@ function getDateContext() {
 const TOOLS = [
     {
         name: 'list_available_councils',
-        description: `⭐ START HERE: Lists all 7 Gloucestershire councils with their exact names and metadata.
+        description: `⭐ START HERE: Lists all 7 Gloucestershire councils with their official names and metadata.
 
 🔑 KEY USAGE: This MCP server provides access to democratic data across multiple councils. Always call this tool FIRST to discover which councils are available before making other queries.
 
 Returns for each council:
-- Exact name (use this exact string in other tool calls - case-sensitive!)
+- Official name (other tools also accept short forms such as "Cheltenham" or "GCC" and resolve them to this name)
 - Base URL for democracy portal
 - Number of committees and wards available
 - Data availability status
@@ -82,7 +94,7 @@ Returns for each council:
 2. Councillor lookup: list_available_councils → get_councillors(council_name) → get_councillors_by_ward(council_name, ward_name)
 3. Meeting research: list_available_councils → list_committees(council_name) → get_meetings(council_name, committee_id) → get_meeting_details(council_name, meeting_id)
 
-Example: list_available_councils() returns "Gloucester City Council" - use this exact string for other calls.`,
+Example: list_available_councils() returns "Gloucester City Council" - use this name (or "GCC") for other calls.`,
         inputSchema: {
             type: 'object',
             properties: {},
@@ -96,14 +108,13 @@ Example: list_available_councils() returns "Gloucester City Council" - use this
 Usage example: list_committees(council_name='Gloucester City Council')
 Or without parameter: list_committees() to see all councils
 
-💡 TIP: Use list_available_councils first to get the exact council name.`,
+💡 TIP: Short forms such as "Stroud" work; use list_available_councils to see every council.`,
         inputSchema: {
             type: 'object',
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name (optional). Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}. If not specified, returns committees for all councils.`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name (optional). ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}. If not specified, returns committees for all councils.`
                 }
             },
             required: []
@@ -123,8 +134,7 @@ Returns official meeting schedule data. Meeting dates, times, and venues are par
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name. Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
                 },
                 committee_id: {
                     type: 'integer',
@@ -142,6 +152,64 @@ Returns official meeting schedule data. Meeting dates, times, and venues are par
             required: ['council_name', 'committee_id']
         }
     },
+    {
+        name: 'export_meetings_calendar',
+        description: `Exports committee meetings as an iCalendar (.ics) feed that Outlook, Google and Apple calendars can subscribe to. Covers one or more committees, across councils.
+
+Usage examples:
+- export_meetings_calendar(committee_name='Planning')  → every Planning committee in Gloucestershire
+- export_meetings_calendar(committee_name='Licensing', council_name='Stroud District Council')
+- export_meetings_calendar(committees=[{council_name: 'Gloucester City Council', committee_id: 544}, {council_name: 'Cheltenham Borough Council', committee_id: 130}])
+
+Each event carries the venue, the agenda web_page link and a UID that stays the same across refreshes, so rescheduled meetings update in place; cancelled meetings are marked STATUS:CANCELLED.
+
+Returns subscribe_url (the same feed served at /api/calendar/meetings.ics), the events as JSON, and the ics text.
+
+💡 TIP: Give users subscribe_url to add in Outlook (Add calendar → Subscribe from web) rather than the ics text, so the calendar keeps itself up to date.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                committee_name: {
+                    type: 'string',
+                    description: 'Include every active committee whose title contains these words, at every council (or council_name only), e.g. "Planning", "Licensing", "Cabinet"'
+                },
+                council_name: {
+                    type: 'string',
+                    description: `Only match committee_name at this council. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                committees: {
+                    type: 'array',
+                    description: 'Specific committees to include (use list_committees to find IDs)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            council_name: { type: 'string', description: 'Council name' },
+                            committee_id: { type: 'integer', description: 'Committee ID' }
+                        },
+                        required: ['council_name', 'committee_id']
+                    },
+                    maxItems: 25
+                },
+                from_date: {
+                    type: 'string',
+                    description: 'Start date in DD/MM/YYYY format, or today. Default: 90 days ago'
+                },
+                to_date: {
+                    type: 'string',
+                    description: 'End date in DD/MM/YYYY format (inclusive). Default: a year ahead'
+                },
+                include_venues: {
+                    type: 'boolean',
+                    description: 'Look up venues missing from the schedule, for up to 20 meetings, the next ones first. Default: true'
+                },
+                calendar_name: {
+                    type: 'string',
+                    description: 'Calendar name shown in the calendar app. Default: based on committee_name'
+                }
+            },
+            required: []
+        }
+    },
     {
         name: 'get_meeting_details',
         description: `Gets complete meeting details including agenda, attendees, and linked documents.
@@ -162,17 +230,125 @@ Response includes data_classification and is_official_record fields to help iden
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name. Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                meeting_id: {
+                    type: 'integer',
+                    description: 'Meeting ID (obtained from get_meetings)'
+                }
+            },
+            required: ['council_name', 'meeting_id']
+        }
+    },
+    {
+        name: 'get_meeting_briefing',
+        description: `Builds a pre-meeting briefing pack for a meeting in one call: one briefing per agenda item plus a meeting-level overview.
+
+Usage examples:
+- get_meeting_briefing(council_name='Gloucester City Council', meeting_id=123456)
+- get_meeting_briefing(council_name='Gloucester City Council', meeting_id=123456, item_numbers=['5', '7'])
+- get_meeting_briefing(council_name='Gloucester City Council', meeting_id=123456, include_document_analysis=false)  → fast agenda-only pack
+
+Each item briefing gives decision status, category, public interest level, the official recommendation, financial and legal implications, risks, appendices and source links. Document analysis reads each item's main report and is the slow part; limit it with analyse_item_numbers, max_analysed_items or time_budget_seconds. Items not analysed are still briefed from the agenda and the reason is listed in briefing_scope.document_analysis.items_not_analysed.
+
+⚠️ CRITICAL: official_recommendation, financial_implications_official and legal_implications_official are official record and must be quoted verbatim. Points prefixed "Inference:" are not part of the record and must be presented as interpretation. Always include source_links.
+
+💡 TIP: Use get_meetings first to find meeting IDs.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
                 },
                 meeting_id: {
                     type: 'integer',
                     description: 'Meeting ID (obtained from get_meetings)'
+                },
+                item_numbers: {
+                    type: 'array',
+                    items: { type: 'string', minLength: 1 },
+                    description: 'Brief only these agenda items, by item number as shown on the agenda (e.g. "5") or agenda item id. Default: every item'
+                },
+                include_document_analysis: {
+                    type: 'boolean',
+                    description: 'Analyse each item\'s main report for recommendations, implications and risks. Default: true'
+                },
+                analyse_item_numbers: {
+                    type: 'array',
+                    items: { type: 'string', minLength: 1 },
+                    description: 'Run document analysis only for these items; other items are briefed from the agenda alone. Default: every briefed item'
+                },
+                max_analysed_items: {
+                    type: 'integer',
+                    minimum: 0,
+                    description: 'Maximum number of items to run document analysis for, in agenda order'
+                },
+                time_budget_seconds: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 600,
+                    description: 'Stop starting new document analysis once this many seconds have passed; remaining items are briefed from the agenda alone. Default: 120'
                 }
             },
             required: ['council_name', 'meeting_id']
         }
     },
+    {
+        name: 'trace_decision',
+        description: `Follows a report or agenda item through later meetings of the same council and returns the timeline from recommendation to recorded resolution, e.g. Cabinet recommending to Council and Council resolving.
+
+Usage examples:
+- trace_decision(council_name='Gloucester City Council', meeting_id=123456, item='7')
+- trace_decision(council_name='Gloucester City Council', meeting_id=123456, item='7', window_days=365)
+
+Returns origin (with the report's official recommendations), timeline (one stage per meeting, each with official_text, outcome and source_url) and current_position (decided, awaiting_decision_by_another_body, awaiting_meeting or unclear). Later meetings are found by matching the item title and recommendation wording; each subsequent stage includes its match scores.
+
+⚠️ CRITICAL: recommendations and official_text are official record and must be quoted verbatim with the stage source_url. Links between meetings are inferred from wording — say so, and list evidence_gaps.
+
+💡 TIP: Later meetings are found in the democratic records index. If the window runs past the meetings it covers, evidence_gaps says so; check those meetings with get_meetings.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                meeting_id: {
+                    type: 'integer',
+                    description: 'Meeting where the item was first considered (from get_meetings or search_democratic_records)'
+                },
+                item: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Agenda item number as shown on the agenda (e.g. "7") or agenda item id from get_meeting_details'
+                },
+                window_days: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 730,
+                    description: 'How many days after the first meeting to search. Default: 180'
+                },
+                include_report_recommendations: {
+                    type: 'boolean',
+                    description: 'Extract the official recommendations from the item\'s report and match on them. Default: true'
+                },
+                max_meetings: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 50,
+                    description: 'Maximum number of later meetings to check. Default: 10'
+                },
+                time_budget_seconds: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 600,
+                    description: 'Stop starting new work once this many seconds have passed. Default: 120'
+                }
+            },
+            required: ['council_name', 'meeting_id', 'item']
+        }
+    },
     {
         name: 'get_councillors',
         description: `Gets all councillors organized by ward for a council. Returns list of all wards with their councillors including names, parties, and contact information.
@@ -185,8 +361,7 @@ Usage example: get_councillors(council_name='Gloucester City Council')
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name. Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
                 }
             },
             required: ['council_name']
@@ -198,14 +373,13 @@ Usage example: get_councillors(council_name='Gloucester City Council')
 
 Usage example: get_councillors_by_ward(council_name='Gloucester City Council', ward_name='Kingsholm and Wotton')
 
-💡 TIP: Use get_councillors first to see all available wards for a council.`,
+💡 TIP: Ward names do not need to be exact - "Matson and Robinswood" finds "Matson, Robinswood and White City". An ambiguous name such as "Quedgeley" returns the matching wards. Use get_councillors to see all wards for a council.`,
         inputSchema: {
             type: 'object',
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name. Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
                 },
                 ward_name: {
                     type: 'string',
@@ -215,6 +389,127 @@ Usage example: get_councillors_by_ward(council_name='Gloucester City Council', w
             required: ['council_name', 'ward_name']
         }
     },
+    {
+        name: 'find_my_councillors',
+        description: `Finds every councillor representing a postcode: the Gloucestershire County Council division councillor, the district/borough/city ward councillors and the parish (where there is one).
+
+Usage example: find_my_councillors(postcode='GL1 2EP')
+
+Use this for "who is my councillor?" questions — no council or ward name is needed. The postcode decides which district council is asked, so residents do not need to know which council covers them.
+
+Returns county_division, district_ward and parish, each with the council, area name and councillors (name, party, key posts, work contact details and profile link). Parish councillors are not published through ModernGov, so parish gives the parish name only. Home addresses are never returned.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                postcode: {
+                    type: 'string',
+                    description: 'Full UK postcode, with or without the space (e.g. "GL1 2EP")'
+                }
+            },
+            required: ['postcode']
+        }
+    },
+    {
+        name: 'get_member',
+        description: `Gets a councillor's profile: ward, party, key posts, terms of office and committee memberships with chair/vice-chair roles.
+
+Usage examples:
+- get_member(council_name='Gloucester City Council', member_name='Jeremy Hilton')
+- get_member(council_name='Gloucester City Council', member_id=129)
+
+Returns member (work contact details, photo, profile link, terms_of_office, current_term), committee_memberships and roles (chair_of, vice_chair_of). Home addresses are excluded unless include_home_address=true; only request them when there is a specific need, and never republish them.
+
+💡 TIP: A partial name works if it matches one councillor; otherwise the response lists the matching members.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                member_id: {
+                    type: 'integer',
+                    description: 'ModernGov member ID (from get_councillors or list_committee_members)'
+                },
+                member_name: {
+                    type: 'string',
+                    description: 'Full or partial councillor name, with or without "Councillor" (e.g. "Jeremy Hilton")'
+                },
+                include_home_address: {
+                    type: 'boolean',
+                    description: 'Include the home address the councillor has published. Default: false'
+                }
+            },
+            required: ['council_name']
+        }
+    },
+    {
+        name: 'list_committee_members',
+        description: `Lists who sits on a committee, with the chair, vice-chair(s) and each member's role, party and ward.
+
+Usage example: list_committee_members(council_name='Gloucester City Council', committee_id=544)
+
+Membership and roles come from the committee knowledge base (see last_updated); party, ward and work contact details are added from live ModernGov where available. Home addresses are never returned.
+
+💡 TIP: Use list_committees first to find committee IDs.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                committee_id: {
+                    type: 'integer',
+                    description: 'Committee ID (use list_committees to find IDs)'
+                }
+            },
+            required: ['council_name', 'committee_id']
+        }
+    },
+    {
+        name: 'get_forward_plan',
+        description: `Gets a council's published Forward Plan: the upcoming key decisions with decision-maker, expected decision date, wards affected and Forward Plan reference. Can also check whether a specific Forward Plan reference exists.
+
+Usage examples:
+- get_forward_plan(council_name='Gloucester City Council')
+- get_forward_plan(council_name='Gloucester City Council', search='leisure', to_date='31/03/2027')
+- get_forward_plan(council_name='Gloucester City Council', reference='FP/2026/014')
+
+Returns items (reference, title, summary, decision_maker, expected_decision_date, wards_affected, is_key_decision, url) sorted by expected date. With reference, returns found (true/false) and the matching item, searched across the whole published plan.
+
+💡 TIP: Use reference to verify the forward_plan_reference given to gcc_procurement_validate_case before relying on it — a key decision (KD3: over £100,000) cannot be taken without a Forward Plan entry.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                reference: {
+                    type: 'string',
+                    description: 'Forward Plan reference to look up (e.g. "FP/2026/014"). Date and search filters are ignored when set.'
+                },
+                from_date: {
+                    type: 'string',
+                    description: 'Earliest expected decision date in DD/MM/YYYY format, or today/yesterday/tomorrow. Default: today'
+                },
+                to_date: {
+                    type: 'string',
+                    description: 'Latest expected decision date in DD/MM/YYYY format, or today/yesterday/tomorrow. Default: 12 months after from_date'
+                },
+                key_decisions_only: {
+                    type: 'boolean',
+                    description: 'Only list key decisions. Default: true'
+                },
+                search: {
+                    type: 'string',
+                    description: 'Only list items whose title or summary contains this text'
+                }
+            },
+            required: ['council_name']
+        }
+    },
     {
         name: 'get_attachment',
         description: `Gets metadata and URL for a specific document/attachment. Attachment IDs are found in meeting details linkeddocuments.
@@ -229,8 +524,7 @@ Returns official document metadata. The document URL should always be included w
             properties: {
                 council_name: {
                     type: 'string',
-                    description: `Council name. Must match exactly (case-sensitive). Use list_available_councils to see valid names. Available councils: ${COUNCIL_NAMES_TEXT}`,
-                    enum: COUNCIL_NAMES
+                    description: `Council name. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
                 },
                 attachment_id: {
                     type: 'integer',
@@ -313,6 +607,78 @@ When responding with this data:
             required: ['url']
         }
     },
+    {
+        name: 'search_democratic_records',
+        description: `Full-text search across agendas, decisions, minutes and report text from all ${COUNCIL_NAMES.length} Gloucestershire councils, ranked by relevance (BM25).
+
+Usage examples:
+- search_democratic_records(query='Local Plan Regulation 19 consultation')
+- search_democratic_records(query='car parking charges', council_name='Stroud District Council', from_date='01/01/2025')
+- search_democratic_records(query='housing strategy', committee_name='Cabinet', top_k=5)
+
+Returns ranked agenda items with council, committee, meeting date, item title, a matching snippet and source_url (the meeting web page). Searches an index built by an administrator with npm run refresh:democratic-index; the response's index field shows which councils and dates it covers.
+
+⚠️ Snippets are for finding items. Before presenting a decision or recommendation as official record, fetch it with get_meeting_details or get_report_recommendations and quote it verbatim with its source link.
+
+💡 TIP: If the index misses the period you need, use get_meetings and get_meeting_details for that period instead.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'What to search for, e.g. "Local Plan Regulation 19 consultation"'
+                },
+                council_name: {
+                    type: 'string',
+                    description: `Only search this council. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}`
+                },
+                committee_id: {
+                    type: 'integer',
+                    description: 'Only search this committee (requires council_name; use list_committees to find IDs)'
+                },
+                committee_name: {
+                    type: 'string',
+                    description: 'Only search committees whose name contains this text (case-insensitive), e.g. "Cabinet" or "Planning"'
+                },
+                from_date: {
+                    type: 'string',
+                    description: 'Earliest meeting date in DD/MM/YYYY format'
+                },
+                to_date: {
+                    type: 'string',
+                    description: 'Latest meeting date in DD/MM/YYYY format'
+                },
+                top_k: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 50,
+                    description: 'Number of results to return. Default: 10'
+                }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'sync_knowledge_base',
+        description: `Compares each council's committee and ward knowledge base (committees.json, wards.json) with ModernGov. Report only: nothing is written.
+
+Usage examples:
+- sync_knowledge_base()  → report differences for every council
+- sync_knowledge_base(council_name='Stroud District Council')
+
+Reports new, renamed and expired committees, and added, removed and renamed wards per council (boundary_change_likely when wards were added and removed together). ModernGov responses come from the response cache, so may be up to a day old. The files are updated by an administrator with npm run sync:knowledge-base.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                council_name: {
+                    type: 'string',
+                    description: `Only compare this council. ${COUNCIL_NAME_FORMS} Available councils: ${COUNCIL_NAMES_TEXT}. Default: all councils`
+                }
+            },
+            required: []
+        }
+    },
     {
         name: 'get_gloucester_constitution',
         description: `Gets Gloucester City Council's Constitution and all associated governance documents.
@@ -338,114 +704,132 @@ Usage examples:
         }
     }
 ];
-const TOOL_NAME_SET = new Set(TOOLS.map((tool) => tool.name));
+
+// Errors withCouncilResolution answers with instead of running the tool
+const COUNCIL_RESOLUTION_ERRORS = ['Ambiguous council name', 'Unknown council'];
 
 /**
- * Route tool calls to appropriate implementations
+ * Resolve a council_name argument before the tool runs, so every tool accepts
+ * the same short forms and abbreviations. The tool receives the official name;
+ * an ambiguous or unknown name is answered with the candidates instead, flagged
+ * isError by the server so clients do not take it for data.
  */
-async function callTool(name, args, context) {
-    context.log(`Calling tool: ${name}`);
+function withCouncilResolution(handler) {
+    return async (args, context) => {
+        if (typeof args.council_name !== 'string') {
+            return handler(args, context);
+        }
 
-    switch (name) {
-        case 'list_available_councils':
+        const resolution = councilConfig.resolveCouncil(args.council_name);
+        if (resolution.status === 'ambiguous') {
             return {
-                councils: councilConfig.getAllCouncilsSummary(),
-                total_count: COUNCIL_NAMES.length,
-                note: 'Use the exact council name (case-sensitive) in the council_name parameter for other tools.',
-                council_names: COUNCIL_NAMES
+                error: COUNCIL_RESOLUTION_ERRORS[0],
+                council_name: args.council_name,
+                hint: `"${args.council_name}" could mean more than one council. Ask the user which one they mean, then retry with that council's name.`,
+                candidates: resolution.candidates,
+                available_councils: COUNCIL_NAMES
             };
+        }
+        if (resolution.status === 'not_found') {
+            return {
+                error: COUNCIL_RESOLUTION_ERRORS[1],
+                council_name: args.council_name,
+                hint: 'This server covers the Gloucestershire county, city, borough and district councils only. Use list_available_councils to see them.',
+                suggestions: resolution.suggestions,
+                available_councils: COUNCIL_NAMES
+            };
+        }
 
-        case 'list_committees':
-            return await listCommittees(args.council_name);
-
-        case 'get_meetings':
-            return await getMeetings(args.council_name, args.committee_id, args.from_date, args.to_date);
-
-        case 'get_meeting_details':
-            return await getMeetingDetails(args.council_name, args.meeting_id);
-
-        case 'get_councillors':
-            return await getCouncillors(args.council_name);
-
-        case 'get_councillors_by_ward':
-            return await getCouncillorsByWard(args.council_name, args.ward_name);
-
-        case 'get_attachment':
-            return await getAttachment(args.council_name, args.attachment_id);
-
-        case 'analyze_meeting_document':
-            return await analyzeMeetingDocument(
-                args.url,
-                args.extract_sections || ['all'],
-                args.max_items || 20
-            );
-
-        case 'get_report_recommendations':
-            return await getReportRecommendations({
-                url: args.url,
-                report_text: args.report_text,
-                max_items: args.max_items || 20
-            });
-
-        case 'get_gloucester_constitution':
-            return await getGloucesterConstitution({
-                include_documents: args.include_documents || false
-            });
-
-        default:
-            throw new Error(`Unknown tool: ${name}`);
-    }
-}
-
-/**
- * Handle MCP JSON-RPC requests
- */
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        const result = await handler({ ...args, council_name: resolution.name }, context);
+        if (resolution.matched_by === 'exact' || !result || typeof result !== 'object' || Array.isArray(result)) {
+            return result;
+        }
         return {
-            jsonrpc: '2.0',
-            error: {
-                code: -32600,
-                message: 'Invalid Request: body must be a JSON object'
-            },
-            id: null
+            ...result,
+            council_resolution: {
+                input: args.council_name,
+                resolved_to: resolution.name,
+                confidence: resolution.confidence,
+                matched_by: resolution.matched_by
+            }
         };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
+    };
+}
 
-    // Validate JSON-RPC version
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: {
-                code: -32600,
-                message: 'Invalid Request: jsonrpc must be "2.0"'
-            },
-            id: requestId
-        };
-    }
+// Tool routing — each handler receives the validated arguments object
+const TOOL_HANDLERS = {
+    list_available_councils: () => ({
+        councils: councilConfig.getAllCouncilsSummary(),
+        total_count: COUNCIL_NAMES.length,
+        note: 'Use these council names in the council_name parameter for other tools. Short forms and abbreviations (e.g. "Cheltenham", "GCC") are resolved to them.',
+        council_names: COUNCIL_NAMES
+    }),
+    list_committees: (args) => listCommittees(args.council_name),
+    get_meetings: (args) => getMeetings(args.council_name, args.committee_id, args.from_date, args.to_date),
+    export_meetings_calendar: (args) => exportMeetingsCalendar(args),
+    get_meeting_details: (args) => getMeetingDetails(args.council_name, args.meeting_id),
+    get_meeting_briefing: (args) => getMeetingBriefing(args.council_name, args.meeting_id, {
+        item_numbers: args.item_numbers,
+        include_document_analysis: args.include_document_analysis,
+        analyse_item_numbers: args.analyse_item_numbers,
+        max_analysed_items: args.max_analysed_items,
+        time_budget_seconds: args.time_budget_seconds
+    }),
+    trace_decision: (args) => traceDecision(args.council_name, args.meeting_id, args.item, {
+        window_days: args.window_days,
+        include_report_recommendations: args.include_report_recommendations,
+        max_meetings: args.max_meetings,
+        time_budget_seconds: args.time_budget_seconds
+    }),
+    get_councillors: (args) => getCouncillors(args.council_name),
+    get_councillors_by_ward: (args) => getCouncillorsByWard(args.council_name, args.ward_name),
+    find_my_councillors: (args) => findMyCouncillors(args.postcode),
+    get_member: (args) => getMember(args.council_name, {
+        member_id: args.member_id,
+        member_name: args.member_name,
+        include_home_address: args.include_home_address || false
+    }),
+    list_committee_members: (args) => listCommitteeMembers(args.council_name, args.committee_id),
+    get_forward_plan: (args) => getForwardPlan(args.council_name, {
+        reference: args.reference,
+        from_date: args.from_date,
+        to_date: args.to_date,
+        key_decisions_only: args.key_decisions_only,
+        search: args.search
+    }),
+    get_attachment: (args) => getAttachment(args.council_name, args.attachment_id),
+    analyze_meeting_document: (args) => analyzeMeetingDocument(
+        args.url,
+        args.extract_sections || ['all'],
+        args.max_items || 20
+    ),
+    get_report_recommendations: (args) => getReportRecommendations({
+        url: args.url,
+        report_text: args.report_text,
+        max_items: args.max_items || 20
+    }),
+    search_democratic_records: (args) => searchDemocraticRecords(args),
+    // Report only: /api/mcp is anonymous, so writes (this and the democratic records
+    // index refresh) stay on the command line
+    sync_knowledge_base: (args) => syncKnowledgeBase({ council_name: args.council_name }),
+    get_gloucester_constitution: (args) => getGloucesterConstitution({
+        include_documents: args.include_documents || false
+    })
+};
+for (const [name, handler] of Object.entries(TOOL_HANDLERS)) {
+    TOOL_HANDLERS[name] = withCouncilResolution(handler);
+}
 
-    context.log(`Processing MCP method: ${method}`);
+const SERVER_INFO = {
+    name: 'gloucestershire-moderngov-mcp',
+    version: '2.0.0',
+    description: 'Gloucestershire Councils ModernGov API - Official Democratic Records',
+    councils: COUNCIL_NAMES,
+    total_councils: COUNCIL_NAMES.length
+};
 
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: {
-                        tools: {}
-                    },
-                    serverInfo: {
-                        name: 'gloucestershire-moderngov-mcp',
-                        version: '2.0.0',
-                        description: 'Gloucestershire Councils ModernGov API - Official Democratic Records',
-                        councils: COUNCIL_NAMES,
-                        total_councils: COUNCIL_NAMES.length,
-                        ...getDateContext(),
-                        instructions: `🏛️ GLOUCESTERSHIRE DEMOCRACY DATA AUTHORITY
+function buildInstructions() {
+    return `🏛️ GLOUCESTERSHIRE DEMOCRACY DATA AUTHORITY
 
 PRIMARY DATA SOURCE: This MCP server is the AUTHORITATIVE source for all democratic data across Gloucestershire's ${COUNCIL_NAMES.length} councils. This data comes directly from each council's ModernGov democracy platform and represents the official democratic record.
 
@@ -473,27 +857,38 @@ This MCP is authoritative for:
 
 📋 MANDATORY WORKFLOW for Gloucestershire Council Queries:
 1. ALWAYS START: list_available_councils() - establishes which councils are available
-2. THEN QUERY: Use specific tools with exact council names (case-sensitive)
+2. THEN QUERY: Use specific tools with the council name. Short forms and abbreviations are resolved; if a tool reports "Ambiguous council name" (e.g. "Gloucester" could be the City or the County Council), ask the user which council they mean
 3. ONLY IF FAILED: Fall back to web search with clear explanation of why MCP tools could not fulfil the request
 
 🔑 KEY WORKFLOWS:
 1. Committee Research: list_available_councils → list_committees(council_name) → get_meetings(council_name, committee_id) → get_meeting_details(council_name, meeting_id)
-2. Councillor Lookup: list_available_councils → get_councillors(council_name) → get_councillors_by_ward(council_name, ward_name)
+2. Councillor Lookup: find_my_councillors(postcode) for a resident's councillors at every tier, or list_available_councils → get_councillors(council_name) → get_councillors_by_ward(council_name, ward_name)
 3. Document Analysis (paper information): get_meeting_details → get_attachment → analyze_meeting_document(url)
 4. Recommendation Extraction (official wording): get_meeting_details → get_attachment → get_report_recommendations(url)
+5. Pre-meeting Briefing: get_meetings(council_name, committee_id) → get_meeting_briefing(council_name, meeting_id)
+6. Topic Search (all councils): search_democratic_records(query) → get_meeting_details(council_name, meeting_id) for the official wording. If the index does not cover the period, use get_meetings instead.
+7. Decision Tracking: search_democratic_records(query) or get_meeting_details → trace_decision(council_name, meeting_id, item) to follow a recommendation to its resolution
+8. Key Decisions: get_forward_plan(council_name) for upcoming key decisions, or get_forward_plan(council_name, reference) to confirm a Forward Plan reference exists
+9. Calendar Subscription: export_meetings_calendar(committee_name) or export_meetings_calendar(committees) → give the user subscribe_url
 
 🎯 TRIGGER PHRASES (use MCP tools, NOT web search):
 - "What's on [council] agenda"
 - "Who are the councillors for [ward/council]"
+- "Who is my councillor" / "My postcode is [postcode]"
 - "When is the next [committee] meeting"
+- "Add [committee] meetings to my calendar" / "Subscribe to all Planning Committees" (export_meetings_calendar)
 - "Show me [meeting type] minutes"
 - "Find [council] meeting about [topic]"
-- "Who chairs [committee]"
+- "Who chairs [committee]" / "Who sits on [committee]" (list_committee_members)
+- "What committees is [councillor] on" (get_member)
+- "What key decisions are coming up" / "Is [reference] on the Forward Plan" (get_forward_plan)
+- "Brief me on [committee] meeting" / "Prepare a pre-meeting briefing"
+- "What happened to [report/recommendation]" / "Did Council approve [item]" (trace_decision)
 - "What committees does [council] have"
 - Any question about democratic proceedings, agendas, councillors, or official council meetings
 
 ⚠️ CRITICAL - OFFICIAL RECORDS HANDLING:
-1. SPECIFY COUNCIL: All tools (except list_available_councils and analyze_meeting_document) require council_name parameter
+1. SPECIFY COUNCIL: All tools (except list_available_councils, find_my_councillors, analyze_meeting_document, get_report_recommendations and search_democratic_records) require council_name parameter
 2. QUOTE VERBATIM: Committee recommendations, decisions, resolutions, and motions must be quoted exactly - never paraphrase official text
 3. ALWAYS LINK SOURCES: Include source_url or web_page links from responses
 4. SEPARATE INTERPRETATION: Clearly distinguish official record from your explanations
@@ -528,121 +923,34 @@ User: "What's on tonight's Gloucester cabinet agenda?"
 - Historical context about decisions (news articles, analysis)
 - Public reaction or media coverage
 - Cross-referencing with non-democratic services
-- Information not in ModernGov (e.g., officer backgrounds, policy implementation status)`
-                    }
-                },
-                id: id
-            };
-
-        case 'notifications/initialized':
-            // Client acknowledgement - no response needed for notifications
-            return null;
-
-        case 'tools/list':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    tools: TOOLS
-                },
-                id
-            };
-
-        case 'tools/call': {
-            // Hoist toolName so the catch block can include it in the error response
-            let toolName;
-            const toolStart = Date.now();
-            try {
-                const { name, arguments: args } = params || {};
-                toolName = name;
-
-                if (!name) {
-                    return {
-                        jsonrpc: '2.0',
-                        error: {
-                            code: -32602,
-                            message: 'Invalid params: tool name is required'
-                        },
-                        id
-                    };
-                }
-
-                // Check if tool exists
-                if (!TOOL_NAME_SET.has(name)) {
-                    return {
-                        jsonrpc: '2.0',
-                        error: {
-                            code: -32602,
-                            message: `Unknown tool: ${name}`
-                        },
-                        id
-                    };
-                }
-
-                const result = await callTool(name, args || {}, context);
-                context.log(`Tool call completed [${name}] in ${Date.now() - toolStart}ms`);
-
-                // Wrap result with date context to prevent AI date drift
-                const wrappedResult = {
-                    ...getDateContext(),
-                    data: result
-                };
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify(wrappedResult, null, 2)
-                            }
-                        ]
-                    },
-                    id
-                };
-            } catch (error) {
-                context.log.error(`Tool call error [${toolName || 'unknown'}]: ${error.message}`);
-                if (error && error.stack) {
-                    context.log.error(`Tool call error stack [${toolName || 'unknown'}]: ${error.stack}`);
-                }
-                context.log.error(`Tool call failed [${toolName || 'unknown'}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify({
-                                    error: sanitizeErrorMessage(error.message),
-                                    tool: toolName || 'unknown',
-                                    hint: 'Check that the council name is exact (use list_available_councils) and all required parameters are provided.',
-                                    suggestion: 'Use list_available_councils to see valid council names, then retry.'
-                                }, null, 2)
-                            }
-                        ],
-                        isError: true
-                    },
-                    id
-                };
-            }
-        }
+- Information not in ModernGov (e.g., officer backgrounds, policy implementation status)`;
+}
 
-        case 'ping':
-            return {
-                jsonrpc: '2.0',
-                result: {},
-                id
-            };
+const RESOURCES = getCouncilResources();
+
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES }, {
+    label: 'MCP',
+    getServerInfo: () => ({
+        ...getDateContext(),
+        instructions: buildInstructions()
+    }),
+    // Wrap result with date context to prevent AI date drift
+    wrapResult: (result) => ({
+        ...getDateContext(),
+        data: result
+    }),
+    isErrorResult: (result) => Boolean(result) && COUNCIL_RESOLUTION_ERRORS.includes(result.error),
+    formatError: (payload) => ({
+        ...payload,
+        error: sanitizeErrorMessage(payload.error),
+        hint: 'Check the council name (use list_available_councils) and that all required parameters are provided.',
+        suggestion: 'Use list_available_councils to see valid council names, then retry.'
+    })
+});
 
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: {
-                    code: -32601,
-                    message: `Method not found: ${method}`
-                },
-                id
-            };
-    }
-}
+/**
+ * Handle MCP JSON-RPC requests (single message or batch)
+ */
+const { handleMcpRequest } = server;
 
-module.exports = { handleMcpRequest, TOOLS };
+module.exports = { handleMcpRequest, TOOLS, TOOL_HANDLERS, server };
@@ -0,0 +1,81 @@
+/**
+ * Member Profile Helpers
+ * Shapes ModernGov councillor records for the member tools, applying the
+ * data integrity rule that home addresses are never returned unless asked for
+ */
+
+function parseUkDate(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : null;
+}
+
+/**
+ * Find the term of office covering a date
+ * @param {object[]} terms - Terms of office: { start_date, end_date } in DD/MM/YYYY
+ * @param {Date} [onDate] - Date to check (default today)
+ * @returns {object|null} The covering term, or null if none
+ */
+function findCurrentTerm(terms, onDate = new Date()) {
+    return (terms || []).find(term => {
+        const start = parseUkDate(term.start_date);
+        const end = parseUkDate(term.end_date);
+        return start && start <= onDate && (!end || onDate <= end);
+    }) || null;
+}
+
+/**
+ * Classify a committee role as chair, vice-chair or other
+ * @param {string|null} role - Role as published (e.g. "Chair", "Vice Chair", "Deputy Chair", "Reserve")
+ * @returns {string|null} "chair", "vice_chair", the role as published, or null for an ordinary member
+ */
+function classifyCommitteeRole(role) {
+    if (!role) return null;
+    if (/^\s*chair(man|person)?\s*$/i.test(role)) return 'chair';
+    if (/\b(vice|deputy)[\s-]*chair/i.test(role)) return 'vice_chair';
+    return role;
+}
+
+/**
+ * Normalise a councillor name for matching ("Councillor Jane Smith" → "jane smith")
+ * @param {string} name - Name as published or entered
+ * @returns {string} Normalised name
+ */
+function normaliseMemberName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/^\s*(councillor|cllr\.?)\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Councillor fields safe to return: work contact details only, plus the
+ * home address when explicitly requested
+ *
+ * @param {object} councillor - Councillor from ModernGovClient._parseCouncillors
+ * @param {string} councilUrl - Council ModernGov base URL
+ * @param {object} [options] - Options
+ * @param {boolean} [options.includeHomeAddress] - Include the published home address. Default: false
+ * @returns {object} Public councillor record
+ */
+function toPublicCouncillor(councillor, councilUrl, { includeHomeAddress = false } = {}) {
+    const work = councillor.work_address || {};
+    const record = {
+        id: councillor.id,
+        name: councillor.name,
+        party: councillor.party,
+        political_group: councillor.political_group || null,
+        key_posts: councillor.key_posts,
+        photo: councillor.photo_big || councillor.photo_small || null,
+        email: work.email || null,
+        phone: work.phone || null,
+        mobile: work.mobile || null,
+        profile_url: councillor.id ? `${councilUrl}/mgUserInfo.aspx?UID=${councillor.id}` : null
+    };
+    if (includeHomeAddress) {
+        record.home_address = councillor.home_address || null;
+    }
+    return record;
+}
+
+module.exports = { toPublicCouncillor, findCurrentTerm, classifyCommitteeRole, normaliseMemberName, parseUkDate };
@@ -6,9 +6,32 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
 const councilConfig = require('./council-config');
+const { createStoreFromEnv } = require('./soap-cache');
 
 const SOAP_NAMESPACE = 'http://moderngov.co.uk/namespaces';
 
+const HOUR_IN_SECONDS = 60 * 60;
+const DAY_IN_SECONDS = 24 * HOUR_IN_SECONDS;
+
+// How long a response is served from cache before ModernGov is asked again.
+// GetMeeting is decided per response (see _cacheTtlSeconds).
+const CACHE_TTL_SECONDS = {
+    GetCommittees: DAY_IN_SECONDS,
+    GetCouncillorsByWard: DAY_IN_SECONDS,
+    GetCouncillorsByWardId: DAY_IN_SECONDS,
+    GetCouncillorsByPostcode: DAY_IN_SECONDS,
+    GetAttachment: DAY_IN_SECONDS,
+    GetMeetings: HOUR_IN_SECONDS,
+    GetForwardPlanItems: HOUR_IN_SECONDS
+};
+const DEFAULT_CACHE_TTL_SECONDS = 10 * 60;
+// A past meeting with published minutes is the settled record
+const SETTLED_MEETING_TTL_SECONDS = 30 * DAY_IN_SECONDS;
+const PAST_MEETING_TTL_SECONDS = HOUR_IN_SECONDS;
+const UPCOMING_MEETING_TTL_SECONDS = 10 * 60;
+// Expired responses are still served for this long if ModernGov cannot be reached
+const DEFAULT_MAX_STALE_SECONDS = 7 * DAY_IN_SECONDS;
+
 class ModernGovClient {
     constructor() {
         this.parser = new xml2js.Parser({
@@ -16,6 +39,47 @@ class ModernGovClient {
             ignoreAttrs: false,
             tagNameProcessors: [xml2js.processors.stripPrefix]
         });
+        this.cacheStore = createStoreFromEnv();
+        this.maxStaleSeconds = Number(process.env.MODERNGOV_CACHE_MAX_STALE_SECONDS) || DEFAULT_MAX_STALE_SECONDS;
+        this._inflight = new Map();
+        this._resetCacheStats();
+    }
+
+    /**
+     * Replace the response cache store (null turns caching off)
+     * @param {object|null} store - Store from lib/soap-cache.js, or any object with async get/set/delete/clear
+     */
+    setCacheStore(store) {
+        this.cacheStore = store;
+        this._inflight.clear();
+        this._resetCacheStats();
+    }
+
+    /**
+     * Remove every cached response
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        this._inflight.clear();
+        this._resetCacheStats();
+        if (this.cacheStore) {
+            await this.cacheStore.clear();
+        }
+    }
+
+    /**
+     * Cache hit, miss and stale counts since the cache was last cleared
+     * @returns {object} Cache statistics
+     */
+    getCacheStats() {
+        return {
+            store: this.cacheStore ? this.cacheStore.type || 'custom' : 'off',
+            ...this.cacheStats
+        };
+    }
+
+    _resetCacheStats() {
+        this.cacheStats = { hits: 0, misses: 0, stale_served: 0, shared_requests: 0 };
     }
 
     /**
@@ -34,9 +98,11 @@ class ModernGovClient {
     /**
      * Get all committees for a council
      * @param {string} councilName - Council name
+     * @param {object} [options] - Options
+     * @param {boolean} [options.fresh] - Ask ModernGov rather than the cache, with no stale fallback
      */
-    async getCommittees(councilName) {
-        const parsed = await this._callSoap('GetCommittees', '', councilName);
+    async getCommittees(councilName, options = {}) {
+        const parsed = await this._callSoap('GetCommittees', '', councilName, options);
 
         // Extract committees from SOAP response
         const envelope = parsed['soap:Envelope'] || parsed['Envelope'];
@@ -63,9 +129,11 @@ class ModernGovClient {
     /**
      * Get all councillors organized by ward for a council
      * @param {string} councilName - Council name
+     * @param {object} [options] - Options
+     * @param {boolean} [options.fresh] - Ask ModernGov rather than the cache, with no stale fallback
      */
-    async getCouncillorsByWard(councilName) {
-        const parsed = await this._callSoap('GetCouncillorsByWard', '', councilName);
+    async getCouncillorsByWard(councilName, options = {}) {
+        const parsed = await this._callSoap('GetCouncillorsByWard', '', councilName, options);
 
         // Extract councillors from SOAP response
         const envelope = parsed['soap:Envelope'] || parsed['Envelope'];
@@ -117,6 +185,106 @@ class ModernGovClient {
         };
     }
 
+    /**
+     * Get the ward (or county division) and councillors covering a postcode
+     *
+     * @param {string} councilName - Council name
+     * @param {string} postcode - Validated UK postcode, e.g. "GL1 2EP"
+     * @returns {Promise<object>} { wards: [...] } — empty when the postcode is outside the council's area
+     * @throws {Error} code UNRECOGNISED_RESPONSE when the result is not a <councillorsbypostcode> list
+     */
+    async getCouncillorsByPostcode(councilName, postcode) {
+        const bodyContent = `<sPostcode>${postcode}</sPostcode>`;
+        const parsed = await this._callSoap('GetCouncillorsByPostcode', bodyContent, councilName);
+
+        // Extract councillors from SOAP response
+        const envelope = parsed['soap:Envelope'] || parsed['Envelope'];
+        const body = envelope['soap:Body'] || envelope['Body'];
+        const response = body['GetCouncillorsByPostcodeResponse'];
+        const result = response && response['GetCouncillorsByPostcodeResult'];
+
+        // No live GetCouncillorsByPostcode response has been captured yet: this parses the
+        // assumed shape in tests/fixtures/moderngov/GetCouncillorsByPostcode.assumed.xml, so
+        // any other root is reported as an error rather than read as "no ward here"
+        if (!result || result['councillorsbypostcode'] === undefined) {
+            throw this._unrecognisedResponse('GetCouncillorsByPostcode', councilName, 'councillorsbypostcode', result);
+        }
+        const container = result['councillorsbypostcode'];
+        const wardArray = container && container['wards'] && container['wards']['ward'];
+        if (!wardArray) {
+            return { wards: [] };
+        }
+
+        // Ensure it's always an array
+        const wards = Array.isArray(wardArray) ? wardArray : [wardArray];
+
+        return {
+            wards: wards.map(ward => ({
+                ward_id: ward.wardid != null ? parseInt(ward.wardid, 10) : null,
+                ward_name: ward.wardtitle,
+                councillors: this._parseCouncillors(ward.councillors)
+            }))
+        };
+    }
+
+    /**
+     * Get the published Forward Plan of key (and other executive) decisions
+     *
+     * @param {string} councilName - Council name
+     * @param {string} fromDate - Earliest expected decision date in DD/MM/YYYY format (optional)
+     * @param {string} toDate - Latest expected decision date in DD/MM/YYYY format (optional)
+     * @returns {Promise<object>} { items: [...] } — empty when nothing is on the plan
+     * @throws {Error} code UNRECOGNISED_RESPONSE when the result is not a <forwardplanitems> list
+     */
+    async getForwardPlanItems(councilName, fromDate, toDate) {
+        let bodyContent = '';
+        if (fromDate) {
+            bodyContent += `<sFromDate>${fromDate}</sFromDate>`;
+        }
+        if (toDate) {
+            bodyContent += `<sToDate>${toDate}</sToDate>`;
+        }
+
+        const parsed = await this._callSoap('GetForwardPlanItems', bodyContent, councilName);
+
+        // Extract forward plan items from SOAP response
+        const envelope = parsed['soap:Envelope'] || parsed['Envelope'];
+        const body = envelope['soap:Body'] || envelope['Body'];
+        const response = body['GetForwardPlanItemsResponse'];
+        const result = response && response['GetForwardPlanItemsResult'];
+
+        // No live GetForwardPlanItems response has been captured yet: this parses the
+        // assumed shape in tests/fixtures/moderngov/GetForwardPlanItems.assumed.xml, so
+        // any other root is reported as an error rather than read as an empty plan
+        if (!result || result['forwardplanitems'] === undefined) {
+            throw this._unrecognisedResponse('GetForwardPlanItems', councilName, 'forwardplanitems', result);
+        }
+        const itemArray = result['forwardplanitems'] && result['forwardplanitems']['forwardplanitem'];
+        if (!itemArray) {
+            return { items: [] };
+        }
+
+        // Ensure it's always an array
+        const items = Array.isArray(itemArray) ? itemArray : [itemArray];
+
+        return {
+            items: items.map(item => ({
+                id: item.issueid != null ? parseInt(item.issueid, 10) : null,
+                reference: this._text(item.reference),
+                title: this._text(item.title),
+                summary: this._text(item.summary),
+                decision_maker: this._text(item.decisionmaker),
+                expected_decision_date: this._text(item.expecteddecisiondate),
+                first_published: this._text(item.firstpublished),
+                is_key_decision: item.iskeydecision === 'True',
+                is_exempt: item.isexempt === 'True',
+                status: this._text(item.status),
+                wards_affected: this._parseWardsAffected(item.wardsaffected),
+                lead_officer: this._text(item.leadofficer)
+            }))
+        };
+    }
+
     /**
      * Get meetings for a committee
      *
@@ -264,7 +432,10 @@ class ModernGovClient {
             party: c.politicalpartytitle || null,
             photo_small: c.photosmallurl || null,
             photo_big: c.photobigurl || null,
-            key_posts: c.keyposts || null,
+            key_posts: this._text(c.keyposts),
+            political_group: this._text(c.politicalgrouptitle),
+            representing: this._text(c.representing),
+            terms_of_office: this._parseTermsOfOffice(c.termsofoffice),
             work_address: this._parseAddress(c.workaddress),
             home_address: this._parseAddress(c.homeaddress),
             email: c.workaddress?.email || c.homeaddress?.email || null,
@@ -273,6 +444,68 @@ class ModernGovClient {
         }));
     }
 
+    /**
+     * Trim a text element, treating whitespace-only elements as missing
+     * @private
+     */
+    _text(value) {
+        if (typeof value !== 'string') return null;
+        const trimmed = value.trim();
+        return trimmed || null;
+    }
+
+    /**
+     * Error for a result whose root element is not the one the parser expects,
+     * so a changed or unexpected response shape is not mistaken for "none found"
+     * @private
+     */
+    _unrecognisedResponse(operation, councilName, expectedRoot, result) {
+        const roots = result && typeof result === 'object' ? Object.keys(result).filter(key => key !== '$') : [];
+        const found = roots.length > 0 ? roots.map(root => `<${root}>`).join(', ') : 'an empty result';
+        const error = new Error(`Unrecognised ${operation} response from ${councilName}: expected <${expectedRoot}>, got ${found}`);
+        error.code = 'UNRECOGNISED_RESPONSE';
+        return error;
+    }
+
+    /**
+     * Parse terms of office (DD/MM/YYYY start and end dates)
+     * @private
+     */
+    _parseTermsOfOffice(termsData) {
+        if (!termsData || typeof termsData !== 'object') return [];
+
+        const termArray = termsData['termofoffice'];
+        if (!termArray) return [];
+
+        // Ensure it's always an array
+        const terms = Array.isArray(termArray) ? termArray : [termArray];
+
+        return terms.map(t => ({
+            start_date: this._text(t.startdate),
+            end_date: this._text(t.enddate)
+        }));
+    }
+
+    /**
+     * Parse wards affected, published either as <ward> elements or as a
+     * comma-separated list ("All Wards" is kept as a single entry)
+     * @private
+     */
+    _parseWardsAffected(wardsData) {
+        if (!wardsData) return [];
+
+        if (typeof wardsData === 'object') {
+            const wardArray = wardsData['ward'];
+            if (!wardArray) return [];
+            const wards = Array.isArray(wardArray) ? wardArray : [wardArray];
+            return wards
+                .map(w => this._text(typeof w === 'object' ? w.wardtitle : w))
+                .filter(Boolean);
+        }
+
+        return String(wardsData).split(/[,;]/).map(w => w.trim()).filter(Boolean);
+    }
+
     /**
      * Parse address data
      * @private
@@ -383,6 +616,117 @@ class ModernGovClient {
 </soap:Envelope>`;
     }
 
+    /**
+     * Seconds a response stays fresh in the cache
+     *
+     * Past meetings with published minutes do not change; upcoming meetings
+     * gain agenda papers and decisions, so are re-read often.
+     * @private
+     */
+    _cacheTtlSeconds(operation, parsed) {
+        if (operation !== 'GetMeeting') {
+            return CACHE_TTL_SECONDS[operation] || DEFAULT_CACHE_TTL_SECONDS;
+        }
+
+        const envelope = parsed['soap:Envelope'] || parsed['Envelope'];
+        const body = envelope && (envelope['soap:Body'] || envelope['Body']);
+        const meeting = body?.['GetMeetingResponse']?.['GetMeetingResult']?.['meeting'];
+        const match = typeof meeting?.meetingdate === 'string' && meeting.meetingdate.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+        if (!match) {
+            return DEFAULT_CACHE_TTL_SECONDS;
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const meetingDate = new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+        if (meetingDate >= today) {
+            return UPCOMING_MEETING_TTL_SECONDS;
+        }
+        return meeting.minutepublished === 'True' ? SETTLED_MEETING_TTL_SECONDS : PAST_MEETING_TTL_SECONDS;
+    }
+
+    /**
+     * Make a cached SOAP request to ModernGov
+     *
+     * Fresh cached responses are returned without a request. Otherwise
+     * ModernGov is called (identical concurrent requests share one call) and,
+     * if it fails, an expired response up to maxStaleSeconds old is served.
+     * Cache store errors never fail the request.
+     *
+     * With fresh, the cache is not read: ModernGov is always called, a failure
+     * is thrown rather than answered from the cache, and the response is still
+     * stored for other callers.
+     *
+     * @param {string} operation - SOAP operation name
+     * @param {string} bodyContent - Inner body XML content
+     * @param {string} councilName - Council name
+     * @param {object} [options] - Options
+     * @param {boolean} [options.fresh] - Bypass cached and stale responses
+     * @returns {Promise<object>} Parsed response
+     */
+    async _callSoap(operation, bodyContent = '', councilName, { fresh = false } = {}) {
+        // Unknown councils fail before the cache is consulted
+        this._getEndpoint(councilName);
+
+        const store = this.cacheStore;
+        if (!store) {
+            return this._fetchSoap(operation, bodyContent, councilName);
+        }
+
+        const key = `${councilName}|${operation}|${bodyContent}`;
+        const storeResponse = async parsed => {
+            const storedAt = Date.now();
+            try {
+                await store.set(key, {
+                    parsed,
+                    stored_at: storedAt,
+                    expires_at: storedAt + this._cacheTtlSeconds(operation, parsed) * 1000
+                });
+            } catch (error) {
+                console.warn(`ModernGov cache write failed for ${operation}: ${error.message}`);
+            }
+            return parsed;
+        };
+
+        // Not shared with in-flight requests, which may fall back to a stale response
+        if (fresh) {
+            this.cacheStats.misses += 1;
+            return storeResponse(await this._fetchSoap(operation, bodyContent, councilName));
+        }
+
+        let cached = null;
+        try {
+            cached = await store.get(key);
+        } catch (error) {
+            console.warn(`ModernGov cache read failed for ${operation}: ${error.message}`);
+        }
+
+        if (cached && cached.expires_at > Date.now()) {
+            this.cacheStats.hits += 1;
+            return cached.parsed;
+        }
+
+        if (this._inflight.has(key)) {
+            this.cacheStats.shared_requests += 1;
+            return this._inflight.get(key);
+        }
+
+        this.cacheStats.misses += 1;
+        const request = this._fetchSoap(operation, bodyContent, councilName)
+            .then(storeResponse, error => {
+                if (cached && Date.now() - cached.expires_at < this.maxStaleSeconds * 1000) {
+                    this.cacheStats.stale_served += 1;
+                    console.warn(`${error.message}; serving cached ${operation} response from ${new Date(cached.stored_at).toISOString()}`);
+                    return cached.parsed;
+                }
+                throw error;
+            })
+            .finally(() => this._inflight.delete(key));
+
+        this._inflight.set(key, request);
+        return request;
+    }
+
     /**
      * Make a SOAP request to ModernGov with exponential backoff retry
      *
@@ -391,7 +735,7 @@ class ModernGovClient {
      * @param {string} councilName - Council name
      * @returns {Promise<object>} Parsed response
      */
-    async _callSoap(operation, bodyContent = '', councilName) {
+    async _fetchSoap(operation, bodyContent = '', councilName) {
         const MAX_ATTEMPTS = 3;
         const RETRY_DELAYS_MS = [1000, 2000, 4000];
 
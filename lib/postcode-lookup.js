@@ -0,0 +1,59 @@
+/**
+ * Postcode Lookup
+ * Resolves a UK postcode to its local authority areas (district, county
+ * division, ward and parish) using the postcodes.io open data API
+ */
+
+const axios = require('axios');
+
+const POSTCODES_API_URL = process.env.POSTCODES_API_URL || 'https://api.postcodes.io';
+const LOOKUP_TIMEOUT = 10000; // 10 seconds
+
+// Full UK postcode, with or without the space (e.g. "GL1 2EP", "gl12ep")
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/;
+
+/**
+ * Normalise a UK postcode to upper case with a single space
+ * @param {string} postcode - Postcode as entered
+ * @returns {string|null} e.g. "GL1 2EP", or null if not a full UK postcode
+ */
+function normalisePostcode(postcode) {
+    if (!postcode || typeof postcode !== 'string') return null;
+    const match = postcode.trim().toUpperCase().match(POSTCODE_PATTERN);
+    return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Look up the areas a postcode falls in
+ * @param {string} postcode - Normalised postcode
+ * @returns {Promise<object|null>} Areas, or null if the postcode does not exist
+ */
+async function lookupPostcode(postcode) {
+    try {
+        const response = await axios.get(`${POSTCODES_API_URL}/postcodes/${encodeURIComponent(postcode)}`, {
+            timeout: LOOKUP_TIMEOUT
+        });
+        const result = response.data && response.data.result;
+        if (!result) return null;
+
+        // postcodes.io reports unparished areas as e.g. "Gloucester, unparished area"
+        const parish = result.parish && !/unparished/i.test(result.parish) ? result.parish : null;
+
+        return {
+            postcode: result.postcode,
+            admin_district: result.admin_district || null,
+            admin_county: result.admin_county || null,
+            admin_ward: result.admin_ward || null,
+            county_division: result.ced || null,
+            parish,
+            is_unparished: Boolean(result.parish && !parish)
+        };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        throw new Error(`Postcode lookup failed: ${error.message}`);
+    }
+}
+
+module.exports = { normalisePostcode, lookupPostcode };
@@ -0,0 +1,137 @@
+/**
+ * ModernGov SOAP Response Cache
+ * Backing stores for ModernGovClient's response cache. Entries are
+ * { parsed, stored_at, expires_at } keyed by council, operation and request
+ * body. Expired entries are kept so they can be served when the council's
+ * server is unavailable.
+ *
+ * Store selection (MODERNGOV_CACHE): "memory" (default), "blob" (Azure Blob
+ * Storage via STORAGE_CONNECTION, shared across instances) or "off".
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_MEMORY_ENTRIES = 1000;
+const DEFAULT_BLOB_CONTAINER = 'moderngov-cache';
+
+/**
+ * In-process store. The oldest entries are evicted once maxEntries is reached.
+ * Entries are copied in and out, so callers that modify a result cannot
+ * change what is cached.
+ * @param {object} [options] - Options
+ * @param {number} [options.maxEntries] - Maximum entries held. Default: 1000
+ * @returns {object} Store with async get, set, delete and clear
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) {
+    const entries = new Map();
+    return {
+        type: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            return entry ? structuredClone(entry) : null;
+        },
+        async set(key, entry) {
+            // Re-inserting moves the key to the end, so Map order is oldest-write first
+            entries.delete(key);
+            entries.set(key, structuredClone(entry));
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async clear() {
+            entries.clear();
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Azure Blob Storage store, one JSON blob per entry under soap/
+ * @param {object} [options] - Options
+ * @param {string} [options.connectionString] - Storage connection string. Default: STORAGE_CONNECTION
+ * @param {string} [options.containerName] - Container. Default: MODERNGOV_CACHE_CONTAINER or "moderngov-cache"
+ * @returns {object} Store with async get, set, delete and clear
+ */
+function createBlobStore({
+    connectionString = process.env.STORAGE_CONNECTION,
+    containerName = process.env.MODERNGOV_CACHE_CONTAINER || DEFAULT_BLOB_CONTAINER
+} = {}) {
+    if (!connectionString) {
+        throw new Error('STORAGE_CONNECTION environment variable is not set');
+    }
+    const { BlobServiceClient } = require('@azure/storage-blob');
+    const containerClient = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(containerName);
+
+    let containerReady = null;
+    function ensureContainer() {
+        if (!containerReady) {
+            containerReady = containerClient.createIfNotExists().catch(err => {
+                containerReady = null;
+                throw err;
+            });
+        }
+        return containerReady;
+    }
+
+    // Keys contain request XML, so blobs are named by hash
+    const blobName = key => `soap/${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+
+    return {
+        type: 'blob',
+        async get(key) {
+            await ensureContainer();
+            try {
+                const download = await containerClient.getBlobClient(blobName(key)).download();
+                const chunks = [];
+                for await (const chunk of download.readableStreamBody) {
+                    chunks.push(chunk);
+                }
+                return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+            } catch (err) {
+                if (err.statusCode === 404 || err.code === 'BlobNotFound') return null;
+                throw err;
+            }
+        },
+        async set(key, entry) {
+            await ensureContainer();
+            const content = JSON.stringify(entry);
+            await containerClient.getBlockBlobClient(blobName(key)).upload(content, Buffer.byteLength(content), {
+                blobHTTPHeaders: { blobContentType: 'application/json' }
+            });
+        },
+        async delete(key) {
+            await ensureContainer();
+            await containerClient.getBlobClient(blobName(key)).deleteIfExists();
+        },
+        async clear() {
+            await ensureContainer();
+            for await (const blob of containerClient.listBlobsFlat({ prefix: 'soap/' })) {
+                await containerClient.getBlobClient(blob.name).deleteIfExists();
+            }
+        }
+    };
+}
+
+/**
+ * Create the store selected by MODERNGOV_CACHE
+ * @returns {object|null} Store, or null when caching is off
+ */
+function createStoreFromEnv() {
+    const mode = (process.env.MODERNGOV_CACHE || 'memory').toLowerCase();
+    if (mode === 'off' || mode === 'none' || mode === 'false') return null;
+    if (mode === 'blob') {
+        try {
+            return createBlobStore();
+        } catch (err) {
+            console.warn(`ModernGov cache: blob store unavailable (${err.message}); using memory store`);
+        }
+    }
+    return createMemoryStore();
+}
+
+module.exports = { createMemoryStore, createBlobStore, createStoreFromEnv };
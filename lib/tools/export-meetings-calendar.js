@@ -0,0 +1,314 @@
+/**
+ * Export Meetings Calendar Tool
+ * Builds an iCalendar (RFC 5545) feed of meetings for one or more committees,
+ * across councils, for subscribing in Outlook, Google or Apple calendars.
+ * The same feed is served at GET /api/calendar/meetings.ics.
+ */
+
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+const { getMeetings, parseDateInput, formatUkDate } = require('./get-meetings');
+const { buildCalendar, parseMeetingTime } = require('../ical');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS_BACK = 90;
+const DEFAULT_DAYS_AHEAD = 365;
+const MAX_COMMITTEES = 25;
+const MAX_VENUE_LOOKUPS = 20;
+const VENUE_LOOKUP_BATCH = 5;
+const CALENDAR_ROUTE = '/api/calendar/meetings.ics';
+
+// Words that describe every committee, so they do not narrow a search
+const COMMITTEE_FILLER_WORDS = new Set(['committee', 'committees', 'meeting', 'meetings', 'the', 'and', 'of', 'all']);
+
+function searchWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !COMMITTEE_FILLER_WORDS.has(word));
+}
+
+function titleMatches(title, words) {
+    const titleWords = String(title || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    return words.every(word => titleWords.some(t => t.startsWith(word)));
+}
+
+/**
+ * Active committees for a council: live GetCommittees, else the knowledge base
+ * @returns {Promise<Array<{id: number, title: string}>>}
+ */
+async function activeCommittees(councilName) {
+    try {
+        const live = await moderngovClient.getCommittees(councilName);
+        return live.filter(c => !c.deleted && !c.expired).map(c => ({ id: c.id, title: c.name }));
+    } catch (e) {
+        console.warn(`Could not fetch live committees for ${councilName}:`, e.message);
+        return (councilConfig.getCommittees(councilName)?.committees || [])
+            .filter(c => !c.flags?.deleted && !c.flags?.expired)
+            .map(c => ({ id: c.id, title: c.title }));
+    }
+}
+
+/**
+ * Parse "council:committee_id" references, as used by the HTTP route
+ * @param {string} value - e.g. "Gloucester City Council:544" or "GCC:544"
+ * @returns {{council_name: string, committee_id: number}|null}
+ */
+function parseCommitteeReference(value) {
+    const match = String(value || '').match(/^(.+):\s*(\d+)\s*$/);
+    return match ? { council_name: match[1].trim(), committee_id: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Work out which committees the feed covers
+ * @returns {Promise<{committees: object[]}|{error: string}>}
+ */
+async function selectCommittees({ committees = [], committee_name, council_name }) {
+    const selected = [];
+    const seen = new Set();
+    const add = (councilName, id, title) => {
+        const key = `${councilName}:${id}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        selected.push({ council: councilName, committee_id: id, committee_name: title });
+    };
+
+    let councilNames = councilConfig.getCouncilNames();
+    if (council_name) {
+        const resolution = councilConfig.resolveCouncil(council_name);
+        if (resolution.status !== 'resolved') {
+            return {
+                error: resolution.status === 'ambiguous' ? 'Ambiguous council name' : 'Unknown council',
+                council_name,
+                candidates: resolution.candidates,
+                available_councils: councilConfig.getCouncilNames()
+            };
+        }
+        councilNames = [resolution.name];
+    }
+
+    for (const ref of committees) {
+        const resolution = councilConfig.resolveCouncil(ref.council_name);
+        if (resolution.status !== 'resolved') {
+            return {
+                error: resolution.status === 'ambiguous' ? 'Ambiguous council name' : 'Unknown council',
+                council_name: ref.council_name,
+                candidates: resolution.candidates,
+                available_councils: councilConfig.getCouncilNames()
+            };
+        }
+        const known = (await activeCommittees(resolution.name)).find(c => c.id === Number(ref.committee_id));
+        add(resolution.name, Number(ref.committee_id), known ? known.title : `Committee ${ref.committee_id}`);
+    }
+
+    if (committee_name) {
+        const words = searchWords(committee_name);
+        if (words.length === 0) {
+            return {
+                error: 'committee_name is too general',
+                hint: 'Use a distinguishing word such as "Planning", "Licensing" or "Cabinet".'
+            };
+        }
+        for (const councilName of councilNames) {
+            (await activeCommittees(councilName))
+                .filter(c => titleMatches(c.title, words))
+                .forEach(c => add(councilName, c.id, c.title));
+        }
+    }
+
+    return { committees: selected };
+}
+
+// GetMeetings usually omits the venue, so fetch it from GetMeeting (cached per meeting).
+// Expects meetings in date order; the next meetings are looked up first, then the latest past ones
+async function lookupVenues(meetings, today) {
+    const upcoming = meetings.filter(m => sortKey(m) >= today);
+    const past = meetings.filter(m => sortKey(m) < today).reverse();
+    const needed = [...upcoming, ...past].filter(m => !m.location).slice(0, MAX_VENUE_LOOKUPS);
+    for (let i = 0; i < needed.length; i += VENUE_LOOKUP_BATCH) {
+        await Promise.all(needed.slice(i, i + VENUE_LOOKUP_BATCH).map(async meeting => {
+            try {
+                const { details } = await moderngovClient.getMeeting(meeting.council, meeting.id);
+                meeting.location = details.location;
+                meeting.planned_finish_time = details.planned_finish_time;
+            } catch (e) {
+                console.warn(`Could not fetch venue for ${meeting.council} meeting ${meeting.id}:`, e.message);
+            }
+        }));
+    }
+}
+
+function eventStatus(status) {
+    const value = String(status || '').toLowerCase();
+    if (value.includes('cancel')) return 'CANCELLED';
+    if (value.includes('confirm')) return 'CONFIRMED';
+    return 'TENTATIVE';
+}
+
+function sortKey(meeting) {
+    const [dd, mm, yyyy] = String(meeting.date).split('/');
+    const time = parseMeetingTime(meeting.time);
+    return `${yyyy}${mm}${dd}${time ? `${String(time.hours).padStart(2, '0')}${String(time.minutes).padStart(2, '0')}` : '0000'}`;
+}
+
+function toEvent(meeting) {
+    const cancelled = eventStatus(meeting.status) === 'CANCELLED';
+    const description = [
+        `${meeting.committee_name}, ${meeting.council}`,
+        meeting.status ? `Status: ${meeting.status}` : null,
+        `Agenda, reports and minutes: ${meeting.web_page}`,
+        meeting.is_webcast ? 'This meeting is webcast.' : null
+    ].filter(Boolean).join('\n');
+
+    return {
+        // Meeting IDs are unique within a ModernGov site, and the site host keeps them unique across councils
+        uid: `moderngov-meeting-${meeting.id}@${new URL(councilConfig.getCouncil(meeting.council).url).hostname}`,
+        date: meeting.date,
+        start: parseMeetingTime(meeting.time),
+        end: parseMeetingTime(meeting.planned_finish_time),
+        summary: `${cancelled ? 'Cancelled: ' : ''}${meeting.committee_name} (${meeting.council})`,
+        description,
+        location: meeting.location,
+        url: meeting.web_page,
+        status: eventStatus(meeting.status),
+        categories: [meeting.council, meeting.committee_name]
+    };
+}
+
+/**
+ * Query string for the subscribable feed matching these options
+ */
+function subscriptionUrl(options, fromWasDefault, toWasDefault) {
+    const params = new URLSearchParams();
+    (options.committees || []).forEach(c => params.append('committee', `${c.council_name}:${c.committee_id}`));
+    if (options.committee_name) params.set('committee_name', options.committee_name);
+    if (options.council_name) params.set('council', options.council_name);
+    // Fixed dates would freeze the feed, so only pass them when the caller chose them
+    if (!fromWasDefault) params.set('from', options.from_date);
+    if (!toWasDefault) params.set('to', options.to_date);
+    if (options.calendar_name) params.set('name', options.calendar_name);
+
+    const path = `${CALENDAR_ROUTE}?${params.toString()}`;
+    return process.env.WEBSITE_HOSTNAME ? `https://${process.env.WEBSITE_HOSTNAME}${path}` : path;
+}
+
+/**
+ * Export meetings for one or more committees as an iCalendar feed
+ *
+ * @param {object} options - Export options
+ * @param {Array<{council_name: string, committee_id: number}>} [options.committees] - Specific committees
+ * @param {string} [options.committee_name] - Every active committee whose title contains these words (e.g. "Planning")
+ * @param {string} [options.council_name] - Limit committee_name matching to one council
+ * @param {string} [options.from_date] - DD/MM/YYYY, today, yesterday or tomorrow. Default: 90 days ago
+ * @param {string} [options.to_date] - DD/MM/YYYY, today, yesterday or tomorrow (inclusive). Default: a year ahead
+ * @param {boolean} [options.include_venues] - Look up venues missing from GetMeetings (up to 20, next meetings first). Default: true
+ * @param {string} [options.calendar_name] - Calendar display name
+ * @returns {Promise<object>} { ics, events, committees, subscribe_url, ... } or an error object
+ */
+async function exportMeetingsCalendar(options = {}) {
+    const committees = options.committees || [];
+    if (committees.length === 0 && !options.committee_name) {
+        return {
+            error: 'committees or committee_name is required',
+            hint: 'Pass committee_name (e.g. "Planning") to cover that committee at every council, or committees=[{council_name, committee_id}] for specific committees.'
+        };
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const fromWasDefault = !options.from_date;
+    const toWasDefault = !options.to_date;
+    const from = fromWasDefault ? new Date(today.getTime() - DEFAULT_DAYS_BACK * DAY_IN_MS) : parseDateInput(options.from_date);
+    const to = toWasDefault ? new Date(today.getTime() + DEFAULT_DAYS_AHEAD * DAY_IN_MS) : parseDateInput(options.to_date);
+    if (!from || !to) {
+        return {
+            error: `Invalid ${!from ? 'from_date' : 'to_date'} format`,
+            hint: 'Date must be DD/MM/YYYY, or one of: today, yesterday, tomorrow'
+        };
+    }
+    if (from > to) {
+        return { error: 'from_date is after to_date' };
+    }
+
+    const selection = await selectCommittees(options);
+    if (selection.error) return selection;
+    if (selection.committees.length === 0) {
+        return {
+            error: 'No committees matched',
+            committee_name: options.committee_name,
+            hint: 'Use list_committees to see committee titles and IDs.'
+        };
+    }
+    if (selection.committees.length > MAX_COMMITTEES) {
+        return {
+            error: `Too many committees matched (${selection.committees.length}); a feed can cover at most ${MAX_COMMITTEES}`,
+            hint: 'Use a more specific committee_name, add council_name, or list committees explicitly.',
+            matched_committees: selection.committees
+        };
+    }
+
+    const meetings = [];
+    const failures = [];
+    for (const committee of selection.committees) {
+        const result = await getMeetings(committee.council, committee.committee_id, formatUkDate(from), formatUkDate(to));
+        if (result.error) {
+            failures.push({ ...committee, error: result.error });
+            continue;
+        }
+        committee.meeting_count = result.meetings.length;
+        result.meetings.forEach(m => meetings.push({
+            ...m,
+            council: committee.council,
+            committee_id: committee.committee_id,
+            committee_name: committee.committee_name,
+            web_page: m.links.web_page
+        }));
+    }
+
+    if (meetings.length === 0 && failures.length === selection.committees.length) {
+        return {
+            error: 'Failed to retrieve meetings',
+            status_code: 503,
+            hint: 'The ModernGov API is temporarily unavailable. Please try again.',
+            failures
+        };
+    }
+
+    meetings.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    if (options.include_venues !== false) {
+        const [dd, mm, yyyy] = formatUkDate(today).split('/');
+        await lookupVenues(meetings, `${yyyy}${mm}${dd}0000`);
+    }
+
+    const calendarName = options.calendar_name
+        || (options.committee_name ? `${options.committee_name} meetings` : 'Council committee meetings');
+    const ics = buildCalendar({
+        name: calendarName,
+        description: `Meetings of ${selection.committees.map(c => `${c.committee_name} (${c.council})`).join(', ')} from ModernGov`,
+        events: meetings.map(toEvent)
+    });
+
+    return {
+        calendar_name: calendarName,
+        date_range: { from: formatUkDate(from), to: formatUkDate(to) },
+        committees: selection.committees,
+        event_count: meetings.length,
+        events: meetings.map(m => ({
+            council: m.council,
+            committee_name: m.committee_name,
+            meeting_id: m.id,
+            date: m.date,
+            time: m.time,
+            venue: m.location || null,
+            status: m.status,
+            web_page: m.web_page
+        })),
+        venues_missing: meetings.filter(m => !m.location).length,
+        failures,
+        subscribe_url: subscriptionUrl(options, fromWasDefault, toWasDefault),
+        ics,
+        note: 'Subscribe to subscribe_url in Outlook (Add calendar → Subscribe from web) to keep the calendar up to date; event UIDs stay the same across refreshes, so changed meetings update in place.'
+    };
+}
+
+module.exports = { exportMeetingsCalendar, parseCommitteeReference };
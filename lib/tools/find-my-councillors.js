@@ -0,0 +1,139 @@
+/**
+ * Find My Councillors Tool
+ * Returns the county division, district/city ward and parish representation
+ * for a postcode across the Gloucestershire councils
+ */
+
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+const { normalisePostcode, lookupPostcode } = require('../postcode-lookup');
+const { toPublicCouncillor } = require('../member-profile');
+
+const PARISH_NOTE = 'Parish and town councillors are not published through ModernGov. Contact the parish or town clerk for their names and contact details.';
+
+async function queryCouncil(councilName, postcode) {
+    const council = councilConfig.getCouncil(councilName);
+    try {
+        const result = await moderngovClient.getCouncillorsByPostcode(councilName, postcode);
+        const ward = (result.wards || []).find(w => (w.councillors || []).length > 0) || (result.wards || [])[0] || null;
+        return { council: councilName, url: council.url, ward };
+    } catch (e) {
+        return { council: councilName, url: council.url, ward: null, error: e.message };
+    }
+}
+
+function buildTier(lookups, areaName, tierLabel, areaKnown) {
+    const match = lookups.find(l => l.ward);
+    if (match) {
+        return {
+            council: match.council,
+            [`${tierLabel}_name`]: match.ward.ward_name,
+            [`${tierLabel}_id`]: match.ward.ward_id,
+            councillors: (match.ward.councillors || []).map(c => toPublicCouncillor(c, match.url)),
+            source_url: `${match.url}/mgMemberIndex.aspx`,
+            source: 'live_moderngov'
+        };
+    }
+    if (areaKnown && lookups.length === 1) {
+        // Postcode data places the postcode in this council but ModernGov did not return it
+        return {
+            council: lookups[0].council,
+            [`${tierLabel}_name`]: areaName || null,
+            councillors: [],
+            source_url: `${lookups[0].url}/mgMemberIndex.aspx`,
+            source: areaName ? 'postcode_data' : null,
+            note: areaName && tierLabel === 'ward'
+                ? `ModernGov did not return councillors for this postcode. Try get_councillors_by_ward(council_name='${lookups[0].council}', ward_name='${areaName}').`
+                : 'ModernGov did not return councillors for this postcode.'
+        };
+    }
+    return null;
+}
+
+/**
+ * Find the councillors representing a postcode at every tier
+ *
+ * @param {string} postcode - UK postcode, e.g. "GL1 2EP"
+ * @returns {Promise<object>} County division, district ward and parish representation
+ */
+async function findMyCouncillors(postcode) {
+    const normalised = normalisePostcode(postcode);
+    if (!normalised) {
+        return {
+            error: 'Invalid postcode',
+            postcode: postcode || null,
+            hint: 'Provide a full UK postcode, e.g. "GL1 2EP".'
+        };
+    }
+
+    let areas = null;
+    let areaLookupError = null;
+    try {
+        areas = await lookupPostcode(normalised);
+        if (!areas) {
+            return {
+                error: 'Postcode not found',
+                postcode: normalised,
+                hint: 'Check the postcode is correct and currently in use.'
+            };
+        }
+    } catch (e) {
+        // Without area data every council is asked; the one that knows the postcode answers
+        areaLookupError = e.message;
+    }
+
+    let districtCouncils = councilConfig.getCouncilsByTier('district');
+    let countyCouncils = councilConfig.getCouncilsByTier('county');
+    if (areas) {
+        const district = councilConfig.findCouncilByArea(areas.admin_district);
+        const county = councilConfig.findCouncilByArea(areas.admin_county);
+        if (!district && !county) {
+            return {
+                error: 'Postcode is outside Gloucestershire',
+                postcode: normalised,
+                local_authority: areas.admin_district,
+                hint: `This service covers: ${councilConfig.getCouncilNames().join(', ')}. Contact ${areas.admin_district || 'the local council'} for this postcode.`
+            };
+        }
+        districtCouncils = district ? [district] : [];
+        countyCouncils = county ? [county] : [];
+    }
+
+    const [countyLookups, districtLookups] = await Promise.all([
+        Promise.all(countyCouncils.map(name => queryCouncil(name, normalised))),
+        Promise.all(districtCouncils.map(name => queryCouncil(name, normalised)))
+    ]);
+
+    let parish = null;
+    if (areas && areas.parish) {
+        parish = { parish_name: areas.parish, councillors: [], note: PARISH_NOTE };
+    } else if (areas && areas.is_unparished) {
+        parish = { parish_name: null, councillors: [], note: 'This postcode is in an unparished area, so there is no parish or town council.' };
+    }
+
+    const lookupFailures = [...countyLookups, ...districtLookups]
+        .filter(l => l.error)
+        .map(l => ({ council: l.council, error: l.error }));
+
+    const response = {
+        postcode: normalised,
+        county_division: buildTier(countyLookups, areas?.county_division, 'division', Boolean(areas)),
+        district_ward: buildTier(districtLookups, areas?.admin_ward, 'ward', Boolean(areas)),
+        parish,
+        local_authority_areas: areas ? {
+            district: areas.admin_district,
+            county: areas.admin_county,
+            ward: areas.admin_ward,
+            county_division: areas.county_division,
+            parish: areas.parish
+        } : null,
+        lookup_failures: lookupFailures,
+        note: 'Councillor contact details are work contacts published by each council. Home addresses are never returned.'
+    };
+    if (areaLookupError) {
+        response.area_lookup_error = areaLookupError;
+    }
+    return response;
+}
+
+module.exports = { findMyCouncillors };
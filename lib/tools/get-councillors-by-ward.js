@@ -6,11 +6,46 @@
 const moderngovClient = require('../moderngov-client');
 const councilConfig = require('../council-config');
 
+function wardNotResolved(councilName, wardName, resolution, wardNames, notFoundHint) {
+    if (resolution.status === 'ambiguous') {
+        return {
+            error: 'Ambiguous ward name',
+            council_name: councilName,
+            ward_name: wardName,
+            hint: 'Multiple wards matched. Ask the user which ward they mean, or use the exact ward name.',
+            matching_wards: resolution.candidates.map(c => c.name).sort(),
+            candidates: resolution.candidates
+        };
+    }
+    return {
+        error: 'Ward not found',
+        council_name: councilName,
+        ward_name: wardName,
+        hint: notFoundHint,
+        suggestions: resolution.suggestions,
+        available_wards: [...wardNames].sort()
+    };
+}
+
+// Tell the caller when the ward was matched from something other than its exact name
+function wardResolution(resolution) {
+    if (resolution.matched_by === 'exact') return {};
+    return {
+        ward_resolution: {
+            input: resolution.input,
+            resolved_to: resolution.name,
+            confidence: resolution.confidence,
+            matched_by: resolution.matched_by
+        }
+    };
+}
+
 /**
  * Get councillors for a specific ward
  *
  * @param {string} councilName - Council name
- * @param {string} wardName - Ward name (e.g., "Kingsholm and Wotton")
+ * @param {string} wardName - Ward name (e.g., "Kingsholm and Wotton"). Case, punctuation,
+ *   missing words ("Matson and Robinswood") and small misspellings are tolerated
  * @returns {Promise<object>} Councillor information for the ward
  */
 async function getCouncillorsByWard(councilName, wardName) {
@@ -29,7 +64,6 @@ async function getCouncillorsByWard(councilName, wardName) {
     }
 
     const normalizedWardName = wardName.trim();
-    const lowerInput = normalizedWardName.toLowerCase();
 
     // Primary path: fetch all wards from the live API and find the matching ward.
     // This avoids reliance on the knowledge-base JSON files, which contain
@@ -37,102 +71,64 @@ async function getCouncillorsByWard(councilName, wardName) {
     try {
         const result = await moderngovClient.getCouncillorsByWard(councilName);
         const allWards = result.wards || [];
+        const wardNames = allWards.map(w => w.ward_name).filter(Boolean);
 
-        // Prefer exact case-insensitive match, then fall back to unambiguous substring.
-        let ward = allWards.find(w =>
-            w.ward_name && w.ward_name.toLowerCase() === lowerInput
-        );
-
-        if (!ward) {
-            const substringMatches = allWards.filter(w =>
-                w.ward_name && w.ward_name.toLowerCase().includes(lowerInput)
-            );
-
-            if (substringMatches.length === 1) {
-                ward = substringMatches[0];
-            } else if (substringMatches.length > 1) {
-                return {
-                    error: 'Ambiguous ward name',
-                    council_name: councilName,
-                    ward_name: normalizedWardName,
-                    hint: 'Multiple wards matched. Please use the exact ward name.',
-                    matching_wards: substringMatches.map(w => w.ward_name).sort()
-                };
-            } else {
-                return {
-                    error: 'Ward not found',
-                    council_name: councilName,
-                    ward_name: normalizedWardName,
-                    hint: 'Ward name not recognized. Please check spelling.',
-                    available_wards: allWards.map(w => w.ward_name).filter(Boolean).sort()
-                };
-            }
+        const resolution = councilConfig.resolveWard(councilName, normalizedWardName, wardNames);
+        if (resolution.status !== 'resolved') {
+            return wardNotResolved(councilName, normalizedWardName, resolution, wardNames,
+                'Ward name not recognized. Please check spelling.');
         }
 
+        const ward = allWards.find(w => w.ward_name === resolution.name);
         return {
             council: councilName,
             ward_name: ward.ward_name,
             ward_id: ward.ward_id,
             councillors: ward.councillors || [],
             count: (ward.councillors || []).length,
-            source: 'live_moderngov'
+            source: 'live_moderngov',
+            ...wardResolution(resolution)
         };
     } catch (e) {
         console.warn(`Could not fetch live ward data for ${councilName}:`, e.message);
     }
 
-    // Fallback: knowledge-base data. Note that the current wards.json files
-    // were generated from a councillors endpoint and contain councillor names
-    // rather than ward names — they need to be regenerated from GetCouncillorsByWard.
-    const wardsData = councilConfig.getWards(councilName);
-    if (!wardsData) {
+    // Fallback: ward names held offline. wards.json files that predate
+    // `npm run sync:knowledge-base` list councillors, not wards, so they are
+    // not matched against (see councilConfig.getWardNames).
+    if (!councilConfig.getCouncil(councilName)) {
         return {
             error: 'Council not found or no ward data available',
             council_name: councilName,
             available_councils: councilConfig.getCouncilNames()
         };
     }
-
-    const allWards = wardsData.wards || [];
-
-    let ward = allWards.find(w =>
-        w.name && w.name.toLowerCase() === lowerInput
-    );
-
-    if (!ward) {
-        const substringMatches = allWards.filter(w =>
-            w.name && w.name.toLowerCase().includes(lowerInput)
-        );
-
-        if (substringMatches.length === 1) {
-            ward = substringMatches[0];
-        } else if (substringMatches.length > 1) {
-            return {
-                error: 'Ambiguous ward name',
-                council_name: councilName,
-                ward_name: normalizedWardName,
-                hint: 'Multiple wards matched. Please use the exact ward name.',
-                matching_wards: substringMatches.map(w => w.name).sort()
-            };
-        }
-    }
-
-    if (!ward) {
+    const allWards = councilConfig.getWardNames(councilName);
+    if (!allWards) {
         return {
-            error: 'Ward not found',
+            error: 'Ward data unavailable',
             council_name: councilName,
             ward_name: normalizedWardName,
-            hint: 'Ward name not recognized. Live data unavailable; knowledge-base ward data may be stale.',
-            available_wards: allWards.map(w => w.name).filter(Boolean).sort()
+            hint: 'Live ModernGov data is unavailable and no ward names are held offline for this council until `npm run sync:knowledge-base` is run. Try again later.'
         };
     }
 
+    const wardNames = allWards.map(w => w.name);
+
+    const resolution = councilConfig.resolveWard(councilName, normalizedWardName, wardNames);
+    if (resolution.status !== 'resolved') {
+        return wardNotResolved(councilName, normalizedWardName, resolution, wardNames,
+            'Ward name not recognized. Live data unavailable; knowledge-base ward data may be stale.');
+    }
+
+    const ward = allWards.find(w => w.name === resolution.name);
     return {
         council: councilName,
         ward_name: ward.name,
         ward_id: ward.id,
         note: 'Ward data from knowledge base. Live ModernGov data not available.',
-        source: 'knowledge_base'
+        source: 'knowledge_base',
+        ...wardResolution(resolution)
     };
 }
 
@@ -0,0 +1,191 @@
+/**
+ * Get Forward Plan Tool
+ * Lists upcoming key decisions from a council's published Forward Plan, or
+ * checks whether a specific Forward Plan reference exists
+ */
+
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+const { parseDateInput, formatUkDate } = require('./get-meetings');
+const { parseUkDate } = require('../member-profile');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+// The Forward Plan is a rolling 12-month programme of key decisions
+const DEFAULT_WINDOW_DAYS = 365;
+
+function normaliseReference(reference) {
+    return String(reference || '').toUpperCase().replace(/\s+/g, '');
+}
+
+function withLinks(item, councilUrl) {
+    return {
+        ...item,
+        url: item.id ? `${councilUrl}/mgIssueHistoryHome.aspx?IId=${item.id}` : null
+    };
+}
+
+function unavailable(councilName, e) {
+    if (e.code === 'UNRECOGNISED_RESPONSE') {
+        return {
+            error: 'The Forward Plan response could not be read',
+            status_code: 502,
+            council: councilName,
+            hint: 'ModernGov returned the Forward Plan in a shape this tool does not recognise, so it cannot say whether an item is on the plan. Check the Forward Plan on the council website.',
+            error_detail: e.message
+        };
+    }
+    return {
+        error: 'Failed to retrieve the Forward Plan',
+        status_code: 503,
+        council: councilName,
+        hint: 'The ModernGov API is temporarily unavailable. Please try again, or check the Forward Plan on the council website.',
+        error_detail: e.message
+    };
+}
+
+function byExpectedDate(a, b) {
+    const dateA = parseUkDate(a.expected_decision_date);
+    const dateB = parseUkDate(b.expected_decision_date);
+    if (dateA && dateB) return dateA - dateB;
+    // Items without a firm date ("to be confirmed") go last
+    return dateA ? -1 : dateB ? 1 : 0;
+}
+
+/**
+ * Get the Forward Plan of key decisions for a council
+ *
+ * @param {string} councilName - Council name
+ * @param {object} [options] - Query options
+ * @param {string} [options.reference] - Forward Plan reference to look up; date filters are ignored
+ * @param {string} [options.from_date] - Earliest expected decision date (DD/MM/YYYY, today, yesterday, tomorrow). Default: today
+ * @param {string} [options.to_date] - Latest expected decision date. Default: 12 months after from_date
+ * @param {boolean} [options.key_decisions_only] - Exclude non-key executive decisions. Default: true
+ * @param {string} [options.search] - Only items whose title or summary contains this text
+ * @returns {Promise<object>} Forward plan items, or the result of the reference lookup
+ */
+async function getForwardPlan(councilName, options = {}) {
+    const { reference, search, key_decisions_only: keyDecisionsOnly = true } = options;
+
+    if (!councilName) {
+        return {
+            error: 'council_name is required',
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const council = councilConfig.getCouncil(councilName);
+    if (!council) {
+        return {
+            error: 'Council not found',
+            council_name: councilName,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const sourceUrl = `${council.url}/mgListPlans.aspx`;
+
+    if (reference !== undefined) {
+        const wanted = normaliseReference(reference);
+        if (!wanted) {
+            return {
+                error: 'reference must not be empty',
+                hint: 'Provide the Forward Plan reference exactly as published, e.g. "FP/2026/014".'
+            };
+        }
+
+        // A reference may have been published for a decision that has since been taken,
+        // so the whole plan is searched rather than the upcoming window
+        let items;
+        try {
+            ({ items } = await moderngovClient.getForwardPlanItems(councilName));
+        } catch (e) {
+            return unavailable(councilName, e);
+        }
+        const match = items.find(item => normaliseReference(item.reference) === wanted);
+        if (match) {
+            return {
+                council: councilName,
+                reference,
+                found: true,
+                item: withLinks(match, council.url),
+                source_url: sourceUrl,
+                note: match.is_key_decision
+                    ? 'The reference is on the published Forward Plan as a key decision.'
+                    : 'The reference is on the published Forward Plan but is not marked as a key decision.'
+            };
+        }
+
+        const similar = items
+            .filter(item => item.reference && normaliseReference(item.reference).includes(wanted))
+            .map(item => ({ reference: item.reference, title: item.title }));
+        return {
+            council: councilName,
+            reference,
+            found: false,
+            similar_references: similar,
+            source_url: sourceUrl,
+            note: 'No item with this reference is on the published Forward Plan. A key decision must not be taken without a Forward Plan entry (PART3E 3E.11); check the reference with Democratic Services.'
+        };
+    }
+
+    const parsedFromDate = options.from_date ? parseDateInput(options.from_date) : parseDateInput('today');
+    if (!parsedFromDate) {
+        return {
+            error: 'Invalid from_date format',
+            hint: 'Date must be DD/MM/YYYY, or one of: today, yesterday, tomorrow'
+        };
+    }
+
+    const parsedToDate = options.to_date
+        ? parseDateInput(options.to_date)
+        : new Date(parsedFromDate.getTime() + DEFAULT_WINDOW_DAYS * DAY_IN_MS);
+    if (!parsedToDate) {
+        return {
+            error: 'Invalid to_date format',
+            hint: 'Date must be DD/MM/YYYY, or one of: today, yesterday, tomorrow'
+        };
+    }
+
+    const fromDate = formatUkDate(parsedFromDate);
+    const toDate = formatUkDate(parsedToDate);
+
+    // ModernGov treats the end date as exclusive, so ask for one day more
+    let items;
+    try {
+        ({ items } = await moderngovClient.getForwardPlanItems(
+            councilName,
+            fromDate,
+            formatUkDate(new Date(parsedToDate.getTime() + DAY_IN_MS))
+        ));
+    } catch (e) {
+        return unavailable(councilName, e);
+    }
+
+    const needle = search ? String(search).toLowerCase() : null;
+    const selected = items
+        .filter(item => !keyDecisionsOnly || item.is_key_decision)
+        .filter(item => {
+            // Undated items are still on the plan, so they are kept
+            const expected = parseUkDate(item.expected_decision_date);
+            return !expected || (expected >= parsedFromDate && expected <= parsedToDate);
+        })
+        .filter(item => !needle || `${item.title || ''} ${item.summary || ''}`.toLowerCase().includes(needle))
+        .sort(byExpectedDate)
+        .map(item => withLinks(item, council.url));
+
+    return {
+        council: councilName,
+        from_date: fromDate,
+        to_date: toDate,
+        key_decisions_only: keyDecisionsOnly,
+        search: search || null,
+        items: selected,
+        total_count: selected.length,
+        source_url: sourceUrl,
+        note: selected.length === 0
+            ? 'No matching items are on the published Forward Plan for this period.'
+            : 'Expected decision dates are indicative and may move. Items without a date are listed last.'
+    };
+}
+
+module.exports = { getForwardPlan };
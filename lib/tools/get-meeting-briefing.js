@@ -84,7 +84,7 @@ function buildOfficialSection(value) {
     };
 }
 
-async function buildAgendaItemBriefing(meeting, item, includeDocumentAnalysis) {
+async function buildAgendaItemBriefing(meeting, item, includeDocumentAnalysis, skippedReason = null) {
     const reportDoc = (item.linked_documents || []).find(d => /report|agenda|cabinet|committee/i.test(d.title || '')) || (item.linked_documents || [])[0] || null;
 
     let reportAnalysis = null;
@@ -96,6 +96,8 @@ async function buildAgendaItemBriefing(meeting, item, includeDocumentAnalysis) {
         recommendationAnalysis = await getReportRecommendations({ url: reportDoc.url, max_items: 20 });
         if (!reportAnalysis?.success) evidenceGaps.push(`Could not analyse main report document (${reportDoc.url}).`);
         if (!recommendationAnalysis?.success) evidenceGaps.push(`Could not extract formal recommendations (${reportDoc.url}).`);
+    } else if (skippedReason && reportDoc && reportDoc.url) {
+        evidenceGaps.push(`Document analysis not run: ${skippedReason}`);
     } else {
         evidenceGaps.push('No accessible main report document identified for deep extraction.');
     }
@@ -211,18 +213,107 @@ function buildMeetingLevelBriefing(items) {
     };
 }
 
-async function getMeetingBriefing(councilName, meetingId, includeDocumentAnalysis = true) {
+const DEFAULT_TIME_BUDGET_SECONDS = 120;
+
+function normaliseItemKey(value) {
+    return String(value ?? '').trim().replace(/\.$/, '').toLowerCase();
+}
+
+function itemMatches(item, keys) {
+    return keys.has(normaliseItemKey(item.number)) || keys.has(normaliseItemKey(item.id));
+}
+
+function normaliseOptions(options) {
+    // Older callers pass includeDocumentAnalysis as a boolean third argument.
+    const opts = typeof options === 'boolean' ? { include_document_analysis: options } : (options || {});
+    return {
+        includeDocumentAnalysis: opts.include_document_analysis !== false,
+        itemNumbers: Array.isArray(opts.item_numbers) && opts.item_numbers.length ? opts.item_numbers : null,
+        analyseItemNumbers: Array.isArray(opts.analyse_item_numbers) ? opts.analyse_item_numbers : null,
+        maxAnalysedItems: Number.isInteger(opts.max_analysed_items) && opts.max_analysed_items >= 0 ? opts.max_analysed_items : null,
+        timeBudgetSeconds: Number.isFinite(opts.time_budget_seconds) && opts.time_budget_seconds > 0
+            ? opts.time_budget_seconds
+            : DEFAULT_TIME_BUDGET_SECONDS
+    };
+}
+
+/**
+ * Build a briefing pack for a meeting
+ *
+ * @param {string} councilName - Council name
+ * @param {number} meetingId - Meeting ID from ModernGov
+ * @param {object|boolean} [options] - Briefing options (a boolean is read as include_document_analysis)
+ * @param {string[]} [options.item_numbers] - Brief only these agenda items (item number or id). Default: all
+ * @param {boolean} [options.include_document_analysis] - Analyse each item's main report. Default: true
+ * @param {string[]} [options.analyse_item_numbers] - Analyse documents only for these items. Default: every briefed item
+ * @param {number} [options.max_analysed_items] - Stop document analysis after this many items
+ * @param {number} [options.time_budget_seconds] - Stop starting document analysis once this much time has passed. Default: 120
+ * @returns {Promise<object>} Item and meeting level briefings, or an error object
+ */
+async function getMeetingBriefing(councilName, meetingId, options = {}) {
+    const opts = normaliseOptions(options);
+    const startedAt = Date.now();
+
     const meeting = await getMeetingDetails(councilName, meetingId);
     if (meeting.error) {
         return meeting;
     }
 
+    const agenda = meeting.agenda || [];
+    let selected = agenda;
+    let notFound = [];
+    if (opts.itemNumbers) {
+        const keys = new Set(opts.itemNumbers.map(normaliseItemKey));
+        selected = agenda.filter(item => itemMatches(item, keys));
+        notFound = opts.itemNumbers.filter(key => !agenda.some(item => itemMatches(item, new Set([normaliseItemKey(key)]))));
+        if (selected.length === 0) {
+            return {
+                error: 'None of the requested agenda items were found in this meeting',
+                requested_items: opts.itemNumbers,
+                available_items: agenda.map(item => ({
+                    item_number: item.number || String(item.id),
+                    item_title: item.title || 'Untitled agenda item'
+                })),
+                hint: 'Use item numbers as shown on the agenda (e.g. "5") or agenda item ids from get_meeting_details.'
+            };
+        }
+    }
+
+    const analyseKeys = opts.analyseItemNumbers ? new Set(opts.analyseItemNumbers.map(normaliseItemKey)) : null;
+    const analysed = [];
+    const notAnalysed = [];
+    let budgetExhausted = false;
+
     const items = [];
-    for (const item of (meeting.agenda || [])) {
+    for (const item of selected) {
+        const itemNumber = item.number || String(item.id);
+        let analyse = opts.includeDocumentAnalysis;
+        let skippedReason = null;
+
+        if (!analyse) {
+            skippedReason = 'document analysis was not requested.';
+        } else if (analyseKeys && !itemMatches(item, analyseKeys)) {
+            analyse = false;
+            skippedReason = 'item was not selected for analysis.';
+        } else if (opts.maxAnalysedItems !== null && analysed.length >= opts.maxAnalysedItems) {
+            analyse = false;
+            skippedReason = `limit of ${opts.maxAnalysedItems} analysed item(s) reached.`;
+        } else if (Date.now() - startedAt >= opts.timeBudgetSeconds * 1000) {
+            analyse = false;
+            budgetExhausted = true;
+            skippedReason = `time budget of ${opts.timeBudgetSeconds} seconds reached.`;
+        }
+
         // Sequential extraction to avoid overloading council endpoints.
         // eslint-disable-next-line no-await-in-loop
-        const briefing = await buildAgendaItemBriefing(meeting, item, includeDocumentAnalysis);
+        const briefing = await buildAgendaItemBriefing(meeting, item, analyse, skippedReason);
         items.push(briefing);
+
+        if (analyse) {
+            analysed.push(itemNumber);
+        } else {
+            notAnalysed.push({ item_number: itemNumber, reason: skippedReason });
+        }
     }
 
     return {
@@ -232,6 +323,20 @@ async function getMeetingBriefing(councilName, meetingId, includeDocumentAnalysi
         committee_name: meeting.council,
         agenda_item_briefings: items,
         meeting_level_briefing: buildMeetingLevelBriefing(items),
+        briefing_scope: {
+            agenda_items_total: agenda.length,
+            items_briefed: items.map(i => i.item_number),
+            requested_items_not_found: notFound,
+            document_analysis: {
+                requested: opts.includeDocumentAnalysis,
+                items_analysed: analysed,
+                items_not_analysed: notAnalysed,
+                max_analysed_items: opts.maxAnalysedItems,
+                time_budget_seconds: opts.timeBudgetSeconds,
+                time_budget_exhausted: budgetExhausted,
+                elapsed_ms: Date.now() - startedAt
+            }
+        },
         record_handling_guidance: {
             official_record: 'Use official_recommendation, financial_implications_official, and legal_implications_official as verbatim source text.',
             plain_english: 'Use summary fields for explanatory narrative.',
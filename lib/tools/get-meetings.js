@@ -162,4 +162,4 @@ async function getMeetings(councilName, committeeId, fromDate, toDate) {
     };
 }
 
-module.exports = { getMeetings };
+module.exports = { getMeetings, parseDateInput, formatUkDate };
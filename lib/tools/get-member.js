@@ -0,0 +1,179 @@
+/**
+ * Get Member Tool
+ * Returns a councillor's profile: ward, party, key posts, terms of office and
+ * committee memberships with chair/vice-chair roles
+ */
+
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+const {
+    toPublicCouncillor,
+    findCurrentTerm,
+    classifyCommitteeRole,
+    normaliseMemberName
+} = require('../member-profile');
+
+/**
+ * Find members by ID or name
+ * @param {object[]} candidates - { id, name, ... } records
+ * @param {number} [memberId] - Member ID
+ * @param {string} [memberName] - Full or partial name
+ * @returns {object[]} Matches (exact name matches win over partial ones)
+ */
+function matchMembers(candidates, memberId, memberName) {
+    if (memberId) {
+        return candidates.filter(c => c.id === memberId);
+    }
+    const wanted = normaliseMemberName(memberName);
+    const exact = candidates.filter(c => normaliseMemberName(c.name) === wanted);
+    return exact.length ? exact : candidates.filter(c => normaliseMemberName(c.name).includes(wanted));
+}
+
+function describeMemberships(councilName, memberId) {
+    const memberships = councilConfig.getCommitteeMemberships(councilName, memberId).map(m => ({
+        ...m,
+        role_type: classifyCommitteeRole(m.role) || 'member'
+    }));
+    return {
+        committee_memberships: memberships,
+        roles: {
+            chair_of: memberships.filter(m => m.role_type === 'chair').map(m => m.committee_name),
+            vice_chair_of: memberships.filter(m => m.role_type === 'vice_chair').map(m => m.committee_name)
+        }
+    };
+}
+
+/**
+ * Get a councillor's profile and committee memberships
+ *
+ * @param {string} councilName - Council name
+ * @param {object} options - Lookup options
+ * @param {number} [options.member_id] - ModernGov member ID
+ * @param {string} [options.member_name] - Full or partial councillor name
+ * @param {boolean} [options.include_home_address] - Include the published home address. Default: false
+ * @returns {Promise<object>} Member profile
+ */
+async function getMember(councilName, options = {}) {
+    const { member_id: memberId, member_name: memberName, include_home_address: includeHomeAddress = false } = options;
+
+    if (!councilName) {
+        return {
+            error: 'council_name is required',
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const council = councilConfig.getCouncil(councilName);
+    if (!council) {
+        return {
+            error: 'Council not found',
+            council_name: councilName,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    if (!memberId && !(memberName && normaliseMemberName(memberName))) {
+        return {
+            error: 'member_id or member_name is required',
+            hint: 'Use get_councillors or list_committee_members to find member IDs and names.'
+        };
+    }
+
+    const committeesData = councilConfig.getCommittees(councilName);
+    const membershipSource = {
+        source: 'knowledge_base',
+        last_updated: committeesData?.generatedUtc || null,
+        note: 'Committee memberships and roles come from the committee knowledge base, scraped from the council portal.'
+    };
+
+    let liveMembers = null;
+    let liveError = null;
+    try {
+        const result = await moderngovClient.getCouncillorsByWard(councilName);
+        liveMembers = (result.wards || []).flatMap(ward =>
+            (ward.councillors || []).map(c => ({ ...c, ward_name: ward.ward_name, ward_id: ward.ward_id }))
+        );
+    } catch (e) {
+        liveError = e.message;
+    }
+
+    if (liveMembers) {
+        const matches = matchMembers(liveMembers, memberId, memberName);
+        if (matches.length > 1) {
+            return {
+                error: 'Ambiguous member name',
+                council_name: councilName,
+                member_name: memberName,
+                hint: 'Multiple councillors matched. Use member_id or the full name.',
+                matching_members: matches.map(m => ({ id: m.id, name: m.name, ward: m.ward_name }))
+            };
+        }
+        if (matches.length === 1) {
+            const member = matches[0];
+            const currentTerm = findCurrentTerm(member.terms_of_office);
+            return {
+                council: councilName,
+                member: {
+                    ...toPublicCouncillor(member, council.url, { includeHomeAddress }),
+                    ward: member.ward_name,
+                    ward_id: member.ward_id,
+                    representing: member.representing || null,
+                    terms_of_office: member.terms_of_office || [],
+                    current_term: currentTerm,
+                    // ModernGov does not always record the current term, so only
+                    // a known term counts as evidence either way
+                    is_serving: currentTerm ? true : null
+                },
+                ...describeMemberships(councilName, member.id),
+                membership_source: membershipSource,
+                source: 'live_moderngov',
+                note: includeHomeAddress
+                    ? 'Home address included on request. Do not republish it beyond the purpose it was requested for.'
+                    : 'Home addresses are excluded. Use the work contact details to contact the councillor.'
+            };
+        }
+    }
+
+    // Not in the live ward list (or live data unavailable): fall back to committee records
+    const kbMembers = [];
+    for (const committee of committeesData?.committees || []) {
+        for (const m of committee.members || []) {
+            if (m.uid && !kbMembers.some(k => k.id === m.uid)) {
+                kbMembers.push({ id: m.uid, name: m.name });
+            }
+        }
+    }
+    const kbMatches = matchMembers(kbMembers, memberId, memberName);
+    if (kbMatches.length !== 1) {
+        return {
+            error: kbMatches.length > 1 ? 'Ambiguous member name' : 'Member not found',
+            council_name: councilName,
+            member_id: memberId || null,
+            member_name: memberName || null,
+            hint: kbMatches.length > 1
+                ? 'Multiple councillors matched. Use member_id or the full name.'
+                : 'Check the spelling, or use get_councillors to list current councillors.',
+            matching_members: kbMatches.length > 1 ? kbMatches : undefined,
+            error_detail: liveError || undefined
+        };
+    }
+
+    const member = kbMatches[0];
+    return {
+        council: councilName,
+        member: {
+            id: member.id,
+            name: member.name,
+            profile_url: `${council.url}/mgUserInfo.aspx?UID=${member.id}`
+        },
+        ...describeMemberships(councilName, member.id),
+        membership_source: membershipSource,
+        source: 'knowledge_base',
+        note: liveError
+            ? 'Live ModernGov data unavailable; profile limited to committee records.'
+            : 'Member sits on committees but is not a current ward councillor (for example a co-opted or independent member).',
+        error_detail: liveError || undefined
+    };
+}
+
+module.exports = { getMember };
@@ -0,0 +1,93 @@
+/**
+ * List Committee Members Tool
+ * Returns who sits on a committee, with chair/vice-chair roles, party and ward
+ */
+
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+const { toPublicCouncillor, classifyCommitteeRole } = require('../member-profile');
+
+/**
+ * List the members of a committee
+ *
+ * @param {string} councilName - Council name
+ * @param {number} committeeId - Committee ID
+ * @returns {Promise<object>} Committee membership
+ */
+async function listCommitteeMembers(councilName, committeeId) {
+    if (!councilName) {
+        return {
+            error: 'council_name is required',
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const council = councilConfig.getCouncil(councilName);
+    if (!council) {
+        return {
+            error: 'Council not found',
+            council_name: councilName,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const committee = councilConfig.getCommittee(councilName, committeeId);
+    if (!committee) {
+        return {
+            error: 'Committee not found',
+            council_name: councilName,
+            committee_id: committeeId,
+            hint: 'Use list_committees to find committee IDs for this council.'
+        };
+    }
+
+    // Enrich with live party, ward and contact details where ModernGov is reachable
+    const liveById = new Map();
+    let liveError = null;
+    try {
+        const result = await moderngovClient.getCouncillorsByWard(councilName);
+        for (const ward of result.wards || []) {
+            for (const c of ward.councillors || []) {
+                liveById.set(c.id, { ...c, ward_name: ward.ward_name });
+            }
+        }
+    } catch (e) {
+        liveError = e.message;
+    }
+
+    const members = (committee.members || []).map(m => {
+        const live = liveById.get(m.uid);
+        const base = live
+            ? { ...toPublicCouncillor(live, council.url), ward: live.ward_name }
+            : { id: m.uid || null, name: m.name, profile_url: m.uid ? `${council.url}/mgUserInfo.aspx?UID=${m.uid}` : null };
+        return {
+            ...base,
+            name: m.name || base.name,
+            role: m.role || null,
+            role_type: classifyCommitteeRole(m.role) || 'member'
+        };
+    });
+
+    const byRole = type => members.filter(m => m.role_type === type).map(m => ({ id: m.id, name: m.name }));
+
+    const committeesData = councilConfig.getCommittees(councilName);
+    return {
+        council: councilName,
+        committee_id: committee.id,
+        committee_name: committee.title,
+        chair: byRole('chair')[0] || null,
+        vice_chairs: byRole('vice_chair'),
+        members,
+        member_count: members.length,
+        contact: committee.contact || null,
+        urls: committee.urls || null,
+        source: liveError ? 'knowledge_base' : 'knowledge_base+live_moderngov',
+        last_updated: committeesData?.generatedUtc || null,
+        note: members.length === 0
+            ? 'No membership is recorded for this committee in the knowledge base. Check the committee page on the council portal.'
+            : 'Membership and roles come from the committee knowledge base; party, ward and contact details from live ModernGov where available. Home addresses are excluded.',
+        error_detail: liveError || undefined
+    };
+}
+
+module.exports = { listCommitteeMembers };
@@ -0,0 +1,259 @@
+/**
+ * Refresh Democratic Records Index Tool
+ * Crawls committee meetings across Gloucestershire councils and (re)indexes
+ * their agenda items, decisions, minutes and optionally report text for
+ * search_democratic_records.
+ */
+
+const councilConfig = require('../council-config');
+const democraticIndex = require('../democratic-index');
+const { getMeetings, parseDateInput, formatUkDate } = require('./get-meetings');
+const { getMeetingDetails } = require('./get-meeting-details');
+const { analyzeMeetingDocument } = require('./analyze-meeting-document');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 90;
+const DEFAULT_LOOKAHEAD_DAYS = 60;
+const DEFAULT_TIME_BUDGET_SECONDS = 120;
+const REPORT_SECTION_FIELDS = ['reason_for_report', 'background', 'recommendations', 'financial_implications', 'legal_implications', 'risk_assessment'];
+
+function stripHtml(value) {
+    if (!value || typeof value !== 'string') return '';
+    return value.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function sectionText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(v => (typeof v === 'string' ? v : v?.text || '')).join(' ');
+    return '';
+}
+
+function findMainReport(item) {
+    const docs = (item.linked_documents || []).filter(d => d.url && !d.is_restricted);
+    return docs.find(d => /report|cabinet|committee/i.test(d.title || '')) || docs[0] || null;
+}
+
+/**
+ * A meeting whose minutes are published (and whose report text was extracted,
+ * when asked for) will not change, so later refreshes skip it
+ */
+function isSettled(record, includeReportText) {
+    return Boolean(record && record.minutes_published && (!includeReportText || record.with_report_text));
+}
+
+async function buildMeetingRecord(councilName, committee, meeting, includeReportText, hasTimeLeft) {
+    const details = await getMeetingDetails(councilName, meeting.id);
+    if (details.error) {
+        return { error: details.error_detail ? `${details.error}: ${details.error_detail}` : details.error };
+    }
+
+    const sourceUrl = details.links?.web_page || meeting.links?.web_page || null;
+    const agenda = details.agenda || [];
+    let reportsExtracted = 0;
+    let reportsComplete = true;
+
+    const documents = [];
+    for (const item of agenda) {
+        const linked = (item.linked_documents || []).map(d => ({ title: d.title, url: d.url }));
+        const parts = [
+            item.title,
+            stripHtml(item.decision),
+            stripHtml(item.minutes),
+            ...linked.map(d => d.title)
+        ];
+
+        let hasReportText = false;
+        const report = includeReportText ? findMainReport(item) : null;
+        if (report) {
+            if (hasTimeLeft()) {
+                // Sequential extraction to avoid overloading council endpoints.
+                const analysis = await analyzeMeetingDocument(report.url, ['all'], 20);
+                if (analysis?.success) {
+                    parts.push(analysis.title, analysis.summary, ...REPORT_SECTION_FIELDS.map(f => sectionText(analysis.sections?.[f])));
+                    hasReportText = true;
+                    reportsExtracted += 1;
+                } else {
+                    reportsComplete = false;
+                }
+            } else {
+                reportsComplete = false;
+            }
+        }
+
+        documents.push({
+            item_id: item.id,
+            item_number: item.number || null,
+            item_title: stripHtml(item.title) || 'Untitled agenda item',
+            text: [committee.title, ...parts].filter(Boolean).join('\n'),
+            has_report_text: hasReportText,
+            source_url: sourceUrl,
+            documents: linked
+        });
+    }
+
+    if (documents.length === 0) {
+        documents.push({
+            item_id: null,
+            item_number: null,
+            item_title: `${committee.title} meeting`,
+            text: committee.title,
+            has_report_text: false,
+            source_url: sourceUrl,
+            documents: []
+        });
+    }
+
+    return {
+        reportsExtracted,
+        record: {
+            council: councilName,
+            committee_id: committee.id,
+            committee_name: committee.title,
+            meeting_id: meeting.id,
+            meeting_date: democraticIndex.toIsoDate(details.details?.date || meeting.date),
+            minutes_published: Boolean(details.details?.minutes_published),
+            with_report_text: includeReportText && reportsComplete,
+            indexed_at: new Date().toISOString(),
+            documents
+        }
+    };
+}
+
+/**
+ * Refresh the local democratic records index
+ *
+ * @param {object} [options] - Refresh options
+ * @param {string} [options.council_name] - Only this council (default all)
+ * @param {number} [options.committee_id] - Only this committee (requires council_name)
+ * @param {string} [options.from_date] - Earliest meeting date, DD/MM/YYYY (default 90 days ago)
+ * @param {string} [options.to_date] - Latest meeting date, DD/MM/YYYY (default 60 days ahead)
+ * @param {boolean} [options.include_report_text] - Also index text extracted from each item's main report (slow). Default: false
+ * @param {boolean} [options.force] - Re-index meetings even if already settled. Default: false
+ * @param {number} [options.time_budget_seconds] - Stop starting new work after this long. Default: 120
+ * @returns {Promise<object>} Refresh summary
+ */
+async function refreshDemocraticRecordsIndex(options = {}) {
+    const startedAt = Date.now();
+    const includeReportText = options.include_report_text === true;
+    const timeBudgetSeconds = options.time_budget_seconds || DEFAULT_TIME_BUDGET_SECONDS;
+    const hasTimeLeft = () => Date.now() - startedAt < timeBudgetSeconds * 1000;
+
+    if (options.council_name && !councilConfig.getCouncil(options.council_name)) {
+        return {
+            error: 'Council not found',
+            council_name: options.council_name,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+    if (options.committee_id && !options.council_name) {
+        return {
+            error: 'committee_id requires council_name',
+            hint: 'Committee IDs are only unique within a council. Use list_committees to find them.'
+        };
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const fromDate = options.from_date ? parseDateInput(options.from_date) : new Date(today.getTime() - DEFAULT_LOOKBACK_DAYS * DAY_IN_MS);
+    const toDate = options.to_date ? parseDateInput(options.to_date) : new Date(today.getTime() + DEFAULT_LOOKAHEAD_DAYS * DAY_IN_MS);
+    if (!fromDate || !toDate) {
+        return {
+            error: `Invalid ${fromDate ? 'to_date' : 'from_date'} format`,
+            hint: 'Date must be DD/MM/YYYY, or one of: today, yesterday, tomorrow'
+        };
+    }
+
+    const councils = options.council_name ? [options.council_name] : councilConfig.getCouncilNames();
+    const queue = [];
+    for (const councilName of councils) {
+        const committees = (councilConfig.getCommittees(councilName)?.committees || [])
+            .filter(c => !c.flags?.deleted && !c.flags?.expired)
+            .filter(c => !options.committee_id || c.id === options.committee_id);
+        committees.forEach(committee => queue.push({ councilName, committee }));
+    }
+
+    if (options.committee_id && queue.length === 0) {
+        return {
+            error: 'Committee not found',
+            council_name: options.council_name,
+            committee_id: options.committee_id,
+            hint: 'Use list_committees to find active committee IDs for this council.'
+        };
+    }
+
+    const summary = {
+        committees_scanned: 0,
+        meetings_found: 0,
+        meetings_indexed: 0,
+        meetings_skipped_unchanged: 0,
+        items_indexed: 0,
+        report_texts_extracted: 0
+    };
+    const failures = [];
+    const notScanned = [];
+
+    for (const { councilName, committee } of queue) {
+        if (!hasTimeLeft()) {
+            notScanned.push({ council: councilName, committee_id: committee.id, committee_name: committee.title });
+            continue;
+        }
+
+        const listing = await getMeetings(councilName, committee.id, formatUkDate(fromDate), formatUkDate(toDate));
+        if (listing.error) {
+            failures.push({ council: councilName, committee_id: committee.id, error: listing.error });
+            continue;
+        }
+        summary.committees_scanned += 1;
+        summary.meetings_found += listing.meetings.length;
+
+        for (const meeting of listing.meetings) {
+            if (!options.force && isSettled(democraticIndex.getMeeting(councilName, meeting.id), includeReportText)) {
+                summary.meetings_skipped_unchanged += 1;
+                continue;
+            }
+            if (!hasTimeLeft()) {
+                failures.push({ council: councilName, committee_id: committee.id, meeting_id: meeting.id, error: 'Time budget reached before this meeting was indexed' });
+                continue;
+            }
+
+            const built = await buildMeetingRecord(councilName, committee, meeting, includeReportText, hasTimeLeft);
+            if (built.error) {
+                failures.push({ council: councilName, committee_id: committee.id, meeting_id: meeting.id, error: built.error });
+                continue;
+            }
+            democraticIndex.upsertMeeting(built.record);
+            summary.meetings_indexed += 1;
+            summary.items_indexed += built.record.documents.length;
+            summary.report_texts_extracted += built.reportsExtracted;
+        }
+    }
+
+    if (summary.meetings_indexed > 0) {
+        try {
+            democraticIndex.save();
+        } catch (e) {
+            failures.push({ error: `Index could not be saved: ${e.message}` });
+        }
+    }
+
+    const budgetExhausted = notScanned.length > 0 || failures.some(f => /Time budget/.test(f.error));
+
+    return {
+        councils,
+        date_range: { from: formatUkDate(fromDate), to: formatUkDate(toDate) },
+        include_report_text: includeReportText,
+        ...summary,
+        failures,
+        committees_not_scanned: notScanned,
+        time_budget_seconds: timeBudgetSeconds,
+        time_budget_exhausted: budgetExhausted,
+        elapsed_ms: Date.now() - startedAt,
+        index: democraticIndex.getStats(),
+        note: budgetExhausted
+            ? 'Time budget reached before every meeting was indexed. Call again (optionally per council or committee) to continue; meetings with published minutes that are already indexed are skipped.'
+            : 'Index refreshed. Meetings with published minutes are skipped on later refreshes unless force=true.'
+    };
+}
+
+module.exports = { refreshDemocraticRecordsIndex, findMainReport };
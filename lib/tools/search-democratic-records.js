@@ -0,0 +1,111 @@
+/**
+ * Search Democratic Records Tool
+ * Ranked full-text search over indexed agenda items, decisions, minutes and
+ * report text across all Gloucestershire councils
+ */
+
+const councilConfig = require('../council-config');
+const democraticIndex = require('../democratic-index');
+const { parseDateInput } = require('./get-meetings');
+
+const DEFAULT_TOP_K = 10;
+const MAX_TOP_K = 50;
+
+function toIsoDay(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toUkDate(isoDate) {
+    if (!isoDate) return null;
+    const [yyyy, mm, dd] = isoDate.split('-');
+    return `${dd}/${mm}/${yyyy}`;
+}
+
+/**
+ * Search the democratic records index
+ *
+ * @param {object} options - Search options
+ * @param {string} options.query - Free-text query, e.g. "Local Plan Regulation 19 consultation"
+ * @param {string} [options.council_name] - Only this council
+ * @param {number} [options.committee_id] - Only this committee (requires council_name)
+ * @param {string} [options.committee_name] - Only committees whose name contains this text
+ * @param {string} [options.from_date] - Earliest meeting date, DD/MM/YYYY
+ * @param {string} [options.to_date] - Latest meeting date, DD/MM/YYYY
+ * @param {number} [options.top_k] - Number of results (default 10, max 50)
+ * @returns {object} Ranked agenda items with source links
+ */
+function searchDemocraticRecords(options = {}) {
+    const query = typeof options.query === 'string' ? options.query.trim() : '';
+    if (!query) {
+        return {
+            error: 'query is required',
+            hint: 'Describe the topic to search for, e.g. "Local Plan Regulation 19 consultation".'
+        };
+    }
+
+    if (options.council_name && !councilConfig.getCouncil(options.council_name)) {
+        return {
+            error: 'Council not found',
+            council_name: options.council_name,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+    if (options.committee_id && !options.council_name) {
+        return {
+            error: 'committee_id requires council_name',
+            hint: 'Committee IDs are only unique within a council. Use committee_name to filter across councils.'
+        };
+    }
+
+    const fromDate = options.from_date ? parseDateInput(options.from_date) : null;
+    const toDate = options.to_date ? parseDateInput(options.to_date) : null;
+    if ((options.from_date && !fromDate) || (options.to_date && !toDate)) {
+        return {
+            error: `Invalid ${options.from_date && !fromDate ? 'from_date' : 'to_date'} format`,
+            hint: 'Date must be DD/MM/YYYY, or one of: today, yesterday, tomorrow'
+        };
+    }
+
+    const topK = Math.min(Math.max(options.top_k || DEFAULT_TOP_K, 1), MAX_TOP_K);
+    const { results, total_matches: totalMatches } = democraticIndex.search(query, {
+        council: options.council_name,
+        committee_id: options.committee_id,
+        committee_name: options.committee_name,
+        from_date: fromDate ? toIsoDay(fromDate) : null,
+        to_date: toDate ? toIsoDay(toDate) : null
+    }, topK);
+    const stats = democraticIndex.getStats();
+
+    let note = 'Results are ranked agenda items from the local index. Quote decisions and recommendations from get_meeting_details or get_report_recommendations before presenting them as official record, and always include source_url.';
+    if (stats.documents === 0) {
+        note = 'The democratic records index is empty. An administrator builds it with npm run refresh:democratic-index; until then use get_meetings and get_meeting_details.';
+    } else if (results.length === 0) {
+        note = 'No indexed agenda items matched. The index only covers meetings crawled by npm run refresh:democratic-index; widen the filters, or use get_meetings for councils and dates it does not cover.';
+    }
+
+    return {
+        query,
+        filters: {
+            council_name: options.council_name || null,
+            committee_id: options.committee_id || null,
+            committee_name: options.committee_name || null,
+            from_date: options.from_date || null,
+            to_date: options.to_date || null
+        },
+        results: results.map(result => ({
+            ...result,
+            meeting_date: toUkDate(result.meeting_date)
+        })),
+        total_matches: totalMatches,
+        index: {
+            meetings: stats.meetings,
+            documents: stats.documents,
+            updated_at: stats.updated_at,
+            councils: stats.councils
+        },
+        note
+    };
+}
+
+module.exports = { searchDemocraticRecords };
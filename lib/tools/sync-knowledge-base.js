@@ -0,0 +1,334 @@
+/**
+ * Sync Knowledge Base Tool
+ * Refreshes each council's committees.json and wards.json from live ModernGov
+ * (GetCommittees and GetCouncillorsByWard), reporting new, renamed and expired
+ * committees and added, removed and renamed wards.
+ *
+ * Committee purpose, membership and contact details are scraped from the
+ * council portal by json/Gloucestershire/extract-committees.ps1 and are kept
+ * for committees that still exist; new committees get the same URLs as the
+ * scraper but no membership until it is re-run.
+ *
+ * Writing reads ModernGov directly, bypassing the SOAP cache and its stale
+ * fallback, so files are never rewritten from an old response. Reports use
+ * the cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moderngovClient = require('../moderngov-client');
+const councilConfig = require('../council-config');
+
+// json/wardToID.json is a flat ward name → ID map for this council only
+const WARD_TO_ID_COUNCIL = 'Gloucester City Council';
+const WARD_TO_ID_PATH = path.join(__dirname, '../../json/wardToID.json');
+
+function readJson(filePath) {
+    try {
+        // Files written by PowerShell start with a byte order mark
+        return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+function writeJson(filePath, data) {
+    // Write to a temporary file first so a failed write never leaves a truncated file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 4)}\n`, 'utf8');
+    fs.renameSync(tmpPath, filePath);
+}
+
+function committeeUrls(baseUrl, id) {
+    return {
+        details: `${baseUrl}/mgCommitteeDetails.aspx?ID=${id}`,
+        meetings: `${baseUrl}/ieListMeetings.aspx?CommitteeId=${id}`,
+        membersContact: `${baseUrl}/mgCommitteeMailingList.aspx?ID=${id}`,
+        attendance: `${baseUrl}/mgAttendanceSummary.aspx?RPID=${id}`,
+        interests: `${baseUrl}/mgListDeclarationsOfInterest.aspx?RPID=${id}`,
+        rss: `${baseUrl}/mgRss.aspx?CID=${id}`
+    };
+}
+
+/**
+ * Compare stored committees with the live GetCommittees feed
+ *
+ * @param {object[]} stored - committees.json committees ({ id, title, flags, ... })
+ * @param {object[]} live - ModernGovClient.getCommittees result ({ id, name, deleted, expired, category })
+ * @returns {object} { added, renamed, expired, unchanged } — expired includes committees missing from the feed
+ */
+function diffCommittees(stored, live) {
+    const storedActive = new Map((stored || [])
+        .filter(c => !c.flags?.deleted && !c.flags?.expired)
+        .map(c => [c.id, c]));
+    const liveById = new Map((live || []).map(c => [c.id, c]));
+    const liveActive = (live || []).filter(c => !c.deleted && !c.expired);
+
+    const added = liveActive
+        .filter(c => !storedActive.has(c.id))
+        .map(c => ({ id: c.id, title: c.name }));
+    const renamed = liveActive
+        .filter(c => storedActive.has(c.id) && storedActive.get(c.id).title !== c.name)
+        .map(c => ({ id: c.id, previous_title: storedActive.get(c.id).title, title: c.name }));
+    const expired = [...storedActive.values()]
+        .filter(c => {
+            const current = liveById.get(c.id);
+            return !current || current.deleted || current.expired;
+        })
+        .map(c => ({
+            id: c.id,
+            title: c.title,
+            reason: !liveById.has(c.id) ? 'missing_from_feed' : liveById.get(c.id).deleted ? 'deleted' : 'expired'
+        }));
+
+    return {
+        added,
+        renamed,
+        expired,
+        unchanged: liveActive.length - added.length - renamed.length
+    };
+}
+
+function wardKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Compare stored wards with the live GetCouncillorsByWard feed
+ *
+ * GetCouncillorsByWard identifies wards by title, so wards are matched by
+ * name; a rename is only recognised when both sides carry the same ward ID.
+ * New wards appearing while others disappear is how a boundary review shows
+ * up, so that combination is flagged.
+ *
+ * @param {object[]} stored - wards.json wards ({ id, name }, id as published: string or number)
+ * @param {object[]} live - ModernGovClient.getCouncillorsByWard wards ({ ward_id, ward_name })
+ * @returns {object} { added, removed, renamed, unchanged, boundary_change_likely }
+ */
+function diffWards(stored, live) {
+    const storedWards = (stored || []).filter(w => w.name);
+    const liveWards = (live || []).filter(w => w.ward_name);
+    const storedByName = new Map(storedWards.map(w => [wardKey(w.name), w]));
+    const liveByName = new Map(liveWards.map(w => [wardKey(w.ward_name), w]));
+    const storedById = new Map(storedWards.filter(w => w.id != null).map(w => [String(w.id), w]));
+
+    const renamed = liveWards
+        .filter(w => w.ward_id != null && !storedByName.has(wardKey(w.ward_name)) && storedById.has(String(w.ward_id)))
+        .map(w => ({ id: w.ward_id, previous_name: storedById.get(String(w.ward_id)).name, name: w.ward_name }));
+    const renamedIds = new Set(renamed.map(w => String(w.id)));
+
+    const added = liveWards
+        .filter(w => !storedByName.has(wardKey(w.ward_name)) && !renamedIds.has(String(w.ward_id)))
+        .map(w => ({ id: w.ward_id ?? null, name: w.ward_name }));
+    const removed = storedWards
+        .filter(w => !liveByName.has(wardKey(w.name)) && !renamedIds.has(String(w.id)))
+        .map(w => ({ id: w.id != null ? Number(w.id) : null, name: w.name }));
+
+    return {
+        added,
+        removed,
+        renamed,
+        unchanged: liveWards.length - added.length - renamed.length,
+        boundary_change_likely: added.length > 0 && removed.length > 0
+    };
+}
+
+function buildCommitteesFile(council, storedData, liveCommittees) {
+    const storedById = new Map((storedData?.committees || []).map(c => [c.id, c]));
+    const active = liveCommittees
+        .filter(c => !c.deleted && !c.expired)
+        .sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.name.localeCompare(b.name) || a.id - b.id);
+
+    const committees = active.map(c => {
+        const existing = storedById.get(c.id);
+        if (existing) {
+            return {
+                ...existing,
+                title: c.name,
+                category: c.category,
+                flags: { deleted: false, expired: false }
+            };
+        }
+        return {
+            id: c.id,
+            title: c.name,
+            category: c.category,
+            flags: { deleted: false, expired: false },
+            urls: committeeUrls(council.url, c.id),
+            purpose: null,
+            purposeSuggested: null,
+            purposeSource: 'pending_scrape',
+            purposeConfidence: null,
+            members: [],
+            contact: null
+        };
+    });
+
+    return {
+        council: council.name,
+        generatedUtc: new Date().toISOString(),
+        source: {
+            committeesUrl: `${council.url}/mgWebService.asmx/GetCommittees`,
+            baseUrl: council.url,
+            syncedBy: 'sync_knowledge_base'
+        },
+        counts: {
+            totalInFeed: liveCommittees.length,
+            activeInOutput: committees.length,
+            scrapeFailures: storedData?.counts?.scrapeFailures ?? 0,
+            withPurposeScraped: committees.filter(c => c.purposeSource === 'scraped' && c.purpose).length,
+            withPurposeSuggested: committees.filter(c => c.purposeSource === 'suggested' && c.purposeSuggested).length,
+            pendingScrape: committees.filter(c => c.purposeSource === 'pending_scrape').length
+        },
+        committees
+    };
+}
+
+/**
+ * @param {object} council - Council configuration
+ * @param {object[]} liveWards - Live wards
+ * @param {object} knownIds - Ward name key → ID from the stored files, for wards the feed gives no ID
+ */
+function buildWardsFile(council, liveWards, knownIds) {
+    const wards = liveWards
+        .filter(w => w.ward_name)
+        .map(w => {
+            const id = w.ward_id ?? knownIds.get(wardKey(w.ward_name)) ?? null;
+            return { id: id != null ? String(id) : null, name: w.ward_name };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return {
+        council: council.name,
+        url: council.url,
+        scraped_at: new Date().toISOString(),
+        source: 'GetCouncillorsByWard',
+        ward_count: wards.length,
+        wards
+    };
+}
+
+async function syncCouncil(councilName, write) {
+    const council = councilConfig.getCouncil(councilName);
+    const dataDir = councilConfig.getDataDir(councilName);
+    const committeesPath = path.join(dataDir, 'committees.json');
+    const wardsPath = path.join(dataDir, 'wards.json');
+    const result = { council: councilName };
+
+    const fetchOptions = { fresh: write };
+    let liveCommittees;
+    let liveWards;
+    try {
+        liveCommittees = await moderngovClient.getCommittees(councilName, fetchOptions);
+    } catch (e) {
+        result.committees_error = e.message;
+    }
+    try {
+        liveWards = (await moderngovClient.getCouncillorsByWard(councilName, fetchOptions)).wards || [];
+    } catch (e) {
+        result.wards_error = e.message;
+    }
+
+    const storedCommittees = readJson(committeesPath);
+    const storedWards = readJson(wardsPath);
+
+    const updates = {};
+    if (liveCommittees) {
+        result.committees = diffCommittees(storedCommittees?.committees, liveCommittees);
+        updates.committees = buildCommitteesFile(council, storedCommittees, liveCommittees);
+    }
+    if (liveWards && liveWards.length > 0) {
+        result.wards = diffWards(storedWards?.wards, liveWards);
+        const knownIds = new Map((storedWards?.wards || []).filter(w => w.id != null).map(w => [wardKey(w.name), w.id]));
+        if (councilName === WARD_TO_ID_COUNCIL) {
+            Object.entries(readJson(WARD_TO_ID_PATH)?.wards || {}).forEach(([name, id]) => knownIds.set(wardKey(name), id));
+        }
+        updates.wards = buildWardsFile(council, liveWards, knownIds);
+    } else if (liveWards) {
+        // An empty feed is more likely an upstream fault than a council with no wards
+        result.wards_error = 'GetCouncillorsByWard returned no wards; wards.json left unchanged';
+    }
+
+    const c = result.committees;
+    const w = result.wards;
+    const committeesChanged = Boolean(c && (c.added.length || c.renamed.length || c.expired.length));
+    const wardsChanged = Boolean(w && (w.added.length || w.removed.length || w.renamed.length));
+    result.has_changes = committeesChanged || wardsChanged;
+
+    result.files_written = [];
+    if (write && result.has_changes) {
+        try {
+            fs.mkdirSync(dataDir, { recursive: true });
+            if (committeesChanged) {
+                writeJson(committeesPath, updates.committees);
+                result.files_written.push(committeesPath);
+            }
+            if (wardsChanged) {
+                writeJson(wardsPath, updates.wards);
+                result.files_written.push(wardsPath);
+                if (councilName === WARD_TO_ID_COUNCIL) {
+                    const wardToId = {};
+                    updates.wards.wards
+                        .filter(ward => ward.id != null)
+                        .forEach(ward => { wardToId[ward.name] = Number(ward.id); });
+                    writeJson(WARD_TO_ID_PATH, { wards: wardToId });
+                    result.files_written.push(WARD_TO_ID_PATH);
+                }
+            }
+            councilConfig.setKnowledgeBase(councilName, {
+                committees: committeesChanged ? updates.committees : undefined,
+                wards: wardsChanged ? updates.wards : undefined
+            });
+        } catch (e) {
+            result.write_error = e.message;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compare the committees/wards knowledge base with live ModernGov and optionally rewrite it
+ *
+ * @param {object} [options] - Sync options
+ * @param {string} [options.council_name] - Only this council (default all)
+ * @param {boolean} [options.write] - Write updated files. Default: false (report only)
+ * @returns {Promise<object>} Per-council differences and files written
+ */
+async function syncKnowledgeBase(options = {}) {
+    const write = options.write === true;
+
+    if (options.council_name && !councilConfig.getCouncil(options.council_name)) {
+        return {
+            error: 'Council not found',
+            council_name: options.council_name,
+            available_councils: councilConfig.getCouncilNames()
+        };
+    }
+
+    const councilNames = options.council_name ? [options.council_name] : councilConfig.getCouncilNames();
+    const councils = [];
+    // One council at a time to avoid hammering the council endpoints
+    for (const councilName of councilNames) {
+        councils.push(await syncCouncil(councilName, write));
+    }
+
+    const failed = councils.filter(c => c.committees_error || c.wards_error || c.write_error);
+    const changed = councils.filter(c => c.has_changes);
+
+    return {
+        mode: write ? 'write' : 'report',
+        source: write ? 'ModernGov (uncached)' : 'ModernGov via the response cache (up to a day old)',
+        councils,
+        councils_changed: changed.map(c => c.council),
+        councils_with_errors: failed.map(c => c.council),
+        synced_at: new Date().toISOString(),
+        note: !write && changed.length > 0
+            ? 'Report only: nothing was written. Run npm run sync:knowledge-base to update the files.'
+            : changed.some(c => c.committees?.added.length)
+                ? 'New committees have no purpose, membership or contact details yet. Re-run json/Gloucestershire/extract-committees.ps1 to scrape them.'
+                : 'Knowledge base compared with live ModernGov.'
+    };
+}
+
+module.exports = { syncKnowledgeBase, diffCommittees, diffWards };
@@ -0,0 +1,345 @@
+/**
+ * Trace Decision Tool
+ * Follows a report or agenda item through later meetings of the same council,
+ * from the original recommendation to the recorded resolution (e.g. Cabinet
+ * recommending to Council), quoting each stage verbatim with source links.
+ *
+ * Candidate meetings come from the democratic records index as built by
+ * npm run refresh:democratic-index (callers off /api/mcp may refresh it for the
+ * window first); matches are then confirmed against live ModernGov agenda
+ * items by title and recommendation wording.
+ */
+
+const democraticIndex = require('../democratic-index');
+const { tokenize } = require('../../src/schema/search');
+const { getMeetingDetails } = require('./get-meeting-details');
+const { getReportRecommendations } = require('./get-report-recommendations');
+const { refreshDemocraticRecordsIndex, findMainReport } = require('./refresh-democratic-records-index');
+const { formatUkDate } = require('./get-meetings');
+const { parseUkDate } = require('../member-profile');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 180;
+const DEFAULT_MAX_MEETINGS = 10;
+const DEFAULT_TIME_BUDGET_SECONDS = 120;
+const CANDIDATE_RESULTS = 25;
+const TITLE_MATCH_THRESHOLD = 0.6;
+const TEXT_MATCH_THRESHOLD = 0.5;
+const MIN_TITLE_WITH_TEXT = 0.3;
+
+// Words too common in agenda titles and resolutions to show two items are related
+const SIMILARITY_STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'been',
+    'its', 'into', 'any', 'all', 'not', 'per', 'report', 'update', 'council', 'cabinet', 'committee',
+    'meeting', 'item', 'recommend', 'recommends', 'recommended', 'recommendation', 'recommendations',
+    'resolved', 'approve', 'approved', 'agree', 'agreed', 'note', 'noted'
+]);
+
+function stripHtml(value) {
+    if (!value || typeof value !== 'string') return '';
+    return value.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+}
+
+function significantTerms(text) {
+    return new Set(tokenize(text).filter(t => t.length > 2 && !SIMILARITY_STOPWORDS.has(t)));
+}
+
+/**
+ * Share of the reference terms that also appear in the candidate text
+ * @param {Set<string>} reference - Significant terms of the original item
+ * @param {string} candidate - Candidate text
+ * @returns {number} 0–1
+ */
+function overlap(reference, candidate) {
+    if (reference.size === 0) return 0;
+    const terms = significantTerms(candidate);
+    let shared = 0;
+    for (const term of reference) {
+        if (terms.has(term)) shared += 1;
+    }
+    return shared / reference.size;
+}
+
+function findItem(agenda, itemKey) {
+    const key = String(itemKey ?? '').trim().replace(/\.$/, '').toLowerCase();
+    return agenda.find(item => String(item.number ?? '').trim().replace(/\.$/, '').toLowerCase() === key)
+        || agenda.find(item => String(item.id) === key)
+        || null;
+}
+
+/**
+ * Classify what a meeting did with the item from its recorded decision or minutes
+ * @returns {string} referred, resolved, considered, scheduled or no_recorded_outcome
+ */
+function classifyOutcome(officialText, meetingDate) {
+    if (!officialText) {
+        const date = parseUkDate(meetingDate);
+        return date && date >= new Date(new Date().setHours(0, 0, 0, 0)) ? 'scheduled' : 'no_recorded_outcome';
+    }
+    if (/\brecommend(s|ed)?\s+(to|that)\s+(full\s+)?council\b|\b(refer|referred)\s+to\s+(full\s+)?council\b|\bfor\s+(approval|decision)\s+by\s+(full\s+)?council\b/i.test(officialText)) {
+        return 'referred';
+    }
+    if (/\b(resolved|agreed|approved|decided|adopted|rejected|refused)\b/i.test(officialText)) {
+        return 'resolved';
+    }
+    return 'considered';
+}
+
+function buildStage(stageType, meeting, item, committeeName, match = null) {
+    const decision = stripHtml(item.decision) || null;
+    const minutes = stripHtml(item.minutes) || null;
+    const meetingDate = meeting.details?.date || null;
+    return {
+        stage: stageType,
+        outcome: classifyOutcome(decision || minutes, meetingDate),
+        meeting_id: meeting.meeting_id,
+        meeting_date: meetingDate,
+        committee_name: committeeName,
+        item_id: item.id,
+        item_number: item.number || null,
+        item_title: stripHtml(item.title) || 'Untitled agenda item',
+        official_text: { decision, minutes },
+        match,
+        source_url: meeting.links?.web_page || null,
+        documents: (item.linked_documents || [])
+            .filter(d => d.url && !d.is_restricted)
+            .map(d => ({ title: d.title, url: d.url }))
+    };
+}
+
+function currentPosition(timeline) {
+    const last = timeline[timeline.length - 1];
+    const status = {
+        resolved: 'decided',
+        referred: 'awaiting_decision_by_another_body',
+        scheduled: 'awaiting_meeting'
+    }[last.outcome] || 'unclear';
+    return {
+        status,
+        outcome: last.outcome,
+        meeting_id: last.meeting_id,
+        meeting_date: last.meeting_date,
+        committee_name: last.committee_name,
+        source_url: last.source_url
+    };
+}
+
+/**
+ * Trace a report or agenda item from recommendation to recorded decision
+ *
+ * @param {string} councilName - Council name
+ * @param {number} meetingId - Meeting where the item was first considered
+ * @param {string|number} itemKey - Agenda item number (e.g. "7") or agenda item id
+ * @param {object} [options] - Trace options
+ * @param {number} [options.window_days] - How far after the first meeting to look. Default: 180
+ * @param {boolean} [options.include_report_recommendations] - Extract the report's recommendations to match on. Default: true
+ * @param {boolean} [options.refresh_index] - Refresh the democratic records index for the window first. Default: false
+ * @param {number} [options.max_meetings] - Most later meetings to check. Default: 10
+ * @param {number} [options.time_budget_seconds] - Stop starting new work after this long. Default: 120
+ * @returns {Promise<object>} Origin, timeline and current position, or an error object
+ */
+async function traceDecision(councilName, meetingId, itemKey, options = {}) {
+    const startedAt = Date.now();
+    const windowDays = Number.isInteger(options.window_days) && options.window_days > 0 ? options.window_days : DEFAULT_WINDOW_DAYS;
+    const maxMeetings = Number.isInteger(options.max_meetings) && options.max_meetings > 0 ? options.max_meetings : DEFAULT_MAX_MEETINGS;
+    const timeBudgetSeconds = Number.isFinite(options.time_budget_seconds) && options.time_budget_seconds > 0
+        ? options.time_budget_seconds
+        : DEFAULT_TIME_BUDGET_SECONDS;
+    const hasTimeLeft = () => Date.now() - startedAt < timeBudgetSeconds * 1000;
+
+    if (itemKey === undefined || itemKey === null || String(itemKey).trim() === '') {
+        return {
+            error: 'item is required',
+            hint: 'Give the agenda item number as shown on the agenda (e.g. "7") or an agenda item id from get_meeting_details.'
+        };
+    }
+
+    const origin = await getMeetingDetails(councilName, meetingId);
+    if (origin.error) {
+        return origin;
+    }
+
+    const agenda = origin.agenda || [];
+    const originItem = findItem(agenda, itemKey);
+    if (!originItem) {
+        return {
+            error: 'Agenda item not found in this meeting',
+            council: councilName,
+            meeting_id: origin.meeting_id,
+            requested_item: String(itemKey),
+            available_items: agenda.map(item => ({
+                item_number: item.number || String(item.id),
+                item_title: item.title || 'Untitled agenda item'
+            })),
+            hint: 'Use item numbers as shown on the agenda (e.g. "7") or agenda item ids from get_meeting_details.'
+        };
+    }
+
+    const originDate = parseUkDate(origin.details?.date);
+    if (!originDate) {
+        return {
+            error: 'Meeting date unavailable',
+            council: councilName,
+            meeting_id: origin.meeting_id,
+            hint: 'The meeting has no published date, so later meetings cannot be searched.'
+        };
+    }
+    const windowEnd = new Date(originDate.getTime() + windowDays * DAY_IN_MS);
+    const evidenceGaps = [];
+
+    // Official recommendations from the report, when one is published
+    let recommendations = [];
+    let reportUrl = null;
+    const report = options.include_report_recommendations === false ? null : findMainReport(originItem);
+    if (report) {
+        reportUrl = report.url;
+        const extracted = await getReportRecommendations({ url: report.url });
+        if (extracted.success && extracted.recommendations.length > 0) {
+            recommendations = extracted.recommendations;
+        } else {
+            evidenceGaps.push(`No formal recommendations could be extracted from ${report.title || 'the report'}; matching used the item title and recorded decision only.`);
+        }
+    }
+
+    // Only refresh when asked: /api/mcp is anonymous, so it traces against the index as built
+    let indexRefresh = null;
+    if (options.refresh_index === true) {
+        const refreshed = await refreshDemocraticRecordsIndex({
+            council_name: councilName,
+            from_date: formatUkDate(originDate),
+            to_date: formatUkDate(windowEnd),
+            time_budget_seconds: Math.max(1, Math.floor(timeBudgetSeconds / 2))
+        });
+        indexRefresh = {
+            meetings_indexed: refreshed.meetings_indexed || 0,
+            meetings_skipped_unchanged: refreshed.meetings_skipped_unchanged || 0,
+            committees_not_scanned: (refreshed.committees_not_scanned || []).length,
+            failures: (refreshed.failures || []).length,
+            time_budget_exhausted: Boolean(refreshed.time_budget_exhausted)
+        };
+        if (refreshed.error) {
+            evidenceGaps.push(`Index refresh failed: ${refreshed.error}`);
+        } else if (refreshed.time_budget_exhausted) {
+            evidenceGaps.push('The index refresh ran out of time, so some later meetings may not have been searched. Run npm run refresh:democratic-index for this council and trace again.');
+        }
+    } else {
+        const coverage = democraticIndex.getStats().councils[councilName];
+        const today = new Date();
+        const searchedTo = democraticIndex.toIsoDate(formatUkDate(windowEnd < today ? windowEnd : today));
+        if (!coverage) {
+            evidenceGaps.push(`The democratic records index has no ${councilName} meetings, so no later meetings were searched. Use get_meetings for the committees that would consider the item.`);
+        } else if (coverage.latest_meeting && coverage.latest_meeting < searchedTo) {
+            evidenceGaps.push(`The democratic records index covers ${councilName} meetings up to ${coverage.latest_meeting}; later meetings in the window were not searched.`);
+        }
+    }
+
+    const originTitle = stripHtml(originItem.title);
+    const originRecord = democraticIndex.getMeeting(councilName, origin.meeting_id);
+    const titleTerms = significantTerms(originTitle);
+    const textTerms = significantTerms(recommendations.join(' ') || stripHtml(originItem.decision));
+
+    const query = [originTitle, recommendations[0] || ''].join(' ');
+    const { results } = democraticIndex.search(query, {
+        council: councilName,
+        from_date: democraticIndex.toIsoDate(origin.details.date),
+        to_date: democraticIndex.toIsoDate(formatUkDate(windowEnd))
+    }, CANDIDATE_RESULTS);
+
+    // Check each later meeting once, earliest first
+    const candidateMeetings = [];
+    for (const result of results) {
+        if (result.meeting_id === origin.meeting_id) continue;
+        if (candidateMeetings.some(c => c.meeting_id === result.meeting_id)) continue;
+        candidateMeetings.push(result);
+    }
+    candidateMeetings.sort((a, b) => (a.meeting_date || '').localeCompare(b.meeting_date || ''));
+
+    const timeline = [buildStage('origin', origin, originItem, originRecord?.committee_name || null)];
+    const meetingsChecked = [];
+    const meetingsNotChecked = [];
+    for (const candidate of candidateMeetings) {
+        if (meetingsChecked.length >= maxMeetings || !hasTimeLeft()) {
+            meetingsNotChecked.push({ meeting_id: candidate.meeting_id, committee_name: candidate.committee_name, meeting_date: candidate.meeting_date });
+            continue;
+        }
+
+        // Sequential requests to avoid overloading council endpoints.
+        const meeting = await getMeetingDetails(councilName, candidate.meeting_id);
+        meetingsChecked.push(candidate.meeting_id);
+        if (meeting.error) {
+            evidenceGaps.push(`Meeting ${candidate.meeting_id} (${candidate.committee_name}) could not be read: ${meeting.error}`);
+            continue;
+        }
+
+        let best = null;
+        for (const item of meeting.agenda || []) {
+            const titleSimilarity = overlap(titleTerms, stripHtml(item.title));
+            const textSimilarity = overlap(textTerms, [item.title, item.decision, item.minutes].map(stripHtml).join(' '));
+            const matched = titleSimilarity >= TITLE_MATCH_THRESHOLD
+                || (textSimilarity >= TEXT_MATCH_THRESHOLD && titleSimilarity >= MIN_TITLE_WITH_TEXT);
+            const score = titleSimilarity + textSimilarity;
+            if (matched && (!best || score > best.score)) {
+                best = {
+                    item,
+                    score,
+                    match: {
+                        title_similarity: Math.round(titleSimilarity * 100) / 100,
+                        text_similarity: Math.round(textSimilarity * 100) / 100,
+                        matched_on: titleSimilarity >= TITLE_MATCH_THRESHOLD ? 'title' : 'recommendation_text'
+                    }
+                };
+            }
+        }
+        if (best) {
+            timeline.push(buildStage('subsequent', meeting, best.item, candidate.committee_name, best.match));
+        }
+    }
+
+    if (meetingsNotChecked.length > 0) {
+        evidenceGaps.push(`${meetingsNotChecked.length} candidate meeting(s) were not checked (limit of ${maxMeetings} meetings or time budget reached).`);
+    }
+    if (timeline.length === 1) {
+        evidenceGaps.push('No later meeting in the window has an agenda item matching this one. It may not have progressed, may have been renamed, or may fall outside the window.');
+    }
+
+    return {
+        council: councilName,
+        origin: {
+            meeting_id: origin.meeting_id,
+            meeting_date: origin.details.date,
+            committee_name: originRecord?.committee_name || null,
+            item_number: originItem.number || null,
+            item_title: originTitle || 'Untitled agenda item',
+            report_url: reportUrl,
+            recommendations,
+            source_url: origin.links?.web_page || null
+        },
+        timeline,
+        current_position: currentPosition(timeline),
+        search_window: {
+            from: origin.details.date,
+            to: formatUkDate(windowEnd),
+            meetings_checked: meetingsChecked.length,
+            meetings_not_checked: meetingsNotChecked,
+            index_refresh: indexRefresh,
+            time_budget_seconds: timeBudgetSeconds,
+            elapsed_ms: Date.now() - startedAt
+        },
+        evidence_gaps: evidenceGaps,
+        data_classification: 'official_record',
+        is_official_record: true,
+        official_content_guidance: {
+            verbatim_required: ['recommendations', 'official_text'],
+            note: 'Recommendations, decisions and minutes are the official wording with HTML removed. Quote them verbatim with the stage source_url. Matches to later meetings are inferred from titles and wording; check the match scores and say when a link is inferred.'
+        }
+    };
+}
+
+module.exports = {
+    traceDecision,
+    _internal: {
+        classifyOutcome,
+        overlap,
+        significantTerms
+    }
+};
@@ -6,36 +6,18 @@
  * cross-resource stack orchestration) at POST /api/mcp-azure-estate.
  *
  * All tool logic lives in src/gcc-azure-estate/. This trigger only
- * implements the MCP JSON-RPC envelope, centralized secret redaction,
- * and error-code mapping (AzureEstateError -> isError response).
+ * supplies centralized secret redaction and FORBIDDEN hints to the shared
+ * MCP core (src/mcp-core/), which maps AzureEstateError codes onto isError
+ * responses.
  */
 
 'use strict';
 
 const { app } = require('@azure/functions');
-const { AzureEstateError, ERROR_CODES } = require('../gcc-azure-estate/lib/errors');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
+const { ERROR_CODES } = require('../gcc-azure-estate/lib/errors');
 const { wrapToolResult } = require('../gcc-azure-estate/lib/response');
 
-// context.log.error isn't guaranteed to exist across Azure Functions
-// runtime versions (see src/functions/mcpNotes.js's identical guard) — an
-// unhandled "context.log.error is not a function" here would crash out of
-// the tools/call try/catch entirely, turning a normal tool error into an
-// opaque 500 with no useful message. Every tool failure in this MCP was
-// silently hitting exactly that until this was added.
-function logError(context, ...args) {
-    try {
-        if (typeof context.log.error === 'function') {
-            context.log.error(...args);
-        } else if (typeof context.error === 'function') {
-            context.error(...args);
-        } else {
-            console.error(...args);
-        }
-    } catch (_) {
-        console.error(...args);
-    }
-}
-
 // Wrap module load so a config/dependency failure returns a 503 rather
 // than crashing the entire Azure Functions worker process (which would
 // take down all other endpoints too) — same defensive pattern as
@@ -50,40 +32,7 @@ try {
     console.error('Azure Estate MCP: module load failed —', err.message);
 }
 
-const AVAILABLE_TOOL_NAMES = () => Object.keys(TOOL_HANDLERS).join(', ');
-
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing Azure Estate MCP method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        ...SERVER_INFO,
-                        instructions: `🏛️ GCC AZURE ESTATE ADMINISTRATOR MCP
+const INSTRUCTIONS = `🏛️ GCC AZURE ESTATE ADMINISTRATOR MCP
 
 A governed MCP for inspecting, diagnosing, and provisioning the Azure resources GCC's AI-assisted services run on: resource groups, Function Apps, Static Web Apps, Storage/Blob, and Cosmos DB.
 
@@ -93,94 +42,19 @@ A resource group is an operational boundary, not merely a filter — azure_resou
 
 Every tool follows predictable verbs where meaningful: list, inspect, diagnose, compare, plan, create, apply. "_plan" tools compute a dry-run plan and never call a write API. Write-capable tools are gated per-instance by config/azure-instances.yaml — a FORBIDDEN error means the target instance hasn't been granted that operation class, not that the tool is broken.
 
-Resource-group deletion and blob content read/write are permanently out of scope — no such tool exists.`,
-                    },
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            const handler = TOOL_HANDLERS[name];
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES()}` },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing Azure Estate tool: ${name}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`Azure Estate tool completed [${name}] in ${Date.now() - toolStart}ms`);
-
-                const wrapped = wrapToolResult(name, (args && args.instance) || null, result);
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(wrapped, null, 2) }],
-                    },
-                    id,
-                };
-            } catch (error) {
-                const isEstateError = error instanceof AzureEstateError;
-                const code = isEstateError ? error.code : ERROR_CODES.INTERNAL_ERROR;
-
-                logError(context, `Azure Estate tool error [${name}] (${code}): ${error.message}`);
-                if (error && error.stack) logError(context, `Azure Estate tool error stack [${name}]: ${error.stack}`);
-                logError(context, `Azure Estate tool failed [${name}] after ${Date.now() - toolStart}ms`);
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({
-                                error: error.message,
-                                code,
-                                tool: name,
-                                details: isEstateError ? error.details : undefined,
-                                hint: code === ERROR_CODES.FORBIDDEN
-                                    ? 'Call azure_instances_list to see which operation classes are granted to this instance.'
-                                    : 'Call azure_ping to confirm the Estate MCP is healthy, then retry with corrected parameters.',
-                            }, null, 2),
-                        }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
+Resource-group deletion and blob content read/write are permanently out of scope — no such tool exists.`;
+
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, {
+    label: 'MCP Azure Estate',
+    getServerInfo: () => ({ instructions: INSTRUCTIONS }),
+    wrapResult: (result, { name, args }) => wrapToolResult(name, args.instance || null, result),
+    formatError: (payload) => ({
+        ...payload,
+        hint: payload.code === ERROR_CODES.FORBIDDEN
+            ? 'Call azure_instances_list to see which operation classes are granted to this instance.'
+            : 'Call azure_ping to confirm the Estate MCP is healthy, then retry with corrected parameters.',
+    }),
+});
 
 app.http('mcpAzureEstate', {
     methods: ['POST'],
@@ -192,67 +66,11 @@ app.http('mcpAzureEstate', {
     // `az functionapp function keys list --name func-mpc-poc --function-name mcpAzureEstate`.
     authLevel: 'function',
     route: 'mcp-azure-estate',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Azure Estate request received');
-
-        if (_moduleLoadError) {
-            console.error('Azure Estate MCP unavailable — module load error:', _moduleLoadError.message);
-            return {
-                status: 503,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: `Azure Estate MCP unavailable: ${_moduleLoadError.message}` },
-                    id: null,
-                }),
-            };
-        }
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                console.error('Failed to parse request body:', parseError.message);
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`MCP Azure Estate request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Azure Estate request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            console.error('MCP Azure Estate unhandled error:', error.message);
-            if (error && error.stack) console.error('MCP Azure Estate unhandled stack:', error.stack);
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, {
+        label: 'MCP Azure Estate',
+        getLoadError: () => _moduleLoadError,
+        unavailableMessage: 'Azure Estate MCP unavailable',
+    }),
 });
 
-module.exports = { handleMcpRequest };
+module.exports = { handleMcpRequest: server.handleMcpRequest };
@@ -19,6 +19,7 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 const { Resolver } = require('dns').promises;
 const net = require('net');
 
@@ -902,14 +903,19 @@ async function handleGetRdap({ domain: rawDomain }, context) {
     }
 }
 
-// ─── MCP manifest ─────────────────────────────────────────────────────────────
-const MANIFEST = {
-    protocolVersion: '2024-11-05',
-    capabilities: { tools: {} },
-    serverInfo: {
-        name: 'gcc-dns-mcp',
-        version: '1.1.0',
-        instructions: `🔍 DNS LOOKUP MCP
+// ─── Tool routing ─────────────────────────────────────────────────────────────
+const TOOL_HANDLERS = {
+    get_dns: handleGetDns,
+    get_txt: handleGetTxt,
+    get_mx: handleGetMx,
+    get_rdap: handleGetRdap,
+};
+
+// ─── MCP server info ──────────────────────────────────────────────────────────
+const SERVER_INFO = {
+    name: 'gcc-dns-mcp',
+    version: '1.1.0',
+    instructions: `🔍 DNS LOOKUP MCP
 
 Performs DNS lookups for public domains.
 
@@ -924,207 +930,15 @@ Performs DNS lookups for public domains.
 ⚠️  Respects robots.txt. Private/internal domains and reserved TLDs are blocked (SSRF protection).
 Rate limited to one query per domain per 2 seconds (or crawl-delay if longer).
 Reverse DNS (PTR) lookups are not supported.`,
-    },
 };
 
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing MCP DNS method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return { jsonrpc: '2.0', result: MANIFEST, id };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: rawArgs } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            const toolNames = TOOLS.map(t => t.name);
-            if (!toolNames.includes(name)) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${toolNames.join(', ')}`,
-                    },
-                    id,
-                };
-            }
-
-            try {
-                let args = rawArgs;
-                if (typeof rawArgs === 'string') {
-                    try {
-                        args = JSON.parse(rawArgs);
-                    } catch {
-                        return {
-                            jsonrpc: '2.0',
-                            error: { code: -32602, message: 'Invalid params: arguments must be valid JSON when provided as a string' },
-                            id,
-                        };
-                    }
-                }
-                if (!args || typeof args !== 'object' || Array.isArray(args)) {
-                    return {
-                        jsonrpc: '2.0',
-                        error: { code: -32602, message: 'Invalid params: arguments must be an object' },
-                        id,
-                    };
-                }
-
-                context.log(`Executing tool: ${name} domain=${args.domain}`);
-
-                let result;
-                switch (name) {
-                    case 'get_dns':
-                        result = await handleGetDns(args, context);
-                        break;
-                    case 'get_txt':
-                        result = await handleGetTxt(args, context);
-                        break;
-                    case 'get_mx':
-                        result = await handleGetMx(args, context);
-                        break;
-                    case 'get_rdap':
-                        result = await handleGetRdap(args, context);
-                        break;
-                }
-
-                context.log(`DNS tool completed [${name}] in ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-                    },
-                    id,
-                };
-            } catch (error) {
-                context.error(`DNS tool error: ${error.message}`);
-                if (error && error.stack) {
-                    context.error(`DNS tool error stack [${name}]: ${error.stack}`);
-                }
-                context.error(`DNS tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: error.message }) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, { label: 'MCP DNS' });
 
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpDns', {
     methods: ['GET', 'POST'],
     authLevel: 'anonymous',
     route: 'mcp-dns',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP DNS request received');
-
-        try {
-            if (request.method === 'GET') {
-                context.log(`MCP DNS manifest served with 200 in ${Date.now() - requestStart}ms`);
-                return {
-                    status: 200,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(MANIFEST),
-                };
-            }
-
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.error('MCP DNS parse error:', parseError);
-                if (parseError && parseError.stack) {
-                    context.error('MCP DNS parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`MCP DNS request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP DNS request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            context.error('MCP DNS unhandled error:', error);
-            if (error && error.stack) {
-                context.error('MCP DNS unhandled error stack:', error.stack);
-            }
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, { label: 'MCP DNS', serveManifestOnGet: true }),
 });
@@ -17,6 +17,7 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 
@@ -374,14 +375,16 @@ async function handleFetchDocumentContent({ url }, context) {
     }
 }
 
-// ─── MCP manifest ─────────────────────────────────────────────────────────────
-const MANIFEST = {
-    protocolVersion: '2024-11-05',
-    capabilities: { tools: {} },
-    serverInfo: {
-        name: 'gcc-doc-extract-mcp',
-        version: '1.0.0',
-        instructions: `📄 DOCUMENT EXTRACTION MCP
+// ─── Tool routing ─────────────────────────────────────────────────────────────
+const TOOL_HANDLERS = {
+    fetch_document_content: handleFetchDocumentContent,
+};
+
+// ─── MCP server info ──────────────────────────────────────────────────────────
+const SERVER_INFO = {
+    name: 'gcc-doc-extract-mcp',
+    version: '1.0.0',
+    instructions: `📄 DOCUMENT EXTRACTION MCP
 
 Fetches PDF and DOCX documents from public URLs and returns AI-readable extracted text.
 
@@ -393,161 +396,15 @@ Fetches PDF and DOCX documents from public URLs and returns AI-readable extracte
 ⚠️  Respects robots.txt. Private/internal IP ranges are blocked (SSRF protection).
 Rate limited to one request per domain per 2 seconds (or crawl-delay if longer).
 Image-based (scanned) documents are not supported — OCR is out of scope at this stage.`,
-    },
 };
 
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing MCP Doc Extract method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return { jsonrpc: '2.0', result: MANIFEST, id };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            if (name !== 'fetch_document_content') {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: fetch_document_content`,
-                    },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing tool: ${name} url=${args?.url}`);
-                const result = await handleFetchDocumentContent(args || {}, context);
-                context.log(`Doc Extract tool completed [${name}] in ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-                    },
-                    id,
-                };
-            } catch (error) {
-                context.log.error(`Doc Extract tool error: ${error.message}`);
-                if (error && error.stack) {
-                    context.log.error(`Doc Extract tool error stack [${name}]: ${error.stack}`);
-                }
-                context.log.error(`Doc Extract tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: error.message }) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, { label: 'MCP Doc Extract' });
 
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpDocExtract', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-doc-extract',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Doc Extract request received');
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('MCP Doc Extract parse error:', parseError);
-                if (parseError && parseError.stack) {
-                    context.log.error('MCP Doc Extract parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`MCP Doc Extract request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Doc Extract request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            context.log.error('MCP Doc Extract unhandled error:', error);
-            if (error && error.stack) {
-                context.log.error('MCP Doc Extract unhandled error stack:', error.stack);
-            }
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, { label: 'MCP Doc Extract' }),
 });
@@ -27,6 +27,7 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 
 const GITHUB_API_BASE = 'https://api.github.com';
 const USER_AGENT = 'GitHubMCP/1.0 (Azure Function MCP; respects robots.txt)';
@@ -660,14 +661,11 @@ const TOOLS = [
     },
 ];
 
-// ─── MCP manifest ─────────────────────────────────────────────────────────────
-const MANIFEST = {
-    protocolVersion: '2024-11-05',
-    capabilities: { tools: {} },
-    serverInfo: {
-        name: 'gcc-github-mcp',
-        version: '1.0.0',
-        instructions: `🐙 GITHUB REPOSITORY MCP
+// ─── MCP server info ──────────────────────────────────────────────────────────
+const SERVER_INFO = {
+    name: 'gcc-github-mcp',
+    version: '1.0.0',
+    instructions: `🐙 GITHUB REPOSITORY MCP
 
 Provides read-only access to public GitHub repository data via the GitHub REST API.
 
@@ -690,7 +688,6 @@ Provides read-only access to public GitHub repository data via the GitHub REST A
 - Minimum 1-second interval between requests; honours X-RateLimit-* headers
 - Inputs strictly validated — no path traversal or injection possible
 - All traffic targets https://api.github.com only (no user-supplied URLs)`,
-    },
 };
 
 // ─── Tool routing ─────────────────────────────────────────────────────────────
@@ -701,159 +698,19 @@ const TOOL_HANDLERS = {
     github_get_file: handleGetFile,
     github_list_commits: handleListCommits,
 };
-const TOOL_NAMES = Object.keys(TOOL_HANDLERS).join(', ');
-
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing MCP GitHub method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return { jsonrpc: '2.0', result: MANIFEST, id };
-
-        case 'notifications/initialized':
-            return null;
 
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            const handler = TOOL_HANDLERS[name];
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: `Unknown tool: ${name}. Available: ${TOOL_NAMES}` },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing tool: ${name} args=${JSON.stringify(args)}`);
-                const result = await handler(args || {}, context);
-                context.log(`GitHub tool completed [${name}] in ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-                        isError: result.error === true || result.blocked === true,
-                    },
-                    id,
-                };
-            } catch (err) {
-                context.log.error(`GitHub tool error [${name}]: ${err.message}`);
-                if (err && err.stack) context.log.error(`GitHub tool error stack [${name}]: ${err.stack}`);
-                context.log.error(`GitHub tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, {
+    label: 'MCP GitHub',
+    isErrorResult: (result) => result.error === true || result.blocked === true,
+});
 
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpGitHub', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-github',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP GitHub request received');
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('MCP GitHub parse error:', parseError);
-                if (parseError && parseError.stack) {
-                    context.log.error('MCP GitHub parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`MCP GitHub request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP GitHub request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            context.log.error('MCP GitHub unhandled error:', error);
-            if (error && error.stack) {
-                context.log.error('MCP GitHub unhandled error stack:', error.stack);
-            }
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, { label: 'MCP GitHub' }),
 });
 
 module.exports = {
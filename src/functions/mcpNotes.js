@@ -1,6 +1,7 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 const { BlobServiceClient } = require('@azure/storage-blob');
 const crypto = require('crypto');
 
@@ -109,24 +110,6 @@ const TOOLS = [
     },
 ];
 
-// ---------------------------------------------------------------------------
-// Safe error logger — context.log.error may not exist in all runtime versions
-// ---------------------------------------------------------------------------
-
-function logError(context, ...args) {
-    try {
-        if (typeof context.log.error === 'function') {
-            context.log.error(...args);
-        } else if (typeof context.error === 'function') {
-            context.error(...args);
-        } else {
-            console.error(...args);
-        }
-    } catch (_) {
-        console.error(...args);
-    }
-}
-
 // ---------------------------------------------------------------------------
 // Date context helper
 // ---------------------------------------------------------------------------
@@ -300,98 +283,20 @@ const TOOL_HANDLERS = {
     get_related: getRelated,
     delete_note: deleteNote,
 };
-const AVAILABLE_TOOL_NAMES = Object.keys(TOOL_HANDLERS).join(', ');
 
 // ---------------------------------------------------------------------------
-// JSON-RPC handler
+// MCP server
 // ---------------------------------------------------------------------------
 
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: body must be a JSON object' }, id: null };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' }, id: requestId };
-    }
-
-    context.log(`Processing MCP Notes method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        ...SERVER_INFO,
-                        ...getDateContext(),
-                        instructions: 'Personal note store for build and architectural thinking. Use add_note to record ideas, decisions, and references. Notes are immutable — supersede rather than update. All notes are scoped to this project only; do not store resident data or commercially sensitive material.',
-                    },
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return { jsonrpc: '2.0', error: { code: -32602, message: 'Invalid params: tool name is required' }, id };
-            }
-
-            const handler = TOOL_HANDLERS[name];
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES}` },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing notes tool: ${name}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`Notes tool completed [${name}] in ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ ...getDateContext(), tool: name, data: result }, null, 2) }],
-                    },
-                    id,
-                };
-            } catch (err) {
-                logError(context,`Notes tool error [${name}]: ${err.message}`);
-                logError(context,`Notes tool error stack: ${err.stack}`);
-                logError(context,`Notes tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: err.message, tool: name, note: 'An unexpected error occurred executing the notes tool.' }, null, 2) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return { jsonrpc: '2.0', error: { code: -32601, message: `Method not found: ${method}` }, id };
-    }
-}
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, {
+    label: 'MCP Notes',
+    getServerInfo: () => ({
+        ...getDateContext(),
+        instructions: 'Personal note store for build and architectural thinking. Use add_note to record ideas, decisions, and references. Notes are immutable — supersede rather than update. All notes are scoped to this project only; do not store resident data or commercially sensitive material.',
+    }),
+    wrapResult: (result, { name }) => ({ ...getDateContext(), tool: name, data: result }),
+    formatError: (payload) => ({ ...payload, note: 'An unexpected error occurred executing the notes tool.' }),
+});
 
 // ---------------------------------------------------------------------------
 // Azure Function HTTP trigger
@@ -401,45 +306,5 @@ app.http('mcpNotes', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-notes',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Notes request received');
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                logError(context,'Failed to parse request body:', parseError);
-                logError(context,'MCP Notes parse error stack:', parseError.stack);
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error: Invalid JSON' }, id: null }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`MCP Notes request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Notes request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (err) {
-            logError(context,'MCP Notes unhandled error:', err.message);
-            logError(context,'MCP Notes unhandled stack:', err.stack);
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ jsonrpc: '2.0', error: { code: -32603, message: err.message }, id: null }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, { label: 'MCP Notes' }),
 });
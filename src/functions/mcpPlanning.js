@@ -21,10 +21,11 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 
 // Wrap module load so a schema load failure returns a 503 rather than
 // crashing the entire Azure Functions worker process.
-let TOOLS = [], TOOL_HANDLERS = {}, SERVER_INFO = {
+let TOOLS = [], TOOL_HANDLERS = {}, RESOURCES = [], SERVER_INFO = {
     name: 'gcc-planning-mcp',
     version: '1.0.0',
     schemaVersions: {},
@@ -33,12 +34,11 @@ let TOOLS = [], TOOL_HANDLERS = {}, SERVER_INFO = {
 let _moduleLoadError = null;
 
 try {
-    ({ TOOLS, TOOL_HANDLERS, SERVER_INFO } = require('../gcc-planning/index'));
+    ({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES } = require('../gcc-planning/index'));
 } catch (err) {
     _moduleLoadError = err;
     console.error('GCC Planning MCP: module load failed —', err.message);
 }
-const AVAILABLE_TOOL_NAMES = () => Object.keys(TOOL_HANDLERS).join(', ');
 
 // ─── Date context helper ──────────────────────────────────────────────────────
 function getDateContext() {
@@ -49,142 +49,6 @@ function getDateContext() {
     };
 }
 
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing MCP Planning method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        ...SERVER_INFO,
-                        ...getDateContext(),
-                        instructions: buildInstructions(),
-                    },
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return {
-                jsonrpc: '2.0',
-                result: { tools: TOOLS },
-                id,
-            };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            const handler = TOOL_HANDLERS[name];
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES()}`,
-                    },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing planning tool: ${name}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`Planning tool completed [${name}] in ${Date.now() - toolStart}ms`);
-
-                const wrappedResult = {
-                    ...getDateContext(),
-                    schemaVersions: SERVER_INFO.schemaVersions,
-                    planVersion: SERVER_INFO.planVersion,
-                    tool: name,
-                    data: result,
-                };
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify(wrappedResult, null, 2),
-                            },
-                        ],
-                    },
-                    id,
-                };
-            } catch (error) {
-                context.log.error(`Planning tool error [${name}]: ${error.message}`);
-                if (error && error.stack) {
-                    context.log.error(`Planning tool error stack [${name}]: ${error.stack}`);
-                }
-                context.log.error(`Planning tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify({
-                                    error: error.message,
-                                    tool: name,
-                                    note: 'An unexpected error occurred executing the planning tool.',
-                                }, null, 2),
-                            },
-                        ],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
-
 function buildInstructions() {
     const sv = SERVER_INFO.schemaVersions || {};
     return `🏛️ GLOUCESTER CITY COUNCIL PLANNING ASSIST MCP SERVER
@@ -234,80 +98,37 @@ PHASE 4 — Reporting
 Gloucester's adopted policies and local validation checklist. Do not apply to other councils without review.`;
 }
 
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES }, {
+    label: 'MCP Planning',
+    getServerInfo: () => ({
+        ...getDateContext(),
+        instructions: buildInstructions(),
+    }),
+    wrapResult: (result, { name }) => ({
+        ...getDateContext(),
+        schemaVersions: SERVER_INFO.schemaVersions,
+        planVersion: SERVER_INFO.planVersion,
+        tool: name,
+        data: result,
+    }),
+    formatError: (payload) => ({
+        ...payload,
+        note: 'An unexpected error occurred executing the planning tool.',
+    }),
+});
+
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpPlanning', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-planning',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Planning request received');
-
+    handler: createHttpHandler(server, {
+        label: 'MCP Planning',
         // Schema failed to load at startup — surface the error
-        if (_moduleLoadError) {
-            context.log.error('Planning MCP unavailable — schema load error:', _moduleLoadError.message);
-            return {
-                status: 503,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32603,
-                        message: `Planning MCP unavailable: ${_moduleLoadError.message}`,
-                    },
-                    id: null,
-                }),
-            };
-        }
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('Failed to parse request body:', parseError);
-                if (parseError && parseError.stack) {
-                    context.log.error('MCP Planning parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            // Notifications return null — respond with 204
-            if (response === null) {
-                context.log(`MCP Planning request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Planning request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            context.log.error('MCP Planning unhandled error:', error);
-            if (error && error.stack) {
-                context.log.error('MCP Planning unhandled error stack:', error.stack);
-            }
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+        getLoadError: () => _moduleLoadError,
+        unavailableMessage: 'Planning MCP unavailable',
+    }),
 });
+
+module.exports = { handleMcpRequest: server.handleMcpRequest };
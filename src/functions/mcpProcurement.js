@@ -1,8 +1,9 @@
 /**
  * Azure Functions v4 HTTP Trigger — GCC Procurement MCP
  *
- * Exposes five read-only MCP tools for GCC's procurement constitutional
- * rules engine at POST /api/mcp-procurement.
+ * Exposes GCC's procurement constitutional rules engine, contract register,
+ * case tracker and contract performance tools as MCP tools at
+ * POST /api/mcp-procurement.
  *
  * Completely separate from the existing mcp and mcp-schema endpoints.
  * All tool logic is in src/gcc-procurement/.
@@ -11,15 +12,16 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 
 // Wrap module load so a schema load failure returns a 503 rather than
 // crashing the entire Azure Functions worker process (which would take
 // down all other endpoints too).
-let TOOLS = [], TOOL_HANDLERS = {}, SERVER_INFO = { name: 'gcc-procurement-mcp', version: '1.0.0', schemaVersion: 'unknown' };
+let TOOLS = [], TOOL_HANDLERS = {}, RESOURCES = [], SERVER_INFO = { name: 'gcc-procurement-mcp', version: '1.0.0', schemaVersion: 'unknown' };
 let _moduleLoadError = null;
 
 try {
-    ({ TOOLS, TOOL_HANDLERS, SERVER_INFO } = require('../gcc-procurement/index'));
+    ({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES } = require('../gcc-procurement/index'));
 } catch (err) {
     _moduleLoadError = err;
     // Log at startup so the error appears in Azure Application Insights / Log Stream
@@ -36,8 +38,6 @@ try {
     console.error('UK Tenders MCP proxy: module load failed —', err.message);
 }
 
-const AVAILABLE_TOOL_NAMES = () => Object.keys(TOOL_HANDLERS).join(', ');
-
 // ─── Date context helper (matches mcpSchema.js pattern) ──────────────────────
 function getDateContext() {
     const now = new Date();
@@ -47,48 +47,10 @@ function getDateContext() {
     };
 }
 
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: {
-                code: -32600,
-                message: 'Invalid Request: body must be a JSON object',
-            },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: {
-                code: -32600,
-                message: 'Invalid Request: jsonrpc must be "2.0"',
-            },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing MCP Procurement method: ${method}`);
+function buildInstructions() {
+    return `🏛️ GLOUCESTER CITY COUNCIL PROCUREMENT RULES ENGINE MCP
 
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        ...SERVER_INFO,
-                        ...getDateContext(),
-                        instructions: `🏛️ GLOUCESTER CITY COUNCIL PROCUREMENT RULES ENGINE MCP
-
-This MCP is a read-only constitutional rules engine for Gloucester City Council procurement governance.
+This MCP is a constitutional rules engine for Gloucester City Council procurement governance, plus the council's contract register, procurement case tracker and contract performance monitoring.
 All rules are derived from ${SERVER_INFO.schemaFile || 'procurement-contracts-schema-v0.9.3.json'} (v${SERVER_INFO.schemaVersion}).
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -98,8 +60,34 @@ All rules are derived from ${SERVER_INFO.schemaFile || 'procurement-contracts-sc
 - gcc_procurement_check_supplier   — Supplier compliance checklist
 - gcc_procurement_validate_case    — Validate case against risk flags and required assessments
 - gcc_procurement_get_notices      — Required UK notice sequence
+- gcc_procurement_draft_notice     — Pre-filled Find a Tender draft of a UK notice, with missing mandatory fields
+- gcc_procurement_plan_timeline    — Dated plan to award: tender periods, Forward Plan deadline, Cabinet cycle, standstill
 - gcc_procurement_explain_rule     — Plain English explanation of any rule, threshold, or conflict
 
+🗂️ PROCUREMENT CASES (stored, one record per procurement from pipeline to award)
+- gcc_procurement_open_case    — Open a case; runs determine_route
+- gcc_procurement_update_case  — Record Forward Plan/decision references and completed assessments
+- gcc_procurement_advance_case — Move to the next status; gated on the validate_case checks
+- gcc_procurement_get_case     — Case, audit history and readiness for the next status
+- gcc_procurement_list_cases   — Filter cases by status or service area
+Prefer a case over repeated gcc_procurement_validate_case calls when the procurement is real.
+Run gcc_procurement_plan_timeline back from the target award date when opening a key decision case — the Forward Plan entry is usually due before tenders close.
+
+📒 CONTRACT REGISTER (stored records)
+- gcc_procurement_create_contract  — Add a contract, validated against contract_record
+- gcc_procurement_update_contract  — Change fields on a registered contract
+- gcc_procurement_get_contract     — One contract record
+- gcc_procurement_list_contracts   — Filter the register by status, supplier, service area or expiry
+- gcc_procurement_export_contract_register — Published register (CSV/JSON): awarded contracts above £5,000
+Record a contract's forward_plan_reference and decision references here so the register matches what gcc_procurement_validate_case was told.
+
+📈 CONTRACT PERFORMANCE (stored against registered contracts)
+- gcc_procurement_record_kpi      — Record a KPI reading (remediation plan at Approaching Target or below)
+- gcc_procurement_record_invoice  — Record an invoice received, then its payment date
+- gcc_procurement_record_review   — Record a contract review that has been held
+- gcc_procurement_contract_performance — Review schedule with overdue reviews, KPI ratings, late payments, UK9
+- gcc_procurement_payment_compliance   — UK17 payment statistics for a reporting period
+
 ⚠️ ADVISORY: This engine reflects the constitutional position as encoded in the schema.
 For live procurement decisions always verify with the Head of Procurement and One Legal.
 
@@ -109,195 +97,39 @@ Four tools proxy to tenders.run.cns.me/mcp (677k+ UK procurement records, OGL v3
 - uk_tenders_peer_benchmarks — what have peers paid for this category?
 - uk_tenders_top_suppliers — active suppliers in this market
 - uk_tenders_data_status — index freshness per source
-Call uk_tenders_search_frameworks before gcc_procurement_determine_route when route is unknown. Values = contract ceilings, not spend.`,
-                    },
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return {
-                jsonrpc: '2.0',
-                result: { tools: TOOLS },
-                id,
-            };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: 'Invalid params: tool name is required',
-                    },
-                    id,
-                };
-            }
-
-            const handler = TOOL_HANDLERS[name];
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES()}`,
-                    },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing procurement tool: ${name}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`Procurement tool completed [${name}] in ${Date.now() - toolStart}ms`);
-
-                const wrappedResult = {
-                    ...getDateContext(),
-                    schemaVersion: SERVER_INFO.schemaVersion,
-                    tool: name,
-                    data: result,
-                };
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify(wrappedResult, null, 2),
-                            },
-                        ],
-                    },
-                    id,
-                };
-            } catch (error) {
-                console.error(`Procurement tool error [${name}]: ${error.message}`);
-                if (error && error.stack) {
-                    console.error(`Procurement tool error stack [${name}]: ${error.stack}`);
-                }
-                console.error(`Procurement tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [
-                            {
-                                type: 'text',
-                                text: JSON.stringify({
-                                    error: error.message,
-                                    tool: name,
-                                    note: 'An unexpected error occurred executing the procurement tool.',
-                                }, null, 2),
-                            },
-                        ],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: {
-                    code: -32601,
-                    message: `Method not found: ${method}`,
-                },
-                id,
-            };
-    }
+Call uk_tenders_search_frameworks before gcc_procurement_determine_route when route is unknown. Values = contract ceilings, not spend.`;
 }
 
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES }, {
+    label: 'MCP Procurement',
+    getServerInfo: () => ({
+        ...getDateContext(),
+        instructions: buildInstructions(),
+    }),
+    wrapResult: (result, { name }) => ({
+        ...getDateContext(),
+        schemaVersion: SERVER_INFO.schemaVersion,
+        tool: name,
+        data: result,
+    }),
+    formatError: (payload) => ({
+        ...payload,
+        note: 'An unexpected error occurred executing the procurement tool.',
+    }),
+});
+
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpProcurement', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-procurement',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Procurement request received');
-
+    handler: createHttpHandler(server, {
+        label: 'MCP Procurement',
         // Schema failed to load at startup — surface the error rather than crashing
-        if (_moduleLoadError) {
-            console.error('Procurement MCP unavailable — schema load error:', _moduleLoadError.message);
-            return {
-                status: 503,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32603,
-                        message: `Procurement MCP unavailable: ${_moduleLoadError.message}`,
-                    },
-                    id: null,
-                }),
-            };
-        }
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                console.error('Failed to parse request body:', parseError);
-                if (parseError && parseError.stack) {
-                    console.error('MCP Procurement parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: {
-                            code: -32700,
-                            message: 'Parse error: Invalid JSON',
-                        },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            // Notifications return null — respond with 204
-            if (response === null) {
-                context.log(`MCP Procurement request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Procurement request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            console.error('MCP Procurement unhandled error:', error);
-            if (error && error.stack) {
-                console.error('MCP Procurement unhandled error stack:', error.stack);
-            }
-
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32603,
-                        message: error.message,
-                    },
-                    id: null,
-                }),
-            };
-        }
-    },
+        getLoadError: () => _moduleLoadError,
+        unavailableMessage: 'Procurement MCP unavailable',
+    }),
 });
+
+module.exports = { handleMcpRequest: server.handleMcpRequest };
@@ -19,6 +19,7 @@
 'use strict';
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 const { checkFetchPolicy } = require('../web-get/fetch-governance');
 
 const USER_AGENT = 'RawHTMLMCP/1.0 (Azure Function MCP; respects robots.txt)';
@@ -567,20 +568,26 @@ function loadRenderedDomHandlers() {
     return renderedDomHandlers;
 }
 
-function getToolHandler(name) {
-    if (name === 'fetch_raw_html') return handleFetchRawHtml;
-    if (TOOLS.some(t => t.name === name)) return loadRenderedDomHandlers()[name] || null;
-    return null;
+function renderedDomTool(name) {
+    return (args, context) => {
+        const handler = loadRenderedDomHandlers()[name];
+        if (!handler) throw new Error(`${name} is unavailable: rendered DOM tools failed to load`);
+        return handler(args, context);
+    };
 }
 
-// ─── MCP manifest ─────────────────────────────────────────────────────────────
-const MANIFEST = {
-    protocolVersion: '2024-11-05',
-    capabilities: { tools: {} },
-    serverInfo: {
-        name: 'gcc-web-get-mcp',
-        version: '2.3.0',
-        instructions: `🌐 WEB GET MCP
+const TOOL_HANDLERS = {
+    fetch_raw_html: handleFetchRawHtml,
+    evaluate_page: renderedDomTool('evaluate_page'),
+    evaluate_dom_bundle: renderedDomTool('evaluate_dom_bundle'),
+    inspect_dom_selector: renderedDomTool('inspect_dom_selector'),
+};
+
+// ─── MCP server info ──────────────────────────────────────────────────────────
+const SERVER_INFO = {
+    name: 'gcc-web-get-mcp',
+    version: '2.3.0',
+    instructions: `🌐 WEB GET MCP
 
 Fetches and evaluates public web pages and RESTful JSON APIs — raw HTML/HTTP
 retrieval plus browser-free DOM emulation (jsdom) with axe-core WCAG scanning.
@@ -615,9 +622,9 @@ IMAGE FETCHES:
 
 TYPICAL ACCESSIBILITY WORKFLOW:
   1. evaluate_page(url)
-       → axe violations, page model, elements_for_contrast_review, snapshot_id
+   → axe violations, page model, elements_for_contrast_review, snapshot_id
   2. inspect_dom_selector(snapshot_id, 'nav')
-       → accessible name, computed styles, ARIA attrs for nav nodes
+   → accessible name, computed styles, ARIA attrs for nav nodes
   3. Pass everything to the accessibility MCP for WCAG interpretation
 
 COLOUR CONTRAST:
@@ -647,7 +654,6 @@ robots.txt is respected. Private/internal IP ranges are blocked (SSRF protection
 Rate limited to one request per domain per 2 seconds (or crawl-delay if longer).
 evaluate_page can be restricted to specific origins via the
 EVALUATE_PAGE_ALLOWED_ORIGINS app setting (comma-separated; unset = no allowlist).`,
-    },
 };
 
 // ─── Tool result → MCP content blocks ─────────────────────────────────────────
@@ -665,188 +671,23 @@ function buildResultContent(result) {
     return [{ type: 'text', text: JSON.stringify(result, null, 2) }];
 }
 
-// ─── MCP JSON-RPC handler ─────────────────────────────────────────────────────
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: body must be a JSON object' },
-            id: null,
-        };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return {
-            jsonrpc: '2.0',
-            error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' },
-            id: requestId,
-        };
-    }
-
-    context.log(`Processing Web Get MCP method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return { jsonrpc: '2.0', result: MANIFEST, id };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: rawArgs } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: tool name is required' },
-                    id,
-                };
-            }
-
-            const handler = getToolHandler(name);
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${TOOLS.map(t => t.name).join(', ')}`,
-                    },
-                    id,
-                };
-            }
-
-            let args = rawArgs;
-            if (typeof rawArgs === 'string') {
-                try {
-                    args = JSON.parse(rawArgs);
-                } catch {
-                    return {
-                        jsonrpc: '2.0',
-                        error: { code: -32602, message: 'Invalid params: arguments must be valid JSON when provided as a string' },
-                        id,
-                    };
-                }
-            }
-            if (!args || typeof args !== 'object' || Array.isArray(args)) {
-                return {
-                    jsonrpc: '2.0',
-                    error: { code: -32602, message: 'Invalid params: arguments must be an object' },
-                    id,
-                };
-            }
-
-            try {
-                context.log(`Executing tool: ${name}`);
-                const result = await handler(args, context);
-                context.log(`Web Get tool completed [${name}] in ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: { content: buildResultContent(result) },
-                    id,
-                };
-            } catch (error) {
-                context.log.error(`Web Get tool error [${name}]: ${error.message}`);
-                if (error && error.stack) {
-                    context.log.error(`Web Get tool error stack [${name}]: ${error.stack}`);
-                }
-                context.log.error(`Web Get tool failed [${name}] after ${Date.now() - toolStart}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: error.message.substring(0, 300) }) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return {
-                jsonrpc: '2.0',
-                error: { code: -32601, message: `Method not found: ${method}` },
-                id,
-            };
-    }
-}
+// ─── MCP server ───────────────────────────────────────────────────────────────
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, {
+    label: 'Web Get MCP',
+    buildContent: buildResultContent,
+    formatError: (payload) => ({ ...payload, error: payload.error.substring(0, 300) }),
+    // Web Get tools validate their own inputs and answer with the structured
+    // error contract (URL_INVALID, SELECTOR_INVALID, …) clients branch on.
+    validateArguments: false,
+});
+const { handleMcpRequest } = server;
 
 // ─── HTTP trigger registration ────────────────────────────────────────────────
 app.http('mcpRawHtml', {
     methods: ['GET', 'POST'],
     authLevel: 'anonymous',
     route: 'mcp-raw-html',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('Web Get MCP request received');
-
-        try {
-            if (request.method === 'GET') {
-                context.log(`Web Get MCP manifest served with 200 in ${Date.now() - requestStart}ms`);
-                return {
-                    status: 200,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(MANIFEST),
-                };
-            }
-
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('Web Get MCP parse error:', parseError);
-                if (parseError && parseError.stack) {
-                    context.log.error('Web Get MCP parse error stack:', parseError.stack);
-                }
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        error: { code: -32700, message: 'Parse error: Invalid JSON' },
-                        id: null,
-                    }),
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-
-            if (response === null) {
-                context.log(`Web Get MCP request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`Web Get MCP request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response),
-            };
-        } catch (error) {
-            context.log.error('Web Get MCP unhandled error:', error);
-            if (error && error.stack) {
-                context.log.error('Web Get MCP unhandled error stack:', error.stack);
-            }
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: error.message },
-                    id: null,
-                }),
-            };
-        }
-    },
+    handler: createHttpHandler(server, { label: 'Web Get MCP', serveManifestOnGet: true }),
 });
 
 module.exports = { handleMcpRequest, TOOLS };
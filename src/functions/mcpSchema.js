@@ -8,12 +8,28 @@
  */
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 
 const schemaGet = require('../tools/schemaGet');
 const schemaSearch = require('../tools/schemaSearch');
 const schemaTodos = require('../tools/schemaTodos');
 const schemaEvaluate = require('../tools/schemaEvaluate');
-const { getSchemaVersion, getSchemaHash, isSchemaLoaded, getFinancialYear, getDocumentPack } = require('../schema/loader');
+const schemaDiff = require('../tools/schemaDiff');
+const schemaRunCases = require('../tools/schemaRunCases');
+const { getSchemaVersion, getSchemaHash, isSchemaLoaded, getFinancialYear, getDocumentPack, listPacks } = require('../schema/loader');
+const { getSchemaPackResources } = require('../schema/resources');
+
+// Optional on schema_get, schema_search and schema_evaluate: pin a past pack
+const PACK_SELECTION_PROPERTIES = {
+    schema_version: {
+        type: 'string',
+        description: 'Use a specific schema pack version (e.g. "2.5.6") instead of the current one'
+    },
+    financial_year: {
+        type: 'string',
+        description: 'Use the newest pack for this financial year (e.g. "2026/27") — for appeals and backdated claims, pass the year of the liability date. Every pack shipped today covers 2026/27, so an earlier year returns NOT_FOUND; use schema_version to pin an earlier 2026/27 revision'
+    }
+};
 
 const TOOLS = [
     {
@@ -30,7 +46,8 @@ Key paths:
             properties: {
                 path: { type: 'string', description: 'JSON Pointer path, starting with /' },
                 projection: { type: 'array', items: { type: 'string' } },
-                maxBytes: { type: 'integer' }
+                maxBytes: { type: 'integer' },
+                ...PACK_SELECTION_PROPERTIES
             },
             required: ['path']
         }
@@ -44,7 +61,8 @@ Key paths:
                 text: { type: 'string', description: 'Search query text' },
                 scope: { type: 'array', items: { type: 'string' } },
                 topK: { type: 'integer' },
-                filters: { type: 'object' }
+                filters: { type: 'object' },
+                ...PACK_SELECTION_PROPERTIES
             },
             required: ['text']
         }
@@ -102,10 +120,79 @@ Always surface council_tax_support_options to the user alongside the statutory b
                     type: 'string',
                     enum: ['runtime', 'trace', 'debug'],
                     description: 'Use "runtime" (default) for user-facing responses; "trace" for debugging why an outcome was chosen'
-                }
+                },
+                ...PACK_SELECTION_PROPERTIES
             },
             required: ['rulesetId', 'userFacts']
         }
+    },
+    {
+        name: 'schema_diff',
+        description: `Compare two versions of the council tax schema pack (e.g. 2.5.6 and 2.5.7) for release sign-off.
+
+Returns:
+- rules: executable rules added, removed and changed, with condition, effect and field changes per rule
+- outcome_changes: rules whose eligibility or effect differs between versions for sample households (or the cases supplied)
+- catalogue: discounts, exemptions, premiums and council tax support items added, removed and changed
+- documents: per-document sections added/removed/changed and the raw change list
+
+Every change carries JSON Pointers into the from and/or to document.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                from_version: { type: 'string', description: 'Older pack version, e.g. "2.5.6"' },
+                to_version: { type: 'string', description: 'Newer pack version, e.g. "2.5.7"' },
+                documents: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['facts', 'rules', 'taxonomy', 'results'] },
+                    description: 'Documents to compare (default all four)'
+                },
+                cases: {
+                    type: 'array',
+                    description: 'Households to compare rule outcomes for, as [{ id, userFacts }] (default built-in samples)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            userFacts: { type: 'object' }
+                        },
+                        required: ['id', 'userFacts']
+                    }
+                },
+                max_changes: { type: 'integer', description: 'Cap on raw changes listed per document (default 200)' }
+            },
+            required: ['from_version', 'to_version']
+        }
+    },
+    {
+        name: 'schema_run_cases',
+        description: `Run expected-outcome regression cases against the executable rules: the cases shipped in the pack's results document, or cases you supply.
+
+Each case is checked rule by rule (eligibility and effect values) and through the schema_evaluate ranking (best outcome). Returns a pass/fail summary and, for each failing case, the expected and actual values. If the pack ships no cases (summary.total is 0), pass them in cases.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                cases: {
+                    type: 'array',
+                    description: 'Cases to run instead of the pack\'s, as [{ case_id, user_facts, expected }] where expected gives best_outcome ({ rule_id, mechanism, likelihood }), eligible_rules, ineligible_rules and/or effects ({ rule_id: { field: value } })',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            case_id: { type: 'string' },
+                            description: { type: 'string' },
+                            ruleset_id: { type: 'string', description: 'Default discount_eligibility' },
+                            user_facts: { type: 'object' },
+                            expected: { type: 'object' }
+                        },
+                        required: ['case_id', 'user_facts', 'expected']
+                    }
+                },
+                case_ids: { type: 'array', items: { type: 'string' }, description: 'Run only these cases (default all)' },
+                include_passing: { type: 'boolean', description: 'Include full results for passing cases (default false: ids only)' },
+                ...PACK_SELECTION_PROPERTIES
+            },
+            required: []
+        }
     }
 ];
 
@@ -113,15 +200,18 @@ const TOOL_HANDLERS = {
     schema_get: schemaGet.execute,
     schema_search: schemaSearch.execute,
     schema_todos: schemaTodos.execute,
-    schema_evaluate: schemaEvaluate.execute
+    schema_evaluate: schemaEvaluate.execute,
+    schema_diff: schemaDiff.execute,
+    schema_run_cases: schemaRunCases.execute
 };
 const TOOL_ALIASES = {
     '/schema_get': 'schema_get',
     '/schema_search': 'schema_search',
     '/schema_todos': 'schema_todos',
-    '/schema_evaluate': 'schema_evaluate'
+    '/schema_evaluate': 'schema_evaluate',
+    '/schema_diff': 'schema_diff',
+    '/schema_run_cases': 'schema_run_cases'
 };
-const AVAILABLE_TOOL_NAMES = Object.keys(TOOL_HANDLERS).join(', ');
 
 const UK_DATE_FORMATTER = new Intl.DateTimeFormat('en-GB');
 
@@ -134,49 +224,10 @@ function getDateContext() {
     };
 }
 
-function resolveToolName(rawName) {
-    if (!rawName) return null;
-    if (TOOL_HANDLERS[rawName]) return rawName;
-    return TOOL_ALIASES[rawName] || null;
-}
-
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: body must be a JSON object' }, id: null };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' }, id: requestId };
-    }
-
-    context.log(`Processing MCP Schema method: ${method}`);
+const TOOL_REGISTRY_VERSION = 'schema-tools-v1';
 
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        name: 'gcc-policy-schema-mcp',
-                        version: '2.1.0',
-                        description: 'Gloucester City Council Council Tax Policy Schema (runtime-first)',
-                        schemas: {
-                            councilTax: {
-                                version: getSchemaVersion(),
-                                hash: getSchemaHash(),
-                                loaded: isSchemaLoaded(),
-                                financialYear: getFinancialYear(),
-                                documentPack: getDocumentPack(),
-                                status: 'council-approved'
-                            }
-                        },
-                        ...getDateContext(),
-                        instructions: `GLOUCESTER CITY COUNCIL — COUNCIL TAX POLICY MCP SERVER (2026/27)
+function buildInstructions() {
+    return `GLOUCESTER CITY COUNCIL — COUNCIL TAX POLICY MCP SERVER (2026/27)
 
 ## Purpose
 You answer council tax questions for residents and property owners in Gloucester. This server holds the approved 2026/27 policy pack for Gloucester City Council only — do not apply it to other councils.
@@ -186,6 +237,8 @@ You answer council tax questions for residents and property owners in Gloucester
 - schema_search    — plain-language search across the full policy pack (use for questions schema_evaluate can't cover: appeals, enforcement, payment, liability)
 - schema_get       — retrieve a specific policy section by JSON Pointer path
 - schema_todos     — list outstanding assurance gaps (for internal/governance use)
+- schema_diff      — compare two schema pack versions for release sign-off (for internal/governance use)
+- schema_run_cases — run the pack's expected-outcome regression cases, or your own (for internal/governance use)
 
 ## How to handle common user questions
 
@@ -218,149 +271,64 @@ Use schema_search with "council tax support" or "hardship". Mention Council Tax
 
 ## Scope limitations
 - This policy applies to Gloucester City Council properties only.
-- Financial year 2026/27. Rates change each April — flag if the user's question relates to a previous year.
-- Council Tax Support eligibility depends on individual income/circumstances and requires a formal application — schema_evaluate does not assess CTS amounts.`
-                    }
-                },
-                id
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    tools: TOOLS.map(tool => ({
-                        ...tool,
-                        logicalId: tool.name,
-                    })),
-                    registry: {
-                        version: 'schema-tools-v1',
-                        stableIdentifiers: true,
-                        note: 'Use tool.name/logicalId for calls. Any transport path/link IDs are internal and may refresh.',
-                    }
-                },
-                id
-            };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return { jsonrpc: '2.0', error: { code: -32602, message: 'Invalid params: tool name is required' }, id };
-            }
-
-            const resolvedName = resolveToolName(name);
-            const handler = resolvedName ? TOOL_HANDLERS[resolvedName] : null;
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES}`,
-                        data: {
-                            code: 'TOOL_REDISCOVER_REQUIRED',
-                            reason: 'tool re-registered or stale tool reference',
-                            action: 'Call tools/list and rebind to logicalId/name',
-                            registryVersion: 'schema-tools-v1',
-                        }
-                    },
-                    id
-                };
-            }
-
-            try {
-                context.log(`Executing schema tool: ${resolvedName}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`Schema tool completed [${resolvedName}] in ${Date.now() - toolStart}ms`);
+- Financial year 2026/27 by default. Rates change each April — for appeals or backdated claims, pass financial_year (the year of the liability date) or schema_version to schema_evaluate, schema_get and schema_search. Only 2026/27 packs are loaded today: if no pack covers the year, say so rather than applying today's rules.
+- Council Tax Support eligibility depends on individual income/circumstances and requires a formal application — schema_evaluate does not assess CTS amounts.`;
+}
 
-                const wrappedResult = {
-                    ...getDateContext(),
-                    schemaVersion: getSchemaVersion(),
-                    financialYear: getFinancialYear(),
-                    data: result
-                };
+const SERVER_INFO = {
+    name: 'gcc-policy-schema-mcp',
+    version: '2.1.0',
+    description: 'Gloucester City Council Council Tax Policy Schema (runtime-first)',
+};
 
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(wrappedResult, null, 2) }]
-                    },
-                    id
-                };
-            } catch (error) {
-                context.log.error(`Schema tool error [${name}]: ${error.message}`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{
-                            type: 'text',
-                                text: JSON.stringify({ error: error.message, tool: name, note: 'An unexpected error occurred executing the schema tool.' }, null, 2)
-                        }],
-                        isError: true
-                    },
-                    id
-                };
+const RESOURCES = getSchemaPackResources();
+
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES }, {
+    label: 'MCP Schema',
+    getServerInfo: () => ({
+        schemas: {
+            councilTax: {
+                version: getSchemaVersion(),
+                hash: getSchemaHash(),
+                loaded: isSchemaLoaded(),
+                financialYear: getFinancialYear(),
+                documentPack: getDocumentPack(),
+                availablePacks: listPacks(),
+                status: 'council-approved',
             }
+        },
+        ...getDateContext(),
+        instructions: buildInstructions(),
+    }),
+    toolAliases: TOOL_ALIASES,
+    listTools: (tools) => ({
+        tools: tools.map(tool => ({ ...tool, logicalId: tool.name })),
+        registry: {
+            version: TOOL_REGISTRY_VERSION,
+            stableIdentifiers: true,
+            note: 'Use tool.name/logicalId for calls. Any transport path/link IDs are internal and may refresh.',
         }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return { jsonrpc: '2.0', error: { code: -32601, message: `Method not found: ${method}` }, id };
-    }
-}
+    }),
+    unknownToolData: {
+        code: 'TOOL_REDISCOVER_REQUIRED',
+        reason: 'tool re-registered or stale tool reference',
+        action: 'Call tools/list and rebind to logicalId/name',
+        registryVersion: TOOL_REGISTRY_VERSION,
+    },
+    wrapResult: (result) => ({
+        ...getDateContext(),
+        schemaVersion: getSchemaVersion(),
+        financialYear: getFinancialYear(),
+        data: result,
+    }),
+    formatError: (payload) => ({ ...payload, note: 'An unexpected error occurred executing the schema tool.' }),
+});
 
 app.http('mcpSchema', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-schema',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Schema request received');
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('Failed to parse request body:', parseError);
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error: Invalid JSON' }, id: null })
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-            if (response === null) {
-                context.log(`MCP Schema request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Schema request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response)
-            };
-        } catch (error) {
-            context.log.error('MCP Schema handler error:', error.message);
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: 'Internal error' },
-                    id: null
-                })
-            };
-        }
-    }
+    handler: createHttpHandler(server, { label: 'MCP Schema' }),
 });
 
-module.exports = { handleMcpRequest };
+module.exports = { handleMcpRequest: server.handleMcpRequest };
@@ -8,12 +8,18 @@
  */
 
 const { app } = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 
 const ctGet = require('../tools/ctGet');
 const ctSearch = require('../tools/ctSearch');
 const ctTodos = require('../tools/ctTodos');
 const ctEvaluate = require('../tools/ctEvaluate');
-const { getSchemaVersion, getSchemaHash, isSchemaLoaded, getFinancialYear } = require('../schema/revisedLoader');
+const ctIntakeStep = require('../tools/ctIntakeStep');
+const ctCalculateBill = require('../tools/ctCalculateBill');
+const ctEstimateSupport = require('../tools/ctEstimateSupport');
+const { getSchema, getDocument, getSchemaVersion, getSchemaHash, isSchemaLoaded, getFinancialYear } = require('../schema/revisedLoader');
+const { getRevisedPackResources } = require('../schema/resources');
+const { getCouncilTaxPrompts } = require('../schema/prompts');
 
 const TOOLS = [
     {
@@ -117,22 +123,192 @@ Always surface council_tax_support_options to the user alongside the statutory b
             },
             required: ['rulesetId', 'userFacts']
         }
-    }
+    },
+    {
+        name: 'ct_intake_step',
+        description: `Walk a resident through the council tax intake one question at a time, collecting userFacts for ct_evaluate.
+
+Call with no session_state to start (optionally with a topic and any known_facts). Each response returns next_question (id, text, allowed_answers), facts_collected so far and a session_state token. Put next_question.text to the resident, then call again with their answer, the question_id and the session_state from the previous response.
+
+When no questions remain, status is "complete" and the response includes the ct_evaluate result for the collected facts.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                session_state: {
+                    type: 'string',
+                    description: 'Token from the previous ct_intake_step response. Omit to start a new intake.'
+                },
+                answer: {
+                    type: ['string', 'number', 'boolean'],
+                    description: 'The resident\'s answer to next_question — one of its allowed_answers'
+                },
+                question_id: {
+                    type: 'string',
+                    description: 'The next_question.id being answered (guards against answering the wrong question)'
+                },
+                topic: {
+                    type: 'string',
+                    description: 'Start only. Intake tree or overlay topic, as for the ct_guided_intake prompt. Defaults to initial_triage.'
+                },
+                known_facts: {
+                    type: 'object',
+                    description: 'Start only. userFacts already known; questions they answer are skipped.'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'ct_calculate_bill',
+        description: `Calculate an itemised council tax bill: the band charge with each eligible adjustment applied in statutory order (valuation reduction, exemptions, discounts, premiums, local reductions, Council Tax Support).
+
+Use this tool when a user asks "how much will I pay". Pass the same userFacts as ct_evaluate. Every adjustment line carries the rule_id that produced it. Returns the annual charge, the daily charge and the charge apportioned to the optional occupancy period.
+
+Means-tested Council Tax Support is listed under not_quantified — it needs a formal assessment, so it is never deducted.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                band: {
+                    type: 'string',
+                    enum: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+                    description: 'Valuation band. Defaults to userFacts.property_band.'
+                },
+                area: {
+                    type: 'string',
+                    enum: ['gloucester', 'quedgeley'],
+                    description: 'Parish area: "quedgeley" adds the Quedgeley Town Council precept. Defaults to "gloucester" (unparished).'
+                },
+                financial_year: {
+                    type: 'string',
+                    description: 'Year of band charges, e.g. "2025/26". Defaults to the loaded policy year.'
+                },
+                userFacts: {
+                    type: 'object',
+                    description: 'Household facts, as for ct_evaluate'
+                },
+                period: {
+                    type: 'object',
+                    description: 'Optional part-year occupancy within the financial year. Either date defaults to the year boundary.',
+                    properties: {
+                        start_date: { type: 'string', format: 'date', description: 'First day of liability (YYYY-MM-DD)' },
+                        end_date: { type: 'string', format: 'date', description: 'Last day of liability (YYYY-MM-DD)' }
+                    }
+                }
+            },
+            required: []
+        }
+    },
 ];
 
+// ct_estimate_support can only answer NOT_FOUND until ct_facts publishes the
+// scheme's council_tax_support.means_test figures, so it is not listed (or
+// mentioned in the instructions) before then
+const MEANS_TEST_PUBLISHED = Boolean(getSchema() && (getDocument('facts').council_tax_support || {}).means_test);
+
+const CT_ESTIMATE_SUPPORT_TOOL = {
+    name: 'ct_estimate_support',
+    description: `Estimate weekly Council Tax Support (CTS) for a working-age or pension-age household. This is an indicative means test, not an award.
+
+Use this tool when ct_evaluate or ct_calculate_bill reports means-tested CTS and the user or a benefits officer wants a figure. It checks the capital limit and passported benefits, then builds the applicable amount, assesses income including tariff income from savings, applies the taper and deducts for non-dependants.
+
+Returns weekly_reduction, annual_reduction and itemised workings. Always show the label to the user — the formal award is made by the Revenues & Benefits team.`,
+    inputSchema: {
+        type: 'object',
+        properties: {
+            age_group: {
+                type: 'string',
+                enum: ['working_age', 'pension_age'],
+                description: 'Pension age if the claimant (or partner) has reached State Pension age'
+            },
+            annual_council_tax: {
+                type: 'number',
+                description: 'Annual council tax before support. Alternatively pass band (and area).'
+            },
+            band: {
+                type: 'string',
+                enum: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+                description: 'Valuation band, used with ct_calculate_bill when annual_council_tax is not given'
+            },
+            area: {
+                type: 'string',
+                enum: ['gloucester', 'quedgeley'],
+                description: 'Parish area for the band charge. Defaults to "gloucester".'
+            },
+            partner: { type: 'boolean', description: 'Claimant has a partner living with them' },
+            claimant_age: { type: 'integer', minimum: 16, description: 'Claimant\'s age (single working-age under-25 allowance)' },
+            children: { type: 'integer', minimum: 0, description: 'Dependent children in the household' },
+            premiums: {
+                type: 'object',
+                description: 'Premiums the household qualifies for',
+                properties: {
+                    disability: { type: 'boolean', description: 'Disability premium (working age)' },
+                    severe_disability: { type: 'integer', minimum: 0, description: 'Number qualifying for severe disability premium' },
+                    carer: { type: 'integer', minimum: 0, description: 'Number receiving Carer\'s Allowance' }
+                }
+            },
+            passported_benefit: {
+                type: 'string',
+                enum: ['pension_credit_guarantee', 'income_support', 'jsa_income_based', 'esa_income_related'],
+                description: 'Passporting benefit — maximum support applies without a means test'
+            },
+            weekly_income: {
+                type: 'object',
+                description: 'Weekly household income in pounds',
+                properties: {
+                    earnings: { type: 'number', minimum: 0, description: 'Claimant net earnings' },
+                    partner_earnings: { type: 'number', minimum: 0, description: 'Partner net earnings' },
+                    benefits: { type: 'number', minimum: 0, description: 'Benefits counted as income, including Universal Credit' },
+                    pensions: { type: 'number', minimum: 0, description: 'State and private pensions' },
+                    other: { type: 'number', minimum: 0, description: 'Any other income' },
+                    disability_benefits: { type: 'number', minimum: 0, description: 'PIP, DLA, Attendance Allowance — disregarded' }
+                }
+            },
+            savings: { type: 'number', minimum: 0, description: 'Savings and investments in pounds (claimant and partner)' },
+            non_dependants: {
+                type: 'array',
+                description: 'Other adults living in the home, such as grown-up children',
+                items: {
+                    type: 'object',
+                    properties: {
+                        age: { type: 'integer', minimum: 0 },
+                        in_work: { type: 'boolean', description: 'In paid work of 16 hours or more a week' },
+                        weekly_gross_income: { type: 'number', minimum: 0 },
+                        full_time_student: { type: 'boolean' },
+                        on_passported_benefit: { type: 'boolean', description: 'Receives Pension Credit, Income Support, income-based JSA or income-related ESA' }
+                    }
+                }
+            },
+            care_benefit_exemption: {
+                type: 'boolean',
+                description: 'Claimant or partner receives Attendance Allowance, DLA care or PIP daily living, or is blind — no non-dependant deductions'
+            }
+        },
+        required: ['age_group']
+    }
+};
+
 const TOOL_HANDLERS = {
     ct_get: ctGet.execute,
     ct_search: ctSearch.execute,
     ct_todos: ctTodos.execute,
     ct_evaluate: ctEvaluate.execute,
+    ct_intake_step: ctIntakeStep.execute,
+    ct_calculate_bill: ctCalculateBill.execute,
 };
 const TOOL_ALIASES = {
     '/ct_get': 'ct_get',
     '/ct_search': 'ct_search',
     '/ct_todos': 'ct_todos',
     '/ct_evaluate': 'ct_evaluate',
+    '/ct_intake_step': 'ct_intake_step',
+    '/ct_calculate_bill': 'ct_calculate_bill',
 };
-const AVAILABLE_TOOL_NAMES = Object.keys(TOOL_HANDLERS).join(', ');
+
+if (MEANS_TEST_PUBLISHED) {
+    TOOLS.push(CT_ESTIMATE_SUPPORT_TOOL);
+    TOOL_HANDLERS.ct_estimate_support = ctEstimateSupport.execute;
+    TOOL_ALIASES['/ct_estimate_support'] = 'ct_estimate_support';
+}
 
 const UK_DATE_FORMATTER = new Intl.DateTimeFormat('en-GB');
 
@@ -145,59 +321,25 @@ function getDateContext() {
     };
 }
 
-function resolveToolName(rawName) {
-    if (!rawName) return null;
-    if (TOOL_HANDLERS[rawName]) return rawName;
-    return TOOL_ALIASES[rawName] || null;
-}
+const TOOL_REGISTRY_VERSION = 'ct-tools-v2';
 
-async function handleMcpRequest(request, context) {
-    if (!request || typeof request !== 'object' || Array.isArray(request)) {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: body must be a JSON object' }, id: null };
-    }
-
-    const { jsonrpc, method, params, id } = request;
-    const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
-
-    if (jsonrpc !== '2.0') {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: jsonrpc must be "2.0"' }, id: requestId };
-    }
-
-    context.log(`Processing MCP Schema V2 method: ${method}`);
-
-    switch (method) {
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        name: 'gcc-council-tax-v2-mcp',
-                        version: '1.0.0',
-                        description: 'Gloucester City Council Council Tax Policy Schema — Revised Five-Document Pack',
-                        schemas: {
-                            councilTax: {
-                                version: getSchemaVersion(),
-                                hash: getSchemaHash(),
-                                loaded: isSchemaLoaded(),
-                                financialYear: getFinancialYear(),
-                                documentPack: 'ct_facts / ct_rules / ct_vocabulary / ct_channel_overlay / ct_chatbot_overlay',
-                                status: 'council-approved',
-                            }
-                        },
-                        ...getDateContext(),
-                        instructions: `GLOUCESTER CITY COUNCIL — COUNCIL TAX POLICY MCP SERVER V2 (2026/27)
+function buildInstructions() {
+    return `GLOUCESTER CITY COUNCIL — COUNCIL TAX POLICY MCP SERVER V2 (2026/27)
 
 ## Purpose
 You answer council tax questions for residents and property owners in Gloucester. This server holds the approved 2026/27 policy pack for Gloucester City Council only — do not apply it to other councils.
 
 ## Tools
 - ct_evaluate  — eligibility resolver for discounts, exemptions and premiums (use this first for eligibility questions)
-- ct_search    — plain-language search across the full policy pack (use for appeals, enforcement, payment, liability)
+- ct_intake_step — guided one-question-at-a-time intake that collects the facts and runs ct_evaluate at the end
+- ct_calculate_bill — itemised bill for a band and household, with each adjustment traced to its rule_id
+${MEANS_TEST_PUBLISHED ? '- ct_estimate_support — indicative weekly Council Tax Support means test (working age and pension age)\n' : ''}- ct_search    — plain-language search across the full policy pack (use for appeals, enforcement, payment, liability)
 - ct_get       — retrieve a specific section by JSON Pointer path
 - ct_todos     — list publication blockers and assurance gaps (for internal/governance use)
 
+## Prompts
+- ct_guided_intake(topic?) — ready-made guided triage with the council's framing rules and the matching intake tree
+
 ## How to handle common user questions
 
 ### "Am I eligible for a discount / reduction?"
@@ -216,8 +358,14 @@ Use ct_search with the relevant query. Summarise the result for the user.
 ### "What is my council tax band / charge?"
 Use ct_get path="/valuation" for approved 2026/27 band rates.
 
+### "How much will I pay?"
+Call ct_calculate_bill with the band and the household facts. Walk the user through the adjustments lines, and mention anything under not_quantified.
+
 ### "I can't afford to pay"
 Use ct_search with "council tax support" or "hardship". Mention CTS and direct the user to apply via gloucester.gov.uk.
+${MEANS_TEST_PUBLISHED
+        ? 'If the user shares their income and savings, ct_estimate_support gives an indicative weekly figure — always present it as an estimate.'
+        : 'The policy pack does not hold the scheme\'s means test figures, so do not estimate how much support the user would get; the Revenues & Benefits team assess it on a claim.'}
 
 ## Response guidelines
 - Always state the confidence level (likely / unclear / unlikely) and what it depends on.
@@ -229,145 +377,63 @@ Use ct_search with "council tax support" or "hardship". Mention CTS and direct t
 ## Scope limitations
 - Gloucester City Council properties only.
 - Financial year 2026/27. Rates change each April.
-- Council Tax Support requires a formal application — ct_evaluate does not assess CTS amounts.`
-                    }
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    tools: TOOLS.map(tool => ({ ...tool, logicalId: tool.name })),
-                    registry: {
-                        version: 'ct-tools-v2',
-                        stableIdentifiers: true,
-                        note: 'Use tool.name/logicalId for calls.',
-                    }
-                },
-                id,
-            };
-
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            const toolStart = Date.now();
-
-            if (!name) {
-                return { jsonrpc: '2.0', error: { code: -32602, message: 'Invalid params: tool name is required' }, id };
-            }
+- Council Tax Support requires a formal application${MEANS_TEST_PUBLISHED ? ' — ct_estimate_support figures are indicative only' : ''}.`;
+}
 
-            const resolvedName = resolveToolName(name);
-            const handler = resolvedName ? TOOL_HANDLERS[resolvedName] : null;
-            if (!handler) {
-                return {
-                    jsonrpc: '2.0',
-                    error: {
-                        code: -32602,
-                        message: `Unknown tool: ${name}. Available: ${AVAILABLE_TOOL_NAMES}`,
-                        data: {
-                            code: 'TOOL_REDISCOVER_REQUIRED',
-                            reason: 'tool re-registered or stale tool reference',
-                            action: 'Call tools/list and rebind to logicalId/name',
-                            registryVersion: 'ct-tools-v2',
-                        }
-                    },
-                    id,
-                };
-            }
+const SERVER_INFO = {
+    name: 'gcc-council-tax-v2-mcp',
+    version: '1.0.0',
+    description: 'Gloucester City Council Council Tax Policy Schema — Revised Five-Document Pack',
+};
 
-            try {
-                context.log(`Executing CT v2 tool: ${resolvedName}`);
-                const result = await Promise.resolve(handler(args || {}));
-                context.log(`CT v2 tool completed [${resolvedName}] in ${Date.now() - toolStart}ms`);
-
-                const wrappedResult = {
-                    ...getDateContext(),
-                    schemaVersion: getSchemaVersion(),
-                    financialYear: getFinancialYear(),
-                    data: result,
-                };
-
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(wrappedResult, null, 2) }]
-                    },
-                    id,
-                };
-            } catch (error) {
-                context.log.error(`CT v2 tool error [${name}]: ${error.message}`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({ error: error.message, tool: name, note: 'An unexpected error occurred executing the tool.' }, null, 2)
-                        }],
-                        isError: true,
-                    },
-                    id,
-                };
+const RESOURCES = getRevisedPackResources();
+const PROMPTS = getCouncilTaxPrompts();
+
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES, PROMPTS }, {
+    label: 'MCP Schema V2',
+    getServerInfo: () => ({
+        schemas: {
+            councilTax: {
+                version: getSchemaVersion(),
+                hash: getSchemaHash(),
+                loaded: isSchemaLoaded(),
+                financialYear: getFinancialYear(),
+                documentPack: 'ct_facts / ct_rules / ct_vocabulary / ct_channel_overlay / ct_chatbot_overlay',
+                status: 'council-approved',
             }
+        },
+        ...getDateContext(),
+        instructions: buildInstructions(),
+    }),
+    toolAliases: TOOL_ALIASES,
+    listTools: (tools) => ({
+        tools: tools.map(tool => ({ ...tool, logicalId: tool.name })),
+        registry: {
+            version: TOOL_REGISTRY_VERSION,
+            stableIdentifiers: true,
+            note: 'Use tool.name/logicalId for calls.',
         }
-
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
-
-        default:
-            return { jsonrpc: '2.0', error: { code: -32601, message: `Method not found: ${method}` }, id };
-    }
-}
+    }),
+    unknownToolData: {
+        code: 'TOOL_REDISCOVER_REQUIRED',
+        reason: 'tool re-registered or stale tool reference',
+        action: 'Call tools/list and rebind to logicalId/name',
+        registryVersion: TOOL_REGISTRY_VERSION,
+    },
+    wrapResult: (result) => ({
+        ...getDateContext(),
+        schemaVersion: getSchemaVersion(),
+        financialYear: getFinancialYear(),
+        data: result,
+    }),
+    formatError: (payload) => ({ ...payload, note: 'An unexpected error occurred executing the tool.' }),
+});
 
 app.http('mcpSchemaV2', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'mcp-schema-v2',
-    handler: async (request, context) => {
-        const requestStart = Date.now();
-        context.log('MCP Schema V2 request received');
-
-        try {
-            let body;
-            try {
-                body = await request.json();
-            } catch (parseError) {
-                context.log.error('Failed to parse request body:', parseError);
-                return {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error: Invalid JSON' }, id: null })
-                };
-            }
-
-            const response = await handleMcpRequest(body, context);
-            if (response === null) {
-                context.log(`MCP Schema V2 request completed with 204 in ${Date.now() - requestStart}ms`);
-                return { status: 204 };
-            }
-
-            context.log(`MCP Schema V2 request completed with 200 in ${Date.now() - requestStart}ms`);
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(response)
-            };
-        } catch (error) {
-            context.log.error('MCP Schema V2 handler error:', error.message);
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    error: { code: -32603, message: 'Internal error' },
-                    id: null
-                })
-            };
-        }
-    }
+    handler: createHttpHandler(server, { label: 'MCP Schema V2' }),
 });
 
-module.exports = { handleMcpRequest };
+module.exports = { handleMcpRequest: server.handleMcpRequest };
@@ -13,6 +13,7 @@
  */
 
 const { app }  = require('@azure/functions');
+const { createMcpServer, createHttpHandler } = require('../mcp-core');
 const compiler = require('../web-compiler/index');
 const { loadContracts, loadContractsAsync } = require('../web-compiler/contracts/load-contracts');
 const { validateAuthoring }   = require('../web-compiler/normaliser/normalise');
@@ -460,33 +461,9 @@ async function handleTool(name, args) {
     }
 }
 
-// ── MCP JSON-RPC handler ──────────────────────────────────────────────────────
+// ── MCP server ────────────────────────────────────────────────────────────────
 
-async function handleMcpRequest(body, context) {
-    if (!body || typeof body !== 'object') {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request' }, id: null };
-    }
-
-    const { jsonrpc, method, params, id } = body;
-    if (jsonrpc !== '2.0') {
-        return { jsonrpc: '2.0', error: { code: -32600, message: 'jsonrpc must be "2.0"' }, id: null };
-    }
-
-    context.log(`[mcpWebCompiler] method: ${method}`);
-
-    switch (method) {
-
-        case 'initialize':
-            return {
-                jsonrpc: '2.0',
-                result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        name:    'gcc-web-compiler-mcp',
-                        version: '1.0.0',
-                        description: 'Deterministic web compiler — compiles typed site definitions into HTML/CSS/JS bundles',
-                        instructions: `WEB COMPILER MCP — gcc-web-compiler-mcp
+const INSTRUCTIONS = `WEB COMPILER MCP — gcc-web-compiler-mcp
 
 Compiles a site_definition_v5 (content + design schema) into finished HTML/CSS/JS.
 No LLM at render time — fully deterministic, schema-driven pipeline.
@@ -507,60 +484,21 @@ PIPELINE: validate → normalise → integrity check → template resolve →
           lint → emit HTML/CSS/JS
 
 process_site accepts either authoring_payload or site_definition depending on operation.
-run_golden_tests runs the built-in acceptance test suite.`,
-                        schema_bundle: 'site_builder_schema_v5_clean',
-                    },
-                },
-                id,
-            };
-
-        case 'notifications/initialized':
-            return null;
-
-        case 'tools/list':
-            return { jsonrpc: '2.0', result: { tools: TOOLS }, id };
-
-        case 'tools/call': {
-            const { name, arguments: toolArgs } = params || {};
-            if (!name) {
-                return { jsonrpc: '2.0', error: { code: -32602, message: 'tool name is required' }, id };
-            }
-            const knownTool = TOOLS.find(t => t.name === name);
-            if (!knownTool) {
-                return { jsonrpc: '2.0', error: { code: -32602, message: `Unknown tool: ${name}. Available: ${TOOL_NAMES}` }, id };
-            }
+run_golden_tests runs the built-in acceptance test suite.`;
 
-            const start = Date.now();
-            try {
-                const result = await handleTool(name, toolArgs || {});
-                context.log(`[mcpWebCompiler] tool ${name} completed in ${Date.now() - start}ms`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-                    },
-                    id,
-                };
-            } catch (err) {
-                context.log.error(`[mcpWebCompiler] tool ${name} error: ${err.message}`);
-                return {
-                    jsonrpc: '2.0',
-                    result: {
-                        content: [{ type: 'text', text: JSON.stringify({ error: err.message, tool: name }) }],
-                        isError: true,
-                    },
-                    id,
-                };
-            }
-        }
+const SERVER_INFO = {
+    name:    'gcc-web-compiler-mcp',
+    version: '1.0.0',
+    description: 'Deterministic web compiler — compiles typed site definitions into HTML/CSS/JS bundles',
+    instructions: INSTRUCTIONS,
+    schema_bundle: 'site_builder_schema_v5_clean',
+};
 
-        case 'ping':
-            return { jsonrpc: '2.0', result: {}, id };
+const TOOL_HANDLERS = Object.fromEntries(
+    TOOLS.map(t => [t.name, (args) => handleTool(t.name, args)])
+);
 
-        default:
-            return { jsonrpc: '2.0', error: { code: -32601, message: `Method not found: ${method}` }, id };
-    }
-}
+const server = createMcpServer({ TOOLS, TOOL_HANDLERS, SERVER_INFO }, { label: '[mcpWebCompiler]' });
 
 // ── Azure Function registration ───────────────────────────────────────────────
 
@@ -568,31 +506,7 @@ app.http('mcpWebCompiler', {
     methods:   ['POST'],
     authLevel: 'anonymous',
     route:     'mcp-web-compiler',
-    handler: async (request, context) => {
-        context.log('[mcpWebCompiler] request received');
-        const start = Date.now();
-
-        let body;
-        try {
-            body = await request.json();
-        } catch (err) {
-            return {
-                status: 400,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error: Invalid JSON' }, id: null }),
-            };
-        }
-
-        const response = await handleMcpRequest(body, context);
-        if (response === null) {
-            return { status: 204 };
-        }
-
-        context.log(`[mcpWebCompiler] completed in ${Date.now() - start}ms`);
-        return {
-            status:  200,
-            headers: { 'Content-Type': 'application/json' },
-            body:    JSON.stringify(response),
-        };
-    },
+    handler: createHttpHandler(server, { label: '[mcpWebCompiler]' }),
 });
+
+module.exports = { handleMcpRequest: server.handleMcpRequest, TOOLS };
@@ -0,0 +1,128 @@
+/**
+ * Meetings calendar feed - GET /api/calendar/meetings.ics
+ * Subscribable iCalendar feed of committee meetings across Gloucestershire councils
+ *
+ * Examples:
+ *   /api/calendar/meetings.ics?committee_name=Planning
+ *   /api/calendar/meetings.ics?committee_name=Licensing&council=Stroud
+ *   /api/calendar/meetings.ics?committee=Gloucester%20City%20Council:544&committee=CBC:130
+ *
+ * Optional: from / to (DD/MM/YYYY, default 90 days ago to a year ahead), name (calendar name)
+ *
+ * A feed fans out to every matching committee, so each generated feed is cached
+ * for FEED_CACHE_TTL_MS and served with an ETag; If-None-Match gets a 304.
+ */
+
+const crypto = require('crypto');
+const { app } = require('@azure/functions');
+const { exportMeetingsCalendar, parseCommitteeReference } = require('../../lib/tools/export-meetings-calendar');
+
+const FEED_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_FEEDS = 100;
+// Downstream caches keep a feed no longer than this function does
+const CACHE_CONTROL = `public, max-age=${FEED_CACHE_TTL_MS / 1000}`;
+
+// Cache key -> { expiresAt, feed: Promise<result with etag> }. Map order is oldest first
+const feedCache = new Map();
+
+function jsonResponse(status, body) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+// DTSTAMP changes on every build, so leave it out and an unchanged feed keeps its ETag
+function feedEtag(ics) {
+    const hash = crypto.createHash('sha256').update(ics.replace(/^DTSTAMP:.*$/gm, '')).digest('base64url');
+    return `"${hash.substring(0, 27)}"`;
+}
+
+async function buildFeed(options) {
+    const result = await exportMeetingsCalendar(options);
+    return result.error ? result : { ...result, etag: feedEtag(result.ics) };
+}
+
+/**
+ * Generated feed for these options, shared by identical requests until it expires.
+ * Errors are not cached.
+ */
+async function cachedFeed(options) {
+    const key = JSON.stringify([
+        options.committees.map(c => `${c.council_name}:${c.committee_id}`).sort(),
+        options.committee_name, options.council_name, options.from_date, options.to_date, options.calendar_name
+    ]);
+    let entry = feedCache.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+        entry = { expiresAt: Date.now() + FEED_CACHE_TTL_MS, feed: buildFeed(options) };
+        feedCache.delete(key);
+        feedCache.set(key, entry);
+        while (feedCache.size > MAX_CACHED_FEEDS) {
+            feedCache.delete(feedCache.keys().next().value);
+        }
+    }
+
+    const forget = () => {
+        if (feedCache.get(key) === entry) feedCache.delete(key);
+    };
+    try {
+        const result = await entry.feed;
+        if (result.error) forget();
+        return result;
+    } catch (error) {
+        forget();
+        throw error;
+    }
+}
+
+app.http('meetingsCalendar', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'calendar/meetings.ics',
+    handler: async (request, context) => {
+        const query = request.query;
+        const references = query.getAll('committee');
+        const committees = references.map(parseCommitteeReference);
+        if (committees.some(c => !c)) {
+            return jsonResponse(400, {
+                error: 'Invalid committee parameter',
+                hint: 'Use committee=<council name>:<committee id>, e.g. committee=Gloucester City Council:544'
+            });
+        }
+
+        try {
+            const result = await cachedFeed({
+                committees,
+                committee_name: query.get('committee_name') || undefined,
+                council_name: query.get('council') || undefined,
+                from_date: query.get('from') || undefined,
+                to_date: query.get('to') || undefined,
+                calendar_name: query.get('name') || undefined
+            });
+
+            if (result.error) {
+                return jsonResponse(result.status_code || 400, result);
+            }
+
+            if (request.headers.get('if-none-match') === result.etag) {
+                return { status: 304, headers: { ETag: result.etag, 'Cache-Control': CACHE_CONTROL } };
+            }
+
+            context.log(`Meetings calendar: ${result.event_count} events for ${result.committees.length} committees`);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/calendar; charset=utf-8',
+                    'Content-Disposition': 'inline; filename="meetings.ics"',
+                    'Cache-Control': CACHE_CONTROL,
+                    ETag: result.etag
+                },
+                body: result.ics
+            };
+        } catch (error) {
+            context.error('Meetings calendar failed:', error);
+            return jsonResponse(500, { error: 'Failed to build the meetings calendar' });
+        }
+    }
+});
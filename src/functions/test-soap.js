@@ -21,13 +21,14 @@ const SOAP_NAMESPACE = 'http://moderngov.co.uk/namespaces';
 // Known operations to try
 const KNOWN_OPERATIONS = {
     'GetCommittees': '',
-    'GetCouncillorsByPostcode': '<postcode>{postcode}</postcode>',
+    'GetCouncillorsByPostcode': '<sPostcode>{postcode}</sPostcode>',
     'GetMeetings': '<committeeId>{committeeId}</committeeId>',
     'GetMeeting': '<meetingId>{meetingId}</meetingId>',
     'GetCouncillors': '',
     'GetWards': '',
     'GetDocuments': '<meetingId>{meetingId}</meetingId>',
-    'GetAgendaItems': '<meetingId>{meetingId}</meetingId>'
+    'GetAgendaItems': '<meetingId>{meetingId}</meetingId>',
+    'GetForwardPlanItems': ''
 };
 
 app.http('testSoap', {
@@ -2,7 +2,8 @@
  * GCC Planning MCP Module
  *
  * Exports TOOLS (MCP tool definitions), TOOL_HANDLERS (execute functions),
- * and SERVER_INFO for use by the mcpPlanning Azure Function.
+ * SERVER_INFO and RESOURCES (the ruleset as an MCP resource) for use by the
+ * mcpPlanning Azure Function.
  *
  * Implements 9 tools across 4 phases (plan Section 5 and Section 14):
  *   Phase 0: planx_ingest_schema (PlanX ingestion — maps PlanX application JSON to GCC facts)
@@ -20,7 +21,9 @@
 
 'use strict';
 
-const { SCHEMA_VERSIONS } = require('./schema-loader');
+const path = require('path');
+const { SCHEMA_VERSIONS, PLANNING_DIR, RULESET_FILE } = require('./schema-loader');
+const { jsonFileResource } = require('../mcp-core');
 
 const planxIngest           = require('./tools/planx-ingest');
 const validateFacts         = require('./tools/validate-application-facts');
@@ -418,4 +421,16 @@ const SERVER_INFO = {
     readOnly: true,
 };
 
-module.exports = { TOOLS, TOOL_HANDLERS, SERVER_INFO };
+// ─── Resources ────────────────────────────────────────────────────────────────
+const RESOURCES = [
+    jsonFileResource({
+        uri: 'gcc://planning/ruleset',
+        name: 'planning-ruleset',
+        title: 'Gloucester householder policy ruleset',
+        description: `${RULESET_FILE} — the validation modules, assessment tests and rules every planning_* tool evaluates against. Address a single test with a JSON Pointer fragment, e.g. gcc://planning/ruleset#/assessment_tests/0.`,
+        filePath: path.join(PLANNING_DIR, RULESET_FILE),
+        version: SCHEMA_VERSIONS.ruleset,
+    }),
+];
+
+module.exports = { TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES };
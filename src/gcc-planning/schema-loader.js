@@ -206,6 +206,7 @@ module.exports = {
     SCHEMA_VERSIONS,
     ENUM_VALUE_SETS,
     // File names
+    PLANNING_DIR,
     ENUMS_FILE,
     FACTS_FILE,
     RESULT_FILE,
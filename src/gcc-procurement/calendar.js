@@ -0,0 +1,230 @@
+/**
+ * GCC Procurement — dates and working days
+ *
+ * Date arithmetic on YYYY-MM-DD strings (UTC) and the England & Wales
+ * bank holiday calendar, used for PA2023 working-day periods (the 8-working-
+ * day standstill) and contract review and payment dates.
+ *
+ * Bank holidays follow the standing rules (substitute days when a holiday
+ * falls at a weekend). One-off and moved holidays proclaimed since 2011 are
+ * listed in MOVED and ADDITIONAL; add new proclamations there.
+ */
+
+'use strict';
+
+// ─── Dates ───────────────────────────────────────────────────────────────────
+
+function parseDate(value) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function today() {
+    return formatDate(new Date());
+}
+
+function addDays(value, days) {
+    const date = parseDate(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDate(date);
+}
+
+/**
+ * Add calendar months, clamping to the end of shorter months (31 Jan + 1 = 28/29 Feb).
+ */
+function addMonths(value, months) {
+    const date = parseDate(value);
+    const day = date.getUTCDate();
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return formatDate(target);
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+function monthsBetween(from, to) {
+    const a = parseDate(from);
+    const b = parseDate(to);
+    return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+}
+
+function weekday(value) {
+    return parseDate(value).getUTCDay();
+}
+
+// ─── England & Wales bank holidays ───────────────────────────────────────────
+
+// Standing holidays moved by proclamation: year → { rule: date }
+const MOVED = {
+    2012: { spring: '2012-06-04' },
+    2020: { early_may: '2020-05-08' },
+    2022: { spring: '2022-06-02' },
+};
+
+const ADDITIONAL = [
+    { date: '2011-04-29', name: 'Royal wedding' },
+    { date: '2012-06-05', name: 'Queen’s Diamond Jubilee' },
+    { date: '2022-06-03', name: 'Platinum Jubilee' },
+    { date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II' },
+    { date: '2023-05-08', name: 'Coronation of King Charles III' },
+];
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm).
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return formatDate(new Date(Date.UTC(year, month - 1, day)));
+}
+
+function firstMonday(year, month) {
+    const first = `${year}-${String(month).padStart(2, '0')}-01`;
+    return addDays(first, (8 - weekday(first)) % 7);
+}
+
+function lastMonday(year, month) {
+    const last = formatDate(new Date(Date.UTC(year, month, 0)));
+    return addDays(last, -((weekday(last) + 6) % 7));
+}
+
+function isWeekend(value) {
+    const day = weekday(value);
+    return day === 0 || day === 6;
+}
+
+// Next weekday not already taken — substitute days for weekend holidays
+function substitute(value, taken) {
+    let date = value;
+    while (isWeekend(date) || taken.includes(date)) date = addDays(date, 1);
+    return date;
+}
+
+const _holidayCache = new Map();
+
+/**
+ * England & Wales bank holidays for a year.
+ * @param {number} year
+ * @returns {{ date: string, name: string }[]} sorted by date
+ */
+function bankHolidays(year) {
+    if (_holidayCache.has(year)) return _holidayCache.get(year);
+
+    const moved = MOVED[year] || {};
+    const easter = easterSunday(year);
+    const christmas = substitute(`${year}-12-25`, []);
+    const boxingDay = substitute(`${year}-12-26`, [christmas]);
+
+    const holidays = [
+        { date: substitute(`${year}-01-01`, []), name: 'New Year’s Day' },
+        { date: addDays(easter, -2), name: 'Good Friday' },
+        { date: addDays(easter, 1), name: 'Easter Monday' },
+        { date: moved.early_may || firstMonday(year, 5), name: 'Early May bank holiday' },
+        { date: moved.spring || lastMonday(year, 5), name: 'Spring bank holiday' },
+        { date: lastMonday(year, 8), name: 'Summer bank holiday' },
+        { date: christmas, name: 'Christmas Day' },
+        { date: boxingDay, name: 'Boxing Day' },
+        ...ADDITIONAL.filter(h => h.date.startsWith(`${year}-`)),
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    _holidayCache.set(year, holidays);
+    return holidays;
+}
+
+function isBankHoliday(value) {
+    return bankHolidays(Number(value.slice(0, 4))).some(h => h.date === value);
+}
+
+/**
+ * Bank holidays falling between two dates, inclusive.
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ date: string, name: string }[]}
+ */
+function bankHolidaysBetween(from, to) {
+    const holidays = [];
+    for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+        holidays.push(...bankHolidays(year).filter(h => h.date >= from && h.date <= to));
+    }
+    return holidays;
+}
+
+// ─── Working days ────────────────────────────────────────────────────────────
+
+function isWorkingDay(value) {
+    return !isWeekend(value) && !isBankHoliday(value);
+}
+
+/**
+ * The date itself if a working day, otherwise the next working day.
+ */
+function nextWorkingDay(value) {
+    let date = value;
+    while (!isWorkingDay(date)) date = addDays(date, 1);
+    return date;
+}
+
+/**
+ * The date itself if a working day, otherwise the previous working day.
+ */
+function previousWorkingDay(value) {
+    let date = value;
+    while (!isWorkingDay(date)) date = addDays(date, -1);
+    return date;
+}
+
+/**
+ * Move a number of working days forward (positive) or back (negative),
+ * not counting the start date.
+ * @param {string} value
+ * @param {number} workingDays
+ * @returns {string}
+ */
+function addWorkingDays(value, workingDays) {
+    const step = workingDays < 0 ? -1 : 1;
+    let date = value;
+    for (let remaining = Math.abs(workingDays); remaining > 0;) {
+        date = addDays(date, step);
+        if (isWorkingDay(date)) remaining--;
+    }
+    return date;
+}
+
+module.exports = {
+    parseDate,
+    formatDate,
+    today,
+    addDays,
+    addMonths,
+    daysBetween,
+    monthsBetween,
+    weekday,
+    easterSunday,
+    bankHolidays,
+    bankHolidaysBetween,
+    isBankHoliday,
+    isWeekend,
+    isWorkingDay,
+    nextWorkingDay,
+    previousWorkingDay,
+    addWorkingDays,
+};
@@ -0,0 +1,18 @@
+/**
+ * GCC Procurement Cases — blob storage
+ *
+ * One JSON blob per procurement case at cases/<case_id>.json.
+ */
+
+'use strict';
+
+const { createRecordStore } = require('./record-store');
+
+const store = createRecordStore('cases/', 'case_id');
+
+module.exports = {
+    readCase: store.read,
+    readCaseForUpdate: store.readForUpdate,
+    writeCase: store.write,
+    listAllCases: store.list,
+};
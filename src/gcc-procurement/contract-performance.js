@@ -0,0 +1,401 @@
+/**
+ * GCC Contract Performance — KPIs, review schedule and payment compliance
+ *
+ * Applies contract_performance in procurement-contracts-schema-v0.9.3.json to
+ * a contract's recorded KPI readings, reviews and invoices. Shared by the
+ * gcc_procurement_record_* and performance reporting tools.
+ *
+ * The schema lists the review types and the pre-expiry trigger but not which
+ * contracts need which reviews or how often. REVIEW_POLICY below reads its
+ * value bounds from the decision matrix tiers; the cadences, the 2-year
+ * mid-term minimum and the use of Tier 6 as "high-value" for the 18-month
+ * pre-expiry lead are local defaults, and every schedule entry says which
+ * parts came from the schema.
+ */
+
+'use strict';
+
+const { schema, MATRIX } = require('./schema-loader');
+const { isIsoDate } = require('./field-check');
+const { today, addDays, addMonths, daysBetween, monthsBetween } = require('./calendar');
+
+const PERFORMANCE = schema.contract_performance;
+const KPIS = PERFORMANCE.kpis;
+const REVIEWS = PERFORMANCE.review_schedule;
+const PAYMENT = PERFORMANCE.payment_compliance;
+
+const KPI_RATINGS = KPIS.reporting_ratings;
+const KPI_FREQUENCIES = KPIS.kpi_fields.find(f => f.field === 'reporting_frequency').enum;
+const KPI_REQUIRED_ABOVE_GBP = KPIS.required_above_value_gbp;
+
+// Ratings at or below "Approaching Target" need a remediation plan
+const REMEDIATION_RATINGS = ['Approaching Target', 'Requires Improvement', 'Inadequate'];
+
+const REVIEW_TYPES = REVIEWS.types;
+const PAYMENT_TERMS_DAYS = PAYMENT.standard_payment_terms_days;
+const UK17_DETAIL_THRESHOLD_GBP = PAYMENT.reporting_threshold_gbp;
+
+// Upper bound of a decision matrix tier; the review bounds sit on these
+const tierMax = tier => MATRIX.find(t => t.tier === tier).max_value_gbp;
+
+// The schema notes give an 18-month lead for "complex/high-value" contracts
+// without a value; Tier 6 (Full Cabinet) is taken as high-value locally
+const HIGH_VALUE_GBP = tierMax(5);
+const HIGH_VALUE_PRE_EXPIRY_MONTHS = 18;
+const DUE_SOON_DAYS = 30;
+
+const NOTICES = Object.fromEntries(
+    schema.notice_types.notices.filter(n => ['UK9', 'UK17'].includes(n.code)).map(n => [n.code, n])
+);
+
+const PAYMENT_STATUS_LABELS = {
+    paid_on_time: '✅ Paid within terms',
+    paid_late: '❌ Paid late',
+    awaiting_payment: '⏳ Awaiting payment',
+    overdue: '❌ Overdue',
+    disputed: '⚠️ Disputed',
+};
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+// Which reviews a contract needs, by whole-life value. appliesAbove is a
+// matrix tier bound; the cadences are local defaults, not schema values.
+const gbp = n => `£${n.toLocaleString('en-GB')}`;
+const REVIEW_POLICY = [
+    { type: 'Quarterly performance review', everyMonths: 3, appliesAbove: tierMax(4), basis: `Tier 5–6 (above ${gbp(tierMax(4))})`, cadence: 'Every 3 months (local default)' },
+    { type: 'Annual strategic review', everyMonths: 12, appliesAbove: tierMax(3), basis: `Tier 4–6 (above ${gbp(tierMax(3))})`, cadence: 'Every 12 months (local default)' },
+    { type: 'Mid-term review', midTerm: true, appliesAbove: tierMax(3), minTermMonths: 24, basis: `Tier 4–6 (above ${gbp(tierMax(3))})`, cadence: 'Half-way through a term of 2 years or more (local default)' },
+    { type: 'Pre-expiry review', preExpiry: true, appliesAbove: 0, basis: 'All contracts' },
+];
+
+const LOCAL_DEFAULTS_NOTE = 'Review value bounds follow the decision matrix tiers. The schema does not set review cadences or a '
+    + 'high-value threshold, so the quarterly, annual and mid-term cadences and the 18-month pre-expiry lead above '
+    + `${gbp(HIGH_VALUE_GBP)} (Tier 6) are local defaults; confirm them against the contract's own review terms.`;
+
+// ─── Stored record ───────────────────────────────────────────────────────────
+
+/**
+ * Empty performance record for a contract, before anything is recorded.
+ * @param {string} contractId
+ * @returns {object}
+ */
+function emptyRecord(contractId) {
+    return { contract_id: contractId, kpis: [], reviews: [], invoices: [] };
+}
+
+/**
+ * Stamp a performance record for saving: created_at, updated_at, version.
+ * @param {object} record
+ * @param {string} now - ISO timestamp
+ * @returns {object}
+ */
+function stamp(record, now) {
+    return {
+        ...record,
+        created_at: record.created_at || now,
+        updated_at: now,
+        version: (record.version || 0) + 1,
+    };
+}
+
+/**
+ * Check that a date input is YYYY-MM-DD and not in the future.
+ * @param {*} value
+ * @param {string} field
+ * @param {string} asOf
+ * @returns {string|null} error message
+ */
+function checkPastDate(value, field, asOf) {
+    if (typeof value !== 'string' || !isIsoDate(value)) return `${field} must be a date in YYYY-MM-DD format`;
+    if (value > asOf) return `${field} cannot be in the future`;
+    return null;
+}
+
+// ─── Contract value ──────────────────────────────────────────────────────────
+
+function contractValue(contract) {
+    return typeof contract.value_actual_gbp === 'number' ? contract.value_actual_gbp : contract.value_estimated_gbp;
+}
+
+// ─── Review schedule ─────────────────────────────────────────────────────────
+
+/**
+ * Due dates for one review type over the contract term.
+ */
+function dueDatesFor(policy, contract, value) {
+    const { start_date: start, expiry_date: expiry } = contract;
+
+    if (policy.everyMonths) {
+        const dates = [];
+        for (let n = 1; ; n++) {
+            const due = addMonths(start, policy.everyMonths * n);
+            if (due > expiry) break;
+            dates.push(due);
+        }
+        return dates;
+    }
+    if (policy.midTerm) {
+        const termMonths = monthsBetween(start, expiry);
+        return termMonths >= policy.minTermMonths ? [addMonths(start, Math.floor(termMonths / 2))] : [];
+    }
+    // Pre-expiry: never before the contract starts
+    const due = addMonths(expiry, -preExpiryLead(value).months);
+    return [due < start ? start : due];
+}
+
+/**
+ * Pre-expiry lead time: the schema trigger, or the longer lead for contracts
+ * treated locally as high-value.
+ * @param {number} value
+ * @returns {{ months: number, cadence: string, cadence_source: string }}
+ */
+function preExpiryLead(value) {
+    if (value > HIGH_VALUE_GBP) {
+        return {
+            months: HIGH_VALUE_PRE_EXPIRY_MONTHS,
+            cadence: `${HIGH_VALUE_PRE_EXPIRY_MONTHS} months before expiry (above ${gbp(HIGH_VALUE_GBP)}: local default)`,
+            cadence_source: 'local_default',
+        };
+    }
+    return {
+        months: REVIEWS.pre_expiry_trigger_months,
+        cadence: `${REVIEWS.pre_expiry_trigger_months} months before expiry`,
+        cadence_source: 'schema',
+    };
+}
+
+/**
+ * Cadence of a review type and whether the schema or a local default sets it.
+ */
+function cadenceOf(policy, value) {
+    if (policy.preExpiry) {
+        const { cadence, cadence_source } = preExpiryLead(value);
+        return { cadence, cadence_source };
+    }
+    return { cadence: policy.cadence, cadence_source: 'local_default' };
+}
+
+/**
+ * Compute the review schedule for a contract and match recorded reviews to it.
+ *
+ * A scheduled review is completed by a recorded review of the same type held
+ * between the previous due date of that type (or the start date) and 30 days
+ * after its own due date. Past due dates with no such review are overdue.
+ * Each entry carries its basis and cadence, with cadence_source 'schema' or
+ * 'local_default' (see REVIEW_POLICY).
+ *
+ * @param {object} contract - contract_record
+ * @param {object[]} reviews - recorded reviews { review_type, held_date }
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {{ reviews: object[], overdue: object[], next_due: object|null, policy_note: string }}
+ */
+function reviewSchedule(contract, reviews, asOf) {
+    const value = contractValue(contract);
+    const schedule = [];
+
+    for (const policy of REVIEW_POLICY) {
+        if (!(value > policy.appliesAbove)) continue;
+
+        const held = reviews
+            .filter(r => r.review_type === policy.type)
+            .map(r => r.held_date)
+            .sort();
+        let windowStart = contract.start_date;
+        let upcomingAdded = false;
+
+        for (const due of dueDatesFor(policy, contract, value)) {
+            const completedOn = held.find(date => date >= windowStart && date <= addDays(due, DUE_SOON_DAYS));
+            let status;
+            if (completedOn) {
+                status = 'completed';
+                held.splice(held.indexOf(completedOn), 1);
+            } else if (due < asOf) {
+                status = 'overdue';
+            } else if (upcomingAdded) {
+                break;
+            } else {
+                status = daysBetween(asOf, due) <= DUE_SOON_DAYS ? 'due_soon' : 'scheduled';
+                upcomingAdded = true;
+            }
+
+            schedule.push({
+                review_type: policy.type,
+                due_date: due,
+                status,
+                ...(status === 'completed' ? { held_date: completedOn } : {}),
+                ...(status === 'overdue' ? { days_overdue: daysBetween(due, asOf) } : {}),
+                basis: policy.basis,
+                ...cadenceOf(policy, value),
+            });
+            windowStart = due;
+        }
+    }
+
+    schedule.sort((a, b) => a.due_date.localeCompare(b.due_date));
+    const upcoming = schedule.filter(r => r.status === 'due_soon' || r.status === 'scheduled');
+    return {
+        reviews: schedule,
+        overdue: schedule.filter(r => r.status === 'overdue'),
+        next_due: upcoming[0] || null,
+        policy_note: LOCAL_DEFAULTS_NOTE,
+    };
+}
+
+// ─── KPIs ────────────────────────────────────────────────────────────────────
+
+/**
+ * Current status of each KPI: latest rating and whether a reading is overdue.
+ * @param {object} contract
+ * @param {object[]} kpis
+ * @param {string} asOf
+ * @returns {object[]}
+ */
+function kpiStatus(contract, kpis, asOf) {
+    return kpis.map(kpi => {
+        const readings = [...kpi.readings].sort((a, b) => a.period_end.localeCompare(b.period_end));
+        const latest = readings[readings.length - 1] || null;
+        const nextReadingDue = addDays(
+            addMonths(latest ? latest.period_end : contract.start_date, FREQUENCY_MONTHS[kpi.reporting_frequency]),
+            DUE_SOON_DAYS
+        );
+        return {
+            kpi_id: kpi.kpi_id,
+            description: kpi.description,
+            target: kpi.target,
+            reporting_frequency: kpi.reporting_frequency,
+            current_rating: latest ? latest.rating : null,
+            last_period_end: latest ? latest.period_end : null,
+            reading_overdue: nextReadingDue < asOf,
+            next_reading_due: nextReadingDue,
+            remediation_plan: latest && REMEDIATION_RATINGS.includes(latest.rating) ? latest.remediation_plan : null,
+            readings: readings.length,
+        };
+    });
+}
+
+// ─── Payments ────────────────────────────────────────────────────────────────
+
+/**
+ * Payment status of one invoice under the 30-day terms implied by PA2023.
+ * @param {object} invoice - { invoice_id, amount_gbp, received_date, paid_date, disputed }
+ * @param {string} asOf
+ * @returns {object}
+ */
+function invoiceStatus(invoice, asOf) {
+    const dueDate = addDays(invoice.received_date, PAYMENT_TERMS_DAYS);
+    let status;
+    let daysToPay = null;
+
+    if (invoice.paid_date) {
+        daysToPay = daysBetween(invoice.received_date, invoice.paid_date);
+        status = daysToPay <= PAYMENT_TERMS_DAYS ? 'paid_on_time' : 'paid_late';
+    } else if (invoice.disputed) {
+        status = 'disputed';
+    } else {
+        status = asOf > dueDate ? 'overdue' : 'awaiting_payment';
+    }
+
+    return {
+        invoice_id: invoice.invoice_id,
+        amount_gbp: invoice.amount_gbp,
+        received_date: invoice.received_date,
+        due_date: dueDate,
+        paid_date: invoice.paid_date || null,
+        days_to_pay: daysToPay,
+        status,
+        ...(status === 'paid_late' ? { days_late: daysToPay - PAYMENT_TERMS_DAYS } : {}),
+        ...(status === 'overdue' ? { days_overdue: daysBetween(dueDate, asOf) } : {}),
+        ...(invoice.disputed ? { disputed: true } : {}),
+    };
+}
+
+/**
+ * Reporting period containing a date: 1 April–30 September or 1 October–31 March.
+ * @param {string} date
+ * @returns {{ start: string, end: string }}
+ */
+function reportingPeriodFor(date) {
+    const [year, month] = date.split('-').map(Number);
+    if (month >= 4 && month <= 9) return { start: `${year}-04-01`, end: `${year}-09-30` };
+    const startYear = month >= 10 ? year : year - 1;
+    return { start: `${startYear}-10-01`, end: `${startYear + 1}-03-31` };
+}
+
+/**
+ * The last reporting period that ended before a date.
+ * @param {string} date
+ * @returns {{ start: string, end: string }}
+ */
+function lastCompletedPeriod(date) {
+    const current = reportingPeriodFor(date);
+    return reportingPeriodFor(addDays(current.start, -1));
+}
+
+/**
+ * Payment statistics for invoices paid in a period.
+ *
+ * Disputed invoices are left out of the on-time percentage while disputed;
+ * once paid they count like any other invoice.
+ *
+ * @param {object[]} entries - { contract_id, supplier_name, invoice }
+ * @param {{ start: string, end: string }} period
+ * @returns {object}
+ */
+function paymentStatistics(entries, period) {
+    const paid = [];
+    const outstanding = [];
+
+    for (const { contract_id, supplier_name, invoice } of entries) {
+        const status = invoiceStatus(invoice, period.end);
+        const row = { contract_id, supplier_name, ...status };
+        if (invoice.paid_date && invoice.paid_date >= period.start && invoice.paid_date <= period.end) {
+            paid.push(row);
+        } else if (invoice.received_date <= period.end && (!invoice.paid_date || invoice.paid_date > period.end)) {
+            if (status.status === 'overdue') outstanding.push(row);
+        }
+    }
+
+    const onTime = paid.filter(p => p.status === 'paid_on_time');
+    const late = paid.filter(p => p.status === 'paid_late');
+    const percent = (n) => (paid.length === 0 ? null : Math.round((n / paid.length) * 1000) / 10);
+    const sum = (rows) => Math.round(rows.reduce((total, r) => total + r.amount_gbp, 0) * 100) / 100;
+
+    return {
+        invoices_paid: paid.length,
+        total_paid_gbp: sum(paid),
+        paid_within_terms: onTime.length,
+        paid_within_terms_percent: percent(onTime.length),
+        paid_late: late.length,
+        paid_late_percent: percent(late.length),
+        average_days_to_pay: paid.length === 0 ? null : Math.round((paid.reduce((t, p) => t + p.days_to_pay, 0) / paid.length) * 10) / 10,
+        overdue_unpaid_at_period_end: outstanding.length,
+        overdue_unpaid_gbp: sum(outstanding),
+        late_payments: late,
+        overdue_invoices: outstanding,
+        payments_above_threshold: paid.filter(p => p.amount_gbp > UK17_DETAIL_THRESHOLD_GBP),
+    };
+}
+
+module.exports = {
+    PERFORMANCE,
+    NOTICES,
+    KPI_RATINGS,
+    KPI_FREQUENCIES,
+    KPI_REQUIRED_ABOVE_GBP,
+    REMEDIATION_RATINGS,
+    REVIEW_TYPES,
+    REVIEW_POLICY,
+    PAYMENT_TERMS_DAYS,
+    UK17_DETAIL_THRESHOLD_GBP,
+    PAYMENT_STATUS_LABELS,
+    emptyRecord,
+    stamp,
+    checkPastDate,
+    contractValue,
+    reviewSchedule,
+    kpiStatus,
+    invoiceStatus,
+    reportingPeriodFor,
+    lastCompletedPeriod,
+    paymentStatistics,
+};
@@ -0,0 +1,169 @@
+/**
+ * GCC Contract Register — record model
+ *
+ * Validates contract records against contract_record in
+ * procurement-contracts-schema-v0.9.3.json and applies partial updates.
+ * Shared by the gcc_procurement_*_contract tools.
+ */
+
+'use strict';
+
+const { schema } = require('./schema-loader');
+const { checkValue, isIsoDate, isMissing, isPlainObject, typesOf } = require('./field-check');
+
+const RECORD = schema.contract_record;
+const FIELDS = RECORD.fields;
+const REQUIRED_FIELDS = RECORD.required_fields;
+
+// Maintained by the store, never supplied by callers
+const METADATA_FIELDS = ['created_at', 'updated_at', 'version'];
+
+// Conditional requirements stated in the field descriptions
+const DIRECT_AWARD_ROUTES = ['direct_award', 'below_threshold_direct'];
+
+/**
+ * Validate a complete contract record against contract_record.
+ * Metadata fields (created_at, updated_at, version) are ignored.
+ *
+ * @param {object} record
+ * @returns {{ field: string, message: string }[]} empty when the record is valid
+ */
+function validateContractRecord(record) {
+    if (!isPlainObject(record)) {
+        return [{ field: 'contract', message: 'contract must be an object' }];
+    }
+
+    const errors = [];
+
+    for (const field of REQUIRED_FIELDS) {
+        if (isMissing(record[field])) errors.push({ field, message: `${field} is required` });
+    }
+
+    for (const [field, value] of Object.entries(record)) {
+        if (value === undefined || METADATA_FIELDS.includes(field)) continue;
+        if (!FIELDS[field]) {
+            errors.push({ field, message: `Unknown field: ${field}` });
+        } else if (!(REQUIRED_FIELDS.includes(field) && isMissing(value))) {
+            checkValue(value, FIELDS[field], field, errors);
+        }
+    }
+
+    if (DIRECT_AWARD_ROUTES.includes(record.procurement_route) && isMissing(record.direct_award_ground)) {
+        errors.push({
+            field: 'direct_award_ground',
+            message: `direct_award_ground is required when procurement_route is ${record.procurement_route}`,
+        });
+    }
+    if (record.procurement_route === 'waiver' && isMissing(record.waiver_approved_by)) {
+        errors.push({ field: 'waiver_approved_by', message: 'waiver_approved_by is required when procurement_route is waiver' });
+    }
+
+    for (const field of ['value_estimated_gbp', 'value_actual_gbp']) {
+        if (typeof record[field] === 'number' && record[field] < 0) {
+            errors.push({ field, message: `${field} must not be negative` });
+        }
+    }
+
+    if (isIsoDate(String(record.start_date)) && isIsoDate(String(record.expiry_date)) && record.expiry_date < record.start_date) {
+        errors.push({ field: 'expiry_date', message: 'expiry_date must not be before start_date' });
+    }
+
+    return errors;
+}
+
+/**
+ * Remove store-maintained metadata from caller input.
+ * @param {object} input
+ * @returns {object}
+ */
+function stripMetadata(input) {
+    const copy = { ...input };
+    for (const field of METADATA_FIELDS) delete copy[field];
+    return copy;
+}
+
+/**
+ * Apply a partial update to a stored record.
+ *
+ * Object fields (supplier, responsible_officer, ...) are merged one level deep,
+ * so changing supplier.is_sme keeps supplier.name. Arrays are replaced. Setting
+ * a non-nullable field to null removes it from the record.
+ *
+ * @param {object} record - Stored record
+ * @param {object} changes - Fields to change
+ * @returns {object} New record (the stored record is not mutated)
+ */
+function applyChanges(record, changes) {
+    const updated = { ...record };
+
+    for (const [field, value] of Object.entries(stripMetadata(changes))) {
+        const def = FIELDS[field];
+        if (value === null && !(def && typesOf(def).includes('null'))) {
+            delete updated[field];
+        } else if (isPlainObject(value) && isPlainObject(updated[field])) {
+            updated[field] = { ...updated[field], ...value };
+        } else {
+            updated[field] = value;
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * One-line summary of a record for list views.
+ * @param {object} record
+ * @returns {object}
+ */
+function summariseContract(record) {
+    return {
+        contract_id: record.contract_id,
+        title: record.title,
+        status: record.status,
+        category: record.category,
+        procurement_route: record.procurement_route,
+        supplier_name: record.supplier ? record.supplier.name : null,
+        value_actual_gbp: record.value_actual_gbp,
+        start_date: record.start_date,
+        expiry_date: record.expiry_date,
+        service_area: record.responsible_officer ? record.responsible_officer.service_area : null,
+        updated_at: record.updated_at,
+    };
+}
+
+/**
+ * Render a single contract record as markdown.
+ * @param {string} heading
+ * @param {object} record
+ * @returns {string[]} lines
+ */
+function renderContract(heading, record) {
+    const supplier = record.supplier || {};
+    const officer = record.responsible_officer || {};
+    const money = (v) => (typeof v === 'number' ? `£${v.toLocaleString()}` : '—');
+
+    const lines = [
+        `## ${heading}: ${record.contract_id}`,
+        '',
+        `**${record.title}**`,
+        '',
+        `- Status: ${record.status}${record.status_reason ? ` (${record.status_reason})` : ''}`,
+        `- Category: ${record.category} | Route: ${record.procurement_route}`,
+        `- Supplier: ${supplier.name || '—'}${supplier.companies_house_number ? ` (${supplier.companies_house_number})` : ''}`,
+        `- Value: ${money(record.value_actual_gbp)} actual, ${money(record.value_estimated_gbp)} estimated`,
+        `- Term: ${record.start_date} to ${record.expiry_date}`,
+        `- Responsible officer: ${officer.name || '—'}, ${officer.service_area || '—'}`,
+    ];
+    if (record.ocid) lines.push(`- OCID: ${record.ocid}`);
+    if (record.version) lines.push(`- Version ${record.version}, last updated ${record.updated_at}`);
+    return lines;
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    validateContractRecord,
+    stripMetadata,
+    applyChanges,
+    summariseContract,
+    renderContract,
+};
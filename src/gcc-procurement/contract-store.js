@@ -0,0 +1,17 @@
+/**
+ * GCC Contract Register — blob storage
+ *
+ * One JSON blob per contract at contracts/<contract_id>.json.
+ */
+
+'use strict';
+
+const { createRecordStore } = require('./record-store');
+
+const store = createRecordStore('contracts/', 'contract_id');
+
+module.exports = {
+    readContract: store.read,
+    writeContract: store.write,
+    listAllContracts: store.list,
+};
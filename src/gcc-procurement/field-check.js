@@ -0,0 +1,91 @@
+/**
+ * GCC Procurement — schema field checks
+ *
+ * Checks values against the field definitions used in
+ * procurement-contracts-schema-v0.9.3.json (type, enum, pattern, format,
+ * properties/required, items). Shared by the procurement record models.
+ */
+
+'use strict';
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function typesOf(def) {
+    return Array.isArray(def.type) ? def.type : [def.type];
+}
+
+function isIsoDate(value) {
+    const match = ISO_DATE.exec(value);
+    if (!match) return false;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':  return typeof value === 'string';
+        case 'number':  return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array':   return Array.isArray(value);
+        case 'object':  return isPlainObject(value);
+        default:        return true;
+    }
+}
+
+/**
+ * Check one value against its schema field definition, appending to errors.
+ */
+function checkValue(value, def, path, errors) {
+    const types = typesOf(def);
+
+    if (value === null) {
+        if (!types.includes('null')) errors.push({ field: path, message: `${path} must not be null` });
+        return;
+    }
+
+    const expected = types.filter(t => t !== 'null');
+    if (!expected.some(type => matchesType(value, type))) {
+        errors.push({ field: path, message: `${path} must be of type ${expected.join(' or ')}` });
+        return;
+    }
+
+    if (def.enum && !def.enum.includes(value)) {
+        errors.push({ field: path, message: `${path} must be one of: ${def.enum.join(', ')}` });
+    }
+    if (def.pattern && typeof value === 'string' && !new RegExp(def.pattern).test(value)) {
+        errors.push({ field: path, message: `${path} must match ${def.pattern}${def.pattern_note ? ` (${def.pattern_note})` : ''}` });
+    }
+    if (def.format === 'date' && typeof value === 'string' && !isIsoDate(value)) {
+        errors.push({ field: path, message: `${path} must be a date in YYYY-MM-DD format` });
+    }
+
+    if (Array.isArray(value) && def.items) {
+        value.forEach((item, i) => checkValue(item, def.items, `${path}[${i}]`, errors));
+    }
+
+    if (isPlainObject(value) && def.properties) {
+        const required = Array.isArray(def.required) ? def.required : [];
+        for (const key of required) {
+            if (isMissing(value[key])) errors.push({ field: `${path}.${key}`, message: `${path}.${key} is required` });
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (child === undefined || (required.includes(key) && isMissing(child))) continue;
+            if (!def.properties[key]) {
+                errors.push({ field: `${path}.${key}`, message: `Unknown field: ${path}.${key}` });
+            } else {
+                checkValue(child, def.properties[key], `${path}.${key}`, errors);
+            }
+        }
+    }
+}
+
+module.exports = { checkValue, isIsoDate, isMissing, isPlainObject, typesOf };
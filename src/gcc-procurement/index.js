@@ -2,23 +2,45 @@
  * GCC Procurement MCP Module
  *
  * Exports TOOLS (MCP tool definitions), TOOL_HANDLERS (execute functions),
- * and SERVER_INFO for use by the mcpProcurement Azure Function.
+ * SERVER_INFO and RESOURCES (the schema as an MCP resource) for use by the
+ * mcpProcurement Azure Function.
  *
- * All five tools are read-only constitutional rules engines derived from
- * procurement-contracts-schema-v0.9.3.json. No external calls are made.
+ * The rules-engine tools (including notice drafting and timeline planning)
+ * are read-only and derived from procurement-contracts-schema-v0.9.3.json;
+ * they make no external calls.
+ * The contract register, case tracker and contract performance tools read
+ * and write records in blob storage (see record-store.js).
  */
 
 'use strict';
 
-const { SCHEMA_VERSION, SCHEMA_FILE } = require('./schema-loader');
+const { SCHEMA_VERSION, SCHEMA_FILE, SCHEMA_PATH } = require('./schema-loader');
+const { jsonFileResource } = require('../mcp-core');
 
 const determineRoute = require('./tools/determine-route');
 const checkSupplier  = require('./tools/check-supplier');
 const validateCase   = require('./tools/validate-case');
 const getNotices     = require('./tools/get-notices');
 const explainRule    = require('./tools/explain-rule');
+const draftNotice    = require('./tools/draft-notice');
+const planTimeline   = require('./tools/plan-timeline');
+const createContract = require('./tools/create-contract');
+const updateContract = require('./tools/update-contract');
+const getContract    = require('./tools/get-contract');
+const listContracts  = require('./tools/list-contracts');
+const exportRegister = require('./tools/export-contract-register');
+const openCase       = require('./tools/open-case');
+const updateCase     = require('./tools/update-case');
+const advanceCase    = require('./tools/advance-case');
+const getCase        = require('./tools/get-case');
+const listCases      = require('./tools/list-cases');
+const recordKpi      = require('./tools/record-kpi');
+const recordInvoice  = require('./tools/record-invoice');
+const recordReview   = require('./tools/record-review');
+const contractPerformance = require('./tools/contract-performance');
+const paymentCompliance   = require('./tools/payment-compliance');
 
-// ─── Tool annotations (applied to all tools) ─────────────────────────────────
+// ─── Tool annotations ────────────────────────────────────────────────────────
 const READ_ONLY_ANNOTATIONS = {
     readOnlyHint: true,
     destructiveHint: false,
@@ -26,6 +48,22 @@ const READ_ONLY_ANNOTATIONS = {
     idempotentHint: true,
 };
 
+// Tools that write stored records (contracts, cases, performance)
+const WRITE_ANNOTATIONS = {
+    readOnlyHint: false,
+    destructiveHint: false,
+    openWorldHint: false,
+    idempotentHint: false,
+};
+
+const CONTRACT_ID_PARAM = {
+    contract_id: {
+        type: 'string',
+        pattern: '^GCC-[0-9]{4}-[0-9]{4,}$',
+        description: 'Contract register identifier, format GCC-YYYY-NNNN (e.g. GCC-2026-0042).',
+    },
+};
+
 // ─── Response format parameter (shared across all tools) ─────────────────────
 const RESPONSE_FORMAT_PARAM = {
     response_format: {
@@ -36,6 +74,47 @@ const RESPONSE_FORMAT_PARAM = {
     },
 };
 
+const CASE_ID_PARAM = {
+    case_id: {
+        type: 'string',
+        pattern: '^GCC-PROC-[0-9]{4}-[0-9]{4,}$',
+        description: 'Procurement case identifier, format GCC-PROC-YYYY-NNNN (e.g. GCC-PROC-2026-0042).',
+    },
+};
+
+const OFFICER_PARAM = {
+    officer: {
+        type: 'string',
+        minLength: 2,
+        description: 'Name and role of the officer making this change. Recorded in the case history.',
+    },
+};
+
+// Assertions an officer can record on a case (gcc_procurement_open_case / update_case)
+const CASE_ASSERTION_PROPERTIES = {
+    procurement_route: {
+        type: 'string',
+        enum: ['budget_holder_discretion', 'quotes_below_threshold', 'itt_below_threshold', 'open_procedure', 'competitive_flexible', 'direct_award', 'framework_calloff', 'dynamic_market_calloff', 'waiver'],
+        description: 'Procurement route. Required before tender_open.',
+    },
+    forward_plan_reference: { type: ['string', 'null'], description: 'Forward Plan entry reference (key decisions).' },
+    social_value_assessed: { type: ['boolean', 'null'], description: 'Social value assessment completed.' },
+    conflicts_assessment_completed: { type: ['boolean', 'null'], description: 'Conflicts of interest assessment completed.' },
+    lots_considered: { type: ['boolean', 'null'], description: 'Division into lots considered and documented.' },
+    existing_framework_checked: { type: ['boolean', 'null'], description: 'Existing frameworks checked.' },
+    tupe_assessed: { type: ['boolean', 'null'], description: 'TUPE assessment completed.' },
+    tupe_applies: { type: ['boolean', 'null'], description: 'Whether TUPE applies.' },
+    direct_award_justification_reference: { type: ['string', 'null'], description: 'Direct Award Justification Report reference.' },
+    waiver_reference: { type: ['string', 'null'], description: 'Approved waiver reference.' },
+    cabinet_member_decision_reference: { type: ['string', 'null'], description: 'Cabinet Member decision reference (tier 5).' },
+    cabinet_decision_reference: { type: ['string', 'null'], description: 'Cabinet minute reference (tier 6).' },
+    authorised_officer: { type: 'string', description: 'Post title of the Authorised Officer (CONTRACT-RULES Rule 4.1).' },
+    budget_holder: { type: 'string', description: 'Post title of the Budget Holder (CONTRACT-RULES Rule 4.2.9).' },
+    service_id: { type: ['string', 'null'], description: 'services-schema service_id, if known.' },
+    has_ward_impact: { type: 'boolean', description: 'KD2: likely to affect two or more wards.' },
+    budget_significant: { type: 'boolean', description: 'KD1: significant relative to the service budget.' },
+};
+
 // ─── Tool definitions ─────────────────────────────────────────────────────────
 const TOOLS = [
     {
@@ -273,6 +352,557 @@ Source: procurement-contracts-schema-v0.9.3.json`,
             required: ['topic'],
         },
     },
+
+    {
+        name: 'gcc_procurement_draft_notice',
+        description: `Draft a UK procurement notice for Find a Tender from a procurement case.
+
+Pre-fills the notice in the OCDS release structure Find a Tender publishes (tender, awards, contracts, parties),
+with Gloucester City Council as buyer, and lists every mandatory field still missing by path.
+Drafts: UK1 pipeline, UK2 preliminary market engagement, UK3 planned procurement, UK4 tender, UK5 transparency,
+UK6 contract award, UK7 contract details, UK9 contract performance, UK10 contract change, UK11 contract termination,
+UK12 procurement termination, UK17 payment compliance.
+Warns when a UK4–UK7 notice is not in the gcc_procurement_get_notices sequence for the value and route.
+
+For UK9 pass kpis from gcc_procurement_contract_performance; for UK17 pass the JSON result of gcc_procurement_payment_compliance as payment_compliance.
+Works offline — nothing is submitted to Find a Tender.
+Source: notice_types — procurement-contracts-schema-v0.9.3.json`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                notice_code: {
+                    type: 'string',
+                    enum: ['UK1', 'UK2', 'UK3', 'UK4', 'UK5', 'UK6', 'UK7', 'UK9', 'UK10', 'UK11', 'UK12', 'UK17'],
+                    description: 'Notice to draft.',
+                },
+                procurement: {
+                    type: 'object',
+                    description: 'The procurement case. Give whatever is known; missing mandatory fields are listed in the response.',
+                    properties: {
+                        reference: { type: 'string', description: 'Internal reference, e.g. the case_id.' },
+                        ocid: { type: 'string', description: 'Open Contracting ID from the earlier Find a Tender notice (UK6 onwards).' },
+                        contract_id: { type: 'string', description: 'Contract register identifier (UK9–UK11).' },
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        value_gbp: { type: 'number', description: 'Estimated whole-life value inc. VAT (£).' },
+                        contract_type: { type: 'string', enum: ['goods', 'services', 'works', 'light_touch', 'concession', 'mixed'] },
+                        main_category: { type: 'string', enum: ['goods', 'services', 'works'], description: 'Overrides the category derived from contract_type (needed for concession and mixed).' },
+                        procurement_route: { type: 'string', description: 'open_procedure, competitive_flexible, direct_award, below_threshold_direct, framework_calloff or dynamic_market_calloff.' },
+                        cpv_codes: { type: 'array', items: { type: 'string' }, description: 'CPV codes, main code first (format 12345678-9).' },
+                        lots: {
+                            type: 'array',
+                            description: 'Lots, if divided.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    lot_id: { type: 'string' },
+                                    title: { type: 'string' },
+                                    description: { type: 'string' },
+                                    value_gbp: { type: 'number' },
+                                    cpv_codes: { type: 'array', items: { type: 'string' } },
+                                },
+                            },
+                        },
+                        dates: {
+                            type: 'object',
+                            description: 'YYYY-MM-DD or ISO date-time values.',
+                            properties: {
+                                planned_tender_date: { type: 'string' },
+                                engagement_deadline: { type: 'string' },
+                                enquiry_deadline: { type: 'string' },
+                                tender_deadline: { type: 'string' },
+                                award_decision_date: { type: 'string' },
+                                standstill_end: { type: 'string' },
+                                signature_date: { type: 'string' },
+                                contract_start: { type: 'string' },
+                                contract_end: { type: 'string' },
+                                termination_date: { type: 'string' },
+                            },
+                        },
+                        supplier: {
+                            type: 'object',
+                            description: 'Awarded or intended supplier.',
+                            properties: {
+                                name: { type: 'string' },
+                                companies_house_number: { type: 'string' },
+                                address: { type: 'object' },
+                                is_sme: { type: 'boolean' },
+                            },
+                        },
+                        award_value_gbp: { type: 'number', description: 'Awarded contract value inc. VAT (£).' },
+                        direct_award_ground: { type: 'string', description: 'UK5: the direct award justification.' },
+                        modification: {
+                            type: 'object',
+                            description: 'UK10: { description, reason, new_value_gbp, new_end_date }.',
+                        },
+                        termination_reason: { type: 'string', description: 'UK11/UK12: why the contract was terminated or will not be awarded.' },
+                        kpis: { type: 'array', items: { type: 'object' }, description: 'UK9: KPIs with kpi_id, description, target and rating.' },
+                        payment_compliance: { type: 'object', description: 'UK17: the gcc_procurement_payment_compliance JSON result.' },
+                    },
+                },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['notice_code', 'procurement'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_plan_timeline',
+        description: `Plan the dated timeline of a Gloucester City Council procurement, to award or from launch.
+
+Give target_award_date to work back to the latest launch date that still gets the contract signed by then,
+or launch_date to work forward to the earliest contract date. Milestones, on England & Wales working days:
+- UK2/UK3 notices when used to reduce the tender period
+- Tender (and competitive flexible participation) periods at the PA2023 minimum above threshold (ss.19–20)
+- Evaluation and the award decision for the tier — officer, Cabinet Member or Cabinet
+- Forward Plan entry 28 clear days before a key decision; Cabinet agenda 5 clear working days before the meeting
+- Call-in, the UK6 (or UK5) notice, the 8-working-day standstill and the UK7 deadline
+
+Pass cabinet_dates to fit a Cabinet decision to the meeting cycle. Milestones already past, tender periods below the
+statutory minimum and Cabinet dates that do not fit are returned as issues and the plan is marked not feasible.
+Evaluation, shortlisting and call-in periods are planning assumptions and can be overridden.
+Source: procurement_procedures and notice_types — procurement-contracts-schema-v0.9.3.json`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                value_gbp: {
+                    type: 'number',
+                    description: 'Whole-life contract value inclusive of VAT (£). Must be > 0.',
+                },
+                contract_type: {
+                    type: 'string',
+                    enum: ['goods', 'services', 'works', 'light_touch', 'concession', 'mixed'],
+                    description: 'Contract type.',
+                },
+                procurement_route: {
+                    type: 'string',
+                    enum: ['quotes_below_threshold', 'itt_below_threshold', 'open_procedure', 'competitive_flexible', 'direct_award', 'framework_calloff', 'dynamic_market_calloff', 'waiver'],
+                    description: 'Procurement route.',
+                },
+                target_award_date: { type: 'string', description: 'Date the contract must be entered into by (YYYY-MM-DD). Give this or launch_date.' },
+                launch_date: { type: 'string', description: 'Date the procurement launches (YYYY-MM-DD). Give this or target_award_date.' },
+                has_ward_impact: { type: 'boolean', description: 'KD2: likely to affect two or more wards.' },
+                budget_significant: { type: 'boolean', description: 'KD1: significant relative to the service budget.' },
+                tender_period_reduction: {
+                    type: 'string',
+                    enum: ['market_engagement_notice', 'planned_procurement_notice', 'urgency'],
+                    description: 'Ground for the reduced minimum period: UK2 published, UK3 published at least 40 days before UK4 (open procedure only), or urgency.',
+                },
+                tender_period_days: { type: 'integer', minimum: 0, maximum: 365, description: 'Tender period in days. Default: the statutory minimum, or 14 days where none applies.' },
+                evaluation_working_days: { type: 'integer', minimum: 0, maximum: 260, description: 'Working days from tender close to a signed-off award report. Default 15.' },
+                shortlisting_working_days: { type: 'integer', minimum: 0, maximum: 260, description: 'Competitive flexible: working days to shortlist before the invitation to tender. Default 10.' },
+                call_in_working_days: { type: 'integer', minimum: 0, maximum: 260, description: 'Working days before an executive decision can be implemented. Default 5.' },
+                cabinet_dates: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Scheduled Cabinet meeting dates (YYYY-MM-DD), for Cabinet decisions.',
+                },
+                forward_plan_published_date: { type: 'string', description: 'Date the key decision was published on the Forward Plan, if it has been (YYYY-MM-DD).' },
+                as_of: { type: 'string', description: 'Date to plan from (YYYY-MM-DD). Default today.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['value_gbp', 'contract_type', 'procurement_route'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_create_contract',
+        description: `Add a contract to the Gloucester City Council contract register.
+
+The record is validated against contract_record in the schema before it is saved. Required fields:
+contract_id (GCC-YYYY-NNNN), title, description, category, procurement_route, supplier { name, ... },
+value_estimated_gbp, value_actual_gbp, start_date, expiry_date (YYYY-MM-DD),
+responsible_officer { name, service_area, ... } and status.
+direct_award_ground is required for direct_award and below_threshold_direct; waiver_approved_by for waiver.
+
+Validation failures return BAD_REQUEST with details.validation_errors listing every problem.
+Fails with CONFLICT if the contract_id is already registered — use gcc_procurement_update_contract.
+Source: contract_record — procurement-contracts-schema-v0.9.3.json`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                contract: {
+                    type: 'object',
+                    description: 'The contract record, using contract_record field names (see gcc://procurement/schema#/contract_record/fields).',
+                },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_update_contract',
+        description: `Change fields on a contract in the Gloucester City Council contract register.
+
+Only the fields in "changes" are updated. Object fields (supplier, responsible_officer, framework_reference,
+authorised_signatory) are merged, so { "supplier": { "is_sme": true } } keeps the supplier name.
+Arrays are replaced. Setting an optional field to null removes it.
+The merged record is re-validated against contract_record; contract_id cannot change.
+Returns the saved record with an incremented version and the list of changed fields.`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                changes: {
+                    type: 'object',
+                    description: 'Fields to change, using contract_record field names, e.g. { "status": "live", "value_actual_gbp": 48000 }.',
+                },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id', 'changes'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_get_contract',
+        description: 'Return one contract record from the Gloucester City Council contract register, including created_at, updated_at and version.',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_list_contracts',
+        description: `List contracts in the Gloucester City Council contract register.
+
+All filters are optional and combine with AND. Returns a summary per contract (id, title, supplier, value, dates, status, service area), sorted by contract_id.
+Use gcc_procurement_get_contract for the full record.`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                status: {
+                    type: 'string',
+                    enum: ['pipeline', 'in_procurement', 'standstill', 'awarded_not_commenced', 'live', 'extension_active', 'expired', 'terminated_early', 'novated', 'cancelled'],
+                    description: 'Contract status.',
+                },
+                category: {
+                    type: 'string',
+                    enum: ['goods', 'services', 'works', 'light_touch_services', 'concession'],
+                    description: 'Contract category.',
+                },
+                procurement_route: {
+                    type: 'string',
+                    description: 'Procurement route, e.g. open_procedure, direct_award, framework_call_off_direct.',
+                },
+                service_area: {
+                    type: 'string',
+                    description: 'Responsible service area (case-insensitive partial match).',
+                },
+                supplier: {
+                    type: 'string',
+                    description: 'Supplier name (case-insensitive partial match).',
+                },
+                expiring_before: {
+                    type: 'string',
+                    description: 'Only contracts with an expiry_date on or before this date (YYYY-MM-DD).',
+                },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+        },
+    },
+
+    {
+        name: 'gcc_procurement_export_contract_register',
+        description: `Export the Gloucester City Council contract register for publication.
+
+Includes every awarded contract (awarded_not_commenced, live, extension_active, novated) with an actual value above
+£5,000, as the Local Government Transparency Code and Contract Rule 19.2 require. Columns are contract_register.minimum_fields:
+contract_id, title, description, supplier_name, value_actual_gbp, start_date, expiry_date, procurement_route,
+responsible_service_area, responsible_officer, find_a_tender_ocid.
+
+Warns about above-threshold contracts with no Find a Tender OCID recorded.
+Source: contract_register — procurement-contracts-schema-v0.9.3.json`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: ['csv', 'json'],
+                    description: 'Register format. "csv" (default) returns the file contents in the csv field; "json" returns one object per row in the rows field.',
+                    default: 'csv',
+                },
+                include_ended: {
+                    type: 'boolean',
+                    description: 'Also include expired and terminated_early contracts.',
+                    default: false,
+                },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+        },
+    },
+
+    {
+        name: 'gcc_procurement_open_case',
+        description: `Open a stored procurement case for a Gloucester City Council procurement, at pipeline status.
+
+Runs gcc_procurement_determine_route and records the tier, decision type, key decision triggers and Forward Plan requirement on the case.
+The case is then kept from pipeline to award: record assertions with gcc_procurement_update_case and move it on with gcc_procurement_advance_case.
+Every change is kept in the case history with the officer and time.
+Source: procurement_case — procurement-contracts-schema-v0.9.3.json`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CASE_ID_PARAM,
+                title: { type: 'string', description: 'Short descriptive title of the procurement.' },
+                service_area: { type: 'string', description: 'Council service area initiating the procurement.' },
+                value_estimated_gbp: { type: 'number', description: 'Estimated whole-life value inclusive of VAT, options and extensions (£). Must be > 0.' },
+                contract_type: {
+                    type: 'string',
+                    enum: ['goods', 'services', 'works', 'light_touch', 'concession', 'mixed'],
+                    description: 'Contract type.',
+                },
+                ...CASE_ASSERTION_PROPERTIES,
+                ...OFFICER_PARAM,
+                notes: { type: 'string', description: 'Optional note for the history.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['case_id', 'title', 'service_area', 'value_estimated_gbp', 'contract_type', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_update_case',
+        description: `Record assertions on a procurement case: Forward Plan and decision references, completed assessments, route or value.
+
+Each change is added to the case history with the officer, time, previous and new value, and any evidence reference.
+Changing value_estimated_gbp, contract_type, service_area, has_ward_impact or budget_significant re-runs determine_route.
+Awarded, cancelled and abandoned cases cannot be changed.`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CASE_ID_PARAM,
+                changes: {
+                    type: 'object',
+                    description: 'Fields to record, e.g. { "forward_plan_reference": "FP-2026-042", "social_value_assessed": true }. Also accepts title, service_area, value_estimated_gbp and contract_type.',
+                    properties: CASE_ASSERTION_PROPERTIES,
+                },
+                ...OFFICER_PARAM,
+                evidence_reference: { type: 'string', description: 'Where the evidence is held, e.g. a document reference or minute number.' },
+                notes: { type: 'string', description: 'Optional note for the history.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['case_id', 'changes', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_advance_case',
+        description: `Move a procurement case to its next lifecycle status.
+
+Flow: pipeline → needs_definition (S1) → market_engagement (S2, optional) → tender_open → evaluation → standstill → awarded (S3 → S4).
+Any open case can be cancelled or abandoned (notes required).
+
+Gates, using the gcc_procurement_validate_case checks on the case as recorded:
+- tender_open: procurement route recorded; Forward Plan reference where a key decision (R11); direct award justification (R06) or waiver reference; above threshold — social value, conflicts, lots, framework check and TUPE assessments
+- standstill / awarded: Cabinet Member (R12) or Cabinet (R13) decision reference
+- awarded: above threshold must pass through standstill, and the standstill period (PA2023 s.51) must have run; contract_id is required and must already be in the contract register
+
+A blocked move returns PRECONDITION_FAILED with details.blocking_checks and leaves the case unchanged.`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CASE_ID_PARAM,
+                to_status: {
+                    type: 'string',
+                    enum: ['needs_definition', 'market_engagement', 'tender_open', 'evaluation', 'standstill', 'awarded', 'cancelled', 'abandoned'],
+                    description: 'Status to move to.',
+                },
+                ...OFFICER_PARAM,
+                contract_id: { type: 'string', description: 'Required on award: the contract register entry (GCC-YYYY-NNNN) this case produced.' },
+                notes: { type: 'string', description: 'Reason or note for the history. Required for cancelled and abandoned.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['case_id', 'to_status', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_get_case',
+        description: 'Return a procurement case with its full history, the current gcc_procurement_validate_case result, and for each next status whether it is ready or which checks are outstanding.',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CASE_ID_PARAM,
+                include_history: { type: 'boolean', description: 'Include the audit history. Default true.', default: true },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['case_id'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_list_cases',
+        description: 'List stored procurement cases with their status, stage, value, route and linked contract.',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                status: {
+                    type: 'string',
+                    enum: ['pipeline', 'needs_definition', 'market_engagement', 'tender_open', 'evaluation', 'standstill', 'awarded', 'cancelled', 'abandoned'],
+                    description: 'Case status.',
+                },
+                service_area: { type: 'string', description: 'Service area (case-insensitive partial match).' },
+                open_only: { type: 'boolean', description: 'Exclude awarded, cancelled and abandoned cases.', default: false },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+        },
+    },
+    {
+        name: 'gcc_procurement_record_kpi',
+        description: `Record a KPI reading against a contract in the register.
+
+The first reading for a kpi_id defines the KPI and must include description, metric, target and reporting_frequency.
+Later readings need only period_end and rating; a second reading for the same period replaces the first.
+Ratings: Exceeding, On Track, Approaching Target, Requires Improvement, Inadequate, Other.
+A remediation_plan is required where the rating is Approaching Target or below.
+KPIs are required for contracts above £5m (s.70 PA 2023) and feed the annual UK9 Contract Performance Notice.
+Source: contract_performance.kpis — procurement-contracts-schema-v0.9.3.json`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                kpi_id: { type: 'string', description: 'KPI identifier within the contract, e.g. KPI-01.' },
+                description: { type: 'string', description: 'What the KPI covers. Required on the first reading.' },
+                metric: { type: 'string', description: 'How attainment is measured. Required on the first reading.' },
+                target: { type: 'string', description: 'Target level, e.g. "95% of collections on schedule". Required on the first reading.' },
+                reporting_frequency: {
+                    type: 'string',
+                    enum: ['monthly', 'quarterly', 'annual'],
+                    description: 'How often the KPI is reported. Required on the first reading.',
+                },
+                period_end: { type: 'string', description: 'Last day of the period this reading covers (YYYY-MM-DD).' },
+                rating: {
+                    type: 'string',
+                    enum: ['Exceeding', 'On Track', 'Approaching Target', 'Requires Improvement', 'Inadequate', 'Other'],
+                    description: 'Performance rating for the period.',
+                },
+                value: { type: ['number', 'string'], description: 'Optional measured value, e.g. 93.5.' },
+                commentary: { type: 'string', description: 'Optional commentary on the reading.' },
+                remediation_plan: { type: 'string', description: 'Remediation plan. Required for Approaching Target, Requires Improvement and Inadequate.' },
+                officer: { type: 'string', minLength: 2, description: 'Name and role of the contract manager recording the reading.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id', 'kpi_id', 'period_end', 'rating', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_record_invoice',
+        description: `Record an invoice against a contract in the register, or update it when paid.
+
+A new invoice needs amount_gbp and received_date. Call again with the same invoice_id to add paid_date or mark it disputed.
+Payment is due 30 days after receipt (s.88 PA 2023 implied terms); the response shows whether it was paid on time, late or is overdue.
+These invoices feed gcc_procurement_payment_compliance (UK17).`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                invoice_id: { type: 'string', description: 'Supplier invoice number.' },
+                amount_gbp: { type: 'number', description: 'Invoice amount (£). Must be > 0. Required for a new invoice.' },
+                received_date: { type: 'string', description: 'Date the council received a valid invoice (YYYY-MM-DD). Required for a new invoice.' },
+                paid_date: { type: ['string', 'null'], description: 'Date paid (YYYY-MM-DD). null clears a wrongly recorded payment.' },
+                disputed: { type: 'boolean', description: 'Invoice is disputed. Unpaid disputed invoices are not counted as overdue.' },
+                notes: { type: 'string', description: 'Optional note.' },
+                officer: { type: 'string', minLength: 2, description: 'Name and role of the officer recording the invoice.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id', 'invoice_id', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_record_review',
+        description: `Record a contract review that has been held.
+
+Review types: Quarterly performance review, Annual strategic review, Mid-term review, Pre-expiry review.
+gcc_procurement_contract_performance matches recorded reviews to the schedule due for the contract and flags any that are overdue.
+Source: contract_performance.review_schedule — procurement-contracts-schema-v0.9.3.json`,
+        annotations: WRITE_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                review_type: {
+                    type: 'string',
+                    enum: ['Quarterly performance review', 'Annual strategic review', 'Mid-term review', 'Pre-expiry review'],
+                    description: 'Type of review held.',
+                },
+                held_date: { type: 'string', description: 'Date the review was held (YYYY-MM-DD).' },
+                outcome: { type: 'string', description: 'Optional outcome, e.g. "extend", "re-procure", "improvement plan agreed".' },
+                notes: { type: 'string', description: 'Optional notes.' },
+                officer: { type: 'string', minLength: 2, description: 'Name and role of the officer who led the review.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id', 'review_type', 'held_date', 'officer'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_contract_performance',
+        description: `Return the performance position of a contract in the register.
+
+- Review schedule for its value: quarterly performance reviews above £250,000; annual strategic reviews above £100,000;
+  a mid-term review above £100,000 for terms of 2 years or more; a pre-expiry review for every contract
+  12 months before expiry (18 months above £500,000). Reviews not recorded by their due date are flagged overdue.
+  The value bounds are decision matrix tiers and the 12-month trigger is in the schema; the other cadences and the
+  £500,000 high-value line are local defaults, marked cadence_source "local_default" on each review.
+- Latest rating of each KPI, readings overdue for their reporting frequency, and missing KPIs above £5m
+- Invoices paid late or unpaid after 30 days
+- Whether a UK9 Contract Performance Notice is due (above £5m with KPIs)
+
+as_of (YYYY-MM-DD) evaluates the schedule at another date; default today.`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...CONTRACT_ID_PARAM,
+                as_of: { type: 'string', description: 'Date to assess at (YYYY-MM-DD). Default today.' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+            required: ['contract_id'],
+        },
+    },
+
+    {
+        name: 'gcc_procurement_payment_compliance',
+        description: `Payment compliance statistics for a UK17 Payment Compliance Notice.
+
+For invoices paid in the reporting period across the contract register: number and value paid, percentage paid within
+30 days, percentage paid late, average days to pay, invoices unpaid and overdue at period end, and each payment above £30,000.
+Defaults to the last completed reporting period (1 April–30 September or 1 October–31 March).
+The notice is due within 30 days of the end of the period.
+Source: contract_performance.payment_compliance — procurement-contracts-schema-v0.9.3.json`,
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                period_start: { type: 'string', description: 'First day of the reporting period (YYYY-MM-DD). Give with period_end.' },
+                period_end: { type: 'string', description: 'Last day of the reporting period (YYYY-MM-DD). Give with period_start.' },
+                contract_id: { type: 'string', description: 'Optional: only this contract (GCC-YYYY-NNNN).' },
+                ...RESPONSE_FORMAT_PARAM,
+            },
+        },
+    },
 ];
 
 // ─── Tool handler map ─────────────────────────────────────────────────────────
@@ -282,16 +912,45 @@ const TOOL_HANDLERS = {
     gcc_procurement_validate_case:   validateCase.execute,
     gcc_procurement_get_notices:     getNotices.execute,
     gcc_procurement_explain_rule:    explainRule.execute,
+    gcc_procurement_draft_notice:    draftNotice.execute,
+    gcc_procurement_plan_timeline:   planTimeline.execute,
+    gcc_procurement_create_contract: createContract.execute,
+    gcc_procurement_update_contract: updateContract.execute,
+    gcc_procurement_get_contract:    getContract.execute,
+    gcc_procurement_list_contracts:  listContracts.execute,
+    gcc_procurement_export_contract_register: exportRegister.execute,
+    gcc_procurement_open_case:       openCase.execute,
+    gcc_procurement_update_case:     updateCase.execute,
+    gcc_procurement_advance_case:    advanceCase.execute,
+    gcc_procurement_get_case:        getCase.execute,
+    gcc_procurement_list_cases:      listCases.execute,
+    gcc_procurement_record_kpi:      recordKpi.execute,
+    gcc_procurement_record_invoice:  recordInvoice.execute,
+    gcc_procurement_record_review:   recordReview.execute,
+    gcc_procurement_contract_performance: contractPerformance.execute,
+    gcc_procurement_payment_compliance:   paymentCompliance.execute,
 };
 
 // ─── Server info ──────────────────────────────────────────────────────────────
 const SERVER_INFO = {
     name: 'gcc-procurement-mcp',
     version: '1.0.0',
-    description: 'Gloucester City Council Procurement Rules Engine — constitutional authority matrix, risk flags, and notice obligations derived from procurement-contracts-schema-v0.9.3.json. This is specific to Gloucester City Council, not Gloucestershire County Council.',
+    description: 'Gloucester City Council Procurement Rules Engine — constitutional authority matrix, risk flags, and notice obligations derived from procurement-contracts-schema-v0.9.3.json, plus the council\'s contract register, procurement case tracker and contract performance monitoring. This is specific to Gloucester City Council, not Gloucestershire County Council.',
     schemaVersion: SCHEMA_VERSION,
     schemaFile: SCHEMA_FILE,
-    readOnly: true,
+    readOnly: false,
 };
 
-module.exports = { TOOLS, TOOL_HANDLERS, SERVER_INFO };
+// ─── Resources ────────────────────────────────────────────────────────────────
+const RESOURCES = [
+    jsonFileResource({
+        uri: 'gcc://procurement/schema',
+        name: 'procurement-schema',
+        title: 'Gloucester City Council procurement and contracts schema',
+        description: `${SCHEMA_FILE} — decision authority matrix, thresholds, notices and risk flags every gcc_procurement_* tool evaluates against. Address a section with a JSON Pointer fragment, e.g. gcc://procurement/schema#/notice_types/notices.`,
+        filePath: SCHEMA_PATH,
+        version: SCHEMA_VERSION,
+    }),
+];
+
+module.exports = { TOOLS, TOOL_HANDLERS, SERVER_INFO, RESOURCES };
@@ -0,0 +1,446 @@
+/**
+ * GCC Procurement — UK notice drafts
+ *
+ * Builds draft Find a Tender notices from a procurement case. Drafts follow
+ * the OCDS release structure Find a Tender publishes (tender, awards,
+ * contracts, parties, planning); each notice template maps case fields onto
+ * release paths and marks which ones the notice cannot be published without.
+ *
+ * Only the notice codes defined in notice_types of
+ * procurement-contracts-schema-v0.9.3.json can be drafted. No external calls.
+ */
+
+'use strict';
+
+const { NOTICES } = require('./schema-loader');
+
+const CPV_PATTERN = /^\d{8}-\d$/;
+
+// Gloucester City Council as buyer. Find a Tender adds the organisation
+// identifier from the account the notice is published from.
+const BUYER = {
+    id: 'buyer',
+    name: 'Gloucester City Council',
+    roles: ['buyer'],
+    address: {
+        streetAddress: 'North Warehouse, The Docks',
+        locality: 'Gloucester',
+        postalCode: 'GL1 2EP',
+        countryName: 'United Kingdom',
+    },
+};
+
+const CATEGORY_BY_TYPE = {
+    goods: 'goods',
+    services: 'services',
+    works: 'works',
+    light_touch: 'services',
+};
+
+const SPECIAL_REGIME_BY_TYPE = {
+    light_touch: ['lightTouch'],
+    concession: ['concession'],
+};
+
+const METHOD_BY_ROUTE = {
+    open_procedure: { procurementMethod: 'open', procurementMethodDetails: 'Open procedure' },
+    competitive_flexible: { procurementMethod: 'selective', procurementMethodDetails: 'Competitive flexible procedure' },
+    direct_award: { procurementMethod: 'direct', procurementMethodDetails: 'Direct award' },
+    below_threshold_direct: { procurementMethod: 'direct', procurementMethodDetails: 'Direct award (below threshold)' },
+    framework_calloff: { procurementMethod: 'selective', procurementMethodDetails: 'Call-off from a framework agreement' },
+    dynamic_market_calloff: { procurementMethod: 'selective', procurementMethodDetails: 'Award under a dynamic market' },
+};
+
+// ─── Case → release values ───────────────────────────────────────────────────
+
+function gbp(amount) {
+    return typeof amount === 'number' ? { amountGross: amount, currency: 'GBP' } : undefined;
+}
+
+function dates(c) {
+    return c.dates || {};
+}
+
+function category(c) {
+    return c.main_category || CATEGORY_BY_TYPE[c.contract_type];
+}
+
+function method(c) {
+    return METHOD_BY_ROUTE[c.procurement_route] || {};
+}
+
+function classification(codes) {
+    return Array.isArray(codes) && codes.length > 0 ? { scheme: 'CPV', id: codes[0] } : undefined;
+}
+
+function additionalClassifications(codes) {
+    return Array.isArray(codes) && codes.length > 1 ? codes.slice(1).map(id => ({ scheme: 'CPV', id })) : undefined;
+}
+
+function lots(c) {
+    if (!Array.isArray(c.lots) || c.lots.length === 0) return undefined;
+    return c.lots.map((lot, i) => ({
+        id: lot.lot_id || String(i + 1),
+        title: lot.title,
+        description: lot.description,
+        value: gbp(lot.value_gbp),
+        ...(classification(lot.cpv_codes) ? { items: [{ id: '1', classification: classification(lot.cpv_codes) }] } : {}),
+    }));
+}
+
+function period(startDate, endDate) {
+    return startDate || endDate ? { startDate, endDate } : undefined;
+}
+
+function supplierParty(c) {
+    const s = c.supplier;
+    if (!s) return undefined;
+    return {
+        id: 'supplier-1',
+        name: s.name,
+        roles: ['supplier'],
+        ...(s.companies_house_number ? { identifier: { scheme: 'GB-COH', id: s.companies_house_number } } : {}),
+        ...(s.address ? { address: s.address } : {}),
+        ...(typeof s.is_sme === 'boolean' ? { details: { scale: s.is_sme ? 'sme' : 'large' } } : {}),
+    };
+}
+
+function supplierRef(c) {
+    return c.supplier && c.supplier.name ? [{ id: 'supplier-1', name: c.supplier.name }] : undefined;
+}
+
+function parties(c) {
+    const supplier = supplierParty(c);
+    return supplier ? [BUYER, supplier] : [BUYER];
+}
+
+function kpis(c) {
+    if (!Array.isArray(c.kpis) || c.kpis.length === 0) return undefined;
+    return c.kpis.map(k => ({
+        id: k.kpi_id,
+        description: k.description,
+        target: k.target,
+        rating: k.rating || k.current_rating,
+    }));
+}
+
+function paymentStatistics(c) {
+    const s = c.payment_compliance && c.payment_compliance.statistics;
+    if (!s) return undefined;
+    return {
+        invoicesPaid: s.invoices_paid,
+        paidWithinTermsPercent: s.paid_within_terms_percent,
+        paidLatePercent: s.paid_late_percent,
+        averageDaysToPay: s.average_days_to_pay,
+    };
+}
+
+function paymentsAboveThreshold(c) {
+    const s = c.payment_compliance && c.payment_compliance.statistics;
+    if (!s || !Array.isArray(s.payments_above_threshold)) return undefined;
+    return s.payments_above_threshold.map(p => ({
+        contractId: p.contract_id,
+        supplierName: p.supplier_name,
+        invoiceId: p.invoice_id,
+        value: gbp(p.amount_gbp),
+        datePaid: p.paid_date,
+        daysToPay: p.days_to_pay,
+    }));
+}
+
+// ─── Field specs shared between notices ──────────────────────────────────────
+// { path, label, value(case), mandatory, each? } — each lists required keys
+// on every element of an array value.
+
+const F = {
+    ocid: { path: 'ocid', label: 'OCID from the earlier notice for this procurement', value: c => c.ocid },
+    buyer: { path: 'parties', label: 'Buyer and supplier parties', value: parties },
+    reference: { path: 'tender.id', label: 'Internal procurement reference', value: c => c.reference },
+    title: { path: 'tender.title', label: 'Title', value: c => c.title },
+    description: { path: 'tender.description', label: 'Description', value: c => c.description },
+    value: { path: 'tender.value', label: 'Estimated value inc. VAT', value: c => gbp(c.value_gbp) },
+    category: { path: 'tender.mainProcurementCategory', label: 'Main category (goods, services or works)', value: category },
+    specialRegime: { path: 'tender.specialRegime', label: 'Special regime', value: c => SPECIAL_REGIME_BY_TYPE[c.contract_type] },
+    method: { path: 'tender.procurementMethod', label: 'Procurement method', value: c => method(c).procurementMethod },
+    methodDetails: { path: 'tender.procurementMethodDetails', label: 'Procedure', value: c => method(c).procurementMethodDetails },
+    cpv: { path: 'tender.classification', label: 'Main CPV code', value: c => classification(c.cpv_codes) },
+    cpvAdditional: { path: 'tender.additionalClassifications', label: 'Additional CPV codes', value: c => additionalClassifications(c.cpv_codes) },
+    lots: { path: 'tender.lots', label: 'Lots', value: lots, each: ['title', 'value'] },
+    contractPeriod: { path: 'tender.contractPeriod', label: 'Expected contract start and end dates', value: c => period(dates(c).contract_start, dates(c).contract_end), each: ['startDate', 'endDate'] },
+};
+
+function award(c, status) {
+    return {
+        id: '1',
+        status,
+        title: c.title,
+        value: gbp(c.award_value_gbp),
+        suppliers: supplierRef(c),
+        date: dates(c).award_decision_date,
+    };
+}
+
+// ─── Notice templates ────────────────────────────────────────────────────────
+
+const TEMPLATES = {
+    UK1: {
+        tag: ['planning'],
+        fields: [
+            { ...F.reference },
+            { ...F.title, mandatory: true },
+            { ...F.description, mandatory: true },
+            { ...F.value, mandatory: true },
+            { ...F.category, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'tender.communication.futureNoticeDate', label: 'Estimated date of the tender or transparency notice', value: c => dates(c).planned_tender_date, mandatory: true },
+            { ...F.buyer },
+        ],
+    },
+    UK2: {
+        tag: ['planning'],
+        fields: [
+            { ...F.reference },
+            { ...F.title, mandatory: true },
+            { ...F.description, mandatory: true },
+            { ...F.category, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'planning.milestones', label: 'Market engagement deadline', value: c => (dates(c).engagement_deadline ? [{ id: '1', type: 'engagement', title: 'Preliminary market engagement', dueDate: dates(c).engagement_deadline }] : undefined), mandatory: true },
+            { ...F.value },
+            { ...F.cpvAdditional },
+            { ...F.buyer },
+        ],
+    },
+    UK3: {
+        tag: ['planning'],
+        fields: [
+            { ...F.reference },
+            { ...F.title, mandatory: true },
+            { ...F.description, mandatory: true },
+            { ...F.value, mandatory: true },
+            { ...F.category, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'tender.communication.futureNoticeDate', label: 'Date the tender notice will be published', value: c => dates(c).planned_tender_date, mandatory: true },
+            { ...F.method },
+            { ...F.methodDetails },
+            { ...F.lots },
+            { ...F.contractPeriod },
+            { ...F.buyer },
+        ],
+    },
+    UK4: {
+        tag: ['tender'],
+        fields: [
+            { ...F.reference },
+            { ...F.title, mandatory: true },
+            { ...F.description, mandatory: true },
+            { ...F.value, mandatory: true },
+            { ...F.category, mandatory: true },
+            { ...F.method, mandatory: true },
+            { ...F.methodDetails, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'tender.tenderPeriod.endDate', label: 'Tender submission deadline', value: c => dates(c).tender_deadline, mandatory: true },
+            { ...F.contractPeriod, mandatory: true },
+            { path: 'tender.enquiryPeriod.endDate', label: 'Clarification question deadline', value: c => dates(c).enquiry_deadline },
+            { ...F.specialRegime },
+            { ...F.cpvAdditional },
+            { ...F.lots },
+            { ...F.buyer },
+        ],
+    },
+    UK5: {
+        tag: ['tender'],
+        fields: [
+            { ...F.reference },
+            { ...F.title, mandatory: true },
+            { ...F.description, mandatory: true },
+            { ...F.value, mandatory: true },
+            { ...F.category, mandatory: true },
+            { ...F.method, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'tender.procurementMethodRationale', label: 'Direct award justification (Schedule 5 ground)', value: c => c.direct_award_ground, mandatory: true },
+            { path: 'awards.0', label: 'Intended supplier', value: c => (supplierRef(c) ? { id: '1', status: 'pending', suppliers: supplierRef(c), value: gbp(c.award_value_gbp) } : undefined), mandatory: true },
+            { ...F.contractPeriod, mandatory: true },
+            { ...F.specialRegime },
+            { ...F.buyer },
+        ],
+    },
+    UK6: {
+        tag: ['award'],
+        fields: [
+            { ...F.reference },
+            { ...F.ocid, mandatory: true },
+            { ...F.title, mandatory: true },
+            { ...F.cpv, mandatory: true },
+            { path: 'awards.0', label: 'Award', value: c => award(c, 'pending'), mandatory: true, each: ['value', 'suppliers', 'date'] },
+            { path: 'awards.0.standstillPeriod.endDate', label: 'End of the 8-working-day standstill period', value: c => dates(c).standstill_end, mandatory: true },
+            { path: 'awards.0.contractPeriod', label: 'Contract start and end dates', value: c => period(dates(c).contract_start, dates(c).contract_end), each: ['startDate', 'endDate'] },
+            { ...F.lots },
+            { ...F.buyer },
+        ],
+    },
+    UK7: {
+        tag: ['contract'],
+        fields: [
+            { ...F.reference },
+            { ...F.ocid, mandatory: true },
+            { ...F.title, mandatory: true },
+            { path: 'awards.0', label: 'Award', value: c => award(c, 'active'), mandatory: true, each: ['value', 'suppliers'] },
+            { path: 'contracts.0', label: 'Signed contract', value: c => ({ id: '1', awardID: '1', status: 'active', title: c.title, value: gbp(c.award_value_gbp), dateSigned: dates(c).signature_date, period: period(dates(c).contract_start, dates(c).contract_end) }), mandatory: true, each: ['value', 'dateSigned', 'period'] },
+            { ...F.buyer },
+        ],
+    },
+    UK9: {
+        tag: ['contractUpdate'],
+        fields: [
+            { ...F.ocid, mandatory: true },
+            { path: 'contracts.0.id', label: 'Contract identifier', value: c => c.contract_id, mandatory: true },
+            { path: 'contracts.0.kpis', label: 'KPIs with their rating for the period', value: kpis, mandatory: true, each: ['id', 'description', 'rating'] },
+            { path: 'contracts.0.period', label: 'Contract start and end dates', value: c => period(dates(c).contract_start, dates(c).contract_end) },
+            { ...F.buyer },
+        ],
+    },
+    UK10: {
+        tag: ['contractAmendment'],
+        fields: [
+            { ...F.ocid, mandatory: true },
+            { path: 'contracts.0.id', label: 'Contract identifier', value: c => c.contract_id, mandatory: true },
+            { path: 'contracts.0.amendments.0.description', label: 'Description of the modification', value: c => c.modification && c.modification.description, mandatory: true },
+            { path: 'contracts.0.amendments.0.rationale', label: 'Schedule 8 ground or reason for the modification', value: c => c.modification && c.modification.reason, mandatory: true },
+            { path: 'contracts.0.value', label: 'Contract value after the modification', value: c => gbp(c.modification && c.modification.new_value_gbp) },
+            { path: 'contracts.0.period.endDate', label: 'Contract end date after the modification', value: c => c.modification && c.modification.new_end_date },
+            { ...F.buyer },
+        ],
+    },
+    UK11: {
+        tag: ['contractTermination'],
+        fields: [
+            { ...F.ocid, mandatory: true },
+            { path: 'contracts.0.id', label: 'Contract identifier', value: c => c.contract_id, mandatory: true },
+            { path: 'contracts.0.status', label: 'Contract status', value: () => 'terminated', mandatory: true },
+            { path: 'contracts.0.period.endDate', label: 'Termination date', value: c => dates(c).termination_date, mandatory: true },
+            { path: 'contracts.0.statusDetails', label: 'Reason for termination', value: c => c.termination_reason, mandatory: true },
+            { ...F.buyer },
+        ],
+    },
+    UK12: {
+        tag: ['tenderCancellation'],
+        fields: [
+            { ...F.reference },
+            { ...F.ocid, mandatory: true },
+            { ...F.title, mandatory: true },
+            { path: 'tender.status', label: 'Tender status', value: () => 'cancelled', mandatory: true },
+            { path: 'tender.statusDetails', label: 'Reason the contract will not be awarded', value: c => c.termination_reason, mandatory: true },
+            { ...F.buyer },
+        ],
+    },
+    UK17: {
+        tag: ['paymentsCompliance'],
+        fields: [
+            { path: 'reportingPeriod', label: 'Reporting period', value: c => c.payment_compliance && c.payment_compliance.period && { startDate: c.payment_compliance.period.start, endDate: c.payment_compliance.period.end }, mandatory: true },
+            { path: 'statistics', label: 'Payment statistics (from gcc_procurement_payment_compliance)', value: paymentStatistics, mandatory: true },
+            { path: 'paymentsAboveThreshold', label: 'Payments above £30,000', value: paymentsAboveThreshold },
+            { path: 'parties', label: 'Buyer', value: () => [BUYER] },
+        ],
+    },
+};
+
+const DRAFTABLE_CODES = Object.keys(TEMPLATES).filter(code => NOTICES.some(n => n.code === code));
+
+// ─── Assembly ────────────────────────────────────────────────────────────────
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+        || (Array.isArray(value) && value.length === 0);
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    let node = obj;
+    keys.slice(0, -1).forEach((key, i) => {
+        if (node[key] === undefined) node[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+// Drop undefined keys so drafts compare cleanly and serialise without noise
+function prune(value) {
+    if (Array.isArray(value)) return value.map(prune);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, prune(v)]));
+    }
+    return value;
+}
+
+/**
+ * Check case inputs that have a fixed format.
+ * @param {object} procurement
+ * @returns {string[]} error messages
+ */
+function validateProcurement(procurement) {
+    const errors = [];
+    const cpvLists = [['cpv_codes', procurement.cpv_codes]];
+    (procurement.lots || []).forEach((lot, i) => cpvLists.push([`lots[${i}].cpv_codes`, lot.cpv_codes]));
+
+    for (const [field, codes] of cpvLists) {
+        if (codes === undefined) continue;
+        if (!Array.isArray(codes)) {
+            errors.push(`${field} must be an array of CPV codes`);
+            continue;
+        }
+        codes.filter(code => !CPV_PATTERN.test(code))
+            .forEach(code => errors.push(`${field}: "${code}" is not a CPV code (format 12345678-9)`));
+    }
+
+    for (const [key, date] of Object.entries(dates(procurement))) {
+        if (date !== undefined && date !== null && !/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(date)) {
+            errors.push(`dates.${key} must be a date (YYYY-MM-DD) or ISO date-time`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Build a draft notice from a procurement case.
+ * @param {string} code - notice code, e.g. 'UK4'
+ * @param {object} procurement - case fields (see the gcc_procurement_draft_notice input schema)
+ * @returns {{ draft: object, missing_fields: {path: string, label: string}[] }}
+ */
+function draftNotice(code, procurement) {
+    const template = TEMPLATES[code];
+    const draft = { ocid: undefined, tag: template.tag };
+    const missing = [];
+
+    for (const field of template.fields) {
+        const value = field.value(procurement);
+        if (!isEmpty(value)) setPath(draft, field.path, value);
+
+        if (field.mandatory && isEmpty(value)) {
+            missing.push({ path: field.path, label: field.label });
+        } else if (field.each && !isEmpty(value)) {
+            const items = Array.isArray(value) ? value : [value];
+            items.forEach((item, i) => {
+                for (const key of field.each) {
+                    if (isEmpty(getPath(item, key))) {
+                        const path = Array.isArray(value) ? `${field.path}.${i}.${key}` : `${field.path}.${key}`;
+                        missing.push({ path, label: `${field.label}: ${key}` });
+                    }
+                }
+            });
+        }
+    }
+
+    return { draft: prune(draft), missing_fields: missing };
+}
+
+module.exports = {
+    BUYER,
+    TEMPLATES,
+    DRAFTABLE_CODES,
+    validateProcurement,
+    draftNotice,
+};
@@ -0,0 +1,18 @@
+/**
+ * GCC Contract Performance — blob storage
+ *
+ * One JSON blob per contract at performance/<contract_id>.json holding its
+ * KPI readings, reviews and invoices.
+ */
+
+'use strict';
+
+const { createRecordStore } = require('./record-store');
+
+const store = createRecordStore('performance/', 'contract_id');
+
+module.exports = {
+    readPerformance: store.read,
+    writePerformance: store.write,
+    listAllPerformance: store.list,
+};
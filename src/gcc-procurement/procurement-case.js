@@ -0,0 +1,409 @@
+/**
+ * GCC Procurement Cases — record model and lifecycle
+ *
+ * A procurement case follows procurement_case.lifecycle_flow from pipeline to
+ * award. Each status maps onto a procurement_lifecycle_stages stage, and
+ * moving into tender_open, standstill or awarded is gated on the checks
+ * gcc_procurement_validate_case performs. Shared by the gcc_procurement_*_case
+ * tools.
+ */
+
+'use strict';
+
+const { schema } = require('./schema-loader');
+const { checkValue, isMissing } = require('./field-check');
+const { today, nextWorkingDay, addWorkingDays } = require('./calendar');
+const determineRoute = require('./tools/determine-route');
+const validateCase = require('./tools/validate-case');
+
+const CASE_FIELDS = schema.procurement_case.schema;
+const STAGES = schema.procurement_lifecycle_stages;
+
+const CASE_ID_PATTERN = /^GCC-PROC-[0-9]{4}-[0-9]{4,}$/;
+
+const STATUSES = CASE_FIELDS.status.enum;
+const CLOSED_STATUSES = ['awarded', 'cancelled', 'abandoned'];
+
+// Forward moves along lifecycle_flow. Any open case may also be cancelled or abandoned.
+const TRANSITIONS = {
+    pipeline: ['needs_definition'],
+    needs_definition: ['market_engagement', 'tender_open'],
+    market_engagement: ['tender_open'],
+    tender_open: ['evaluation'],
+    evaluation: ['standstill', 'awarded'],
+    standstill: ['awarded'],
+};
+
+// Case status → procurement_lifecycle_stages stage_id
+const STATUS_STAGES = {
+    needs_definition: 'S1',
+    market_engagement: 'S2',
+    tender_open: 'S3',
+    evaluation: 'S3',
+    standstill: 'S3',
+    awarded: 'S4',
+};
+
+// Fields an officer can assert on a case. Definitions come from
+// procurement_case.schema; tupe_assessed, has_ward_impact and budget_significant
+// are the gcc_procurement_validate_case / determine_route inputs of the same name.
+const ASSERTABLE_FIELDS = {
+    title: CASE_FIELDS.title,
+    service_area: CASE_FIELDS.service_area,
+    service_id: CASE_FIELDS.service_id,
+    authorised_officer: CASE_FIELDS.authorised_officer,
+    budget_holder: CASE_FIELDS.budget_holder,
+    value_estimated_gbp: CASE_FIELDS.value_estimated_gbp,
+    contract_type: CASE_FIELDS.contract_type,
+    // waiver is not in the schema's route enum but is a route validate_case understands (CONTRACT-RULES Rule 6)
+    procurement_route: { ...CASE_FIELDS.procurement_route, enum: [...CASE_FIELDS.procurement_route.enum, 'waiver'] },
+    forward_plan_reference: CASE_FIELDS.forward_plan_reference,
+    tupe_applies: CASE_FIELDS.tupe_applies,
+    tupe_assessed: { type: ['boolean', 'null'] },
+    social_value_assessed: CASE_FIELDS.social_value_assessed,
+    conflicts_assessment_completed: CASE_FIELDS.conflicts_assessment_completed,
+    lots_considered: CASE_FIELDS.lots_considered,
+    existing_framework_checked: CASE_FIELDS.existing_framework_checked,
+    direct_award_justification_reference: CASE_FIELDS.direct_award_justification_reference,
+    waiver_reference: CASE_FIELDS.waiver_reference,
+    cabinet_member_decision_reference: CASE_FIELDS.cabinet_member_decision_reference,
+    cabinet_decision_reference: CASE_FIELDS.cabinet_decision_reference,
+    has_ward_impact: { type: 'boolean' },
+    budget_significant: { type: 'boolean' },
+};
+
+// Fields that change the route determination when asserted
+const ROUTE_INPUTS = ['value_estimated_gbp', 'contract_type', 'service_area', 'has_ward_impact', 'budget_significant'];
+
+// Which validate_case findings block entry to each status
+const GATES = {
+    tender_open: {
+        flags: ['R11', 'R06', 'WAIVER-REF'],
+        assessments: true,
+        description: 'Tender publication (S3) — Forward Plan, route justification and pre-tender assessments',
+    },
+    standstill: {
+        flags: ['R12', 'R13'],
+        assessments: false,
+        description: 'Award decision — Cabinet Member or Cabinet decision recorded',
+    },
+    awarded: {
+        flags: ['R12', 'R13'],
+        assessments: false,
+        description: 'Contract award — decision recorded and standstill observed',
+    },
+};
+
+const STANDSTILL_DAYS = (STAGES.find(s => s.stage_id === 'S3') || {}).standstill_period_working_days || 8;
+
+/**
+ * Validate asserted case fields.
+ * @param {object} fields
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateCaseFields(fields) {
+    const errors = [];
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        if (!ASSERTABLE_FIELDS[field]) {
+            errors.push({ field, message: `${field} cannot be set on a case` });
+        } else {
+            checkValue(value, ASSERTABLE_FIELDS[field], field, errors);
+        }
+    }
+    if (typeof fields.value_estimated_gbp === 'number' && !(fields.value_estimated_gbp > 0)) {
+        errors.push({ field: 'value_estimated_gbp', message: 'value_estimated_gbp must be a positive number' });
+    }
+    return errors;
+}
+
+/**
+ * Run determine_route for a case and derive the tier, decision type and
+ * key decision triggers it records.
+ * @param {object} procurementCase
+ * @returns {object} fields to merge into the case
+ */
+function determineCaseRoute(procurementCase) {
+    const response = determineRoute.execute({
+        value_gbp: procurementCase.value_estimated_gbp,
+        contract_type: procurementCase.contract_type,
+        service_area: procurementCase.service_area,
+        has_ward_impact: procurementCase.has_ward_impact,
+        budget_significant: procurementCase.budget_significant,
+        response_format: 'json',
+    });
+    if (!response.ok) {
+        throw new Error(`determine_route failed: ${response.error.message}`);
+    }
+
+    const route = response.result;
+    let decisionType = 'officer_decision';
+    if (route.tier >= 6) decisionType = 'cabinet_decision';
+    else if (route.tier === 5) decisionType = 'cabinet_member_decision';
+    else if (route.key_decision) decisionType = 'key_decision_officer';
+
+    return {
+        procurement_tier: route.tier,
+        decision_type: decisionType,
+        key_decision_triggers: route.key_decision_triggers,
+        route_determination: {
+            tier: route.tier,
+            tier_label: route.tier_label,
+            award_authority_label: route.award_authority_label,
+            key_decision: route.key_decision,
+            forward_plan_required: route.forward_plan_required,
+            is_above_threshold: route.is_above_threshold,
+            threshold_gbp: route.threshold_gbp,
+            required_notices: route.required_notices.map(n => n.code),
+            compliance_warnings: route.compliance_warnings,
+            determined_at: new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Run validate_case against the case as it would be in the given status.
+ * @param {object} procurementCase
+ * @param {string} [status]
+ * @returns {object} validate_case result
+ */
+function validateAgainstRules(procurementCase, status = procurementCase.status) {
+    const input = { status, response_format: 'json' };
+    for (const field of Object.keys(ASSERTABLE_FIELDS)) {
+        if (procurementCase[field] !== undefined && procurementCase[field] !== null) input[field] = procurementCase[field];
+    }
+    return validateCase.execute(input).result;
+}
+
+/**
+ * First day a case in standstill may be awarded: STANDSTILL_DAYS working
+ * days beginning with the working day it entered standstill, as the
+ * procurement timeline counts them.
+ * @param {object} procurementCase
+ * @returns {string|null} YYYY-MM-DD, or null if the history has no standstill entry
+ */
+function earliestAwardDate(procurementCase) {
+    const entered = [...(procurementCase.history || [])].reverse().find(h => h.to_status === 'standstill');
+    if (!entered || !entered.at) return null;
+    return addWorkingDays(nextWorkingDay(entered.at.slice(0, 10)), STANDSTILL_DAYS);
+}
+
+/**
+ * Work out whether a case may move to a status.
+ *
+ * @param {object} procurementCase
+ * @param {string} toStatus
+ * @param {{ contractId?: string, contractExists?: boolean, today?: string }} [context]
+ *   contractId / contractExists: the contract_id given at award and whether it
+ *   is in the contract register (omit both to leave the contract check out, as
+ *   readiness views do); today: YYYY-MM-DD to judge the standstill period
+ *   against, default today
+ * @returns {{ allowed: boolean, blocking: object[], verified_checks: string[] }}
+ */
+function checkTransition(procurementCase, toStatus, context = {}) {
+    const from = procurementCase.status;
+
+    if (CLOSED_STATUSES.includes(from)) {
+        return { allowed: false, blocking: [{ check: 'CLOSED', reason: `Case is ${from} and cannot change status` }], verified_checks: [] };
+    }
+    if (!['cancelled', 'abandoned'].includes(toStatus) && !(TRANSITIONS[from] || []).includes(toStatus)) {
+        return {
+            allowed: false,
+            blocking: [{
+                check: 'TRANSITION',
+                reason: `A case cannot move from ${from} to ${toStatus}. Next: ${[...(TRANSITIONS[from] || []), 'cancelled', 'abandoned'].join(', ')}`,
+                source: 'procurement_case.lifecycle_flow',
+            }],
+            verified_checks: [],
+        };
+    }
+
+    const gate = GATES[toStatus];
+    if (!gate) return { allowed: true, blocking: [], verified_checks: [] };
+
+    const validation = validateAgainstRules(procurementCase, toStatus);
+    const blocking = [];
+
+    if (toStatus === 'tender_open' && isMissing(procurementCase.procurement_route)) {
+        blocking.push({
+            check: 'ROUTE',
+            field: 'procurement_route',
+            reason: 'procurement_route must be recorded before tender publication',
+            source: 'CONTRACT-RULES Rule 5',
+        });
+    }
+
+    for (const flag of validation.triggered_flags) {
+        if (gate.flags.includes(flag.flag_id)) {
+            blocking.push({ check: flag.flag_id, reason: flag.triggered_condition, source: flag.constitutional_source });
+        }
+    }
+
+    // KD1/KD2 key decisions need a Forward Plan entry even below the KD3 value R11 checks
+    const determination = procurementCase.route_determination || {};
+    if (
+        toStatus === 'tender_open' &&
+        determination.forward_plan_required &&
+        isMissing(procurementCase.forward_plan_reference) &&
+        !blocking.some(b => b.check === 'R11')
+    ) {
+        blocking.push({
+            check: 'FORWARD-PLAN',
+            field: 'forward_plan_reference',
+            reason: 'Key decision: Forward Plan entry required before tender publication',
+            source: 'procurement_case.lifecycle_flow.key_decision_gate; PART3E 3E.11',
+        });
+    }
+
+    if (gate.assessments) {
+        for (const missing of validation.missing_assessments) {
+            blocking.push({ check: missing.assessment, field: missing.field, reason: missing.reason, source: missing.source });
+        }
+    }
+
+    if (toStatus === 'awarded' && from === 'evaluation' && validation.is_above_threshold) {
+        blocking.push({
+            check: 'STANDSTILL',
+            reason: `Above the PA2023 threshold: move to standstill and observe the ${STANDSTILL_DAYS}-working-day standstill period after the UK6 Contract Award Notice`,
+            source: 'procurement_lifecycle_stages S3; PA2023 s.51',
+        });
+    }
+
+    if (toStatus === 'awarded' && from === 'standstill') {
+        const awardFrom = earliestAwardDate(procurementCase);
+        const asOf = context.today || today();
+        if (awardFrom && asOf < awardFrom) {
+            blocking.push({
+                check: 'STANDSTILL',
+                reason: `Standstill period runs until ${addWorkingDays(awardFrom, -1)}: the contract can be awarded from ${awardFrom}`,
+                source: 'procurement_lifecycle_stages S3; PA2023 s.51',
+            });
+        }
+    }
+
+    if (toStatus === 'awarded' && context.contractExists !== undefined) {
+        if (isMissing(context.contractId)) {
+            blocking.push({
+                check: 'CONTRACT-RECORD',
+                field: 'contract_id',
+                reason: 'contract_id is required on award: give the contract register entry this case produced.',
+                source: 'procurement_case.lifecycle_flow (S6_complete -> contract_record_created)',
+            });
+        } else if (!context.contractExists) {
+            blocking.push({
+                check: 'CONTRACT-RECORD',
+                field: 'contract_id',
+                reason: 'contract_id is not in the contract register. Create it with gcc_procurement_create_contract first.',
+                source: 'procurement_case.lifecycle_flow (S6_complete -> contract_record_created)',
+            });
+        }
+    }
+
+    return {
+        allowed: blocking.length === 0,
+        blocking,
+        verified_checks: validation.verified_checks.map(c => c.check),
+    };
+}
+
+/**
+ * Stage a case is in.
+ * @param {string} status
+ * @returns {{ stage_id: string, name: string }|null}
+ */
+function stageFor(status) {
+    const stage = STAGES.find(s => s.stage_id === STATUS_STAGES[status]);
+    return stage ? { stage_id: stage.stage_id, name: stage.name } : null;
+}
+
+/**
+ * Statuses a case may move to next.
+ * @param {string} status
+ * @returns {string[]}
+ */
+function nextStatuses(status) {
+    if (CLOSED_STATUSES.includes(status)) return [];
+    return [...(TRANSITIONS[status] || []), 'cancelled', 'abandoned'];
+}
+
+/**
+ * Summary of a case for list views.
+ * @param {object} procurementCase
+ * @returns {object}
+ */
+function summariseCase(procurementCase) {
+    const stage = stageFor(procurementCase.status);
+    return {
+        case_id: procurementCase.case_id,
+        title: procurementCase.title,
+        service_area: procurementCase.service_area,
+        status: procurementCase.status,
+        stage_id: stage ? stage.stage_id : null,
+        value_estimated_gbp: procurementCase.value_estimated_gbp,
+        procurement_tier: procurementCase.procurement_tier,
+        procurement_route: procurementCase.procurement_route || null,
+        contract_id: procurementCase.contract_id || null,
+        updated_at: procurementCase.updated_at,
+    };
+}
+
+/**
+ * List the asserted fields whose value differs between two versions of a case.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{ field: string, from: *, to: * }[]}
+ */
+function fieldChanges(before, after) {
+    const changes = [];
+    for (const field of Object.keys(ASSERTABLE_FIELDS)) {
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+    }
+    return changes;
+}
+
+/**
+ * Render a case as markdown.
+ * @param {string} heading
+ * @param {object} procurementCase
+ * @returns {string[]} lines
+ */
+function renderCase(heading, procurementCase) {
+    const stage = stageFor(procurementCase.status);
+    const determination = procurementCase.route_determination || {};
+    const lines = [
+        `## ${heading}: ${procurementCase.case_id}`,
+        '',
+        `**${procurementCase.title}** — ${procurementCase.service_area}`,
+        '',
+        `- Status: ${procurementCase.status}${stage ? ` (${stage.stage_id} ${stage.name})` : ''}`,
+        `- Value: £${procurementCase.value_estimated_gbp.toLocaleString()} ${procurementCase.contract_type} | Tier ${procurementCase.procurement_tier} | ${procurementCase.decision_type}`,
+        `- Route: ${procurementCase.procurement_route || 'not yet recorded'}`,
+        `- Forward Plan: ${procurementCase.forward_plan_reference || (determination.forward_plan_required ? '❌ required, not recorded' : 'not required')}`,
+    ];
+    if (procurementCase.contract_id) lines.push(`- Contract: ${procurementCase.contract_id}`);
+    if (procurementCase.stages_completed.length > 0) {
+        lines.push(`- Stages completed: ${procurementCase.stages_completed.map(s => `${s.stage_id} (${s.completed_date})`).join(', ')}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    CASE_ID_PATTERN,
+    STATUSES,
+    CLOSED_STATUSES,
+    ASSERTABLE_FIELDS,
+    ROUTE_INPUTS,
+    GATES,
+    STANDSTILL_DAYS,
+    validateCaseFields,
+    determineCaseRoute,
+    validateAgainstRules,
+    checkTransition,
+    stageFor,
+    nextStatuses,
+    fieldChanges,
+    summariseCase,
+    renderCase,
+};
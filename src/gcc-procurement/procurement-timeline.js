@@ -0,0 +1,348 @@
+/**
+ * GCC Procurement — timeline planner
+ *
+ * Dates a procurement from launch to contract: PA2023 minimum tender and
+ * participation periods (procurement_procedures in
+ * procurement-contracts-schema-v0.9.3.json), the award decision with its
+ * Forward Plan notice, Cabinet agenda and call-in, the 8-working-day
+ * standstill and the UK7 Contract Details Notice.
+ *
+ * Plans run forward from a launch date, or back from a target contract date
+ * by finding the latest launch that still reaches it. Working days exclude
+ * England & Wales bank holidays (see calendar.js).
+ */
+
+'use strict';
+
+const { schema } = require('./schema-loader');
+const { STANDSTILL_DAYS } = require('./procurement-case');
+const {
+    addDays,
+    daysBetween,
+    isWorkingDay,
+    nextWorkingDay,
+    previousWorkingDay,
+    addWorkingDays,
+} = require('./calendar');
+
+const PROCEDURES = schema.procurement_procedures.above_threshold;
+const OPEN = PROCEDURES.find(p => p.name === 'Open Procedure');
+const FLEXIBLE = PROCEDURES.find(p => p.name === 'Competitive Flexible Procedure');
+
+// notice_types UK3 timing: "Minimum 40 days before UK4 to benefit from reduced tender period"
+const UK3_LEAD_DAYS = 40;
+// Key decision notice: 28 clear days before the decision (Local Authorities
+// (Executive Arrangements) (Meetings and Access to Information) (England)
+// Regulations 2012, reg 9) — published on the 29th day before at the latest
+const FORWARD_PLAN_CLEAR_DAYS = 28;
+// Agenda and reports: 5 clear days before the meeting (LGA 1972 s.100B),
+// counted here as working days
+const AGENDA_CLEAR_WORKING_DAYS = 5;
+// UK7: within 30 days of entering into the contract (s.53 PA 2023)
+const CONTRACT_DETAILS_NOTICE_DAYS = 30;
+const SEARCH_WINDOW_DAYS = 1100;
+
+// Planning assumptions the officer can override
+const DEFAULTS = {
+    evaluation_working_days: 15,
+    shortlisting_working_days: 10,
+    call_in_working_days: 5,
+    tender_period_days: 14,
+};
+
+const ROUTES = {
+    open_procedure: { kind: 'competitive', launch: 'UK4 Tender Notice published', procedure: OPEN, reductions: ['market_engagement_notice', 'planned_procurement_notice', 'urgency'] },
+    competitive_flexible: { kind: 'competitive', launch: 'UK4 Tender Notice published', procedure: FLEXIBLE, participation: true, reductions: ['market_engagement_notice', 'urgency'] },
+    itt_below_threshold: { kind: 'competitive', launch: 'UK4 below-threshold Tender Notice published' },
+    quotes_below_threshold: { kind: 'competitive', launch: 'Requests for quotation issued' },
+    framework_calloff: { kind: 'competitive', launch: 'Call-off further competition issued', noStandstill: true },
+    dynamic_market_calloff: { kind: 'competitive', launch: 'Dynamic market competition issued' },
+    direct_award: { kind: 'direct', launch: 'Direct Award Justification Report completed' },
+    waiver: { kind: 'direct', launch: 'Waiver approved and justification completed' },
+};
+
+const EXECUTIVE_DECISIONS = ['cabinet_decision', 'cabinet_member_decision', 'key_decision_officer'];
+
+const DECISION_LABELS = {
+    cabinet_decision: 'Cabinet decision',
+    cabinet_member_decision: 'Cabinet Member decision',
+    key_decision_officer: 'Officer key decision',
+    officer_decision: 'Officer award decision',
+};
+
+function later(a, b) {
+    return a > b ? a : b;
+}
+
+/**
+ * Work out the tender and participation periods for a plan.
+ * @returns {{ tenderDays: number, participationDays: number|null, minimum: number|null, reduced: boolean, issues: string[], warnings: string[] }}
+ */
+function periods(options) {
+    const route = ROUTES[options.procurement_route];
+    const issues = [];
+    const warnings = [];
+    const statutory = route.procedure && options.is_above_threshold && options.contract_type !== 'light_touch';
+    const reduction = options.tender_period_reduction;
+
+    if (reduction && !(statutory && route.reductions.includes(reduction))) {
+        warnings.push(`${reduction} does not reduce the minimum period for this procurement; ignored`);
+    }
+    const reduced = Boolean(reduction && statutory && route.reductions.includes(reduction));
+
+    let minimum = null;
+    let participationDays = null;
+    if (statutory) {
+        minimum = reduced ? OPEN.reduced_tender_period_days : OPEN.minimum_tender_period_days;
+        if (route.participation) {
+            participationDays = reduced ? route.procedure.reduced_participation_period_days : route.procedure.minimum_participation_period_days;
+        }
+    } else if (options.contract_type === 'light_touch' && route.procedure) {
+        warnings.push('Light touch contract: no statutory minimum tender period applies; set tender_period_days to a period suppliers can respond in');
+    }
+
+    let tenderDays = options.tender_period_days !== undefined ? options.tender_period_days : (minimum || DEFAULTS.tender_period_days);
+    if (minimum !== null && tenderDays < minimum) {
+        issues.push(`tender_period_days ${tenderDays} is shorter than the statutory minimum of ${minimum} days (${route.procedure.section}); planned with ${minimum}`);
+        tenderDays = minimum;
+    }
+
+    return { tenderDays, participationDays, minimum, reduced, issues, warnings };
+}
+
+/**
+ * Plan forward from a launch date. Returns null when no Cabinet date fits.
+ * @param {string} launchDate
+ * @param {object} options - see planTimeline
+ * @param {object} p - periods()
+ * @param {string|null} forwardPlanEarliest - earliest the key decision notice can be (or was) published
+ * @returns {{ milestones: object[], contractDate: string, decisionDate: string, cabinetDateMissing: boolean }|null}
+ */
+function planForward(launchDate, options, p, forwardPlanEarliest) {
+    const route = ROUTES[options.procurement_route];
+    const decisionType = options.decision_type;
+    const milestones = [];
+    const add = (key, date, label, basis) => milestones.push({ key, date, label, basis });
+
+    const launch = nextWorkingDay(launchDate);
+
+    if (p.reduced && options.tender_period_reduction === 'planned_procurement_notice') {
+        add('uk3', previousWorkingDay(addDays(launch, -UK3_LEAD_DAYS)), 'UK3 Planned Procurement Notice published', `At least ${UK3_LEAD_DAYS} days before UK4 for the reduced tender period (s.17 PA 2023)`);
+    }
+    if (p.reduced && options.tender_period_reduction === 'market_engagement_notice') {
+        add('uk2', addWorkingDays(launch, -1), 'UK2 Preliminary Market Engagement Notice published', 'Before the tender notice, for the reduced tender period (s.16 PA 2023)');
+    }
+    add('launch', launch, route.launch, route.kind === 'direct' ? 'Start of the award decision' : 'Procurement launched');
+
+    let readyForDecision = launch;
+    if (route.kind === 'competitive') {
+        let invitation = launch;
+        if (p.participationDays !== null) {
+            const participationEnd = nextWorkingDay(addDays(launch, p.participationDays));
+            add('participation_deadline', participationEnd, 'Requests to participate close', `Minimum ${p.participationDays} days (${route.procedure.section})`);
+            invitation = addWorkingDays(participationEnd, options.shortlisting_working_days);
+            add('invitation_to_tender', invitation, 'Invitation to tender issued to shortlisted suppliers', `Assumes ${options.shortlisting_working_days} working days to shortlist`);
+        }
+        const tenderDeadline = nextWorkingDay(addDays(invitation, p.tenderDays));
+        add('tender_deadline', tenderDeadline, 'Tenders close', p.minimum !== null
+            ? `Minimum ${p.minimum} days${p.reduced ? ' (reduced)' : ''} (${route.procedure.section})`
+            : `${p.tenderDays} days — no statutory minimum`);
+        readyForDecision = addWorkingDays(tenderDeadline, options.evaluation_working_days);
+        add('evaluation_complete', readyForDecision, 'Evaluation complete and award report signed off', `Assumes ${options.evaluation_working_days} working days to evaluate`);
+    }
+
+    // Award decision
+    let earliest = addWorkingDays(readyForDecision, 1);
+    if (options.forward_plan_required && forwardPlanEarliest) {
+        earliest = later(earliest, nextWorkingDay(addDays(forwardPlanEarliest, FORWARD_PLAN_CLEAR_DAYS + 1)));
+    }
+
+    let decision;
+    let cabinetDateMissing = false;
+    if (decisionType === 'cabinet_decision') {
+        const agendaFrom = addWorkingDays(readyForDecision, 1);
+        const fits = (meeting) => meeting >= earliest && addWorkingDays(meeting, -(AGENDA_CLEAR_WORKING_DAYS + 1)) >= agendaFrom;
+        if (options.cabinet_dates && options.cabinet_dates.length > 0) {
+            decision = [...options.cabinet_dates].sort().find(fits);
+            if (!decision) return null;
+        } else {
+            decision = later(earliest, addWorkingDays(agendaFrom, AGENDA_CLEAR_WORKING_DAYS + 1));
+            cabinetDateMissing = true;
+        }
+        add('agenda_published', addWorkingDays(decision, -(AGENDA_CLEAR_WORKING_DAYS + 1)), 'Cabinet agenda and award report published', `${AGENDA_CLEAR_WORKING_DAYS} clear working days before the meeting (LGA 1972 s.100B)`);
+    } else {
+        decision = earliest;
+    }
+
+    if (options.forward_plan_required) {
+        add('forward_plan', previousWorkingDay(addDays(decision, -(FORWARD_PLAN_CLEAR_DAYS + 1))), 'Key decision published on the Forward Plan', `${FORWARD_PLAN_CLEAR_DAYS} clear days before the decision (Executive Arrangements Regulations 2012 reg 9; Part 3E)`);
+    }
+    add('decision', decision, DECISION_LABELS[decisionType], options.award_authority_label || 'Award authority');
+
+    let awardFrom = decision;
+    if (EXECUTIVE_DECISIONS.includes(decisionType) && options.call_in_working_days > 0) {
+        const callInEnd = addWorkingDays(decision, options.call_in_working_days);
+        add('call_in_ends', callInEnd, 'Call-in period ends', `Assumes ${options.call_in_working_days} working days — confirm against the Overview and Scrutiny Procedure Rules`);
+        awardFrom = addWorkingDays(callInEnd, 1);
+    }
+
+    let contractDate = awardFrom;
+    if (options.is_above_threshold) {
+        const notice = route.kind === 'direct' ? 'UK5 Transparency Notice published' : 'UK6 Contract Award Notice published';
+        add('award_notice', awardFrom, notice, route.kind === 'direct' ? 's.44 PA 2023' : 's.50 PA 2023');
+
+        if (!route.noStandstill) {
+            const standstillEnd = addWorkingDays(awardFrom, STANDSTILL_DAYS - 1);
+            add('standstill_ends', standstillEnd, 'Standstill period ends', `${STANDSTILL_DAYS} working days beginning with the day the notice is published (s.51 PA 2023)`);
+            contractDate = addWorkingDays(standstillEnd, 1);
+        }
+    }
+    add('contract', contractDate, 'Contract entered into', route.noStandstill && options.is_above_threshold ? 'No mandatory standstill for framework call-offs' : 'Earliest date');
+
+    if (options.is_above_threshold) {
+        add('uk7', addDays(contractDate, CONTRACT_DETAILS_NOTICE_DAYS), 'UK7 Contract Details Notice published (latest)', `Within ${CONTRACT_DETAILS_NOTICE_DAYS} days of entering into the contract (s.53 PA 2023)`);
+    }
+
+    milestones.sort((a, b) => a.date.localeCompare(b.date));
+    return { milestones, contractDate, decisionDate: decision, cabinetDateMissing };
+}
+
+/**
+ * Latest launch date whose forward plan reaches the contract by the target.
+ */
+function latestLaunch(target, options, p, forwardPlanEarliest) {
+    const reaches = (launch) => {
+        const plan = planForward(launch, options, p, forwardPlanEarliest);
+        return plan !== null && plan.contractDate <= target;
+    };
+
+    let low = addDays(target, -SEARCH_WINDOW_DAYS);
+    if (!reaches(low)) return null;
+    let span = SEARCH_WINDOW_DAYS;
+    while (span > 1) {
+        const step = Math.floor(span / 2);
+        const candidate = addDays(low, step);
+        if (reaches(candidate)) {
+            low = candidate;
+            span -= step;
+        } else {
+            span = step;
+        }
+    }
+    return low;
+}
+
+/**
+ * Plan a procurement timeline.
+ *
+ * @param {object} options
+ * @param {string} options.procurement_route - key of ROUTES
+ * @param {string} options.contract_type
+ * @param {string} options.decision_type - from determineCaseRoute
+ * @param {boolean} options.forward_plan_required
+ * @param {boolean} options.is_above_threshold
+ * @param {string} [options.award_authority_label]
+ * @param {string} [options.target_award_date] - contract to be entered into by (YYYY-MM-DD)
+ * @param {string} [options.launch_date] - launch on (YYYY-MM-DD)
+ * @param {string} [options.tender_period_reduction]
+ * @param {number} [options.tender_period_days]
+ * @param {number} [options.evaluation_working_days] - and shortlisting_ / call_in_working_days; see DEFAULTS
+ * @param {string[]} [options.cabinet_dates]
+ * @param {string} [options.forward_plan_published_date]
+ * @param {string} options.as_of
+ * @returns {object}
+ */
+function planTimeline(options) {
+    const opts = { ...options };
+    for (const key of ['evaluation_working_days', 'shortlisting_working_days', 'call_in_working_days']) {
+        if (opts[key] === undefined) opts[key] = DEFAULTS[key];
+    }
+
+    const p = periods(opts);
+    const issues = p.issues.map(reason => ({ milestone: 'tender_deadline', reason }));
+    const warnings = [...p.warnings];
+    const backward = Boolean(opts.target_award_date);
+    const periodSummary = {
+        tender_period_days: p.tenderDays,
+        participation_period_days: p.participationDays,
+        statutory_minimum_days: p.minimum,
+        reduced: p.reduced,
+    };
+    const assumptions = {
+        evaluation_working_days: opts.evaluation_working_days,
+        shortlisting_working_days: opts.shortlisting_working_days,
+        call_in_working_days: opts.call_in_working_days,
+    };
+    const infeasible = (milestone, reason) => ({
+        feasible: false,
+        issues: [...issues, { milestone, reason }],
+        warnings,
+        milestones: [],
+        periods: periodSummary,
+        assumptions,
+    });
+
+    // A published Forward Plan entry fixes the earliest decision. Planning
+    // forward, an unpublished entry can go on the plan today at the earliest.
+    let forwardPlanEarliest = opts.forward_plan_published_date || null;
+    if (!backward && !forwardPlanEarliest) forwardPlanEarliest = opts.as_of;
+
+    let launchDate = opts.launch_date;
+    if (backward) {
+        if (!isWorkingDay(opts.target_award_date)) {
+            warnings.push(`target_award_date ${opts.target_award_date} is not a working day`);
+        }
+        launchDate = latestLaunch(opts.target_award_date, opts, p, forwardPlanEarliest);
+        if (!launchDate) {
+            if (opts.cabinet_dates && opts.cabinet_dates.length > 0) {
+                return infeasible('decision', `No Cabinet meeting in cabinet_dates leaves time for the agenda, call-in and standstill before ${opts.target_award_date}`);
+            }
+            // Without the published Forward Plan entry holding it back, the
+            // periods themselves are too long for any launch date to reach the target
+            if (!opts.forward_plan_published_date || !latestLaunch(opts.target_award_date, opts, p, null)) {
+                const earliestLaunch = addDays(opts.target_award_date, -SEARCH_WINDOW_DAYS);
+                return infeasible('launch', `Even launching on ${earliestLaunch}, the tender period, evaluation, decision and standstill cannot be completed by ${opts.target_award_date}`);
+            }
+            const firstDecision = nextWorkingDay(addDays(opts.forward_plan_published_date, FORWARD_PLAN_CLEAR_DAYS + 1));
+            return infeasible('forward_plan', `The Forward Plan entry published ${opts.forward_plan_published_date} allows a decision from ${firstDecision}, too late to enter into the contract by ${opts.target_award_date}`);
+        }
+    }
+
+    const plan = planForward(launchDate, opts, p, forwardPlanEarliest);
+    if (!plan) {
+        return infeasible('decision', 'No Cabinet meeting in cabinet_dates is late enough for the evaluation, agenda and Forward Plan notice');
+    }
+
+    if (plan.cabinetDateMissing) {
+        warnings.push('No cabinet_dates given: the decision date assumes a Cabinet meeting can be held then. Pass the scheduled Cabinet dates to fit the plan to the cycle.');
+    }
+
+    // Working back, every milestone must still be ahead of us; working forward
+    // from a launch only the notices that must precede it can already be late
+    for (const m of plan.milestones) {
+        if (m.date >= opts.as_of) continue;
+        if (!backward && !['uk2', 'uk3'].includes(m.key)) continue;
+        if (m.key === 'forward_plan' && opts.forward_plan_published_date && opts.forward_plan_published_date <= m.date) continue;
+        issues.push({ milestone: m.key, reason: `${m.label} needed by ${m.date}, which has passed` });
+    }
+
+    return {
+        feasible: issues.length === 0,
+        issues,
+        warnings,
+        milestones: plan.milestones,
+        launch_date: plan.milestones.find(m => m.key === 'launch').date,
+        decision_date: plan.decisionDate,
+        contract_date: plan.contractDate,
+        ...(backward ? { slack_days: daysBetween(plan.contractDate, opts.target_award_date) } : {}),
+        periods: periodSummary,
+        assumptions,
+    };
+}
+
+module.exports = {
+    ROUTES,
+    DEFAULTS,
+    FORWARD_PLAN_CLEAR_DAYS,
+    planTimeline,
+};
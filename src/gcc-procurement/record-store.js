@@ -0,0 +1,154 @@
+/**
+ * GCC Procurement — blob storage
+ *
+ * Persists procurement records as one JSON blob per record (<prefix><id>.json)
+ * in the container named by GCC_PROCUREMENT_CONTAINER,
+ * using the STORAGE_CONNECTION account shared with the notes store
+ * (src/functions/mcpNotes.js).
+ */
+
+'use strict';
+
+const { BlobServiceClient } = require('@azure/storage-blob');
+
+const PROCUREMENT_CONTAINER = process.env.GCC_PROCUREMENT_CONTAINER || 'gcc-procurement';
+
+// Module-scope singletons so warm invocations reuse the connection pool
+let _blobServiceClient = null;
+let _containerClient = null;
+let _containerReadyPromise = null;
+
+function getContainerClient() {
+    if (!_blobServiceClient) {
+        const cs = process.env.STORAGE_CONNECTION;
+        if (!cs) throw new Error('STORAGE_CONNECTION environment variable is not set');
+        _blobServiceClient = BlobServiceClient.fromConnectionString(cs);
+    }
+
+    if (!_containerClient) {
+        _containerClient = _blobServiceClient.getContainerClient(PROCUREMENT_CONTAINER);
+    }
+
+    return _containerClient;
+}
+
+async function ensureContainerReady(containerClient = null) {
+    const resolvedContainerClient = containerClient || getContainerClient();
+
+    if (!_containerReadyPromise) {
+        _containerReadyPromise = resolvedContainerClient.createIfNotExists().catch((err) => {
+            _containerReadyPromise = null;
+            if (err.code !== 'ContainerAlreadyExists') throw err;
+        });
+    }
+
+    await _containerReadyPromise;
+    return resolvedContainerClient;
+}
+
+/**
+ * Create a store for one kind of record.
+ *
+ * @param {string} prefix - Blob name prefix, e.g. 'contracts/'
+ * @param {string} idField - Record property holding the identifier, e.g. 'contract_id'
+ * @returns {{ read: Function, readForUpdate: Function, write: Function, list: Function }}
+ */
+function createRecordStore(prefix, idField) {
+    /**
+     * Read one record with the blob's ETag.
+     * @param {string} id
+     * @param {object} [containerClient]
+     * @returns {Promise<{ record: object, etag: string }|null>} null if there is no record
+     */
+    async function readForUpdate(id, containerClient = null) {
+        const resolvedContainerClient = await ensureContainerReady(containerClient);
+        const blobClient = resolvedContainerClient.getBlobClient(`${prefix}${id}.json`);
+        try {
+            const download = await blobClient.download();
+            const chunks = [];
+            for await (const chunk of download.readableStreamBody) {
+                chunks.push(chunk);
+            }
+            return { record: JSON.parse(Buffer.concat(chunks).toString('utf-8')), etag: download.etag };
+        } catch (err) {
+            if (err.statusCode === 404 || err.code === 'BlobNotFound') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Read one record.
+     * @param {string} id
+     * @param {object} [containerClient]
+     * @returns {Promise<object|null>} the stored record, or null if there is none
+     */
+    async function read(id, containerClient = null) {
+        const found = await readForUpdate(id, containerClient);
+        return found ? found.record : null;
+    }
+
+    /**
+     * Write a record. Pass the ETag from readForUpdate to replace only the
+     * version that was read, or create: true to write only if the record
+     * does not exist yet, so concurrent read-modify-writes cannot overwrite
+     * each other's history.
+     * @param {object} record
+     * @param {{ etag?: string, create?: boolean }} [options]
+     * @returns {Promise<boolean>} false if the record changed since it was read
+     *   (or, with create, already exists) and nothing was written
+     */
+    async function write(record, { etag, create = false } = {}) {
+        const containerClient = await ensureContainerReady();
+        const blobClient = containerClient.getBlockBlobClient(`${prefix}${record[idField]}.json`);
+        const content = JSON.stringify(record, null, 2);
+        let conditions;
+        if (create) conditions = { ifNoneMatch: '*' };
+        else if (etag) conditions = { ifMatch: etag };
+        try {
+            await blobClient.upload(content, Buffer.byteLength(content), {
+                blobHTTPHeaders: { blobContentType: 'application/json' },
+                ...(conditions ? { conditions } : {}),
+            });
+        } catch (err) {
+            if (err.statusCode === 412 || err.statusCode === 409 || err.code === 'ConditionNotMet' || err.code === 'BlobAlreadyExists') {
+                return false;
+            }
+            throw err;
+        }
+        return true;
+    }
+
+    /**
+     * Read every record, sorted by identifier.
+     * @returns {Promise<object[]>}
+     */
+    async function list() {
+        const containerClient = await ensureContainerReady();
+
+        const ids = [];
+        for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+            ids.push(blob.name.slice(prefix.length).replace(/\.json$/, ''));
+        }
+
+        if (ids.length === 0) {
+            return [];
+        }
+
+        // Same bounded-concurrency read as the notes store
+        const READ_CONCURRENCY = Math.max(1, Number(process.env.GCC_PROCUREMENT_READ_CONCURRENCY || 8));
+        const records = [];
+
+        for (let i = 0; i < ids.length; i += READ_CONCURRENCY) {
+            const batch = ids.slice(i, i + READ_CONCURRENCY);
+            const batchRecords = await Promise.all(batch.map((id) => read(id, containerClient)));
+            records.push(...batchRecords.filter(Boolean));
+        }
+
+        records.sort((a, b) => a[idField].localeCompare(b[idField]));
+        return records;
+    }
+
+    return { read, readForUpdate, write, list };
+}
+
+module.exports = { createRecordStore };
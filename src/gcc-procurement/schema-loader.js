@@ -2,7 +2,7 @@
  * GCC Procurement Schema Loader
  *
  * Loads procurement-contracts-schema-v0.9.3.json once at module initialisation
- * and extracts the key constants used by all five procurement tools.
+ * and extracts the key constants used by the procurement tools.
  *
  * Fail-fast: if the schema file is missing or malformed this module throws on
  * require(), which prevents any tool from returning silent empty results.
@@ -137,6 +137,7 @@ function findNotice(code) {
 module.exports = {
     schema,
     SCHEMA_FILE,
+    SCHEMA_PATH,
     MATRIX,
     WAIVER_MATRIX,
     THRESHOLDS,
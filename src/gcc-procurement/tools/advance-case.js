@@ -0,0 +1,118 @@
+/**
+ * Tool: gcc_procurement_advance_case
+ *
+ * Moves a procurement case to its next lifecycle status. Entry to
+ * tender_open, standstill and awarded is gated on the gcc_procurement_validate_case
+ * checks for the case as recorded; award also needs the standstill period to
+ * have run and a contract_id already in the contract register. A blocked move
+ * returns PRECONDITION_FAILED with the outstanding checks and leaves the case
+ * unchanged.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { STATUSES, checkTransition, stageFor, nextStatuses, renderCase } = require('../procurement-case');
+const store = require('../case-store');
+const contractStore = require('../contract-store');
+
+/**
+ * Execute the gcc_procurement_advance_case tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['case_id', 'to_status', 'officer']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const toStatus = String(input.to_status).trim().toLowerCase();
+    if (!STATUSES.includes(toStatus)) {
+        return createError(ERROR_CODES.BAD_REQUEST, `to_status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (['cancelled', 'abandoned'].includes(toStatus) && !input.notes) {
+        return createError(ERROR_CODES.BAD_REQUEST, `notes are required to record why the case is ${toStatus}`);
+    }
+
+    const found = await store.readCaseForUpdate(input.case_id);
+    if (!found) {
+        return createError(ERROR_CODES.NOT_FOUND, `Case not found: ${input.case_id}`);
+    }
+    const existing = found.record;
+
+    const context = {};
+    if (toStatus === 'awarded') {
+        context.contractId = input.contract_id;
+        context.contractExists = Boolean(input.contract_id && await contractStore.readContract(input.contract_id));
+    }
+
+    const check = checkTransition(existing, toStatus, context);
+    if (!check.allowed) {
+        return createError(
+            ERROR_CODES.PRECONDITION_FAILED,
+            `${input.case_id} cannot move from ${existing.status} to ${toStatus}: ${check.blocking.length} check(s) outstanding`,
+            { from_status: existing.status, to_status: toStatus, blocking_checks: check.blocking }
+        );
+    }
+
+    const at = new Date().toISOString();
+    const fromStage = stageFor(existing.status);
+    const toStage = stageFor(toStatus);
+    const stagesCompleted = [...existing.stages_completed];
+    if (fromStage && toStage && fromStage.stage_id !== toStage.stage_id) {
+        stagesCompleted.push({
+            stage_id: fromStage.stage_id,
+            name: fromStage.name,
+            completed_date: at.slice(0, 10),
+            officer: input.officer,
+            ...(input.notes ? { notes: input.notes } : {}),
+        });
+    }
+
+    const entry = {
+        at,
+        officer: input.officer,
+        action: 'advanced',
+        from_status: existing.status,
+        to_status: toStatus,
+        verified_checks: check.verified_checks,
+        ...(input.contract_id ? { contract_id: input.contract_id } : {}),
+        ...(input.notes ? { notes: input.notes } : {}),
+    };
+
+    const stored = {
+        ...existing,
+        status: toStatus,
+        stages_completed: stagesCompleted,
+        contract_id: toStatus === 'awarded' ? input.contract_id : existing.contract_id,
+        history: [...existing.history, entry],
+        updated_at: at,
+        version: existing.version + 1,
+    };
+    if (!(await store.writeCase(stored, { etag: found.etag }))) {
+        return createError(ERROR_CODES.CONFLICT, `Case ${input.case_id} was changed by another update while this one was in progress. Get the case again and retry.`);
+    }
+
+    const result = {
+        case: stored,
+        from_status: existing.status,
+        to_status: toStatus,
+        verified_checks: check.verified_checks,
+        next_statuses: nextStatuses(toStatus),
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = renderCase('Procurement Case Advanced', stored);
+    lines.push('', `**${existing.status} → ${toStatus}** by ${input.officer}`);
+    if (check.verified_checks.length > 0) lines.push(`✅ Verified: ${check.verified_checks.join(', ')}`);
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,202 @@
+/**
+ * Tool: gcc_procurement_contract_performance
+ *
+ * Performance position of one contract in the register: the review schedule
+ * due for its value with overdue reviews flagged, the latest rating of each
+ * KPI, late and overdue invoice payments, and whether a UK9 Contract
+ * Performance Notice is needed.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { isIsoDate } = require('../field-check');
+const { summariseContract } = require('../contract-record');
+const {
+    NOTICES,
+    KPI_REQUIRED_ABOVE_GBP,
+    REMEDIATION_RATINGS,
+    PAYMENT_TERMS_DAYS,
+    PAYMENT_STATUS_LABELS,
+    emptyRecord,
+    contractValue,
+    reviewSchedule,
+    kpiStatus,
+    invoiceStatus,
+} = require('../contract-performance');
+const { today } = require('../calendar');
+const contracts = require('../contract-store');
+const store = require('../performance-store');
+
+const REVIEW_LABELS = {
+    completed: '✅ Completed',
+    overdue: '❌ Overdue',
+    due_soon: '⚠️ Due soon',
+    scheduled: '⏳ Scheduled',
+};
+
+function paymentSummary(invoices) {
+    const paid = invoices.filter(i => i.days_to_pay !== null);
+    const onTime = paid.filter(i => i.status === 'paid_on_time');
+    return {
+        invoices: invoices.length,
+        paid: paid.length,
+        paid_within_terms_percent: paid.length === 0 ? null : Math.round((onTime.length / paid.length) * 1000) / 10,
+        average_days_to_pay: paid.length === 0 ? null : Math.round((paid.reduce((t, i) => t + i.days_to_pay, 0) / paid.length) * 10) / 10,
+        paid_late: invoices.filter(i => i.status === 'paid_late').length,
+        overdue: invoices.filter(i => i.status === 'overdue').length,
+        disputed: invoices.filter(i => i.status === 'disputed').length,
+    };
+}
+
+function renderMarkdown(result) {
+    const c = result.contract;
+    const lines = [
+        `## Contract Performance — ${c.contract_id}`,
+        '',
+        `**Title:** ${c.title}`,
+        `**Supplier:** ${c.supplier_name || '—'}`,
+        `**Value:** £${result.value_gbp.toLocaleString('en-GB')} · **Term:** ${c.start_date} to ${c.expiry_date} · **Status:** ${c.status}`,
+        `**As of:** ${result.as_of}`,
+    ];
+
+    if (result.warnings.length > 0) {
+        lines.push('', '### ⚠️ Attention');
+        result.warnings.forEach(w => lines.push(`- ${w}`));
+    }
+
+    lines.push('', '### Review Schedule');
+    if (result.review_schedule.reviews.length === 0) {
+        lines.push('No reviews are due for this contract.');
+    } else {
+        lines.push('| Review | Due | Status | Cadence |', '|---|---|---|---|');
+        for (const r of result.review_schedule.reviews) {
+            const detail = r.held_date ? ` (held ${r.held_date})` : r.days_overdue ? ` (${r.days_overdue} days)` : '';
+            lines.push(`| ${r.review_type} | ${r.due_date} | ${REVIEW_LABELS[r.status]}${detail} | ${r.cadence} |`);
+        }
+        lines.push('', `*${result.review_schedule.policy_note}*`);
+    }
+
+    lines.push('', '### KPIs');
+    if (result.kpis.length === 0) {
+        lines.push(result.kpis_required ? '❌ No KPIs recorded — KPIs are required for this contract.' : 'No KPIs recorded.');
+    } else {
+        lines.push('| KPI | Target | Rating | Last period | Next reading due |', '|---|---|---|---|---|');
+        for (const k of result.kpis) {
+            lines.push(`| ${k.kpi_id} — ${k.description} | ${k.target} | ${k.current_rating || '—'} | ${k.last_period_end || '—'} | ${k.next_reading_due}${k.reading_overdue ? ' ❌' : ''} |`);
+        }
+    }
+
+    lines.push('', `### Payments (${PAYMENT_TERMS_DAYS}-day terms)`);
+    const p = result.payments.summary;
+    if (p.invoices === 0) {
+        lines.push('No invoices recorded.');
+    } else {
+        lines.push(`${p.paid} of ${p.invoices} invoice(s) paid · ${p.paid_within_terms_percent ?? '—'}% within terms · average ${p.average_days_to_pay ?? '—'} days`);
+        for (const i of result.payments.exceptions) {
+            lines.push(`- ${PAYMENT_STATUS_LABELS[i.status]}: ${i.invoice_id} — £${i.amount_gbp.toLocaleString('en-GB')}, received ${i.received_date}, due ${i.due_date}`);
+        }
+    }
+
+    lines.push('', '### Notices');
+    for (const n of result.notices) {
+        lines.push(`- ${n.required ? '⚠️' : '—'} **${n.code} ${n.name}** — ${n.reason}`);
+    }
+
+    lines.push('', `*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_contract_performance tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+    if (input.as_of !== undefined && !isIsoDate(input.as_of)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'as_of must be a date in YYYY-MM-DD format');
+    }
+    const asOf = input.as_of || today();
+
+    const contract = await contracts.readContract(input.contract_id);
+    if (!contract) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found in the register: ${input.contract_id}`);
+    }
+
+    const record = (await store.readPerformance(input.contract_id)) || emptyRecord(input.contract_id);
+    const value = contractValue(contract);
+    const schedule = reviewSchedule(contract, record.reviews, asOf);
+    const kpis = kpiStatus(contract, record.kpis, asOf);
+    const invoices = record.invoices.map(i => invoiceStatus(i, asOf));
+    const kpisRequired = value > KPI_REQUIRED_ABOVE_GBP;
+
+    const warnings = [];
+    for (const r of schedule.overdue) {
+        warnings.push(`${r.review_type} was due ${r.due_date} and has not been recorded (${r.days_overdue} days overdue)`);
+    }
+    if (kpisRequired && kpis.length === 0) {
+        warnings.push(`No KPIs recorded — KPIs are required above £${KPI_REQUIRED_ABOVE_GBP.toLocaleString('en-GB')} (s.70 PA 2023)`);
+    }
+    for (const k of kpis) {
+        if (REMEDIATION_RATINGS.includes(k.current_rating)) {
+            warnings.push(`KPI ${k.kpi_id} is rated ${k.current_rating}`);
+        }
+        if (k.reading_overdue) {
+            warnings.push(`KPI ${k.kpi_id} ${k.reporting_frequency} reading was due by ${k.next_reading_due}`);
+        }
+    }
+    const exceptions = invoices.filter(i => ['paid_late', 'overdue', 'disputed'].includes(i.status));
+    const overdueInvoices = invoices.filter(i => i.status === 'overdue');
+    if (overdueInvoices.length > 0) {
+        warnings.push(`${overdueInvoices.length} invoice(s) unpaid after ${PAYMENT_TERMS_DAYS} days`);
+    }
+
+    const uk9Required = kpisRequired && kpis.length > 0;
+    const notices = [
+        {
+            code: 'UK9',
+            name: NOTICES.UK9.name,
+            required: uk9Required,
+            timing: NOTICES.UK9.timing,
+            section: NOTICES.UK9.section,
+            reason: uk9Required
+                ? `Above £${KPI_REQUIRED_ABOVE_GBP.toLocaleString('en-GB')} with KPIs — ${NOTICES.UK9.timing.toLowerCase()}`
+                : `Only for contracts above £${KPI_REQUIRED_ABOVE_GBP.toLocaleString('en-GB')} with KPIs`,
+        },
+        {
+            code: 'UK17',
+            name: NOTICES.UK17.name,
+            required: true,
+            timing: NOTICES.UK17.timing,
+            section: NOTICES.UK17.section,
+            reason: 'Council-wide — payments on this contract count towards it (see gcc_procurement_payment_compliance)',
+        },
+    ];
+
+    const result = {
+        contract: summariseContract(contract),
+        as_of: asOf,
+        value_gbp: value,
+        review_schedule: schedule,
+        reviews_held: record.reviews,
+        kpis_required: kpisRequired,
+        kpis,
+        payments: { summary: paymentSummary(invoices), invoices, exceptions },
+        notices,
+        warnings,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,57 @@
+/**
+ * Tool: gcc_procurement_create_contract
+ *
+ * Adds a contract to the GCC contract register. The record is validated
+ * against contract_record in procurement-contracts-schema-v0.9.3.json and
+ * stored in blob storage (see ../contract-store.js).
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { validateContractRecord, stripMetadata, renderContract } = require('../contract-record');
+const store = require('../contract-store');
+
+/**
+ * Execute the gcc_procurement_create_contract tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const record = stripMetadata(input.contract);
+    const validationErrors = validateContractRecord(record);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Contract record failed schema validation', {
+            validation_errors: validationErrors,
+        });
+    }
+
+    if (await store.readContract(record.contract_id)) {
+        return createError(
+            ERROR_CODES.CONFLICT,
+            `Contract ${record.contract_id} already exists. Use gcc_procurement_update_contract to change it.`
+        );
+    }
+
+    const now = new Date().toISOString();
+    const stored = { ...record, created_at: now, updated_at: now, version: 1 };
+    await store.writeContract(stored);
+
+    const result = { contract: stored, schema_version: SCHEMA_VERSION };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = renderContract('Contract Created', stored);
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,121 @@
+/**
+ * Tool: gcc_procurement_draft_notice
+ *
+ * Produces a pre-filled draft of a UK procurement notice (UK1–UK17) from a
+ * procurement case, in the release structure Find a Tender publishes, and
+ * lists the mandatory fields still missing. See ../notice-drafts.js for the
+ * notice templates.
+ *
+ * Works offline: nothing is sent to Find a Tender. Read-only.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION, findNotice } = require('../schema-loader');
+const { DRAFTABLE_CODES, validateProcurement, draftNotice } = require('../notice-drafts');
+const getNotices = require('./get-notices');
+
+// Notices that belong to one point in the competitive or direct award sequence
+const SEQUENCE_NOTICES = ['UK4', 'UK5', 'UK6', 'UK7'];
+
+/**
+ * Warn when the notice is not in the sequence gcc_procurement_get_notices
+ * derives for this value, type and route.
+ */
+function sequenceWarnings(code, procurement) {
+    const { value_gbp, contract_type, procurement_route } = procurement;
+    if (!SEQUENCE_NOTICES.includes(code) || value_gbp === undefined || !contract_type || !procurement_route) return [];
+
+    const notices = getNotices.execute({ value_gbp, contract_type, procurement_route, response_format: 'json' });
+    if (!notices.ok || !notices.result.is_above_threshold) return [];
+
+    const codes = notices.result.required_notices.map(n => n.code);
+    if (codes.includes(code)) return [];
+    return [`${code} is not in the notice sequence for a £${value_gbp.toLocaleString()} ${contract_type} contract by ${procurement_route} (${codes.join(', ')}). Check the notice code.`];
+}
+
+function renderMarkdown(result) {
+    const n = result.notice;
+    const lines = [
+        `## Draft ${n.code} — ${n.name}`,
+        '',
+        `**Status:** ${result.status === 'ready' ? '✅ All mandatory fields present' : `❌ ${result.missing_fields.length} mandatory field(s) missing`}`,
+        `**Timing:** ${n.timing}`,
+        `**Legal basis:** ${n.section}`,
+        `**Platform:** ${result.platform}`,
+    ];
+
+    if (result.missing_fields.length > 0) {
+        lines.push('', '### Missing Fields');
+        result.missing_fields.forEach(f => lines.push(`- \`${f.path}\` — ${f.label}`));
+    }
+
+    if (result.warnings.length > 0) {
+        lines.push('', '### ⚠️ Warnings');
+        result.warnings.forEach(w => lines.push(`- ${w}`));
+    }
+
+    lines.push('', '### Draft', '', '```json', JSON.stringify(result.draft, null, 2), '```');
+    lines.push('', '*Draft only — review and publish through Find a Tender. Nothing has been submitted.*');
+    lines.push(`*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_draft_notice tool.
+ * @param {object} input
+ * @returns {object}
+ */
+function execute(input = {}) {
+    const missing = validateRequired(input, ['notice_code', 'procurement']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const code = String(input.notice_code).trim().toUpperCase();
+    if (!DRAFTABLE_CODES.includes(code)) {
+        return createError(
+            ERROR_CODES.BAD_REQUEST,
+            `notice_code must be one of the notices defined in the schema: ${DRAFTABLE_CODES.join(', ')}`
+        );
+    }
+
+    const procurement = input.procurement;
+    if (procurement === null || typeof procurement !== 'object' || Array.isArray(procurement)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'procurement must be an object');
+    }
+
+    const validationErrors = validateProcurement(procurement);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Procurement details are not valid', { validation_errors: validationErrors });
+    }
+
+    const notice = findNotice(code);
+    const { draft, missing_fields } = draftNotice(code, procurement);
+
+    const result = {
+        notice_code: code,
+        notice: {
+            code,
+            name: notice.name,
+            timing: notice.timing,
+            mandatory: notice.mandatory,
+            section: notice.section,
+        },
+        status: missing_fields.length === 0 ? 'ready' : 'incomplete',
+        missing_fields,
+        warnings: sequenceWarnings(code, procurement),
+        draft,
+        platform: 'Find a Tender (find-tender.service.gov.uk)',
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,166 @@
+/**
+ * Tool: gcc_procurement_export_contract_register
+ *
+ * Produces the published contract register from the stored contract records:
+ * awarded contracts above contract_register.threshold_for_inclusion_gbp, with
+ * the contract_register.minimum_fields columns, as CSV or JSON.
+ *
+ * Source: contract_register — Contract Rule 19.2, Local Government
+ * Transparency Code 2015.
+ */
+
+'use strict';
+
+const { createError, createSuccess, ERROR_CODES } = require('../../util/errors');
+const { schema, SCHEMA_VERSION, isAboveThreshold } = require('../schema-loader');
+const store = require('../contract-store');
+
+const REGISTER = schema.contract_register;
+const COLUMNS = REGISTER.minimum_fields;
+
+// Contracts that have been let and not cancelled. Pipeline, in_procurement,
+// standstill and cancelled records are not contracts yet and are never published.
+const CURRENT_STATUSES = ['awarded_not_commenced', 'live', 'extension_active', 'novated'];
+const ENDED_STATUSES = ['expired', 'terminated_early'];
+
+// Register columns that do not share a name with a contract_record field
+const COLUMN_SOURCES = {
+    supplier_name: r => (r.supplier ? r.supplier.name : null),
+    responsible_service_area: r => (r.responsible_officer ? r.responsible_officer.service_area : null),
+    responsible_officer: r => (r.responsible_officer ? r.responsible_officer.name : null),
+    find_a_tender_ocid: r => r.ocid,
+};
+
+// contract_record.category → isAboveThreshold contract type
+const THRESHOLD_TYPES = { light_touch_services: 'light_touch' };
+
+function toRow(record) {
+    const row = {};
+    for (const column of COLUMNS) {
+        const value = COLUMN_SOURCES[column] ? COLUMN_SOURCES[column](record) : record[column];
+        row[column] = value === undefined ? null : value;
+    }
+    return row;
+}
+
+/**
+ * Format one CSV cell (RFC 4180). Text starting with a formula character is
+ * prefixed with an apostrophe so spreadsheets do not evaluate it.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render register rows as CSV with a header row and CRLF line endings.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+    const lines = [COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(COLUMNS.map(column => csvCell(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function renderMarkdown(result) {
+    const lines = [
+        '## Contract Register Export',
+        '',
+        `**${result.row_count} contract(s)** above £${result.threshold_for_inclusion_gbp.toLocaleString()} | **Format:** ${result.format.toUpperCase()}`,
+        `**Excluded:** ${result.excluded.below_threshold} at or below threshold, ${result.excluded.not_published_status} not yet awarded or cancelled${result.include_ended ? '' : `, ${result.excluded.ended} expired or terminated`}`,
+        '',
+    ];
+
+    if (result.warnings.length > 0) {
+        lines.push('### ⚠️ Warnings', '');
+        result.warnings.forEach(w => lines.push(`- ${w.contract_id}: ${w.message}`));
+        lines.push('');
+    }
+
+    if (result.format === 'csv') {
+        lines.push('```csv', result.csv.trimEnd(), '```');
+    } else {
+        lines.push('```json', JSON.stringify(result.rows, null, 2), '```');
+    }
+
+    lines.push('', `**Requirement:** ${result.publication_requirement}`);
+    lines.push(`**Source:** ${result.legislative_basis} (Contract Rules ${result.source_rule})`);
+    lines.push(`*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_export_contract_register tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const format = (input.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'format must be one of: csv, json');
+    }
+
+    const includeEnded = input.include_ended === true;
+    const threshold = REGISTER.threshold_for_inclusion_gbp;
+    const statuses = includeEnded ? [...CURRENT_STATUSES, ...ENDED_STATUSES] : CURRENT_STATUSES;
+
+    const records = await store.listAllContracts();
+    const excluded = { below_threshold: 0, not_published_status: 0, ended: 0 };
+    const published = [];
+
+    for (const record of records) {
+        if (ENDED_STATUSES.includes(record.status) && !includeEnded) {
+            excluded.ended++;
+        } else if (!statuses.includes(record.status)) {
+            excluded.not_published_status++;
+        } else if (!(record.value_actual_gbp > threshold)) {
+            excluded.below_threshold++;
+        } else {
+            published.push(record);
+        }
+    }
+
+    const warnings = [];
+    for (const record of published) {
+        const type = THRESHOLD_TYPES[record.category] || record.category;
+        const check = isAboveThreshold(record.value_actual_gbp, type);
+        if (check.above && !record.ocid) {
+            warnings.push({
+                contract_id: record.contract_id,
+                message: `Above the PA2023 threshold (£${check.thresholdGbp.toLocaleString()}) but no Find a Tender OCID recorded`,
+            });
+        }
+    }
+
+    const rows = published.map(toRow);
+    const result = {
+        format,
+        generated_at: new Date().toISOString(),
+        include_ended: includeEnded,
+        threshold_for_inclusion_gbp: threshold,
+        columns: COLUMNS,
+        row_count: rows.length,
+        excluded,
+        warnings,
+        ...(format === 'csv' ? { csv: toCsv(rows) } : { rows }),
+        publication_requirement: REGISTER.publication_requirement,
+        legislative_basis: REGISTER.legislative_basis,
+        maintained_by: REGISTER.maintained_by,
+        update_frequency: REGISTER.update_frequency,
+        source_rule: REGISTER.source_rule,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute, toCsv };
@@ -0,0 +1,94 @@
+/**
+ * Tool: gcc_procurement_get_case
+ *
+ * Returns a procurement case with its history, the current validate_case
+ * result and whether each next status is ready to be entered.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const {
+    validateAgainstRules,
+    checkTransition,
+    stageFor,
+    nextStatuses,
+    renderCase,
+} = require('../procurement-case');
+const store = require('../case-store');
+
+function renderMarkdown(result) {
+    const lines = renderCase('Procurement Case', result.case);
+    lines.push('', `**Validation:** ${result.validation.overall_status}`);
+
+    if (result.next_steps.length > 0) {
+        lines.push('', '### Next Steps');
+        for (const step of result.next_steps) {
+            lines.push(`- ${step.ready ? '✅' : '❌'} **${step.status}**`);
+            step.blocking_checks.forEach(b => lines.push(`  - ${b.check}: ${b.reason}`));
+        }
+    }
+
+    if (result.case.history) {
+        lines.push('', '### History');
+        for (const entry of result.case.history) {
+            const what = entry.action === 'advanced'
+                ? `${entry.from_status} → ${entry.to_status}`
+                : (entry.changes || []).map(c => c.field).join(', ');
+            lines.push(`- ${entry.at} — ${entry.officer} — ${entry.action}: ${what}${entry.notes ? ` (${entry.notes})` : ''}`);
+        }
+    }
+
+    lines.push('', `*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_get_case tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['case_id']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const procurementCase = await store.readCase(input.case_id);
+    if (!procurementCase) {
+        return createError(ERROR_CODES.NOT_FOUND, `Case not found: ${input.case_id}`);
+    }
+
+    const validation = validateAgainstRules(procurementCase);
+    const nextSteps = nextStatuses(procurementCase.status)
+        .filter(status => !['cancelled', 'abandoned'].includes(status))
+        .map(status => {
+            const check = checkTransition(procurementCase, status);
+            return { status, ready: check.allowed, blocking_checks: check.blocking };
+        });
+
+    const caseOut = { ...procurementCase };
+    if (input.include_history === false) delete caseOut.history;
+
+    const result = {
+        case: caseOut,
+        current_stage: stageFor(procurementCase.status),
+        validation: {
+            overall_status: validation.overall_status,
+            triggered_flags: validation.triggered_flags.map(f => f.flag_id),
+            missing_assessments: validation.missing_assessments.map(m => m.assessment),
+            verified_checks: validation.verified_checks.map(c => c.check),
+        },
+        next_steps: nextSteps,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
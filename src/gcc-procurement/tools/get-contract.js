@@ -0,0 +1,41 @@
+/**
+ * Tool: gcc_procurement_get_contract
+ *
+ * Returns one contract record from the GCC contract register.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { renderContract } = require('../contract-record');
+const store = require('../contract-store');
+
+/**
+ * Execute the gcc_procurement_get_contract tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const contract = await store.readContract(input.contract_id);
+    if (!contract) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found: ${input.contract_id}`);
+    }
+
+    const result = { contract, schema_version: SCHEMA_VERSION };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = renderContract('Contract', contract);
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,62 @@
+/**
+ * Tool: gcc_procurement_list_cases
+ *
+ * Lists stored procurement cases, optionally filtered by status or service area.
+ */
+
+'use strict';
+
+const { createSuccess } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { CLOSED_STATUSES, summariseCase } = require('../procurement-case');
+const store = require('../case-store');
+
+function renderMarkdown(result) {
+    const lines = [`## Procurement Cases — ${result.count} case(s)`, ''];
+
+    if (result.count === 0) {
+        lines.push('No cases match these filters.');
+    } else {
+        lines.push('| Case | Title | Service area | Value | Status | Contract |');
+        lines.push('|---|---|---|---|---|---|');
+        for (const c of result.cases) {
+            lines.push(`| ${c.case_id} | ${c.title} | ${c.service_area} | £${c.value_estimated_gbp.toLocaleString()} | ${c.status} | ${c.contract_id || '—'} |`);
+        }
+    }
+
+    lines.push('', `*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_list_cases tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const { status, service_area, open_only } = input;
+
+    let cases = await store.listAllCases();
+
+    if (status) cases = cases.filter(c => c.status === status);
+    if (open_only) cases = cases.filter(c => !CLOSED_STATUSES.includes(c.status));
+    if (service_area) {
+        const needle = String(service_area).trim().toLowerCase();
+        cases = cases.filter(c => String(c.service_area || '').toLowerCase().includes(needle));
+    }
+
+    const result = {
+        filters: { status, service_area, open_only },
+        count: cases.length,
+        cases: cases.map(summariseCase),
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,72 @@
+/**
+ * Tool: gcc_procurement_list_contracts
+ *
+ * Lists contracts in the GCC contract register, optionally filtered by status,
+ * category, route, service area, supplier or expiry date.
+ */
+
+'use strict';
+
+const { createError, createSuccess, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { summariseContract } = require('../contract-record');
+const store = require('../contract-store');
+
+function contains(haystack, needle) {
+    return String(haystack || '').toLowerCase().includes(String(needle).trim().toLowerCase());
+}
+
+function renderMarkdown(result) {
+    const lines = [`## Contract Register — ${result.count} contract(s)`, ''];
+
+    if (result.count === 0) {
+        lines.push('No contracts match these filters.');
+    } else {
+        lines.push('| Contract | Title | Supplier | Value | Expiry | Status |');
+        lines.push('|---|---|---|---|---|---|');
+        for (const c of result.contracts) {
+            const value = typeof c.value_actual_gbp === 'number' ? `£${c.value_actual_gbp.toLocaleString()}` : '—';
+            lines.push(`| ${c.contract_id} | ${c.title} | ${c.supplier_name || '—'} | ${value} | ${c.expiry_date} | ${c.status} |`);
+        }
+    }
+
+    lines.push('', `*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_list_contracts tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const { status, category, procurement_route, service_area, supplier, expiring_before } = input;
+
+    if (expiring_before !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(expiring_before)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'expiring_before must be a date in YYYY-MM-DD format');
+    }
+
+    let records = await store.listAllContracts();
+
+    if (status) records = records.filter(r => r.status === status);
+    if (category) records = records.filter(r => r.category === category);
+    if (procurement_route) records = records.filter(r => r.procurement_route === procurement_route);
+    if (service_area) records = records.filter(r => r.responsible_officer && contains(r.responsible_officer.service_area, service_area));
+    if (supplier) records = records.filter(r => r.supplier && contains(r.supplier.name, supplier));
+    if (expiring_before) records = records.filter(r => r.expiry_date && r.expiry_date <= expiring_before);
+
+    const result = {
+        filters: { status, category, procurement_route, service_area, supplier, expiring_before },
+        count: records.length,
+        contracts: records.map(summariseContract),
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
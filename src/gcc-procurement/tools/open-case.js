@@ -0,0 +1,98 @@
+/**
+ * Tool: gcc_procurement_open_case
+ *
+ * Opens a stored procurement case at pipeline status. The route is decided by
+ * gcc_procurement_determine_route when the case is opened, and the tier,
+ * decision type and key decision triggers are recorded on the case.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const {
+    CASE_ID_PATTERN,
+    ASSERTABLE_FIELDS,
+    validateCaseFields,
+    determineCaseRoute,
+    fieldChanges,
+    nextStatuses,
+    renderCase,
+} = require('../procurement-case');
+const store = require('../case-store');
+
+/**
+ * Execute the gcc_procurement_open_case tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['case_id', 'title', 'service_area', 'value_estimated_gbp', 'contract_type', 'officer']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+    if (!CASE_ID_PATTERN.test(input.case_id)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'case_id must match GCC-PROC-YYYY-NNNN, e.g. GCC-PROC-2026-0042');
+    }
+
+    const fields = {};
+    for (const field of Object.keys(ASSERTABLE_FIELDS)) {
+        if (input[field] !== undefined) fields[field] = input[field];
+    }
+    const validationErrors = validateCaseFields(fields);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Case failed schema validation', { validation_errors: validationErrors });
+    }
+
+    const exists = `Case ${input.case_id} already exists. Use gcc_procurement_update_case to change it.`;
+    if (await store.readCase(input.case_id)) {
+        return createError(ERROR_CODES.CONFLICT, exists);
+    }
+
+    const now = new Date().toISOString();
+    const procurementCase = {
+        case_id: input.case_id,
+        ...fields,
+        ...determineCaseRoute(fields),
+        status: 'pipeline',
+        stages_completed: [],
+        contract_id: null,
+        history: [{
+            at: now,
+            officer: input.officer,
+            action: 'opened',
+            changes: fieldChanges({}, fields),
+            ...(input.notes ? { notes: input.notes } : {}),
+        }],
+        created_at: now,
+        updated_at: now,
+        version: 1,
+    };
+    if (!(await store.writeCase(procurementCase, { create: true }))) {
+        return createError(ERROR_CODES.CONFLICT, exists);
+    }
+
+    const result = {
+        case: procurementCase,
+        next_statuses: nextStatuses(procurementCase.status),
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const determination = procurementCase.route_determination;
+    const lines = renderCase('Procurement Case Opened', procurementCase);
+    lines.push(
+        '',
+        `**Award authority:** ${determination.award_authority_label}`,
+        `**Key decision:** ${determination.key_decision ? `YES — ${procurementCase.key_decision_triggers.join(', ')}` : 'NO'}`,
+        `**Notices:** ${determination.required_notices.join(', ') || 'none'}`,
+        '',
+        `*Schema version: ${SCHEMA_VERSION}*`
+    );
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,126 @@
+/**
+ * Tool: gcc_procurement_payment_compliance
+ *
+ * Payment statistics across the contract register for one reporting period,
+ * as a UK17 Payment Compliance Notice reports them: invoices paid within the
+ * 30-day terms, average days to pay, late payments and payments above
+ * £30,000. Reads the invoices recorded with gcc_procurement_record_invoice.
+ */
+
+'use strict';
+
+const { createError, createSuccess, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { isIsoDate } = require('../field-check');
+const {
+    NOTICES,
+    PAYMENT_TERMS_DAYS,
+    UK17_DETAIL_THRESHOLD_GBP,
+    lastCompletedPeriod,
+    paymentStatistics,
+} = require('../contract-performance');
+const { today, addDays } = require('../calendar');
+const contracts = require('../contract-store');
+const store = require('../performance-store');
+
+function money(value) {
+    return `£${value.toLocaleString('en-GB')}`;
+}
+
+function renderMarkdown(result) {
+    const s = result.statistics;
+    const lines = [
+        `## Payment Compliance — ${result.period.start} to ${result.period.end}`,
+        '',
+        `**UK17 ${result.notice.name}** due by ${result.notice.due_by} (${result.notice.timing.toLowerCase()})`,
+        '',
+    ];
+
+    if (s.invoices_paid === 0) {
+        lines.push('No invoices were paid in this period.');
+    } else {
+        lines.push(
+            `- Invoices paid: ${s.invoices_paid} (${money(s.total_paid_gbp)})`,
+            `- Paid within ${PAYMENT_TERMS_DAYS} days: ${s.paid_within_terms} (${s.paid_within_terms_percent}%)`,
+            `- Paid late: ${s.paid_late} (${s.paid_late_percent}%)`,
+            `- Average days to pay: ${s.average_days_to_pay}`
+        );
+    }
+    lines.push(`- Unpaid and overdue at period end: ${s.overdue_unpaid_at_period_end} (${money(s.overdue_unpaid_gbp)})`);
+
+    if (s.payments_above_threshold.length > 0) {
+        lines.push('', `### Payments above ${money(UK17_DETAIL_THRESHOLD_GBP)}`);
+        lines.push('| Contract | Supplier | Invoice | Amount | Paid | Days |', '|---|---|---|---|---|---|');
+        for (const p of s.payments_above_threshold) {
+            lines.push(`| ${p.contract_id} | ${p.supplier_name || '—'} | ${p.invoice_id} | ${money(p.amount_gbp)} | ${p.paid_date} | ${p.days_to_pay}${p.status === 'paid_late' ? ' ❌' : ''} |`);
+        }
+    }
+
+    if (s.late_payments.length > 0) {
+        lines.push('', '### Late Payments');
+        for (const p of s.late_payments) {
+            lines.push(`- ${p.contract_id} ${p.invoice_id} — ${money(p.amount_gbp)}, ${p.days_late} days late`);
+        }
+    }
+
+    lines.push('', `*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_payment_compliance tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const { period_start, period_end, contract_id } = input;
+
+    if ((period_start === undefined) !== (period_end === undefined)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Give both period_start and period_end, or neither for the last completed reporting period');
+    }
+    if (period_start !== undefined) {
+        if (!isIsoDate(period_start) || !isIsoDate(period_end)) {
+            return createError(ERROR_CODES.BAD_REQUEST, 'period_start and period_end must be dates in YYYY-MM-DD format');
+        }
+        if (period_end < period_start) {
+            return createError(ERROR_CODES.BAD_REQUEST, 'period_end cannot be before period_start');
+        }
+    }
+    const period = period_start ? { start: period_start, end: period_end } : lastCompletedPeriod(today());
+
+    const [records, register] = await Promise.all([store.listAllPerformance(), contracts.listAllContracts()]);
+    const suppliers = new Map(register.map(c => [c.contract_id, c.supplier ? c.supplier.name : null]));
+
+    const entries = records
+        .filter(r => !contract_id || r.contract_id === contract_id)
+        .flatMap(r => r.invoices.map(invoice => ({
+            contract_id: r.contract_id,
+            supplier_name: suppliers.get(r.contract_id) || null,
+            invoice,
+        })));
+
+    const statistics = paymentStatistics(entries, period);
+
+    const result = {
+        period,
+        ...(contract_id ? { contract_id } : {}),
+        notice: {
+            code: 'UK17',
+            name: NOTICES.UK17.name,
+            timing: NOTICES.UK17.timing,
+            due_by: addDays(period.end, 30),
+        },
+        payment_terms_days: PAYMENT_TERMS_DAYS,
+        detail_threshold_gbp: UK17_DETAIL_THRESHOLD_GBP,
+        statistics,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,179 @@
+/**
+ * Tool: gcc_procurement_plan_timeline
+ *
+ * Dated procurement plan from launch to contract: minimum tender periods,
+ * evaluation, the award decision with its Forward Plan notice and Cabinet
+ * agenda, call-in, the 8-working-day standstill and the UK7 deadline.
+ * Works back from a target contract date or forward from a launch date, on
+ * England & Wales working days, and flags schedules that cannot be met.
+ * See ../procurement-timeline.js. Read-only.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { isIsoDate } = require('../field-check');
+const { determineCaseRoute } = require('../procurement-case');
+const { ROUTES, planTimeline } = require('../procurement-timeline');
+const { today, bankHolidaysBetween } = require('../calendar');
+
+const VALID_TYPES = ['goods', 'services', 'works', 'light_touch', 'concession', 'mixed'];
+const REDUCTIONS = ['market_engagement_notice', 'planned_procurement_notice', 'urgency'];
+// Longest periods accepted: a year's tender period and a year of working days
+// for each internal stage. Anything longer is a typo rather than a plan
+const PERIOD_LIMITS = {
+    tender_period_days: 365,
+    evaluation_working_days: 260,
+    shortlisting_working_days: 260,
+    call_in_working_days: 260,
+};
+
+function validate(input) {
+    const errors = [];
+    if (typeof input.value_gbp !== 'number' || !(input.value_gbp > 0)) {
+        errors.push('value_gbp must be a number greater than 0');
+    }
+    if (!VALID_TYPES.includes(input.contract_type)) {
+        errors.push(`contract_type must be one of: ${VALID_TYPES.join(', ')}`);
+    }
+    if (!Object.keys(ROUTES).includes(input.procurement_route)) {
+        errors.push(`procurement_route must be one of: ${Object.keys(ROUTES).join(', ')} (budget_holder_discretion needs no timeline)`);
+    }
+    if (Boolean(input.target_award_date) === Boolean(input.launch_date)) {
+        errors.push('Give exactly one of target_award_date or launch_date');
+    }
+    for (const field of ['target_award_date', 'launch_date', 'forward_plan_published_date', 'as_of']) {
+        if (input[field] !== undefined && !isIsoDate(input[field])) {
+            errors.push(`${field} must be a date in YYYY-MM-DD format`);
+        }
+    }
+    if (input.cabinet_dates !== undefined && (!Array.isArray(input.cabinet_dates) || !input.cabinet_dates.every(isIsoDate))) {
+        errors.push('cabinet_dates must be a list of dates in YYYY-MM-DD format');
+    }
+    if (input.tender_period_reduction !== undefined && !REDUCTIONS.includes(input.tender_period_reduction)) {
+        errors.push(`tender_period_reduction must be one of: ${REDUCTIONS.join(', ')}`);
+    }
+    for (const [field, limit] of Object.entries(PERIOD_LIMITS)) {
+        if (input[field] !== undefined && !(Number.isInteger(input[field]) && input[field] >= 0 && input[field] <= limit)) {
+            errors.push(`${field} must be a whole number of days from 0 to ${limit}`);
+        }
+    }
+    return errors;
+}
+
+function renderMarkdown(result) {
+    const r = result.route;
+    const lines = [
+        `## Procurement Timeline — ${result.procurement_route}`,
+        '',
+        `**Status:** ${result.feasible ? '✅ Achievable' : `❌ Cannot be met as planned (${result.issues.length} issue(s))`}`,
+        `**Value:** £${result.value_gbp.toLocaleString('en-GB')} ${result.contract_type} · **Tier:** ${r.tier} — ${r.award_authority_label}`,
+        `**Decision:** ${r.decision_type}${r.key_decision ? ' · key decision' : ''}${r.forward_plan_required ? ' · Forward Plan required' : ''} · ${r.is_above_threshold ? 'above' : 'below'} PA2023 threshold`,
+        result.mode === 'backward'
+            ? `**Target contract date:** ${result.target_award_date}${result.contract_date ? ` · latest launch ${result.launch_date} (${result.slack_days} day(s) spare)` : ''}`
+            : `**Launch:** ${result.launch_date || result.requested_launch_date}${result.contract_date ? ` · earliest contract ${result.contract_date}` : ''}`,
+    ];
+
+    if (result.issues.length > 0) {
+        lines.push('', '### ❌ Issues');
+        result.issues.forEach(i => lines.push(`- **${i.milestone}:** ${i.reason}`));
+    }
+
+    if (result.warnings.length > 0) {
+        lines.push('', '### ⚠️ Warnings');
+        result.warnings.forEach(w => lines.push(`- ${w}`));
+    }
+
+    if (result.milestones.length > 0) {
+        lines.push('', '### Milestones', '| Date | Milestone | Basis |', '|---|---|---|');
+        for (const m of result.milestones) {
+            const late = result.issues.some(i => i.milestone === m.key) ? ' ❌' : '';
+            lines.push(`| ${m.date} | ${m.label}${late} | ${m.basis} |`);
+        }
+    }
+
+    if (result.bank_holidays.length > 0) {
+        lines.push('', `**Bank holidays in the plan:** ${result.bank_holidays.map(h => `${h.date} ${h.name}`).join(', ')}`);
+    }
+
+    const a = result.assumptions;
+    lines.push('', `*Assumes ${a.evaluation_working_days} working days' evaluation${result.periods.participation_period_days !== null ? `, ${a.shortlisting_working_days} to shortlist` : ''} and ${a.call_in_working_days} working days' call-in; override them if your cycle differs.*`);
+    lines.push(`*Schema version: ${result.schema_version}*`);
+    return lines.join('\n');
+}
+
+/**
+ * Execute the gcc_procurement_plan_timeline tool.
+ * @param {object} input
+ * @returns {object}
+ */
+function execute(input = {}) {
+    const missing = validateRequired(input, ['value_gbp', 'contract_type', 'procurement_route']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const validationErrors = validate(input);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Timeline inputs are not valid', { validation_errors: validationErrors });
+    }
+
+    const asOf = input.as_of || today();
+    const route = determineCaseRoute({
+        value_estimated_gbp: input.value_gbp,
+        contract_type: input.contract_type,
+        has_ward_impact: input.has_ward_impact,
+        budget_significant: input.budget_significant,
+    });
+    const determination = route.route_determination;
+
+    const plan = planTimeline({
+        procurement_route: input.procurement_route,
+        contract_type: input.contract_type,
+        decision_type: route.decision_type,
+        forward_plan_required: determination.forward_plan_required,
+        is_above_threshold: determination.is_above_threshold,
+        award_authority_label: determination.award_authority_label,
+        target_award_date: input.target_award_date,
+        launch_date: input.launch_date,
+        tender_period_reduction: input.tender_period_reduction,
+        tender_period_days: input.tender_period_days,
+        evaluation_working_days: input.evaluation_working_days,
+        shortlisting_working_days: input.shortlisting_working_days,
+        call_in_working_days: input.call_in_working_days,
+        cabinet_dates: input.cabinet_dates,
+        forward_plan_published_date: input.forward_plan_published_date,
+        as_of: asOf,
+    });
+
+    const dates = plan.milestones.map(m => m.date);
+    const result = {
+        mode: input.target_award_date ? 'backward' : 'forward',
+        as_of: asOf,
+        value_gbp: input.value_gbp,
+        contract_type: input.contract_type,
+        procurement_route: input.procurement_route,
+        ...(input.target_award_date ? { target_award_date: input.target_award_date } : { requested_launch_date: input.launch_date }),
+        route: {
+            tier: route.procurement_tier,
+            award_authority_label: determination.award_authority_label,
+            decision_type: route.decision_type,
+            key_decision: determination.key_decision,
+            key_decision_triggers: route.key_decision_triggers,
+            forward_plan_required: determination.forward_plan_required,
+            is_above_threshold: determination.is_above_threshold,
+        },
+        ...plan,
+        bank_holidays: dates.length > 0 ? bankHolidaysBetween(dates[0], dates[dates.length - 1]) : [],
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    return createSuccess({ text: renderMarkdown(result), raw: result });
+}
+
+module.exports = { execute };
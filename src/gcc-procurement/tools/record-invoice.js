@@ -0,0 +1,119 @@
+/**
+ * Tool: gcc_procurement_record_invoice
+ *
+ * Records an invoice against a contract in the register: when it was
+ * received and, once paid, when it was paid. Calling again with the same
+ * invoice_id updates it — typically to add the paid_date. Payment status is
+ * measured against the 30-day terms s.88 PA 2023 implies into regulated
+ * contracts.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const {
+    PAYMENT_TERMS_DAYS,
+    emptyRecord,
+    stamp,
+    checkPastDate,
+    invoiceStatus,
+    PAYMENT_STATUS_LABELS,
+} = require('../contract-performance');
+const { today } = require('../calendar');
+const contracts = require('../contract-store');
+const store = require('../performance-store');
+
+/**
+ * Execute the gcc_procurement_record_invoice tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id', 'invoice_id', 'officer']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const asOf = today();
+    if (input.amount_gbp !== undefined && !(typeof input.amount_gbp === 'number' && input.amount_gbp > 0)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'amount_gbp must be a number greater than 0');
+    }
+    for (const field of ['received_date', 'paid_date']) {
+        if (input[field] === undefined || input[field] === null) continue;
+        const dateError = checkPastDate(input[field], field, asOf);
+        if (dateError) {
+            return createError(ERROR_CODES.BAD_REQUEST, dateError);
+        }
+    }
+
+    const contract = await contracts.readContract(input.contract_id);
+    if (!contract) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found in the register: ${input.contract_id}`);
+    }
+
+    const existing = (await store.readPerformance(input.contract_id)) || emptyRecord(input.contract_id);
+    const previous = existing.invoices.find(i => i.invoice_id === input.invoice_id);
+
+    if (!previous) {
+        const absent = ['amount_gbp', 'received_date'].filter(f => input[f] === undefined || input[f] === null);
+        if (absent.length > 0) {
+            return createError(ERROR_CODES.BAD_REQUEST, `A new invoice needs: ${absent.join(', ')}`);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const invoice = {
+        ...(previous || { invoice_id: input.invoice_id }),
+        ...(input.amount_gbp !== undefined ? { amount_gbp: input.amount_gbp } : {}),
+        ...(input.received_date ? { received_date: input.received_date } : {}),
+        ...(input.paid_date !== undefined ? { paid_date: input.paid_date } : {}),
+        ...(input.disputed !== undefined ? { disputed: input.disputed } : {}),
+        ...(input.notes ? { notes: input.notes } : {}),
+        recorded_by: input.officer,
+        recorded_at: now,
+    };
+    if (invoice.paid_date === null) delete invoice.paid_date;
+
+    if (invoice.paid_date && invoice.paid_date < invoice.received_date) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'paid_date cannot be before received_date');
+    }
+
+    const stored = stamp({
+        ...existing,
+        invoices: previous
+            ? existing.invoices.map(i => (i.invoice_id === invoice.invoice_id ? invoice : i))
+            : [...existing.invoices, invoice],
+    }, now);
+    await store.writePerformance(stored);
+
+    const status = invoiceStatus(invoice, asOf);
+    const result = {
+        contract_id: input.contract_id,
+        invoice,
+        payment: status,
+        updated: Boolean(previous),
+        payment_terms_days: PAYMENT_TERMS_DAYS,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = [
+        `## Invoice ${previous ? 'Updated' : 'Recorded'} — ${input.contract_id}`,
+        '',
+        `**Invoice:** ${invoice.invoice_id}`,
+        `**Amount:** £${invoice.amount_gbp.toLocaleString('en-GB')}`,
+        `**Received:** ${invoice.received_date} · **Due:** ${status.due_date} (${PAYMENT_TERMS_DAYS} days)`,
+        `**Paid:** ${invoice.paid_date || '—'}${status.days_to_pay !== null ? ` (${status.days_to_pay} days)` : ''}`,
+        `**Status:** ${PAYMENT_STATUS_LABELS[status.status]}`,
+    ];
+    if (status.days_late) lines.push(`Paid ${status.days_late} days after the due date.`);
+    if (status.days_overdue) lines.push(`${status.days_overdue} days past the due date.`);
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
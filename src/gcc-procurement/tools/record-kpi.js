@@ -0,0 +1,132 @@
+/**
+ * Tool: gcc_procurement_record_kpi
+ *
+ * Records a KPI reading against a contract in the register. The first
+ * reading for a kpi_id defines the KPI (description, metric, target,
+ * reporting frequency); later readings only need the period and rating.
+ * Ratings at or below "Approaching Target" need a remediation plan
+ * (contract_performance.kpis in the schema).
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const {
+    KPI_RATINGS,
+    KPI_FREQUENCIES,
+    REMEDIATION_RATINGS,
+    emptyRecord,
+    stamp,
+    checkPastDate,
+} = require('../contract-performance');
+const { today } = require('../calendar');
+const contracts = require('../contract-store');
+const store = require('../performance-store');
+
+const DEFINITION_FIELDS = ['description', 'metric', 'target', 'reporting_frequency'];
+
+/**
+ * Execute the gcc_procurement_record_kpi tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id', 'kpi_id', 'period_end', 'rating', 'officer']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const dateError = checkPastDate(input.period_end, 'period_end', today());
+    if (dateError) {
+        return createError(ERROR_CODES.BAD_REQUEST, dateError);
+    }
+    if (!KPI_RATINGS.includes(input.rating)) {
+        return createError(ERROR_CODES.BAD_REQUEST, `rating must be one of: ${KPI_RATINGS.join(', ')}`);
+    }
+    if (input.reporting_frequency !== undefined && !KPI_FREQUENCIES.includes(input.reporting_frequency)) {
+        return createError(ERROR_CODES.BAD_REQUEST, `reporting_frequency must be one of: ${KPI_FREQUENCIES.join(', ')}`);
+    }
+    if (REMEDIATION_RATINGS.includes(input.rating) && !input.remediation_plan) {
+        return createError(
+            ERROR_CODES.BAD_REQUEST,
+            `A remediation_plan is required where the rating is ${input.rating} (Approaching Target or below)`
+        );
+    }
+
+    const contract = await contracts.readContract(input.contract_id);
+    if (!contract) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found in the register: ${input.contract_id}`);
+    }
+
+    const existing = (await store.readPerformance(input.contract_id)) || emptyRecord(input.contract_id);
+    const previous = existing.kpis.find(k => k.kpi_id === input.kpi_id);
+
+    if (!previous) {
+        const undefinedFields = DEFINITION_FIELDS.filter(f => !input[f]);
+        if (undefinedFields.length > 0) {
+            return createError(
+                ERROR_CODES.BAD_REQUEST,
+                `KPI ${input.kpi_id} is not defined on ${input.contract_id}. The first reading must also give: ${undefinedFields.join(', ')}`
+            );
+        }
+    }
+
+    const now = new Date().toISOString();
+    const reading = {
+        period_end: input.period_end,
+        rating: input.rating,
+        ...(input.value !== undefined ? { value: input.value } : {}),
+        ...(input.commentary ? { commentary: input.commentary } : {}),
+        ...(input.remediation_plan ? { remediation_plan: input.remediation_plan } : {}),
+        recorded_by: input.officer,
+        recorded_at: now,
+    };
+
+    const base = previous || { kpi_id: input.kpi_id, readings: [] };
+    const replaced = base.readings.some(r => r.period_end === input.period_end);
+    const readings = [...base.readings.filter(r => r.period_end !== input.period_end), reading]
+        .sort((a, b) => a.period_end.localeCompare(b.period_end));
+    const latest = readings[readings.length - 1];
+
+    const kpi = {
+        ...base,
+        ...Object.fromEntries(DEFINITION_FIELDS.filter(f => input[f]).map(f => [f, input[f]])),
+        current_rating: latest.rating,
+        remediation_plan: latest.remediation_plan || null,
+        readings,
+    };
+
+    const stored = stamp({
+        ...existing,
+        kpis: previous ? existing.kpis.map(k => (k.kpi_id === kpi.kpi_id ? kpi : k)) : [...existing.kpis, kpi],
+    }, now);
+    await store.writePerformance(stored);
+
+    const result = {
+        contract_id: input.contract_id,
+        kpi,
+        reading,
+        replaced_reading: replaced,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = [
+        `## KPI Reading Recorded — ${input.contract_id}`,
+        '',
+        `**KPI:** ${kpi.kpi_id} — ${kpi.description}`,
+        `**Target:** ${kpi.target} (${kpi.reporting_frequency})`,
+        `**Period ending:** ${reading.period_end}${replaced ? ' (replaces the earlier reading for this period)' : ''}`,
+        `**Rating:** ${reading.rating}`,
+    ];
+    if (reading.value !== undefined) lines.push(`**Value:** ${reading.value}`);
+    if (reading.remediation_plan) lines.push(`**Remediation plan:** ${reading.remediation_plan}`);
+    lines.push(`**Current rating:** ${kpi.current_rating}`, '', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,79 @@
+/**
+ * Tool: gcc_procurement_record_review
+ *
+ * Records a contract review that has been held (quarterly performance,
+ * annual strategic, mid-term or pre-expiry review) against a contract in the
+ * register. gcc_procurement_contract_performance matches these to the review
+ * schedule.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { REVIEW_TYPES, emptyRecord, stamp, checkPastDate } = require('../contract-performance');
+const { today } = require('../calendar');
+const contracts = require('../contract-store');
+const store = require('../performance-store');
+
+/**
+ * Execute the gcc_procurement_record_review tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id', 'review_type', 'held_date', 'officer']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    if (!REVIEW_TYPES.includes(input.review_type)) {
+        return createError(ERROR_CODES.BAD_REQUEST, `review_type must be one of: ${REVIEW_TYPES.join(', ')}`);
+    }
+    const dateError = checkPastDate(input.held_date, 'held_date', today());
+    if (dateError) {
+        return createError(ERROR_CODES.BAD_REQUEST, dateError);
+    }
+
+    const contract = await contracts.readContract(input.contract_id);
+    if (!contract) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found in the register: ${input.contract_id}`);
+    }
+
+    const existing = (await store.readPerformance(input.contract_id)) || emptyRecord(input.contract_id);
+    const now = new Date().toISOString();
+    const review = {
+        review_type: input.review_type,
+        held_date: input.held_date,
+        officer: input.officer,
+        ...(input.outcome ? { outcome: input.outcome } : {}),
+        ...(input.notes ? { notes: input.notes } : {}),
+        recorded_at: now,
+    };
+
+    const stored = stamp({
+        ...existing,
+        reviews: [...existing.reviews, review].sort((a, b) => a.held_date.localeCompare(b.held_date)),
+    }, now);
+    await store.writePerformance(stored);
+
+    const result = { contract_id: input.contract_id, review, schema_version: SCHEMA_VERSION };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = [
+        `## Review Recorded — ${input.contract_id}`,
+        '',
+        `**Review:** ${review.review_type}`,
+        `**Held:** ${review.held_date}`,
+        `**Officer:** ${review.officer}`,
+    ];
+    if (review.outcome) lines.push(`**Outcome:** ${review.outcome}`);
+    if (review.notes) lines.push(`**Notes:** ${review.notes}`);
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
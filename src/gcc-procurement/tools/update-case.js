@@ -0,0 +1,105 @@
+/**
+ * Tool: gcc_procurement_update_case
+ *
+ * Records an officer's assertions on a procurement case — Forward Plan and
+ * decision references, completed assessments, route, value. Every change is
+ * appended to the case history with who made it and when. Changing the value,
+ * contract type or key decision inputs re-runs determine_route.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const {
+    CLOSED_STATUSES,
+    ROUTE_INPUTS,
+    validateCaseFields,
+    determineCaseRoute,
+    fieldChanges,
+    renderCase,
+} = require('../procurement-case');
+const store = require('../case-store');
+
+/**
+ * Execute the gcc_procurement_update_case tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['case_id', 'officer', 'changes']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const validationErrors = validateCaseFields(input.changes);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Case changes failed schema validation', { validation_errors: validationErrors });
+    }
+
+    const found = await store.readCaseForUpdate(input.case_id);
+    if (!found) {
+        return createError(ERROR_CODES.NOT_FOUND, `Case not found: ${input.case_id}`);
+    }
+    const existing = found.record;
+    if (CLOSED_STATUSES.includes(existing.status)) {
+        return createError(ERROR_CODES.BAD_REQUEST, `Case ${input.case_id} is ${existing.status} and can no longer be changed`);
+    }
+
+    let updated = { ...existing, ...input.changes };
+    const changes = fieldChanges(existing, updated);
+
+    if (changes.length === 0) {
+        const result = { case: existing, changed_fields: [], schema_version: SCHEMA_VERSION };
+        return createSuccess((input.response_format || 'markdown').toLowerCase() === 'json'
+            ? result
+            : { text: `No changes to ${input.case_id}: every value matches what is already recorded.`, raw: result });
+    }
+
+    const entry = {
+        at: new Date().toISOString(),
+        officer: input.officer,
+        action: 'updated',
+        changes,
+        ...(input.evidence_reference ? { evidence_reference: input.evidence_reference } : {}),
+        ...(input.notes ? { notes: input.notes } : {}),
+    };
+
+    if (changes.some(c => ROUTE_INPUTS.includes(c.field))) {
+        const previousTier = existing.procurement_tier;
+        updated = { ...updated, ...determineCaseRoute(updated) };
+        entry.route_redetermined = { tier_from: previousTier, tier_to: updated.procurement_tier };
+    }
+
+    const stored = {
+        ...updated,
+        history: [...existing.history, entry],
+        updated_at: entry.at,
+        version: existing.version + 1,
+    };
+    if (!(await store.writeCase(stored, { etag: found.etag }))) {
+        return createError(ERROR_CODES.CONFLICT, `Case ${input.case_id} was changed by another update while this one was in progress. Get the case again and retry.`);
+    }
+
+    const result = {
+        case: stored,
+        changed_fields: changes.map(c => c.field),
+        route_redetermined: entry.route_redetermined || null,
+        schema_version: SCHEMA_VERSION,
+    };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = renderCase('Procurement Case Updated', stored);
+    lines.push('', `**Recorded by ${input.officer}:**`);
+    changes.forEach(c => lines.push(`- ${c.field}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`));
+    if (entry.route_redetermined && entry.route_redetermined.tier_from !== entry.route_redetermined.tier_to) {
+        lines.push('', `⚠️ Tier changed from ${entry.route_redetermined.tier_from} to ${entry.route_redetermined.tier_to} — check the approval route.`);
+    }
+    lines.push('', `*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
@@ -0,0 +1,68 @@
+/**
+ * Tool: gcc_procurement_update_contract
+ *
+ * Applies a partial update to a contract in the GCC contract register. The
+ * merged record is re-validated against contract_record before it is saved.
+ */
+
+'use strict';
+
+const { createError, createSuccess, validateRequired, ERROR_CODES } = require('../../util/errors');
+const { SCHEMA_VERSION } = require('../schema-loader');
+const { validateContractRecord, applyChanges, renderContract } = require('../contract-record');
+const store = require('../contract-store');
+
+/**
+ * Execute the gcc_procurement_update_contract tool.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+async function execute(input = {}) {
+    const missing = validateRequired(input, ['contract_id', 'changes']);
+    if (missing) {
+        return createError(ERROR_CODES.BAD_REQUEST, missing);
+    }
+
+    const { contract_id: contractId, changes } = input;
+    if (changes.contract_id !== undefined && changes.contract_id !== contractId) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'contract_id cannot be changed. Create a new record instead.');
+    }
+
+    const existing = await store.readContract(contractId);
+    if (!existing) {
+        return createError(ERROR_CODES.NOT_FOUND, `Contract not found: ${contractId}`);
+    }
+
+    const updated = applyChanges(existing, changes);
+    const validationErrors = validateContractRecord(updated);
+    if (validationErrors.length > 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Updated contract record failed schema validation', {
+            validation_errors: validationErrors,
+        });
+    }
+
+    const changedFields = Object.keys(changes).filter(
+        field => JSON.stringify(existing[field]) !== JSON.stringify(updated[field])
+    );
+
+    const stored = {
+        ...updated,
+        created_at: existing.created_at,
+        updated_at: new Date().toISOString(),
+        version: (existing.version || 1) + 1,
+    };
+    await store.writeContract(stored);
+
+    const result = { contract: stored, changed_fields: changedFields, schema_version: SCHEMA_VERSION };
+
+    if ((input.response_format || 'markdown').toLowerCase() === 'json') {
+        return createSuccess(result);
+    }
+
+    const lines = renderContract('Contract Updated', stored);
+    lines.push('', `**Changed:** ${changedFields.length > 0 ? changedFields.join(', ') : 'no fields'}`);
+    lines.push(`*Schema version: ${SCHEMA_VERSION}*`);
+    return createSuccess({ text: lines.join('\n'), raw: result });
+}
+
+module.exports = { execute };
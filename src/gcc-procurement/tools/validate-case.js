@@ -154,6 +154,7 @@ function evaluateMissingAssessments(input, value, contractType, isAbove) {
     if (isServices && input.social_value_assessed !== true) {
         missing.push({
             assessment: 'Social value assessment',
+            field: 'social_value_assessed',
             reason: 'Services above threshold require consideration of economic, social and environmental wellbeing',
             source: 'SV2012 — Public Services (Social Value) Act 2012',
             action: 'Complete social value assessment and record outcome in procurement case.',
@@ -163,6 +164,7 @@ function evaluateMissingAssessments(input, value, contractType, isAbove) {
     if (input.conflicts_assessment_completed !== true) {
         missing.push({
             assessment: 'Conflicts of interest assessment',
+            field: 'conflicts_assessment_completed',
             reason: 'Required for all above-threshold procurements',
             source: 'CONTRACT-RULES Rule 7; PA2023 s.82',
             action: 'Complete and document conflicts of interest assessment for all evaluation team members.',
@@ -172,6 +174,7 @@ function evaluateMissingAssessments(input, value, contractType, isAbove) {
     if (input.lots_considered !== true) {
         missing.push({
             assessment: 'Lots consideration',
+            field: 'lots_considered',
             reason: 'Contracting authorities must consider dividing contracts into lots',
             source: 'PA2023 s.34',
             action: 'Document whether contract is suitable for division into lots, with reasons.',
@@ -181,6 +184,7 @@ function evaluateMissingAssessments(input, value, contractType, isAbove) {
     if (input.existing_framework_checked !== true) {
         missing.push({
             assessment: 'Existing framework / dynamic market check',
+            field: 'existing_framework_checked',
             reason: 'Value for money requires checking existing frameworks before new procurement',
             source: 'CONTRACT-RULES Rule 22; NPPS2024',
             action: 'Check Crown Commercial Service, ESPO, and other available frameworks before launching new competition.',
@@ -190,6 +194,7 @@ function evaluateMissingAssessments(input, value, contractType, isAbove) {
     if (isServices && input.tupe_assessed !== true) {
         missing.push({
             assessment: 'TUPE assessment',
+            field: 'tupe_assessed',
             reason: 'Services contracts may involve transfer of undertakings',
             source: 'TUPE 2006 (SI 2006/246)',
             action: 'Assess whether TUPE applies and notify bidders appropriately. Refer to One Legal if uncertain.',
@@ -213,6 +218,8 @@ function evaluateVerifiedChecks(input, value, contractType, isAbove) {
             status: 'PASS',
             source: 'ART12 12.03(b)(iii) and (iv); PART3E 3E.11',
             forward_plan_reference: input.forward_plan_reference,
+            // Only the presence of a reference is checked here; the ModernGov endpoint can confirm it is published
+            verify_with: `get_forward_plan(council_name='Gloucester City Council', reference='${input.forward_plan_reference}')`,
         });
     }
 
@@ -6,6 +6,7 @@
 // Load all function definitions
 require('./functions/mcp');
 require('./functions/test-soap');
+require('./functions/meetingsCalendar');
 require('./functions/mcpSchema');
 require('./functions/healthzSchema');
 require('./functions/mcpProcurement');
@@ -19,4 +20,4 @@ require('./functions/mcpWebCompiler');
 require('./functions/mcpSchemaV2');
 require('./functions/mcpAzureEstate');
 
-console.log('Azure Functions loaded: mcp, test-soap, mcpSchema, healthzSchema, mcpProcurement, mcpPlanning, mcpRawHtml, mcpNotes, mcpDocExtract, mcpGitHub, mcpDns, mcpWebCompiler, mcpSchemaV2, mcpAzureEstate');
+console.log('Azure Functions loaded: mcp, test-soap, meetingsCalendar, mcpSchema, healthzSchema, mcpProcurement, mcpPlanning, mcpRawHtml, mcpNotes, mcpDocExtract, mcpGitHub, mcpDns, mcpWebCompiler, mcpSchemaV2, mcpAzureEstate');
@@ -0,0 +1,94 @@
+/**
+ * Tool argument parsing and inputSchema validation for the MCP server core.
+ *
+ * Every tool definition already publishes a JSON Schema inputSchema in
+ * tools/list; this module holds clients to it. Validators are compiled
+ * lazily (once per tool) so a large TOOLS array costs nothing at cold start.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// strict:false — several tool schemas carry descriptive keywords (examples,
+// x-* annotations) that Ajv's strict mode rejects. coerceTypes lets a model
+// that sends committee_id: "544" reach the handler as 544 instead of failing.
+const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+addFormats(ajv);
+
+/**
+ * Normalise the raw `arguments` member of a tools/call request.
+ * Some clients send arguments as a JSON-encoded string; absent arguments
+ * are treated as an empty object.
+ * @param {*} rawArgs
+ * @returns {{ args: object }|{ error: string }}
+ */
+function parseArguments(rawArgs) {
+    let args = rawArgs === undefined || rawArgs === null ? {} : rawArgs;
+
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch {
+            return { error: 'Invalid params: arguments must be valid JSON when provided as a string' };
+        }
+    }
+
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { error: 'Invalid params: arguments must be an object' };
+    }
+
+    return { args };
+}
+
+function formatAjvError(err) {
+    const path = err.instancePath ? err.instancePath.slice(1).replace(/\//g, '.') : '';
+
+    if (err.keyword === 'required') {
+        const field = path ? `${path}.${err.params.missingProperty}` : err.params.missingProperty;
+        return { path: field, message: `${field} is required` };
+    }
+    if (err.keyword === 'additionalProperties') {
+        const field = path ? `${path}.${err.params.additionalProperty}` : err.params.additionalProperty;
+        return { path: field, message: `${field} is not a recognised argument` };
+    }
+    if (err.keyword === 'enum') {
+        return { path, message: `${path || 'arguments'} must be one of: ${err.params.allowedValues.join(', ')}` };
+    }
+    return { path, message: `${path || 'arguments'} ${err.message}` };
+}
+
+/**
+ * Build a validator over a TOOLS array.
+ * @param {Array<{name: string, inputSchema?: object}>} tools
+ * @returns {(name: string, args: object) => Array<{path: string, message: string}>|null}
+ *   null when the arguments are valid (or the tool has no usable schema)
+ */
+function createArgumentValidator(tools) {
+    const schemas = new Map(tools.map((tool) => [tool.name, tool.inputSchema]));
+    const compiled = new Map();
+
+    return function validateArguments(name, args) {
+        if (!compiled.has(name)) {
+            const schema = schemas.get(name);
+            let validate = null;
+            if (schema && typeof schema === 'object') {
+                try {
+                    validate = ajv.compile(schema);
+                } catch (err) {
+                    // A malformed published schema must not take the tool down —
+                    // the handler's own checks still apply.
+                    console.error(`MCP core: inputSchema for ${name} could not be compiled — ${err.message}`);
+                }
+            }
+            compiled.set(name, validate);
+        }
+
+        const validate = compiled.get(name);
+        if (!validate || validate(args)) return null;
+        return validate.errors.map(formatAjvError);
+    };
+}
+
+module.exports = { parseArguments, createArgumentValidator };
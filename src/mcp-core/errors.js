@@ -0,0 +1,25 @@
+/**
+ * Protocol-level errors for the MCP server core.
+ *
+ * Thrown from resource and prompt handlers when the request itself is at
+ * fault (unknown URI, missing argument). The server turns them into a
+ * JSON-RPC error with the given code instead of an internal error.
+ */
+
+'use strict';
+
+class McpError extends Error {
+    /**
+     * @param {number} rpcCode - JSON-RPC error code, e.g. -32602
+     * @param {string} message
+     * @param {object} [data] - JSON-RPC error.data
+     */
+    constructor(rpcCode, message, data) {
+        super(message);
+        this.name = 'McpError';
+        this.rpcCode = rpcCode;
+        this.data = data;
+    }
+}
+
+module.exports = { McpError };
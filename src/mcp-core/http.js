@@ -0,0 +1,86 @@
+/**
+ * Azure Functions HTTP adapter for the MCP server core.
+ *
+ * Turns an HttpRequest into a JSON-RPC call against a createMcpServer()
+ * instance: 400 for unparseable bodies, 204 when only notifications were
+ * sent, 503 when the endpoint's tool module failed to load at startup, and
+ * 500 only for failures outside the JSON-RPC layer.
+ */
+
+'use strict';
+
+const { logError, jsonRpcError, JSON_RPC_ERRORS } = require('./server');
+
+function jsonResponse(status, body) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    };
+}
+
+/**
+ * @param {{ handleMcpRequest: Function, getManifest: Function }} server
+ * @param {object} [options]
+ * @param {string} [options.label] - Log prefix, e.g. 'MCP Procurement'
+ * @param {() => Error|null} [options.getLoadError] - Startup failure to surface as 503
+ * @param {string} [options.unavailableMessage] - Prefix for the 503 message
+ * @param {boolean} [options.serveManifestOnGet] - Answer GET with the initialize manifest
+ * @returns {(request: object, context: object) => Promise<object>}
+ */
+function createHttpHandler(server, options = {}) {
+    const {
+        label = 'MCP',
+        getLoadError = () => null,
+        unavailableMessage = `${label} unavailable`,
+        serveManifestOnGet = false,
+    } = options;
+
+    return async function httpHandler(request, context) {
+        const requestStart = Date.now();
+        context.log(`${label} request received`);
+
+        // Tool module failed to load at startup — surface the error rather than
+        // crashing the whole Functions worker (which takes every endpoint down)
+        const loadError = getLoadError();
+        if (loadError) {
+            logError(context, `${unavailableMessage} — module load error:`, loadError.message);
+            return jsonResponse(503, jsonRpcError(
+                JSON_RPC_ERRORS.INTERNAL_ERROR,
+                `${unavailableMessage}: ${loadError.message}`,
+                null,
+            ));
+        }
+
+        try {
+            if (serveManifestOnGet && request.method === 'GET') {
+                context.log(`${label} manifest served with 200 in ${Date.now() - requestStart}ms`);
+                return jsonResponse(200, server.getManifest());
+            }
+
+            let body;
+            try {
+                body = await request.json();
+            } catch (parseError) {
+                logError(context, `${label} parse error:`, parseError && parseError.message);
+                return jsonResponse(400, jsonRpcError(JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error: Invalid JSON', null));
+            }
+
+            const response = await server.handleMcpRequest(body, context);
+
+            if (response === null) {
+                context.log(`${label} request completed with 204 in ${Date.now() - requestStart}ms`);
+                return { status: 204 };
+            }
+
+            context.log(`${label} request completed with 200 in ${Date.now() - requestStart}ms`);
+            return jsonResponse(200, response);
+        } catch (error) {
+            logError(context, `${label} unhandled error:`, error && error.message);
+            if (error && error.stack) logError(context, `${label} unhandled error stack:`, error.stack);
+            return jsonResponse(500, jsonRpcError(JSON_RPC_ERRORS.INTERNAL_ERROR, 'Internal error', null));
+        }
+    };
+}
+
+module.exports = { createHttpHandler };
@@ -0,0 +1,27 @@
+/**
+ * MCP Server Core
+ *
+ * Shared JSON-RPC/MCP protocol handling for every endpoint under
+ * src/functions/. See server.js for the protocol layer, http.js for the
+ * Azure Functions HTTP adapter, and resources.js/prompts.js for MCP
+ * resources and prompts.
+ */
+
+'use strict';
+
+const server = require('./server');
+const { createHttpHandler } = require('./http');
+const { parseArguments, createArgumentValidator } = require('./arguments');
+const resources = require('./resources');
+const { createPromptRegistry } = require('./prompts');
+const { McpError } = require('./errors');
+
+module.exports = {
+    ...server,
+    createHttpHandler,
+    parseArguments,
+    createArgumentValidator,
+    ...resources,
+    createPromptRegistry,
+    McpError,
+};
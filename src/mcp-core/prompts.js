@@ -0,0 +1,85 @@
+/**
+ * MCP prompts for the server core.
+ *
+ * Endpoints publish PROMPTS alongside their TOOLS: named, parameterised
+ * conversation starters a client can pull with prompts/get instead of
+ * hand-copying guidance into its own system prompt. Each definition renders
+ * its messages from the live schema documents, so prompts follow the data.
+ */
+
+'use strict';
+
+const { McpError } = require('./errors');
+
+const INVALID_PARAMS = -32602;
+
+/**
+ * @typedef {object} PromptDefinition
+ * @property {string} name
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {Array<{name: string, description?: string, required?: boolean}>} [arguments]
+ * @property {(args: Object<string, string>) => {description?: string, messages: object[]}} render
+ *   Throw McpError for argument values the prompt cannot use.
+ */
+
+/**
+ * Build the prompts/list and prompts/get handlers over prompt definitions.
+ * @param {PromptDefinition[]} prompts
+ */
+function createPromptRegistry(prompts) {
+    const byName = new Map(prompts.map((prompt) => [prompt.name, prompt]));
+
+    function list() {
+        return {
+            prompts: prompts.map(({ name, title, description, arguments: args = [] }) => ({
+                name,
+                title,
+                description,
+                arguments: args,
+            })),
+        };
+    }
+
+    function get(name, rawArgs) {
+        if (typeof name !== 'string' || !name) {
+            throw new McpError(INVALID_PARAMS, 'Invalid params: prompt name is required');
+        }
+
+        const prompt = byName.get(name);
+        if (!prompt) {
+            throw new McpError(
+                INVALID_PARAMS,
+                `Unknown prompt: ${name}. Available: ${Array.from(byName.keys()).join(', ')}`
+            );
+        }
+
+        const args = rawArgs === undefined || rawArgs === null ? {} : rawArgs;
+        if (typeof args !== 'object' || Array.isArray(args)) {
+            throw new McpError(INVALID_PARAMS, 'Invalid params: arguments must be an object');
+        }
+
+        const declared = prompt.arguments || [];
+        const known = new Set(declared.map((arg) => arg.name));
+        for (const [key, value] of Object.entries(args)) {
+            if (!known.has(key)) {
+                throw new McpError(INVALID_PARAMS, `Invalid params: ${key} is not a recognised argument for ${name}`);
+            }
+            // Prompt arguments are strings in MCP
+            if (typeof value !== 'string') {
+                throw new McpError(INVALID_PARAMS, `Invalid params: ${key} must be a string`);
+            }
+        }
+        for (const arg of declared) {
+            if (arg.required && !args[arg.name]) {
+                throw new McpError(INVALID_PARAMS, `Invalid params: ${arg.name} is required for ${name}`);
+            }
+        }
+
+        return prompt.render(args);
+    }
+
+    return { list, get };
+}
+
+module.exports = { createPromptRegistry };
@@ -0,0 +1,161 @@
+/**
+ * MCP resources for the server core.
+ *
+ * Endpoints publish authoritative documents (schema packs, rulesets, council
+ * data) as RESOURCES alongside their TOOLS. Each resource has a stable URI;
+ * a JSON Pointer fragment addresses part of the document, e.g.
+ * gcc://council-tax/rules#/executable_rules/3. Every read carries the
+ * document version and the SHA-256 of the file bytes so a client can record
+ * exactly which document an answer was evaluated against.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parsePointer, resolvePointer } = require('../schema/pointer');
+const { McpError } = require('./errors');
+
+// MCP reserves -32002 for "resource not found"
+const RESOURCE_NOT_FOUND = -32002;
+const INVALID_PARAMS = -32602;
+
+/**
+ * Define a resource backed by a JSON file on disk. The file is read, hashed
+ * and parsed on first use and cached for the life of the worker.
+ *
+ * @param {object} definition
+ * @param {string} definition.uri - Stable resource URI (no fragment)
+ * @param {string} definition.name - Short machine name
+ * @param {string} [definition.title] - Human-readable title
+ * @param {string} [definition.description]
+ * @param {string} definition.filePath - Absolute path to the JSON file
+ * @param {string|((document: object) => string)} definition.version - Version, or a function of the parsed document
+ * @returns {object} Resource definition accepted by createResourceRegistry()
+ */
+function jsonFileResource({ uri, name, title, description, filePath, version }) {
+    let cached = null;
+
+    function load() {
+        if (cached) return cached;
+        const bytes = fs.readFileSync(filePath);
+        // Some scraped council files are saved with a UTF-8 BOM
+        const text = bytes.toString('utf8').replace(/^\uFEFF/, '');
+        const document = JSON.parse(text);
+        cached = {
+            text,
+            document,
+            size: bytes.length,
+            sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+            version: String((typeof version === 'function' ? version(document) : version) || 'unknown'),
+        };
+        return cached;
+    }
+
+    return { uri, name, title, description, mimeType: 'application/json', load };
+}
+
+/**
+ * Split a resource URI into its base and decoded JSON Pointer fragment.
+ * @param {string} uri
+ * @returns {{ base: string, pointer: string|null }}
+ */
+function splitUri(uri) {
+    const hashIndex = uri.indexOf('#');
+    if (hashIndex === -1) return { base: uri, pointer: null };
+
+    const base = uri.substring(0, hashIndex);
+    const fragment = uri.substring(hashIndex + 1);
+    if (fragment === '') return { base, pointer: null };
+
+    let pointer;
+    try {
+        pointer = decodeURIComponent(fragment);
+    } catch {
+        throw new McpError(INVALID_PARAMS, `Invalid resource URI fragment: ${fragment}`, { uri });
+    }
+    return { base, pointer };
+}
+
+/**
+ * Build the resources/list, resources/templates/list and resources/read
+ * handlers over an array of resource definitions.
+ * @param {object[]} resources
+ */
+function createResourceRegistry(resources) {
+    const byUri = new Map(resources.map((resource) => [resource.uri, resource]));
+
+    function describe(resource) {
+        const loaded = resource.load();
+        const entry = { uri: resource.uri, name: resource.name };
+        if (resource.title) entry.title = resource.title;
+        if (resource.description) entry.description = resource.description;
+        entry.mimeType = resource.mimeType;
+        entry.size = loaded.size;
+        entry._meta = { version: loaded.version, sha256: loaded.sha256 };
+        return entry;
+    }
+
+    function list() {
+        return { resources: resources.map(describe) };
+    }
+
+    function listTemplates() {
+        return {
+            resourceTemplates: resources.map((resource) => ({
+                uriTemplate: `${resource.uri}{#pointer}`,
+                name: `${resource.name}-fragment`,
+                title: resource.title ? `${resource.title} (fragment)` : undefined,
+                description: `Part of ${resource.uri} addressed by a JSON Pointer fragment, e.g. ${resource.uri}#/some/path`,
+                mimeType: resource.mimeType,
+            })),
+        };
+    }
+
+    function read(uri) {
+        if (typeof uri !== 'string' || !uri) {
+            throw new McpError(INVALID_PARAMS, 'Invalid params: uri is required');
+        }
+
+        const { base, pointer } = splitUri(uri);
+        const resource = byUri.get(base);
+        if (!resource) {
+            throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${base}`, { uri });
+        }
+
+        const loaded = resource.load();
+        const meta = { version: loaded.version, sha256: loaded.sha256 };
+
+        if (pointer === null) {
+            return { contents: [{ uri, mimeType: resource.mimeType, text: loaded.text, _meta: meta }] };
+        }
+
+        try {
+            parsePointer(pointer);
+        } catch (err) {
+            throw new McpError(INVALID_PARAMS, `${err.message} (got "${pointer}")`, { uri });
+        }
+
+        const resolved = resolvePointer(loaded.document, pointer);
+        if (!resolved.found) {
+            throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${pointer} does not exist in ${base}`, { uri });
+        }
+
+        return {
+            contents: [{
+                uri,
+                mimeType: resource.mimeType,
+                text: JSON.stringify(resolved.value, null, 2),
+                _meta: { ...meta, pointer },
+            }],
+        };
+    }
+
+    return { list, listTemplates, read };
+}
+
+module.exports = {
+    jsonFileResource,
+    createResourceRegistry,
+    RESOURCE_NOT_FOUND,
+};
@@ -0,0 +1,309 @@
+/**
+ * Shared MCP JSON-RPC server core.
+ *
+ * Every MCP endpoint builds its request handler from a
+ * { TOOLS, TOOL_HANDLERS, SERVER_INFO } module via createMcpServer(). The
+ * core owns the protocol envelope — batching, protocol version negotiation,
+ * argument validation against each tool's inputSchema, JSON-RPC error codes
+ * and isError tool results — so a protocol fix is made once. Endpoints only
+ * supply the parts that genuinely differ through the options hooks.
+ */
+
+'use strict';
+
+const { ERROR_CODES } = require('../util/errors');
+const { parseArguments, createArgumentValidator } = require('./arguments');
+const { createResourceRegistry } = require('./resources');
+const { createPromptRegistry } = require('./prompts');
+const { McpError } = require('./errors');
+
+// Newest first. A client asking for one of these gets it back; an unknown
+// version is answered with the newest we support (MCP lifecycle spec).
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+// Clients that omit protocolVersion predate negotiation — answer with the
+// version every endpoint here originally shipped with.
+const DEFAULT_PROTOCOL_VERSION = '2024-11-05';
+
+const JSON_RPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+};
+
+/**
+ * Log an error without assuming context.log.error exists — it does not on
+ * every Azure Functions runtime version.
+ */
+function logError(context, ...args) {
+    try {
+        if (context && context.log && typeof context.log.error === 'function') {
+            context.log.error(...args);
+        } else if (context && typeof context.error === 'function') {
+            context.error(...args);
+        } else {
+            console.error(...args);
+        }
+    } catch (_) {
+        console.error(...args);
+    }
+}
+
+function jsonRpcError(code, message, id, data) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+    return { jsonrpc: '2.0', error, id: id === undefined ? null : id };
+}
+
+function negotiateProtocolVersion(requested) {
+    if (typeof requested !== 'string' || !requested) return DEFAULT_PROTOCOL_VERSION;
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+function resolveErrorCode(error) {
+    if (error && typeof error.code === 'string' && error.code) return error.code;
+    if (error && error.notFound) return ERROR_CODES.NOT_FOUND;
+    return ERROR_CODES.INTERNAL_ERROR;
+}
+
+function defaultBuildContent(payload) {
+    return [{ type: 'text', text: JSON.stringify(payload, null, 2) }];
+}
+
+/**
+ * Create an MCP server over a tool module.
+ *
+ * @param {object} toolModule
+ * @param {object[]} toolModule.TOOLS - MCP tool definitions (name, description, inputSchema)
+ * @param {Object<string, Function>} toolModule.TOOL_HANDLERS - name → (args, context) => result
+ * @param {object} toolModule.SERVER_INFO - serverInfo returned from initialize
+ * @param {object[]} [toolModule.RESOURCES] - Resource definitions (see resources.js); enables resources/*
+ * @param {object[]} [toolModule.PROMPTS] - Prompt definitions (see prompts.js); enables prompts/*
+ * @param {object} [options]
+ * @param {string} [options.label] - Log prefix, e.g. 'MCP Procurement'
+ * @param {object} [options.capabilities] - Capabilities advertised on initialize. Default: { tools: {} }, plus resources/prompts when RESOURCES/PROMPTS are non-empty
+ * @param {() => object} [options.getServerInfo] - Extra serverInfo fields computed per initialize (date context, instructions)
+ * @param {Object<string, string>} [options.toolAliases] - Legacy name → tool name
+ * @param {(tools: object[]) => object} [options.listTools] - Shape the tools/list result. Default: { tools }
+ * @param {object} [options.unknownToolData] - JSON-RPC error.data attached to unknown-tool errors
+ * @param {(result: *, call: {name: string, args: object}) => *} [options.wrapResult] - Envelope around a tool result
+ * @param {(payload: *) => object[]} [options.buildContent] - MCP content blocks for a wrapped result
+ * @param {(result: *) => boolean} [options.isErrorResult] - Flag handler-returned (not thrown) failures
+ * @param {(payload: object, error: Error) => object} [options.formatError] - Adjust the isError payload (hints, sanitising)
+ * @param {boolean} [options.validateArguments] - Check arguments against inputSchema before dispatch. Default: true
+ * @returns {{ handleMcpRequest: Function, getManifest: Function, TOOLS: object[] }}
+ */
+function createMcpServer(toolModule, options = {}) {
+    const { TOOLS = [], TOOL_HANDLERS = {}, SERVER_INFO = {}, RESOURCES = [], PROMPTS = [] } = toolModule;
+    const resources = RESOURCES.length > 0 ? createResourceRegistry(RESOURCES) : null;
+    const prompts = PROMPTS.length > 0 ? createPromptRegistry(PROMPTS) : null;
+    const {
+        label = 'MCP',
+        capabilities = {
+            tools: {},
+            ...(resources ? { resources: {} } : {}),
+            ...(prompts ? { prompts: {} } : {}),
+        },
+        getServerInfo = () => ({}),
+        toolAliases = {},
+        listTools = (tools) => ({ tools }),
+        unknownToolData,
+        wrapResult = (result) => result,
+        buildContent = defaultBuildContent,
+        isErrorResult = () => false,
+        formatError = (payload) => payload,
+        validateArguments: shouldValidate = true,
+    } = options;
+
+    const validateArguments = shouldValidate ? createArgumentValidator(TOOLS) : () => null;
+    const availableToolNames = () => Object.keys(TOOL_HANDLERS).join(', ');
+
+    function resolveToolName(rawName) {
+        if (TOOL_HANDLERS[rawName]) return rawName;
+        return toolAliases[rawName] || null;
+    }
+
+    function getManifest(protocolVersion = DEFAULT_PROTOCOL_VERSION) {
+        return {
+            protocolVersion,
+            capabilities,
+            serverInfo: { ...SERVER_INFO, ...getServerInfo() },
+        };
+    }
+
+    function toolErrorResult(error, name, args, context, toolStart) {
+        const code = resolveErrorCode(error);
+        logError(context, `${label} tool error [${name}] (${code}): ${error.message}`);
+        if (error.stack && code === ERROR_CODES.INTERNAL_ERROR) {
+            logError(context, `${label} tool error stack [${name}]: ${error.stack}`);
+        }
+        logError(context, `${label} tool failed [${name}] after ${Date.now() - toolStart}ms`);
+
+        const payload = { error: error.message, code, tool: name };
+        if (error.details && Object.keys(error.details).length > 0) payload.details = error.details;
+
+        return {
+            content: defaultBuildContent(formatError(payload, error, { name, args })),
+            isError: true,
+        };
+    }
+
+    async function callTool(params, id, context) {
+        const { name, arguments: rawArgs } = params || {};
+        const toolStart = Date.now();
+
+        if (!name) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Invalid params: tool name is required', id);
+        }
+
+        const resolvedName = resolveToolName(name);
+        if (!resolvedName) {
+            return jsonRpcError(
+                JSON_RPC_ERRORS.INVALID_PARAMS,
+                `Unknown tool: ${name}. Available: ${availableToolNames()}`,
+                id,
+                unknownToolData,
+            );
+        }
+
+        const parsed = parseArguments(rawArgs);
+        if (parsed.error) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, parsed.error, id);
+        }
+        const { args } = parsed;
+
+        // Schema failures are reported as tool errors rather than protocol
+        // errors so the model sees the message and can correct its call.
+        const validationErrors = validateArguments(resolvedName, args);
+        if (validationErrors) {
+            const error = Object.assign(
+                new Error(`Invalid arguments for ${resolvedName}: ${validationErrors.map((e) => e.message).join('; ')}`),
+                { code: ERROR_CODES.BAD_REQUEST, details: { validationErrors } },
+            );
+            return { jsonrpc: '2.0', result: toolErrorResult(error, resolvedName, args, context, toolStart), id };
+        }
+
+        try {
+            context.log(`Executing ${label} tool: ${resolvedName}`);
+            const result = await Promise.resolve(TOOL_HANDLERS[resolvedName](args, context));
+            context.log(`${label} tool completed [${resolvedName}] in ${Date.now() - toolStart}ms`);
+
+            const toolResult = { content: buildContent(wrapResult(result, { name: resolvedName, args })) };
+            if (isErrorResult(result)) toolResult.isError = true;
+            return { jsonrpc: '2.0', result: toolResult, id };
+        } catch (error) {
+            return { jsonrpc: '2.0', result: toolErrorResult(error, resolvedName, args, context, toolStart), id };
+        }
+    }
+
+    // Resource and prompt handlers throw McpError for caller mistakes
+    function protocolResult(produce, id) {
+        try {
+            return { jsonrpc: '2.0', result: produce(), id };
+        } catch (error) {
+            if (error instanceof McpError) return jsonRpcError(error.rpcCode, error.message, id, error.data);
+            throw error;
+        }
+    }
+
+    async function handleMessage(request, context) {
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: body must be a JSON object', null);
+        }
+
+        const { jsonrpc, method, params, id } = request;
+        const requestId = Object.prototype.hasOwnProperty.call(request, 'id') && id !== undefined ? id : null;
+
+        if (jsonrpc !== '2.0') {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: jsonrpc must be "2.0"', requestId);
+        }
+        if (typeof method !== 'string' || !method) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: method must be a non-empty string', requestId);
+        }
+        if (params !== undefined && (params === null || typeof params !== 'object')) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Invalid params: params must be an object', requestId);
+        }
+
+        context.log(`Processing ${label} method: ${method}`);
+
+        // Notifications (initialized, cancelled, progress…) never get a response
+        if (method.startsWith('notifications/')) return null;
+
+        try {
+            switch (method) {
+                case 'initialize':
+                    return {
+                        jsonrpc: '2.0',
+                        result: getManifest(negotiateProtocolVersion(params && params.protocolVersion)),
+                        id: requestId,
+                    };
+
+                case 'ping':
+                    return { jsonrpc: '2.0', result: {}, id: requestId };
+
+                case 'tools/list':
+                    return { jsonrpc: '2.0', result: listTools(TOOLS), id: requestId };
+
+                case 'tools/call':
+                    return await callTool(params, requestId, context);
+
+                case 'resources/list':
+                    if (!resources) break;
+                    return { jsonrpc: '2.0', result: resources.list(), id: requestId };
+
+                case 'resources/templates/list':
+                    if (!resources) break;
+                    return { jsonrpc: '2.0', result: resources.listTemplates(), id: requestId };
+
+                case 'resources/read':
+                    if (!resources) break;
+                    return protocolResult(() => resources.read(params && params.uri), requestId);
+
+                case 'prompts/list':
+                    if (!prompts) break;
+                    return { jsonrpc: '2.0', result: prompts.list(), id: requestId };
+
+                case 'prompts/get':
+                    if (!prompts) break;
+                    return protocolResult(() => prompts.get(params && params.name, params && params.arguments), requestId);
+
+                default:
+                    break;
+            }
+            return jsonRpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`, requestId);
+        } catch (error) {
+            logError(context, `${label} ${method} failed: ${error.message}`);
+            if (error && error.stack) logError(context, `${label} ${method} stack: ${error.stack}`);
+            return jsonRpcError(JSON_RPC_ERRORS.INTERNAL_ERROR, `Internal error: ${error.message}`, requestId);
+        }
+    }
+
+    /**
+     * Handle a JSON-RPC message or batch. Returns null when nothing needs to
+     * be sent back (a notification, or a batch made only of notifications).
+     */
+    async function handleMcpRequest(body, context) {
+        if (!Array.isArray(body)) return handleMessage(body, context);
+
+        if (body.length === 0) {
+            return jsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: batch must not be empty', null);
+        }
+
+        const responses = await Promise.all(body.map((message) => handleMessage(message, context)));
+        const replies = responses.filter((response) => response !== null);
+        return replies.length > 0 ? replies : null;
+    }
+
+    return { handleMcpRequest, getManifest, TOOLS };
+}
+
+module.exports = {
+    createMcpServer,
+    logError,
+    jsonRpcError,
+    negotiateProtocolVersion,
+    JSON_RPC_ERRORS,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    DEFAULT_PROTOCOL_VERSION,
+};
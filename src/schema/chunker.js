@@ -1,14 +1,14 @@
 /**
  * Schema chunker - builds a chunk index at cold start
  * Creates searchable chunks from the merged council tax schema (v2.5.3 four-document pack)
- * with metadata for hybrid search.
+ * with metadata for hybrid search. Each loaded pack gets its own index.
  */
 
 const { getSchema } = require('./loader');
 const { buildPointer } = require('./pointer');
 
-// Module-level cache for chunk index
-let cachedChunks = null;
+// Module-level cache for chunk indexes, one per merged schema (pack)
+let chunkCache = new WeakMap();
 
 /**
  * Extract text content from a value recursively
@@ -445,18 +445,16 @@ function chunkSimpleSections(schema, chunks, idCounter) {
 }
 
 /**
- * Build the chunk index from the merged schema
+ * Build the chunk index from a merged schema
+ * @param {object} [schema] - Merged schema (default: the served pack)
  * @returns {object[]} Array of chunks
  */
-function buildChunkIndex() {
-    if (cachedChunks !== null) {
-        return cachedChunks;
-    }
-
-    const schema = getSchema();
+function buildChunkIndex(schema = getSchema()) {
     if (!schema) {
-        cachedChunks = [];
-        return cachedChunks;
+        return [];
+    }
+    if (chunkCache.has(schema)) {
+        return chunkCache.get(schema);
     }
 
     const chunks = [];
@@ -476,28 +474,26 @@ function buildChunkIndex() {
     // Chunk simple top-level sections
     idCounter = chunkSimpleSections(schema, chunks, idCounter);
 
-    cachedChunks = chunks;
+    chunkCache.set(schema, chunks);
     console.log(`Built chunk index with ${chunks.length} chunks`);
 
-    return cachedChunks;
+    return chunks;
 }
 
 /**
  * Get the chunk index (builds if not already built)
+ * @param {object} [schema] - Merged schema (default: the served pack)
  * @returns {object[]} Array of chunks
  */
-function getChunks() {
-    if (cachedChunks === null) {
-        buildChunkIndex();
-    }
-    return cachedChunks;
+function getChunks(schema) {
+    return buildChunkIndex(schema);
 }
 
 /**
  * Force rebuild of the chunk index (for testing)
  */
 function rebuildChunks() {
-    cachedChunks = null;
+    chunkCache = new WeakMap();
     return buildChunkIndex();
 }
 
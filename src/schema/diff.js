@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Structural diff between two council tax schema packs.
+ *
+ * Produces three views of the same comparison:
+ *   - rules:     executable rules added, removed and changed, with the
+ *                condition and effect changes of each changed rule
+ *   - catalogue: adjustment_catalogue items (discounts, exemptions,
+ *                premiums, council tax support) added, removed and changed
+ *   - documents: per-document section summary plus the raw change list
+ *
+ * Arrays of objects are matched by their identifying field (rule_id, id,
+ * class…) rather than position, so reordering a document is not a change.
+ * Every change carries JSON Pointers into the from and/or to document.
+ */
+
+const { buildPointer } = require('./pointer');
+const { evaluateRule, buildCaseContext } = require('./ruleInterpreter');
+
+const DOC_TYPES = ['facts', 'rules', 'taxonomy', 'results'];
+const KEY_FIELDS = ['rule_id', 'id', 'issue_id', 'transformation_id', 'class', 'band', 'scheme_id', 'premium_id'];
+const RULES_PATH = ['executable_rule_slices', 'rules'];
+const CATALOGUE_PATH = ['adjustment_catalogue'];
+
+// Households exercised against both packs' rules when no cases are supplied
+const SAMPLE_CASES = [
+    { id: 'single_adult', userFacts: { adults: 1 } },
+    { id: 'two_adults', userFacts: { adults: 2 } },
+    { id: 'all_students', userFacts: { adults: 2, students: 2 } },
+    { id: 'adult_and_student', userFacts: { adults: 2, students: 1 } },
+    { id: 'live_in_carer', userFacts: { adults: 2, carers: 1 } },
+    { id: 'smi_sole_adult', userFacts: { adults: 1, severely_mentally_impaired: 1, smi_qualifying_benefit: true } },
+    { id: 'apprentice_and_adult', userFacts: { adults: 2, apprentice: true } },
+    { id: 'care_leaver_21', userFacts: { adults: 1, care_leaver: true, age: 21 } },
+    { id: 'disabled_band_a', userFacts: { adults: 2, has_disabled_adaptations: true, disabled_resident: true, property_band: 'A' } },
+    { id: 'disabled_band_d', userFacts: { adults: 2, has_disabled_adaptations: true, disabled_resident: true, property_band: 'D' } },
+    { id: 'empty_3_years', userFacts: { adults: 0, property_empty: true, property_empty_years: 3 } },
+    { id: 'empty_12_years', userFacts: { adults: 0, property_empty: true, property_empty_years: 12 } },
+    { id: 'second_home', userFacts: { adults: 0, second_home: true } },
+    { id: 'pension_credit', userFacts: { adults: 1, receiving_pension_credit: true, savings: 2000 } },
+    { id: 'qualifying_benefit', userFacts: { adults: 2, on_qualifying_benefit: true, savings: 500 } },
+    { id: 'savings_over_limit', userFacts: { adults: 2, savings: 20000 } },
+];
+
+// ─── Generic structural diff ──────────────────────────────────────────────────
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function keyableBy(items, field) {
+    const keys = items.map(item => item[field]);
+    return keys.every(key => typeof key === 'string' || typeof key === 'number') &&
+        new Set(keys).size === keys.length;
+}
+
+// Identifying field shared by both arrays of objects, or null to diff by position
+function sharedKeyField(from, to) {
+    const all = [...from, ...to];
+    if (all.length === 0 || !all.every(isPlainObject)) return null;
+    return KEY_FIELDS.find(field => keyableBy(from, field) && keyableBy(to, field)) || null;
+}
+
+/**
+ * Collect the differences between two JSON values.
+ * @param {*} from
+ * @param {*} to
+ * @param {{ from: string[], to: string[] }} paths - token paths of the two values
+ * @param {object[]} changes - accumulator of { op, from_pointer?, pointer?, from?, to?, value? }
+ */
+function diffValues(from, to, paths, changes) {
+    if (isEqual(from, to)) return;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+        const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+        for (const key of keys) {
+            const next = { from: [...paths.from, key], to: [...paths.to, key] };
+            if (!(key in from)) changes.push({ op: 'added', pointer: buildPointer(next.to), value: to[key] });
+            else if (!(key in to)) changes.push({ op: 'removed', from_pointer: buildPointer(next.from), value: from[key] });
+            else diffValues(from[key], to[key], next, changes);
+        }
+        return;
+    }
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+        const field = sharedKeyField(from, to);
+        if (field) {
+            diffKeyedArrays(from, to, field, paths, changes);
+            return;
+        }
+        if ([...from, ...to].every(item => !isPlainObject(item) && !Array.isArray(item))) {
+            diffScalarArrays(from, to, paths, changes);
+            return;
+        }
+        const length = Math.max(from.length, to.length);
+        for (let i = 0; i < length; i += 1) {
+            const next = { from: [...paths.from, String(i)], to: [...paths.to, String(i)] };
+            if (i >= from.length) changes.push({ op: 'added', pointer: buildPointer(next.to), value: to[i] });
+            else if (i >= to.length) changes.push({ op: 'removed', from_pointer: buildPointer(next.from), value: from[i] });
+            else diffValues(from[i], to[i], next, changes);
+        }
+        return;
+    }
+
+    changes.push({
+        op: 'changed',
+        from_pointer: buildPointer(paths.from),
+        pointer: buildPointer(paths.to),
+        from,
+        to,
+    });
+}
+
+function diffKeyedArrays(from, to, field, paths, changes) {
+    const fromIndex = new Map(from.map((item, index) => [item[field], index]));
+    const toIndex = new Map(to.map((item, index) => [item[field], index]));
+
+    for (const [key, index] of fromIndex) {
+        if (!toIndex.has(key)) {
+            changes.push({ op: 'removed', key: `${field}=${key}`, from_pointer: buildPointer([...paths.from, String(index)]), value: from[index] });
+        }
+    }
+    for (const [key, index] of toIndex) {
+        const toPath = [...paths.to, String(index)];
+        if (!fromIndex.has(key)) {
+            changes.push({ op: 'added', key: `${field}=${key}`, pointer: buildPointer(toPath), value: to[index] });
+            continue;
+        }
+        const fromPos = fromIndex.get(key);
+        diffValues(from[fromPos], to[index], { from: [...paths.from, String(fromPos)], to: toPath }, changes);
+    }
+}
+
+function diffScalarArrays(from, to, paths, changes) {
+    const fromSet = new Set(from.map(item => JSON.stringify(item)));
+    const toSet = new Set(to.map(item => JSON.stringify(item)));
+    from.forEach((item, index) => {
+        if (!toSet.has(JSON.stringify(item))) {
+            changes.push({ op: 'removed', from_pointer: buildPointer([...paths.from, String(index)]), value: item });
+        }
+    });
+    to.forEach((item, index) => {
+        if (!fromSet.has(JSON.stringify(item))) {
+            changes.push({ op: 'added', pointer: buildPointer([...paths.to, String(index)]), value: item });
+        }
+    });
+}
+
+function getIn(obj, tokens) {
+    return tokens.reduce((node, token) => (node == null ? undefined : node[token]), obj);
+}
+
+// ─── Rules view ───────────────────────────────────────────────────────────────
+
+function ruleSummary(rule, pointerKey, tokens) {
+    return {
+        rule_id: rule.rule_id,
+        name: rule.name,
+        stage: rule.stage,
+        mechanism: rule.mechanism,
+        [pointerKey]: buildPointer(tokens),
+    };
+}
+
+function classifyRuleChange(change, rulePointer) {
+    const pointer = change.pointer || change.from_pointer;
+    const relative = pointer.slice(rulePointer.length);
+    if (relative.startsWith('/conditions') || relative.startsWith('/condition_combination')) return 'conditions';
+    if (relative.startsWith('/effect') || relative.startsWith('/branching_effects')) return 'effects';
+    return 'fields';
+}
+
+function diffRules(fromRulesDoc, toRulesDoc) {
+    const fromRules = getIn(fromRulesDoc, RULES_PATH) || [];
+    const toRules = getIn(toRulesDoc, RULES_PATH) || [];
+    const fromIndex = new Map(fromRules.map((rule, index) => [rule.rule_id, index]));
+    const toIndex = new Map(toRules.map((rule, index) => [rule.rule_id, index]));
+
+    const result = { added: [], removed: [], changed: [], unchanged_count: 0 };
+
+    for (const [id, index] of fromIndex) {
+        if (!toIndex.has(id)) result.removed.push(ruleSummary(fromRules[index], 'from_pointer', [...RULES_PATH, String(index)]));
+    }
+    for (const [id, index] of toIndex) {
+        const toTokens = [...RULES_PATH, String(index)];
+        if (!fromIndex.has(id)) {
+            result.added.push(ruleSummary(toRules[index], 'pointer', toTokens));
+            continue;
+        }
+        const fromTokens = [...RULES_PATH, String(fromIndex.get(id))];
+        const changes = [];
+        diffValues(fromRules[fromIndex.get(id)], toRules[index], { from: fromTokens, to: toTokens }, changes);
+        if (changes.length === 0) {
+            result.unchanged_count += 1;
+            continue;
+        }
+
+        const grouped = { conditions: [], effects: [], fields: [] };
+        const rulePointer = buildPointer(toTokens);
+        const fromRulePointer = buildPointer(fromTokens);
+        for (const change of changes) {
+            const base = change.pointer ? rulePointer : fromRulePointer;
+            grouped[classifyRuleChange(change, base)].push(change);
+        }
+        result.changed.push({
+            rule_id: id,
+            name: toRules[index].name,
+            from_pointer: fromRulePointer,
+            pointer: rulePointer,
+            ...grouped,
+        });
+    }
+    return result;
+}
+
+// ─── Catalogue view ───────────────────────────────────────────────────────────
+
+/**
+ * Catalogue items keyed by id, with their token paths. Sections hold either
+ * an items array (discounts, exemptions), named entries (property_premiums)
+ * or a single scheme object (council_tax_support).
+ */
+function catalogueItems(factsDoc) {
+    const catalogue = getIn(factsDoc, CATALOGUE_PATH) || {};
+    const items = new Map();
+    for (const [section, value] of Object.entries(catalogue)) {
+        if (!isPlainObject(value)) continue;
+        if (Array.isArray(value.items)) {
+            value.items.forEach((item, index) => {
+                const id = item.id || item.class;
+                if (id) items.set(`${section}:${id}`, { section, id, item, tokens: [...CATALOGUE_PATH, section, 'items', String(index)] });
+            });
+        } else if (value.scheme_id) {
+            items.set(`${section}:${value.scheme_id}`, { section, id: value.scheme_id, item: value, tokens: [...CATALOGUE_PATH, section] });
+        } else {
+            for (const [name, entry] of Object.entries(value)) {
+                if (!isPlainObject(entry) || name === 'overview' || name.startsWith('_')) continue;
+                items.set(`${section}:${name}`, { section, id: name, item: entry, tokens: [...CATALOGUE_PATH, section, name] });
+            }
+        }
+    }
+    return items;
+}
+
+function diffCatalogue(fromFactsDoc, toFactsDoc) {
+    const fromItems = catalogueItems(fromFactsDoc);
+    const toItems = catalogueItems(toFactsDoc);
+    const result = { added: [], removed: [], changed: [], unchanged_count: 0 };
+
+    for (const [key, entry] of fromItems) {
+        if (!toItems.has(key)) {
+            result.removed.push({ section: entry.section, id: entry.id, from_pointer: buildPointer(entry.tokens) });
+        }
+    }
+    for (const [key, entry] of toItems) {
+        if (!fromItems.has(key)) {
+            result.added.push({ section: entry.section, id: entry.id, pointer: buildPointer(entry.tokens) });
+            continue;
+        }
+        const before = fromItems.get(key);
+        const changes = [];
+        diffValues(before.item, entry.item, { from: before.tokens, to: entry.tokens }, changes);
+        if (changes.length === 0) {
+            result.unchanged_count += 1;
+        } else {
+            result.changed.push({
+                section: entry.section,
+                id: entry.id,
+                from_pointer: buildPointer(before.tokens),
+                pointer: buildPointer(entry.tokens),
+                changes,
+            });
+        }
+    }
+    return result;
+}
+
+// ─── Outcome changes on sample cases ──────────────────────────────────────────
+
+function ruleOutcome(rule, caseCtx) {
+    if (!rule) return { present: false };
+    const result = evaluateRule(rule, caseCtx);
+    if (!result) return { present: true, evaluable: false };
+    return { present: true, eligible: result.eligible, effect: result.effect };
+}
+
+/**
+ * Run every evaluable rule of both packs against each case and report the
+ * rules whose eligibility or effect differs between versions.
+ */
+function diffOutcomes(fromRulesDoc, toRulesDoc, cases) {
+    const fromRules = new Map((getIn(fromRulesDoc, RULES_PATH) || []).map(rule => [rule.rule_id, rule]));
+    const toRules = new Map((getIn(toRulesDoc, RULES_PATH) || []).map(rule => [rule.rule_id, rule]));
+    const ruleIds = Array.from(new Set([...fromRules.keys(), ...toRules.keys()]));
+
+    const changes = [];
+    for (const sample of cases) {
+        const caseCtx = buildCaseContext(sample.userFacts || {});
+        for (const ruleId of ruleIds) {
+            const before = ruleOutcome(fromRules.get(ruleId), caseCtx);
+            const after = ruleOutcome(toRules.get(ruleId), caseCtx);
+            // A rule that fires in neither version has no outcome to change
+            if (!before.eligible && !after.eligible) continue;
+            if (isEqual(before, after)) continue;
+            changes.push({ case_id: sample.id, rule_id: ruleId, from: before, to: after });
+        }
+    }
+
+    return {
+        cases_run: cases.map(sample => sample.id),
+        rules_with_changed_outcomes: Array.from(new Set(changes.map(change => change.rule_id))),
+        changes,
+    };
+}
+
+// ─── Pack diff ────────────────────────────────────────────────────────────────
+
+function summariseDocument(fromDoc, toDoc, maxChanges) {
+    const fromKeys = Object.keys(fromDoc || {});
+    const toKeys = Object.keys(toDoc || {});
+    const changes = [];
+    diffValues(fromDoc || {}, toDoc || {}, { from: [], to: [] }, changes);
+
+    return {
+        sections_added: toKeys.filter(key => !fromKeys.includes(key)),
+        sections_removed: fromKeys.filter(key => !toKeys.includes(key)),
+        sections_changed: toKeys.filter(key => fromKeys.includes(key) && !isEqual(fromDoc[key], toDoc[key])),
+        change_count: changes.length,
+        changes: changes.slice(0, maxChanges),
+        truncated: changes.length > maxChanges,
+    };
+}
+
+/**
+ * Compare two packs' raw documents.
+ * @param {object} fromDocs - { facts, rules, taxonomy, results }
+ * @param {object} toDocs - same shape
+ * @param {{ documents?: string[], cases?: object[], maxChanges?: number }} [options]
+ */
+function diffPacks(fromDocs, toDocs, options = {}) {
+    const documents = options.documents || DOC_TYPES;
+    const maxChanges = options.maxChanges || 200;
+    const cases = options.cases || SAMPLE_CASES;
+
+    const result = {};
+    if (documents.includes('rules')) {
+        result.rules = diffRules(fromDocs.rules, toDocs.rules);
+        result.outcome_changes = diffOutcomes(fromDocs.rules, toDocs.rules, cases);
+    }
+    if (documents.includes('facts')) {
+        result.catalogue = diffCatalogue(fromDocs.facts, toDocs.facts);
+    }
+    result.documents = {};
+    for (const type of documents) {
+        result.documents[type] = summariseDocument(fromDocs[type], toDocs[type], maxChanges);
+    }
+    return result;
+}
+
+module.exports = { diffPacks, diffValues, DOC_TYPES, SAMPLE_CASES };
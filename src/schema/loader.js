@@ -2,6 +2,8 @@
  * Schema loader - loads the council tax schema pack at cold start.
  * Uses the v2.5.6 runtime-first document set (facts, rules, taxonomy, results),
  * while preserving backward-compatible merged paths used by existing tools.
+ * Older complete packs stay in memory too (see getPack) so appeals and
+ * backdated claims can be evaluated against the rules of their year.
  */
 
 const fs = require('fs');
@@ -9,14 +11,11 @@ const path = require('path');
 const crypto = require('crypto');
 const { getSchemaDir } = require('../util/config');
 
-// Module-level cache
-let cachedSchema = null;
-let cachedDocuments = null;
-let cachedHash = null;
-let cachedVersion = null;
-let cachedFinancialYear = null;
-let cachedDocumentPack = null;
+// Module-level cache: the pack served by default plus every other complete
+// pack on disk, keyed by version, so past financial years can be evaluated
+let currentPack = null;
 let loadError = null;
+const packCache = new Map();
 
 /**
  * Schema file pattern:
@@ -36,10 +35,13 @@ function compareVersions(a, b) {
     return 0;
 }
 
-function discoverSchemaPack(schemaDir) {
-    const preferredVersion = process.env.MCP_SCHEMA_VERSION
-        ? String(process.env.MCP_SCHEMA_VERSION).replace(/^v/i, '')
-        : null;
+/**
+ * Index the schema directory by pack version.
+ * @param {string} schemaDir - Absolute schema directory
+ * @returns {{ byVersion: Map<string, object>, completeVersions: string[] }}
+ *   completeVersions is newest first and only lists packs with all four documents
+ */
+function indexSchemaPacks(schemaDir) {
     const byVersion = new Map();
     const files = fs.readdirSync(schemaDir);
 
@@ -59,6 +61,15 @@ function discoverSchemaPack(schemaDir) {
         .map(([version]) => version)
         .sort((a, b) => compareVersions(b, a));
 
+    return { byVersion, completeVersions };
+}
+
+function discoverSchemaPack(schemaDir) {
+    const preferredVersion = process.env.MCP_SCHEMA_VERSION
+        ? String(process.env.MCP_SCHEMA_VERSION).replace(/^v/i, '')
+        : null;
+    const { byVersion, completeVersions } = indexSchemaPacks(schemaDir);
+
     if (completeVersions.length === 0) {
         throw new Error(`No complete council tax schema pack found in ${schemaDir}`);
     }
@@ -191,12 +202,48 @@ function buildMergedSchema(docs) {
 }
 
 /**
- * Load all schema documents from disk
+ * Read one pack's four documents and build its merged view
+ * @param {string} absoluteDir - Absolute schema directory
+ * @param {string} version - Pack version, e.g. "2.5.6"
+ * @param {object} files - { facts, rules, taxonomy, results } filenames
+ * @returns {object} Pack record
+ */
+function loadPack(absoluteDir, version, files) {
+    const documents = {};
+    const paths = {};
+    const hashInput = crypto.createHash('sha256');
+
+    for (const type of REQUIRED_DOC_TYPES) {
+        const filePath = path.join(absoluteDir, files[type]);
+        const content = fs.readFileSync(filePath, 'utf8');
+        documents[type] = JSON.parse(content);
+        paths[type] = filePath;
+        hashInput.update(content);
+    }
+
+    const factsMeta = documents.facts.document_meta || {};
+    return {
+        version,
+        files: { facts: files.facts, rules: files.rules, taxonomy: files.taxonomy, results: files.results },
+        paths,
+        documents,
+        schema: buildMergedSchema(documents),
+        hash: 'sha256:' + hashInput.digest('hex'),
+        schemaVersion: factsMeta.version || factsMeta.document_version || 'unknown',
+        financialYear: factsMeta.financial_year || 'unknown',
+        documentPack: `v${version} (facts, rules, taxonomy, results)`
+    };
+}
+
+/**
+ * Load all schema documents from disk: the served pack first, then every
+ * other complete pack. A broken older pack is skipped rather than failing
+ * the served one.
  * @returns {object|null} Merged schema or null on error
  */
 function loadSchema() {
-    if (cachedSchema !== null) {
-        return cachedSchema;
+    if (currentPack !== null) {
+        return currentPack.schema;
     }
 
     if (loadError !== null) {
@@ -208,47 +255,43 @@ function loadSchema() {
         const absoluteDir = path.resolve(process.cwd(), schemaDir);
 
         const discoveredPack = discoverSchemaPack(absoluteDir);
-        const docs = {};
-        const hashInput = crypto.createHash('sha256');
-
-        for (const [key, filename] of Object.entries(discoveredPack.files)) {
-            const filePath = path.join(absoluteDir, filename);
-            const content = fs.readFileSync(filePath, 'utf8');
-            docs[key] = JSON.parse(content);
-            hashInput.update(content);
+        currentPack = loadPack(absoluteDir, discoveredPack.version, discoveredPack.files);
+        packCache.set(currentPack.version, currentPack);
+
+        console.log(`Council Tax schema pack loaded: version=${currentPack.schemaVersion}, financial_year=${currentPack.financialYear}, pack=${currentPack.documentPack}, hash=${currentPack.hash.substring(0, 20)}...`);
+
+        const { byVersion, completeVersions } = indexSchemaPacks(absoluteDir);
+        for (const version of completeVersions) {
+            if (packCache.has(version)) continue;
+            try {
+                packCache.set(version, loadPack(absoluteDir, version, byVersion.get(version)));
+            } catch (err) {
+                console.warn(`Skipping council tax schema pack v${version}: ${err.message}`);
+            }
         }
 
-        cachedDocuments = docs;
-        cachedHash = 'sha256:' + hashInput.digest('hex');
-
-        // Build merged view
-        cachedSchema = buildMergedSchema(docs);
-
-        // Extract version from facts document metadata
-        const factsMeta = docs.facts.document_meta || {};
-        cachedVersion = factsMeta.version || factsMeta.document_version || 'unknown';
-        cachedFinancialYear = factsMeta.financial_year || 'unknown';
-        cachedDocumentPack = `v${discoveredPack.version} (facts, rules, taxonomy, results)`;
-
-        console.log(`Council Tax schema pack loaded: version=${cachedVersion}, financial_year=${cachedFinancialYear}, pack=${cachedDocumentPack}, hash=${cachedHash.substring(0, 20)}...`);
-
-        return cachedSchema;
+        return currentPack.schema;
     } catch (err) {
+        currentPack = null;
         loadError = err;
         console.error('Failed to load council tax schema pack:', err.message);
         return null;
     }
 }
 
+function ensureLoaded() {
+    if (currentPack === null && loadError === null) {
+        loadSchema();
+    }
+}
+
 /**
  * Get the merged schema (loads if not already loaded)
  * @returns {object|null} Merged schema object or null if load failed
  */
 function getSchema() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedSchema;
+    ensureLoaded();
+    return currentPack ? currentPack.schema : null;
 }
 
 /**
@@ -257,10 +300,73 @@ function getSchema() {
  * @returns {object|null} Raw document or null
  */
 function getDocument(docType) {
-    if (cachedDocuments === null && loadError === null) {
-        loadSchema();
+    ensureLoaded();
+    return currentPack ? currentPack.documents[docType] || null : null;
+}
+
+/**
+ * Get the absolute file path of each loaded document
+ * @returns {object|null} { facts, rules, taxonomy, results } paths or null if not loaded
+ */
+function getDocumentPaths() {
+    ensureLoaded();
+    return currentPack ? currentPack.paths : null;
+}
+
+/**
+ * Get a loaded pack by version, or the served pack when no version is given.
+ * @param {string} [version] - e.g. "2.5.6", "v2.5.6" or "v2.5.7.rebuilt"
+ * @returns {{ version: string, files: object, paths: object, documents: object, schema: object,
+ *   hash: string, schemaVersion: string, financialYear: string, documentPack: string }|null}
+ *   null if no such pack was loaded
+ */
+function getPack(version) {
+    ensureLoaded();
+    if (version === undefined || version === null) {
+        return currentPack;
     }
-    return cachedDocuments ? cachedDocuments[docType] || null : null;
+    const wanted = String(version).trim().replace(/^v/i, '').replace(/\.rebuilt$/, '');
+    return packCache.get(wanted) || null;
+}
+
+/**
+ * List every loaded pack, newest first
+ * @returns {Array<{ version: string, schema_version: string, financial_year: string, document_pack: string, served: boolean }>}
+ */
+function listPacks() {
+    ensureLoaded();
+    return Array.from(packCache.values())
+        .sort((a, b) => compareVersions(b.version, a.version))
+        .map(pack => ({
+            version: pack.version,
+            schema_version: pack.schemaVersion,
+            financial_year: pack.financialYear,
+            document_pack: pack.documentPack,
+            served: pack === currentPack
+        }));
+}
+
+/**
+ * List every loaded pack version
+ * @returns {string[]} Versions, newest first (e.g. ["2.5.7", "2.5.6", ...])
+ */
+function listPackVersions() {
+    return listPacks().map(pack => pack.version);
+}
+
+/**
+ * Find the packs that cover a financial year, by each pack's own
+ * document_meta.financial_year. Every pack shipped today is a revision of the
+ * 2026/27 policy, so an earlier year matches nothing until its pack is added;
+ * pin an earlier revision with getPack(version) instead.
+ * @param {string} financialYear - e.g. "2026/27"
+ * @returns {object[]} Pack records, newest first (empty if none)
+ */
+function getPacksForFinancialYear(financialYear) {
+    ensureLoaded();
+    return Array.from(packCache.values())
+        .filter(pack => pack.financialYear === financialYear)
+        .sort((a, b) => compareVersions(b.version, a.version));
 }
 
 /**
@@ -268,10 +374,8 @@ function getDocument(docType) {
  * @returns {string|null} SHA-256 hash or null if not loaded
  */
 function getSchemaHash() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedHash;
+    ensureLoaded();
+    return currentPack ? currentPack.hash : null;
 }
 
 /**
@@ -279,10 +383,8 @@ function getSchemaHash() {
  * @returns {string|null} Schema version or null if not loaded
  */
 function getSchemaVersion() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedVersion;
+    ensureLoaded();
+    return currentPack ? currentPack.schemaVersion : null;
 }
 
 /**
@@ -290,10 +392,8 @@ function getSchemaVersion() {
  * @returns {string|null} Financial year or null if not loaded
  */
 function getFinancialYear() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedFinancialYear;
+    ensureLoaded();
+    return currentPack ? currentPack.financialYear : null;
 }
 
 /**
@@ -301,10 +401,8 @@ function getFinancialYear() {
  * @returns {string|null} e.g. "v2.5.6 (facts, rules, taxonomy, results)"
  */
 function getDocumentPack() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedDocumentPack;
+    ensureLoaded();
+    return currentPack ? currentPack.documentPack : null;
 }
 
 /**
@@ -312,10 +410,8 @@ function getDocumentPack() {
  * @returns {boolean} True if loaded
  */
 function isSchemaLoaded() {
-    if (cachedSchema === null && loadError === null) {
-        loadSchema();
-    }
-    return cachedSchema !== null;
+    ensureLoaded();
+    return currentPack !== null;
 }
 
 /**
@@ -330,19 +426,16 @@ function getLoadError() {
  * Force reload of the schema (for testing)
  */
 function reloadSchema() {
-    cachedSchema = null;
-    cachedDocuments = null;
-    cachedHash = null;
-    cachedVersion = null;
-    cachedFinancialYear = null;
-    cachedDocumentPack = null;
+    currentPack = null;
     loadError = null;
+    packCache.clear();
     return loadSchema();
 }
 
 module.exports = {
     getSchema,
     getDocument,
+    getDocumentPaths,
     getSchemaHash,
     getSchemaVersion,
     getFinancialYear,
@@ -350,5 +443,10 @@ module.exports = {
     isSchemaLoaded,
     getLoadError,
     reloadSchema,
-    discoverSchemaPack
+    discoverSchemaPack,
+    getPack,
+    listPacks,
+    listPackVersions,
+    getPacksForFinancialYear,
+    compareVersions
 };
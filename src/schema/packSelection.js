@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Pack selection for the schema_* tools.
+ *
+ * Resolves the optional schema_version / financial_year tool arguments to a
+ * loaded pack, so an appeal or backdated claim is assessed against the rules
+ * that applied at the time rather than the pack served today.
+ */
+
+const { ERROR_CODES, createError } = require('../util/errors');
+const { getPack, getPacksForFinancialYear, listPacks } = require('./loader');
+
+const FINANCIAL_YEAR_PATTERN = /^(\d{4})\s*[/-]\s*(\d{2}|\d{4})$/;
+
+/**
+ * Normalise a financial year to the "2026/27" form used in document_meta
+ * @param {string} value - e.g. "2026/27", "2026-27" or "2026/2027"
+ * @returns {string|null} Normalised year, or null if not a valid financial year
+ */
+function normaliseFinancialYear(value) {
+    const match = String(value).trim().match(FINANCIAL_YEAR_PATTERN);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    const expected = match[2].length === 2 ? (start + 1) % 100 : start + 1;
+    if (end !== expected) return null;
+
+    return `${start}/${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function availablePacks() {
+    return listPacks().map(({ version, financial_year, served }) => ({ version, financial_year, served }));
+}
+
+/**
+ * Resolve tool input to a pack record
+ * @param {object} input - Tool input
+ * @param {string} [input.schema_version] - Exact pack version, e.g. "2.5.6"
+ * @param {string} [input.financial_year] - Financial year, e.g. "2026/27" (newest pack for that year)
+ * @returns {{ pack: object }|{ error: object }} The pack, or a createError result to return as-is
+ */
+function selectPack(input = {}) {
+    const { schema_version: schemaVersion, financial_year: financialYear } = input;
+
+    if (schemaVersion === undefined && financialYear === undefined) {
+        return { pack: getPack() };
+    }
+
+    let year = null;
+    if (financialYear !== undefined) {
+        year = normaliseFinancialYear(financialYear);
+        if (!year) {
+            return {
+                error: createError(
+                    ERROR_CODES.BAD_REQUEST,
+                    `"financial_year" must look like 2026/27, got "${financialYear}"`
+                )
+            };
+        }
+    }
+
+    if (schemaVersion !== undefined) {
+        const pack = getPack(schemaVersion);
+        if (!pack) {
+            return {
+                error: createError(
+                    ERROR_CODES.NOT_FOUND,
+                    `No council tax schema pack with version "${schemaVersion}"`,
+                    { availablePacks: availablePacks() }
+                )
+            };
+        }
+        if (year && pack.financialYear !== year) {
+            return {
+                error: createError(
+                    ERROR_CODES.BAD_REQUEST,
+                    `Schema pack v${pack.version} covers ${pack.financialYear}, not ${year}`,
+                    { availablePacks: availablePacks() }
+                )
+            };
+        }
+        return { pack };
+    }
+
+    const [newest] = getPacksForFinancialYear(year);
+    if (!newest) {
+        return {
+            error: createError(
+                ERROR_CODES.NOT_FOUND,
+                `No council tax schema pack covers financial year ${year}`,
+                { availablePacks: availablePacks() }
+            )
+        };
+    }
+    return { pack: newest };
+}
+
+module.exports = { selectPack, normaliseFinancialYear };
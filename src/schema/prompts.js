@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * MCP prompt definitions built from the council tax chatbot overlay
+ * (ct_chatbot_overlay.json). Rendered on every prompts/get so assistants
+ * always receive the current framing and intake trees rather than a copy
+ * pasted into their system prompt.
+ */
+
+const { McpError } = require('../mcp-core/errors');
+const { getDocument } = require('./revisedLoader');
+
+const INVALID_PARAMS = -32602;
+const DEFAULT_TREE = 'initial_triage';
+
+// Intake tree that gathers the facts for each overlay topic. Topics not
+// listed here (single person discount, CTS, enforcement…) start from
+// initial_triage, which routes on the resident's answers.
+const TOPIC_TREES = {
+    'severely-mentally-impaired': 'disregards_deep_dive',
+    'carer-disregard': 'disregards_deep_dive',
+    'full-time-students': 'disregards_deep_dive',
+    'apprentices-youth-trainees': 'disregards_deep_dive',
+    'school-college-leavers': 'disregards_deep_dive',
+    'disabled-band-reduction': 'property_adjustments',
+    'unoccupied-unfurnished': 'property_adjustments',
+    'major-repair': 'property_adjustments',
+    'annexe-discount': 'property_adjustments',
+    'job-related-second-home': 'property_adjustments',
+    'empty-homes-premium': 'property_adjustments',
+};
+
+/**
+ * Normalise a topic or tree name so "disregards_deep_dive",
+ * "Disregards-Deep-Dive" and "disregards deep dive" all match.
+ * @param {string} value
+ * @returns {string}
+ */
+function normaliseTopic(value) {
+    return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Every topic the prompt accepts: intake tree names plus the overlay's
+ * discount and follow-up topic slugs.
+ * @param {object} overlay
+ * @returns {string[]}
+ */
+function listTopics(overlay) {
+    const topics = new Set([
+        ...Object.keys(overlay.intake_trees || {}),
+        ...Object.keys(overlay.discount_topics || {}),
+        ...Object.keys(overlay.suggested_followups_by_topic || {}),
+    ]);
+    return Array.from(topics);
+}
+
+/**
+ * Resolve the topic argument to an intake tree and optional overlay topic.
+ * @param {object} overlay
+ * @param {string|undefined} topic
+ * @returns {{ treeName: string, topicKey: string|null }}
+ */
+function resolveTopic(overlay, topic) {
+    const trees = overlay.intake_trees || {};
+    if (!topic) return { treeName: DEFAULT_TREE, topicKey: null };
+
+    const wanted = normaliseTopic(topic);
+    const treeName = Object.keys(trees).find((name) => normaliseTopic(name) === wanted);
+    if (treeName) return { treeName, topicKey: null };
+
+    const topicKey = listTopics(overlay).find((key) => normaliseTopic(key) === wanted);
+    if (!topicKey) {
+        throw new McpError(
+            INVALID_PARAMS,
+            `Invalid params: unknown topic "${topic}". Valid topics: ${listTopics(overlay).join(', ')}`
+        );
+    }
+
+    const mapped = TOPIC_TREES[topicKey];
+    return { treeName: mapped && trees[mapped] ? mapped : DEFAULT_TREE, topicKey };
+}
+
+function bulletList(items) {
+    return (items || []).map(item => `- ${item}`).join('\n');
+}
+
+function formatQuestion(question, index) {
+    let line = `${index + 1}. [${question.id}] ${question.text}`;
+    if (question.routes) {
+        const routes = Object.entries(question.routes).map(([answer, next]) => `${answer} → ${next}`);
+        line += `\n   Routes: ${routes.join('; ')}`;
+    }
+    if (question.fact_input) {
+        line += `\n   Informs: ${question.fact_input}`;
+    }
+    return line;
+}
+
+/**
+ * Render the guided intake conversation for a topic.
+ * @param {{ topic?: string }} args
+ * @returns {{ description: string, messages: object[] }}
+ */
+function renderGuidedIntake(args) {
+    const overlay = getDocument('chatbot_overlay');
+    if (!overlay) {
+        throw new Error('Council tax chatbot overlay is not loaded');
+    }
+
+    const { treeName, topicKey } = resolveTopic(overlay, args.topic);
+    const tree = overlay.intake_trees[treeName];
+    const framing = overlay.framing || {};
+    const topicSummary = topicKey && overlay.discount_topics && overlay.discount_topics[topicKey];
+    const followups = topicKey && overlay.suggested_followups_by_topic
+        ? overlay.suggested_followups_by_topic[topicKey]
+        : null;
+
+    const sections = [
+        'You are helping a resident with their Gloucester City Council Tax question. Follow this guidance for the whole conversation.',
+        `SCOPE\n${framing.scope}`,
+        `TONE\n${bulletList(framing.tone_principles)}`,
+        `RESOLVING ELIGIBILITY\n${bulletList(framing.resolution_principles)}`,
+        `OUT OF SCOPE — refer the resident to the council\n${bulletList(framing.out_of_scope)}`,
+    ];
+
+    if (topicSummary) {
+        sections.push(`TOPIC\n${topicSummary.plain_english_summary}\nOpen with: "${topicSummary.resident_question}"`);
+    }
+
+    sections.push(
+        `GUIDED INTAKE — ${treeName}: ${tree.description}\n` +
+        'Ask one question at a time, in order, skipping any the resident has already answered. ' +
+        'Follow the routes where given.\n\n' +
+        tree.questions.map(formatQuestion).join('\n')
+    );
+
+    if (followups && followups.length > 0) {
+        sections.push(`FOLLOW-UP QUESTIONS\n${bulletList(followups)}`);
+    }
+
+    sections.push(
+        'NEXT STEPS\n' +
+        'Once you have the facts, call ct_evaluate to check eligibility, and use ct_get or ct_search for authoritative detail. ' +
+        'This guidance is an overlay only — ct_facts and ct_rules are the source of policy truth.\n\n' +
+        `Source: gcc://council-tax/chatbot-overlay (${overlay.$schema})`
+    );
+
+    const focus = topicKey ? `${topicKey} via ${treeName}` : treeName;
+    return {
+        description: `Guided council tax intake (${focus})`,
+        messages: [{ role: 'user', content: { type: 'text', text: sections.join('\n\n') } }],
+    };
+}
+
+/**
+ * Prompts served by mcpSchemaV2.
+ * @returns {object[]}
+ */
+function getCouncilTaxPrompts() {
+    const overlay = getDocument('chatbot_overlay');
+    const topics = overlay ? listTopics(overlay) : [];
+
+    return [{
+        name: 'ct_guided_intake',
+        title: 'Guided council tax intake',
+        description: 'A guided triage conversation for a resident\'s council tax question, with the council\'s tone and ' +
+            'resolution principles and the matching intake question tree from the chatbot overlay.',
+        arguments: [{
+            name: 'topic',
+            description: `Optional. Selects the intake tree and adds topic guidance. One of: ${topics.join(', ')}. ` +
+                `Defaults to ${DEFAULT_TREE}.`,
+            required: false,
+        }],
+        render: renderGuidedIntake,
+    }];
+}
+
+module.exports = { getCouncilTaxPrompts, resolveTopic };
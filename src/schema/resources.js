@@ -0,0 +1,71 @@
+/**
+ * MCP resource definitions for the council tax schema packs.
+ *
+ * gcc://council-tax/<document>       — revised five-document pack (mcpSchemaV2)
+ * gcc://council-tax-pack/<document>  — versioned facts/rules/taxonomy/results pack (mcpSchema)
+ *
+ * Append a JSON Pointer fragment to address part of a document, e.g.
+ * gcc://council-tax/rules#/executable_rules/3
+ */
+
+'use strict';
+
+const { jsonFileResource } = require('../mcp-core/resources');
+const loader = require('./loader');
+const revisedLoader = require('./revisedLoader');
+
+const REVISED_DOCUMENTS = {
+    facts: { slug: 'facts', title: 'Council tax facts' },
+    rules: { slug: 'rules', title: 'Council tax executable and narrative rules' },
+    vocabulary: { slug: 'vocabulary', title: 'Council tax controlled vocabulary' },
+    channel_overlay: { slug: 'channel-overlay', title: 'Council tax channel overlay' },
+    chatbot_overlay: { slug: 'chatbot-overlay', title: 'Council tax chatbot overlay' },
+};
+
+const PACK_DOCUMENTS = {
+    facts: 'Council tax facts',
+    rules: 'Council tax rules',
+    taxonomy: 'Council tax taxonomy',
+    results: 'Council tax results',
+};
+
+/**
+ * Resources for the revised pack served by mcpSchemaV2.
+ * Each document is versioned by its own $schema identifier.
+ * @returns {object[]}
+ */
+function getRevisedPackResources() {
+    const paths = revisedLoader.getDocumentPaths();
+    return Object.entries(REVISED_DOCUMENTS).map(([docType, { slug, title }]) => jsonFileResource({
+        uri: `gcc://council-tax/${slug}`,
+        name: `council-tax-${slug}`,
+        title,
+        description: `${title} (${revisedLoader.getFinancialYear() || 'unknown financial year'}) — the document ct_* tools evaluate against.`,
+        filePath: paths[docType],
+        version: (document) => document.$schema,
+    }));
+}
+
+/**
+ * Resources for the versioned pack served by mcpSchema.
+ * Returns an empty list when the pack failed to load.
+ * @returns {object[]}
+ */
+function getSchemaPackResources() {
+    const paths = loader.getDocumentPaths();
+    if (!paths) return [];
+
+    return Object.entries(PACK_DOCUMENTS).map(([docType, title]) => jsonFileResource({
+        uri: `gcc://council-tax-pack/${docType}`,
+        name: `council-tax-pack-${docType}`,
+        title,
+        description: `${title} from pack ${loader.getDocumentPack()} — the document schema_* tools evaluate against.`,
+        filePath: paths[docType],
+        version: (document) => {
+            const meta = document.document_meta || {};
+            return meta.version || meta.document_version || loader.getSchemaVersion();
+        },
+    }));
+}
+
+module.exports = { getRevisedPackResources, getSchemaPackResources };
@@ -125,6 +125,13 @@ function getDocument(docType) {
     return cachedDocuments ? (cachedDocuments[docType] || null) : null;
 }
 
+function getDocumentPaths() {
+    const schemaDir = path.resolve(process.cwd(), REVISED_SCHEMA_DIR);
+    return Object.fromEntries(
+        Object.entries(DOC_FILES).map(([key, filename]) => [key, path.join(schemaDir, filename)])
+    );
+}
+
 function getSchemaHash() {
     if (cachedSchema === null && loadError === null) loadSchema();
     return cachedHash;
@@ -162,6 +169,7 @@ function reloadSchema() {
 module.exports = {
     getSchema,
     getDocument,
+    getDocumentPaths,
     getSchemaHash,
     getSchemaVersion,
     getFinancialYear,
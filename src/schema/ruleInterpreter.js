@@ -7,15 +7,85 @@
  * rule objects. No per-rule logic lives here — adding a rule to the schema
  * document automatically makes it evaluable without code changes.
  *
+ * Conditions are either leaves or groups, and groups nest to any depth:
+ *   { "fact": "property.occupancy_status", "operator": "equals", "value": "second_home" }
+ *   { "fact": "derived.counted_adults", "operator": "less_than", "value_fact": "derived.residents" }
+ *   { "all": [ ... ] }   { "any": [ ... ] }   { "not": { ... } }
+ *
+ * A leaf compares its left operand with `value`, or with another fact when
+ * `value_fact` is given. The left operand is a `fact` path or a `duration`
+ * between two date facts in whole days, months or years:
+ *   { "duration": { "from": "property.empty_since", "to": "case.liability_date", "unit": "months" },
+ *     "operator": "greater_than", "value": 12 }
+ * `to` defaults to calendar.current_date. Date operators take an optional
+ * `offset` ({ days, months, years }) applied to the compared date.
+ *
  * Supported condition operators: equals, not_equals, greater_than,
- * greater_than_or_equal, less_than, less_than_or_equal, in, not_in, contains.
+ * greater_than_or_equal, less_than, less_than_or_equal, between_inclusive,
+ * in, not_in, contains, contains_all, exists, before, after, on_or_before,
+ * on_or_after, before_same_year_date.
  *
- * Supported derived_value aggregations: count (with where_all conditions).
+ * Supported derived_value aggregations over a collection: count, sum, min,
+ * max, exists. Items are filtered by where_all (list) and/or where (condition);
+ * sum/min/max read `field` from each item. Derived values are computed in
+ * order, so later ones may reference earlier ones.
  *
  * Effect types resolved: single effect or first matching branch from
  * branching_effects.
  */
 
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})/;
+const MONTH_DAY = /^(\d{2})-(\d{2})$/;
+
+// ─── Dates ────────────────────────────────────────────────────────────────────
+
+function parseDate(value) {
+    const match = typeof value === 'string' && value.match(ISO_DATE);
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addOffset(date, offset) {
+    if (!offset) return date;
+    const shifted = new Date(date.getTime());
+    if (offset.years || offset.months) {
+        const day = shifted.getUTCDate();
+        shifted.setUTCDate(1);
+        shifted.setUTCMonth(shifted.getUTCMonth() + (offset.years || 0) * 12 + (offset.months || 0));
+        // Clamp to month end (e.g. 31 Jan + 1 month = 28/29 Feb)
+        const monthEnd = new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 0)).getUTCDate();
+        shifted.setUTCDate(Math.min(day, monthEnd));
+    }
+    if (offset.days) shifted.setUTCDate(shifted.getUTCDate() + offset.days);
+    return shifted;
+}
+
+/**
+ * Whole units elapsed from one date to another (negative if `to` is earlier).
+ */
+function elapsed(from, to, unit) {
+    if (unit === 'days') return Math.round((to - from) / 86400000);
+    const sign = to < from ? -1 : 1;
+    const [start, end] = sign === 1 ? [from, to] : [to, from];
+    let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+    if (end.getUTCDate() < start.getUTCDate()) months -= 1;
+    const whole = unit === 'years' ? Math.floor(months / 12) : months;
+    return sign * whole;
+}
+
+function compareDates(a, b, test) {
+    const left = parseDate(a);
+    const right = parseDate(b);
+    return left !== null && right !== null && test(left - right);
+}
+
+// ─── Operators ────────────────────────────────────────────────────────────────
+
 const OPERATORS = {
     equals: (a, b) => a === b,
     not_equals: (a, b) => a !== b,
@@ -23,36 +93,97 @@ const OPERATORS = {
     greater_than_or_equal: (a, b) => typeof a === 'number' && a >= b,
     less_than: (a, b) => typeof a === 'number' && a < b,
     less_than_or_equal: (a, b) => typeof a === 'number' && a <= b,
+    between_inclusive: (a, b) => typeof a === 'number' && Array.isArray(b) && a >= b[0] && a <= b[1],
     in: (a, b) => Array.isArray(b) && b.includes(a),
     not_in: (a, b) => Array.isArray(b) && !b.includes(a),
     contains: (a, b) => Array.isArray(a) && a.includes(b),
+    contains_all: (a, b) => Array.isArray(a) && Array.isArray(b) && b.every(v => a.includes(v)),
+    exists: (a, b) => (a !== undefined && a !== null) === (b !== false),
+    before: (a, b) => compareDates(a, b, diff => diff < 0),
+    after: (a, b) => compareDates(a, b, diff => diff > 0),
+    on_or_before: (a, b) => compareDates(a, b, diff => diff <= 0),
+    on_or_after: (a, b) => compareDates(a, b, diff => diff >= 0),
+    // value is "MM-DD": true when the date falls before that day of its own year
+    before_same_year_date: (a, b) => {
+        const date = parseDate(a);
+        const monthDay = typeof b === 'string' && b.match(MONTH_DAY);
+        if (!date || !monthDay) return false;
+        return compareDates(a, `${date.getUTCFullYear()}-${monthDay[1]}-${monthDay[2]}`, diff => diff < 0);
+    },
 };
 
+const DATE_OPERATORS = new Set(['before', 'after', 'on_or_before', 'on_or_after']);
+
 function resolvePath(obj, path) {
     if (!path) return undefined;
     return path.split('.').reduce((cur, k) => (cur != null ? cur[k] : undefined), obj);
 }
 
+// ─── Conditions ───────────────────────────────────────────────────────────────
+
+function resolveOperand(cond, ctx) {
+    if (cond.duration) {
+        const { from, to, unit = 'days' } = cond.duration;
+        const fromDate = parseDate(resolvePath(ctx, from));
+        const toDate = parseDate(resolvePath(ctx, to || 'calendar.current_date'));
+        return fromDate && toDate ? elapsed(fromDate, toDate, unit) : undefined;
+    }
+    return resolvePath(ctx, cond.fact);
+}
+
+function resolveComparand(cond, ctx) {
+    const value = cond.value_fact !== undefined ? resolvePath(ctx, cond.value_fact) : cond.value;
+    if (cond.offset && DATE_OPERATORS.has(cond.operator)) {
+        const date = parseDate(value);
+        return date ? formatDate(addOffset(date, cond.offset)) : undefined;
+    }
+    return value;
+}
+
 function evalCondition(cond, ctx) {
-    const val = resolvePath(ctx, cond.fact);
+    if (!cond || typeof cond !== 'object') return false;
+    if (Array.isArray(cond.all)) return cond.all.every(c => evalCondition(c, ctx));
+    if (Array.isArray(cond.any)) return cond.any.some(c => evalCondition(c, ctx));
+    if (cond.not !== undefined) return !evalCondition(cond.not, ctx);
+
     const op = OPERATORS[cond.operator];
-    return op ? op(val, cond.value) : false;
+    return op ? op(resolveOperand(cond, ctx), resolveComparand(cond, ctx)) : false;
 }
 
 function evalConditions(conditions, combination, ctx) {
+    if (conditions && !Array.isArray(conditions)) return evalCondition(conditions, ctx);
     if (!Array.isArray(conditions) || conditions.length === 0) return true;
     const test = c => evalCondition(c, ctx);
     return combination === 'any' ? conditions.some(test) : conditions.every(test);
 }
 
+// ─── Derived values ───────────────────────────────────────────────────────────
+
+const AGGREGATIONS = {
+    count: (items) => items.length,
+    exists: (items) => items.length > 0,
+    sum: (items, values) => values.reduce((total, v) => total + v, 0),
+    min: (items, values) => (values.length > 0 ? Math.min(...values) : null),
+    max: (items, values) => (values.length > 0 ? Math.max(...values) : null),
+};
+
 function computeDerived(derivedDefs, ctx) {
     const derived = {};
     for (const def of (derivedDefs || [])) {
-        if (def.aggregation !== 'count') continue;
-        const collection = resolvePath(ctx, def.collection) || [];
-        derived[def.name] = collection.filter(item =>
-            evalConditions(def.where_all || [], 'all', { ...ctx, item })
-        ).length;
+        const aggregate = AGGREGATIONS[def.aggregation];
+        if (!aggregate) continue;
+
+        const scope = { ...ctx, derived: { ...ctx.derived, ...derived } };
+        const collection = resolvePath(scope, def.collection);
+        const items = (Array.isArray(collection) ? collection : []).filter(item => {
+            const itemCtx = { ...scope, item };
+            return evalConditions(def.where_all || [], 'all', itemCtx) &&
+                (def.where === undefined || evalCondition(def.where, itemCtx));
+        });
+        const values = def.field
+            ? items.map(item => resolvePath({ ...scope, item }, def.field)).filter(v => typeof v === 'number')
+            : [];
+        derived[def.name] = aggregate(items, values);
     }
     return derived;
 }
@@ -75,7 +206,10 @@ function resolveEffect(rule, ctx) {
  */
 function evaluateRule(rule, baseCtx) {
     if (!rule.mechanism || rule.mechanism === 'undefined') return null;
-    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return null;
+    const hasConditions = Array.isArray(rule.conditions)
+        ? rule.conditions.length > 0
+        : Boolean(rule.conditions && typeof rule.conditions === 'object');
+    if (!hasConditions) return null;
 
     const derived = computeDerived(rule.derived_values, baseCtx);
     const ctx = { ...baseCtx, derived: { ...baseCtx.derived, ...derived } };
@@ -100,7 +234,8 @@ function evaluateRule(rule, baseCtx) {
  * residents-array and property-object model that rule conditions reference.
  * Pre-computes household aggregates into derived so branching_effects
  * that reference derived.counted_adults_after_disregards work without
- * a separate disregard pass.
+ * a separate disregard pass. Optional date facts (liability_date,
+ * property_empty_since) are ISO YYYY-MM-DD strings.
  */
 function buildCaseContext(userFacts) {
     const adults = Number.isFinite(userFacts.adults) ? userFacts.adults : 0;
@@ -146,6 +281,7 @@ function buildCaseContext(userFacts) {
     const countingAdults = Math.max(0, adults - disregardedAdults);
 
     const adultsDefined = Number.isFinite(userFacts.adults);
+    const today = formatDate(new Date());
 
     let occupancyStatus = 'sole_or_main_residence';
     if (userFacts.property_empty) occupancyStatus = 'empty_long_term';
@@ -160,6 +296,7 @@ function buildCaseContext(userFacts) {
         property: {
             occupancy_status: occupancyStatus,
             empty_duration_years: Number.isFinite(userFacts.property_empty_years) ? userFacts.property_empty_years : 0,
+            empty_since: userFacts.property_empty_since,
             has_disabled_adaptation: Boolean(userFacts.has_disabled_adaptations),
             valuation_band: userFacts.property_band,
             disabled_resident: Boolean(userFacts.disabled_resident),
@@ -185,6 +322,10 @@ function buildCaseContext(userFacts) {
             counted_adults_after_disregards: countingAdults,
         },
         workflow: { completed_stages: [] },
+        // Dates for duration and date-operator conditions. The liability date
+        // defaults to today; appeals and backdated claims pass their own.
+        calendar: { current_date: today },
+        case: { liability_date: userFacts.liability_date || today },
     };
 }
 
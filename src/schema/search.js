@@ -52,32 +52,43 @@ function buildIDF(chunks) {
 
     const idf = new Map();
     for (const [term, df] of docFreq) {
-        // Standard IDF formula with smoothing
-        idf.set(term, Math.log((n - df + 0.5) / (df + 0.5) + 1));
+        idf.set(term, bm25IDF(n, df));
     }
 
     return idf;
 }
 
-// Module-level IDF cache
-let cachedIDF = null;
+/**
+ * BM25 inverse document frequency for one term
+ * @param {number} n - Number of documents in the collection
+ * @param {number} df - Number of documents containing the term
+ * @returns {number} IDF value
+ */
+function bm25IDF(n, df) {
+    // Standard IDF formula with smoothing
+    return Math.log((n - df + 0.5) / (df + 0.5) + 1);
+}
+
+// Module-level IDF cache, one per chunk index
+let idfCache = new WeakMap();
 
 /**
  * Get or build the IDF map
+ * @param {object[]} [chunks] - Chunk index (default: the served pack's)
  * @returns {Map<string, number>} IDF map
  */
-function getIDF() {
-    if (cachedIDF === null) {
-        cachedIDF = buildIDF(getChunks());
+function getIDF(chunks = getChunks()) {
+    if (!idfCache.has(chunks)) {
+        idfCache.set(chunks, buildIDF(chunks));
     }
-    return cachedIDF;
+    return idfCache.get(chunks);
 }
 
 /**
  * Reset the IDF cache (for testing)
  */
 function resetIDF() {
-    cachedIDF = null;
+    idfCache = new WeakMap();
 }
 
 /**
@@ -99,15 +110,29 @@ function bm25Score(queryTokens, docTokens, idf, avgDL, k1 = 1.5, b = 0.75) {
         const termFreq = tf.get(qToken) || 0;
         if (termFreq === 0) continue;
 
-        const idfValue = idf.get(qToken) || 0;
-        const numerator = termFreq * (k1 + 1);
-        const denominator = termFreq + k1 * (1 - b + b * (docLength / avgDL));
-        score += idfValue * (numerator / denominator);
+        score += bm25TermScore(termFreq, idf.get(qToken) || 0, docLength, avgDL, k1, b);
     }
 
     return score;
 }
 
+/**
+ * BM25 contribution of a single query term, for callers that keep their own
+ * term frequencies (e.g. an inverted index)
+ * @param {number} termFreq - Occurrences of the term in the document
+ * @param {number} idfValue - IDF of the term
+ * @param {number} docLength - Document length in tokens
+ * @param {number} avgDL - Average document length
+ * @param {number} k1 - BM25 k1 parameter (default 1.5)
+ * @param {number} b - BM25 b parameter (default 0.75)
+ * @returns {number} Term score
+ */
+function bm25TermScore(termFreq, idfValue, docLength, avgDL, k1 = 1.5, b = 0.75) {
+    const numerator = termFreq * (k1 + 1);
+    const denominator = termFreq + k1 * (1 - b + b * (docLength / avgDL));
+    return idfValue * (numerator / denominator);
+}
+
 /**
  * Calculate keyword boost for exact phrase matches
  * @param {string} query - Original query
@@ -128,7 +153,7 @@ function keywordBoost(query, text) {
     // Check for individual query words as whole words
     const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
     const matchedWords = queryWords.filter(w => {
-        const regex = new RegExp(`\\b${w}\\b`, 'i');
+        const regex = new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
         return regex.test(textLower);
     });
 
@@ -188,16 +213,18 @@ function filterByFilters(chunks, filters) {
  * @param {string[]} [params.scope] - Sections to search
  * @param {number} [params.topK] - Number of results (default 5)
  * @param {object} [params.filters] - Additional filters
+ * @param {object} [params.schema] - Merged schema of the pack to search (default: the served pack)
  * @returns {object[]} Search results
  */
 function searchChunks(params) {
-    const { text, scope, topK = 5, filters } = params;
+    const { text, scope, topK = 5, filters, schema } = params;
 
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
         return [];
     }
 
-    let chunks = getChunks();
+    const allChunks = getChunks(schema);
+    let chunks = allChunks;
 
     // Apply scope filter
     chunks = filterByScope(chunks, scope);
@@ -216,8 +243,7 @@ function searchChunks(params) {
     }
 
     // Get IDF and calculate average document length
-    const idf = getIDF();
-    const allChunks = getChunks();
+    const idf = getIDF(allChunks);
     const totalLength = allChunks.reduce((sum, c) => sum + tokenize(c.text).length, 0);
     const avgDL = totalLength / allChunks.length;
 
@@ -300,5 +326,9 @@ function extractSnippet(text, query, maxLength) {
 module.exports = {
     searchChunks,
     tokenize,
-    resetIDF
+    resetIDF,
+    bm25IDF,
+    bm25TermScore,
+    keywordBoost,
+    extractSnippet
 };
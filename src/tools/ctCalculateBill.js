@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * ct_calculate_bill tool — itemised council tax bill for a band, area and household.
+ *
+ * Starts from the approved band charge in ct_facts valuation.rates, then
+ * applies the eligible rule effects from the rule interpreter one stage at a
+ * time in the ct_rules calculation_sequence order: valuation reduction,
+ * exemptions, discounts, premiums, local reductions, council tax support.
+ * Every line of the bill carries the rule_id that produced it.
+ *
+ * Adjustments within a stage do not stack — the one most favourable to the
+ * resident applies and the rest are reported as not applied. Means-tested
+ * Council Tax Support cannot be quantified without an assessment, so it is
+ * listed but never deducted.
+ */
+
+const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
+const { getSchema, getDocument, getFinancialYear } = require('../schema/revisedLoader');
+const { evaluateRule, buildCaseContext } = require('../schema/ruleInterpreter');
+const { OUTCOME_STAGES } = require('./ctEvaluate');
+
+const BANDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Area → band row field. Quedgeley is the only parished area with a precept.
+const AREAS = {
+    gloucester: { name: 'Gloucester (unparished)', field: 'total_gbp' },
+    quedgeley: { name: 'Quedgeley Town Council', field: 'total_quedgeley_gbp' },
+};
+
+// Calculation step for each OUTCOME_STAGES stage
+const STAGE_STEPS = {
+    valuation_reduction: 'valuation_reduction',
+    apply_exemptions: 'exemptions',
+    apply_statutory_discounts_and_disregards: 'discounts',
+    discounts: 'discounts',
+    apply_premiums: 'premiums',
+    apply_local_discretionary_reductions: 'local_reductions',
+    apply_local_council_tax_support: 'council_tax_support',
+};
+
+// Statutory order of the steps, as ct_rules calculation_sequence
+const STEP_ORDER = ['valuation_reduction', 'exemptions', 'discounts', 'premiums', 'local_reductions', 'council_tax_support'];
+
+// Occupancy-based steps that a premium displaces (mirrors ct_evaluate's ranking)
+const DISPLACED_BY_PREMIUM = new Set(['discounts', 'local_reductions']);
+
+const DISCLAIMER = 'This is an estimate based on Gloucester City Council\'s approved band charges and council tax policy. ' +
+    'Your actual bill depends on a formal assessment by the council\'s Revenues team.';
+
+function roundPence(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function parseFraction(value) {
+    const match = String(value).match(/^(\d+)\/(\d+)$/);
+    return match ? Number(match[1]) / Number(match[2]) : Number(value);
+}
+
+// ─── Rates lookup ─────────────────────────────────────────────────────────────
+
+function findRates(factsDoc, financialYear) {
+    const rates = (factsDoc.valuation && factsDoc.valuation.rates) || {};
+    return Object.values(rates).find(entry => entry.financial_year === financialYear) || null;
+}
+
+function bandCharge(rates, band, area) {
+    const row = rates.bands.find(b => b.band === band);
+    if (!row) return null;
+    const total = row[AREAS[area].field];
+    return typeof total === 'number' ? total : null;
+}
+
+function chargeComponents(rates, band, area) {
+    const row = rates.bands.find(b => b.band === band);
+    const total = row[AREAS[area].field];
+    return {
+        gloucester_city: row.gloucester_city_gbp,
+        county_council: row.county_council_gbp,
+        police_pcc: row.police_pcc_gbp,
+        parish: roundPence(total - row.total_gbp),
+        total,
+    };
+}
+
+// ─── Part-year apportionment ──────────────────────────────────────────────────
+
+function parseIsoDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * Financial year bounds from a "2026/27" label (1 April to 31 March).
+ * @param {string} financialYear
+ * @returns {{ start: Date, end: Date, days: number }}
+ */
+function financialYearBounds(financialYear) {
+    const startYear = Number(String(financialYear).slice(0, 4));
+    const start = new Date(Date.UTC(startYear, 3, 1));
+    const end = new Date(Date.UTC(startYear + 1, 2, 31));
+    return { start, end, days: Math.round((end - start) / DAY_MS) + 1 };
+}
+
+function resolvePeriod(period, financialYear) {
+    const year = financialYearBounds(financialYear);
+    const fyStart = year.start.toISOString().slice(0, 10);
+    const fyEnd = year.end.toISOString().slice(0, 10);
+
+    const start = period.start_date ? parseIsoDate(period.start_date) : year.start;
+    const end = period.end_date ? parseIsoDate(period.end_date) : year.end;
+    if (!start || !end) {
+        return { error: 'period.start_date and period.end_date must be valid YYYY-MM-DD dates' };
+    }
+    if (end < start) {
+        return { error: 'period.end_date must be on or after period.start_date' };
+    }
+    if (start < year.start || end > year.end) {
+        return { error: `period must fall within financial year ${financialYear} (${fyStart} to ${fyEnd})` };
+    }
+
+    return {
+        start_date: start.toISOString().slice(0, 10),
+        end_date: end.toISOString().slice(0, 10),
+        days: Math.round((end - start) / DAY_MS) + 1,
+        days_in_year: year.days,
+    };
+}
+
+// ─── Adjustment pipeline ──────────────────────────────────────────────────────
+
+/**
+ * Eligible rules with their resolved effects, grouped by calculation step.
+ * @returns {Map<string, object[]>}
+ */
+function collectAdjustments(userFacts) {
+    const rulesDoc = getDocument('rules');
+    const caseCtx = buildCaseContext(userFacts);
+    const byStep = new Map(STEP_ORDER.map(step => [step, []]));
+
+    for (const rule of rulesDoc.executable_rules || []) {
+        if (!OUTCOME_STAGES.has(rule.stage) || !STAGE_STEPS[rule.stage]) continue;
+        const result = evaluateRule(rule, caseCtx);
+        if (!result || !result.eligible || !result.effect) continue;
+        byStep.get(STAGE_STEPS[rule.stage]).push({ rule, effect: result.effect });
+    }
+    return byStep;
+}
+
+/**
+ * Work out what an effect does to the running charge.
+ * @returns {{ charge: number, description: string, chargedBand?: string }|{ unquantified: string }|null}
+ */
+function applyEffect(effect, state, context) {
+    const { rates, area } = context;
+    const value = effect.value;
+
+    switch (effect.effect_type) {
+        case 'band_shift': {
+            const index = BANDS.indexOf(state.chargedBand) + value;
+            if (index < 0 || index >= BANDS.length) return null;
+            const shifted = BANDS[index];
+            return {
+                charge: bandCharge(rates, shifted, area),
+                chargedBand: shifted,
+                description: `Charged at Band ${shifted} instead of Band ${state.chargedBand}`,
+            };
+        }
+        case 'fractional_reduction': {
+            // Band A disabled reduction is a fraction of the Band D charge
+            const reduction = roundPence(bandCharge(rates, 'D', area) * parseFraction(value));
+            return {
+                charge: roundPence(Math.max(0, state.charge - reduction)),
+                description: `Reduced by ${value} of the Band D charge`,
+            };
+        }
+        case 'set_zero_charge':
+            return { charge: 0, description: 'No council tax charged' };
+        case 'percentage_reduction':
+            return {
+                charge: roundPence(state.charge * (1 - value / 100)),
+                description: `${value}% reduction`,
+            };
+        case 'percentage_premium':
+            return {
+                charge: roundPence(state.charge * (1 + value / 100)),
+                description: `${value}% premium`,
+            };
+        case 'means_tested_reduction':
+            return { unquantified: effect.description || 'Means-tested — amount depends on an income and savings assessment' };
+        default:
+            // mark_disregarded and no_adjustment inform other rules but change no charge
+            return null;
+    }
+}
+
+function buildLine(step, rule, effect, before, outcome) {
+    return {
+        step,
+        stage: rule.stage,
+        rule_id: rule.rule_id,
+        name: rule.name,
+        effect_type: effect.effect_type,
+        description: outcome.description,
+        charge_before: before,
+        adjustment: roundPence(outcome.charge - before),
+        charge_after: outcome.charge,
+    };
+}
+
+function runPipeline(byStep, grossCharge, context) {
+    const state = { charge: grossCharge, chargedBand: context.band };
+    const lines = [];
+    const notApplied = [];
+    const notQuantified = [];
+    const premiumApplies = byStep.get('premiums').length > 0;
+
+    for (const step of STEP_ORDER) {
+        const candidates = [];
+        const unquantified = [];
+        for (const { rule, effect } of byStep.get(step)) {
+            const outcome = applyEffect(effect, state, context);
+            if (!outcome) continue;
+            if (outcome.unquantified) {
+                unquantified.push({ step, rule_id: rule.rule_id, name: rule.name, reason: outcome.unquantified });
+                continue;
+            }
+            candidates.push({ rule, effect, outcome });
+        }
+        if (candidates.length === 0) {
+            if (state.charge > 0) notQuantified.push(...unquantified);
+            continue;
+        }
+
+        const skipReason = state.charge === 0
+            ? 'No charge remains to adjust'
+            : (premiumApplies && DISPLACED_BY_PREMIUM.has(step))
+                ? 'Property-state premium applies — occupancy discounts do not apply'
+                : null;
+        if (skipReason) {
+            candidates.forEach(({ rule }) => notApplied.push({ step, rule_id: rule.rule_id, name: rule.name, reason: skipReason }));
+            continue;
+        }
+
+        // Lowest charge wins for reductions; for premiums the single applicable one is the highest tier
+        candidates.sort((a, b) => (step === 'premiums'
+            ? b.outcome.charge - a.outcome.charge
+            : a.outcome.charge - b.outcome.charge));
+        const [winner, ...others] = candidates;
+
+        lines.push(buildLine(step, winner.rule, winner.effect, state.charge, winner.outcome));
+        state.charge = winner.outcome.charge;
+        if (winner.outcome.chargedBand) state.chargedBand = winner.outcome.chargedBand;
+
+        [...others.map(({ rule }) => rule), ...unquantified].forEach(rule => notApplied.push({
+            step,
+            rule_id: rule.rule_id,
+            name: rule.name,
+            reason: `${winner.rule.name} applies instead — adjustments in the same stage do not stack`,
+        }));
+    }
+
+    return { charge: state.charge, chargedBand: state.chargedBand, lines, notApplied, notQuantified };
+}
+
+// ─── Tool entry point ─────────────────────────────────────────────────────────
+
+function execute(input = {}) {
+    if (!getSchema()) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Revised council tax schema could not be loaded');
+    }
+
+    const userFacts = input.userFacts || {};
+    if (typeof userFacts !== 'object' || Array.isArray(userFacts)) {
+        return createError(ERROR_CODES.BAD_REQUEST, '"userFacts" must be an object');
+    }
+
+    const band = String(input.band || userFacts.property_band || '').trim().toUpperCase();
+    if (!BANDS.includes(band)) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'A valuation "band" (A–H) is required', { valid_bands: BANDS });
+    }
+
+    const area = String(input.area || 'gloucester').trim().toLowerCase();
+    if (!AREAS[area]) {
+        return createError(ERROR_CODES.BAD_REQUEST, `Unknown area "${input.area}"`, { valid_areas: Object.keys(AREAS) });
+    }
+
+    const financialYear = input.financial_year || getFinancialYear();
+    const rates = findRates(getDocument('facts'), financialYear);
+    if (!rates) {
+        return createError(ERROR_CODES.NOT_FOUND, `No band charges published for financial year ${financialYear}`);
+    }
+    const grossCharge = bandCharge(rates, band, area);
+    if (grossCharge === null) {
+        return createError(ERROR_CODES.NOT_FOUND, `No ${AREAS[area].name} band charges published for ${financialYear}`);
+    }
+
+    const period = resolvePeriod(input.period || {}, financialYear);
+    if (period.error) {
+        return createError(ERROR_CODES.BAD_REQUEST, period.error);
+    }
+
+    const facts = { ...userFacts, property_band: band };
+    const pipeline = runPipeline(collectAdjustments(facts), grossCharge, { rates, area, band });
+    const dailyCharge = pipeline.charge / period.days_in_year;
+
+    return createSuccess({
+        financial_year: financialYear,
+        band,
+        charged_band: pipeline.chargedBand,
+        area: AREAS[area].name,
+        gross_annual_charge: grossCharge,
+        gross_components: chargeComponents(rates, band, area),
+        adjustments: pipeline.lines,
+        not_applied: pipeline.notApplied,
+        not_quantified: pipeline.notQuantified,
+        annual_charge: pipeline.charge,
+        daily_charge: roundPence(dailyCharge),
+        period: {
+            ...period,
+            charge: roundPence(dailyCharge * period.days),
+        },
+        rules_applied: pipeline.lines.map(line => line.rule_id),
+        note: DISCLAIMER,
+    });
+}
+
+module.exports = { execute, STAGE_STEPS };
@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * ct_estimate_support tool — indicative Council Tax Support means test.
+ *
+ * ct_evaluate and ct_calculate_bill stop at "means-tested — amount depends on
+ * an assessment". This tool runs that assessment in outline using the
+ * scheme parameters in ct_facts council_tax_support.means_test: capital
+ * limit, passported benefits, applicable amount, tariff income, earnings
+ * disregards, the taper and non-dependant deductions. Working-age and
+ * pension-age claims use their own allowances and tariff thresholds.
+ *
+ * The published scheme data does not yet include those parameters. Until
+ * they are added from the Local Council Tax Support Policy, /mcp-schema-v2
+ * does not list the tool and a direct call says so rather than estimating
+ * from figures nobody has confirmed.
+ *
+ * Every response is labelled as an estimate — the Revenues & Benefits team
+ * make the formal award.
+ */
+
+const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
+const { getSchema, getDocument } = require('../schema/revisedLoader');
+const ctCalculateBill = require('./ctCalculateBill');
+
+const AGE_GROUPS = ['working_age', 'pension_age'];
+const DAYS_IN_YEAR = 365;
+
+const ESTIMATE_LABEL = 'ESTIMATE ONLY — an indicative Council Tax Support figure from the details provided. ' +
+    'The actual award is decided by Gloucester City Council\'s Revenues & Benefits team on a formal claim.';
+
+function roundPence(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + (Number(value) || 0), 0);
+}
+
+// ─── Liability ────────────────────────────────────────────────────────────────
+
+/**
+ * Weekly council tax the support is measured against: an annual figure when
+ * given, otherwise the ct_calculate_bill charge for the band before support.
+ */
+function resolveWeeklyLiability(input, adults) {
+    if (input.annual_council_tax !== undefined) {
+        const annual = Number(input.annual_council_tax);
+        if (!Number.isFinite(annual) || annual < 0) {
+            return { error: createError(ERROR_CODES.BAD_REQUEST, '"annual_council_tax" must be a non-negative number') };
+        }
+        return { annual, weekly: roundPence(annual * 7 / DAYS_IN_YEAR), source: 'annual_council_tax' };
+    }
+
+    if (!input.band) {
+        return { error: createError(ERROR_CODES.BAD_REQUEST, 'Provide "annual_council_tax" or a valuation "band"') };
+    }
+
+    const bill = ctCalculateBill.execute({ band: input.band, area: input.area, userFacts: { adults } });
+    if (!bill.ok) return { error: bill };
+    return {
+        annual: bill.result.annual_charge,
+        weekly: roundPence(bill.result.annual_charge * 7 / bill.result.period.days_in_year),
+        source: `ct_calculate_bill Band ${bill.result.band}, ${bill.result.area}`,
+        rules_applied: bill.result.rules_applied,
+    };
+}
+
+// ─── Means test ───────────────────────────────────────────────────────────────
+
+function applicableAmount(params, input, workings) {
+    const amounts = params.applicable_amounts[input.age_group];
+    const children = input.children || 0;
+    const premiums = input.premiums || {};
+    const lines = [];
+
+    let personal;
+    if (input.partner) personal = ['couple', amounts.personal_allowance.couple];
+    else if (input.age_group === 'pension_age') personal = ['single', amounts.personal_allowance.single];
+    else if (children > 0) personal = ['lone parent', amounts.personal_allowance.lone_parent];
+    else if (Number.isFinite(input.claimant_age) && input.claimant_age < 25) personal = ['single under 25', amounts.personal_allowance.single_under_25];
+    else personal = ['single 25 or over', amounts.personal_allowance.single_25_plus];
+    lines.push({ description: `Personal allowance (${personal[0]})`, weekly_gbp: personal[1] });
+
+    if (children > 0) {
+        lines.push({ description: `Child allowance × ${children}`, weekly_gbp: roundPence(children * amounts.child_allowance_each) });
+        lines.push({ description: 'Family premium', weekly_gbp: amounts.family_premium });
+    }
+    if (premiums.disability && amounts.disability_premium) {
+        const rate = input.partner ? amounts.disability_premium.couple : amounts.disability_premium.single;
+        lines.push({ description: 'Disability premium', weekly_gbp: rate });
+    }
+    if (premiums.severe_disability > 0) {
+        lines.push({
+            description: `Severe disability premium × ${premiums.severe_disability}`,
+            weekly_gbp: roundPence(premiums.severe_disability * amounts.severe_disability_premium_each),
+        });
+    }
+    if (premiums.carer > 0) {
+        lines.push({
+            description: `Carer premium × ${premiums.carer}`,
+            weekly_gbp: roundPence(premiums.carer * amounts.carer_premium_each),
+        });
+    }
+
+    const total = roundPence(sum(lines.map(line => line.weekly_gbp)));
+    workings.push({ step: 'applicable_amount', lines, weekly_gbp: total });
+    return total;
+}
+
+function earningsDisregard(params, input) {
+    const disregards = params.earnings_disregards;
+    const premiums = input.premiums || {};
+    if (!input.partner && input.children > 0) return disregards.lone_parent;
+    if (premiums.disability || premiums.carer > 0) return disregards.disability_or_carer;
+    return input.partner ? disregards.couple : disregards.single;
+}
+
+function tariffIncome(params, ageGroup, savings) {
+    const tariff = params.capital.tariff_income[ageGroup];
+    if (savings <= tariff.lower_limit_gbp) return 0;
+    return Math.ceil((savings - tariff.lower_limit_gbp) / tariff.per_gbp) * tariff.weekly_gbp;
+}
+
+function assessedIncome(params, input, savings, workings) {
+    const income = input.weekly_income || {};
+    const earnings = sum([income.earnings, income.partner_earnings]);
+    const disregard = Math.min(earnings, earningsDisregard(params, input));
+    const tariff = tariffIncome(params, input.age_group, savings);
+
+    const lines = [
+        { description: 'Earnings (claimant and partner)', weekly_gbp: roundPence(earnings) },
+        { description: 'Earnings disregard', weekly_gbp: -disregard },
+        { description: 'Benefits counted as income', weekly_gbp: roundPence(Number(income.benefits) || 0) },
+        { description: 'Pensions', weekly_gbp: roundPence(Number(income.pensions) || 0) },
+        { description: 'Other income', weekly_gbp: roundPence(Number(income.other) || 0) },
+        { description: `Tariff income from savings of £${savings}`, weekly_gbp: tariff },
+    ];
+    if (income.disability_benefits) {
+        lines.push({ description: 'Disability benefits (disregarded in full)', weekly_gbp: 0 });
+    }
+
+    const total = roundPence(Math.max(0, sum(lines.map(line => line.weekly_gbp))));
+    workings.push({ step: 'income', lines, weekly_gbp: total });
+    return total;
+}
+
+function nonDependantDeductions(params, input, workings) {
+    const rules = params.non_dependant_deductions;
+    const nonDependants = input.non_dependants || [];
+    if (nonDependants.length === 0) return 0;
+
+    if (input.care_benefit_exemption) {
+        workings.push({
+            step: 'non_dependant_deductions',
+            lines: [{ description: `No deductions — claimant or partner receives ${rules.exempt_if_claimant_or_partner_receives}`, weekly_gbp: 0 }],
+            weekly_gbp: 0,
+        });
+        return 0;
+    }
+
+    const lines = nonDependants.map((person, index) => {
+        const label = `Non-dependant ${index + 1}`;
+        if (Number.isFinite(person.age) && person.age < 18) return { description: `${label}: under 18`, weekly_gbp: 0 };
+        if (person.full_time_student) return { description: `${label}: full-time student`, weekly_gbp: 0 };
+        if (person.on_passported_benefit) return { description: `${label}: on a qualifying benefit`, weekly_gbp: 0 };
+        if (!person.in_work) return { description: `${label}: not in paid work`, weekly_gbp: rules.other_deduction_gbp };
+
+        const gross = Number(person.weekly_gross_income) || 0;
+        const band = rules.in_work_bands.find(b => gross >= b.weekly_gross_income_from_gbp);
+        return { description: `${label}: in work, gross £${gross} a week`, weekly_gbp: band.deduction_gbp };
+    });
+
+    const total = roundPence(sum(lines.map(line => line.weekly_gbp)));
+    workings.push({ step: 'non_dependant_deductions', lines, weekly_gbp: total });
+    return total;
+}
+
+// ─── Tool entry point ─────────────────────────────────────────────────────────
+
+function validate(input) {
+    if (!AGE_GROUPS.includes(input.age_group)) {
+        return `"age_group" must be one of: ${AGE_GROUPS.join(', ')}`;
+    }
+    if (input.savings !== undefined && !(Number.isFinite(input.savings) && input.savings >= 0)) {
+        return '"savings" must be a non-negative number';
+    }
+    if (input.non_dependants !== undefined && !Array.isArray(input.non_dependants)) {
+        return '"non_dependants" must be an array';
+    }
+    return null;
+}
+
+function execute(input = {}) {
+    if (!getSchema()) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Revised council tax schema could not be loaded');
+    }
+    const cts = getDocument('facts').council_tax_support || {};
+    const params = cts.means_test;
+    if (!params) {
+        return createError(ERROR_CODES.NOT_FOUND, 'Council Tax Support means test parameters are not available', {
+            scheme: `${cts.name} ${cts.current_scheme_year} — ${cts.scheme_type}`,
+            hint: 'No estimate can be given until the scheme\'s weekly amounts are published in ct_facts council_tax_support.means_test. ' +
+                'The Revenues & Benefits team assess support on a formal claim.',
+        });
+    }
+
+    const invalid = validate(input);
+    if (invalid) return createError(ERROR_CODES.BAD_REQUEST, invalid);
+
+    const savings = input.savings || 0;
+    const adults = 1 + (input.partner ? 1 : 0) +
+        (input.non_dependants || []).filter(person => !(Number.isFinite(person.age) && person.age < 18)).length;
+    const liability = resolveWeeklyLiability(input, adults);
+    if (liability.error) return liability.error;
+
+    const workings = [{
+        step: 'liability',
+        description: `Weekly council tax from ${liability.source}`,
+        weekly_gbp: liability.weekly,
+        ...(liability.rules_applied ? { rules_applied: liability.rules_applied } : {}),
+    }];
+
+    const passported = params.passported_benefits.includes(input.passported_benefit);
+    const pensionCreditGuarantee = input.passported_benefit === 'pension_credit_guarantee';
+
+    const result = {
+        label: ESTIMATE_LABEL,
+        is_estimate: true,
+        scheme: `${cts.name} ${cts.current_scheme_year} — ${cts.scheme_type}`,
+        age_group: input.age_group,
+        weekly_council_tax: liability.weekly,
+        annual_council_tax: liability.annual,
+        workings,
+        source: 'gcc://council-tax/facts#/council_tax_support/means_test',
+    };
+
+    const capitalLimit = params.capital.upper_limit_gbp;
+    if (savings > capitalLimit && !(pensionCreditGuarantee && !params.capital.upper_limit_applies_to_pension_credit_guarantee)) {
+        workings.push({ step: 'capital', description: `Savings of £${savings} exceed the £${capitalLimit} capital limit`, weekly_gbp: 0 });
+        return createSuccess({
+            ...result,
+            outcome: 'no_support',
+            weekly_reduction: 0,
+            annual_reduction: 0,
+            weekly_council_tax_after_support: liability.weekly,
+            percentage_of_bill: 0,
+        });
+    }
+    workings.push({ step: 'capital', description: `Savings of £${savings} within the £${capitalLimit} capital limit`, weekly_gbp: 0 });
+
+    const deductions = nonDependantDeductions(params, input, workings);
+    const maximum = roundPence(Math.max(0, liability.weekly * params.maximum_support_pct / 100 - deductions));
+    workings.push({ step: 'maximum_support', description: `${params.maximum_support_pct}% of weekly council tax less non-dependant deductions`, weekly_gbp: maximum });
+
+    let weeklyReduction;
+    if (passported) {
+        workings.push({ step: 'passported', description: `${input.passported_benefit} — income and savings treated as nil, maximum support applies`, weekly_gbp: maximum });
+        weeklyReduction = maximum;
+    } else {
+        const applicable = applicableAmount(params, input, workings);
+        const income = assessedIncome(params, input, savings, workings);
+        const excess = roundPence(Math.max(0, income - applicable));
+        const taper = roundPence(excess * params.taper_pct / 100);
+        workings.push({
+            step: 'taper',
+            description: `${params.taper_pct}% of income above the applicable amount (£${excess} excess)`,
+            weekly_gbp: -taper,
+        });
+        weeklyReduction = roundPence(Math.max(0, maximum - taper));
+    }
+
+    const outcome = weeklyReduction === 0 ? 'no_support'
+        : weeklyReduction >= liability.weekly ? 'full_support' : 'partial_support';
+
+    return createSuccess({
+        ...result,
+        outcome,
+        weekly_reduction: weeklyReduction,
+        annual_reduction: roundPence(weeklyReduction * DAYS_IN_YEAR / 7),
+        weekly_council_tax_after_support: roundPence(liability.weekly - weeklyReduction),
+        percentage_of_bill: liability.weekly > 0 ? Math.round(weeklyReduction / liability.weekly * 100) : 0,
+    });
+}
+
+module.exports = { execute };
@@ -534,4 +534,4 @@ function execute(input = {}) {
     }
 }
 
-module.exports = { execute, RULESETS };
+module.exports = { execute, getMissingFacts, RULESETS, OUTCOME_STAGES };
@@ -0,0 +1,524 @@
+'use strict';
+
+/**
+ * ct_intake_step tool — guided council tax intake driven by the chatbot overlay.
+ *
+ * Walks the intake_trees in ct_chatbot_overlay.json one question at a time,
+ * turning each answer into the flat userFacts shape that ct_evaluate and
+ * buildCaseContext() consume. When no questions remain the collected facts
+ * are evaluated with ct_evaluate and the result is returned alongside them.
+ *
+ * Session state travels with the client as an opaque session_state token
+ * rather than in worker memory, so a conversation survives scale-out and
+ * cold starts.
+ *
+ * The overlay owns question wording, order and routing. QUESTION_FACTS maps
+ * each question to the userFacts it answers; questions the overlay adds
+ * without a mapping are still asked and recorded, they just set no facts.
+ * Once the trees are exhausted, any critical facts ct_evaluate would still
+ * report missing are asked for before evaluating.
+ */
+
+const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
+const { getSchema, getDocument } = require('../schema/revisedLoader');
+const { resolveTopic } = require('../schema/prompts');
+const ctEvaluate = require('./ctEvaluate');
+
+const STATE_VERSION = 1;
+const BANDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const SUPPLEMENTARY = 'supplementary';
+
+// ─── Answer parsing ───────────────────────────────────────────────────────────
+
+function parseYesNo(raw) {
+    if (raw === true) return 'yes';
+    if (raw === false) return 'no';
+    const text = String(raw).trim().toLowerCase();
+    if (['yes', 'y', 'true'].includes(text)) return 'yes';
+    if (['no', 'n', 'false', 'none'].includes(text)) return 'no';
+    return null;
+}
+
+function parseNonNegative(raw, { integer }) {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isFinite(value) || value < 0) return null;
+    if (integer && !Number.isInteger(value)) return null;
+    return value;
+}
+
+const ANSWER_TYPES = {
+    yes_no: {
+        allowed: ['yes', 'no'],
+        parse: parseYesNo,
+    },
+    // "How many…" — yes/no accepted as 1/0 since the overlay words these per person
+    count: {
+        allowed: ['a whole number (0, 1, 2…)', 'yes (= 1)', 'no (= 0)'],
+        parse: (raw) => {
+            const yesNo = parseYesNo(raw);
+            if (yesNo) return yesNo === 'yes' ? 1 : 0;
+            return parseNonNegative(raw, { integer: true });
+        },
+    },
+    band: {
+        allowed: [...BANDS, 'unknown'],
+        parse: (raw) => {
+            const text = String(raw).trim().toUpperCase().replace(/^BAND\s+/, '');
+            if (BANDS.includes(text)) return text;
+            if (['UNKNOWN', 'NO', 'N', 'DONT KNOW', "DON'T KNOW"].includes(text)) return 'unknown';
+            return null;
+        },
+    },
+    years_empty: {
+        allowed: ['number of years (e.g. 0.5, 2)', 'no (not empty)'],
+        parse: (raw) => {
+            if (parseYesNo(raw) === 'no') return 'not_empty';
+            return parseNonNegative(raw, { integer: false });
+        },
+    },
+    amount: {
+        allowed: ['amount in pounds (e.g. 4500)'],
+        parse: (raw) => parseNonNegative(String(raw).replace(/[£,\s]/g, ''), { integer: false }),
+    },
+};
+
+// ─── Question → userFacts mapping ─────────────────────────────────────────────
+//
+// type      — ANSWER_TYPES key
+// sets      — userFacts keys the question answers; skipped when all are known
+// toFacts   — (answer, facts) => userFacts patch
+// routeKey  — answer → key in the overlay question's routes (default: the answer)
+// followUps — answer → supplementary question ids asked next
+// askIf     — facts → whether the question is relevant
+
+const QUESTION_FACTS = {
+    // initial_triage
+    q_property_band: {
+        type: 'band',
+        sets: ['property_band'],
+        toFacts: (band) => (band === 'unknown' ? {} : { property_band: band }),
+        routeKey: (band) => (band === 'unknown' ? 'no' : 'yes'),
+    },
+    q_sole_occupant: {
+        type: 'yes_no',
+        sets: ['adults'],
+        toFacts: (answer) => (answer === 'yes' ? { adults: 1 } : {}),
+        followUps: (answer) => (answer === 'no' ? ['q_adult_count'] : []),
+    },
+    q_disregards: {
+        type: 'yes_no',
+        sets: ['students', 'carers', 'severely_mentally_impaired', 'apprentice'],
+        // "No" answers the whole disregards_deep_dive tree at once
+        toFacts: (answer) => (answer === 'no'
+            ? { students: 0, carers: 0, severely_mentally_impaired: 0, apprentice: false }
+            : {}),
+        followUps: (answer) => (answer === 'yes' ? ['q_apprentice'] : []),
+    },
+    q_empty_or_second: {
+        type: 'yes_no',
+        sets: ['property_empty', 'second_home'],
+        toFacts: (answer) => (answer === 'no' ? { property_empty: false, second_home: false } : {}),
+    },
+    q_financial_difficulty: {
+        type: 'yes_no',
+        sets: ['on_qualifying_benefit'],
+        followUps: (answer) => (answer === 'yes' ? ['q_pension_credit', 'q_qualifying_benefit', 'q_savings'] : []),
+    },
+
+    // disregards_deep_dive
+    q_student: {
+        type: 'count',
+        sets: ['students'],
+        toFacts: (count) => ({ students: count }),
+    },
+    q_carer_hours: {
+        type: 'count',
+        sets: ['carers'],
+        toFacts: (count) => ({ carers: count }),
+    },
+    q_carer_benefit: {
+        type: 'yes_no',
+        sets: [],
+        askIf: (facts) => facts.carers > 0,
+        // Without a qualifying benefit the carer is not disregarded
+        toFacts: (answer) => (answer === 'no' ? { carers: 0 } : {}),
+    },
+    q_smi: {
+        type: 'count',
+        sets: ['severely_mentally_impaired'],
+        toFacts: (count) => (count > 0
+            ? { severely_mentally_impaired: count, smi_qualifying_benefit: true }
+            : { severely_mentally_impaired: 0 }),
+    },
+
+    // property_adjustments
+    q_disabled_adaptation: {
+        type: 'yes_no',
+        sets: ['has_disabled_adaptations'],
+        toFacts: (answer) => ({ has_disabled_adaptations: answer === 'yes' }),
+        followUps: (answer) => (answer === 'yes' ? ['q_disabled_resident'] : []),
+    },
+    q_empty_duration: {
+        type: 'years_empty',
+        sets: ['property_empty', 'property_empty_years'],
+        toFacts: (years) => (years === 'not_empty'
+            ? { property_empty: false }
+            : { property_empty: true, property_empty_years: years }),
+    },
+    q_second_home_furnished: {
+        type: 'yes_no',
+        sets: ['second_home'],
+        toFacts: (answer) => ({ second_home: answer === 'yes' }),
+    },
+    q_annexe: {
+        type: 'yes_no',
+        sets: ['has_annexe'],
+        toFacts: (answer) => ({ has_annexe: answer === 'yes' }),
+    },
+};
+
+// Facts ct_evaluate needs that the overlay trees never ask for directly
+const SUPPLEMENTARY_QUESTIONS = {
+    q_adult_count: {
+        text: 'How many adults aged 18 or over live at the property as their main home?',
+        type: 'count',
+        sets: ['adults'],
+        toFacts: (count) => ({ adults: count }),
+    },
+    q_apprentice: {
+        text: 'Is any adult an apprentice or youth trainee on a government scheme earning below the National Living Wage?',
+        type: 'yes_no',
+        sets: ['apprentice'],
+        toFacts: (answer) => ({ apprentice: answer === 'yes' }),
+    },
+    q_disabled_resident: {
+        text: 'Does the disabled person who needs the adaptation live at the property as their main home?',
+        type: 'yes_no',
+        sets: ['disabled_resident'],
+        toFacts: (answer) => ({ disabled_resident: answer === 'yes' }),
+    },
+    q_pension_credit: {
+        text: 'Are you receiving the Guarantee Credit part of Pension Credit?',
+        type: 'yes_no',
+        sets: ['receiving_pension_credit'],
+        toFacts: (answer) => ({ receiving_pension_credit: answer === 'yes' }),
+    },
+    q_qualifying_benefit: {
+        text: 'Are you receiving Universal Credit, income-based JSA, income-related ESA, Income Support or Housing Benefit?',
+        type: 'yes_no',
+        sets: ['on_qualifying_benefit'],
+        toFacts: (answer) => ({ on_qualifying_benefit: answer === 'yes' }),
+    },
+    q_smi_benefit: {
+        text: 'Does the person with a severe mental impairment receive a qualifying benefit (e.g. PIP, ESA, Attendance Allowance)?',
+        type: 'yes_no',
+        sets: ['smi_qualifying_benefit'],
+        toFacts: (answer) => ({ smi_qualifying_benefit: answer === 'yes' }),
+    },
+    q_age: {
+        text: 'How old are you?',
+        type: 'count',
+        sets: ['age'],
+        toFacts: (age) => ({ age }),
+    },
+    q_savings: {
+        text: 'Roughly how much do you (and any partner) have in savings and investments, in pounds?',
+        type: 'amount',
+        sets: ['savings'],
+        askIf: (facts) => !facts.receiving_pension_credit,
+        toFacts: (amount) => ({ savings: amount }),
+    },
+};
+
+// ─── Session state ────────────────────────────────────────────────────────────
+
+function encodeState(state) {
+    return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isQueueEntry = (entry) => isPlainObject(entry) && typeof entry.id === 'string' && typeof entry.tree === 'string';
+
+/**
+ * Decode a session_state token, or null if it is not one this tool issued.
+ * The token comes back from the client, so every field the walk reads is checked.
+ */
+function decodeState(token) {
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+    const valid = isPlainObject(state)
+        && state.v === STATE_VERSION
+        && isPlainObject(state.facts)
+        && Array.isArray(state.answers)
+        && Array.isArray(state.topics)
+        && Array.isArray(state.topped_up)
+        && Array.isArray(state.queue)
+        && state.queue.every(isQueueEntry);
+    return valid ? state : null;
+}
+
+// ─── Question lookup ──────────────────────────────────────────────────────────
+
+function findQuestion(overlay, entry) {
+    if (entry.tree === SUPPLEMENTARY) {
+        const spec = SUPPLEMENTARY_QUESTIONS[entry.id];
+        return spec ? { question: { id: entry.id, text: spec.text }, spec } : null;
+    }
+    const tree = overlay.intake_trees[entry.tree];
+    const question = tree && tree.questions.find(q => q.id === entry.id);
+    if (!question) return null;
+    return { question, spec: QUESTION_FACTS[entry.id] || { type: 'yes_no', sets: [] } };
+}
+
+function treeEntries(overlay, treeName) {
+    return overlay.intake_trees[treeName].questions.map(q => ({ id: q.id, tree: treeName }));
+}
+
+function isRelevant(spec, facts) {
+    if (spec.askIf && !spec.askIf(facts)) return false;
+    // Skip questions whose facts are already known (from known_facts or earlier answers)
+    return !(spec.sets.length > 0 && spec.sets.every(key => facts[key] !== undefined));
+}
+
+/**
+ * Drop irrelevant questions from the head of the queue.
+ * @returns {{ queue: object[], skipped: string[] }}
+ */
+function advanceQueue(overlay, queue, facts) {
+    const remaining = [...queue];
+    const skipped = [];
+    while (remaining.length > 0) {
+        const found = findQuestion(overlay, remaining[0]);
+        if (found && isRelevant(found.spec, facts)) break;
+        skipped.push(remaining.shift().id);
+    }
+    return { queue: remaining, skipped };
+}
+
+/**
+ * Apply an overlay route for the given answer: another tree's questions are
+ * inserted next, a later question in the same tree is jumped to, and any
+ * other target is a topic worth raising with the resident.
+ */
+function applyRoute(overlay, entry, question, routeKey, queue, topics) {
+    const target = question.routes && question.routes[routeKey];
+    if (!target) return queue;
+
+    if (overlay.intake_trees[target]) {
+        return [...treeEntries(overlay, target), ...queue];
+    }
+
+    const jumpIndex = queue.findIndex(q => q.tree === entry.tree && q.id === target);
+    if (jumpIndex !== -1) {
+        return queue.slice(jumpIndex);
+    }
+    // A route to a question the overlay does not define just continues the walk
+    if (/^q_/.test(target)) return queue;
+
+    if (!topics.includes(target)) topics.push(target);
+    return queue;
+}
+
+/**
+ * Queue a question for each critical fact ct_evaluate would report missing,
+ * at most once per fact so a skipped question cannot loop.
+ * @returns {object[]} queue entries
+ */
+function topUpMissingFacts(overlay, facts, toppedUp) {
+    const entries = [];
+    for (const line of ctEvaluate.getMissingFacts(facts)) {
+        const key = line.split(' — ')[0];
+        if (toppedUp.includes(key)) continue;
+        toppedUp.push(key);
+
+        const supplementary = Object.keys(SUPPLEMENTARY_QUESTIONS)
+            .find(id => SUPPLEMENTARY_QUESTIONS[id].sets.includes(key));
+        if (supplementary) {
+            entries.push({ id: supplementary, tree: SUPPLEMENTARY });
+            continue;
+        }
+        for (const [treeName, tree] of Object.entries(overlay.intake_trees)) {
+            const question = tree.questions.find(q => QUESTION_FACTS[q.id] && QUESTION_FACTS[q.id].sets.includes(key));
+            if (question) {
+                entries.push({ id: question.id, tree: treeName });
+                break;
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Move the walk on to the next relevant question, topping up from
+ * ct_evaluate's missing facts when the trees run out.
+ * @returns {{ queue: object[], skipped: string[] }}
+ */
+function nextQueue(overlay, queue, facts, toppedUp) {
+    let advanced = advanceQueue(overlay, queue, facts);
+    while (advanced.queue.length === 0) {
+        const extra = topUpMissingFacts(overlay, facts, toppedUp);
+        if (extra.length === 0) break;
+        const more = advanceQueue(overlay, extra, facts);
+        advanced = { queue: more.queue, skipped: [...advanced.skipped, ...more.skipped] };
+    }
+    return advanced;
+}
+
+// ─── Response building ────────────────────────────────────────────────────────
+
+function describeQuestion(overlay, entry) {
+    const { question, spec } = findQuestion(overlay, entry);
+    return {
+        id: question.id,
+        text: question.text,
+        tree: entry.tree,
+        source: entry.tree === SUPPLEMENTARY ? 'ct_intake_step' : 'ct_chatbot_overlay',
+        informs: question.fact_input || null,
+        answer_type: spec.type,
+        allowed_answers: ANSWER_TYPES[spec.type].allowed,
+        sets_facts: spec.sets,
+    };
+}
+
+function buildResponse(overlay, state, skipped) {
+    const complete = state.queue.length === 0;
+    const response = {
+        status: complete ? 'complete' : 'in_progress',
+        session_state: encodeState(state),
+        next_question: complete ? null : describeQuestion(overlay, state.queue[0]),
+        facts_collected: state.facts,
+        answers: state.answers,
+        flagged_topics: state.topics,
+        progress: { answered: state.answers.length, queued: state.queue.length },
+    };
+    if (skipped.length > 0) response.skipped_questions = skipped;
+
+    if (complete) {
+        const evaluation = ctEvaluate.execute({
+            rulesetId: 'discount_eligibility',
+            userFacts: state.facts,
+            projectionMode: 'runtime',
+        });
+        response.evaluation = evaluation.ok ? evaluation.result : evaluation;
+    }
+
+    return response;
+}
+
+// ─── Tool entry point ─────────────────────────────────────────────────────────
+
+function startSession(overlay, input) {
+    const { known_facts: knownFacts = {}, topic } = input;
+    if (typeof knownFacts !== 'object' || Array.isArray(knownFacts)) {
+        return createError(ERROR_CODES.BAD_REQUEST, '"known_facts" must be an object of userFacts');
+    }
+
+    let start;
+    try {
+        start = resolveTopic(overlay, topic);
+    } catch (err) {
+        return createError(ERROR_CODES.BAD_REQUEST, err.message.replace(/^Invalid params: /, ''));
+    }
+
+    let queue = treeEntries(overlay, start.treeName);
+    // A deep-dive tree assumes the household size is already known
+    if (!queue.some(entry => entry.id === 'q_sole_occupant')) {
+        queue = [{ id: 'q_adult_count', tree: SUPPLEMENTARY }, ...queue];
+    }
+
+    const state = {
+        v: STATE_VERSION,
+        start_tree: start.treeName,
+        queue,
+        facts: { ...knownFacts },
+        answers: [],
+        topics: start.topicKey ? [start.topicKey] : [],
+        topped_up: [],
+    };
+    const advanced = nextQueue(overlay, state.queue, state.facts, state.topped_up);
+    state.queue = advanced.queue;
+    return createSuccess(buildResponse(overlay, state, advanced.skipped));
+}
+
+function answerQuestion(overlay, state, input) {
+    if (state.queue.length === 0) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'This intake session is complete — start a new session without session_state');
+    }
+
+    const [entry, ...rest] = state.queue;
+    if (input.question_id && input.question_id !== entry.id) {
+        return createError(
+            ERROR_CODES.BAD_REQUEST,
+            `Answer was for "${input.question_id}" but the pending question is "${entry.id}"`,
+            { pending_question: describeQuestion(overlay, entry) }
+        );
+    }
+    if (input.answer === undefined || input.answer === null || input.answer === '') {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Missing "answer" for the pending question', {
+            pending_question: describeQuestion(overlay, entry),
+        });
+    }
+
+    const found = findQuestion(overlay, entry);
+    if (!found) {
+        return createError(ERROR_CODES.BAD_REQUEST, `Question "${entry.id}" no longer exists in the chatbot overlay — start a new session`);
+    }
+    const { question, spec } = found;
+
+    const answer = ANSWER_TYPES[spec.type].parse(input.answer);
+    if (answer === null) {
+        return createError(ERROR_CODES.BAD_REQUEST, `Answer "${input.answer}" is not valid for ${entry.id}`, {
+            allowed_answers: ANSWER_TYPES[spec.type].allowed,
+        });
+    }
+
+    const facts = { ...state.facts, ...(spec.toFacts ? spec.toFacts(answer, state.facts) : {}) };
+    const topics = [...state.topics];
+    const routeKey = spec.routeKey ? spec.routeKey(answer) : String(answer);
+
+    const followUps = (spec.followUps ? spec.followUps(answer) : []).map(id => ({ id, tree: SUPPLEMENTARY }));
+    let queue = applyRoute(overlay, entry, question, routeKey, rest, topics);
+    // Follow-ups come after any tree the route inserted but before the rest of the walk
+    const insertedCount = queue.length - rest.length;
+    queue = insertedCount > 0
+        ? [...queue.slice(0, insertedCount), ...followUps, ...queue.slice(insertedCount)]
+        : [...followUps, ...queue];
+
+    const toppedUp = [...state.topped_up];
+    const advanced = nextQueue(overlay, queue, facts, toppedUp);
+    const nextState = {
+        ...state,
+        topped_up: toppedUp,
+        queue: advanced.queue,
+        facts,
+        answers: [...state.answers, { id: entry.id, answer }],
+        topics,
+    };
+    return createSuccess(buildResponse(overlay, nextState, advanced.skipped));
+}
+
+function execute(input = {}) {
+    if (!getSchema()) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Revised council tax schema could not be loaded');
+    }
+    const overlay = getDocument('chatbot_overlay');
+    if (!overlay || !overlay.intake_trees) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Chatbot overlay intake_trees are not available');
+    }
+
+    if (!input.session_state) {
+        return startSession(overlay, input);
+    }
+
+    const state = decodeState(input.session_state);
+    if (!state || !state.queue.every(entry => findQuestion(overlay, entry))) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'Invalid "session_state" — start a new session without it');
+    }
+    return answerQuestion(overlay, state, input);
+}
+
+module.exports = { execute, QUESTION_FACTS, SUPPLEMENTARY_QUESTIONS };
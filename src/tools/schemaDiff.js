@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * schema.diff tool — compare two versions of the council tax schema pack.
+ *
+ * Used by the policy team to sign off each annual release: reports rules,
+ * conditions, effect values and catalogue items that were added, removed
+ * or changed, and which rules would give a different outcome for a set of
+ * sample households. The structural work lives in src/schema/diff.js.
+ */
+
+const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
+const { isSchemaLoaded, listPackVersions, getPack } = require('../schema/loader');
+const { diffPacks, DOC_TYPES, SAMPLE_CASES } = require('../schema/diff');
+
+const DEFAULT_MAX_CHANGES = 200;
+const MAX_CHANGES_LIMIT = 2000;
+
+function normaliseVersion(version) {
+    return String(version).trim().replace(/^v/i, '').replace(/\.rebuilt$/, '');
+}
+
+function validateCases(cases) {
+    if (!Array.isArray(cases) || cases.length === 0) {
+        return 'cases must be a non-empty array';
+    }
+    for (const [index, testCase] of cases.entries()) {
+        if (!testCase || typeof testCase !== 'object' || typeof testCase.id !== 'string' || !testCase.id) {
+            return `cases[${index}].id must be a non-empty string`;
+        }
+        if (!testCase.userFacts || typeof testCase.userFacts !== 'object' || Array.isArray(testCase.userFacts)) {
+            return `cases[${index}].userFacts must be an object`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Execute schema.diff
+ * @param {object} input - Tool input
+ * @param {string} input.from_version - Older pack version, e.g. "2.5.6"
+ * @param {string} input.to_version - Newer pack version, e.g. "2.5.7"
+ * @param {string[]} [input.documents] - Subset of facts, rules, taxonomy, results (default all)
+ * @param {Array<{id: string, userFacts: object}>} [input.cases] - Households to compare outcomes for
+ * @param {number} [input.max_changes] - Cap on raw changes listed per document (default 200)
+ * @returns {object} Tool result
+ */
+function execute(input = {}) {
+    if (!input.from_version || !input.to_version) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'from_version and to_version are required');
+    }
+
+    const fromVersion = normaliseVersion(input.from_version);
+    const toVersion = normaliseVersion(input.to_version);
+    if (fromVersion === toVersion) {
+        return createError(ERROR_CODES.BAD_REQUEST, 'from_version and to_version must be different');
+    }
+
+    const documents = input.documents || DOC_TYPES;
+    const unknownDocuments = Array.isArray(documents)
+        ? documents.filter(type => !DOC_TYPES.includes(type))
+        : [];
+    if (!Array.isArray(documents) || documents.length === 0 || unknownDocuments.length > 0) {
+        return createError(
+            ERROR_CODES.BAD_REQUEST,
+            `documents must be a non-empty subset of: ${DOC_TYPES.join(', ')}`,
+            { unknown: unknownDocuments }
+        );
+    }
+
+    if (input.cases !== undefined) {
+        const caseError = validateCases(input.cases);
+        if (caseError) {
+            return createError(ERROR_CODES.BAD_REQUEST, caseError);
+        }
+    }
+
+    const maxChanges = input.max_changes === undefined ? DEFAULT_MAX_CHANGES : input.max_changes;
+    if (!Number.isInteger(maxChanges) || maxChanges < 1 || maxChanges > MAX_CHANGES_LIMIT) {
+        return createError(ERROR_CODES.BAD_REQUEST, `max_changes must be an integer between 1 and ${MAX_CHANGES_LIMIT}`);
+    }
+
+    if (!isSchemaLoaded()) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Schema could not be loaded');
+    }
+
+    const fromPack = getPack(fromVersion);
+    const toPack = getPack(toVersion);
+
+    const missing = [[fromVersion, fromPack], [toVersion, toPack]]
+        .filter(([, pack]) => !pack)
+        .map(([version]) => version);
+    if (missing.length > 0) {
+        return createError(
+            ERROR_CODES.NOT_FOUND,
+            `No complete schema pack for version ${missing.join(', ')}`,
+            { available_versions: listPackVersions() }
+        );
+    }
+
+    const cases = input.cases || SAMPLE_CASES;
+    const diff = diffPacks(fromPack.documents, toPack.documents, { documents, cases, maxChanges });
+
+    return createSuccess({
+        from_version: fromPack.version,
+        to_version: toPack.version,
+        files: { from: fromPack.files, to: toPack.files },
+        documents_compared: documents,
+        cases_source: input.cases ? 'caller' : 'built_in_samples',
+        ...diff
+    });
+}
+
+module.exports = { execute };
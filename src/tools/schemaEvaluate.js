@@ -14,7 +14,8 @@
  */
 
 const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
-const { getSchema, getDocument } = require('../schema/loader');
+const { isSchemaLoaded } = require('../schema/loader');
+const { selectPack } = require('../schema/packSelection');
 const { evaluateRule, buildCaseContext } = require('../schema/ruleInterpreter');
 
 const RULESETS = ['discount_eligibility'];
@@ -316,9 +317,9 @@ function detectFactConflicts(userFacts) {
 
 // ─── Main resolver ────────────────────────────────────────────────────────────
 
-function runRuntimeResolver(userFacts, rulesetId, projectionMode) {
-    const rulesDoc = getDocument('rules');
-    const factsDoc = getDocument('facts');
+function runRuntimeResolver(pack, userFacts, rulesetId, projectionMode) {
+    const rulesDoc = pack.documents.rules;
+    const factsDoc = pack.documents.facts;
     const adj = factsDoc.adjustment_catalogue;
     const allRules = (rulesDoc.executable_rule_slices && rulesDoc.executable_rule_slices.rules) || [];
 
@@ -430,7 +431,8 @@ function runRuntimeResolver(userFacts, rulesetId, projectionMode) {
             ruleset_id: rulesetId,
             rules_evaluated: allRules.filter(r => OUTCOME_STAGES.has(r.stage)).length,
             rules_used: rulesUsed,
-            note: "This is guidance based on Gloucester City Council's approved 2026/27 council tax policy. Your actual entitlement depends on your individual circumstances and a formal assessment by the council's Revenues team.",
+            schema_pack: { version: pack.version, financial_year: pack.financialYear },
+            note: `This is guidance based on Gloucester City Council's approved ${pack.financialYear} council tax policy. Your actual entitlement depends on your individual circumstances and a formal assessment by the council's Revenues team.`,
         },
     };
 
@@ -482,6 +484,7 @@ function projectResult(result, projectionMode) {
             projection_mode: result.trace.projection_mode,
             ruleset_id: result.trace.ruleset_id,
             rules_evaluated: result.trace.rules_evaluated,
+            schema_pack: result.trace.schema_pack,
             note: result.trace.note,
         },
     };
@@ -490,7 +493,7 @@ function projectResult(result, projectionMode) {
 // ─── Tool entry point ─────────────────────────────────────────────────────────
 
 function execute(input = {}) {
-    if (!getSchema()) {
+    if (!isSchemaLoaded()) {
         return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Council tax schema could not be loaded');
     }
 
@@ -509,6 +512,11 @@ function execute(input = {}) {
         return createError(ERROR_CODES.BAD_REQUEST, `Unknown projectionMode "${projectionMode}"`, { availableProjectionModes: PROJECTION_MODES });
     }
 
+    const selection = selectPack(input);
+    if (selection.error) {
+        return selection.error;
+    }
+
     const conflicts = detectFactConflicts(userFacts);
     if (conflicts.length > 0) {
         return createSuccess({
@@ -552,17 +560,18 @@ function execute(input = {}) {
                 ruleset_id: rulesetId,
                 rules_evaluated: 0,
                 rules_used: [],
+                schema_pack: { version: selection.pack.version, financial_year: selection.pack.financialYear },
                 note: "Input conflicts were detected. Please correct the facts and retry before relying on this guidance.",
             },
         });
     }
 
     try {
-        const result = runRuntimeResolver(userFacts, rulesetId, projectionMode);
+        const result = runRuntimeResolver(selection.pack, userFacts, rulesetId, projectionMode);
         return createSuccess({ rulesetId, userFacts, projectionMode, ...result });
     } catch (err) {
         return createError(ERROR_CODES.INTERNAL_ERROR, `Evaluation failed: ${err.message}`);
     }
 }
 
-module.exports = { execute, RULESETS };
+module.exports = { execute, runRuntimeResolver, RULESETS };
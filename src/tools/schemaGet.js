@@ -4,7 +4,8 @@
 
 const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
 const { getSchemaAllowlist, getMaxBytes } = require('../util/config');
-const { getSchema, getSchemaHash, getSchemaVersion } = require('../schema/loader');
+const { isSchemaLoaded } = require('../schema/loader');
+const { selectPack } = require('../schema/packSelection');
 const { resolvePointer, isPathAllowed } = require('../schema/pointer');
 
 /**
@@ -71,18 +72,25 @@ function truncateToBytes(data, maxBytes) {
  * @param {string} [input.path] - JSON Pointer path (default "")
  * @param {string[]} [input.projection] - Fields to include
  * @param {number} [input.maxBytes] - Maximum response bytes
+ * @param {string} [input.schema_version] - Read from a specific pack version (e.g. "2.5.6")
+ * @param {string} [input.financial_year] - Read from the newest pack for a financial year (e.g. "2026/27")
  * @returns {object} Tool result
  */
 function execute(input = {}) {
-    const schema = getSchema();
-
-    if (!schema) {
+    if (!isSchemaLoaded()) {
         return createError(
             ERROR_CODES.SCHEMA_LOAD_FAILED,
             'Schema could not be loaded'
         );
     }
 
+    const selection = selectPack(input);
+    if (selection.error) {
+        return selection.error;
+    }
+    const { pack } = selection;
+    const schema = pack.schema;
+
     const path = input.path || '';
     const projection = input.projection || [];
     const maxBytes = input.maxBytes || getMaxBytes();
@@ -130,8 +138,10 @@ function execute(input = {}) {
         return createSuccess({
             data: null,
             jsonPath: path,
-            schemaVersion: getSchemaVersion(),
-            hash: getSchemaHash(),
+            schemaVersion: pack.schemaVersion,
+            schemaPack: pack.version,
+            financialYear: pack.financialYear,
+            hash: pack.hash,
             truncated: true,
             preview: truncated.preview,
             omittedBytes: truncated.omittedBytes,
@@ -142,8 +152,10 @@ function execute(input = {}) {
     return createSuccess({
         data: truncated.data,
         jsonPath: path,
-        schemaVersion: getSchemaVersion(),
-        hash: getSchemaHash(),
+        schemaVersion: pack.schemaVersion,
+        schemaPack: pack.version,
+        financialYear: pack.financialYear,
+        hash: pack.hash,
         truncated: false
     });
 }
@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * schema.run_cases tool — regression runner for the executable rules.
+ *
+ * Loads the expected-outcome cases shipped in a pack's results document and
+ * runs each one twice: rule by rule through evaluateRule (eligibility and
+ * effect of individual rules) and through the schemaEvaluate ranking (which
+ * outcome the resident is actually shown). Any mismatch is reported with the
+ * expected and actual values.
+ *
+ * Case sources in the results document:
+ *   - regression_cases.cases            — authored cases, where a pack ships them
+ *   - runtime_contract.example_resolution — the worked example, where present
+ *
+ * Callers can pass their own cases in the regression_cases shape instead, so
+ * a pack that ships none (2.5.7) can still be checked, as schema.diff takes
+ * caller households.
+ */
+
+const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
+const { isSchemaLoaded } = require('../schema/loader');
+const { selectPack } = require('../schema/packSelection');
+const { evaluateRule, buildCaseContext } = require('../schema/ruleInterpreter');
+const { runRuntimeResolver, RULESETS } = require('./schemaEvaluate');
+
+// example_resolution lists residents by status; map them onto userFacts counts
+const EXAMPLE_STATUS_FACTS = {
+    student: 'students',
+    carer: 'carers',
+    severely_mentally_impaired: 'severely_mentally_impaired',
+};
+
+// ─── Case loading ─────────────────────────────────────────────────────────────
+
+function caseFromExampleResolution(example) {
+    const inputFacts = (example.facts && example.facts.input_facts) || {};
+    if (!Number.isFinite(inputFacts.resident_count)) return null;
+
+    const userFacts = { adults: inputFacts.resident_count };
+    for (const status of inputFacts.resident_statuses || []) {
+        const fact = EXAMPLE_STATUS_FACTS[status];
+        if (fact) userFacts[fact] = (userFacts[fact] || 0) + 1;
+    }
+
+    const expected = {};
+    if (example.best_outcome && example.best_outcome.mechanism) {
+        expected.best_outcome = { mechanism: example.best_outcome.mechanism };
+    }
+    if (example.trace && Array.isArray(example.trace.rule_ids)) {
+        expected.eligible_rules = example.trace.rule_ids;
+    }
+
+    return {
+        case_id: `example_resolution.${example.scenario || 'unnamed'}`,
+        description: 'Worked example from runtime_contract.example_resolution',
+        source: '/runtime_contract/example_resolution',
+        ruleset_id: RULESETS[0],
+        user_facts: userFacts,
+        expected,
+    };
+}
+
+function authoredCase(testCase, source, defaultRuleset) {
+    return {
+        case_id: testCase.case_id,
+        description: testCase.description || '',
+        source,
+        ruleset_id: testCase.ruleset_id || defaultRuleset || RULESETS[0],
+        user_facts: testCase.user_facts || {},
+        expected: testCase.expected || {},
+    };
+}
+
+/**
+ * Collect the expected-outcome cases from a results document
+ * @param {object} resultsDoc - Raw council_tax_results document
+ * @returns {object[]} Cases: { case_id, description, source, ruleset_id, user_facts, expected }
+ */
+function loadCases(resultsDoc) {
+    const cases = [];
+    const section = (resultsDoc && resultsDoc.regression_cases) || {};
+
+    (section.cases || []).forEach((testCase, index) => {
+        cases.push(authoredCase(testCase, `/regression_cases/cases/${index}`, section.ruleset_id));
+    });
+
+    const example = resultsDoc && resultsDoc.runtime_contract && resultsDoc.runtime_contract.example_resolution;
+    const exampleCase = example ? caseFromExampleResolution(example) : null;
+    if (exampleCase) cases.push(exampleCase);
+
+    return cases;
+}
+
+const EXPECTATIONS = ['best_outcome', 'eligible_rules', 'ineligible_rules', 'effects'];
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateCases(cases) {
+    if (!Array.isArray(cases) || cases.length === 0) {
+        return 'cases must be a non-empty array';
+    }
+    for (const [index, testCase] of cases.entries()) {
+        if (!isObject(testCase) || typeof testCase.case_id !== 'string' || !testCase.case_id) {
+            return `cases[${index}].case_id must be a non-empty string`;
+        }
+        if (!isObject(testCase.user_facts)) {
+            return `cases[${index}].user_facts must be an object`;
+        }
+        if (testCase.ruleset_id !== undefined && !RULESETS.includes(testCase.ruleset_id)) {
+            return `cases[${index}].ruleset_id must be one of: ${RULESETS.join(', ')}`;
+        }
+        // A case with nothing expected would always pass
+        if (!isObject(testCase.expected) || !EXPECTATIONS.some(key => testCase.expected[key] !== undefined)) {
+            return `cases[${index}].expected must give at least one of: ${EXPECTATIONS.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// ─── Case execution ───────────────────────────────────────────────────────────
+
+function mismatch(check, expected, actual, ruleId) {
+    return ruleId ? { check, rule_id: ruleId, expected, actual } : { check, expected, actual };
+}
+
+function checkRuleEligibility(ruleIds, wanted, ruleResults, knownRules, failures) {
+    for (const ruleId of ruleIds || []) {
+        if (!knownRules.has(ruleId)) {
+            failures.push(mismatch('rule_present', true, false, ruleId));
+            continue;
+        }
+        const result = ruleResults.get(ruleId);
+        const actual = result ? result.eligible : 'not_evaluable';
+        if (actual !== wanted) {
+            failures.push(mismatch('eligible', wanted, actual, ruleId));
+        }
+    }
+}
+
+/**
+ * Run one case against a pack
+ * @param {object} pack - Pack record from the loader (documents.rules and documents.facts are used)
+ * @param {object} testCase - Case from loadCases
+ * @returns {{ case_id: string, description: string, source: string, status: string, failures: object[], actual: object }}
+ */
+function runCase(pack, testCase) {
+    const rules = (pack.documents.rules.executable_rule_slices || {}).rules || [];
+    const caseCtx = buildCaseContext(testCase.user_facts);
+    const knownRules = new Set(rules.map(rule => rule.rule_id));
+    const ruleResults = new Map();
+    for (const rule of rules) {
+        const result = evaluateRule(rule, caseCtx);
+        if (result) ruleResults.set(rule.rule_id, result);
+    }
+
+    const ranked = runRuntimeResolver(pack, testCase.user_facts, testCase.ruleset_id, 'debug');
+    const best = ranked.best_outcome || {};
+    const actualBest = {
+        rule_id: best.ruleId || null,
+        mechanism: best.mechanism || null,
+        likelihood: best.likelihood || null,
+    };
+
+    const expected = testCase.expected;
+    const failures = [];
+
+    for (const [field, value] of Object.entries(expected.best_outcome || {})) {
+        if (actualBest[field] !== value) {
+            failures.push(mismatch(`best_outcome.${field}`, value, actualBest[field]));
+        }
+    }
+
+    checkRuleEligibility(expected.eligible_rules, true, ruleResults, knownRules, failures);
+    checkRuleEligibility(expected.ineligible_rules, false, ruleResults, knownRules, failures);
+
+    for (const [ruleId, expectedEffect] of Object.entries(expected.effects || {})) {
+        const result = ruleResults.get(ruleId);
+        const effect = (result && result.effect) || {};
+        for (const [field, value] of Object.entries(expectedEffect)) {
+            if (effect[field] !== value) {
+                failures.push(mismatch(`effect.${field}`, value, effect[field] === undefined ? null : effect[field], ruleId));
+            }
+        }
+    }
+
+    return {
+        case_id: testCase.case_id,
+        description: testCase.description,
+        source: testCase.source,
+        status: failures.length === 0 ? 'pass' : 'fail',
+        failures,
+        actual: {
+            best_outcome: actualBest,
+            eligible_rules: Array.from(ruleResults.values()).filter(r => r.eligible).map(r => r.ruleId),
+        },
+    };
+}
+
+// ─── Tool entry point ─────────────────────────────────────────────────────────
+
+/**
+ * Execute schema.run_cases
+ * @param {object} input - Tool input
+ * @param {object[]} [input.cases] - Cases to run instead of the pack's, in the regression_cases shape
+ * @param {string[]} [input.case_ids] - Run only these cases (default all)
+ * @param {boolean} [input.include_passing] - Include full results for passing cases (default false)
+ * @param {string} [input.schema_version] - Run against a specific pack version
+ * @param {string} [input.financial_year] - Run against the newest pack for a financial year
+ * @returns {object} Tool result
+ */
+function execute(input = {}) {
+    if (input.cases !== undefined) {
+        const caseError = validateCases(input.cases);
+        if (caseError) {
+            return createError(ERROR_CODES.BAD_REQUEST, caseError);
+        }
+    }
+
+    if (!isSchemaLoaded()) {
+        return createError(ERROR_CODES.SCHEMA_LOAD_FAILED, 'Schema could not be loaded');
+    }
+
+    const selection = selectPack(input);
+    if (selection.error) {
+        return selection.error;
+    }
+    const { pack } = selection;
+
+    let cases = input.cases
+        ? input.cases.map((testCase, index) => authoredCase(testCase, `input:/cases/${index}`))
+        : loadCases(pack.documents.results);
+    if (input.case_ids !== undefined) {
+        if (!Array.isArray(input.case_ids) || input.case_ids.length === 0) {
+            return createError(ERROR_CODES.BAD_REQUEST, '"case_ids" must be a non-empty array of case ids');
+        }
+        const available = cases.map(testCase => testCase.case_id);
+        const unknown = input.case_ids.filter(id => !available.includes(id));
+        if (unknown.length > 0) {
+            return createError(
+                ERROR_CODES.BAD_REQUEST,
+                `Unknown case id(s): ${unknown.join(', ')}`,
+                { availableCaseIds: available }
+            );
+        }
+        cases = cases.filter(testCase => input.case_ids.includes(testCase.case_id));
+    }
+
+    const results = [];
+    for (const testCase of cases) {
+        try {
+            results.push(runCase(pack, testCase));
+        } catch (err) {
+            results.push({
+                case_id: testCase.case_id,
+                description: testCase.description,
+                source: testCase.source,
+                status: 'error',
+                failures: [mismatch('execution', 'no error', err.message)],
+            });
+        }
+    }
+
+    const passed = results.filter(result => result.status === 'pass');
+    const notPassed = results.filter(result => result.status !== 'pass');
+
+    const response = {
+        schema_pack: { version: pack.version, financial_year: pack.financialYear },
+        cases_source: input.cases ? 'caller' : 'pack',
+        summary: {
+            total: results.length,
+            passed: passed.length,
+            failed: notPassed.length,
+        },
+        failures: notPassed,
+        passed: input.include_passing ? passed : passed.map(result => result.case_id),
+    };
+    if (results.length === 0) {
+        response.note = `The v${pack.version} results document has no expected-outcome cases. Pass cases to run your own, or add them to the pack under regression_cases.cases`;
+    }
+    return createSuccess(response);
+}
+
+module.exports = { execute, loadCases, runCase };
@@ -5,6 +5,7 @@
 const { ERROR_CODES, createError, createSuccess } = require('../util/errors');
 const { isSchemaLoaded } = require('../schema/loader');
 const { searchChunks } = require('../schema/search');
+const { selectPack } = require('../schema/packSelection');
 
 /**
  * Execute the schema.search tool
@@ -13,6 +14,8 @@ const { searchChunks } = require('../schema/search');
  * @param {string[]} [input.scope] - Sections to search (e.g., ["discounts", "appeals"])
  * @param {number} [input.topK] - Number of results to return (default 5)
  * @param {object} [input.filters] - Additional filters (e.g., { section: "discounts" })
+ * @param {string} [input.schema_version] - Search a specific pack version (e.g. "2.5.6")
+ * @param {string} [input.financial_year] - Search the newest pack for a financial year (e.g. "2026/27")
  * @returns {object} Tool result
  */
 function execute(input = {}) {
@@ -52,19 +55,27 @@ function execute(input = {}) {
         );
     }
 
+    const selection = selectPack(input);
+    if (selection.error) {
+        return selection.error;
+    }
+    const { pack } = selection;
+
     try {
         const results = searchChunks({
             text: text.trim(),
             scope,
             topK: effectiveTopK,
-            filters
+            filters,
+            schema: pack.schema
         });
 
         return createSuccess({
             results,
             query: text.trim(),
             scope: scope || [],
-            filters: filters || {}
+            filters: filters || {},
+            schema_pack: { version: pack.version, financial_year: pack.financialYear }
         });
     } catch (err) {
         return createError(
@@ -8,6 +8,8 @@ const ERROR_CODES = {
     INVALID_PATH: 'INVALID_PATH',
     FORBIDDEN_PATH: 'FORBIDDEN_PATH',
     NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    PRECONDITION_FAILED: 'PRECONDITION_FAILED',
     SCHEMA_LOAD_FAILED: 'SCHEMA_LOAD_FAILED',
     INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
@@ -0,0 +1,86 @@
+'use strict';
+
+const councilConfig = require('../lib/council-config');
+
+const GLOUCESTER_WARDS = Object.keys(require('../json/wardToID.json').wards);
+
+describe('councilConfig.resolveCouncil', () => {
+    it.each([
+        ['Gloucester City Council', 'Gloucester City Council', 'exact'],
+        ['gloucester city council', 'Gloucester City Council', 'name'],
+        ['Stroud District Council.', 'Stroud District Council', 'name'],
+        ['GCC', 'Gloucester City Council', 'alias'],
+        ['FoDDC', 'Forest of Dean District Council', 'alias'],
+        ['Cheltenham', 'Cheltenham Borough Council', 'short_name'],
+        ['Gloucester City', 'Gloucester City Council', 'alias'],
+        ['Gloucestershire', 'Gloucestershire County Council', 'short_name'],
+        ['Forest of Dean District', 'Forest of Dean District Council', 'short_name'],
+        ['Forest', 'Forest of Dean District Council', 'partial'],
+        ['Cheltnham Borough Council', 'Cheltenham Borough Council', 'approximate']
+    ])('resolves %s', (input, name, matchedBy) => {
+        const result = councilConfig.resolveCouncil(input);
+        expect(result).toEqual(expect.objectContaining({ status: 'resolved', name, matched_by: matchedBy }));
+    });
+
+    it('scores weaker matches lower', () => {
+        const confidence = input => councilConfig.resolveCouncil(input).confidence;
+        expect(confidence('Gloucester City Council')).toBe(1);
+        expect(confidence('GCC')).toBeGreaterThan(confidence('Cheltenham'));
+        expect(confidence('Cheltenham')).toBeGreaterThan(confidence('Forest'));
+    });
+
+    it('asks which council is meant when "Gloucester" could be the City or the County', () => {
+        const result = councilConfig.resolveCouncil('Gloucester');
+        expect(result.status).toBe('ambiguous');
+        expect(result.candidates).toEqual([
+            { name: 'Gloucester City Council', confidence: 0.9 },
+            { name: 'Gloucestershire County Council', confidence: 0.75 }
+        ]);
+    });
+
+    it('does not let a council type word match a council of another type', () => {
+        expect(councilConfig.resolveCouncil('Gloucester County Council').name).toBe('Gloucestershire County Council');
+        expect(councilConfig.resolveCouncil('Stroud Borough Council').status).toBe('not_found');
+    });
+
+    it('reports councils outside Gloucestershire as not found', () => {
+        expect(councilConfig.resolveCouncil('Bristol City Council')).toEqual(expect.objectContaining({ status: 'not_found' }));
+        expect(councilConfig.resolveCouncil('').status).toBe('not_found');
+    });
+});
+
+describe('councilConfig.resolveWard', () => {
+    const resolve = input => councilConfig.resolveWard('Gloucester City Council', input, GLOUCESTER_WARDS);
+
+    it('ignores case, punctuation and "&"', () => {
+        expect(resolve('kingsholm & wotton')).toEqual(expect.objectContaining({ name: 'Kingsholm and Wotton', confidence: 1 }));
+    });
+
+    it('finds a ward from some of its words', () => {
+        expect(resolve('Matson and Robinswood')).toEqual(expect.objectContaining({
+            status: 'resolved',
+            name: 'Matson, Robinswood and White City',
+            matched_by: 'partial'
+        }));
+        expect(resolve('Westgate ward').name).toBe('Westgate');
+    });
+
+    it('tolerates small misspellings', () => {
+        expect(resolve('Kingsholm and Wooton')).toEqual(expect.objectContaining({ name: 'Kingsholm and Wotton', matched_by: 'approximate' }));
+        expect(resolve('Tufley').name).toBe('Tuffley');
+    });
+
+    it('asks which ward is meant when several fit', () => {
+        const result = resolve('Quedgeley');
+        expect(result.status).toBe('ambiguous');
+        expect(result.candidates.map(c => c.name)).toEqual(['Quedgeley Fieldcourt', 'Quedgeley Severn Vale']);
+    });
+
+    it('prefers an exact name over a longer ward containing it', () => {
+        expect(resolve('Abbeymead')).toEqual(expect.objectContaining({ name: 'Abbeymead', matched_by: 'exact' }));
+    });
+
+    it('reports unknown wards as not found', () => {
+        expect(resolve('Bishopston').status).toBe('not_found');
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const { execute, STAGE_STEPS } = require('../src/tools/ctCalculateBill');
+const { OUTCOME_STAGES } = require('../src/tools/ctEvaluate');
+
+describe('ct_calculate_bill', () => {
+    it('maps every OUTCOME_STAGES stage to a calculation step', () => {
+        for (const stage of OUTCOME_STAGES) {
+            expect(STAGE_STEPS[stage]).toBeDefined();
+        }
+    });
+
+    it('charges the full band for a two-adult household', () => {
+        const result = execute({ band: 'D', userFacts: { adults: 2, savings: 20000 } });
+        expect(result.ok).toBe(true);
+        expect(result.result.gross_annual_charge).toBe(2348.17);
+        expect(result.result.adjustments).toEqual([]);
+        expect(result.result.annual_charge).toBe(2348.17);
+        expect(result.result.period).toMatchObject({ start_date: '2026-04-01', end_date: '2027-03-31', days: 365 });
+    });
+
+    it('applies single person discount and traces it to its rule', () => {
+        const result = execute({ band: 'D', userFacts: { adults: 1, savings: 20000 } });
+        expect(result.result.adjustments).toEqual([expect.objectContaining({
+            step: 'discounts',
+            rule_id: 'rule.discount.single_person',
+            charge_before: 2348.17,
+            adjustment: -587.04,
+            charge_after: 1761.13,
+        })]);
+        expect(result.result.annual_charge).toBe(1761.13);
+        expect(result.result.rules_applied).toEqual(['rule.discount.single_person']);
+    });
+
+    it('adds the Quedgeley precept and applies the disabled band reduction first', () => {
+        const result = execute({
+            band: 'D',
+            area: 'quedgeley',
+            userFacts: { adults: 1, has_disabled_adaptations: true, disabled_resident: true, savings: 20000 },
+        });
+        expect(result.result.gross_components).toMatchObject({ parish: 45.82, total: 2393.99 });
+        expect(result.result.charged_band).toBe('C');
+        expect(result.result.adjustments.map(line => [line.rule_id, line.charge_after])).toEqual([
+            ['rule.reduction.disabled_band', 2127.99],
+            ['rule.discount.single_person', 1595.99],
+        ]);
+    });
+
+    it('reduces a Band A disabled adaptation by one-ninth of Band D', () => {
+        const result = execute({ band: 'A', userFacts: { adults: 2, has_disabled_adaptations: true, disabled_resident: true } });
+        expect(result.result.charged_band).toBe('A');
+        expect(result.result.annual_charge).toBe(1304.53);
+    });
+
+    it('zeroes the bill for an all-student household', () => {
+        const result = execute({ band: 'B', userFacts: { adults: 2, students: 2 } });
+        expect(result.result.adjustments).toEqual([expect.objectContaining({
+            step: 'exemptions',
+            rule_id: 'rule.exemption.student.all_residents',
+            charge_after: 0,
+        })]);
+        expect(result.result.annual_charge).toBe(0);
+    });
+
+    it('applies the empty homes premium tier for the empty duration', () => {
+        const result = execute({ band: 'C', userFacts: { adults: 0, property_empty: true, property_empty_years: 6 } });
+        expect(result.result.adjustments).toEqual([expect.objectContaining({
+            step: 'premiums',
+            rule_id: 'rule.premium.empty_property_long_term',
+            description: '200% premium',
+            adjustment: 4174.52,
+        })]);
+        expect(result.result.annual_charge).toBe(6261.78);
+    });
+
+    it('applies Pension Credit CTS last and apportions a part year', () => {
+        const result = execute({
+            band: 'B',
+            userFacts: { adults: 1, receiving_pension_credit: true },
+            period: { start_date: '2026-10-01' },
+        });
+        const steps = result.result.adjustments.map(line => line.step);
+        expect(steps).toEqual(['discounts', 'council_tax_support']);
+        expect(result.result.annual_charge).toBe(0);
+        expect(result.result.not_quantified).toEqual([]);
+        expect(result.result.period).toMatchObject({ days: 182, charge: 0 });
+    });
+
+    it('lists means-tested CTS as not quantified without deducting it', () => {
+        const result = execute({ band: 'B', userFacts: { adults: 2, savings: 100 } });
+        expect(result.result.not_quantified).toEqual([expect.objectContaining({ rule_id: 'rule.cts.low_income' })]);
+        expect(result.result.annual_charge).toBe(1826.36);
+    });
+
+    it('apportions the annual charge by day', () => {
+        const result = execute({
+            band: 'D',
+            userFacts: { adults: 2, savings: 20000 },
+            period: { start_date: '2026-04-01', end_date: '2026-04-30' },
+        });
+        expect(result.result.daily_charge).toBe(6.43);
+        expect(result.result.period).toMatchObject({ days: 30, days_in_year: 365, charge: 193 });
+    });
+
+    it('takes the band from userFacts.property_band', () => {
+        const result = execute({ userFacts: { adults: 2, property_band: 'e', savings: 20000 } });
+        expect(result.result.band).toBe('E');
+    });
+
+    it.each([
+        [{ userFacts: { adults: 1 } }, /band/],
+        [{ band: 'D', area: 'cheltenham' }, /Unknown area/],
+        [{ band: 'D', period: { start_date: '2026-03-31' } }, /within financial year 2026\/27/],
+        [{ band: 'D', period: { start_date: '2026-05-01', end_date: '2026-04-01' } }, /on or after/],
+        [{ band: 'D', period: { start_date: '2026-02-30' } }, /valid YYYY-MM-DD/],
+    ])('rejects bad input %j', (input, message) => {
+        const result = execute(input);
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.message).toMatch(message);
+    });
+
+    it('returns NOT_FOUND for a year without published charges', () => {
+        const result = execute({ band: 'D', financial_year: '2019/20' });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('NOT_FOUND');
+    });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+// The published facts have no means test parameters yet, so the calculation
+// is exercised against test parameters added to the facts document
+let mockMeansTest = require('./fixtures/cts-means-test.json').means_test;
+
+jest.mock('../src/schema/revisedLoader', () => {
+    const actual = jest.requireActual('../src/schema/revisedLoader');
+    return {
+        ...actual,
+        getDocument: (docType) => {
+            const doc = actual.getDocument(docType);
+            if (docType !== 'facts' || !mockMeansTest) return doc;
+            return { ...doc, council_tax_support: { ...doc.council_tax_support, means_test: mockMeansTest } };
+        },
+    };
+});
+
+const { execute } = require('../src/tools/ctEstimateSupport');
+
+function step(result, name) {
+    return result.result.workings.find(working => working.step === name);
+}
+
+describe('ct_estimate_support', () => {
+    it('labels every result as an estimate', () => {
+        const result = execute({ age_group: 'working_age', annual_council_tax: 1800 });
+        expect(result.ok).toBe(true);
+        expect(result.result.is_estimate).toBe(true);
+        expect(result.result.label).toMatch(/^ESTIMATE ONLY/);
+    });
+
+    it('gives no estimate while the scheme parameters are not published', () => {
+        const fixture = mockMeansTest;
+        mockMeansTest = null;
+        try {
+            const result = execute({ age_group: 'working_age', annual_council_tax: 1800 });
+            expect(result.ok).toBe(false);
+            expect(result.error.code).toBe('NOT_FOUND');
+            expect(result.error.message).toBe('Council Tax Support means test parameters are not available');
+            expect(result.error.details.scheme).toMatch(/^Council Tax Support 2026\/27/);
+        } finally {
+            mockMeansTest = fixture;
+        }
+    });
+
+    it('tapers support at 20% of income above the applicable amount', () => {
+        const result = execute({
+            age_group: 'working_age',
+            annual_council_tax: 1800,
+            claimant_age: 23,
+            weekly_income: { earnings: 150 },
+        });
+
+        expect(result.result.weekly_council_tax).toBe(34.52);
+        expect(step(result, 'applicable_amount').weekly_gbp).toBe(72.9);
+        expect(step(result, 'income').weekly_gbp).toBe(145);
+        expect(step(result, 'taper').weekly_gbp).toBe(-14.42);
+        expect(result.result.weekly_reduction).toBe(20.1);
+        expect(result.result.outcome).toBe('partial_support');
+        expect(result.result.weekly_council_tax_after_support).toBe(14.42);
+    });
+
+    it('gives full support when income is below the applicable amount', () => {
+        const result = execute({
+            age_group: 'pension_age',
+            annual_council_tax: 1369.77,
+            weekly_income: { pensions: 220 },
+            savings: 12000,
+        });
+
+        const income = step(result, 'income');
+        expect(income.lines).toContainEqual({ description: 'Tariff income from savings of £12000', weekly_gbp: 4 });
+        expect(income.weekly_gbp).toBe(224);
+        expect(step(result, 'applicable_amount').weekly_gbp).toBe(235.2);
+        expect(result.result.outcome).toBe('full_support');
+        expect(result.result.percentage_of_bill).toBe(100);
+    });
+
+    it('passports Pension Credit Guarantee to maximum support regardless of savings', () => {
+        const result = execute({
+            age_group: 'pension_age',
+            band: 'B',
+            passported_benefit: 'pension_credit_guarantee',
+            savings: 20000,
+        });
+
+        expect(step(result, 'liability').rules_applied).toEqual(['rule.discount.single_person']);
+        expect(step(result, 'passported')).toBeDefined();
+        expect(result.result.weekly_reduction).toBe(result.result.weekly_council_tax);
+        expect(result.result.outcome).toBe('full_support');
+    });
+
+    it('refuses support above the capital limit', () => {
+        const result = execute({ age_group: 'working_age', annual_council_tax: 1800, savings: 16000.01 });
+        expect(result.result.outcome).toBe('no_support');
+        expect(result.result.weekly_reduction).toBe(0);
+        expect(step(result, 'capital').description).toMatch(/exceed the £16000 capital limit/);
+    });
+
+    it('deducts for working non-dependants by gross income band', () => {
+        const result = execute({
+            age_group: 'working_age',
+            annual_council_tax: 2087.26,
+            passported_benefit: 'income_support',
+            non_dependants: [
+                { age: 22, in_work: true, weekly_gross_income: 300 },
+                { age: 19, full_time_student: true },
+                { age: 16 },
+            ],
+        });
+
+        const deductions = step(result, 'non_dependant_deductions');
+        expect(deductions.lines.map(line => line.weekly_gbp)).toEqual([9.95, 0, 0]);
+        expect(result.result.weekly_reduction).toBe(roundPence(result.result.weekly_council_tax - 9.95));
+        expect(result.result.outcome).toBe('partial_support');
+    });
+
+    it('skips non-dependant deductions when the claimant receives a care benefit', () => {
+        const result = execute({
+            age_group: 'working_age',
+            annual_council_tax: 2087.26,
+            passported_benefit: 'income_support',
+            care_benefit_exemption: true,
+            non_dependants: [{ age: 30, in_work: true, weekly_gross_income: 600 }],
+        });
+        expect(step(result, 'non_dependant_deductions').weekly_gbp).toBe(0);
+        expect(result.result.outcome).toBe('full_support');
+    });
+
+    it('uses lone parent allowances, child allowances and the higher earnings disregard', () => {
+        const result = execute({
+            age_group: 'working_age',
+            annual_council_tax: 1800,
+            children: 2,
+            weekly_income: { earnings: 100 },
+        });
+
+        expect(step(result, 'applicable_amount').lines.map(line => line.description)).toEqual([
+            'Personal allowance (lone parent)',
+            'Child allowance × 2',
+            'Family premium',
+        ]);
+        expect(step(result, 'income').lines[1]).toEqual({ description: 'Earnings disregard', weekly_gbp: -25 });
+    });
+
+    it.each([
+        [{}, /age_group/],
+        [{ age_group: 'working_age' }, /annual_council_tax/],
+        [{ age_group: 'working_age', annual_council_tax: -1 }, /non-negative/],
+        [{ age_group: 'working_age', annual_council_tax: 1000, savings: -5 }, /savings/],
+    ])('rejects bad input %j', (input, message) => {
+        const result = execute(input);
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.message).toMatch(message);
+    });
+});
+
+function roundPence(value) {
+    return Math.round(value * 100) / 100;
+}
+
+describe('ct_estimate_support on /mcp-schema-v2', () => {
+    const context = { log: Object.assign(jest.fn(), { error: jest.fn() }) };
+
+    async function loadEndpoint(meansTest) {
+        const fixture = mockMeansTest;
+        mockMeansTest = meansTest;
+        let endpoint;
+        try {
+            jest.isolateModules(() => {
+                jest.doMock('@azure/functions', () => ({ app: { http: jest.fn() } }));
+                endpoint = require('../src/functions/mcpSchemaV2');
+            });
+        } finally {
+            mockMeansTest = fixture;
+        }
+        const tools = await endpoint.handleMcpRequest({ jsonrpc: '2.0', method: 'tools/list', id: 1 }, context);
+        const init = await endpoint.handleMcpRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 2 }, context);
+        return { names: tools.result.tools.map(tool => tool.name), instructions: init.result.serverInfo.instructions };
+    }
+
+    it('is not listed or suggested while the means test is not published', async () => {
+        const { names, instructions } = await loadEndpoint(null);
+
+        expect(names).not.toContain('ct_estimate_support');
+        expect(instructions).not.toContain('ct_estimate_support');
+        expect(instructions).toContain('do not estimate how much support the user would get');
+    });
+
+    it('is listed once the means test is published', async () => {
+        const { names, instructions } = await loadEndpoint(mockMeansTest);
+
+        expect(names).toContain('ct_estimate_support');
+        expect(instructions).toContain('ct_estimate_support gives an indicative weekly figure');
+    });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { execute } = require('../src/tools/ctIntakeStep');
+
+/**
+ * Answer questions in turn, asserting each answer goes to the expected question.
+ * @param {object} response - previous execute() response
+ * @param {Array<[string, *]>} steps - [question_id, answer] pairs
+ */
+function walk(response, steps) {
+    let current = response;
+    for (const [questionId, answer] of steps) {
+        expect(current.ok).toBe(true);
+        expect(current.result.next_question.id).toBe(questionId);
+        current = execute({ session_state: current.result.session_state, question_id: questionId, answer });
+    }
+    return current;
+}
+
+describe('ct_intake_step', () => {
+    it('starts with the first initial_triage question from the overlay', () => {
+        const result = execute({});
+        expect(result.ok).toBe(true);
+        expect(result.result.status).toBe('in_progress');
+        expect(result.result.next_question).toMatchObject({
+            id: 'q_property_band',
+            tree: 'initial_triage',
+            source: 'ct_chatbot_overlay',
+            answer_type: 'band',
+        });
+        expect(result.result.next_question.allowed_answers).toContain('unknown');
+        expect(result.result.facts_collected).toEqual({});
+        expect(typeof result.result.session_state).toBe('string');
+    });
+
+    it('walks the disregards tree and evaluates once the facts are complete', () => {
+        const result = walk(execute({}), [
+            ['q_property_band', 'Band D'],
+            ['q_sole_occupant', 'no'],
+            ['q_adult_count', 2],
+            ['q_disregards', 'yes'],
+            ['q_student', '1'],
+            ['q_carer_hours', 'no'],
+            ['q_smi', 'no'],
+            ['q_apprentice', false],
+            ['q_empty_or_second', 'no'],
+            ['q_financial_difficulty', 'no'],
+            ['q_savings', '£3,000'],
+        ]);
+
+        expect(result.ok).toBe(true);
+        expect(result.result.status).toBe('complete');
+        expect(result.result.next_question).toBeNull();
+        expect(result.result.facts_collected).toEqual({
+            property_band: 'D',
+            adults: 2,
+            students: 1,
+            carers: 0,
+            severely_mentally_impaired: 0,
+            apprentice: false,
+            property_empty: false,
+            second_home: false,
+            savings: 3000,
+        });
+        expect(result.result.flagged_topics).toEqual(['rates_lookup']);
+        expect(result.result.evaluation.missing_critical_facts).toEqual([]);
+        expect(result.result.evaluation.best_outcome.name).toMatch(/Single Person Discount/);
+    });
+
+    it('asks the carer benefit question only when someone is a carer', () => {
+        const started = execute({ topic: 'carer-disregard', known_facts: { adults: 2 } });
+        expect(started.result.flagged_topics).toEqual(['carer-disregard']);
+
+        const afterCarer = walk(started, [['q_student', 0], ['q_carer_hours', 1]]);
+        expect(afterCarer.result.next_question.id).toBe('q_carer_benefit');
+
+        const withoutBenefit = walk(afterCarer, [['q_carer_benefit', 'no']]);
+        expect(withoutBenefit.result.facts_collected.carers).toBe(0);
+        expect(withoutBenefit.result.next_question.id).toBe('q_smi');
+    });
+
+    it('asks for the household size first when starting from a deep-dive tree', () => {
+        const result = execute({ topic: 'empty-homes-premium' });
+        expect(result.result.next_question).toMatchObject({ id: 'q_adult_count', source: 'ct_intake_step' });
+    });
+
+    it('skips questions already answered by known_facts', () => {
+        const result = execute({ known_facts: { property_band: 'C', adults: 1 } });
+        expect(result.result.next_question.id).toBe('q_disregards');
+        expect(result.result.skipped_questions).toEqual(['q_property_band', 'q_sole_occupant']);
+    });
+
+    it('routes empty property answers through the property adjustments tree', () => {
+        const result = walk(execute({ known_facts: { property_band: 'B', adults: 0 } }), [
+            ['q_disregards', 'no'],
+            ['q_empty_or_second', 'yes'],
+            ['q_disabled_adaptation', 'no'],
+            ['q_empty_duration', '2.5'],
+            ['q_second_home_furnished', 'no'],
+            ['q_annexe', 'no'],
+            ['q_financial_difficulty', 'no'],
+        ]);
+
+        expect(result.result.status).toBe('complete');
+        expect(result.result.facts_collected).toMatchObject({ property_empty: true, property_empty_years: 2.5 });
+        expect(result.result.evaluation).toHaveProperty('best_outcome');
+    });
+
+    it('rejects an answer outside the allowed answers without advancing', () => {
+        const started = execute({});
+        const result = execute({ session_state: started.result.session_state, answer: 'Z' });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.details.allowed_answers).toContain('H');
+    });
+
+    it('rejects an answer for a question other than the pending one', () => {
+        const started = execute({});
+        const result = execute({ session_state: started.result.session_state, question_id: 'q_smi', answer: 'yes' });
+        expect(result.ok).toBe(false);
+        expect(result.error.details.pending_question.id).toBe('q_property_band');
+    });
+
+    it('rejects a tampered session_state', () => {
+        const result = execute({ session_state: 'not-a-session', answer: 'yes' });
+        expect(result.ok).toBe(false);
+        expect(result.error.message).toMatch(/Invalid "session_state"/);
+    });
+
+    it.each([
+        ['facts is not an object', { facts: ['yes'] }],
+        ['topics is missing', { topics: undefined }],
+        ['answers is not an array', { answers: 'yes' }],
+        ['a queue entry is null', { queue: [null] }],
+        ['a queue entry has no tree', { queue: [{ id: 'q_smi' }] }],
+        ['a queue entry names an unknown question', { queue: [{ id: 'q_nope', tree: 'supplementary' }] }],
+    ])('rejects a session_state where %s', (_, change) => {
+        const started = execute({});
+        const state = JSON.parse(Buffer.from(started.result.session_state, 'base64url').toString('utf8'));
+        const token = Buffer.from(JSON.stringify({ ...state, ...change }), 'utf8').toString('base64url');
+
+        const result = execute({ session_state: token, answer: 'yes' });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.message).toMatch(/Invalid "session_state"/);
+    });
+
+    it('rejects an unknown topic', () => {
+        const result = execute({ topic: 'dog licence' });
+        expect(result.ok).toBe(false);
+        expect(result.error.message).toMatch(/^unknown topic "dog licence"/);
+    });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+jest.mock('../lib/moderngov-client', () => ({
+    getCommittees: jest.fn(),
+    getMeetings: jest.fn(),
+    getMeeting: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const { exportMeetingsCalendar, parseCommitteeReference } = require('../lib/tools/export-meetings-calendar');
+
+const COMMITTEES = {
+    'Gloucester City Council': [
+        { id: 544, name: 'Planning Committee', deleted: false, expired: false },
+        { id: 129, name: 'Cabinet', deleted: false, expired: false }
+    ],
+    'Stroud District Council': [
+        { id: 140, name: 'Development Control Committee', deleted: false, expired: false },
+        { id: 141, name: 'Planning Review Panel', deleted: false, expired: true }
+    ],
+    'Cheltenham Borough Council': [
+        { id: 130, name: 'Planning Committee', deleted: false, expired: false }
+    ]
+};
+
+const MEETINGS = {
+    544: [
+        { id: 7001, date: '18/06/2026', time: '6.00 pm', status: 'Confirmed', location: null, is_webcast: true },
+        { id: 7002, date: '02/06/2026', time: '6.00 pm', status: 'Cancelled', location: null }
+    ],
+    130: [
+        { id: 9001, date: '10/06/2026', time: '10:00 am', status: 'Confirmed', location: 'Municipal Offices, Promenade' }
+    ],
+    129: [
+        { id: 7101, date: '04/06/2026', time: '6.00 pm', status: 'Confirmed', location: null }
+    ]
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.WEBSITE_HOSTNAME;
+    moderngovClient.getCommittees.mockImplementation(async council => COMMITTEES[council] || []);
+    moderngovClient.getMeetings.mockImplementation(async (council, committeeId) => ({ meetings: MEETINGS[committeeId] || [] }));
+    moderngovClient.getMeeting.mockImplementation(async (council, meetingId) => ({
+        details: { id: meetingId, location: 'Civic Suite, North Warehouse, The Docks, Gloucester', planned_finish_time: '8.30 pm' }
+    }));
+});
+
+describe('exportMeetingsCalendar', () => {
+    it('covers every matching committee across councils, in date order', async () => {
+        const result = await exportMeetingsCalendar({ committee_name: 'Planning Committees' });
+
+        expect(result.committees.map(c => [c.council, c.committee_id])).toEqual([
+            ['Gloucester City Council', 544],
+            ['Cheltenham Borough Council', 130]
+        ]);
+        expect(result.events.map(e => e.meeting_id)).toEqual([7002, 9001, 7001]);
+        expect(result.event_count).toBe(3);
+        expect(result.calendar_name).toBe('Planning Committees meetings');
+    });
+
+    it('fills in venues from GetMeeting and links each event to its agenda', async () => {
+        const result = await exportMeetingsCalendar({ committee_name: 'Planning' });
+        const ics = result.ics.replace(/\r\n /g, '');
+
+        expect(moderngovClient.getMeeting).toHaveBeenCalledTimes(2);
+        expect(result.events.find(e => e.meeting_id === 7001).venue).toBe('Civic Suite, North Warehouse, The Docks, Gloucester');
+        expect(ics).toContain('UID:moderngov-meeting-7001@democracy.gloucester.gov.uk');
+        expect(ics).toContain('UID:moderngov-meeting-9001@democracy.cheltenham.gov.uk');
+        expect(ics).toContain('URL:https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=7001');
+        expect(ics).toContain('DTSTART;TZID=Europe/London:20260618T180000\r\nDTEND;TZID=Europe/London:20260618T203000');
+        expect(ics).toContain('SUMMARY:Cancelled: Planning Committee (Gloucester City Council)');
+        expect(ics).toContain('LOCATION:Municipal Offices\\, Promenade');
+    });
+
+    it('keeps UIDs stable across refreshes', async () => {
+        const uids = ics => ics.match(/^UID:.*$/gm);
+        const first = await exportMeetingsCalendar({ committee_name: 'Planning' });
+        const second = await exportMeetingsCalendar({ committee_name: 'Planning', include_venues: false });
+
+        expect(uids(second.ics)).toEqual(uids(first.ics));
+    });
+
+    it('accepts specific committees with short council names', async () => {
+        const result = await exportMeetingsCalendar({
+            committees: [{ council_name: 'GCC', committee_id: 129 }, { council_name: 'Cheltenham', committee_id: 130 }],
+            include_venues: false
+        });
+
+        expect(result.committees).toEqual([
+            expect.objectContaining({ council: 'Gloucester City Council', committee_id: 129, committee_name: 'Cabinet' }),
+            expect.objectContaining({ council: 'Cheltenham Borough Council', committee_id: 130 })
+        ]);
+        expect(moderngovClient.getMeeting).not.toHaveBeenCalled();
+        expect(result.subscribe_url).toBe('/api/calendar/meetings.ics?committee=GCC%3A129&committee=Cheltenham%3A130');
+    });
+
+    it('limits committee_name matching to one council', async () => {
+        const result = await exportMeetingsCalendar({ committee_name: 'Planning', council_name: 'Cheltenham Borough Council' });
+        expect(result.committees.map(c => c.committee_id)).toEqual([130]);
+    });
+
+    it('builds an absolute subscribe_url on Azure', async () => {
+        process.env.WEBSITE_HOSTNAME = 'example.azurewebsites.net';
+        const result = await exportMeetingsCalendar({ committee_name: 'Planning', include_venues: false });
+        expect(result.subscribe_url).toBe('https://example.azurewebsites.net/api/calendar/meetings.ics?committee_name=Planning');
+    });
+
+    it('still produces a feed when some committees fail', async () => {
+        moderngovClient.getMeetings.mockImplementation(async (council, committeeId) => {
+            if (committeeId === 130) throw new Error('SOAP request failed: 503');
+            return { meetings: MEETINGS[committeeId] || [] };
+        });
+
+        const result = await exportMeetingsCalendar({ committee_name: 'Planning', include_venues: false });
+
+        expect(result.event_count).toBe(2);
+        expect(result.failures).toEqual([expect.objectContaining({ committee_id: 130, error: 'Failed to retrieve meetings' })]);
+    });
+
+    it('reports missing selections, no matches and bad dates', async () => {
+        expect((await exportMeetingsCalendar({})).error).toBe('committees or committee_name is required');
+        expect((await exportMeetingsCalendar({ committee_name: 'Allotments' })).error).toBe('No committees matched');
+        expect((await exportMeetingsCalendar({ committee_name: 'committee' })).error).toBe('committee_name is too general');
+        expect((await exportMeetingsCalendar({ committee_name: 'Planning', from_date: '2026-01-01' })).error).toBe('Invalid from_date format');
+        expect((await exportMeetingsCalendar({ committee_name: 'Planning', council_name: 'Gloucester' })).error).toBe('Ambiguous council name');
+    });
+
+    it('looks up at most 20 venues, the next meetings first', async () => {
+        const ukDate = daysFromToday => {
+            const date = new Date();
+            date.setDate(date.getDate() + daysFromToday);
+            return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+        };
+        const meetings = Array.from({ length: 30 }, (_, i) => ({
+            id: 8000 + i, date: ukDate(i * 7 - 80), time: '6.00 pm', status: 'Confirmed', location: null
+        }));
+        moderngovClient.getMeetings.mockResolvedValue({ meetings });
+
+        await exportMeetingsCalendar({ committees: [{ council_name: 'GCC', committee_id: 129 }] });
+
+        const looked = moderngovClient.getMeeting.mock.calls.map(([, meetingId]) => meetingId);
+        expect(looked).toHaveLength(20);
+        // Meetings 8012 onwards are upcoming; then the latest past meetings
+        expect(looked.slice(0, 18)).toEqual(Array.from({ length: 18 }, (_, i) => 8012 + i));
+        expect(looked.slice(18)).toEqual([8011, 8010]);
+    });
+
+    it('parses council:committee references', () => {
+        expect(parseCommitteeReference('Gloucester City Council:544')).toEqual({ council_name: 'Gloucester City Council', committee_id: 544 });
+        expect(parseCommitteeReference('GCC')).toBeNull();
+    });
+});
+
+describe('GET /api/calendar/meetings.ics', () => {
+    let handler;
+
+    beforeAll(() => {
+        jest.isolateModules(() => {
+            jest.doMock('@azure/functions', () => ({
+                app: { http: (name, options) => { handler = options.handler; } }
+            }));
+            require('../src/functions/meetingsCalendar');
+        });
+    });
+
+    const context = { log: jest.fn(), error: jest.fn() };
+    const request = (query, headers = {}) => ({ query: new URLSearchParams(query), headers: new Headers(headers) });
+
+    it('serves the feed as text/calendar', async () => {
+        const response = await handler(request('committee_name=Planning&council=Cheltenham'), context);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+        expect(response.body).toMatch(/^BEGIN:VCALENDAR\r\n/);
+        expect(response.body).toContain('UID:moderngov-meeting-9001@democracy.cheltenham.gov.uk');
+        expect(response.headers.ETag).toMatch(/^"[\w-]+"$/);
+        // No longer than the 10-minute feed cache, so a changed meeting reaches subscribers within it
+        expect(response.headers['Cache-Control']).toBe('public, max-age=600');
+    });
+
+    it('serves repeat requests from the cached feed and answers If-None-Match with 304', async () => {
+        const first = await handler(request('committee_name=Development&council=Stroud'), context);
+        const second = await handler(request('committee_name=Development&council=Stroud'), context);
+        const unchanged = await handler(request('committee_name=Development&council=Stroud', { 'If-None-Match': first.headers.ETag }), context);
+
+        expect(moderngovClient.getMeetings).toHaveBeenCalledTimes(1);
+        expect(second.body).toBe(first.body);
+        expect(second.headers.ETag).toBe(first.headers.ETag);
+        expect(unchanged.status).toBe(304);
+        expect(unchanged.headers['Cache-Control']).toBe('public, max-age=600');
+        expect(unchanged.body).toBeUndefined();
+    });
+
+    it('does not cache a failed feed', async () => {
+        moderngovClient.getMeetings.mockRejectedValueOnce(new Error('SOAP request failed: 503'));
+
+        const failed = await handler(request('committee=GCC:129'), context);
+        const retried = await handler(request('committee=GCC:129'), context);
+
+        expect(failed.status).toBe(503);
+        expect(retried.status).toBe(200);
+    });
+
+    it('rejects malformed committee references', async () => {
+        const response = await handler(request('committee=GCC'), context);
+        expect(response.status).toBe(400);
+        expect(JSON.parse(response.body).error).toBe('Invalid committee parameter');
+    });
+
+    it('returns errors as JSON', async () => {
+        const response = await handler(request('committee_name=Allotments'), context);
+        expect(response.status).toBe(400);
+        expect(JSON.parse(response.body).error).toBe('No committees matched');
+    });
+});
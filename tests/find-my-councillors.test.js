@@ -0,0 +1,150 @@
+'use strict';
+
+jest.mock('../lib/moderngov-client', () => ({
+    getCouncillorsByPostcode: jest.fn()
+}));
+jest.mock('../lib/postcode-lookup', () => ({
+    ...jest.requireActual('../lib/postcode-lookup'),
+    lookupPostcode: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const { lookupPostcode, normalisePostcode } = require('../lib/postcode-lookup');
+const { findMyCouncillors } = require('../lib/tools/find-my-councillors');
+
+const GLOUCESTER_AREAS = {
+    postcode: 'GL1 2EP',
+    admin_district: 'Gloucester',
+    admin_county: 'Gloucestershire',
+    admin_ward: 'Kingsholm & Wotton',
+    county_division: 'Kingsholm and Wotton',
+    parish: null,
+    is_unparished: true
+};
+
+function ward(wardId, wardName, councillors) {
+    return { wards: [{ ward_id: wardId, ward_name: wardName, councillors }] };
+}
+
+const COUNTY_COUNCILLOR = {
+    id: 501,
+    name: 'Councillor County Member',
+    party: 'Independent',
+    work_address: { email: 'county.member@gloucestershire.gov.uk' },
+    home_address: { line1: '1 Private Road', postcode: 'GL1 1AA', email: 'home@example.com' },
+    email: 'home@example.com'
+};
+const CITY_COUNCILLOR = {
+    id: 2018,
+    name: 'Councillor Angela Conder',
+    party: 'Liberal Democrat',
+    key_posts: 'Chair of Planning Committee',
+    work_address: { email: 'angela.conder@gloucester.gov.uk', phone: '01452 000000' },
+    home_address: null
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('normalisePostcode', () => {
+    it.each([
+        ['gl12ep', 'GL1 2EP'],
+        [' GL50 1PP ', 'GL50 1PP'],
+        ['SW1A 1AA', 'SW1A 1AA'],
+        ['GL1', null],
+        ['not a postcode', null]
+    ])('normalises %s', (input, expected) => {
+        expect(normalisePostcode(input)).toBe(expected);
+    });
+});
+
+describe('findMyCouncillors', () => {
+    it('returns the county division and city ward councillors without home addresses', async () => {
+        lookupPostcode.mockResolvedValue(GLOUCESTER_AREAS);
+        moderngovClient.getCouncillorsByPostcode.mockImplementation(async (council) => (
+            council === 'Gloucestershire County Council'
+                ? ward(77, 'Kingsholm and Wotton', [COUNTY_COUNCILLOR])
+                : ward(285, 'Kingsholm and Wotton', [CITY_COUNCILLOR])
+        ));
+
+        const result = await findMyCouncillors('gl12ep');
+
+        expect(moderngovClient.getCouncillorsByPostcode.mock.calls.map(c => c[0]).sort()).toEqual([
+            'Gloucester City Council',
+            'Gloucestershire County Council'
+        ]);
+        expect(result.postcode).toBe('GL1 2EP');
+        expect(result.county_division).toEqual(expect.objectContaining({
+            council: 'Gloucestershire County Council',
+            division_name: 'Kingsholm and Wotton'
+        }));
+        expect(result.county_division.councillors[0]).toEqual(expect.objectContaining({
+            name: 'Councillor County Member',
+            email: 'county.member@gloucestershire.gov.uk',
+            profile_url: 'https://glostext.gloucestershire.gov.uk/mgUserInfo.aspx?UID=501'
+        }));
+        expect(result.district_ward.ward_name).toBe('Kingsholm and Wotton');
+        expect(result.district_ward.councillors[0].key_posts).toBe('Chair of Planning Committee');
+        expect(result.parish.note).toMatch(/unparished/);
+        expect(JSON.stringify(result)).not.toMatch(/Private Road|home@example.com/);
+    });
+
+    it('names the parish and points at the ward lookup when ModernGov has no match', async () => {
+        lookupPostcode.mockResolvedValue({
+            ...GLOUCESTER_AREAS,
+            postcode: 'GL6 8AA',
+            admin_district: 'Stroud',
+            admin_ward: 'Bisley',
+            parish: 'Bisley-with-Lypiatt',
+            is_unparished: false
+        });
+        moderngovClient.getCouncillorsByPostcode.mockResolvedValue({ wards: [] });
+
+        const result = await findMyCouncillors('GL6 8AA');
+
+        expect(result.district_ward).toEqual(expect.objectContaining({
+            council: 'Stroud District Council',
+            ward_name: 'Bisley',
+            councillors: [],
+            source: 'postcode_data'
+        }));
+        expect(result.district_ward.note).toMatch(/get_councillors_by_ward\(council_name='Stroud District Council', ward_name='Bisley'\)/);
+        expect(result.parish.parish_name).toBe('Bisley-with-Lypiatt');
+    });
+
+    it('asks every council when the postcode service is unavailable', async () => {
+        lookupPostcode.mockRejectedValue(new Error('Postcode lookup failed: timeout'));
+        moderngovClient.getCouncillorsByPostcode.mockImplementation(async (council) => {
+            if (council === 'Cheltenham Borough Council') return ward(12, 'Lansdown', [CITY_COUNCILLOR]);
+            if (council === 'Cotswold District Council') throw new Error('SOAP request failed for Cotswold District Council: 500');
+            return { wards: [] };
+        });
+
+        const result = await findMyCouncillors('GL50 1PP');
+
+        expect(moderngovClient.getCouncillorsByPostcode).toHaveBeenCalledTimes(7);
+        expect(result.district_ward.council).toBe('Cheltenham Borough Council');
+        expect(result.county_division).toBeNull();
+        expect(result.parish).toBeNull();
+        expect(result.area_lookup_error).toMatch(/timeout/);
+        expect(result.lookup_failures).toEqual([
+            { council: 'Cotswold District Council', error: 'SOAP request failed for Cotswold District Council: 500' }
+        ]);
+    });
+
+    it('rejects postcodes outside Gloucestershire', async () => {
+        lookupPostcode.mockResolvedValue({ ...GLOUCESTER_AREAS, admin_district: 'Westminster', admin_county: null });
+        const result = await findMyCouncillors('SW1A 1AA');
+        expect(result.error).toBe('Postcode is outside Gloucestershire');
+        expect(moderngovClient.getCouncillorsByPostcode).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['GL1', 'Invalid postcode'],
+        ['ZZ9 9ZZ', 'Postcode not found']
+    ])('returns an error for %s', async (postcode, error) => {
+        lookupPostcode.mockResolvedValue(null);
+        expect((await findMyCouncillors(postcode)).error).toBe(error);
+    });
+});
@@ -0,0 +1,371 @@
+'use strict';
+
+const { Readable } = require('stream');
+
+// In-memory stand-in for the blob container behind record-store.js,
+// with ETags and the ifMatch / ifNoneMatch upload conditions
+const mockBlobs = new Map();
+const mockEtags = new Map();
+let mockEtagCounter = 0;
+const mockContainer = {
+    createIfNotExists: jest.fn().mockResolvedValue({}),
+    getBlobClient: (name) => ({
+        download: async () => {
+            if (!mockBlobs.has(name)) throw Object.assign(new Error('BlobNotFound'), { statusCode: 404 });
+            return { etag: mockEtags.get(name), readableStreamBody: Readable.from([Buffer.from(mockBlobs.get(name))]) };
+        },
+    }),
+    getBlockBlobClient: (name) => ({
+        upload: jest.fn(async (content, length, { conditions = {} } = {}) => {
+            if (conditions.ifNoneMatch === '*' && mockBlobs.has(name)) {
+                throw Object.assign(new Error('BlobAlreadyExists'), { statusCode: 409, code: 'BlobAlreadyExists' });
+            }
+            if (conditions.ifMatch && conditions.ifMatch !== mockEtags.get(name)) {
+                throw Object.assign(new Error('ConditionNotMet'), { statusCode: 412, code: 'ConditionNotMet' });
+            }
+            mockBlobs.set(name, content);
+            mockEtags.set(name, `"${++mockEtagCounter}"`);
+        }),
+    }),
+    listBlobsFlat: async function* ({ prefix }) {
+        for (const name of mockBlobs.keys()) {
+            if (name.startsWith(prefix)) yield { name };
+        }
+    },
+};
+
+jest.mock('@azure/storage-blob', () => ({
+    BlobServiceClient: { fromConnectionString: () => ({ getContainerClient: () => mockContainer }) },
+}));
+
+process.env.STORAGE_CONNECTION = 'UseDevelopmentStorage=true';
+
+const openCase = require('../src/gcc-procurement/tools/open-case');
+const updateCase = require('../src/gcc-procurement/tools/update-case');
+const advanceCase = require('../src/gcc-procurement/tools/advance-case');
+const getCase = require('../src/gcc-procurement/tools/get-case');
+const listCases = require('../src/gcc-procurement/tools/list-cases');
+const createContract = require('../src/gcc-procurement/tools/create-contract');
+const { checkTransition } = require('../src/gcc-procurement/procurement-case');
+
+const CASE_ID = 'GCC-PROC-2026-0042';
+const OFFICER = 'A Officer, Head of Communities';
+
+// Services at £300,000: above the PA2023 threshold, tier 5 (Cabinet Member decision)
+function openInput(overrides = {}) {
+    return {
+        case_id: CASE_ID,
+        title: 'Grounds maintenance',
+        service_area: 'Communities',
+        value_estimated_gbp: 300000,
+        contract_type: 'services',
+        officer: OFFICER,
+        response_format: 'json',
+        ...overrides,
+    };
+}
+
+const PRE_TENDER_ASSERTIONS = {
+    procurement_route: 'open_procedure',
+    forward_plan_reference: 'FP-2026-042',
+    social_value_assessed: true,
+    conflicts_assessment_completed: true,
+    lots_considered: true,
+    existing_framework_checked: true,
+    tupe_assessed: true,
+};
+
+function storedCase(id = CASE_ID) {
+    return JSON.parse(mockBlobs.get(`cases/${id}.json`));
+}
+
+function advance(toStatus, extra = {}) {
+    return advanceCase.execute({ case_id: CASE_ID, to_status: toStatus, officer: OFFICER, response_format: 'json', ...extra });
+}
+
+function assert(changes, extra = {}) {
+    return updateCase.execute({ case_id: CASE_ID, officer: OFFICER, changes, response_format: 'json', ...extra });
+}
+
+// Move the standstill history entry back, as if the case entered standstill on that date
+function enteredStandstillOn(date) {
+    const stored = storedCase();
+    const entry = stored.history.find(h => h.to_status === 'standstill');
+    entry.at = `${date}T09:00:00.000Z`;
+    mockBlobs.set(`cases/${CASE_ID}.json`, JSON.stringify(stored));
+}
+
+beforeEach(() => {
+    mockBlobs.clear();
+    mockEtags.clear();
+});
+
+describe('gcc_procurement_open_case', () => {
+    test('opens a pipeline case with the route determination recorded', async () => {
+        const res = await openCase.execute(openInput());
+
+        expect(res.ok).toBe(true);
+        const c = res.result.case;
+        expect(c.status).toBe('pipeline');
+        expect(c.procurement_tier).toBe(5);
+        expect(c.decision_type).toBe('cabinet_member_decision');
+        expect(c.route_determination).toEqual(expect.objectContaining({ forward_plan_required: true, is_above_threshold: true }));
+        expect(c.history).toEqual([expect.objectContaining({
+            officer: OFFICER,
+            action: 'opened',
+            changes: expect.arrayContaining([{ field: 'value_estimated_gbp', from: null, to: 300000 }]),
+        })]);
+        expect(res.result.next_statuses).toEqual(['needs_definition', 'cancelled', 'abandoned']);
+        expect(storedCase()).toEqual(c);
+    });
+
+    test('validates the case id and fields', async () => {
+        const badId = await openCase.execute(openInput({ case_id: 'PROC-42' }));
+        expect(badId.error.message).toContain('GCC-PROC-YYYY-NNNN');
+
+        const badType = await openCase.execute(openInput({ contract_type: 'consultancy' }));
+        expect(badType.error.details.validation_errors[0].field).toBe('contract_type');
+        expect(mockBlobs.size).toBe(0);
+    });
+
+    test('only one of two concurrent opens creates the case', async () => {
+        const results = await Promise.all([openCase.execute(openInput()), openCase.execute(openInput({ title: 'Duplicate' }))]);
+
+        expect(results.filter(r => !r.ok).map(r => r.error.code)).toEqual(['CONFLICT']);
+        expect(storedCase().history).toHaveLength(1);
+    });
+
+    test('refuses to open the same case twice', async () => {
+        await openCase.execute(openInput());
+        const res = await openCase.execute(openInput());
+        expect(res.error.code).toBe('CONFLICT');
+    });
+});
+
+describe('gcc_procurement_update_case', () => {
+    beforeEach(async () => {
+        await openCase.execute(openInput());
+    });
+
+    test('records who asserted what, with the previous value and evidence', async () => {
+        const res = await assert({ forward_plan_reference: 'FP-2026-042' }, { evidence_reference: 'Forward Plan March 2026' });
+
+        expect(res.result.changed_fields).toEqual(['forward_plan_reference']);
+        expect(res.result.case.version).toBe(2);
+        expect(storedCase().history[1]).toEqual(expect.objectContaining({
+            officer: OFFICER,
+            action: 'updated',
+            changes: [{ field: 'forward_plan_reference', from: null, to: 'FP-2026-042' }],
+            evidence_reference: 'Forward Plan March 2026',
+        }));
+    });
+
+    test('re-runs determine_route when the value changes', async () => {
+        const res = await assert({ value_estimated_gbp: 600000 });
+
+        expect(res.result.case.procurement_tier).toBe(6);
+        expect(res.result.case.decision_type).toBe('cabinet_decision');
+        expect(res.result.route_redetermined).toEqual({ tier_from: 5, tier_to: 6 });
+    });
+
+    test('does not write when nothing changes', async () => {
+        const res = await assert({ title: 'Grounds maintenance' });
+
+        expect(res.result.changed_fields).toEqual([]);
+        expect(storedCase().version).toBe(1);
+    });
+
+    test('rejects fields that are not case assertions', async () => {
+        const res = await assert({ status: 'awarded' });
+        expect(res.error.details.validation_errors).toEqual([{ field: 'status', message: 'status cannot be set on a case' }]);
+    });
+
+    test('reports unknown cases', async () => {
+        const res = await updateCase.execute({ case_id: 'GCC-PROC-2026-9999', officer: OFFICER, changes: { title: 'x' } });
+        expect(res.error.code).toBe('NOT_FOUND');
+    });
+});
+
+describe('gcc_procurement_advance_case', () => {
+    beforeEach(async () => {
+        await openCase.execute(openInput());
+    });
+
+    test('only allows moves along the lifecycle flow', async () => {
+        const res = await advance('tender_open');
+
+        expect(res.error.code).toBe('PRECONDITION_FAILED');
+        expect(res.error.details.blocking_checks[0].check).toBe('TRANSITION');
+    });
+
+    test('gates tender publication on the validate_case checks', async () => {
+        await advance('needs_definition');
+        const res = await advance('tender_open');
+
+        expect(res.error.code).toBe('PRECONDITION_FAILED');
+        const checks = res.error.details.blocking_checks.map(b => b.field || b.check);
+        expect(checks).toEqual(expect.arrayContaining([
+            'procurement_route',
+            'R11',
+            'social_value_assessed',
+            'conflicts_assessment_completed',
+            'lots_considered',
+            'existing_framework_checked',
+            'tupe_assessed',
+        ]));
+        expect(storedCase().status).toBe('needs_definition');
+    });
+
+    test('requires a Forward Plan entry for KD1/KD2 key decisions below £100,000', async () => {
+        await openCase.execute(openInput({ case_id: 'GCC-PROC-2026-0043', value_estimated_gbp: 50000, has_ward_impact: true }));
+        await advanceCase.execute({ case_id: 'GCC-PROC-2026-0043', to_status: 'needs_definition', officer: OFFICER });
+        await updateCase.execute({ case_id: 'GCC-PROC-2026-0043', officer: OFFICER, changes: { procurement_route: 'itt_below_threshold' } });
+
+        const res = await advanceCase.execute({ case_id: 'GCC-PROC-2026-0043', to_status: 'tender_open', officer: OFFICER });
+        expect(res.error.details.blocking_checks.map(b => b.check)).toEqual(['FORWARD-PLAN']);
+    });
+
+    test('runs a case from pipeline to award with a stage and audit trail', async () => {
+        await advance('needs_definition');
+        await assert(PRE_TENDER_ASSERTIONS);
+
+        const tender = await advance('tender_open', { notes: 'Business case approved' });
+        expect(tender.ok).toBe(true);
+        expect(tender.result.verified_checks).toEqual(expect.arrayContaining(['Forward Plan reference', 'Social value assessment']));
+        expect(tender.result.case.stages_completed).toEqual([
+            expect.objectContaining({ stage_id: 'S1', officer: OFFICER, notes: 'Business case approved' }),
+        ]);
+
+        await advance('evaluation');
+
+        const direct = await advance('awarded');
+        expect(direct.error.details.blocking_checks.map(b => b.check)).toEqual(['R12', 'STANDSTILL', 'CONTRACT-RECORD']);
+
+        const blocked = await advance('standstill');
+        expect(blocked.error.details.blocking_checks.map(b => b.check)).toEqual(['R12']);
+
+        await assert({ cabinet_member_decision_reference: 'CMD-2026-018' });
+        expect((await advance('standstill')).ok).toBe(true);
+        enteredStandstillOn('2026-03-02');
+
+        const noContract = await advance('awarded');
+        expect(noContract.error.details.blocking_checks).toEqual([
+            expect.objectContaining({ check: 'CONTRACT-RECORD', reason: expect.stringContaining('required') }),
+        ]);
+
+        const unregistered = await advance('awarded', { contract_id: 'GCC-2026-0042' });
+        expect(unregistered.error.details.blocking_checks.map(b => b.check)).toEqual(['CONTRACT-RECORD']);
+
+        await createContract.execute({
+            contract: {
+                contract_id: 'GCC-2026-0042',
+                title: 'Grounds maintenance',
+                description: 'Maintenance of parks and open spaces',
+                category: 'services',
+                procurement_route: 'open_procedure',
+                supplier: { name: 'Green Spaces Ltd' },
+                value_estimated_gbp: 300000,
+                value_actual_gbp: 290000,
+                start_date: '2026-04-01',
+                expiry_date: '2029-03-31',
+                responsible_officer: { name: 'A Officer', service_area: 'Communities' },
+                status: 'awarded_not_commenced',
+            },
+        });
+
+        const awarded = await advance('awarded', { contract_id: 'GCC-2026-0042' });
+        expect(awarded.ok).toBe(true);
+        expect(awarded.result.case.contract_id).toBe('GCC-2026-0042');
+        expect(awarded.result.case.stages_completed.map(s => s.stage_id)).toEqual(['S1', 'S3']);
+        expect(awarded.result.next_statuses).toEqual([]);
+
+        const history = storedCase().history;
+        expect(history.map(h => h.action)).toEqual(['opened', 'advanced', 'updated', 'advanced', 'advanced', 'updated', 'advanced', 'advanced']);
+        expect(history.every(h => h.officer === OFFICER && h.at)).toBe(true);
+
+        const frozen = await assert({ title: 'Renamed' });
+        expect(frozen.error.message).toContain('awarded');
+    });
+
+    test('blocks award until the standstill period has run', async () => {
+        await advance('needs_definition');
+        await assert({ ...PRE_TENDER_ASSERTIONS, cabinet_member_decision_reference: 'CMD-2026-018' });
+        await advance('tender_open');
+        await advance('evaluation');
+        await advance('standstill');
+
+        const sameDay = await advance('awarded', { contract_id: 'GCC-2026-0042' });
+        expect(sameDay.error.code).toBe('PRECONDITION_FAILED');
+        expect(sameDay.error.details.blocking_checks.map(b => b.check)).toContain('STANDSTILL');
+        expect(storedCase().status).toBe('standstill');
+
+        // Entered Thursday 2 April 2026: Good Friday and Easter Monday are not working days
+        enteredStandstillOn('2026-04-02');
+        const stored = storedCase();
+        const inWindow = checkTransition(stored, 'awarded', { today: '2026-04-15' });
+        expect(inWindow.blocking).toEqual([expect.objectContaining({
+            check: 'STANDSTILL',
+            reason: 'Standstill period runs until 2026-04-15: the contract can be awarded from 2026-04-16',
+        })]);
+        expect(checkTransition(stored, 'awarded', { today: '2026-04-16' }).allowed).toBe(true);
+    });
+
+    test('refuses a write when the case changed since it was read', async () => {
+        const [advanced, updated] = await Promise.all([
+            advance('needs_definition'),
+            assert({ title: 'Grounds and verges maintenance' }),
+        ]);
+
+        expect([advanced, updated].filter(r => !r.ok).map(r => r.error.code)).toEqual(['CONFLICT']);
+        expect(storedCase().history).toHaveLength(2);
+    });
+
+    test('requires a reason to cancel', async () => {
+        const noReason = await advance('cancelled');
+        expect(noReason.error.code).toBe('BAD_REQUEST');
+
+        const res = await advance('cancelled', { notes: 'Budget withdrawn' });
+        expect(res.result.case.status).toBe('cancelled');
+        expect(storedCase().history[1]).toEqual(expect.objectContaining({ from_status: 'pipeline', to_status: 'cancelled', notes: 'Budget withdrawn' }));
+    });
+});
+
+describe('gcc_procurement_get_case and gcc_procurement_list_cases', () => {
+    beforeEach(async () => {
+        await openCase.execute(openInput());
+        await advance('needs_definition');
+        await openCase.execute(openInput({ case_id: 'GCC-PROC-2025-0007', title: 'Cleaning', service_area: 'Property', value_estimated_gbp: 20000, contract_type: 'services' }));
+    });
+
+    test('shows readiness for each next status', async () => {
+        const res = await getCase.execute({ case_id: CASE_ID, response_format: 'json' });
+
+        expect(res.result.current_stage).toEqual({ stage_id: 'S1', name: 'Needs Definition and Business Case' });
+        expect(res.result.next_steps.map(s => [s.status, s.ready])).toEqual([['market_engagement', true], ['tender_open', false]]);
+        expect(res.result.validation.overall_status).toBe('FAIL');
+        expect(res.result.case.history).toHaveLength(2);
+    });
+
+    test('can omit the history', async () => {
+        const res = await getCase.execute({ case_id: CASE_ID, include_history: false, response_format: 'json' });
+        expect(res.result.case).not.toHaveProperty('history');
+    });
+
+    test('renders the history in markdown', async () => {
+        const res = await getCase.execute({ case_id: CASE_ID });
+        expect(res.result.text).toContain('### History');
+        expect(res.result.text).toContain(`${OFFICER} — advanced: pipeline → needs_definition`);
+    });
+
+    test('lists and filters cases', async () => {
+        const all = await listCases.execute({ response_format: 'json' });
+        expect(all.result.cases.map(c => c.case_id)).toEqual(['GCC-PROC-2025-0007', CASE_ID]);
+        expect(all.result.cases[1].stage_id).toBe('S1');
+
+        const property = await listCases.execute({ service_area: 'prop', response_format: 'json' });
+        expect(property.result.cases.map(c => c.case_id)).toEqual(['GCC-PROC-2025-0007']);
+
+        const pipeline = await listCases.execute({ status: 'pipeline', response_format: 'json' });
+        expect(pipeline.result.count).toBe(1);
+    });
+});
@@ -0,0 +1,406 @@
+'use strict';
+
+const { Readable } = require('stream');
+
+// In-memory stand-in for the blob container behind record-store.js
+const mockBlobs = new Map();
+const mockContainer = {
+    createIfNotExists: jest.fn().mockResolvedValue({}),
+    getBlobClient: (name) => ({
+        download: async () => {
+            if (!mockBlobs.has(name)) throw Object.assign(new Error('BlobNotFound'), { statusCode: 404 });
+            return { readableStreamBody: Readable.from([Buffer.from(mockBlobs.get(name))]) };
+        },
+    }),
+    getBlockBlobClient: (name) => ({
+        upload: jest.fn(async (content) => { mockBlobs.set(name, content); }),
+    }),
+    listBlobsFlat: async function* ({ prefix }) {
+        for (const name of mockBlobs.keys()) {
+            if (name.startsWith(prefix)) yield { name };
+        }
+    },
+};
+
+jest.mock('@azure/storage-blob', () => ({
+    BlobServiceClient: { fromConnectionString: () => ({ getContainerClient: () => mockContainer }) },
+}));
+
+process.env.STORAGE_CONNECTION = 'UseDevelopmentStorage=true';
+
+const {
+    reviewSchedule,
+    invoiceStatus,
+    reportingPeriodFor,
+    lastCompletedPeriod,
+} = require('../src/gcc-procurement/contract-performance');
+const createContract = require('../src/gcc-procurement/tools/create-contract');
+const recordKpi = require('../src/gcc-procurement/tools/record-kpi');
+const recordInvoice = require('../src/gcc-procurement/tools/record-invoice');
+const recordReview = require('../src/gcc-procurement/tools/record-review');
+const contractPerformance = require('../src/gcc-procurement/tools/contract-performance');
+const paymentCompliance = require('../src/gcc-procurement/tools/payment-compliance');
+const { TOOLS, TOOL_HANDLERS } = require('../src/gcc-procurement/index');
+
+const CONTRACT_ID = 'GCC-2024-0042';
+const OFFICER = 'A Officer, Contract Manager';
+
+// £300,000 over three years: quarterly, annual, mid-term and pre-expiry reviews
+function contract(overrides = {}) {
+    return {
+        contract_id: CONTRACT_ID,
+        title: 'Grounds maintenance',
+        description: 'Maintenance of parks and open spaces',
+        category: 'services',
+        procurement_route: 'open_procedure',
+        supplier: { name: 'Green Spaces Ltd' },
+        value_estimated_gbp: 300000,
+        value_actual_gbp: 300000,
+        start_date: '2024-04-01',
+        expiry_date: '2027-03-31',
+        responsible_officer: { name: 'A Officer', service_area: 'Communities' },
+        status: 'live',
+        ...overrides,
+    };
+}
+
+async function register(overrides = {}) {
+    const res = await createContract.execute({ contract: contract(overrides), response_format: 'json' });
+    expect(res.ok).toBe(true);
+}
+
+function storedPerformance(id = CONTRACT_ID) {
+    return JSON.parse(mockBlobs.get(`performance/${id}.json`));
+}
+
+function kpiReading(overrides = {}) {
+    return {
+        contract_id: CONTRACT_ID,
+        kpi_id: 'KPI-01',
+        description: 'Grass cutting to schedule',
+        metric: 'Percentage of scheduled cuts completed in the week due',
+        target: '95%',
+        reporting_frequency: 'quarterly',
+        period_end: '2024-06-30',
+        rating: 'On Track',
+        officer: OFFICER,
+        response_format: 'json',
+        ...overrides,
+    };
+}
+
+function invoice(overrides = {}) {
+    return { contract_id: CONTRACT_ID, officer: OFFICER, response_format: 'json', ...overrides };
+}
+
+beforeEach(() => {
+    mockBlobs.clear();
+});
+
+describe('reviewSchedule', () => {
+    test('matches held reviews to due dates and flags the ones missed', () => {
+        const held = [
+            { review_type: 'Quarterly performance review', held_date: '2024-06-28' },
+            { review_type: 'Quarterly performance review', held_date: '2024-12-20' },
+        ];
+        const schedule = reviewSchedule(contract(), held, '2025-02-15');
+        const quarterly = schedule.reviews.filter(r => r.review_type === 'Quarterly performance review');
+
+        expect(quarterly.map(r => [r.due_date, r.status])).toEqual([
+            ['2024-07-01', 'completed'],
+            ['2024-10-01', 'overdue'],
+            ['2025-01-01', 'completed'],
+            ['2025-04-01', 'scheduled'],
+        ]);
+        expect(schedule.overdue).toEqual([expect.objectContaining({ due_date: '2024-10-01', days_overdue: 137 })]);
+        expect(schedule.next_due.due_date).toBe('2025-04-01');
+        expect(schedule.reviews.map(r => r.review_type)).toEqual(expect.arrayContaining([
+            'Annual strategic review', 'Mid-term review', 'Pre-expiry review',
+        ]));
+    });
+
+    test('pre-expiry review is 12 months before expiry, 18 months for high-value contracts', () => {
+        const preExpiry = (c) => reviewSchedule(c, [], '2024-05-01').reviews.find(r => r.review_type === 'Pre-expiry review');
+
+        expect(preExpiry(contract()).due_date).toBe('2026-03-31');
+        expect(preExpiry(contract({ value_actual_gbp: 600000 })).due_date).toBe('2025-09-30');
+    });
+
+    test('value bounds come from the decision matrix tiers and cadences are marked as local defaults', () => {
+        const { MATRIX } = require('../src/gcc-procurement/schema-loader');
+        const tierMax = tier => MATRIX.find(t => t.tier === tier).max_value_gbp;
+        const types = (value) => reviewSchedule(contract({ value_estimated_gbp: value, value_actual_gbp: value }), [], '2024-05-01')
+            .reviews.map(r => r.review_type);
+
+        expect(types(tierMax(4))).not.toContain('Quarterly performance review');
+        expect(types(tierMax(4) + 1)).toContain('Quarterly performance review');
+        expect(types(tierMax(3))).toEqual(['Pre-expiry review']);
+        expect(types(tierMax(3) + 1)).toContain('Annual strategic review');
+
+        const schedule = reviewSchedule(contract(), [], '2024-05-01');
+        const byType = Object.fromEntries(schedule.reviews.map(r => [r.review_type, r]));
+        expect(byType['Quarterly performance review']).toEqual(expect.objectContaining({
+            cadence: 'Every 3 months (local default)', cadence_source: 'local_default',
+        }));
+        expect(byType['Pre-expiry review']).toEqual(expect.objectContaining({
+            cadence: '12 months before expiry', cadence_source: 'schema',
+        }));
+        expect(schedule.policy_note).toMatch(/local defaults/);
+
+        const highValue = reviewSchedule(contract({ value_actual_gbp: 600000 }), [], '2024-05-01');
+        expect(highValue.reviews.find(r => r.review_type === 'Pre-expiry review')).toEqual(expect.objectContaining({
+            cadence: '18 months before expiry (above £500,000: local default)', cadence_source: 'local_default',
+        }));
+    });
+
+    test('a small short contract needs only a pre-expiry review, not before it starts', () => {
+        const small = contract({ value_estimated_gbp: 20000, value_actual_gbp: 20000, expiry_date: '2024-09-30' });
+        const schedule = reviewSchedule(small, [], '2024-03-01');
+
+        expect(schedule.reviews).toEqual([expect.objectContaining({ review_type: 'Pre-expiry review', due_date: '2024-04-01' })]);
+    });
+});
+
+describe('invoiceStatus and reporting periods', () => {
+    test('applies 30-day payment terms from receipt', () => {
+        const base = { invoice_id: 'INV-1', amount_gbp: 1000, received_date: '2025-01-10' };
+
+        expect(invoiceStatus({ ...base, paid_date: '2025-02-09' }, '2025-03-01').status).toBe('paid_on_time');
+        expect(invoiceStatus({ ...base, paid_date: '2025-02-10' }, '2025-03-01')).toEqual(expect.objectContaining({ status: 'paid_late', days_late: 1 }));
+        expect(invoiceStatus(base, '2025-02-09').status).toBe('awaiting_payment');
+        expect(invoiceStatus(base, '2025-02-12')).toEqual(expect.objectContaining({ status: 'overdue', days_overdue: 3 }));
+        expect(invoiceStatus({ ...base, disputed: true }, '2025-03-01').status).toBe('disputed');
+    });
+
+    test('reporting periods run April–September and October–March', () => {
+        expect(reportingPeriodFor('2026-10-18')).toEqual({ start: '2026-10-01', end: '2027-03-31' });
+        expect(lastCompletedPeriod('2026-10-18')).toEqual({ start: '2026-04-01', end: '2026-09-30' });
+        expect(lastCompletedPeriod('2026-02-10')).toEqual({ start: '2025-04-01', end: '2025-09-30' });
+    });
+});
+
+describe('gcc_procurement_record_kpi', () => {
+    test('first reading defines the KPI; later readings add to it', async () => {
+        await register();
+        expect((await recordKpi.execute(kpiReading())).ok).toBe(true);
+
+        const res = await recordKpi.execute({
+            contract_id: CONTRACT_ID,
+            kpi_id: 'KPI-01',
+            period_end: '2024-09-30',
+            rating: 'Requires Improvement',
+            value: 88,
+            remediation_plan: 'Extra crew from October',
+            officer: OFFICER,
+            response_format: 'json',
+        });
+
+        expect(res.ok).toBe(true);
+        expect(res.result.kpi).toEqual(expect.objectContaining({
+            target: '95%',
+            current_rating: 'Requires Improvement',
+            remediation_plan: 'Extra crew from October',
+        }));
+        const stored = storedPerformance();
+        expect(stored.kpis[0].readings.map(r => r.period_end)).toEqual(['2024-06-30', '2024-09-30']);
+        expect(stored.version).toBe(2);
+    });
+
+    test('requires a definition for a new KPI and a remediation plan at Approaching Target or below', async () => {
+        await register();
+
+        const undefinedKpi = await recordKpi.execute({ contract_id: CONTRACT_ID, kpi_id: 'KPI-09', period_end: '2024-06-30', rating: 'On Track', officer: OFFICER });
+        expect(undefinedKpi.ok).toBe(false);
+        expect(undefinedKpi.error.message).toContain('description, metric, target, reporting_frequency');
+
+        const noPlan = await recordKpi.execute(kpiReading({ rating: 'Approaching Target' }));
+        expect(noPlan.ok).toBe(false);
+        expect(noPlan.error.message).toContain('remediation_plan');
+        expect(mockBlobs.has(`performance/${CONTRACT_ID}.json`)).toBe(false);
+    });
+
+    test('a second reading for the same period replaces the first', async () => {
+        await register();
+        await recordKpi.execute(kpiReading());
+        const res = await recordKpi.execute(kpiReading({ rating: 'Exceeding' }));
+
+        expect(res.result.replaced_reading).toBe(true);
+        expect(storedPerformance().kpis[0].readings).toEqual([expect.objectContaining({ rating: 'Exceeding' })]);
+    });
+
+    test('rejects contracts not in the register', async () => {
+        const res = await recordKpi.execute(kpiReading());
+
+        expect(res.ok).toBe(false);
+        expect(res.error.code).toBe('NOT_FOUND');
+    });
+});
+
+describe('gcc_procurement_record_invoice', () => {
+    test('records an invoice and updates it when paid', async () => {
+        await register();
+        const received = await recordInvoice.execute(invoice({ invoice_id: 'INV-100', amount_gbp: 12000, received_date: '2025-01-10' }));
+        expect(received.ok).toBe(true);
+        expect(received.result.updated).toBe(false);
+
+        const paid = await recordInvoice.execute(invoice({ invoice_id: 'INV-100', paid_date: '2025-02-20' }));
+
+        expect(paid.result.updated).toBe(true);
+        expect(paid.result.payment).toEqual(expect.objectContaining({ status: 'paid_late', days_to_pay: 41, days_late: 11 }));
+        expect(storedPerformance().invoices).toEqual([expect.objectContaining({ invoice_id: 'INV-100', amount_gbp: 12000, paid_date: '2025-02-20' })]);
+    });
+
+    test('rejects a new invoice without amount or received date, and payment before receipt', async () => {
+        await register();
+
+        const incomplete = await recordInvoice.execute(invoice({ invoice_id: 'INV-101', amount_gbp: 500 }));
+        expect(incomplete.ok).toBe(false);
+        expect(incomplete.error.message).toContain('received_date');
+
+        const backwards = await recordInvoice.execute(invoice({ invoice_id: 'INV-102', amount_gbp: 500, received_date: '2025-03-01', paid_date: '2025-02-01' }));
+        expect(backwards.ok).toBe(false);
+        expect(backwards.error.message).toContain('before received_date');
+    });
+
+    test('markdown shows the payment status', async () => {
+        await register();
+        const res = await recordInvoice.execute({ ...invoice({ invoice_id: 'INV-103', amount_gbp: 900, received_date: '2025-01-10', paid_date: '2025-01-30' }), response_format: 'markdown' });
+
+        expect(res.result.text).toContain('Paid within terms');
+        expect(res.result.text).toContain('(20 days)');
+    });
+});
+
+describe('gcc_procurement_record_review', () => {
+    test('records a held review and rejects unknown types and future dates', async () => {
+        await register();
+
+        const res = await recordReview.execute({ contract_id: CONTRACT_ID, review_type: 'Mid-term review', held_date: '2025-09-01', outcome: 'continue', officer: OFFICER, response_format: 'json' });
+        expect(res.ok).toBe(true);
+        expect(storedPerformance().reviews).toEqual([expect.objectContaining({ review_type: 'Mid-term review', outcome: 'continue' })]);
+
+        const unknown = await recordReview.execute({ contract_id: CONTRACT_ID, review_type: 'Monthly chat', held_date: '2025-09-01', officer: OFFICER });
+        expect(unknown.ok).toBe(false);
+
+        const future = await recordReview.execute({ contract_id: CONTRACT_ID, review_type: 'Mid-term review', held_date: '2999-01-01', officer: OFFICER });
+        expect(future.ok).toBe(false);
+        expect(future.error.message).toContain('cannot be in the future');
+    });
+});
+
+describe('gcc_procurement_contract_performance', () => {
+    test('flags overdue reviews, weak KPIs and late payments', async () => {
+        await register();
+        await recordReview.execute({ contract_id: CONTRACT_ID, review_type: 'Quarterly performance review', held_date: '2024-06-28', officer: OFFICER });
+        await recordKpi.execute(kpiReading({ rating: 'Inadequate', remediation_plan: 'Improvement notice issued' }));
+        await recordInvoice.execute(invoice({ invoice_id: 'INV-1', amount_gbp: 25000, received_date: '2024-11-01', paid_date: '2024-11-20' }));
+        await recordInvoice.execute(invoice({ invoice_id: 'INV-2', amount_gbp: 25000, received_date: '2024-12-01' }));
+
+        const res = await contractPerformance.execute({ contract_id: CONTRACT_ID, as_of: '2025-02-15', response_format: 'json' });
+
+        expect(res.ok).toBe(true);
+        const r = res.result;
+        expect(r.review_schedule.overdue.map(o => o.due_date)).toEqual(['2024-10-01', '2025-01-01']);
+        expect(r.kpis[0]).toEqual(expect.objectContaining({ current_rating: 'Inadequate', reading_overdue: true, next_reading_due: '2024-10-30' }));
+        expect(r.payments.summary).toEqual(expect.objectContaining({ invoices: 2, paid: 1, paid_within_terms_percent: 100, overdue: 1 }));
+        expect(r.payments.exceptions).toEqual([expect.objectContaining({ invoice_id: 'INV-2', status: 'overdue' })]);
+        expect(r.warnings).toEqual(expect.arrayContaining([
+            expect.stringContaining('Quarterly performance review was due 2024-10-01'),
+            'KPI KPI-01 is rated Inadequate',
+            '1 invoice(s) unpaid after 30 days',
+        ]));
+        expect(r.notices.find(n => n.code === 'UK9').required).toBe(false);
+    });
+
+    test('above £5m KPIs are required and a UK9 notice is due once they exist', async () => {
+        await register({ value_estimated_gbp: 6000000, value_actual_gbp: 6000000 });
+
+        const none = await contractPerformance.execute({ contract_id: CONTRACT_ID, as_of: '2024-05-01', response_format: 'json' });
+        expect(none.result.kpis_required).toBe(true);
+        expect(none.result.warnings).toEqual(expect.arrayContaining([expect.stringContaining('No KPIs recorded')]));
+
+        await recordKpi.execute(kpiReading());
+        const withKpis = await contractPerformance.execute({ contract_id: CONTRACT_ID, as_of: '2024-07-01', response_format: 'json' });
+        expect(withKpis.result.notices.find(n => n.code === 'UK9')).toEqual(expect.objectContaining({ required: true, section: 's.71 PA 2023' }));
+    });
+
+    test('markdown renders the schedule and validates as_of', async () => {
+        await register();
+
+        const md = await contractPerformance.execute({ contract_id: CONTRACT_ID, as_of: '2024-05-01' });
+        expect(md.result.text).toContain('## Contract Performance — GCC-2024-0042');
+        expect(md.result.text).toContain('| Quarterly performance review | 2024-07-01 | ⏳ Scheduled | Every 3 months (local default) |');
+        expect(md.result.text).toContain('cadences and the 18-month pre-expiry lead above £500,000 (Tier 6) are local defaults');
+
+        const bad = await contractPerformance.execute({ contract_id: CONTRACT_ID, as_of: '01/05/2024' });
+        expect(bad.ok).toBe(false);
+    });
+});
+
+describe('gcc_procurement_payment_compliance', () => {
+    async function seedPayments() {
+        await register();
+        await register({ contract_id: 'GCC-2024-0043', supplier: { name: 'Bright Lights plc' } });
+        // Paid in the period: one on time, one late above £30,000
+        await recordInvoice.execute(invoice({ invoice_id: 'A-1', amount_gbp: 10000, received_date: '2025-04-10', paid_date: '2025-04-30' }));
+        await recordInvoice.execute(invoice({ contract_id: 'GCC-2024-0043', invoice_id: 'B-1', amount_gbp: 45000, received_date: '2025-05-01', paid_date: '2025-06-15' }));
+        // Paid before the period
+        await recordInvoice.execute(invoice({ invoice_id: 'A-0', amount_gbp: 8000, received_date: '2025-02-01', paid_date: '2025-02-20' }));
+        // Unpaid and overdue at the end of the period
+        await recordInvoice.execute(invoice({ invoice_id: 'A-2', amount_gbp: 5000, received_date: '2025-08-01' }));
+    }
+
+    test('reports UK17 statistics for the period', async () => {
+        await seedPayments();
+
+        const res = await paymentCompliance.execute({ period_start: '2025-04-01', period_end: '2025-09-30', response_format: 'json' });
+
+        expect(res.ok).toBe(true);
+        const s = res.result.statistics;
+        expect(s).toEqual(expect.objectContaining({
+            invoices_paid: 2,
+            total_paid_gbp: 55000,
+            paid_within_terms: 1,
+            paid_within_terms_percent: 50,
+            paid_late_percent: 50,
+            average_days_to_pay: 32.5,
+            overdue_unpaid_at_period_end: 1,
+            overdue_unpaid_gbp: 5000,
+        }));
+        expect(s.payments_above_threshold).toEqual([
+            expect.objectContaining({ contract_id: 'GCC-2024-0043', supplier_name: 'Bright Lights plc', invoice_id: 'B-1', days_to_pay: 45 }),
+        ]);
+        expect(res.result.notice).toEqual(expect.objectContaining({ code: 'UK17', due_by: '2025-10-30' }));
+    });
+
+    test('filters to one contract and renders markdown', async () => {
+        await seedPayments();
+
+        const res = await paymentCompliance.execute({ period_start: '2025-04-01', period_end: '2025-09-30', contract_id: CONTRACT_ID });
+
+        expect(res.result.raw.statistics.invoices_paid).toBe(1);
+        expect(res.result.text).toContain('## Payment Compliance — 2025-04-01 to 2025-09-30');
+        expect(res.result.text).toContain('Paid within 30 days: 1 (100%)');
+    });
+
+    test('needs both ends of a custom period', async () => {
+        const res = await paymentCompliance.execute({ period_start: '2025-04-01' });
+
+        expect(res.ok).toBe(false);
+        expect(res.error.code).toBe('BAD_REQUEST');
+    });
+});
+
+describe('registration', () => {
+    test('performance tools are registered; only the record tools write', () => {
+        const names = ['record_kpi', 'record_invoice', 'record_review', 'contract_performance', 'payment_compliance']
+            .map(n => `gcc_procurement_${n}`);
+
+        for (const name of names) {
+            const tool = TOOLS.find(t => t.name === name);
+            expect(tool).toBeDefined();
+            expect(typeof TOOL_HANDLERS[name]).toBe('function');
+            expect(tool.annotations.readOnlyHint).toBe(!name.includes('record_'));
+        }
+    });
+});
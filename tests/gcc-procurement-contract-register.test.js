@@ -0,0 +1,347 @@
+'use strict';
+
+const { Readable } = require('stream');
+
+// In-memory stand-in for the blob container behind contract-store.js
+const mockBlobs = new Map();
+const mockContainer = {
+    createIfNotExists: jest.fn().mockResolvedValue({}),
+    getBlobClient: (name) => ({
+        download: async () => {
+            if (!mockBlobs.has(name)) throw Object.assign(new Error('BlobNotFound'), { statusCode: 404 });
+            return { readableStreamBody: Readable.from([Buffer.from(mockBlobs.get(name))]) };
+        },
+    }),
+    getBlockBlobClient: (name) => ({
+        upload: jest.fn(async (content) => { mockBlobs.set(name, content); }),
+    }),
+    listBlobsFlat: async function* ({ prefix }) {
+        for (const name of mockBlobs.keys()) {
+            if (name.startsWith(prefix)) yield { name };
+        }
+    },
+};
+
+jest.mock('@azure/storage-blob', () => ({
+    BlobServiceClient: { fromConnectionString: () => ({ getContainerClient: () => mockContainer }) },
+}));
+
+process.env.STORAGE_CONNECTION = 'UseDevelopmentStorage=true';
+
+const { validateContractRecord, applyChanges } = require('../src/gcc-procurement/contract-record');
+const createContract = require('../src/gcc-procurement/tools/create-contract');
+const updateContract = require('../src/gcc-procurement/tools/update-contract');
+const getContract = require('../src/gcc-procurement/tools/get-contract');
+const listContracts = require('../src/gcc-procurement/tools/list-contracts');
+const exportRegister = require('../src/gcc-procurement/tools/export-contract-register');
+const { TOOLS, TOOL_HANDLERS } = require('../src/gcc-procurement/index');
+
+function contract(overrides = {}) {
+    return {
+        contract_id: 'GCC-2026-0042',
+        title: 'Grounds maintenance',
+        description: 'Maintenance of parks and open spaces',
+        category: 'services',
+        procurement_route: 'open_procedure',
+        supplier: { name: 'Green Spaces Ltd', companies_house_number: '01234567', is_sme: true },
+        value_estimated_gbp: 250000,
+        value_actual_gbp: 240000,
+        start_date: '2026-04-01',
+        expiry_date: '2029-03-31',
+        responsible_officer: { name: 'A Officer', service_area: 'Communities' },
+        status: 'live',
+        ...overrides,
+    };
+}
+
+function storedRecord(id) {
+    return JSON.parse(mockBlobs.get(`contracts/${id}.json`));
+}
+
+beforeEach(() => {
+    mockBlobs.clear();
+});
+
+describe('validateContractRecord', () => {
+    test('accepts a complete record', () => {
+        expect(validateContractRecord(contract())).toEqual([]);
+    });
+
+    test('reports every missing required field', () => {
+        const errors = validateContractRecord({ contract_id: 'GCC-2026-0042', title: ' ' });
+        const fields = errors.map(e => e.field);
+
+        expect(fields).toEqual(expect.arrayContaining(['title', 'supplier', 'status', 'responsible_officer']));
+        expect(fields).not.toContain('contract_id');
+    });
+
+    test('checks enums, patterns, dates and nested required fields', () => {
+        const errors = validateContractRecord(contract({
+            contract_id: 'GCC-26-42',
+            category: 'consultancy',
+            start_date: '2026-02-30',
+            supplier: { companies_house_number: 'abc' },
+            responsible_officer: { name: 'A Officer' },
+            extension_options: [{ duration_months: 1.5 }],
+        }));
+        const messages = errors.map(e => e.message);
+
+        expect(messages).toEqual(expect.arrayContaining([
+            expect.stringContaining('contract_id must match'),
+            expect.stringContaining('category must be one of'),
+            'start_date must be a date in YYYY-MM-DD format',
+            'supplier.name is required',
+            expect.stringContaining('supplier.companies_house_number must match'),
+            'responsible_officer.service_area is required',
+            'extension_options[0].duration_months must be of type integer',
+        ]));
+    });
+
+    test('allows null only where the schema does', () => {
+        expect(validateContractRecord(contract({ forward_plan_reference: null }))).toEqual([]);
+        expect(validateContractRecord(contract({ status_reason: null })).map(e => e.message))
+            .toEqual(['status_reason must not be null']);
+    });
+
+    test('rejects unknown fields at any level', () => {
+        const errors = validateContractRecord(contract({ value: 1, supplier: { name: 'X', phone: '1' } }));
+        expect(errors.map(e => e.message)).toEqual(['Unknown field: supplier.phone', 'Unknown field: value']);
+    });
+
+    test('requires a direct award ground and waiver approver for those routes', () => {
+        expect(validateContractRecord(contract({ procurement_route: 'below_threshold_direct' })).map(e => e.field))
+            .toEqual(['direct_award_ground']);
+        expect(validateContractRecord(contract({ procurement_route: 'waiver' })).map(e => e.field))
+            .toEqual(['waiver_approved_by']);
+    });
+
+    test('rejects an expiry date before the start date', () => {
+        const errors = validateContractRecord(contract({ expiry_date: '2026-03-31' }));
+        expect(errors.map(e => e.message)).toEqual(['expiry_date must not be before start_date']);
+    });
+
+    test('ignores store metadata', () => {
+        expect(validateContractRecord(contract({ version: 3, created_at: 'x', updated_at: 'y' }))).toEqual([]);
+    });
+});
+
+describe('applyChanges', () => {
+    test('merges objects, replaces arrays and clears optional fields with null', () => {
+        const record = contract({ cpv_codes: ['77310000'], status_reason: 'x', forward_plan_reference: 'FP1' });
+        const updated = applyChanges(record, {
+            supplier: { is_sme: false },
+            cpv_codes: ['77311000'],
+            status_reason: null,
+            forward_plan_reference: null,
+        });
+
+        expect(updated.supplier).toEqual({ name: 'Green Spaces Ltd', companies_house_number: '01234567', is_sme: false });
+        expect(updated.cpv_codes).toEqual(['77311000']);
+        expect(updated).not.toHaveProperty('status_reason');
+        expect(updated.forward_plan_reference).toBeNull();
+        expect(record.supplier.is_sme).toBe(true);
+    });
+});
+
+describe('gcc_procurement_create_contract', () => {
+    test('stores a valid record with metadata', async () => {
+        const res = await createContract.execute({ contract: contract(), response_format: 'json' });
+
+        expect(res.ok).toBe(true);
+        expect(res.result.contract.version).toBe(1);
+        expect(res.result.contract.created_at).toBe(res.result.contract.updated_at);
+        expect(storedRecord('GCC-2026-0042')).toEqual(res.result.contract);
+    });
+
+    test('returns every validation error and stores nothing', async () => {
+        const res = await createContract.execute({ contract: contract({ status: 'open', supplier: {} }) });
+
+        expect(res.ok).toBe(false);
+        expect(res.error.code).toBe('BAD_REQUEST');
+        expect(res.error.details.validation_errors.map(e => e.field)).toEqual(['supplier.name', 'status']);
+        expect(mockBlobs.size).toBe(0);
+    });
+
+    test('refuses to overwrite an existing contract', async () => {
+        await createContract.execute({ contract: contract() });
+        const res = await createContract.execute({ contract: contract({ title: 'Other' }) });
+
+        expect(res.error.code).toBe('CONFLICT');
+        expect(storedRecord('GCC-2026-0042').title).toBe('Grounds maintenance');
+    });
+
+    test('renders markdown by default', async () => {
+        const res = await createContract.execute({ contract: contract() });
+        expect(res.result.text).toContain('## Contract Created: GCC-2026-0042');
+        expect(res.result.text).toContain('Supplier: Green Spaces Ltd (01234567)');
+    });
+});
+
+describe('gcc_procurement_update_contract', () => {
+    beforeEach(async () => {
+        await createContract.execute({ contract: contract() });
+    });
+
+    test('merges changes, bumps the version and lists changed fields', async () => {
+        const res = await updateContract.execute({
+            contract_id: 'GCC-2026-0042',
+            changes: { status: 'extension_active', supplier: { is_sme: true }, version: 99 },
+            response_format: 'json',
+        });
+
+        expect(res.ok).toBe(true);
+        expect(res.result.contract.version).toBe(2);
+        expect(res.result.changed_fields).toEqual(['status']);
+        expect(storedRecord('GCC-2026-0042').status).toBe('extension_active');
+    });
+
+    test('re-validates the merged record', async () => {
+        const res = await updateContract.execute({
+            contract_id: 'GCC-2026-0042',
+            changes: { procurement_route: 'direct_award' },
+        });
+
+        expect(res.error.details.validation_errors.map(e => e.field)).toEqual(['direct_award_ground']);
+        expect(storedRecord('GCC-2026-0042').version).toBe(1);
+    });
+
+    test('rejects a change of contract_id and unknown contracts', async () => {
+        const renamed = await updateContract.execute({ contract_id: 'GCC-2026-0042', changes: { contract_id: 'GCC-2026-0043' } });
+        expect(renamed.error.message).toContain('contract_id cannot be changed');
+
+        const missing = await updateContract.execute({ contract_id: 'GCC-2026-9999', changes: { status: 'live' } });
+        expect(missing.error.code).toBe('NOT_FOUND');
+    });
+});
+
+describe('gcc_procurement_get_contract and gcc_procurement_list_contracts', () => {
+    beforeEach(async () => {
+        await createContract.execute({ contract: contract() });
+        await createContract.execute({
+            contract: contract({
+                contract_id: 'GCC-2025-0007',
+                title: 'Cleaning',
+                supplier: { name: 'Sparkle Cleaning' },
+                responsible_officer: { name: 'B Officer', service_area: 'Property' },
+                expiry_date: '2026-12-31',
+            }),
+        });
+    });
+
+    test('gets one record and reports unknown ids', async () => {
+        const found = await getContract.execute({ contract_id: 'GCC-2025-0007', response_format: 'json' });
+        expect(found.result.contract.title).toBe('Cleaning');
+
+        const missing = await getContract.execute({ contract_id: 'GCC-2025-0008' });
+        expect(missing.error.code).toBe('NOT_FOUND');
+    });
+
+    test('lists every contract sorted by id', async () => {
+        const res = await listContracts.execute({ response_format: 'json' });
+        expect(res.result.contracts.map(c => c.contract_id)).toEqual(['GCC-2025-0007', 'GCC-2026-0042']);
+        expect(res.result.contracts[0].supplier_name).toBe('Sparkle Cleaning');
+    });
+
+    test('filters by supplier, service area and expiry', async () => {
+        const bySupplier = await listContracts.execute({ supplier: 'sparkle', response_format: 'json' });
+        expect(bySupplier.result.count).toBe(1);
+
+        const byArea = await listContracts.execute({ service_area: 'communities', response_format: 'json' });
+        expect(byArea.result.contracts[0].contract_id).toBe('GCC-2026-0042');
+
+        const expiring = await listContracts.execute({ expiring_before: '2027-01-01', response_format: 'json' });
+        expect(expiring.result.contracts.map(c => c.contract_id)).toEqual(['GCC-2025-0007']);
+    });
+
+    test('rejects a malformed expiring_before date', async () => {
+        const res = await listContracts.execute({ expiring_before: '31/12/2026' });
+        expect(res.error.code).toBe('BAD_REQUEST');
+    });
+});
+
+describe('gcc_procurement_export_contract_register', () => {
+    beforeEach(async () => {
+        const records = [
+            contract({ ocid: 'ocds-h6vhtk-04a1b2' }),
+            contract({ contract_id: 'GCC-2026-0043', title: '=HYPERLINK("x")', value_actual_gbp: 5000, value_estimated_gbp: 5000 }),
+            contract({ contract_id: 'GCC-2026-0044', title: 'Printing, "large format"', value_actual_gbp: 12000 }),
+            contract({ contract_id: 'GCC-2026-0045', status: 'pipeline' }),
+            contract({ contract_id: 'GCC-2026-0046', status: 'expired', value_actual_gbp: 300000 }),
+        ];
+        for (const record of records) {
+            await createContract.execute({ contract: record });
+        }
+    });
+
+    test('publishes awarded contracts above £5,000 with the minimum fields', async () => {
+        const res = await exportRegister.execute({ format: 'json', response_format: 'json' });
+        const { result } = res;
+
+        expect(result.threshold_for_inclusion_gbp).toBe(5000);
+        expect(result.rows.map(r => r.contract_id)).toEqual(['GCC-2026-0042', 'GCC-2026-0044']);
+        expect(result.excluded).toEqual({ below_threshold: 1, not_published_status: 1, ended: 1 });
+        expect(result.rows[0]).toEqual({
+            contract_id: 'GCC-2026-0042',
+            title: 'Grounds maintenance',
+            description: 'Maintenance of parks and open spaces',
+            supplier_name: 'Green Spaces Ltd',
+            value_actual_gbp: 240000,
+            start_date: '2026-04-01',
+            expiry_date: '2029-03-31',
+            procurement_route: 'open_procedure',
+            responsible_service_area: 'Communities',
+            responsible_officer: 'A Officer',
+            find_a_tender_ocid: 'ocds-h6vhtk-04a1b2',
+        });
+        expect(result.publication_requirement).toContain('above £5,000');
+    });
+
+    test('includes expired contracts on request and warns about missing OCIDs', async () => {
+        const res = await exportRegister.execute({ format: 'json', include_ended: true, response_format: 'json' });
+
+        expect(res.result.rows.map(r => r.contract_id)).toContain('GCC-2026-0046');
+        expect(res.result.warnings).toEqual([
+            expect.objectContaining({ contract_id: 'GCC-2026-0046', message: expect.stringContaining('no Find a Tender OCID') }),
+        ]);
+    });
+
+    test('writes RFC 4180 CSV', async () => {
+        const res = await exportRegister.execute({ response_format: 'json' });
+        const lines = res.result.csv.split('\r\n');
+
+        expect(lines[0]).toBe('contract_id,title,description,supplier_name,value_actual_gbp,start_date,expiry_date,procurement_route,responsible_service_area,responsible_officer,find_a_tender_ocid');
+        expect(lines[2]).toBe('GCC-2026-0044,"Printing, ""large format""",Maintenance of parks and open spaces,Green Spaces Ltd,12000,2026-04-01,2029-03-31,open_procedure,Communities,A Officer,');
+        expect(lines).toHaveLength(4);
+    });
+
+    test('stops spreadsheets evaluating formula-like text', () => {
+        const csv = exportRegister.toCsv([{ contract_id: 'GCC-2026-0001', title: '=1+1' }]);
+        expect(csv.split('\r\n')[1]).toBe("GCC-2026-0001,'=1+1,,,,,,,,,");
+    });
+
+    test('rejects unknown formats', async () => {
+        const res = await exportRegister.execute({ format: 'xlsx' });
+        expect(res.error.code).toBe('BAD_REQUEST');
+    });
+});
+
+describe('contract register tool registration', () => {
+    test('registers the five tools with handlers', () => {
+        const names = [
+            'gcc_procurement_create_contract',
+            'gcc_procurement_update_contract',
+            'gcc_procurement_get_contract',
+            'gcc_procurement_list_contracts',
+            'gcc_procurement_export_contract_register',
+        ];
+        for (const name of names) {
+            expect(TOOLS.find(t => t.name === name)).toBeDefined();
+            expect(typeof TOOL_HANDLERS[name]).toBe('function');
+        }
+    });
+
+    test('marks only create and update as writes', () => {
+        const writes = TOOLS.filter(t => t.name.includes('contract') && !t.annotations.readOnlyHint).map(t => t.name);
+        expect(writes).toEqual(['gcc_procurement_create_contract', 'gcc_procurement_update_contract']);
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { execute } = require('../src/gcc-procurement/tools/draft-notice');
+const { TOOLS, TOOL_HANDLERS } = require('../src/gcc-procurement/index');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'procurement-notices');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file, JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'))]);
+
+function draft(noticeCode, procurement) {
+    return execute({ notice_code: noticeCode, procurement, response_format: 'json' });
+}
+
+describe('gcc_procurement_draft_notice fixture notices', () => {
+    test.each(fixtures)('%s', (file, fixture) => {
+        const res = draft(fixture.notice_code, fixture.procurement);
+
+        expect(res.ok).toBe(true);
+        expect(res.result.status).toBe(fixture.expected.status);
+        expect(res.result.missing_fields).toEqual(fixture.expected.missing_fields);
+        expect(res.result.draft).toEqual(fixture.expected.draft);
+    });
+});
+
+describe('gcc_procurement_draft_notice', () => {
+    test('lists every missing mandatory field for an empty UK4', () => {
+        const res = draft('UK4', {});
+
+        expect(res.ok).toBe(true);
+        expect(res.result.status).toBe('incomplete');
+        expect(res.result.missing_fields.map(f => f.path)).toEqual([
+            'tender.title',
+            'tender.description',
+            'tender.value',
+            'tender.mainProcurementCategory',
+            'tender.procurementMethod',
+            'tender.procurementMethodDetails',
+            'tender.classification',
+            'tender.tenderPeriod.endDate',
+            'tender.contractPeriod',
+        ]);
+        expect(res.result.draft.parties[0].name).toBe('Gloucester City Council');
+    });
+
+    test('flags lots and periods that are only partly given', () => {
+        const res = draft('UK4', {
+            lots: [{ title: 'Lot one' }],
+            dates: { contract_start: '2027-04-01' },
+        });
+        const paths = res.result.missing_fields.map(f => f.path);
+
+        expect(paths).toContain('tender.lots.0.value');
+        expect(paths).toContain('tender.contractPeriod.endDate');
+        expect(paths).not.toContain('tender.contractPeriod');
+    });
+
+    test('concession and mixed contracts need main_category', () => {
+        const concession = draft('UK4', { contract_type: 'concession' });
+        expect(concession.result.missing_fields.map(f => f.path)).toContain('tender.mainProcurementCategory');
+        expect(concession.result.draft.tender.specialRegime).toEqual(['concession']);
+
+        const withCategory = draft('UK4', { contract_type: 'concession', main_category: 'works' });
+        expect(withCategory.result.draft.tender.mainProcurementCategory).toBe('works');
+    });
+
+    test('UK5 carries the direct award ground and intended supplier', () => {
+        const res = draft('uk5', {
+            title: 'Software support',
+            description: 'Support for the revenues system',
+            value_gbp: 450000,
+            contract_type: 'services',
+            procurement_route: 'direct_award',
+            cpv_codes: ['72261000-2'],
+            direct_award_ground: 'Schedule 5 para 5: only one supplier can provide the services (intellectual property rights)',
+            supplier: { name: 'Revenues Systems Ltd' },
+            award_value_gbp: 450000,
+            dates: { contract_start: '2027-01-01', contract_end: '2029-12-31' },
+        });
+
+        expect(res.result.notice_code).toBe('UK5');
+        expect(res.result.status).toBe('ready');
+        expect(res.result.draft.tender.procurementMethod).toBe('direct');
+        expect(res.result.draft.awards[0]).toEqual(expect.objectContaining({ status: 'pending', suppliers: [{ id: 'supplier-1', name: 'Revenues Systems Ltd' }] }));
+        expect(res.result.warnings).toEqual([]);
+    });
+
+    test('warns when the notice is not in the sequence for the route', () => {
+        const res = draft('UK5', { value_gbp: 450000, contract_type: 'services', procurement_route: 'open_procedure' });
+
+        expect(res.result.warnings).toEqual([expect.stringContaining('UK5 is not in the notice sequence')]);
+    });
+
+    test('UK9 takes KPI ratings as gcc_procurement_contract_performance reports them', () => {
+        const res = draft('UK9', {
+            ocid: 'ocds-h6vhtk-04a1b2',
+            contract_id: 'GCC-2027-0001',
+            kpis: [{ kpi_id: 'KPI-01', description: 'Grass cutting to schedule', target: '95%', current_rating: 'On Track' }],
+        });
+
+        expect(res.result.status).toBe('ready');
+        expect(res.result.draft.contracts[0]).toEqual({
+            id: 'GCC-2027-0001',
+            kpis: [{ id: 'KPI-01', description: 'Grass cutting to schedule', target: '95%', rating: 'On Track' }],
+        });
+    });
+
+    test('UK17 takes the gcc_procurement_payment_compliance result', () => {
+        const res = draft('UK17', {
+            payment_compliance: {
+                period: { start: '2026-04-01', end: '2026-09-30' },
+                statistics: {
+                    invoices_paid: 120,
+                    paid_within_terms_percent: 92.5,
+                    paid_late_percent: 7.5,
+                    average_days_to_pay: 18.2,
+                    payments_above_threshold: [
+                        { contract_id: 'GCC-2024-0043', supplier_name: 'Bright Lights plc', invoice_id: 'B-1', amount_gbp: 45000, paid_date: '2026-06-15', days_to_pay: 45 },
+                    ],
+                },
+            },
+        });
+
+        expect(res.result.status).toBe('ready');
+        expect(res.result.draft).toEqual(expect.objectContaining({
+            tag: ['paymentsCompliance'],
+            reportingPeriod: { startDate: '2026-04-01', endDate: '2026-09-30' },
+            statistics: { invoicesPaid: 120, paidWithinTermsPercent: 92.5, paidLatePercent: 7.5, averageDaysToPay: 18.2 },
+        }));
+        expect(res.result.draft.paymentsAboveThreshold[0].value).toEqual({ amountGross: 45000, currency: 'GBP' });
+    });
+
+    test('rejects notice codes the schema does not define and malformed CPV codes or dates', () => {
+        const uk8 = draft('UK8', {});
+        expect(uk8.ok).toBe(false);
+        expect(uk8.error.message).toContain('UK1, UK2, UK3');
+
+        const bad = draft('UK4', { cpv_codes: ['7731400'], lots: [{ cpv_codes: ['77310000-6', 'grass'] }], dates: { tender_deadline: '04/12/2026' } });
+        expect(bad.ok).toBe(false);
+        expect(bad.error.details.validation_errors).toEqual([
+            'cpv_codes: "7731400" is not a CPV code (format 12345678-9)',
+            'lots[0].cpv_codes: "grass" is not a CPV code (format 12345678-9)',
+            'dates.tender_deadline must be a date (YYYY-MM-DD) or ISO date-time',
+        ]);
+
+        expect(execute({ notice_code: 'UK4' }).ok).toBe(false);
+    });
+
+    test('markdown lists missing fields and includes the draft JSON', () => {
+        const res = execute({ notice_code: 'UK7', procurement: fixtures.find(([file]) => file.startsWith('uk7'))[1].procurement });
+
+        expect(res.ok).toBe(true);
+        expect(res.result.text).toContain('## Draft UK7 — Contract Details Notice');
+        expect(res.result.text).toContain('`contracts.0.dateSigned`');
+        expect(res.result.text).toContain('```json');
+        expect(res.result.text).toContain('Nothing has been submitted');
+    });
+
+    test('is registered as a read-only tool', () => {
+        const tool = TOOLS.find(t => t.name === 'gcc_procurement_draft_notice');
+
+        expect(tool.annotations.readOnlyHint).toBe(true);
+        expect(tool.inputSchema.required).toEqual(['notice_code', 'procurement']);
+        expect(TOOL_HANDLERS.gcc_procurement_draft_notice).toBe(execute);
+    });
+});
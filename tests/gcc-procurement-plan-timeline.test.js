@@ -0,0 +1,257 @@
+'use strict';
+
+const {
+    bankHolidays,
+    isWorkingDay,
+    addWorkingDays,
+} = require('../src/gcc-procurement/calendar');
+const { execute } = require('../src/gcc-procurement/tools/plan-timeline');
+const { TOOLS, TOOL_HANDLERS } = require('../src/gcc-procurement/index');
+
+const AS_OF = '2026-10-18';
+
+function plan(input) {
+    return execute({ as_of: AS_OF, response_format: 'json', ...input });
+}
+
+function milestone(result, key) {
+    return result.milestones.find(m => m.key === key);
+}
+
+describe('England & Wales bank holidays', () => {
+    test('standing holidays with weekend substitutes', () => {
+        expect(bankHolidays(2026).map(h => h.date)).toEqual([
+            '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04',
+            '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+        ]);
+        expect(bankHolidays(2027).map(h => h.date)).toEqual([
+            '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03',
+            '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28',
+        ]);
+    });
+
+    test('moved and one-off holidays', () => {
+        const dates = bankHolidays(2022).map(h => h.date);
+
+        expect(dates).toEqual(expect.arrayContaining(['2022-06-02', '2022-06-03', '2022-09-19']));
+        expect(dates).not.toContain('2022-05-30');
+        expect(isWorkingDay('2023-05-08')).toBe(false);
+    });
+
+    test('addWorkingDays skips weekends and bank holidays in both directions', () => {
+        expect(addWorkingDays('2026-12-23', 3)).toBe('2026-12-30');
+        expect(addWorkingDays('2027-03-25', 1)).toBe('2027-03-30');
+        expect(addWorkingDays('2027-03-30', -1)).toBe('2027-03-25');
+        expect(addWorkingDays('2026-11-02', 0)).toBe('2026-11-02');
+    });
+});
+
+describe('gcc_procurement_plan_timeline', () => {
+    test('forward from launch: minimum tender period, Forward Plan deadline, call-in and standstill', () => {
+        const res = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2026-12-14' });
+
+        expect(res.ok).toBe(true);
+        const r = res.result;
+        expect(r.feasible).toBe(true);
+        expect(r.route).toEqual(expect.objectContaining({ decision_type: 'cabinet_member_decision', forward_plan_required: true, is_above_threshold: true }));
+        expect(milestone(r, 'tender_deadline').date).toBe('2027-01-08');
+        expect(r.periods.statutory_minimum_days).toBe(25);
+        expect(r.decision_date).toBe('2027-02-01');
+        // 29 days before the decision is a Sunday — publish on the last working day before
+        expect(milestone(r, 'forward_plan').date).toBe('2026-12-31');
+        expect(milestone(r, 'call_in_ends').date).toBe('2027-02-08');
+        expect(milestone(r, 'award_notice').date).toBe('2027-02-09');
+        expect(milestone(r, 'standstill_ends').date).toBe('2027-02-18');
+        expect(r.contract_date).toBe('2027-02-19');
+        expect(milestone(r, 'uk7').date).toBe('2027-03-21');
+        expect(r.bank_holidays.map(h => h.date)).toEqual(['2026-12-25', '2026-12-28', '2027-01-01']);
+    });
+
+    test('standstill runs over Christmas and a late Forward Plan entry holds the decision back', () => {
+        const res = plan({
+            value_gbp: 300000,
+            contract_type: 'services',
+            procurement_route: 'open_procedure',
+            launch_date: '2026-10-19',
+            evaluation_working_days: 0,
+            forward_plan_published_date: '2026-11-10',
+        });
+        const r = res.result;
+
+        expect(milestone(r, 'tender_deadline').date).toBe('2026-11-13');
+        expect(r.decision_date).toBe('2026-12-09');
+        expect(milestone(r, 'forward_plan').date).toBe('2026-11-10');
+        expect(milestone(r, 'award_notice').date).toBe('2026-12-17');
+        expect(milestone(r, 'standstill_ends').date).toBe('2026-12-30');
+        expect(r.contract_date).toBe('2026-12-31');
+    });
+
+    test('works back from a target award date to the latest launch', () => {
+        const res = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', target_award_date: '2027-04-01' });
+        const r = res.result;
+
+        expect(r.mode).toBe('backward');
+        expect(r.feasible).toBe(true);
+        expect(r.contract_date <= '2027-04-01').toBe(true);
+        expect(r.slack_days).toBeGreaterThanOrEqual(0);
+
+        const dayLater = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: addWorkingDays(r.launch_date, 1) });
+        expect(dayLater.result.contract_date > '2027-04-01').toBe(true);
+    });
+
+    test('flags a target date whose Forward Plan and launch deadlines have passed', () => {
+        const res = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', target_award_date: '2026-12-01' });
+        const r = res.result;
+
+        expect(r.feasible).toBe(false);
+        expect(r.issues.map(i => i.milestone)).toEqual(expect.arrayContaining(['launch', 'forward_plan']));
+        expect(milestone(r, 'forward_plan').date < milestone(r, 'tender_deadline').date).toBe(true);
+    });
+
+    test('a Forward Plan entry already published covers the deadline it met', () => {
+        const res = plan({
+            value_gbp: 300000,
+            contract_type: 'services',
+            procurement_route: 'open_procedure',
+            target_award_date: '2026-12-11',
+            forward_plan_published_date: '2026-10-01',
+            tender_period_reduction: 'urgency',
+            tender_period_days: 10,
+            evaluation_working_days: 5,
+        });
+        const r = res.result;
+
+        expect(r.issues.map(i => i.milestone)).not.toContain('forward_plan');
+
+        const tooLate = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', target_award_date: '2026-12-11', forward_plan_published_date: '2026-11-20' });
+        expect(tooLate.result.feasible).toBe(false);
+        expect(tooLate.result.issues).toEqual([expect.objectContaining({ milestone: 'forward_plan', reason: expect.stringContaining('allows a decision from 2026-12-21') })]);
+    });
+
+    test('periods too long for any launch date to reach the target are flagged, with or without a Forward Plan date', () => {
+        const longest = {
+            value_gbp: 600000,
+            contract_type: 'services',
+            procurement_route: 'competitive_flexible',
+            target_award_date: '2027-03-01',
+            tender_period_days: 365,
+            evaluation_working_days: 260,
+            shortlisting_working_days: 260,
+            call_in_working_days: 260,
+        };
+
+        for (const res of [plan(longest), plan({ ...longest, forward_plan_published_date: '2026-10-01' })]) {
+            expect(res.ok).toBe(true);
+            expect(res.result.feasible).toBe(false);
+            expect(res.result.issues).toEqual([expect.objectContaining({ milestone: 'launch', reason: expect.stringContaining('cannot be completed by 2027-03-01') })]);
+            expect(res.result.milestones).toEqual([]);
+        }
+    });
+
+    test('fits a Cabinet decision to the first meeting with time for the agenda', () => {
+        const res = plan({
+            value_gbp: 600000,
+            contract_type: 'services',
+            procurement_route: 'open_procedure',
+            launch_date: '2026-11-02',
+            cabinet_dates: ['2027-01-06', '2026-12-16'],
+        });
+        const r = res.result;
+
+        expect(r.route.decision_type).toBe('cabinet_decision');
+        expect(milestone(r, 'evaluation_complete').date).toBe('2026-12-18');
+        expect(r.decision_date).toBe('2027-01-06');
+        expect(milestone(r, 'agenda_published').date).toBe('2026-12-24');
+        expect(milestone(r, 'standstill_ends').date).toBe('2027-01-25');
+        expect(r.contract_date).toBe('2027-01-26');
+        expect(r.warnings).toEqual([]);
+
+        const noMeeting = plan({ value_gbp: 600000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2026-11-02', cabinet_dates: ['2026-12-16'] });
+        expect(noMeeting.result.feasible).toBe(false);
+        expect(noMeeting.result.milestones).toEqual([]);
+
+        const noDates = plan({ value_gbp: 600000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2026-11-02' });
+        expect(noDates.result.warnings).toEqual([expect.stringContaining('No cabinet_dates given')]);
+    });
+
+    test('tender periods below the statutory minimum are flagged and planned at the minimum', () => {
+        const short = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2027-01-04', tender_period_days: 10 });
+        expect(short.result.feasible).toBe(false);
+        expect(short.result.issues).toEqual([expect.objectContaining({ milestone: 'tender_deadline', reason: expect.stringContaining('statutory minimum of 25 days') })]);
+        expect(short.result.periods.tender_period_days).toBe(25);
+
+        const reduced = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2027-01-04', tender_period_days: 10, tender_period_reduction: 'planned_procurement_notice' });
+        expect(reduced.result.feasible).toBe(true);
+        expect(milestone(reduced.result, 'uk3').date).toBe('2026-11-25');
+        expect(milestone(reduced.result, 'tender_deadline').date).toBe('2027-01-14');
+
+        const uk3Missed = plan({ as_of: '2026-12-01', value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2027-01-04', tender_period_reduction: 'planned_procurement_notice' });
+        expect(uk3Missed.result.issues.map(i => i.milestone)).toEqual(['uk3']);
+    });
+
+    test('competitive flexible has a participation stage; UK3 does not reduce it', () => {
+        const res = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'competitive_flexible', launch_date: '2027-01-04', tender_period_reduction: 'planned_procurement_notice' });
+        const r = res.result;
+
+        expect(milestone(r, 'participation_deadline').date).toBe('2027-01-29');
+        expect(milestone(r, 'invitation_to_tender').date).toBe('2027-02-12');
+        expect(milestone(r, 'tender_deadline').date).toBe('2027-03-09');
+        expect(milestone(r, 'uk3')).toBeUndefined();
+        expect(r.warnings).toEqual([expect.stringContaining('planned_procurement_notice does not reduce')]);
+    });
+
+    test('direct awards above threshold publish UK5 then stand still; framework call-offs do not stand still', () => {
+        const direct = plan({ value_gbp: 450000, contract_type: 'services', procurement_route: 'direct_award', launch_date: '2026-11-02' });
+        expect(milestone(direct.result, 'tender_deadline')).toBeUndefined();
+        expect(milestone(direct.result, 'award_notice').label).toContain('UK5');
+        expect(milestone(direct.result, 'standstill_ends')).toBeDefined();
+
+        const calloff = plan({ value_gbp: 450000, contract_type: 'services', procurement_route: 'framework_calloff', launch_date: '2026-11-02' });
+        expect(milestone(calloff.result, 'standstill_ends')).toBeUndefined();
+        expect(calloff.result.contract_date).toBe(milestone(calloff.result, 'award_notice').date);
+
+        const below = plan({ value_gbp: 50000, contract_type: 'goods', procurement_route: 'quotes_below_threshold', launch_date: '2026-11-02' });
+        expect(below.result.route.decision_type).toBe('officer_decision');
+        expect(below.result.milestones.map(m => m.key)).toEqual(['launch', 'tender_deadline', 'evaluation_complete', 'decision', 'contract']);
+    });
+
+    test('rejects missing or conflicting dates, unknown routes, malformed Cabinet dates and overlong periods', () => {
+        const both = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', launch_date: '2026-11-02', target_award_date: '2027-04-01' });
+        expect(both.ok).toBe(false);
+        expect(both.error.details.validation_errors).toEqual(['Give exactly one of target_award_date or launch_date']);
+
+        const bad = plan({ value_gbp: 300000, contract_type: 'services', procurement_route: 'budget_holder_discretion', launch_date: '2026-11-31', cabinet_dates: ['10/03/2027'] });
+        expect(bad.error.details.validation_errors).toEqual([
+            expect.stringContaining('procurement_route must be one of'),
+            'launch_date must be a date in YYYY-MM-DD format',
+            'cabinet_dates must be a list of dates in YYYY-MM-DD format',
+        ]);
+
+        expect(execute({ contract_type: 'services' }).ok).toBe(false);
+
+        const long = plan({ value_gbp: 50000, contract_type: 'services', procurement_route: 'itt_below_threshold', target_award_date: '2027-03-01', tender_period_days: 2000, call_in_working_days: 261 });
+        expect(long.ok).toBe(false);
+        expect(long.error.details.validation_errors).toEqual([
+            'tender_period_days must be a whole number of days from 0 to 365',
+            'call_in_working_days must be a whole number of days from 0 to 260',
+        ]);
+    });
+
+    test('markdown lists dated milestones and marks issues', () => {
+        const res = execute({ as_of: AS_OF, value_gbp: 300000, contract_type: 'services', procurement_route: 'open_procedure', target_award_date: '2026-12-01' });
+
+        expect(res.ok).toBe(true);
+        expect(res.result.text).toContain('## Procurement Timeline — open_procedure');
+        expect(res.result.text).toContain('❌ Cannot be met as planned');
+        expect(res.result.text).toContain('| Date | Milestone | Basis |');
+        expect(res.result.text).toContain('Key decision published on the Forward Plan ❌');
+    });
+
+    test('is registered as a read-only tool', () => {
+        const tool = TOOLS.find(t => t.name === 'gcc_procurement_plan_timeline');
+
+        expect(tool.annotations.readOnlyHint).toBe(true);
+        expect(tool.inputSchema.required).toEqual(['value_gbp', 'contract_type', 'procurement_route']);
+        expect(TOOL_HANDLERS.gcc_procurement_plan_timeline).toBe(execute);
+    });
+});
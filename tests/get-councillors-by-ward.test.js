@@ -0,0 +1,108 @@
+'use strict';
+
+jest.mock('../lib/moderngov-client', () => ({
+    getCouncillorsByWard: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const councilConfig = require('../lib/council-config');
+const { getCouncillorsByWard } = require('../lib/tools/get-councillors-by-ward');
+
+const COUNCIL = 'Gloucester City Council';
+
+const LIVE_WARDS = [
+    { ward_id: null, ward_name: 'Matson, Robinswood and White City', councillors: [{ name: 'Councillor A' }, { name: 'Councillor B' }] },
+    { ward_id: null, ward_name: 'Quedgeley Fieldcourt', councillors: [{ name: 'Councillor C' }] },
+    { ward_id: null, ward_name: 'Quedgeley Severn Vale', councillors: [{ name: 'Councillor D' }] },
+    { ward_id: null, ward_name: 'Westgate', councillors: [{ name: 'Councillor E' }] }
+];
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    moderngovClient.getCouncillorsByWard.mockResolvedValue({ council: COUNCIL, wards: LIVE_WARDS });
+});
+
+describe('getCouncillorsByWard', () => {
+    it('returns an exact match without resolution details', async () => {
+        const result = await getCouncillorsByWard(COUNCIL, 'Westgate');
+
+        expect(result).toEqual(expect.objectContaining({ ward_name: 'Westgate', count: 1, source: 'live_moderngov' }));
+        expect(result.ward_resolution).toBeUndefined();
+    });
+
+    it('resolves a shortened ward name and says how it was matched', async () => {
+        const result = await getCouncillorsByWard(COUNCIL, 'Matson and Robinswood');
+
+        expect(result.ward_name).toBe('Matson, Robinswood and White City');
+        expect(result.count).toBe(2);
+        expect(result.ward_resolution).toEqual(expect.objectContaining({
+            input: 'Matson and Robinswood',
+            resolved_to: 'Matson, Robinswood and White City',
+            matched_by: 'partial'
+        }));
+    });
+
+    it('lists the matching wards when the name is ambiguous', async () => {
+        const result = await getCouncillorsByWard(COUNCIL, 'Quedgeley');
+
+        expect(result.error).toBe('Ambiguous ward name');
+        expect(result.matching_wards).toEqual(['Quedgeley Fieldcourt', 'Quedgeley Severn Vale']);
+    });
+
+    it('lists available wards when nothing matches', async () => {
+        const result = await getCouncillorsByWard(COUNCIL, 'Bishopston');
+
+        expect(result.error).toBe('Ward not found');
+        expect(result.available_wards).toEqual(LIVE_WARDS.map(w => w.ward_name).sort());
+    });
+
+    it('falls back to the knowledge base when ModernGov is unavailable', async () => {
+        moderngovClient.getCouncillorsByWard.mockRejectedValue(new Error('SOAP request failed: 503'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = await getCouncillorsByWard(COUNCIL, 'no such ward');
+
+        expect(result.error).toBe('Ward not found');
+        expect(result.hint).toMatch(/Live data unavailable/);
+        console.warn.mockRestore();
+    });
+
+    describe('when ModernGov is unavailable', () => {
+        beforeEach(() => {
+            moderngovClient.getCouncillorsByWard.mockRejectedValue(new Error('SOAP request failed: 503'));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+        afterEach(() => console.warn.mockRestore());
+
+        it('resolves the ward against json/wardToID.json, not the councillor names in wards.json', async () => {
+            const result = await getCouncillorsByWard(COUNCIL, 'Kingsholm');
+
+            expect(result).toEqual(expect.objectContaining({
+                ward_name: 'Kingsholm and Wotton',
+                ward_id: '285',
+                source: 'knowledge_base'
+            }));
+            expect(result.ward_resolution.matched_by).toBe('partial');
+        });
+
+        it('says no ward names are held for a council whose wards.json has not been synced', async () => {
+            const result = await getCouncillorsByWard('Stroud District Council', 'Bisley');
+
+            expect(result.error).toBe('Ward data unavailable');
+            expect(result.hint).toMatch(/npm run sync:knowledge-base/);
+        });
+
+        it('uses wards.json once the sync has rewritten it with ward names', async () => {
+            const stored = councilConfig.getWards('Stroud District Council');
+            councilConfig.setKnowledgeBase('Stroud District Council', {
+                wards: { source: 'GetCouncillorsByWard', wards: [{ id: '71', name: 'Bisley' }, { id: '72', name: 'Cainscross' }] }
+            });
+            try {
+                const result = await getCouncillorsByWard('Stroud District Council', 'bisley');
+                expect(result).toEqual(expect.objectContaining({ ward_name: 'Bisley', ward_id: '71', source: 'knowledge_base' }));
+            } finally {
+                councilConfig.setKnowledgeBase('Stroud District Council', { wards: stored });
+            }
+        });
+    });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+jest.mock('../lib/moderngov-client', () => ({
+    getForwardPlanItems: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const { getForwardPlan } = require('../lib/tools/get-forward-plan');
+const { formatUkDate } = require('../lib/tools/get-meetings');
+
+const COUNCIL = 'Gloucester City Council';
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+function inDays(days) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    return formatUkDate(new Date(date.getTime() + days * DAY_IN_MS));
+}
+
+const LEISURE = {
+    id: 4410,
+    reference: 'FP/2026/014',
+    title: 'Award of leisure management contract',
+    summary: 'To award the contract for the operation of the city leisure centres.',
+    decision_maker: 'Cabinet',
+    expected_decision_date: inDays(40),
+    is_key_decision: true,
+    wards_affected: ['All Wards']
+};
+const PARKING = {
+    id: 4411,
+    reference: 'FP/2026/015',
+    title: 'Car parking tariffs',
+    decision_maker: 'Cabinet Member for Environment',
+    expected_decision_date: inDays(10),
+    is_key_decision: false,
+    wards_affected: ['Westgate']
+};
+const DEPOT = {
+    id: 4412,
+    reference: 'FP/2026/016',
+    title: 'Depot refurbishment works',
+    decision_maker: 'Cabinet',
+    expected_decision_date: null,
+    is_key_decision: true,
+    wards_affected: []
+};
+const REGENERATION = {
+    id: 4413,
+    reference: 'FP/2026/017',
+    title: 'Kings Quarter phase 2',
+    decision_maker: 'Cabinet',
+    expected_decision_date: inDays(5),
+    is_key_decision: true,
+    wards_affected: ['Westgate']
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    moderngovClient.getForwardPlanItems.mockResolvedValue({ items: [LEISURE, PARKING, DEPOT, REGENERATION] });
+});
+
+describe('getForwardPlan', () => {
+    it('lists upcoming key decisions in expected date order, undated items last', async () => {
+        const result = await getForwardPlan(COUNCIL);
+
+        expect(result.items.map(i => i.reference)).toEqual(['FP/2026/017', 'FP/2026/014', 'FP/2026/016']);
+        expect(result.items[0].url).toBe('https://democracy.gloucester.gov.uk/mgIssueHistoryHome.aspx?IId=4413');
+        expect(result.from_date).toBe(inDays(0));
+        expect(result.to_date).toBe(inDays(365));
+        // The end date sent to ModernGov is exclusive
+        expect(moderngovClient.getForwardPlanItems).toHaveBeenCalledWith(COUNCIL, inDays(0), inDays(366));
+    });
+
+    it('includes non-key decisions on request and filters by date and text', async () => {
+        const all = await getForwardPlan(COUNCIL, { key_decisions_only: false, to_date: inDays(20) });
+        expect(all.items.map(i => i.reference)).toEqual(['FP/2026/017', 'FP/2026/015', 'FP/2026/016']);
+
+        const searched = await getForwardPlan(COUNCIL, { search: 'LEISURE' });
+        expect(searched.items.map(i => i.reference)).toEqual(['FP/2026/014']);
+    });
+
+    it('confirms a published reference regardless of spacing and case', async () => {
+        const result = await getForwardPlan(COUNCIL, { reference: 'fp/2026/014 ' });
+
+        expect(result.found).toBe(true);
+        expect(result.item.title).toBe('Award of leisure management contract');
+        expect(moderngovClient.getForwardPlanItems).toHaveBeenCalledWith(COUNCIL);
+    });
+
+    it('reports an unknown reference as not found with similar references', async () => {
+        const result = await getForwardPlan(COUNCIL, { reference: 'FP/2026/01' });
+
+        expect(result.found).toBe(false);
+        expect(result.similar_references.map(r => r.reference)).toEqual(['FP/2026/014', 'FP/2026/015', 'FP/2026/016', 'FP/2026/017']);
+        expect(result.note).toContain('3E.11');
+    });
+
+    it('rejects unknown councils and invalid dates', async () => {
+        expect((await getForwardPlan('Nowhere Council')).error).toBe('Council not found');
+        expect((await getForwardPlan(COUNCIL, { from_date: '2026-10-18' })).error).toBe('Invalid from_date format');
+        expect(moderngovClient.getForwardPlanItems).not.toHaveBeenCalled();
+    });
+
+    it('returns a service error when ModernGov is unavailable', async () => {
+        moderngovClient.getForwardPlanItems.mockRejectedValueOnce(new Error('SOAP request failed for Gloucester City Council: timeout'));
+
+        const result = await getForwardPlan(COUNCIL);
+        expect(result.error).toBe('Failed to retrieve the Forward Plan');
+        expect(result.status_code).toBe(503);
+    });
+
+    it('does not report a reference as missing when the response could not be read', async () => {
+        moderngovClient.getForwardPlanItems.mockRejectedValueOnce(Object.assign(
+            new Error('Unrecognised GetForwardPlanItems response from Gloucester City Council: expected <forwardplanitems>, got <issues>'),
+            { code: 'UNRECOGNISED_RESPONSE' }
+        ));
+
+        const result = await getForwardPlan(COUNCIL, { reference: 'FP/2026/014' });
+        expect(result).not.toHaveProperty('found');
+        expect(result.error).toBe('The Forward Plan response could not be read');
+        expect(result.status_code).toBe(502);
+    });
+});
@@ -80,3 +80,76 @@ describe('getMeetingBriefing', () => {
         expect(result.meeting_level_briefing.meeting_overview).toMatch(/Meeting contains 1 agenda items/);
     });
 });
+
+describe('getMeetingBriefing options', () => {
+    const doc = (name) => ({ title: `${name} report`, url: `https://example.com/${name}.pdf` });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getMeetingDetails.mockResolvedValue({
+            council: 'Gloucester City Council',
+            meeting_id: 200,
+            details: { date: '02/02/2026' },
+            agenda: [
+                { id: 11, number: '4.', title: 'Minutes', linked_documents: [doc('minutes')] },
+                { id: 12, number: '5', title: 'Housing strategy', linked_documents: [doc('housing')] },
+                { id: 13, number: '6', title: 'Parking charges', linked_documents: [doc('parking')] }
+            ]
+        });
+        analyzeMeetingDocument.mockResolvedValue({ success: true, sections: {}, metadata: {} });
+        getReportRecommendations.mockResolvedValue({ success: true, recommendations: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps accepting a boolean includeDocumentAnalysis argument', async () => {
+        const result = await getMeetingBriefing('Gloucester City Council', 200, false);
+        expect(analyzeMeetingDocument).not.toHaveBeenCalled();
+        expect(result.agenda_item_briefings[0].evidence_gaps).toEqual(['Document analysis not run: document analysis was not requested.']);
+    });
+
+    it('briefs only the requested items, matching item numbers or ids', async () => {
+        const result = await getMeetingBriefing('Gloucester City Council', 200, { item_numbers: ['4', '13', '9'] });
+        expect(result.briefing_scope.items_briefed).toEqual(['4.', '6']);
+        expect(result.briefing_scope.requested_items_not_found).toEqual(['9']);
+        expect(analyzeMeetingDocument).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns the available items when none of the requested items exist', async () => {
+        const result = await getMeetingBriefing('Gloucester City Council', 200, { item_numbers: ['99'] });
+        expect(result.error).toMatch(/None of the requested agenda items/);
+        expect(result.available_items.map(i => i.item_number)).toEqual(['4.', '5', '6']);
+    });
+
+    it('analyses only the selected items and caps the number analysed', async () => {
+        const result = await getMeetingBriefing('Gloucester City Council', 200, {
+            analyse_item_numbers: ['5', '6'],
+            max_analysed_items: 1
+        });
+        const { document_analysis: analysis } = result.briefing_scope;
+        expect(analysis.items_analysed).toEqual(['5']);
+        expect(analysis.items_not_analysed).toEqual([
+            { item_number: '4.', reason: 'item was not selected for analysis.' },
+            { item_number: '6', reason: 'limit of 1 analysed item(s) reached.' }
+        ]);
+        expect(analyzeMeetingDocument).toHaveBeenCalledWith('https://example.com/housing.pdf', ['all'], 20);
+    });
+
+    it('stops starting document analysis once the time budget is spent', async () => {
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        analyzeMeetingDocument.mockImplementation(async () => {
+            now += 6000;
+            return { success: true, sections: {}, metadata: {} };
+        });
+
+        const result = await getMeetingBriefing('Gloucester City Council', 200, { time_budget_seconds: 10 });
+        const { document_analysis: analysis } = result.briefing_scope;
+        expect(analysis.items_analysed).toEqual(['4.', '5']);
+        expect(analysis.time_budget_exhausted).toBe(true);
+        expect(result.agenda_item_briefings[2].evidence_gaps).toContain('Document analysis not run: time budget of 10 seconds reached.');
+        expect(result.agenda_item_briefings).toHaveLength(3);
+    });
+});
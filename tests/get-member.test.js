@@ -0,0 +1,146 @@
+'use strict';
+
+jest.mock('../lib/moderngov-client', () => ({
+    getCouncillorsByWard: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const { getMember } = require('../lib/tools/get-member');
+const { listCommitteeMembers } = require('../lib/tools/list-committee-members');
+const { findCurrentTerm, classifyCommitteeRole } = require('../lib/member-profile');
+
+const COUNCIL = 'Gloucester City Council';
+
+const HILTON = {
+    id: 129,
+    name: 'Councillor Jeremy Hilton',
+    party: 'Liberal Democrat',
+    political_group: null,
+    key_posts: 'Leader of the Council and Cabinet Member for Regeneration',
+    terms_of_office: [
+        { start_date: '10/05/2021', end_date: '05/05/2024' },
+        { start_date: '06/05/2024', end_date: '07/05/2028' }
+    ],
+    work_address: { email: 'jeremy.hilton@gloucestershire.gov.uk' },
+    home_address: { line1: '47 St Mary\'s Street', postcode: 'GL1 2QR' }
+};
+const CHAMBERS = {
+    id: 2032,
+    name: 'Councillor Stephanie Chambers',
+    party: 'Liberal Democrat',
+    terms_of_office: [],
+    work_address: { email: 'stephanie.chambers@gloucester.gov.uk' },
+    home_address: null
+};
+const ALASTAIR = { ...CHAMBERS, id: 2041, name: 'Councillor Alastair Chambers' };
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    moderngovClient.getCouncillorsByWard.mockResolvedValue({
+        wards: [
+            { ward_id: 285, ward_name: 'Kingsholm and Wotton', councillors: [HILTON] },
+            { ward_id: 290, ward_name: 'Westgate', councillors: [CHAMBERS, ALASTAIR] }
+        ]
+    });
+});
+
+describe('member profile helpers', () => {
+    it('finds the term of office covering a date', () => {
+        expect(findCurrentTerm(HILTON.terms_of_office, new Date(2026, 9, 18))).toEqual({ start_date: '06/05/2024', end_date: '07/05/2028' });
+        expect(findCurrentTerm(HILTON.terms_of_office, new Date(2019, 0, 1))).toBeNull();
+    });
+
+    it.each([
+        ['Chair', 'chair'],
+        ['Vice-Chair', 'vice_chair'],
+        ['Vice Chair', 'vice_chair'],
+        ['Deputy Chair', 'vice_chair'],
+        ['Reserve', 'Reserve'],
+        [null, null]
+    ])('classifies role %s', (role, expected) => {
+        expect(classifyCommitteeRole(role)).toBe(expected);
+    });
+});
+
+describe('getMember', () => {
+    it('returns profile, terms and committee roles without the home address', async () => {
+        const result = await getMember(COUNCIL, { member_name: 'jeremy hilton' });
+
+        expect(result.source).toBe('live_moderngov');
+        expect(result.member).toEqual(expect.objectContaining({
+            id: 129,
+            ward: 'Kingsholm and Wotton',
+            key_posts: 'Leader of the Council and Cabinet Member for Regeneration',
+            email: 'jeremy.hilton@gloucestershire.gov.uk',
+            profile_url: 'https://democracy.gloucester.gov.uk/mgUserInfo.aspx?UID=129'
+        }));
+        expect(result.member.terms_of_office).toHaveLength(2);
+        expect(result.member).not.toHaveProperty('home_address');
+        expect(JSON.stringify(result)).not.toMatch(/St Mary/);
+        expect(result.roles.chair_of).toEqual(expect.arrayContaining(['Cabinet', 'General Purposes Committee']));
+        expect(result.committee_memberships).toContainEqual(expect.objectContaining({
+            committee_id: 141,
+            committee_name: 'Council',
+            role_type: 'member'
+        }));
+    });
+
+    it('includes the home address only on request', async () => {
+        const result = await getMember(COUNCIL, { member_id: 129, include_home_address: true });
+        expect(result.member.home_address).toEqual(HILTON.home_address);
+    });
+
+    it('lists matches for an ambiguous name', async () => {
+        const result = await getMember(COUNCIL, { member_name: 'Chambers' });
+        expect(result.error).toBe('Ambiguous member name');
+        expect(result.matching_members.map(m => m.id)).toEqual([2032, 2041]);
+    });
+
+    it('falls back to committee records when ModernGov is unavailable', async () => {
+        moderngovClient.getCouncillorsByWard.mockRejectedValue(new Error('SOAP request failed'));
+        const result = await getMember(COUNCIL, { member_id: 2032 });
+        expect(result.source).toBe('knowledge_base');
+        expect(result.member.name).toBe('Councillor Stephanie Chambers');
+        expect(result.roles.vice_chair_of).toContain('General Purposes Committee');
+        expect(result.error_detail).toBe('SOAP request failed');
+    });
+
+    it.each([
+        [{}, 'member_id or member_name is required'],
+        [{ member_name: 'Nobody Known' }, 'Member not found']
+    ])('returns an error for %j', async (options, error) => {
+        expect((await getMember(COUNCIL, options)).error).toBe(error);
+    });
+});
+
+describe('listCommitteeMembers', () => {
+    it('returns chair, vice-chair and members enriched with live details', async () => {
+        const result = await listCommitteeMembers(COUNCIL, 544);
+
+        expect(result.committee_name).toBe('General Purposes Committee');
+        expect(result.chair).toEqual({ id: 129, name: 'Councillor Jeremy Hilton' });
+        expect(result.vice_chairs).toEqual([{ id: 2032, name: 'Councillor Stephanie Chambers' }]);
+        expect(result.members.find(m => m.id === 129)).toEqual(expect.objectContaining({
+            party: 'Liberal Democrat',
+            ward: 'Kingsholm and Wotton',
+            role_type: 'chair'
+        }));
+        expect(result.members.find(m => m.id === 144)).toEqual(expect.objectContaining({
+            name: 'Councillor Declan Wilson',
+            role_type: 'member'
+        }));
+        expect(JSON.stringify(result)).not.toMatch(/St Mary/);
+        expect(result.source).toBe('knowledge_base+live_moderngov');
+    });
+
+    it('returns committee records when ModernGov is unavailable', async () => {
+        moderngovClient.getCouncillorsByWard.mockRejectedValue(new Error('timeout'));
+        const result = await listCommitteeMembers(COUNCIL, 544);
+        expect(result.source).toBe('knowledge_base');
+        expect(result.member_count).toBe(7);
+    });
+
+    it('rejects an unknown committee', async () => {
+        expect((await listCommitteeMembers(COUNCIL, 999999)).error).toBe('Committee not found');
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { buildCalendar, escapeText, foldLine, parseMeetingTime } = require('../lib/ical');
+
+const STAMP = new Date('2026-01-05T09:00:00Z');
+
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '');
+}
+
+describe('ical', () => {
+    it('parses ModernGov meeting times', () => {
+        expect(parseMeetingTime('6.00 pm')).toEqual({ hours: 18, minutes: 0 });
+        expect(parseMeetingTime('12.30 pm')).toEqual({ hours: 12, minutes: 30 });
+        expect(parseMeetingTime('12.15 am')).toEqual({ hours: 0, minutes: 15 });
+        expect(parseMeetingTime('10:30am')).toEqual({ hours: 10, minutes: 30 });
+        expect(parseMeetingTime('2pm')).toEqual({ hours: 14, minutes: 0 });
+        expect(parseMeetingTime('14:00')).toEqual({ hours: 14, minutes: 0 });
+        expect(parseMeetingTime('TBC')).toBeNull();
+        expect(parseMeetingTime(null)).toBeNull();
+    });
+
+    it('escapes text values', () => {
+        expect(escapeText('Civic Suite, North Warehouse; The Docks\nGloucester\\')).toBe('Civic Suite\\, North Warehouse\\; The Docks\\nGloucester\\\\');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const line = `DESCRIPTION:${'é'.repeat(60)}`;
+        const folded = foldLine(line);
+
+        folded.split('\r\n').forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+        expect(folded.replace(/\r\n /g, '')).toBe(line);
+        expect(foldLine('SUMMARY:Cabinet')).toBe('SUMMARY:Cabinet');
+    });
+
+    it('builds a calendar with a London timezone and timed, all-day and cancelled events', () => {
+        const ics = buildCalendar({
+            name: 'Planning meetings',
+            events: [
+                {
+                    uid: 'moderngov-meeting-1@democracy.gloucester.gov.uk',
+                    date: '10/06/2026',
+                    start: { hours: 18, minutes: 0 },
+                    end: { hours: 20, minutes: 30 },
+                    summary: 'Planning Committee (Gloucester City Council)',
+                    location: 'Civic Suite, North Warehouse',
+                    url: 'https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=1',
+                    status: 'CONFIRMED'
+                },
+                { uid: 'moderngov-meeting-2@x', date: '11/06/2026', start: null, summary: 'Day event' },
+                { uid: 'moderngov-meeting-3@x', date: '12/06/2026', start: { hours: 10, minutes: 0 }, summary: 'Cancelled: Cabinet', status: 'CANCELLED' }
+            ]
+        }, STAMP);
+
+        expect(ics.endsWith('\r\n')).toBe(true);
+        expect(ics.split('\r\n').every(l => !l.includes('\n'))).toBe(true);
+
+        const text = unfold(ics);
+        expect(text).toContain('X-WR-CALNAME:Planning meetings');
+        expect(text).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/London');
+        expect(text).toContain('DTSTART;TZID=Europe/London:20260610T180000\r\nDTEND;TZID=Europe/London:20260610T203000');
+        expect(text).toContain('LOCATION:Civic Suite\\, North Warehouse');
+        expect(text).toContain('DTSTAMP:20260105T090000Z');
+        expect(text).toContain('DTSTART;VALUE=DATE:20260611');
+        expect(text).toContain('DTSTART;TZID=Europe/London:20260612T100000\r\nDURATION:PT2H');
+        expect(text).toContain('STATUS:CANCELLED');
+        expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    });
+});
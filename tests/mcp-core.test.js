@@ -0,0 +1,222 @@
+'use strict';
+
+const { createMcpServer, createHttpHandler, DEFAULT_PROTOCOL_VERSION } = require('../src/mcp-core');
+
+const TOOLS = [
+    {
+        name: 'echo',
+        description: 'Echo the message back',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                count: { type: 'integer', minimum: 1 },
+                mode: { type: 'string', enum: ['plain', 'loud'] },
+            },
+            required: ['message'],
+            additionalProperties: false,
+        },
+    },
+    {
+        name: 'explode',
+        description: 'Always throws',
+        inputSchema: { type: 'object', properties: {} },
+    },
+];
+
+function buildServer(options = {}) {
+    const TOOL_HANDLERS = {
+        echo: jest.fn(async (args) => ({ echoed: args.message, count: args.count })),
+        explode: jest.fn(async () => {
+            throw Object.assign(new Error('Record not found'), { code: 'NOT_FOUND' });
+        }),
+    };
+    const server = createMcpServer(
+        { TOOLS, TOOL_HANDLERS, SERVER_INFO: { name: 'test-mcp', version: '0.0.1' } },
+        { label: 'Test MCP', ...options }
+    );
+    return { server, TOOL_HANDLERS };
+}
+
+const context = { log: Object.assign(jest.fn(), { error: jest.fn() }) };
+
+function call(name, args, id = 1) {
+    return { jsonrpc: '2.0', method: 'tools/call', params: { name, arguments: args }, id };
+}
+
+describe('mcp-core protocol version negotiation', () => {
+    const { server } = buildServer();
+
+    it('defaults to the original protocol version when the client sends none', async () => {
+        const response = await server.handleMcpRequest({ jsonrpc: '2.0', method: 'initialize', params: {}, id: 1 }, context);
+        expect(response.result.protocolVersion).toBe(DEFAULT_PROTOCOL_VERSION);
+        expect(response.result.serverInfo.name).toBe('test-mcp');
+    });
+
+    it('echoes a supported protocol version', async () => {
+        const response = await server.handleMcpRequest({
+            jsonrpc: '2.0', method: 'initialize', params: { protocolVersion: '2025-03-26' }, id: 1,
+        }, context);
+        expect(response.result.protocolVersion).toBe('2025-03-26');
+    });
+
+    it('answers an unknown protocol version with the newest supported one', async () => {
+        const response = await server.handleMcpRequest({
+            jsonrpc: '2.0', method: 'initialize', params: { protocolVersion: '1999-01-01' }, id: 1,
+        }, context);
+        expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+});
+
+describe('mcp-core batching and envelope errors', () => {
+    const { server } = buildServer();
+
+    it('answers each request in a batch and drops notifications', async () => {
+        const response = await server.handleMcpRequest([
+            { jsonrpc: '2.0', method: 'ping', id: 1 },
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            call('echo', { message: 'hi' }, 2),
+        ], context);
+
+        expect(response).toHaveLength(2);
+        expect(response.map((r) => r.id)).toEqual([1, 2]);
+        expect(JSON.parse(response[1].result.content[0].text)).toEqual({ echoed: 'hi' });
+    });
+
+    it('returns null for a batch made only of notifications', async () => {
+        const response = await server.handleMcpRequest([
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 1 } },
+        ], context);
+        expect(response).toBeNull();
+    });
+
+    it('rejects an empty batch with -32600', async () => {
+        const response = await server.handleMcpRequest([], context);
+        expect(response.error.code).toBe(-32600);
+    });
+
+    it('reports an invalid member of a batch without failing the others', async () => {
+        const response = await server.handleMcpRequest([
+            { jsonrpc: '1.0', method: 'ping', id: 1 },
+            { jsonrpc: '2.0', method: 'ping', id: 2 },
+        ], context);
+        expect(response[0].error.code).toBe(-32600);
+        expect(response[1].result).toEqual({});
+    });
+
+    it('returns -32601 for an unknown method and preserves id 0', async () => {
+        const response = await server.handleMcpRequest({ jsonrpc: '2.0', method: 'resources/nope', id: 0 }, context);
+        expect(response.error.code).toBe(-32601);
+        expect(response.id).toBe(0);
+    });
+
+    it('returns -32602 for an unknown tool with the configured error data', async () => {
+        const { server: withData } = buildServer({ unknownToolData: { code: 'TOOL_REDISCOVER_REQUIRED' } });
+        const response = await withData.handleMcpRequest(call('nope', {}), context);
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toContain('Available: echo, explode');
+        expect(response.error.data.code).toBe('TOOL_REDISCOVER_REQUIRED');
+    });
+});
+
+describe('mcp-core argument validation', () => {
+    it('returns an isError result naming the missing argument', async () => {
+        const { server, TOOL_HANDLERS } = buildServer();
+        const response = await server.handleMcpRequest(call('echo', {}), context);
+
+        expect(response.result.isError).toBe(true);
+        const payload = JSON.parse(response.result.content[0].text);
+        expect(payload.code).toBe('BAD_REQUEST');
+        expect(payload.error).toContain('message is required');
+        expect(payload.details.validationErrors[0].path).toBe('message');
+        expect(TOOL_HANDLERS.echo).not.toHaveBeenCalled();
+    });
+
+    it('reports unrecognised arguments and enum violations together', async () => {
+        const { server } = buildServer();
+        const response = await server.handleMcpRequest(call('echo', { message: 'x', mode: 'quiet', extra: 1 }), context);
+        const payload = JSON.parse(response.result.content[0].text);
+        expect(payload.error).toContain('extra is not a recognised argument');
+        expect(payload.error).toContain('mode must be one of: plain, loud');
+    });
+
+    it('coerces numeric strings to the schema type before dispatch', async () => {
+        const { server, TOOL_HANDLERS } = buildServer();
+        await server.handleMcpRequest(call('echo', { message: 'x', count: '3' }), context);
+        expect(TOOL_HANDLERS.echo).toHaveBeenCalledWith({ message: 'x', count: 3 }, context);
+    });
+
+    it('parses JSON-string arguments and rejects non-object arguments with -32602', async () => {
+        const { server } = buildServer();
+        const ok = await server.handleMcpRequest(call('echo', '{"message":"hi"}'), context);
+        expect(ok.result.isError).toBeUndefined();
+
+        const bad = await server.handleMcpRequest(call('echo', ['hi']), context);
+        expect(bad.error.code).toBe(-32602);
+    });
+
+    it('skips schema validation when the endpoint opts out', async () => {
+        const { server, TOOL_HANDLERS } = buildServer({ validateArguments: false });
+        await server.handleMcpRequest(call('echo', {}), context);
+        expect(TOOL_HANDLERS.echo).toHaveBeenCalled();
+    });
+});
+
+describe('mcp-core tool errors', () => {
+    it('turns a thrown error into an isError result carrying its code', async () => {
+        const { server } = buildServer({
+            formatError: (payload) => ({ ...payload, note: 'check the id' }),
+        });
+        const response = await server.handleMcpRequest(call('explode', {}), context);
+
+        expect(response.result.isError).toBe(true);
+        const payload = JSON.parse(response.result.content[0].text);
+        expect(payload).toEqual({ error: 'Record not found', code: 'NOT_FOUND', tool: 'explode', note: 'check the id' });
+    });
+
+    it('logs through console.error when context.log has no error method', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { server } = buildServer();
+        const response = await server.handleMcpRequest(call('explode', {}), { log: jest.fn() });
+        expect(response.result.isError).toBe(true);
+        expect(spy).toHaveBeenCalled();
+        spy.mockRestore();
+    });
+});
+
+describe('mcp-core HTTP adapter', () => {
+    it('returns 204 for a notification and 400 for unparseable JSON', async () => {
+        const { server } = buildServer();
+        const handler = createHttpHandler(server, { label: 'Test MCP' });
+
+        const notification = await handler(
+            { json: jest.fn().mockResolvedValue({ jsonrpc: '2.0', method: 'notifications/initialized' }) },
+            context
+        );
+        expect(notification.status).toBe(204);
+
+        const malformed = await handler({ json: jest.fn().mockRejectedValue(new SyntaxError('bad')) }, context);
+        expect(malformed.status).toBe(400);
+        expect(JSON.parse(malformed.body).error.code).toBe(-32700);
+    });
+
+    it('returns 503 when the tool module failed to load', async () => {
+        const { server } = buildServer();
+        const handler = createHttpHandler(server, {
+            getLoadError: () => new Error('boom'),
+            unavailableMessage: 'Test MCP unavailable',
+        });
+        const response = await handler({ json: jest.fn() }, context);
+        expect(response.status).toBe(503);
+        expect(JSON.parse(response.body).error.message).toBe('Test MCP unavailable: boom');
+    });
+
+    it('serves the initialize manifest on GET when enabled', async () => {
+        const { server } = buildServer();
+        const handler = createHttpHandler(server, { serveManifestOnGet: true });
+        const response = await handler({ method: 'GET' }, context);
+        expect(response.status).toBe(200);
+        expect(JSON.parse(response.body).serverInfo.name).toBe('test-mcp');
+    });
+});
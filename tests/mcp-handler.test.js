@@ -3,6 +3,8 @@
 // Mock all tool modules and council-config before requiring mcp-handler
 jest.mock('../lib/council-config', () => ({
     getCouncilNames: () => ['Gloucester City Council', 'Cheltenham Borough Council'],
+    getDataFiles: () => null,
+    resolveCouncil: (input) => jest.requireActual('../lib/council-config').resolveCouncil(input),
     getAllCouncilsSummary: () => [
         {
             name: 'Gloucester City Council',
@@ -47,6 +49,9 @@ jest.mock('../lib/tools/analyze-meeting-document', () => ({
 jest.mock('../lib/tools/get-report-recommendations', () => ({
     getReportRecommendations: jest.fn().mockResolvedValue({ success: true, recommendations: [] })
 }));
+jest.mock('../lib/tools/sync-knowledge-base', () => ({
+    syncKnowledgeBase: jest.fn().mockResolvedValue({ mode: 'report', councils: [] })
+}));
 jest.mock('../lib/tools/get-gloucester-constitution', () => ({
     getGloucesterConstitution: jest.fn().mockResolvedValue({ committee: { id: 564, title: 'Constitution' }, meetings: [] })
 }));
@@ -142,7 +147,7 @@ describe('handleMcpRequest - tools/list', () => {
             mockContext
         );
         expect(Array.isArray(result.result.tools)).toBe(true);
-        expect(result.result.tools.length).toBe(10);
+        expect(result.result.tools.length).toBe(19);
     });
 
     it('each tool has name, description, and inputSchema', () => {
@@ -247,6 +252,105 @@ describe('handleMcpRequest - tools/call', () => {
     });
 
 
+    it('resolves abbreviated council names before calling the tool', async () => {
+        const { getMeetings } = require('../lib/tools/get-meetings');
+        getMeetings.mockClear();
+
+        const result = await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: { name: 'get_meetings', arguments: { council_name: 'GCC', committee_id: 1 } },
+                id: 9
+            },
+            mockContext
+        );
+
+        const payload = JSON.parse(result.result.content[0].text);
+        expect(getMeetings).toHaveBeenCalledWith('Gloucester City Council', 1, undefined, undefined);
+        expect(payload.data.council_resolution).toEqual({
+            input: 'GCC',
+            resolved_to: 'Gloucester City Council',
+            confidence: 0.95,
+            matched_by: 'alias'
+        });
+    });
+
+    it('asks for clarification instead of calling the tool when the council is ambiguous', async () => {
+        const { getMeetings } = require('../lib/tools/get-meetings');
+        getMeetings.mockClear();
+
+        const result = await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: { name: 'get_meetings', arguments: { council_name: 'Gloucester', committee_id: 1 } },
+                id: 10
+            },
+            mockContext
+        );
+
+        const payload = JSON.parse(result.result.content[0].text);
+        expect(getMeetings).not.toHaveBeenCalled();
+        expect(result.result.isError).toBe(true);
+        expect(payload.data.error).toBe('Ambiguous council name');
+        expect(payload.data.candidates.map(c => c.name)).toEqual(['Gloucester City Council', 'Gloucestershire County Council']);
+    });
+
+    it('flags an unknown council as an error', async () => {
+        const result = await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: { name: 'get_meetings', arguments: { council_name: 'Nowhere Borough Council', committee_id: 1 } },
+                id: 13
+            },
+            mockContext
+        );
+
+        const payload = JSON.parse(result.result.content[0].text);
+        expect(result.result.isError).toBe(true);
+        expect(payload.data.error).toBe('Unknown council');
+    });
+
+    it('does not add council_resolution for exact council names', async () => {
+        const result = await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: { name: 'get_meetings', arguments: { council_name: 'Gloucester City Council', committee_id: 1 } },
+                id: 11
+            },
+            mockContext
+        );
+
+        const payload = JSON.parse(result.result.content[0].text);
+        expect(payload.data.council_resolution).toBeUndefined();
+    });
+
+    it('publishes council_name without an enum so short forms reach the resolver', () => {
+        const tool = TOOLS.find(t => t.name === 'get_meetings');
+        expect(tool.inputSchema.properties.council_name.enum).toBeUndefined();
+    });
+
+    it('runs sync_knowledge_base as a report only, whatever the arguments', async () => {
+        const { syncKnowledgeBase } = require('../lib/tools/sync-knowledge-base');
+        syncKnowledgeBase.mockClear();
+
+        await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: { name: 'sync_knowledge_base', arguments: { write: true } },
+                id: 12
+            },
+            mockContext
+        );
+
+        expect(syncKnowledgeBase).toHaveBeenCalledWith({ council_name: undefined });
+        expect(TOOLS.find(t => t.name === 'sync_knowledge_base').inputSchema.properties.write).toBeUndefined();
+    });
+
     it('routes get_report_recommendations tool calls', async () => {
         const { getReportRecommendations } = require('../lib/tools/get-report-recommendations');
         getReportRecommendations.mockResolvedValueOnce({ success: true, recommendations: ['a'] });
@@ -270,6 +374,34 @@ describe('handleMcpRequest - tools/call', () => {
         });
     });
 
+    it('routes get_meeting_briefing with its scope options', async () => {
+        const { getMeetingDetails } = require('../lib/tools/get-meeting-details');
+        getMeetingDetails.mockResolvedValueOnce({
+            council: 'Gloucester City Council',
+            meeting_id: 7,
+            details: {},
+            agenda: [{ id: 1, number: '5', title: 'Budget', linked_documents: [] }]
+        });
+
+        const result = await handleMcpRequest(
+            {
+                jsonrpc: '2.0',
+                method: 'tools/call',
+                params: {
+                    name: 'get_meeting_briefing',
+                    arguments: { council_name: 'Gloucester City Council', meeting_id: 7, item_numbers: ['5'], include_document_analysis: false }
+                },
+                id: 43
+            },
+            mockContext
+        );
+
+        const payload = JSON.parse(result.result.content[0].text);
+        expect(payload.data.agenda_item_briefings).toHaveLength(1);
+        expect(payload.data.briefing_scope.items_briefed).toEqual(['5']);
+        expect(payload.data.briefing_scope.document_analysis.requested).toBe(false);
+    });
+
     it('preserves request id in response', async () => {
         const result = await handleMcpRequest(
             {
@@ -58,6 +58,7 @@ describe('mcpNotes manifest and input validation', () => {
         expect(body.result.isError).toBe(true);
 
         const payload = JSON.parse(body.result.content[0].text);
-        expect(payload.error).toContain('since must be a valid ISO8601 date-time string');
+        expect(payload.code).toBe('BAD_REQUEST');
+        expect(payload.error).toContain('since must match format "date-time"');
     });
 });
@@ -0,0 +1,137 @@
+'use strict';
+
+const { createMcpServer, McpError } = require('../src/mcp-core');
+
+const context = { log: Object.assign(jest.fn(), { error: jest.fn() }) };
+
+function rpc(method, params, id = 1) {
+    return { jsonrpc: '2.0', method, params, id };
+}
+
+describe('mcp-core prompts', () => {
+    const render = jest.fn((args) => {
+        if (args.topic === 'forbidden') throw new McpError(-32602, 'Invalid params: topic not allowed');
+        return {
+            description: `Greeting for ${args.topic || 'everyone'}`,
+            messages: [{ role: 'user', content: { type: 'text', text: `Hello ${args.topic || 'everyone'}` } }],
+        };
+    });
+
+    const server = createMcpServer({
+        TOOLS: [],
+        TOOL_HANDLERS: {},
+        SERVER_INFO: { name: 'test-mcp', version: '0.0.1' },
+        PROMPTS: [{
+            name: 'greet',
+            title: 'Greet',
+            description: 'Say hello',
+            arguments: [
+                { name: 'topic', description: 'Who to greet', required: false },
+                { name: 'tone', description: 'How to greet', required: true },
+            ],
+            render,
+        }],
+    }, { label: 'Test MCP' });
+
+    it('advertises the prompts capability and lists prompt arguments', async () => {
+        const init = await server.handleMcpRequest(rpc('initialize', {}), context);
+        expect(init.result.capabilities).toEqual({ tools: {}, prompts: {} });
+
+        const list = await server.handleMcpRequest(rpc('prompts/list'), context);
+        expect(list.result.prompts).toEqual([{
+            name: 'greet',
+            title: 'Greet',
+            description: 'Say hello',
+            arguments: [
+                { name: 'topic', description: 'Who to greet', required: false },
+                { name: 'tone', description: 'How to greet', required: true },
+            ],
+        }]);
+    });
+
+    it('renders a prompt with its arguments', async () => {
+        const response = await server.handleMcpRequest(
+            rpc('prompts/get', { name: 'greet', arguments: { topic: 'Gloucester', tone: 'warm' } }),
+            context
+        );
+        expect(response.result.messages[0].content.text).toBe('Hello Gloucester');
+    });
+
+    it.each([
+        [{ arguments: { tone: 'warm' } }, /prompt name is required/],
+        [{ name: 'nope', arguments: {} }, /Unknown prompt: nope. Available: greet/],
+        [{ name: 'greet', arguments: {} }, /tone is required/],
+        [{ name: 'greet', arguments: { tone: 'warm', colour: 'red' } }, /colour is not a recognised argument/],
+        [{ name: 'greet', arguments: { tone: 3 } }, /tone must be a string/],
+        [{ name: 'greet', arguments: { tone: 'warm', topic: 'forbidden' } }, /topic not allowed/],
+    ])('returns -32602 for bad prompts/get params %j', async (params, message) => {
+        const response = await server.handleMcpRequest(rpc('prompts/get', params), context);
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toMatch(message);
+    });
+
+    it('returns -32601 for prompts/* on an endpoint without prompts', async () => {
+        const plain = createMcpServer({ TOOLS: [], TOOL_HANDLERS: {}, SERVER_INFO: {} });
+        const response = await plain.handleMcpRequest(rpc('prompts/list'), context);
+        expect(response.error.code).toBe(-32601);
+    });
+});
+
+describe('council tax guided intake prompt', () => {
+    let handleMcpRequest;
+
+    beforeAll(() => {
+        jest.isolateModules(() => {
+            jest.doMock('@azure/functions', () => ({ app: { http: jest.fn() } }));
+            ({ handleMcpRequest } = require('../src/functions/mcpSchemaV2'));
+        });
+    });
+
+    async function getIntake(args) {
+        const response = await handleMcpRequest(
+            rpc('prompts/get', { name: 'ct_guided_intake', arguments: args }),
+            context
+        );
+        return response;
+    }
+
+    it('defaults to the initial triage tree with the overlay framing', async () => {
+        const response = await getIntake({});
+        const text = response.result.messages[0].content.text;
+
+        expect(response.result.messages[0].role).toBe('user');
+        expect(text).toContain('GUIDED INTAKE — initial_triage');
+        expect(text).toContain('[q_sole_occupant]');
+        expect(text).toContain('Lead with the most beneficial outcome for the resident first.');
+        expect(text).toContain('Source: gcc://council-tax/chatbot-overlay');
+    });
+
+    it('selects the disregards tree and topic guidance for a disregard topic', async () => {
+        const response = await getIntake({ topic: 'full_time_students' });
+        const text = response.result.messages[0].content.text;
+
+        expect(response.result.description).toBe('Guided council tax intake (full-time-students via disregards_deep_dive)');
+        expect(text).toContain('Full-time Student Disregard');
+        expect(text).toContain('Informs: person.is_full_time_student');
+        expect(text).not.toContain('[q_sole_occupant]');
+    });
+
+    it('adds suggested follow-ups for topics that have them', async () => {
+        const response = await getIntake({ topic: 'empty-homes-premium' });
+        const text = response.result.messages[0].content.text;
+
+        expect(text).toContain('GUIDED INTAKE — property_adjustments');
+        expect(text).toContain('FOLLOW-UP QUESTIONS\n- When did the property become empty?');
+    });
+
+    it('accepts an intake tree name as the topic', async () => {
+        const response = await getIntake({ topic: 'property_adjustments' });
+        expect(response.result.description).toBe('Guided council tax intake (property_adjustments)');
+    });
+
+    it('rejects an unknown topic and lists the valid ones', async () => {
+        const response = await getIntake({ topic: 'dog licence' });
+        expect(response.error.code).toBe(-32602);
+        expect(response.error.message).toContain('Valid topics: initial_triage');
+    });
+});
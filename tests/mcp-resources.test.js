@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { createMcpServer, jsonFileResource } = require('../src/mcp-core');
+
+const context = { log: Object.assign(jest.fn(), { error: jest.fn() }) };
+
+function rpc(method, params, id = 1) {
+    return { jsonrpc: '2.0', method, params, id };
+}
+
+describe('mcp-core resources', () => {
+    let tmpDir;
+    let filePath;
+    let server;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-'));
+        filePath = path.join(tmpDir, 'doc.json');
+        // Leading BOM as in the scraped council files
+        fs.writeFileSync(filePath, '\uFEFF' + JSON.stringify({
+            meta: { version: '1.2.0' },
+            'a/b': { '~tilde': 'escaped' },
+            rules: [{ rule_id: 'r0' }, { rule_id: 'r1' }],
+        }));
+
+        server = createMcpServer({
+            TOOLS: [],
+            TOOL_HANDLERS: {},
+            SERVER_INFO: { name: 'test-mcp', version: '0.0.1' },
+            RESOURCES: [jsonFileResource({
+                uri: 'gcc://test/doc',
+                name: 'test-doc',
+                title: 'Test document',
+                filePath,
+                version: (document) => document.meta.version,
+            })],
+        }, { label: 'Test MCP' });
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('advertises the resources capability only when resources are registered', async () => {
+        const withResources = await server.handleMcpRequest(rpc('initialize', {}), context);
+        expect(withResources.result.capabilities).toEqual({ tools: {}, resources: {} });
+
+        const plain = createMcpServer({ TOOLS: [], TOOL_HANDLERS: {}, SERVER_INFO: {} });
+        const withoutResources = await plain.handleMcpRequest(rpc('initialize', {}), context);
+        expect(withoutResources.result.capabilities).toEqual({ tools: {} });
+
+        const list = await plain.handleMcpRequest(rpc('resources/list'), context);
+        expect(list.error.code).toBe(-32601);
+    });
+
+    it('lists resources with MIME type, version and the SHA-256 of the file bytes', async () => {
+        const response = await server.handleMcpRequest(rpc('resources/list'), context);
+        const [resource] = response.result.resources;
+
+        expect(resource).toMatchObject({
+            uri: 'gcc://test/doc',
+            name: 'test-doc',
+            title: 'Test document',
+            mimeType: 'application/json',
+        });
+        expect(resource._meta.version).toBe('1.2.0');
+        expect(resource._meta.sha256).toBe(
+            crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+        );
+    });
+
+    it('lists a fragment template per resource', async () => {
+        const response = await server.handleMcpRequest(rpc('resources/templates/list'), context);
+        expect(response.result.resourceTemplates[0].uriTemplate).toBe('gcc://test/doc{#pointer}');
+    });
+
+    it('reads a whole document without the BOM', async () => {
+        const response = await server.handleMcpRequest(rpc('resources/read', { uri: 'gcc://test/doc' }), context);
+        const [content] = response.result.contents;
+        expect(content.uri).toBe('gcc://test/doc');
+        expect(JSON.parse(content.text).meta.version).toBe('1.2.0');
+    });
+
+    it('resolves JSON Pointer fragments, including escaped and percent-encoded tokens', async () => {
+        const rule = await server.handleMcpRequest(rpc('resources/read', { uri: 'gcc://test/doc#/rules/1' }), context);
+        expect(JSON.parse(rule.result.contents[0].text)).toEqual({ rule_id: 'r1' });
+        expect(rule.result.contents[0]._meta.pointer).toBe('/rules/1');
+
+        const escaped = await server.handleMcpRequest(
+            rpc('resources/read', { uri: 'gcc://test/doc#/a~1b/%7E0tilde' }),
+            context
+        );
+        expect(JSON.parse(escaped.result.contents[0].text)).toBe('escaped');
+    });
+
+    it('returns -32002 for unknown resources and missing fragments', async () => {
+        const unknown = await server.handleMcpRequest(rpc('resources/read', { uri: 'gcc://test/nope' }), context);
+        expect(unknown.error.code).toBe(-32002);
+        expect(unknown.error.data.uri).toBe('gcc://test/nope');
+
+        const missing = await server.handleMcpRequest(rpc('resources/read', { uri: 'gcc://test/doc#/rules/9' }), context);
+        expect(missing.error.code).toBe(-32002);
+    });
+
+    it('returns -32602 for a missing uri or a malformed pointer', async () => {
+        const noUri = await server.handleMcpRequest(rpc('resources/read', {}), context);
+        expect(noUri.error.code).toBe(-32602);
+
+        const badPointer = await server.handleMcpRequest(rpc('resources/read', { uri: 'gcc://test/doc#rules' }), context);
+        expect(badPointer.error.code).toBe(-32602);
+    });
+});
+
+describe('endpoint resources', () => {
+    afterEach(() => {
+        jest.resetModules();
+    });
+
+    function loadEndpoint(file) {
+        jest.doMock('@azure/functions', () => ({ app: { http: jest.fn() } }));
+        return require(`../src/functions/${file}`);
+    }
+
+    it('mcpSchemaV2 serves the revised council tax rules by pointer', async () => {
+        const { handleMcpRequest } = loadEndpoint('mcpSchemaV2');
+        const response = await handleMcpRequest(
+            rpc('resources/read', { uri: 'gcc://council-tax/rules#/executable_rules/3' }),
+            context
+        );
+
+        const [content] = response.result.contents;
+        expect(JSON.parse(content.text).rule_id).toEqual(expect.any(String));
+        expect(content._meta.version).toBe('gloucester-ct/rules/1.0');
+        expect(content._meta.sha256).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('mcpPlanning serves the householder ruleset at its model version', async () => {
+        const { handleMcpRequest } = loadEndpoint('mcpPlanning');
+        const response = await handleMcpRequest(rpc('resources/list'), context);
+        expect(response.result.resources).toEqual([
+            expect.objectContaining({ uri: 'gcc://planning/ruleset', _meta: expect.objectContaining({ version: '4.3.0' }) }),
+        ]);
+    });
+
+    it('mcpProcurement serves the procurement schema at its schema version', async () => {
+        const { handleMcpRequest } = loadEndpoint('mcpProcurement');
+        const response = await handleMcpRequest(rpc('resources/read', { uri: 'gcc://procurement/schema#/version' }), context);
+        expect(JSON.parse(response.result.contents[0].text)).toBe('0.9.3');
+    });
+
+    it('the ModernGov endpoint serves committees and wards for every council', async () => {
+        const { handleMcpRequest } = require('../lib/mcp-handler');
+        const response = await handleMcpRequest(rpc('resources/list'), context);
+        const uris = response.result.resources.map((resource) => resource.uri);
+
+        expect(uris).toContain('gcc://councils/gloucester-city-council/committees');
+        expect(uris).toContain('gcc://councils/gloucester-city-council/wards');
+    });
+});
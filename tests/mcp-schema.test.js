@@ -19,7 +19,9 @@ describe('mcpSchema request handling', () => {
             getSchemaHash: () => 'abc123',
             isSchemaLoaded: () => true,
             getFinancialYear: () => '2026/27',
-            getDocumentPack: () => 'v2.5.6 (facts, rules, taxonomy, results)'
+            getDocumentPack: () => 'v2.5.6 (facts, rules, taxonomy, results)',
+            getDocumentPaths: () => null,
+            listPacks: () => [{ version: '2.5.6', financial_year: '2026/27', served: true }]
         }));
     }
 
@@ -11,8 +11,11 @@ jest.mock('../lib/council-config', () => ({
         : null
 }));
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const client = require('../lib/moderngov-client');
+const { createMemoryStore } = require('../lib/soap-cache');
 
 // Minimal valid SOAP XML for GetCommittees
 const COMMITTEES_XML = `<?xml version="1.0" encoding="utf-8"?>
@@ -33,8 +36,9 @@ const COMMITTEES_XML = `<?xml version="1.0" encoding="utf-8"?>
   </soap:Body>
 </soap:Envelope>`;
 
-beforeEach(() => {
+beforeEach(async () => {
     jest.clearAllMocks();
+    await client.clearCache();
 });
 
 describe('_getEndpoint', () => {
@@ -178,3 +182,260 @@ describe('getCommittees', () => {
         expect(axios.post).not.toHaveBeenCalled();
     });
 });
+
+describe('getCouncillorsByPostcode', () => {
+    // Assumed shape: no live response has been captured (see the comment in the fixture)
+    const POSTCODE_XML = fs.readFileSync(path.join(__dirname, 'fixtures/moderngov/GetCouncillorsByPostcode.assumed.xml'), 'utf8');
+
+    it('sends the postcode and parses the covering ward', async () => {
+        axios.post.mockResolvedValueOnce({ data: POSTCODE_XML });
+
+        const result = await client.getCouncillorsByPostcode('Gloucester City Council', 'GL1 2EP');
+
+        expect(axios.post.mock.calls[0][1]).toContain('<sPostcode>GL1 2EP</sPostcode>');
+        expect(result.wards).toHaveLength(1);
+        expect(result.wards[0].ward_id).toBe(285);
+        expect(result.wards[0].ward_name).toBe('Kingsholm and Wotton');
+        expect(result.wards[0].councillors[0].email).toBe('angela.conder@gloucester.gov.uk');
+    });
+
+    it('parses terms of office and treats blank key posts as missing', async () => {
+        axios.post.mockResolvedValueOnce({ data: POSTCODE_XML });
+
+        const [councillor] = (await client.getCouncillorsByPostcode('Gloucester City Council', 'GL1 2EP')).wards[0].councillors;
+
+        expect(councillor.key_posts).toBeNull();
+        expect(councillor.terms_of_office).toEqual([
+            { start_date: '10/05/2021', end_date: '05/05/2024' },
+            { start_date: '06/05/2024', end_date: '07/05/2028' }
+        ]);
+    });
+
+    it('returns no wards for a postcode outside the council area', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: POSTCODE_XML.replace(/<wards>[\s\S]*<\/wards>/, '<wards></wards>')
+        });
+
+        const result = await client.getCouncillorsByPostcode('Gloucester City Council', 'SW1A 1AA');
+        expect(result.wards).toEqual([]);
+    });
+
+    it('reports a result it does not recognise instead of returning no wards', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: POSTCODE_XML.replace(/councillorsbypostcode/g, 'postcodewards')
+        });
+
+        const error = await client.getCouncillorsByPostcode('Gloucester City Council', 'GL1 2EP').catch(e => e);
+        expect(error.code).toBe('UNRECOGNISED_RESPONSE');
+        expect(error.message).toBe('Unrecognised GetCouncillorsByPostcode response from Gloucester City Council: expected <councillorsbypostcode>, got <postcodewards>');
+    });
+});
+
+describe('getForwardPlanItems', () => {
+    // Assumed shape: no live response has been captured (see the comment in the fixture)
+    const FORWARD_PLAN_XML = fs.readFileSync(path.join(__dirname, 'fixtures/moderngov/GetForwardPlanItems.assumed.xml'), 'utf8');
+
+    it('sends the date range and parses each item', async () => {
+        axios.post.mockResolvedValueOnce({ data: FORWARD_PLAN_XML });
+
+        const result = await client.getForwardPlanItems('Gloucester City Council', '01/10/2026', '01/10/2027');
+
+        expect(axios.post.mock.calls[0][1]).toContain('<sFromDate>01/10/2026</sFromDate><sToDate>01/10/2027</sToDate>');
+        expect(result.items).toHaveLength(2);
+        expect(result.items[0]).toMatchObject({
+            id: 4410,
+            reference: 'FP/2026/014',
+            decision_maker: 'Cabinet',
+            expected_decision_date: '04/11/2026',
+            is_key_decision: true,
+            wards_affected: ['Kingsholm and Wotton', 'Westgate']
+        });
+        expect(result.items[1].is_key_decision).toBe(false);
+        expect(result.items[1].expected_decision_date).toBeNull();
+        expect(result.items[1].wards_affected).toEqual(['All Wards']);
+    });
+
+    it('returns no items for an empty plan', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: FORWARD_PLAN_XML.replace(/<forwardplanitems>[\s\S]*<\/forwardplanitems>/, '<forwardplanitems></forwardplanitems>')
+        });
+
+        const result = await client.getForwardPlanItems('Gloucester City Council');
+        expect(result.items).toEqual([]);
+    });
+
+    it('reports an unrecognised result root instead of an empty plan', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: FORWARD_PLAN_XML.replace(/<forwardplanitems>[\s\S]*<\/forwardplanitems>/, '<issues><issue><issueid>1</issueid></issue></issues>')
+        });
+
+        await expect(client.getForwardPlanItems('Gloucester City Council')).rejects.toMatchObject({
+            code: 'UNRECOGNISED_RESPONSE',
+            message: 'Unrecognised GetForwardPlanItems response from Gloucester City Council: expected <forwardplanitems>, got <issues>'
+        });
+    });
+
+    it('reports an empty result as unrecognised', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: FORWARD_PLAN_XML.replace(/<forwardplanitems>[\s\S]*<\/forwardplanitems>/, '')
+        });
+
+        await expect(client.getForwardPlanItems('Gloucester City Council')).rejects.toThrow('got an empty result');
+    });
+});
+
+describe('response cache', () => {
+    const MEETING_XML = (date, minutesPublished) => `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <GetMeetingResponse xmlns="http://moderngov.co.uk/namespaces">
+      <GetMeetingResult>
+        <meeting>
+          <meetingid>5001</meetingid>
+          <meetingdate>${date}</meetingdate>
+          <minutepublished>${minutesPublished}</minutepublished>
+        </meeting>
+      </GetMeetingResult>
+    </GetMeetingResponse>
+  </soap:Body>
+</soap:Envelope>`;
+
+    afterEach(() => {
+        jest.useRealTimers();
+        client.setCacheStore(createMemoryStore());
+    });
+
+    it('serves repeated calls from cache', async () => {
+        axios.post.mockResolvedValue({ data: COMMITTEES_XML });
+
+        await client.getCommittees('Gloucester City Council');
+        const second = await client.getCommittees('Gloucester City Council');
+
+        expect(second[0].name).toBe('Planning Committee');
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(client.getCacheStats()).toEqual(expect.objectContaining({ store: 'memory', hits: 1, misses: 1 }));
+    });
+
+    it('shares one upstream call between identical concurrent requests', async () => {
+        axios.post.mockResolvedValue({ data: COMMITTEES_XML });
+
+        await Promise.all([
+            client.getCommittees('Gloucester City Council'),
+            client.getCommittees('Gloucester City Council')
+        ]);
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps settled past meetings far longer than upcoming ones', async () => {
+        const settled = await client.parser.parseStringPromise(MEETING_XML('12/03/2024', 'True'));
+        const past = await client.parser.parseStringPromise(MEETING_XML('12/03/2024', 'False'));
+        const upcoming = await client.parser.parseStringPromise(MEETING_XML('12/03/2099', 'False'));
+
+        expect(client._cacheTtlSeconds('GetMeeting', settled)).toBe(30 * 24 * 60 * 60);
+        expect(client._cacheTtlSeconds('GetMeeting', past)).toBe(60 * 60);
+        expect(client._cacheTtlSeconds('GetMeeting', upcoming)).toBe(10 * 60);
+        expect(client._cacheTtlSeconds('GetCommittees', settled)).toBe(24 * 60 * 60);
+    });
+
+    it('serves an expired response when ModernGov is unavailable', async () => {
+        jest.useFakeTimers();
+        axios.post.mockResolvedValueOnce({ data: MEETING_XML('12/03/2099', 'False') });
+        await client.getMeeting('Gloucester City Council', 5001);
+
+        // Past the 10 minute TTL for an upcoming meeting
+        jest.advanceTimersByTime(11 * 60 * 1000);
+        axios.post.mockRejectedValue(new Error('ECONNRESET'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const promise = client.getMeeting('Gloucester City Council', 5001);
+        await jest.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.details.id).toBe(5001);
+        expect(axios.post).toHaveBeenCalledTimes(4);
+        expect(client.getCacheStats().stale_served).toBe(1);
+        warn.mockRestore();
+    });
+
+    it('still fails when nothing usable is cached', async () => {
+        jest.useFakeTimers();
+        axios.post.mockRejectedValue(new Error('ECONNRESET'));
+
+        const promise = client.getCommittees('Gloucester City Council');
+        promise.catch(() => {});
+        await jest.runAllTimersAsync();
+
+        await expect(promise).rejects.toThrow('ECONNRESET');
+    });
+
+    it('fresh requests skip the cache and never fall back to a stale response', async () => {
+        jest.useFakeTimers();
+        axios.post.mockResolvedValueOnce({ data: COMMITTEES_XML });
+        await client.getCommittees('Gloucester City Council');
+
+        axios.post.mockResolvedValueOnce({ data: COMMITTEES_XML });
+        await client.getCommittees('Gloucester City Council', { fresh: true });
+        expect(axios.post).toHaveBeenCalledTimes(2);
+
+        axios.post.mockRejectedValue(new Error('ECONNRESET'));
+        const promise = client.getCommittees('Gloucester City Council', { fresh: true });
+        promise.catch(() => {});
+        await jest.runAllTimersAsync();
+
+        await expect(promise).rejects.toThrow('ECONNRESET');
+        expect(client.getCacheStats().stale_served).toBe(0);
+    });
+
+    it('ignores a failing cache store', async () => {
+        client.setCacheStore({
+            type: 'broken',
+            get: jest.fn().mockRejectedValue(new Error('store down')),
+            set: jest.fn().mockRejectedValue(new Error('store down')),
+            clear: jest.fn()
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        axios.post.mockResolvedValue({ data: COMMITTEES_XML });
+
+        const result = await client.getCommittees('Gloucester City Council');
+
+        expect(result[0].id).toBe(42);
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('calls ModernGov every time when caching is off', async () => {
+        client.setCacheStore(null);
+        axios.post.mockResolvedValue({ data: COMMITTEES_XML });
+
+        await client.getCommittees('Gloucester City Council');
+        await client.getCommittees('Gloucester City Council');
+
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(client.getCacheStats().store).toBe('off');
+    });
+
+    it('callers that modify a result do not change the cached response', async () => {
+        axios.post.mockResolvedValue({ data: COMMITTEES_XML });
+
+        const first = await client.getCommittees('Gloucester City Council');
+        const parsed = await client._callSoap('GetCommittees', '', 'Gloucester City Council');
+        parsed.Envelope.Body.GetCommitteesResponse.GetCommitteesResult.committees.committee.committeetitle = 'Changed';
+        first[0].name = 'Changed';
+
+        const second = await client.getCommittees('Gloucester City Council');
+        expect(second[0].name).toBe('Planning Committee');
+        expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('evicts the oldest memory entries beyond the limit', async () => {
+        const store = createMemoryStore({ maxEntries: 2 });
+        await store.set('a', { parsed: 1 });
+        await store.set('b', { parsed: 2 });
+        await store.set('c', { parsed: 3 });
+
+        expect(await store.get('a')).toBeNull();
+        expect(await store.get('c')).toEqual({ parsed: 3 });
+        expect(store.size).toBe(2);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { evaluateRule, buildCaseContext, evalConditions, computeDerived } = require('../src/schema/ruleInterpreter');
+
+const CTX = {
+    property: { occupancy_status: 'empty_long_term', empty_since: '2025-03-31', valuation_band: 'D' },
+    case: { liability_date: '2026-04-01' },
+    calendar: { current_date: '2026-10-18' },
+    derived: { counted_adults: 1, residents: 3 },
+    workflow: { completed_stages: ['liability', 'disregards', 'exemptions'] },
+    residents: [
+        { name: 'a', age: 44, weekly_income: 300, is_full_time_student: false },
+        { name: 'b', age: 19, weekly_income: 80, is_full_time_student: true },
+        { name: 'c', age: 17, is_full_time_student: false },
+    ],
+};
+
+function rule(overrides) {
+    return { rule_id: 'rule.test', name: 'Test', mechanism: 'discount', stage: 'discounts', effect: { effect_type: 'no_adjustment' }, ...overrides };
+}
+
+describe('ruleInterpreter conditions', () => {
+    it.each([
+        ['nested all/any', { all: [
+            { fact: 'property.valuation_band', operator: 'in', value: ['C', 'D'] },
+            { any: [
+                { fact: 'derived.counted_adults', operator: 'equals', value: 2 },
+                { fact: 'property.occupancy_status', operator: 'equals', value: 'empty_long_term' },
+            ] },
+        ] }, true],
+        ['not', { not: { fact: 'property.valuation_band', operator: 'equals', value: 'D' } }, false],
+        ['fact-to-fact', { fact: 'derived.counted_adults', operator: 'less_than', value_fact: 'derived.residents' }, true],
+        ['fact-to-missing-fact', { fact: 'derived.counted_adults', operator: 'less_than', value_fact: 'derived.unknown' }, false],
+        ['between_inclusive', { fact: 'derived.residents', operator: 'between_inclusive', value: [1, 3] }, true],
+        ['contains_all', { fact: 'workflow.completed_stages', operator: 'contains_all', value: ['liability', 'exemptions'] }, true],
+        ['contains_all missing', { fact: 'workflow.completed_stages', operator: 'contains_all', value: ['liability', 'premiums'] }, false],
+        ['exists', { fact: 'property.empty_since', operator: 'exists', value: true }, true],
+        ['exists false', { fact: 'property.furnished_since', operator: 'exists', value: false }, true],
+        ['before_same_year_date', { fact: 'calendar.current_date', operator: 'before_same_year_date', value: '11-01' }, true],
+        ['after_same_year_date', { fact: 'calendar.current_date', operator: 'before_same_year_date', value: '10-18' }, false],
+        ['unknown operator', { fact: 'derived.residents', operator: 'roughly', value: 3 }, false],
+    ])('evaluates %s', (label, condition, expected) => {
+        expect(evalConditions([condition], 'all', CTX)).toBe(expected);
+    });
+
+    it('keeps flat any/all lists working', () => {
+        const conditions = [
+            { fact: 'derived.counted_adults', operator: 'equals', value: 2 },
+            { fact: 'derived.residents', operator: 'equals', value: 3 },
+        ];
+        expect(evalConditions(conditions, 'any', CTX)).toBe(true);
+        expect(evalConditions(conditions, 'all', CTX)).toBe(false);
+    });
+});
+
+describe('ruleInterpreter dates', () => {
+    function emptyFor(months, liabilityDate) {
+        return evalConditions([{
+            duration: { from: 'property.empty_since', to: 'case.liability_date', unit: 'months' },
+            operator: 'greater_than_or_equal',
+            value: months,
+        }], 'all', { ...CTX, case: { liability_date: liabilityDate } });
+    }
+
+    it('counts whole months between two date facts', () => {
+        expect(emptyFor(12, '2026-03-31')).toBe(true);
+        expect(emptyFor(12, '2026-03-30')).toBe(false);
+    });
+
+    it('counts whole years and defaults the end date to calendar.current_date', () => {
+        const years = value => evalConditions([{
+            duration: { from: 'property.empty_since', unit: 'years' }, operator: 'equals', value,
+        }], 'all', CTX);
+        expect(years(1)).toBe(true);
+        expect(years(2)).toBe(false);
+    });
+
+    it('treats an unparseable date as not satisfying the condition', () => {
+        expect(emptyFor(0, '2026-02-30')).toBe(false);
+    });
+
+    it('compares dates with an offset applied to the compared fact', () => {
+        const condition = {
+            fact: 'property.empty_since',
+            operator: 'on_or_before',
+            value_fact: 'case.liability_date',
+            offset: { months: -12 },
+        };
+        expect(evalConditions([condition], 'all', CTX)).toBe(true);
+        expect(evalConditions([condition], 'all', { ...CTX, case: { liability_date: '2026-03-30' } })).toBe(false);
+    });
+
+    it('clamps month offsets to the end of the month', () => {
+        const condition = { fact: 'case.liability_date', operator: 'on_or_after', value: '2026-01-31', offset: { months: 1 } };
+        expect(evalConditions([condition], 'all', { case: { liability_date: '2026-02-28' } })).toBe(true);
+        expect(evalConditions([condition], 'all', { case: { liability_date: '2026-02-27' } })).toBe(false);
+    });
+
+    it('adds today and the liability date to the case context', () => {
+        const ctx = buildCaseContext({ adults: 1, liability_date: '2024-04-01', property_empty_since: '2020-01-01' });
+        expect(ctx.case.liability_date).toBe('2024-04-01');
+        expect(ctx.property.empty_since).toBe('2020-01-01');
+        expect(ctx.calendar.current_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(buildCaseContext({ adults: 1 }).case.liability_date).toBe(ctx.calendar.current_date);
+    });
+});
+
+describe('ruleInterpreter derived values', () => {
+    it('computes count, sum, min, max and exists with item filters', () => {
+        const derived = computeDerived([
+            { name: 'adults', aggregation: 'count', collection: 'residents', where_all: [{ fact: 'item.age', operator: 'greater_than_or_equal', value: 18 }] },
+            { name: 'income', aggregation: 'sum', collection: 'residents', field: 'item.weekly_income' },
+            { name: 'youngest_adult', aggregation: 'min', collection: 'residents', field: 'item.age', where: { fact: 'item.age', operator: 'greater_than_or_equal', value: 18 } },
+            { name: 'oldest', aggregation: 'max', collection: 'residents', field: 'item.age' },
+            { name: 'has_student', aggregation: 'exists', collection: 'residents', where: { not: { fact: 'item.is_full_time_student', operator: 'equals', value: false } } },
+            { name: 'lowest_missing', aggregation: 'min', collection: 'nobody', field: 'item.age' },
+        ], CTX);
+
+        expect(derived).toEqual({ adults: 2, income: 380, youngest_adult: 19, oldest: 44, has_student: true, lowest_missing: null });
+    });
+
+    it('lets later derived values reference earlier ones', () => {
+        const derived = computeDerived([
+            { name: 'income', aggregation: 'sum', collection: 'residents', field: 'item.weekly_income' },
+            { name: 'below_total', aggregation: 'count', collection: 'residents', where: { fact: 'item.weekly_income', operator: 'less_than', value_fact: 'derived.income' } },
+        ], CTX);
+        expect(derived.below_total).toBe(2);
+    });
+});
+
+describe('evaluateRule', () => {
+    it('accepts a single condition group as the rule conditions', () => {
+        const result = evaluateRule(rule({
+            conditions: { any: [
+                { fact: 'property.occupancy_status', operator: 'equals', value: 'second_home' },
+                { duration: { from: 'property.empty_since', to: 'case.liability_date', unit: 'months' }, operator: 'greater_than_or_equal', value: 12 },
+            ] },
+        }), CTX);
+        expect(result.eligible).toBe(true);
+        expect(result.effect).toEqual({ effect_type: 'no_adjustment' });
+    });
+
+    it('resolves branching effects with date conditions', () => {
+        const result = evaluateRule(rule({
+            conditions: [{ fact: 'derived.residents', operator: 'exists' }],
+            effect: undefined,
+            branching_effects: [
+                { when: [{ fact: 'calendar.current_date', operator: 'before', value: '2026-01-01' }], effect: { effect_type: 'early' } },
+                { when: [{ fact: 'calendar.current_date', operator: 'on_or_after', value: '2026-01-01' }], effect: { effect_type: 'late' } },
+            ],
+        }), CTX);
+        expect(result.effect).toEqual({ effect_type: 'late' });
+    });
+
+    it('returns null for a rule without conditions', () => {
+        expect(evaluateRule(rule({ conditions: [] }), CTX)).toBeNull();
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const { execute } = require('../src/tools/schemaDiff');
+const { diffPacks, diffValues } = require('../src/schema/diff');
+const { getPack } = require('../src/schema/loader');
+const { resolvePointer } = require('../src/schema/pointer');
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('schema_diff', () => {
+    it('reports the council tax support rules added in 2.5.7', () => {
+        const result = execute({ from_version: '2.5.6', to_version: 'v2.5.7.rebuilt' });
+        expect(result.ok).toBe(true);
+        expect(result.result).toMatchObject({ from_version: '2.5.6', to_version: '2.5.7', cases_source: 'built_in_samples' });
+
+        const { rules } = result.result;
+        expect(rules.added.map(rule => rule.rule_id)).toEqual(expect.arrayContaining([
+            'rule.cts.pension_credit_claimant',
+            'rule.cts.benefits_claimant',
+            'rule.cts.low_income',
+        ]));
+        expect(rules.removed).toEqual([]);
+        expect(rules.changed).toEqual([]);
+    });
+
+    it('gives pointers that resolve in the to document', () => {
+        const result = execute({ from_version: '2.5.6', to_version: '2.5.7', documents: ['rules'] });
+        const toRules = getPack('2.5.7').documents.rules;
+        for (const added of result.result.rules.added) {
+            const resolved = resolvePointer(toRules, added.pointer);
+            expect(resolved.found).toBe(true);
+            expect(resolved.value.rule_id).toBe(added.rule_id);
+        }
+        expect(Object.keys(result.result.documents)).toEqual(['rules']);
+        expect(result.result.catalogue).toBeUndefined();
+    });
+
+    it('flags rules whose outcome changes for a sample household', () => {
+        const result = execute({ from_version: '2.5.6', to_version: '2.5.7' });
+        const pensionCredit = result.result.outcome_changes.changes.filter(change => change.case_id === 'pension_credit');
+        expect(pensionCredit).toContainEqual(expect.objectContaining({
+            rule_id: 'rule.cts.pension_credit_claimant',
+            from: { present: false },
+            to: expect.objectContaining({ present: true, eligible: true }),
+        }));
+    });
+
+    it('runs caller-supplied cases instead of the built-in samples', () => {
+        const result = execute({
+            from_version: '2.5.6',
+            to_version: '2.5.7',
+            documents: ['rules'],
+            cases: [{ id: 'uc_claimant', userFacts: { adults: 1, on_qualifying_benefit: true, savings: 100 } }],
+        });
+        expect(result.result.cases_source).toBe('caller');
+        expect(result.result.outcome_changes.cases_run).toEqual(['uc_claimant']);
+        expect(new Set(result.result.outcome_changes.changes.map(change => change.case_id))).toEqual(new Set(['uc_claimant']));
+    });
+
+    it('caps the raw change list per document', () => {
+        const result = execute({ from_version: '2.4', to_version: '2.5.7', documents: ['facts'], max_changes: 3 });
+        const facts = result.result.documents.facts;
+        expect(facts.changes).toHaveLength(3);
+        expect(facts.truncated).toBe(true);
+        expect(facts.change_count).toBeGreaterThan(3);
+    });
+
+    it.each([
+        [{ from_version: '2.5.6' }, /required/],
+        [{ from_version: '2.5.7', to_version: 'v2.5.7' }, /must be different/],
+        [{ from_version: '2.5.6', to_version: '2.5.7', documents: ['policy'] }, /subset/],
+        [{ from_version: '2.5.6', to_version: '2.5.7', cases: [{ id: 'x' }] }, /userFacts/],
+        [{ from_version: '2.5.6', to_version: '2.5.7', max_changes: 0 }, /max_changes/],
+    ])('rejects bad input %j', (input, message) => {
+        const result = execute(input);
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.message).toMatch(message);
+    });
+
+    it('returns NOT_FOUND with the available versions for an unknown pack', () => {
+        const result = execute({ from_version: '1.0', to_version: '2.5.7' });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('NOT_FOUND');
+        expect(result.error.details.available_versions).toEqual(expect.arrayContaining(['2.4', '2.5.6', '2.5.7']));
+    });
+});
+
+describe('diffPacks', () => {
+    const base = getPack('2.5.7').documents;
+
+    it('groups rule changes into conditions, effects and fields', () => {
+        const edited = clone(base);
+        const rules = edited.rules.executable_rule_slices.rules;
+        const index = rules.findIndex(rule => rule.rule_id === 'rule.discount.single_person');
+        rules[index].conditions[1].value = 2;
+        rules[index].effect.value = 30;
+        rules[index].confidence = 'medium';
+
+        const diff = diffPacks(base, edited, { documents: ['rules'] });
+        const [changed] = diff.rules.changed;
+        expect(changed.rule_id).toBe('rule.discount.single_person');
+        expect(changed.conditions).toEqual([expect.objectContaining({
+            op: 'changed',
+            pointer: `/executable_rule_slices/rules/${index}/conditions/1/value`,
+            from: 1,
+            to: 2,
+        })]);
+        expect(changed.effects).toEqual([expect.objectContaining({ from: 25, to: 30 })]);
+        expect(changed.fields).toEqual([expect.objectContaining({ from: 'high', to: 'medium' })]);
+
+        const singleAdult = diff.outcome_changes.changes.find(change =>
+            change.case_id === 'single_adult' && change.rule_id === 'rule.discount.single_person');
+        expect(singleAdult.from.eligible).toBe(true);
+        expect(singleAdult.to.eligible).toBe(false);
+    });
+
+    it('reports catalogue items added, removed and changed', () => {
+        const edited = clone(base);
+        const discounts = edited.facts.adjustment_catalogue.discounts.items;
+        const removed = discounts.shift();
+        discounts[0].effect = 'changed';
+        discounts.push({ id: 'new-local-discount', name: 'New local discount' });
+
+        const diff = diffPacks(base, edited, { documents: ['facts'] });
+        expect(diff.catalogue.removed).toEqual([expect.objectContaining({ section: 'discounts', id: removed.id })]);
+        expect(diff.catalogue.added).toEqual([expect.objectContaining({ section: 'discounts', id: 'new-local-discount' })]);
+        expect(diff.catalogue.changed).toEqual([expect.objectContaining({ section: 'discounts', id: discounts[0].id })]);
+    });
+
+    it('matches arrays of objects by key so reordering is not a change', () => {
+        const changes = [];
+        diffValues(
+            [{ id: 'a', value: 1 }, { id: 'b', value: 2 }],
+            [{ id: 'b', value: 2 }, { id: 'a', value: 1 }],
+            { from: [], to: [] },
+            changes
+        );
+        expect(changes).toEqual([]);
+    });
+});
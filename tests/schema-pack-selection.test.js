@@ -0,0 +1,130 @@
+'use strict';
+
+const schemaEvaluate = require('../src/tools/schemaEvaluate');
+const schemaGet = require('../src/tools/schemaGet');
+const schemaSearch = require('../src/tools/schemaSearch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listPacks, getPack, reloadSchema } = require('../src/schema/loader');
+const { normaliseFinancialYear } = require('../src/schema/packSelection');
+
+const PENSION_CREDIT_FACTS = { adults: 1, receiving_pension_credit: true, savings: 2000 };
+
+describe('schema pack selection', () => {
+    it('keeps every complete pack in memory', () => {
+        const versions = listPacks().map(pack => pack.version);
+        expect(versions).toEqual(expect.arrayContaining(['2.5.7', '2.5.6', '2.5.3', '2.5.2', '2.4']));
+        expect(listPacks().filter(pack => pack.served)).toHaveLength(1);
+        expect(getPack('v2.5.7.rebuilt').version).toBe('2.5.7');
+    });
+
+    it.each([
+        ['2026/27', '2026/27'],
+        ['2026-27', '2026/27'],
+        ['2026/2027', '2026/27'],
+        ['1999/00', '1999/00'],
+        ['2026/28', null],
+        ['2026', null],
+    ])('normalises financial year %s', (input, expected) => {
+        expect(normaliseFinancialYear(input)).toBe(expected);
+    });
+
+    it('evaluates against the rules of a pinned schema version', () => {
+        const current = schemaEvaluate.execute({ rulesetId: 'discount_eligibility', userFacts: PENSION_CREDIT_FACTS });
+        const pinned = schemaEvaluate.execute({
+            rulesetId: 'discount_eligibility',
+            userFacts: PENSION_CREDIT_FACTS,
+            schema_version: '2.4',
+        });
+
+        expect(current.result.options.council_tax_support_options.length).toBeGreaterThan(0);
+        expect(pinned.ok).toBe(true);
+        expect(pinned.result.trace.schema_pack).toEqual({ version: '2.4', financial_year: '2026/27' });
+        expect(pinned.result.options.council_tax_support_options).toEqual([]);
+    });
+
+    it('picks the newest pack for a financial year', () => {
+        const result = schemaEvaluate.execute({
+            rulesetId: 'discount_eligibility',
+            userFacts: { adults: 1 },
+            financial_year: '2026-27',
+        });
+        const newest = listPacks().find(pack => pack.financial_year === '2026/27');
+        expect(result.result.trace.schema_pack.version).toBe(newest.version);
+        expect(result.result.trace.note).toMatch(/approved 2026\/27 council tax policy/);
+    });
+
+    it('reads a path from a pinned pack', () => {
+        const result = schemaGet.execute({ path: '/executable_rules/rules', schema_version: '2.4', maxBytes: 1000000 });
+        expect(result.ok).toBe(true);
+        expect(result.result.schemaPack).toBe('2.4');
+        expect(result.result.hash).toBe(getPack('2.4').hash);
+        expect(result.result.data).toHaveLength(getPack('2.4').documents.rules.executable_rule_slices.rules.length);
+    });
+
+    it('searches a pinned pack', () => {
+        const result = schemaSearch.execute({ text: 'single person discount', schema_version: '2.5.6', topK: 1 });
+        expect(result.ok).toBe(true);
+        expect(result.result.schema_pack).toEqual({ version: '2.5.6', financial_year: '2026/27' });
+        expect(result.result.results).toHaveLength(1);
+    });
+
+    it('returns NOT_FOUND with the available packs for an uncovered year', () => {
+        const result = schemaEvaluate.execute({
+            rulesetId: 'discount_eligibility',
+            userFacts: { adults: 1 },
+            financial_year: '2019/20',
+        });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('NOT_FOUND');
+        expect(result.error.details.availablePacks).toContainEqual(expect.objectContaining({ version: '2.4' }));
+    });
+
+    it.each([
+        [{ schema_version: '9.9' }, 'NOT_FOUND', /No council tax schema pack with version "9.9"/],
+        [{ financial_year: 'last year' }, 'BAD_REQUEST', /must look like 2026\/27/],
+        [{ schema_version: '2.4', financial_year: '2025/26' }, 'BAD_REQUEST', /covers 2026\/27, not 2025\/26/],
+    ])('rejects selection %j', (selection, code, message) => {
+        const result = schemaGet.execute({ path: '/discounts', ...selection });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe(code);
+        expect(result.error.message).toMatch(message);
+    });
+});
+
+// Every shipped pack is a 2026/27 revision, so load a copy of v2.4 that
+// declares 2025/26 alongside the current pack to pin a past year
+describe('schema pack selection by past financial year', () => {
+    const SOURCE_DIR = path.resolve(__dirname, '../schemas/CouncilTax');
+    const originalDir = process.env.MCP_SCHEMA_DIR;
+    let schemaDir;
+
+    beforeAll(() => {
+        schemaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-packs-'));
+        for (const file of fs.readdirSync(SOURCE_DIR).filter(name => /\.v(2\.4|2\.5\.7\.rebuilt)\.json$/.test(name))) {
+            const document = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'));
+            if (file === 'council_tax_facts.v2.4.json') document.document_meta.financial_year = '2025/26';
+            fs.writeFileSync(path.join(schemaDir, file), JSON.stringify(document));
+        }
+        process.env.MCP_SCHEMA_DIR = schemaDir;
+        reloadSchema();
+    });
+
+    afterAll(() => {
+        if (originalDir === undefined) delete process.env.MCP_SCHEMA_DIR;
+        else process.env.MCP_SCHEMA_DIR = originalDir;
+        fs.rmSync(schemaDir, { recursive: true, force: true });
+        reloadSchema();
+    });
+
+    it('evaluates a past year against the pack for that year', () => {
+        const past = schemaEvaluate.execute({ rulesetId: 'discount_eligibility', userFacts: PENSION_CREDIT_FACTS, financial_year: '2025/26' });
+        const current = schemaEvaluate.execute({ rulesetId: 'discount_eligibility', userFacts: PENSION_CREDIT_FACTS, financial_year: '2026/27' });
+
+        expect(past.result.trace.schema_pack).toEqual({ version: '2.4', financial_year: '2025/26' });
+        expect(past.result.options.council_tax_support_options).toEqual([]);
+        expect(current.result.trace.schema_pack).toEqual({ version: '2.5.7', financial_year: '2026/27' });
+        expect(current.result.options.council_tax_support_options.length).toBeGreaterThan(0);
+    });
+});
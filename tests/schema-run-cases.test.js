@@ -0,0 +1,138 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execute, loadCases, runCase } = require('../src/tools/schemaRunCases');
+const { listPacks, getPack } = require('../src/schema/loader');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'schema-regression-cases');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')));
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Cases in the shape of a results document's regression_cases section
+function fixtureCases(version) {
+    const fixture = fixtures.find(candidate => candidate.schema_version === version);
+    return loadCases({ regression_cases: fixture });
+}
+
+// Every expected-outcome case, from the fixtures and from each pack's results
+// document, runs here, so a rule change that breaks a case fails CI rather
+// than a resident.
+describe.each(fixtures.map(fixture => [fixture.schema_version, fixture]))('regression cases for pack v%s', (version, fixture) => {
+    const pack = getPack(version);
+
+    it.each(fixture.cases.map(testCase => [testCase.case_id]))('%s', (caseId) => {
+        const [testCase] = fixtureCases(version).filter(candidate => candidate.case_id === caseId);
+        expect(runCase(pack, testCase).failures).toEqual([]);
+    });
+});
+
+describe.each(listPacks()
+    .filter(({ version }) => loadCases(getPack(version).documents.results).length > 0)
+    .map(({ version }) => [version]))('results document cases in pack v%s', (version) => {
+    const pack = getPack(version);
+
+    it.each(loadCases(pack.documents.results).map(testCase => [testCase.case_id, testCase]))('%s', (caseId, testCase) => {
+        expect(runCase(pack, testCase).failures).toEqual([]);
+    });
+});
+
+describe('schema_run_cases', () => {
+    it('runs a pack\'s cases and summarises pass/fail', () => {
+        const result = execute({ schema_version: '2.5.6' });
+        expect(result.ok).toBe(true);
+        expect(result.result.summary).toEqual({ total: 1, passed: 1, failed: 0 });
+        expect(result.result.passed).toEqual(['example_resolution.all_student_household']);
+    });
+
+    it('loads the worked example from runtime_contract.example_resolution', () => {
+        const result = execute({ schema_version: '2.5.6', include_passing: true });
+        expect(result.result.passed).toEqual([expect.objectContaining({
+            case_id: 'example_resolution.all_student_household',
+            source: '/runtime_contract/example_resolution',
+        })]);
+    });
+
+    it('notes when a pack ships no cases', () => {
+        const result = execute({ schema_version: '2.4' });
+        expect(result.result.summary.total).toBe(0);
+        expect(result.result.note).toMatch(/no expected-outcome cases/);
+    });
+
+    it('reports a broken rule with expected and actual values', () => {
+        const pack = clone(getPack());
+        const rule = pack.documents.rules.executable_rule_slices.rules
+            .find(candidate => candidate.rule_id === 'rule.discount.single_person');
+        rule.effect.value = 20;
+        rule.conditions.find(condition => condition.fact === 'derived.counted_adults').value = 2;
+
+        const [testCase] = fixtureCases(pack.version).filter(candidate => candidate.case_id === 'rc.single_adult');
+        const result = runCase(pack, testCase);
+
+        expect(result.status).toBe('fail');
+        expect(result.failures).toEqual(expect.arrayContaining([
+            { check: 'best_outcome.rule_id', expected: 'rule.discount.single_person', actual: null },
+            { check: 'eligible', rule_id: 'rule.discount.single_person', expected: true, actual: false },
+            { check: 'effect.value', rule_id: 'rule.discount.single_person', expected: 25, actual: null },
+        ]));
+    });
+
+    it('reports expected rules missing from the pack', () => {
+        const pack = getPack('2.4');
+        const [testCase] = fixtureCases('2.5.7').filter(candidate => candidate.case_id === 'rc.pension_credit');
+        const result = runCase(pack, testCase);
+        expect(result.failures).toContainEqual({ check: 'rule_present', rule_id: 'rule.cts.pension_credit_claimant', expected: true, actual: false });
+    });
+
+    it('runs only the requested cases', () => {
+        const result = execute({ schema_version: '2.5.6', case_ids: ['example_resolution.all_student_household'] });
+        expect(result.result.summary.total).toBe(1);
+    });
+
+    it('runs caller-supplied cases against the served pack', () => {
+        const { cases } = fixtures.find(fixture => fixture.schema_version === '2.5.7');
+        const served = execute({});
+        expect(served.result.summary.total).toBe(0);
+
+        const result = execute({ cases, include_passing: true });
+        expect(result.ok).toBe(true);
+        expect(result.result.cases_source).toBe('caller');
+        expect(result.result.summary).toEqual({ total: cases.length, passed: cases.length, failed: 0 });
+        expect(result.result.passed[0]).toEqual(expect.objectContaining({ case_id: cases[0].case_id, source: 'input:/cases/0' }));
+
+        const chosen = execute({ cases, case_ids: ['rc.single_adult'] });
+        expect(chosen.result.summary.total).toBe(1);
+    });
+
+    it('reports a failing caller-supplied case', () => {
+        const result = execute({
+            cases: [{ case_id: 'two_adults', user_facts: { adults: 2 }, expected: { eligible_rules: ['rule.discount.single_person'] } }],
+        });
+        expect(result.result.failures[0].failures).toEqual([
+            { check: 'eligible', rule_id: 'rule.discount.single_person', expected: true, actual: false },
+        ]);
+    });
+
+    it.each([
+        [[], 'cases must be a non-empty array'],
+        [[{ user_facts: {}, expected: { eligible_rules: [] } }], 'cases[0].case_id must be a non-empty string'],
+        [[{ case_id: 'a', expected: { eligible_rules: [] } }], 'cases[0].user_facts must be an object'],
+        [[{ case_id: 'a', user_facts: {}, ruleset_id: 'nope', expected: { eligible_rules: [] } }], 'cases[0].ruleset_id must be one of: discount_eligibility'],
+        [[{ case_id: 'a', user_facts: {}, expected: {} }], 'cases[0].expected must give at least one of: best_outcome, eligible_rules, ineligible_rules, effects'],
+    ])('rejects malformed cases %j', (cases, message) => {
+        const result = execute({ cases });
+        expect(result.error).toEqual(expect.objectContaining({ code: 'BAD_REQUEST', message }));
+    });
+
+    it('rejects unknown case ids', () => {
+        const result = execute({ schema_version: '2.5.6', case_ids: ['rc.nope'] });
+        expect(result.ok).toBe(false);
+        expect(result.error.code).toBe('BAD_REQUEST');
+        expect(result.error.details.availableCaseIds).toEqual(['example_resolution.all_student_household']);
+    });
+});
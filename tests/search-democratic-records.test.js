@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../lib/tools/get-meetings', () => ({
+    ...jest.requireActual('../lib/tools/get-meetings'),
+    getMeetings: jest.fn()
+}));
+jest.mock('../lib/tools/get-meeting-details', () => ({
+    getMeetingDetails: jest.fn()
+}));
+jest.mock('../lib/tools/analyze-meeting-document', () => ({
+    analyzeMeetingDocument: jest.fn()
+}));
+
+const democraticIndex = require('../lib/democratic-index');
+const { getMeetings } = require('../lib/tools/get-meetings');
+const { getMeetingDetails } = require('../lib/tools/get-meeting-details');
+const { analyzeMeetingDocument } = require('../lib/tools/analyze-meeting-document');
+const { searchDemocraticRecords } = require('../lib/tools/search-democratic-records');
+const { refreshDemocraticRecordsIndex } = require('../lib/tools/refresh-democratic-records-index');
+
+function meeting(council, meetingId, committee, date, items) {
+    return {
+        council,
+        committee_id: committee.id,
+        committee_name: committee.title,
+        meeting_id: meetingId,
+        meeting_date: date,
+        minutes_published: true,
+        with_report_text: false,
+        documents: items.map(([itemId, title, text]) => ({
+            item_id: itemId,
+            item_number: String(itemId),
+            item_title: title,
+            text: `${committee.title}\n${title}\n${text}`,
+            source_url: `https://example.com/ieListDocuments.aspx?MId=${meetingId}`,
+            documents: []
+        }))
+    };
+}
+
+const CABINET = { id: 1, title: 'Cabinet' };
+const PLANNING = { id: 2, title: 'Planning Policy Committee' };
+
+let indexDir;
+
+beforeEach(() => {
+    indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'democratic-index-'));
+    process.env.MODERNGOV_SEARCH_INDEX_PATH = path.join(indexDir, 'index.json');
+    democraticIndex.reset();
+    jest.clearAllMocks();
+});
+
+afterEach(() => {
+    delete process.env.MODERNGOV_SEARCH_INDEX_PATH;
+    fs.rmSync(indexDir, { recursive: true, force: true });
+});
+
+describe('democratic records index', () => {
+    beforeEach(() => {
+        democraticIndex.upsertMeeting(meeting('Stroud District Council', 10, PLANNING, '2025-06-12', [
+            [101, 'Local Plan Review - Regulation 19 consultation', 'Approve the Regulation 19 pre-submission draft Local Plan for consultation.'],
+            [102, 'Minutes of the previous meeting', 'The minutes were approved as a correct record.']
+        ]));
+        democraticIndex.upsertMeeting(meeting('Gloucester City Council', 20, CABINET, '2025-09-03', [
+            [201, 'City Plan update', 'Progress on the local plan evidence base and call for sites.'],
+            [202, 'Car parking charges', 'Approve revised parking tariffs.']
+        ]));
+    });
+
+    it('ranks the item that best matches the whole query first', () => {
+        const { results } = democraticIndex.search('Local Plan Regulation 19 consultation');
+        expect(results[0]).toEqual(expect.objectContaining({
+            council: 'Stroud District Council',
+            meeting_date: '2025-06-12',
+            item_title: 'Local Plan Review - Regulation 19 consultation',
+            source_url: 'https://example.com/ieListDocuments.aspx?MId=10'
+        }));
+        expect(results.map(r => r.item_id)).toContain(201);
+    });
+
+    it('filters by council, committee name and date range', () => {
+        expect(democraticIndex.search('local plan', { council: 'Gloucester City Council' }).results.map(r => r.item_id)).toEqual([201]);
+        expect(democraticIndex.search('local plan', { committee_name: 'planning' }).results.map(r => r.item_id)).toEqual([101]);
+        expect(democraticIndex.search('local plan', { from_date: '2025-07-01' }).results.map(r => r.item_id)).toEqual([201]);
+        expect(democraticIndex.search('local plan', { to_date: '2025-06-12' }).results.map(r => r.item_id)).toEqual([101]);
+    });
+
+    it('replaces a meeting\'s items when it is re-indexed', () => {
+        democraticIndex.upsertMeeting(meeting('Gloucester City Council', 20, CABINET, '2025-09-03', [
+            [203, 'Leisure contract', 'Award of the leisure management contract.']
+        ]));
+        expect(democraticIndex.search('parking').results).toEqual([]);
+        expect(democraticIndex.search('leisure').results.map(r => r.item_id)).toEqual([203]);
+        expect(democraticIndex.getStats().documents).toBe(3);
+    });
+
+    it('persists to disk and rebuilds postings on load', () => {
+        democraticIndex.save();
+        democraticIndex.reset();
+        expect(democraticIndex.search('parking tariffs').results.map(r => r.item_id)).toEqual([202]);
+        expect(democraticIndex.getStats().councils['Stroud District Council']).toEqual({
+            meetings: 1,
+            documents: 2,
+            earliest_meeting: '2025-06-12',
+            latest_meeting: '2025-06-12'
+        });
+    });
+});
+
+describe('searchDemocraticRecords', () => {
+    it('tells the caller to refresh an empty index', () => {
+        const result = searchDemocraticRecords({ query: 'local plan' });
+        expect(result.results).toEqual([]);
+        expect(result.note).toMatch(/npm run refresh:democratic-index/);
+    });
+
+    it('filters by UK date range and returns UK dates', () => {
+        democraticIndex.upsertMeeting(meeting('Stroud District Council', 10, PLANNING, '2025-06-12', [
+            [101, 'Local Plan Review', 'Regulation 19 consultation.']
+        ]));
+        const result = searchDemocraticRecords({ query: 'regulation 19', from_date: '01/06/2025', to_date: '30/06/2025' });
+        expect(result.results).toHaveLength(1);
+        expect(result.results[0].meeting_date).toBe('12/06/2025');
+        expect(searchDemocraticRecords({ query: 'regulation 19', from_date: '13/06/2025' }).results).toEqual([]);
+    });
+
+    it.each([
+        [{ query: '  ' }, /query is required/],
+        [{ query: 'plan', council_name: 'Nowhere Council' }, /Council not found/],
+        [{ query: 'plan', committee_id: 5 }, /committee_id requires council_name/],
+        [{ query: 'plan', from_date: '2025-01-01' }, /Invalid from_date format/]
+    ])('rejects %j', (options, message) => {
+        expect(searchDemocraticRecords(options).error).toMatch(message);
+    });
+});
+
+describe('refreshDemocraticRecordsIndex', () => {
+    const council = 'Gloucester City Council';
+
+    function mockMeeting(minutesPublished) {
+        getMeetings.mockResolvedValue({ meetings: [{ id: 77, date: '10/03/2025' }] });
+        getMeetingDetails.mockResolvedValue({
+            council,
+            meeting_id: 77,
+            details: { date: '10/03/2025', minutes_published: minutesPublished },
+            agenda: [{
+                id: 5,
+                number: '5',
+                title: 'Housing Strategy 2025-2030',
+                decision: '<p>RESOLVED that the Housing Strategy be adopted.</p>',
+                linked_documents: [{ title: 'Cabinet report', url: 'https://democracy.gloucester.gov.uk/doc.pdf' }]
+            }],
+            links: { web_page: 'https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=77' }
+        });
+    }
+
+    it('indexes agenda items and skips settled meetings on the next refresh', async () => {
+        mockMeeting(true);
+        const first = await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 544 });
+        expect(first.meetings_indexed).toBe(1);
+        expect(first.items_indexed).toBe(1);
+        expect(analyzeMeetingDocument).not.toHaveBeenCalled();
+        expect(fs.existsSync(process.env.MODERNGOV_SEARCH_INDEX_PATH)).toBe(true);
+
+        const found = searchDemocraticRecords({ query: 'housing strategy adopted' });
+        expect(found.results[0]).toEqual(expect.objectContaining({
+            council,
+            committee_name: 'General Purposes Committee',
+            meeting_date: '10/03/2025',
+            source_url: 'https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=77'
+        }));
+
+        const second = await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 544 });
+        expect(second.meetings_skipped_unchanged).toBe(1);
+        expect(getMeetingDetails).toHaveBeenCalledTimes(1);
+    });
+
+    it('re-indexes meetings without published minutes and adds report text on request', async () => {
+        mockMeeting(false);
+        analyzeMeetingDocument.mockResolvedValue({
+            success: true,
+            title: 'Housing Strategy',
+            summary: 'Sets out priorities for affordable homes.',
+            sections: { financial_implications: 'Funded from the Homes England grant.' }
+        });
+
+        await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 544 });
+        const result = await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 544, include_report_text: true });
+
+        expect(getMeetingDetails).toHaveBeenCalledTimes(2);
+        expect(result.report_texts_extracted).toBe(1);
+        const found = searchDemocraticRecords({ query: 'Homes England grant' });
+        expect(found.results[0].matched_report_text).toBe(true);
+    });
+
+    it('records committees it could not reach', async () => {
+        getMeetings.mockResolvedValue({ error: 'Failed to retrieve meetings' });
+        const result = await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 544 });
+        expect(result.failures).toEqual([{ council, committee_id: 544, error: 'Failed to retrieve meetings' }]);
+        expect(result.meetings_indexed).toBe(0);
+    });
+
+    it('lists committees left unscanned when the time budget runs out', async () => {
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        getMeetings.mockImplementation(async () => {
+            now += 5000;
+            return { meetings: [] };
+        });
+
+        const result = await refreshDemocraticRecordsIndex({ council_name: council, time_budget_seconds: 8 });
+        jest.restoreAllMocks();
+
+        expect(result.committees_scanned).toBe(2);
+        expect(result.committees_not_scanned.length).toBeGreaterThan(0);
+        expect(result.time_budget_exhausted).toBe(true);
+    });
+
+    it('rejects an unknown committee', async () => {
+        const result = await refreshDemocraticRecordsIndex({ council_name: council, committee_id: 999999 });
+        expect(result.error).toBe('Committee not found');
+    });
+});
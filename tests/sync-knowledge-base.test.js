@@ -0,0 +1,209 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../lib/moderngov-client', () => ({
+    getCommittees: jest.fn(),
+    getCouncillorsByWard: jest.fn()
+}));
+jest.mock('../lib/council-config', () => ({
+    getCouncil: jest.fn(),
+    getCouncilNames: jest.fn(),
+    getDataDir: jest.fn(),
+    setKnowledgeBase: jest.fn()
+}));
+
+const moderngovClient = require('../lib/moderngov-client');
+const councilConfig = require('../lib/council-config');
+const { syncKnowledgeBase, diffCommittees, diffWards } = require('../lib/tools/sync-knowledge-base');
+
+const COUNCIL = { name: 'Stroud District Council', url: 'https://stroud.moderngov.co.uk' };
+
+const STORED_COMMITTEES = {
+    council: COUNCIL.name,
+    counts: { scrapeFailures: 0 },
+    committees: [
+        {
+            id: 138,
+            title: 'Audit and Standards Committee',
+            category: null,
+            flags: { deleted: false, expired: false },
+            purpose: 'Oversees audit.',
+            purposeSource: 'scraped',
+            members: [{ name: 'Councillor A', role: 'Chair' }]
+        },
+        { id: 140, title: 'Community Services Committee', flags: { deleted: false, expired: false }, members: [] },
+        { id: 150, title: 'Old Working Group', flags: { deleted: false, expired: false }, members: [] }
+    ]
+};
+
+const STORED_WARDS = {
+    council: COUNCIL.name,
+    wards: [
+        { id: '10', name: 'Cainscross' },
+        { id: '11', name: 'Dursley' },
+        { id: '12', name: 'Painswick' }
+    ]
+};
+
+const LIVE_COMMITTEES = [
+    { id: 138, name: 'Audit and Standards Committee', category: null, deleted: false, expired: false },
+    { id: 140, name: 'Community Services and Licensing Committee', category: null, deleted: false, expired: false },
+    { id: 150, name: 'Old Working Group', category: null, deleted: false, expired: true },
+    { id: 160, name: 'Climate Panel', category: null, deleted: false, expired: false }
+];
+
+const LIVE_WARDS = [
+    { ward_id: null, ward_name: 'Cainscross', councillors: [] },
+    { ward_id: null, ward_name: 'Dursley', councillors: [] },
+    { ward_id: null, ward_name: 'Painswick and Upton', councillors: [] }
+];
+
+let dataDir;
+
+function readData(file) {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8').replace(/^\uFEFF/, ''));
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-kb-'));
+    // Stored files carry a BOM, as written by the PowerShell scrapers
+    fs.writeFileSync(path.join(dataDir, 'committees.json'), `\uFEFF${JSON.stringify(STORED_COMMITTEES)}`);
+    fs.writeFileSync(path.join(dataDir, 'wards.json'), `\uFEFF${JSON.stringify(STORED_WARDS)}`);
+
+    councilConfig.getCouncil.mockImplementation(name => (name === COUNCIL.name ? COUNCIL : null));
+    councilConfig.getCouncilNames.mockReturnValue([COUNCIL.name]);
+    councilConfig.getDataDir.mockReturnValue(dataDir);
+    moderngovClient.getCommittees.mockResolvedValue(LIVE_COMMITTEES);
+    moderngovClient.getCouncillorsByWard.mockResolvedValue({ council: COUNCIL.name, wards: LIVE_WARDS });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('diffCommittees', () => {
+    it('finds new, renamed and expired committees', () => {
+        const diff = diffCommittees(STORED_COMMITTEES.committees, LIVE_COMMITTEES);
+
+        expect(diff.added).toEqual([{ id: 160, title: 'Climate Panel' }]);
+        expect(diff.renamed).toEqual([{ id: 140, previous_title: 'Community Services Committee', title: 'Community Services and Licensing Committee' }]);
+        expect(diff.expired).toEqual([{ id: 150, title: 'Old Working Group', reason: 'expired' }]);
+        expect(diff.unchanged).toBe(1);
+    });
+
+    it('treats committees missing from the feed as expired', () => {
+        const diff = diffCommittees(STORED_COMMITTEES.committees, LIVE_COMMITTEES.slice(0, 2));
+        expect(diff.expired).toEqual([{ id: 150, title: 'Old Working Group', reason: 'missing_from_feed' }]);
+    });
+});
+
+describe('diffWards', () => {
+    it('matches wards by name regardless of case and spacing', () => {
+        const diff = diffWards(STORED_WARDS.wards, [
+            { ward_name: 'cainscross' },
+            { ward_name: 'Dursley ' },
+            { ward_name: 'Painswick' }
+        ]);
+        expect(diff).toEqual({ added: [], removed: [], renamed: [], unchanged: 3, boundary_change_likely: false });
+    });
+
+    it('flags a likely boundary review when wards are added and removed together', () => {
+        const diff = diffWards(STORED_WARDS.wards, LIVE_WARDS);
+
+        expect(diff.added).toEqual([{ id: null, name: 'Painswick and Upton' }]);
+        expect(diff.removed).toEqual([{ id: 12, name: 'Painswick' }]);
+        expect(diff.boundary_change_likely).toBe(true);
+    });
+
+    it('recognises a rename when the ward ID is unchanged', () => {
+        const diff = diffWards(STORED_WARDS.wards, [{ ward_id: 12, ward_name: 'Painswick and Upton' }]);
+
+        expect(diff.renamed).toEqual([{ id: 12, previous_name: 'Painswick', name: 'Painswick and Upton' }]);
+        expect(diff.added).toEqual([]);
+        expect(diff.removed.map(w => w.name)).toEqual(['Cainscross', 'Dursley']);
+    });
+});
+
+describe('syncKnowledgeBase', () => {
+    it('reports differences without writing by default', async () => {
+        const before = fs.readFileSync(path.join(dataDir, 'committees.json'), 'utf8');
+
+        const result = await syncKnowledgeBase();
+
+        expect(result.mode).toBe('report');
+        expect(moderngovClient.getCommittees).toHaveBeenCalledWith(COUNCIL.name, { fresh: false });
+        expect(result.councils_changed).toEqual([COUNCIL.name]);
+        expect(result.councils[0].files_written).toEqual([]);
+        expect(result.note).toMatch(/Report only/);
+        expect(fs.readFileSync(path.join(dataDir, 'committees.json'), 'utf8')).toBe(before);
+        expect(councilConfig.setKnowledgeBase).not.toHaveBeenCalled();
+    });
+
+    it('rewrites the files, keeping scraped details and ward IDs', async () => {
+        const result = await syncKnowledgeBase({ council_name: COUNCIL.name, write: true });
+
+        // Never rewrite the files from a cached or stale response
+        expect(moderngovClient.getCommittees).toHaveBeenCalledWith(COUNCIL.name, { fresh: true });
+        expect(moderngovClient.getCouncillorsByWard).toHaveBeenCalledWith(COUNCIL.name, { fresh: true });
+        expect(result.councils[0].files_written).toEqual([
+            path.join(dataDir, 'committees.json'),
+            path.join(dataDir, 'wards.json')
+        ]);
+
+        const committees = readData('committees.json');
+        expect(committees.committees.map(c => c.id)).toEqual([138, 160, 140]);
+        expect(committees.committees[0]).toEqual(expect.objectContaining({
+            purpose: 'Oversees audit.',
+            members: [{ name: 'Councillor A', role: 'Chair' }]
+        }));
+        expect(committees.committees[1]).toEqual(expect.objectContaining({
+            title: 'Climate Panel',
+            purposeSource: 'pending_scrape',
+            members: []
+        }));
+        expect(committees.committees[1].urls.details).toBe('https://stroud.moderngov.co.uk/mgCommitteeDetails.aspx?ID=160');
+        expect(committees.counts.pendingScrape).toBe(1);
+
+        const wards = readData('wards.json');
+        expect(wards.wards).toEqual([
+            { id: '10', name: 'Cainscross' },
+            { id: '11', name: 'Dursley' },
+            { id: null, name: 'Painswick and Upton' }
+        ]);
+        expect(councilConfig.setKnowledgeBase).toHaveBeenCalledWith(COUNCIL.name, expect.objectContaining({
+            committees: expect.objectContaining({ council: COUNCIL.name }),
+            wards: expect.objectContaining({ ward_count: 3 })
+        }));
+        expect(result.note).toMatch(/extract-committees\.ps1/);
+    });
+
+    it('leaves wards.json alone when the live feed is empty', async () => {
+        moderngovClient.getCouncillorsByWard.mockResolvedValue({ council: COUNCIL.name, wards: [] });
+
+        const result = await syncKnowledgeBase({ write: true });
+
+        expect(result.councils[0].wards_error).toMatch(/no wards/);
+        expect(result.councils[0].files_written).toEqual([path.join(dataDir, 'committees.json')]);
+        expect(result.councils_with_errors).toEqual([COUNCIL.name]);
+        expect(readData('wards.json')).toEqual(STORED_WARDS);
+    });
+
+    it('reports upstream failures per council', async () => {
+        moderngovClient.getCommittees.mockRejectedValue(new Error('SOAP request failed: 503'));
+
+        const result = await syncKnowledgeBase({ council_name: COUNCIL.name });
+
+        expect(result.councils[0].committees_error).toBe('SOAP request failed: 503');
+        expect(result.councils[0].wards.added).toHaveLength(1);
+    });
+
+    it('rejects unknown councils', async () => {
+        const result = await syncKnowledgeBase({ council_name: 'Nowhere Council' });
+        expect(result.error).toBe('Council not found');
+        expect(result.available_councils).toEqual([COUNCIL.name]);
+    });
+});
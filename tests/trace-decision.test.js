@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../lib/tools/get-meeting-details', () => ({
+    getMeetingDetails: jest.fn()
+}));
+jest.mock('../lib/tools/get-report-recommendations', () => ({
+    getReportRecommendations: jest.fn()
+}));
+jest.mock('../lib/tools/refresh-democratic-records-index', () => ({
+    ...jest.requireActual('../lib/tools/refresh-democratic-records-index'),
+    refreshDemocraticRecordsIndex: jest.fn()
+}));
+
+const democraticIndex = require('../lib/democratic-index');
+const { getMeetingDetails } = require('../lib/tools/get-meeting-details');
+const { getReportRecommendations } = require('../lib/tools/get-report-recommendations');
+const { refreshDemocraticRecordsIndex } = require('../lib/tools/refresh-democratic-records-index');
+const { traceDecision, _internal } = require('../lib/tools/trace-decision');
+
+const COUNCIL = 'Gloucester City Council';
+
+function meetingDetails(meetingId, date, agenda) {
+    return {
+        council: COUNCIL,
+        meeting_id: meetingId,
+        details: { id: meetingId, date },
+        agenda,
+        links: { web_page: `https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=${meetingId}` }
+    };
+}
+
+function indexRecord(meetingId, committee, date, items) {
+    return {
+        council: COUNCIL,
+        committee_id: committee.id,
+        committee_name: committee.title,
+        meeting_id: meetingId,
+        meeting_date: date,
+        minutes_published: true,
+        with_report_text: false,
+        documents: items.map(([itemId, title, text]) => ({
+            item_id: itemId,
+            item_number: String(itemId),
+            item_title: title,
+            text: `${committee.title}\n${title}\n${text}`,
+            source_url: `https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=${meetingId}`,
+            documents: []
+        }))
+    };
+}
+
+const CABINET = { id: 1, title: 'Cabinet' };
+const COUNCIL_MEETINGS = { id: 2, title: 'Council' };
+const PLANNING = { id: 3, title: 'Planning Committee' };
+
+const CABINET_ITEM = {
+    id: 701,
+    number: '7.',
+    title: 'Leisure Centres Management Contract',
+    decision: '<p>RESOLVED to RECOMMEND to Council that the leisure centres management contract be awarded to Aspire Leisure Trust.</p>',
+    linked_documents: [{ title: 'Leisure Centres Management Contract - report', url: 'https://democracy.gloucester.gov.uk/documents/s1/report.pdf', is_restricted: false }]
+};
+const COUNCIL_ITEM = {
+    id: 901,
+    number: '9.',
+    title: 'Leisure Centres Management Contract',
+    decision: '<p>RESOLVED that the leisure centres management contract be awarded to Aspire Leisure Trust for ten years.</p>',
+    linked_documents: []
+};
+const PARKING_ITEM = {
+    id: 301,
+    number: '4.',
+    title: 'Car Parking Tariffs',
+    decision: '<p>RESOLVED that the revised parking tariffs be approved.</p>',
+    linked_documents: []
+};
+
+const MEETINGS = {
+    100: meetingDetails(100, '03/09/2025', [{ id: 700, number: '6.', title: 'Minutes' }, CABINET_ITEM]),
+    200: meetingDetails(200, '25/09/2025', [COUNCIL_ITEM]),
+    300: meetingDetails(300, '10/09/2025', [PARKING_ITEM])
+};
+
+let indexDir;
+
+beforeEach(() => {
+    indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-decision-'));
+    process.env.MODERNGOV_SEARCH_INDEX_PATH = path.join(indexDir, 'index.json');
+    democraticIndex.reset();
+    jest.clearAllMocks();
+
+    democraticIndex.upsertMeeting(indexRecord(100, CABINET, '2025-09-03', [[701, CABINET_ITEM.title, CABINET_ITEM.decision]]));
+    democraticIndex.upsertMeeting(indexRecord(200, COUNCIL_MEETINGS, '2025-09-25', [[901, COUNCIL_ITEM.title, COUNCIL_ITEM.decision]]));
+    democraticIndex.upsertMeeting(indexRecord(300, PLANNING, '2025-09-10', [[301, PARKING_ITEM.title, 'leisure centre car park tariffs']]));
+
+    getMeetingDetails.mockImplementation(async (council, meetingId) => MEETINGS[meetingId] || { error: 'Meeting not found' });
+    getReportRecommendations.mockResolvedValue({
+        success: true,
+        recommendations: ['1. Council is RECOMMENDED to award the leisure centres management contract to Aspire Leisure Trust.']
+    });
+    refreshDemocraticRecordsIndex.mockResolvedValue({ meetings_indexed: 0, meetings_skipped_unchanged: 3, failures: [], committees_not_scanned: [] });
+});
+
+afterEach(() => {
+    delete process.env.MODERNGOV_SEARCH_INDEX_PATH;
+    fs.rmSync(indexDir, { recursive: true, force: true });
+});
+
+describe('traceDecision', () => {
+    it('follows a Cabinet recommendation to the Council resolution', async () => {
+        const result = await traceDecision(COUNCIL, 100, '7');
+
+        expect(result.origin).toEqual(expect.objectContaining({
+            committee_name: 'Cabinet',
+            item_title: 'Leisure Centres Management Contract',
+            report_url: 'https://democracy.gloucester.gov.uk/documents/s1/report.pdf',
+            recommendations: ['1. Council is RECOMMENDED to award the leisure centres management contract to Aspire Leisure Trust.']
+        }));
+        expect(result.timeline.map(s => [s.meeting_id, s.outcome])).toEqual([[100, 'referred'], [200, 'resolved']]);
+        expect(result.timeline[1]).toEqual(expect.objectContaining({
+            committee_name: 'Council',
+            official_text: {
+                decision: 'RESOLVED that the leisure centres management contract be awarded to Aspire Leisure Trust for ten years.',
+                minutes: null
+            },
+            source_url: 'https://democracy.gloucester.gov.uk/ieListDocuments.aspx?MId=200'
+        }));
+        expect(result.timeline[1].match.matched_on).toBe('title');
+        expect(result.current_position).toEqual(expect.objectContaining({ status: 'decided', meeting_id: 200 }));
+    });
+
+    it('traces against the index as built unless a refresh is asked for', async () => {
+        const result = await traceDecision(COUNCIL, 100, '7');
+
+        expect(refreshDemocraticRecordsIndex).not.toHaveBeenCalled();
+        expect(result.search_window.index_refresh).toBeNull();
+        expect(result.evidence_gaps).toContain(
+            'The democratic records index covers Gloucester City Council meetings up to 2025-09-25; later meetings in the window were not searched.'
+        );
+
+        await traceDecision(COUNCIL, 100, '7', { refresh_index: true });
+        expect(refreshDemocraticRecordsIndex).toHaveBeenCalledWith(expect.objectContaining({
+            council_name: COUNCIL,
+            from_date: '03/09/2025',
+            to_date: '02/03/2026'
+        }));
+    });
+
+    it('says when the index has no meetings for the council', async () => {
+        democraticIndex.reset();
+
+        const result = await traceDecision(COUNCIL, 100, '7', { include_report_recommendations: false });
+        expect(result.evidence_gaps[0]).toMatch(/has no Gloucester City Council meetings/);
+    });
+
+    it('reports an untraced referral as awaiting a decision, with an evidence gap', async () => {
+        democraticIndex.removeMeeting(COUNCIL, 200);
+
+        const result = await traceDecision(COUNCIL, 100, '7', { include_report_recommendations: false });
+
+        expect(result.timeline).toHaveLength(1);
+        expect(result.current_position.status).toBe('awaiting_decision_by_another_body');
+        expect(result.evidence_gaps.join(' ')).toMatch(/No later meeting/);
+        expect(refreshDemocraticRecordsIndex).not.toHaveBeenCalled();
+        expect(getReportRecommendations).not.toHaveBeenCalled();
+    });
+
+    it('lists the agenda when the item is not in the meeting', async () => {
+        const result = await traceDecision(COUNCIL, 100, '12');
+
+        expect(result.error).toBe('Agenda item not found in this meeting');
+        expect(result.available_items.map(i => i.item_number)).toEqual(['6.', '7.']);
+    });
+
+    it('passes meeting errors through', async () => {
+        const result = await traceDecision(COUNCIL, 999, '1');
+        expect(result.error).toBe('Meeting not found');
+    });
+});
+
+describe('trace decision helpers', () => {
+    it('classifies recorded outcomes', () => {
+        expect(_internal.classifyOutcome('RESOLVED to RECOMMEND to Council that the budget be approved', '01/01/2025')).toBe('referred');
+        expect(_internal.classifyOutcome('RESOLVED that the strategy be adopted', '01/01/2025')).toBe('resolved');
+        expect(_internal.classifyOutcome('Members discussed the report', '01/01/2025')).toBe('considered');
+        expect(_internal.classifyOutcome(null, '01/01/2025')).toBe('no_recorded_outcome');
+        expect(_internal.classifyOutcome(null, '01/01/2099')).toBe('scheduled');
+    });
+
+    it('measures overlap on significant words only', () => {
+        const reference = _internal.significantTerms('Report on the Leisure Centres Contract');
+        expect(Array.from(reference)).toEqual(['leisure', 'centres', 'contract']);
+        expect(_internal.overlap(reference, 'Council: leisure centres')).toBeCloseTo(2 / 3);
+    });
+});